@@ -0,0 +1,42 @@
+const availability = require('../services/availabilityService');
+
+describe('parseAvailability', () => {
+    test('accepts the three answers with an optional note', () => {
+        expect(availability.parseAvailability({ status: 'maybe', note: ' Back from work at 6 ' }))
+            .toEqual({ error: null, status: 'maybe', note: 'Back from work at 6' });
+        expect(availability.parseAvailability({ status: 'yes' }).error).toMatch(/status must be one of/);
+        expect(availability.parseAvailability({ status: 'available', note: 'x'.repeat(201) }).error)
+            .toMatch(/at most 200/);
+    });
+});
+
+describe('availability polls', () => {
+    const match = { status: 'scheduled', match_date: new Date('2026-06-10T18:00:00Z'), availability: [] };
+
+    test('are open until a scheduled match starts', () => {
+        expect(availability.isPollOpen(match, new Date('2026-06-10T17:59:00Z'))).toBe(true);
+        expect(availability.isPollOpen(match, new Date('2026-06-10T18:00:00Z'))).toBe(false);
+        expect(availability.isPollOpen({ ...match, status: 'live' }, new Date('2026-06-01T00:00:00Z'))).toBe(false);
+    });
+
+    test('keep one answer per player and flag a short lineup', () => {
+        const poll = { ...match, availability: [] };
+        availability.setAvailability(poll, 'p1', 't1', { status: 'available', note: '' });
+        availability.setAvailability(poll, 'p2', 't1', { status: 'available', note: '' });
+        availability.setAvailability(poll, 'p2', 't1', { status: 'unavailable', note: 'Injured' });
+        availability.setAvailability(poll, 'x9', 't2', { status: 'available', note: '' });
+
+        expect(poll.availability).toHaveLength(3);
+        expect(availability.summarizeAvailability(poll.availability, 't1', ['p1', 'p2', 'p3'], 2)).toEqual({
+            available: 1,
+            maybe: 0,
+            unavailable: 1,
+            no_response: 1,
+            roster_size: 3,
+            minimum: 2,
+            below_minimum: true
+        });
+        expect(availability.getMinimumLineup('Basketball')).toBe(5);
+        expect(availability.getMinimumLineup('Quidditch')).toBeNull();
+    });
+});
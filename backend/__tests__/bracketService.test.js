@@ -0,0 +1,253 @@
+jest.mock('../models/schemas/eventSchema', () => ({ findById: jest.fn() }));
+jest.mock('../models/schemas/matchSchema', () => ({
+    findById: jest.fn(),
+    find: jest.fn(),
+    findOne: jest.fn(),
+    create: jest.fn(),
+    countDocuments: jest.fn()
+}));
+jest.mock('../models/match', () => ({ getEventGroupLeaderboards: jest.fn() }));
+jest.mock('../utils/cacheInvalidation', () => ({ invalidateCacheByPrefixes: jest.fn() }));
+
+const Event = require('../models/schemas/eventSchema');
+const Match = require('../models/schemas/matchSchema');
+const MatchModel = require('../models/match');
+const bracketService = require('../services/bracketService');
+
+// A mongoose query that resolves to `result` however it is chained
+function query(result) {
+    const chain = {
+        select: () => chain,
+        sort: () => chain,
+        lean: () => Promise.resolve(result),
+        exec: () => Promise.resolve(result)
+    };
+    return chain;
+}
+
+function doc(fields) {
+    const document = { ...fields };
+    document.save = jest.fn(async () => document);
+    return document;
+}
+
+// Four teams: two semi-finals feeding the final
+function knockoutEvent() {
+    return doc({
+        _id: 'event1',
+        location: 'Central Ground',
+        status: 'upcoming',
+        champion: null,
+        knockout_bracket: [
+            { round_number: 1, position: 0, round_name: 'Semi-final', team_a: 't1', team_a_name: 'Team 1', team_b: 't2', team_b_name: 'Team 2', match_id: 'm1', winner: null, next_position: 0, next_slot: 'team_a' },
+            { round_number: 1, position: 1, round_name: 'Semi-final', team_a: 't3', team_a_name: 'Team 3', team_b: 't4', team_b_name: 'Team 4', match_id: 'm2', winner: null, next_position: 0, next_slot: 'team_b' },
+            { round_number: 2, position: 0, round_name: 'Final', team_a: null, team_a_name: '', team_b: null, team_b_name: '', match_id: null, winner: null, next_position: null, next_slot: null }
+        ]
+    });
+}
+
+function knockoutMatch(round, position, teams, score, extra = {}) {
+    return {
+        _id: `m${round}${position}`,
+        event_id: 'event1',
+        bracket_round: round,
+        bracket_position: position,
+        team_a: teams[0],
+        team_a_name: `Team ${teams[0].slice(1)}`,
+        team_b: teams[1],
+        team_b_name: `Team ${teams[1].slice(1)}`,
+        score_a: score[0],
+        score_b: score[1],
+        match_date: new Date('2026-06-01T10:00:00Z'),
+        venue: 'Pitch 1',
+        verified_by: 'org1',
+        ...extra
+    };
+}
+
+const node = (event, round, position) =>
+    event.knockout_bracket.find(n => n.round_number === round && n.position === position);
+
+beforeEach(() => {
+    jest.resetAllMocks();
+});
+
+describe('advanceWinner', () => {
+    test('ignores matches that are not in a bracket', async () => {
+        expect(await bracketService.advanceWinner({ event_id: 'event1', bracket_round: null })).toBeNull();
+        expect(Event.findById).not.toHaveBeenCalled();
+    });
+
+    test('moves the winner into its slot of the next round', async () => {
+        const event = knockoutEvent();
+        Event.findById.mockReturnValue(query(event));
+
+        const result = await bracketService.advanceWinner(knockoutMatch(1, 0, ['t1', 't2'], [2, 1]));
+
+        expect(result).toEqual({ nextMatch: null, champion: null });
+        expect(node(event, 1, 0).winner).toBe('t1');
+        expect(node(event, 2, 0)).toMatchObject({ team_a: 't1', team_a_name: 'Team 1', team_b: null });
+        expect(Match.create).not.toHaveBeenCalled();
+        expect(event.save).toHaveBeenCalled();
+    });
+
+    test('creates the next-round match once both of its teams are known', async () => {
+        const event = knockoutEvent();
+        Object.assign(node(event, 1, 0), { winner: 't1', winner_name: 'Team 1' });
+        Object.assign(node(event, 2, 0), { team_a: 't1', team_a_name: 'Team 1' });
+        Event.findById.mockReturnValue(query(event));
+        Match.find.mockReturnValue(query([{ match_date: new Date('2026-06-01T10:00:00Z') }]));
+        Match.findOne.mockReturnValue(query({ match_number: 2 }));
+        Match.create.mockImplementation(async fields => ({ _id: 'final', ...fields }));
+
+        const { nextMatch } = await bracketService.advanceWinner(
+            knockoutMatch(1, 1, ['t3', 't4'], [0, 3], { match_date: new Date('2026-06-01T14:00:00Z') })
+        );
+
+        expect(Match.create).toHaveBeenCalledWith(expect.objectContaining({
+            event_id: 'event1',
+            team_a: 't1',
+            team_b: 't4',
+            team_b_name: 'Team 4',
+            round: 'Final',
+            match_number: 3,
+            status: 'scheduled',
+            bracket_round: 2,
+            bracket_position: 0,
+            match_date: new Date('2026-06-02T14:00:00Z'),
+            venue: 'Pitch 1'
+        }));
+        expect(nextMatch._id).toBe('final');
+        expect(node(event, 2, 0).match_id).toBe('final');
+    });
+
+    test('the final crowns the champion and completes the event', async () => {
+        const event = knockoutEvent();
+        Object.assign(node(event, 2, 0), { team_a: 't1', team_a_name: 'Team 1', team_b: 't4', team_b_name: 'Team 4', match_id: 'm20' });
+        Event.findById.mockReturnValue(query(event));
+
+        const { champion } = await bracketService.advanceWinner(knockoutMatch(2, 0, ['t1', 't4'], [1, 2]));
+
+        expect(champion).toMatchObject({ team_id: 't4', team_name: 'Team 4' });
+        expect(event.champion).toBe(champion);
+        expect(event.status).toBe('completed');
+        expect(event.save).toHaveBeenCalled();
+    });
+
+    test('a re-verified result with a new winner updates the scheduled next match', async () => {
+        const event = knockoutEvent();
+        Object.assign(node(event, 1, 0), { winner: 't1', winner_name: 'Team 1' });
+        Object.assign(node(event, 2, 0), { team_a: 't1', team_a_name: 'Team 1', team_b: 't4', team_b_name: 'Team 4', match_id: 'final' });
+        const final = doc({ _id: 'final', status: 'scheduled', team_a: 't1', team_a_name: 'Team 1', team_b: 't4' });
+        Event.findById.mockReturnValue(query(event));
+        Match.findById.mockReturnValue(query(final));
+
+        const { nextMatch } = await bracketService.advanceWinner(knockoutMatch(1, 0, ['t1', 't2'], [1, 2]));
+
+        expect(nextMatch).toBe(final);
+        expect(final).toMatchObject({ team_a: 't2', team_a_name: 'Team 2' });
+        expect(final.save).toHaveBeenCalled();
+        expect(node(event, 1, 0).winner).toBe('t2');
+        expect(node(event, 2, 0)).toMatchObject({ team_a: 't2', match_id: 'final' });
+        expect(Match.create).not.toHaveBeenCalled();
+    });
+
+    test('the same result verified again changes nothing', async () => {
+        const event = knockoutEvent();
+        Object.assign(node(event, 1, 0), { winner: 't1', winner_name: 'Team 1' });
+        Event.findById.mockReturnValue(query(event));
+
+        expect(await bracketService.advanceWinner(knockoutMatch(1, 0, ['t1', 't2'], [2, 1])))
+            .toEqual({ nextMatch: null, champion: null });
+        expect(event.save).not.toHaveBeenCalled();
+    });
+});
+
+describe('checkAdvance', () => {
+    function eventWithPlayedFinal(status) {
+        const event = knockoutEvent();
+        Object.assign(node(event, 1, 0), { winner: 't1', winner_name: 'Team 1' });
+        Object.assign(node(event, 2, 0), { team_a: 't1', team_b: 't4', match_id: 'final' });
+        Event.findById.mockReturnValue(query(event));
+        Match.findById.mockReturnValue(query({ _id: 'final', status }));
+        return event;
+    }
+
+    test('turns down a new winner once the next-round match has been played', async () => {
+        const event = eventWithPlayedFinal('verified');
+
+        await expect(bracketService.checkAdvance(knockoutMatch(1, 0, ['t1', 't2'], [1, 2])))
+            .rejects.toThrow('The next-round match has already been played');
+        expect(node(event, 1, 0).winner).toBe('t1');
+        expect(event.save).not.toHaveBeenCalled();
+    });
+
+    test('accepts a new winner while the next-round match is still scheduled', async () => {
+        eventWithPlayedFinal('scheduled');
+        await expect(bracketService.checkAdvance(knockoutMatch(1, 0, ['t1', 't2'], [1, 2]))).resolves.toBeUndefined();
+    });
+
+    test('accepts the winner the bracket already has and turns down draws', async () => {
+        eventWithPlayedFinal('verified');
+        await expect(bracketService.checkAdvance(knockoutMatch(1, 0, ['t1', 't2'], [2, 1]))).resolves.toBeUndefined();
+        await expect(bracketService.checkAdvance(knockoutMatch(1, 0, ['t1', 't2'], [1, 1])))
+            .rejects.toThrow('Knockout matches cannot end in a draw');
+    });
+});
+
+describe('startKnockoutFromGroups', () => {
+    function groupsEvent() {
+        return doc({
+            _id: 'event1',
+            tournament_format: 'groups-knockout',
+            qualifiers_per_group: 2,
+            location: 'Central Ground',
+            event_date: new Date('2026-06-01T10:00:00Z'),
+            knockout_bracket: []
+        });
+    }
+
+    const groupMatch = { _id: 'g6', event_id: 'event1', group: 'B', verified_by: 'org1' };
+
+    test('waits until every group match is verified', async () => {
+        Event.findById.mockReturnValue(query(groupsEvent()));
+        Match.countDocuments.mockResolvedValue(2);
+
+        expect(await bracketService.startKnockoutFromGroups(groupMatch)).toBeNull();
+        expect(Match.create).not.toHaveBeenCalled();
+    });
+
+    test('seeds the knockout from the group tables', async () => {
+        const event = groupsEvent();
+        Event.findById.mockReturnValue(query(event));
+        Match.countDocuments.mockResolvedValue(0);
+        MatchModel.getEventGroupLeaderboards.mockResolvedValue([
+            { name: 'A', standings: [{ team_id: 'a1', team_name: 'A1' }, { team_id: 'a2', team_name: 'A2' }, { team_id: 'a3', team_name: 'A3' }] },
+            { name: 'B', standings: [{ team_id: 'b1', team_name: 'B1' }, { team_id: 'b2', team_name: 'B2' }, { team_id: 'b3', team_name: 'B3' }] }
+        ]);
+        Match.findOne
+            .mockReturnValueOnce(query({ match_date: new Date('2026-06-05T10:00:00Z'), venue: 'Pitch 2' }))
+            .mockReturnValueOnce(query({ match_number: 6 }));
+        Match.create.mockImplementation(async fields => ({ _id: `k${fields.bracket_position}`, ...fields }));
+
+        const { qualifiers, matches } = await bracketService.startKnockoutFromGroups(groupMatch);
+
+        expect(qualifiers.map(team => team.id)).toEqual(['a1', 'b1', 'a2', 'b2']);
+        // Group winners meet the other group's runner-up in the semi-finals
+        expect(matches.map(m => [m.team_a, m.team_b].sort())).toEqual([['a1', 'b2'], ['a2', 'b1']]);
+        matches.forEach(m => expect(m).toMatchObject({ bracket_round: 1, status: 'scheduled', venue: 'Pitch 2' }));
+        expect(matches.map(m => m.match_number)).toEqual([7, 8]);
+        expect(event.knockout_bracket).toHaveLength(3);
+        expect(event.knockout_bracket.filter(n => n.round_number === 1).map(n => n.match_id)).toEqual(['k0', 'k1']);
+        expect(event.save).toHaveBeenCalled();
+    });
+
+    test('does nothing once the bracket exists', async () => {
+        const event = groupsEvent();
+        event.knockout_bracket = knockoutEvent().knockout_bracket;
+        Event.findById.mockReturnValue(query(event));
+
+        expect(await bracketService.startKnockoutFromGroups(groupMatch)).toBeNull();
+        expect(Match.countDocuments).not.toHaveBeenCalled();
+    });
+});
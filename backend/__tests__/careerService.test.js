@@ -0,0 +1,118 @@
+const career = require('../services/careerService');
+
+const PLAYER = 'p1';
+
+const teams = [
+    {
+        _id: 't1',
+        name: 'Rovers',
+        sport_type: 'Football',
+        archived_at: new Date('2025-03-01'),
+        members: [],
+        former_members: [
+            { player_id: PLAYER, joined_date: new Date('2024-02-01'), left_date: new Date('2024-11-30'), role: 'player' }
+        ]
+    },
+    {
+        _id: 't2',
+        name: 'United',
+        sport_type: 'Football',
+        archived_at: null,
+        members: [
+            { player_id: PLAYER, joined_date: new Date('2025-01-10'), status: 'active', role: 'captain' },
+            { player_id: 'p2', joined_date: new Date('2025-01-01'), status: 'active' }
+        ],
+        former_members: []
+    }
+];
+
+describe('getMemberships', () => {
+    test('includes teams the player left and archived teams', () => {
+        expect(career.getMemberships(teams, PLAYER)).toEqual([
+            {
+                team_id: 't1', team_name: 'Rovers', sport: 'Football', archived_at: new Date('2025-03-01'),
+                role: 'player', joined_at: new Date('2024-02-01'), left_at: new Date('2024-11-30'), current: false
+            },
+            {
+                team_id: 't2', team_name: 'United', sport: 'Football', archived_at: null,
+                role: 'captain', joined_at: new Date('2025-01-10'), left_at: null, current: true
+            }
+        ]);
+    });
+});
+
+describe('careerEvents and matchForPlayer', () => {
+    const memberships = career.getMemberships(teams, PLAYER);
+
+    test('keeps accepted events played while the player was on the team', () => {
+        const events = [
+            { id: 'e1', name: 'Spring Cup', event_date: new Date('2024-04-01'), team_id: 't1', team_name: 'Rovers',
+                status: 'completed', registration_status: 'approved', champion_team_id: 't1' },
+            { id: 'e2', name: 'Winter Cup', event_date: new Date('2024-12-15'), team_id: 't1', team_name: 'Rovers',
+                status: 'completed', registration_status: 'approved' },
+            { id: 'e3', name: 'League', event_date: new Date('2025-05-01'), team_id: 't2', team_name: 'United',
+                status: 'upcoming', registration_status: 'pending' }
+        ];
+        expect(career.careerEvents(events, memberships).map(event => [event.event_id, event.champion]))
+            .toEqual([['e1', true]]);
+    });
+
+    test('takes the side from the stat line or the team at the time', () => {
+        const match = {
+            _id: 'm1', team_a: 't3', team_b: 't2', team_a_name: 'City', team_b_name: 'United',
+            score_a: 1, score_b: 3, match_date: new Date('2025-02-01'), winner: null,
+            player_stats: [{ player_id: PLAYER, team_id: 't2', stats: { goals: 2 } }]
+        };
+        expect(career.matchForPlayer(match, PLAYER, memberships)).toMatchObject({
+            team_name: 'United', opponent: 'City', score_for: 3, score_against: 1, outcome: 'win', sport: 'Football',
+            stats: { goals: 2 }
+        });
+        expect(career.matchForPlayer({ ...match, player_stats: [], match_date: new Date('2024-12-20') }, PLAYER, memberships))
+            .toBeNull();
+    });
+});
+
+describe('timeline and seasons', () => {
+    const memberships = career.getMemberships(teams, PLAYER);
+    const events = [{ event_id: 'e1', name: 'Spring Cup', date: new Date('2024-04-01'), team_name: 'Rovers', champion: true }];
+    const matches = [
+        { match_id: 'm1', date: new Date('2024-04-01'), sport: 'Football', outcome: 'win', stats: { goals: 1 } },
+        { match_id: 'm2', date: new Date('2025-02-01'), sport: 'Football', outcome: 'draw', stats: null }
+    ];
+
+    test('orders entries by date and joins before playing', () => {
+        const timeline = career.buildTimeline({ memberships, events, matches });
+        expect(timeline.map(entry => [entry.type, entry.season])).toEqual([
+            ['joined_team', '2024'],
+            ['event', '2024'],
+            ['match', '2024'],
+            ['left_team', '2024'],
+            ['joined_team', '2025'],
+            ['match', '2025'],
+            ['team_archived', '2025']
+        ]);
+    });
+
+    test('summarizes each season newest first', () => {
+        const seasons = career.summarizeSeasons({ memberships, events, matches }, new Date('2026-06-01'));
+        expect(seasons.map(s => [s.season, s.teams, s.events, s.championships, s.won, s.drawn])).toEqual([
+            ['2026', ['United'], 0, 0, 0, 0],
+            ['2025', ['United'], 0, 0, 0, 1],
+            ['2024', ['Rovers'], 1, 1, 1, 0]
+        ]);
+        expect(seasons.find(s => s.season === '2024').stats[0]).toMatchObject({
+            sport: 'Football', matches: 1, totals: { goals: 1 }
+        });
+    });
+});
+
+describe('canPublishCareer', () => {
+    test('needs an active premium profile with the portfolio feature', () => {
+        const now = new Date('2026-06-01');
+        const premium = { isActive: true, features: { portfolio: true }, expiresAt: new Date('2026-12-31') };
+        expect(career.canPublishCareer({ premiumProfile: premium }, now)).toBe(true);
+        expect(career.canPublishCareer({ premiumProfile: { ...premium, expiresAt: new Date('2026-01-01') } }, now)).toBe(false);
+        expect(career.canPublishCareer({ premiumProfile: { ...premium, features: {} } }, now)).toBe(false);
+        expect(career.canPublishCareer({}, now)).toBe(false);
+    });
+});
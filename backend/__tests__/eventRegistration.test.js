@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { connectTestDB, disconnectTestDB, clearCollections } = require('./helpers/testServer');
+
+beforeAll(async () => {
+    await connectTestDB();
+});
+
+afterEach(async () => {
+    await clearCollections();
+});
+
+afterAll(async () => {
+    await disconnectTestDB();
+});
+
+async function createEvent(overrides = {}) {
+    const EventSchema = require('../models/schemas/eventSchema');
+    return EventSchema.create({
+        organizer_id: new mongoose.Types.ObjectId(),
+        title: 'Test Tournament',
+        description: 'Test event for registrations',
+        sport_type: 'Football',
+        event_date: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+        registration_deadline: new Date(Date.now() + 24 * 60 * 60 * 1000),
+        event_time: '10:00',
+        location: 'Test Ground',
+        max_teams: 4,
+        status: 'upcoming',
+        ...overrides
+    });
+}
+
+describe('Event.registerTeamForEvent', () => {
+    test('a paid registration is confirmed', async () => {
+        const Event = require('../models/event');
+        const event = await createEvent();
+        const teamId = new mongoose.Types.ObjectId();
+
+        const updated = await Event.registerTeamForEvent(event._id, {
+            team_id: teamId,
+            status: 'confirmed',
+            payment: { amount: 500, method: 'wallet', reference: 'REG_1' }
+        });
+
+        const registration = updated.team_registrations.find(reg => reg.team_id.equals(teamId));
+        expect(registration.status).toBe('confirmed');
+        expect(registration.payment.amount).toBe(500);
+    });
+
+    test('a team that withdrew and pays again is confirmed with the new payment', async () => {
+        const Event = require('../models/event');
+        const teamId = new mongoose.Types.ObjectId();
+        const withdrawnAt = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000);
+        const event = await createEvent({
+            team_registrations: [{
+                team_id: teamId,
+                registration_date: withdrawnAt,
+                status: 'cancelled',
+                notes: 'First attempt',
+                payment: { amount: 500, method: 'wallet', reference: 'REG_OLD', paid_at: withdrawnAt }
+            }]
+        });
+
+        const updated = await Event.registerTeamForEvent(event._id, {
+            team_id: teamId,
+            status: 'confirmed',
+            notes: 'Back in',
+            payment: { amount: 500, method: 'wallet', reference: 'REG_NEW' }
+        });
+
+        expect(updated.team_registrations).toHaveLength(1);
+        const registration = updated.team_registrations[0];
+        expect(registration.status).toBe('confirmed');
+        expect(registration.notes).toBe('Back in');
+        expect(registration.registration_date.getTime()).toBeGreaterThan(withdrawnAt.getTime());
+        expect(registration.payment.reference).toBe('REG_NEW');
+    });
+
+    test('a team that is still registered cannot register again', async () => {
+        const Event = require('../models/event');
+        const teamId = new mongoose.Types.ObjectId();
+        const event = await createEvent({
+            team_registrations: [{ team_id: teamId, status: 'approved' }]
+        });
+
+        await expect(Event.registerTeamForEvent(event._id, { team_id: teamId, status: 'confirmed' }))
+            .rejects.toThrow('Team is already registered for this event');
+    });
+});
@@ -0,0 +1,176 @@
+const fixtureService = require('../services/fixtureService');
+
+function makeTeams(count) {
+    return Array.from({ length: count }, (_, i) => ({ id: `team${i + 1}`, name: `Team ${i + 1}` }));
+}
+
+function pairKey(fixture) {
+    return [fixture.team_a, fixture.team_b].sort().join('-');
+}
+
+describe('generateRoundRobin', () => {
+    test('every pair meets exactly once with an even team count', () => {
+        const rounds = fixtureService.generateRoundRobin(makeTeams(6));
+        const fixtures = rounds.flatMap(r => r.fixtures);
+
+        expect(rounds).toHaveLength(5);
+        expect(fixtures).toHaveLength(15);
+        expect(new Set(fixtures.map(pairKey)).size).toBe(15);
+        rounds.forEach(round => {
+            const teamsInRound = round.fixtures.flatMap(f => [f.team_a, f.team_b]);
+            expect(new Set(teamsInRound).size).toBe(6);
+        });
+    });
+
+    test('one team sits out each round with an odd team count', () => {
+        const rounds = fixtureService.generateRoundRobin(makeTeams(5));
+        const fixtures = rounds.flatMap(r => r.fixtures);
+
+        expect(rounds).toHaveLength(5);
+        expect(fixtures).toHaveLength(10);
+        rounds.forEach(round => expect(round.fixtures).toHaveLength(2));
+    });
+
+    test('second leg reverses home and away', () => {
+        const rounds = fixtureService.generateRoundRobin(makeTeams(4), { legs: 2 });
+        const fixtures = rounds.flatMap(r => r.fixtures);
+        const directed = new Set(fixtures.map(f => `${f.team_a}>${f.team_b}`));
+
+        expect(rounds).toHaveLength(6);
+        expect(fixtures).toHaveLength(12);
+        expect(directed.size).toBe(12);
+        expect(fixtures.map(f => f.match_number)).toEqual(Array.from({ length: 12 }, (_, i) => i + 1));
+    });
+});
+
+describe('generateKnockout', () => {
+    test('seeds a full bracket without byes', () => {
+        const { rounds, byes, bracketSize } = fixtureService.generateKnockout(makeTeams(8));
+
+        expect(bracketSize).toBe(8);
+        expect(byes).toHaveLength(0);
+        expect(rounds).toHaveLength(1);
+        expect(rounds[0].name).toBe('Quarter Final');
+        expect(rounds[0].fixtures.map(f => [f.team_a, f.team_b])).toEqual([
+            ['team1', 'team8'],
+            ['team4', 'team5'],
+            ['team2', 'team7'],
+            ['team3', 'team6']
+        ]);
+    });
+
+    test('gives byes to the top seeds instead of dropping teams', () => {
+        const { rounds, byes } = fixtureService.generateKnockout(makeTeams(5));
+
+        expect(byes.map(t => t.id)).toEqual(['team1', 'team2', 'team3']);
+        expect(rounds[0].fixtures.map(f => [f.team_a, f.team_b])).toEqual([['team4', 'team5']]);
+        // Seeds 2 and 3 both had byes, so their semi final is already known
+        expect(rounds[1].name).toBe('Semi Final');
+        expect(rounds[1].fixtures.map(f => [f.team_a, f.team_b])).toEqual([['team2', 'team3']]);
+
+        const scheduled = new Set([
+            ...byes.map(t => t.id),
+            ...rounds[0].fixtures.flatMap(f => [f.team_a, f.team_b])
+        ]);
+        expect(scheduled.size).toBe(5);
+    });
+});
+
+describe('knockout bracket', () => {
+    test('links every node to the slot its winner moves into', () => {
+        const { bracket } = fixtureService.generateKnockout(makeTeams(8));
+
+        expect(bracket).toHaveLength(7);
+        const final = fixtureService.findBracketNode(bracket, 3, 0);
+        expect(final.round_name).toBe('Final');
+        expect(final.next_position).toBeNull();
+
+        const secondQuarter = fixtureService.findBracketNode(bracket, 1, 1);
+        expect(secondQuarter.next_position).toBe(0);
+        expect(secondQuarter.next_slot).toBe('team_b');
+    });
+
+    test('advances bye teams into the next round', () => {
+        const { bracket, rounds } = fixtureService.generateKnockout(makeTeams(3));
+        const final = fixtureService.findBracketNode(bracket, 2, 0);
+
+        expect(fixtureService.findBracketNode(bracket, 1, 0).is_bye).toBe(true);
+        expect(final.team_a).toBe('team1');
+        expect(final.team_b).toBeNull();
+        expect(rounds[0].fixtures[0]).toMatchObject({ team_a: 'team2', team_b: 'team3', bracket_round: 1, bracket_position: 1 });
+        expect(fixtureService.findBracketNode(bracket, 1, 1).match_number).toBe(1);
+    });
+});
+
+describe('generateFixtures', () => {
+    test('is deterministic for the same input', () => {
+        const teams = makeTeams(7);
+        expect(fixtureService.generateFixtures('knockout', teams))
+            .toEqual(fixtureService.generateFixtures('knockout', teams));
+        expect(fixtureService.generateFixtures('league', teams))
+            .toEqual(fixtureService.generateFixtures('league', teams));
+    });
+
+    test('rejects unknown formats and too few teams', () => {
+        expect(() => fixtureService.generateFixtures('swiss', makeTeams(4))).toThrow('Unsupported tournament format');
+        expect(() => fixtureService.generateFixtures('knockout', makeTeams(1))).toThrow('At least 2 teams');
+    });
+});
+
+describe('groups-knockout', () => {
+    test('snake seeds teams across groups by rating', () => {
+        const teams = makeTeams(8).map((team, i) => ({ ...team, rating: i }));
+        const { groups, fixtures } = fixtureService.generateFixtures('groups-knockout', teams, { groupCount: 2 });
+
+        // Highest rating (team8) is seed 1
+        expect(groups.map(g => g.teams.map(t => t.id))).toEqual([
+            ['team8', 'team5', 'team4', 'team1'],
+            ['team7', 'team6', 'team3', 'team2']
+        ]);
+        expect(fixtures).toHaveLength(12);
+        fixtures.forEach(fixture => {
+            const group = groups.find(g => g.name === fixture.group);
+            expect(group.teams.map(t => t.id)).toEqual(expect.arrayContaining([fixture.team_a, fixture.team_b]));
+        });
+    });
+
+    test('uses manual groups and rejects teams that are left out', () => {
+        const teams = makeTeams(4);
+        const { groups } = fixtureService.generateFixtures('groups-knockout', teams, {
+            groups: [['team1', 'team3'], ['team2', 'team4']]
+        });
+        expect(groups.map(g => g.name)).toEqual(['Group A', 'Group B']);
+
+        expect(() => fixtureService.generateFixtures('groups-knockout', teams, {
+            groups: [['team1', 'team3'], ['team2']]
+        })).toThrow('Teams not placed in a group: Team 4');
+    });
+
+    test('keeps group rivals apart in the first knockout round', () => {
+        const standings = ['A', 'B', 'C'].map(letter => ({
+            name: `Group ${letter}`,
+            standings: [1, 2].map(pos => ({ team_id: `${letter}${pos}`, team_name: `${letter}${pos}` }))
+        }));
+
+        const seeds = fixtureService.seedGroupQualifiers(standings, 2);
+        expect(seeds.slice(0, 3).map(s => s.id)).toEqual(['A1', 'B1', 'C1']);
+
+        const { rounds } = fixtureService.generateKnockout(seeds);
+        rounds[0].fixtures.forEach(fixture => {
+            expect(fixture.team_a[0]).not.toBe(fixture.team_b[0]);
+        });
+    });
+});
+
+describe('getSchedulableTeams', () => {
+    test('keeps approved/confirmed teams in registration order', () => {
+        const teams = fixtureService.getSchedulableTeams([
+            { team_id: 'b', team_name: 'B', status: 'confirmed', registration_date: new Date('2026-01-02') },
+            { team_id: 'c', team_name: 'C', status: 'pending', registration_date: new Date('2026-01-01') },
+            { team_id: 'a', team_name: 'A', status: 'approved', registration_date: new Date('2026-01-03') },
+            { team_id: 'd', team_name: 'D', status: 'approved', registration_date: new Date('2026-01-02') }
+        ]);
+
+        expect(teams.map(t => t.id)).toEqual(['b', 'd', 'a']);
+    });
+});
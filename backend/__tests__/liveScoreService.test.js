@@ -0,0 +1,42 @@
+const liveScoreService = require('../services/liveScoreService');
+
+describe('applyLiveEvent', () => {
+    test('starts only scheduled matches and scores only live ones', () => {
+        expect(liveScoreService.applyLiveEvent({ status: 'scheduled' }, { type: 'start', period: '1st Half' }))
+            .toEqual({ error: null, score_a: 0, score_b: 0, period: '1st Half' });
+        expect(liveScoreService.applyLiveEvent({ status: 'verified' }, { type: 'start' }).error)
+            .toBe('Cannot start a match with status: verified');
+        expect(liveScoreService.applyLiveEvent({ status: 'scheduled' }, { type: 'score', team: 'team_a' }).error)
+            .toBe('Match is not live');
+    });
+
+    test('adds points, allows corrections and never goes below zero', () => {
+        const match = { status: 'live', score_a: 2, score_b: 1 };
+
+        expect(liveScoreService.applyLiveEvent(match, { type: 'score', team: 'team_a' }))
+            .toEqual({ error: null, score_a: 3, score_b: 1 });
+        expect(liveScoreService.applyLiveEvent(match, { type: 'score', team: 'team_b', points: -1 }))
+            .toEqual({ error: null, score_a: 2, score_b: 0 });
+        expect(liveScoreService.applyLiveEvent(match, { type: 'score', team: 'team_b', points: -2 }).error)
+            .toBe('Score cannot go below zero');
+        expect(liveScoreService.applyLiveEvent(match, { type: 'score', team: 'team_c' }).error)
+            .toBe('team must be team_a or team_b');
+        expect(liveScoreService.applyLiveEvent(match, { type: 'period', period: ' ' }).error)
+            .toBe('period is required');
+    });
+});
+
+describe('publish / subscribe', () => {
+    test('delivers an update once to a subscriber of several of its channels', () => {
+        const received = [];
+        const unsubscribe = liveScoreService.subscribe(['team:a', 'event:e'], payload => received.push(payload));
+        const match = { _id: 'm1', team_a: 'a', team_b: 'b', event_id: 'e', status: 'live', score_a: 1, score_b: 0 };
+
+        liveScoreService.publish(match);
+        unsubscribe();
+        liveScoreService.publish(match);
+
+        expect(received).toHaveLength(1);
+        expect(received[0]).toMatchObject({ match_id: 'm1', score_a: 1, score_b: 0, status: 'live' });
+    });
+});
@@ -0,0 +1,102 @@
+const profileSports = require('../services/playerProfileService');
+
+describe('getSportEntries', () => {
+    test('reads a single-sport profile as one entry', () => {
+        expect(profileSports.getSportEntries({
+            sport: 'Football',
+            position: 'Striker',
+            skill_level: 'Beginner',
+            stats: { games_played: 4, goals: 2 }
+        })).toEqual([{
+            sport: 'Football',
+            position: 'Striker',
+            skill_level: 'beginner',
+            years_experience: 0,
+            stats: { games_played: 4, goals: 2 }
+        }]);
+        expect(profileSports.getSportEntries({ sport: 'Football', sports: [{ sport: 'Cricket' }] }))
+            .toEqual([{ sport: 'Cricket' }]);
+        expect(profileSports.getSportEntries(null)).toEqual([]);
+    });
+});
+
+describe('validateSportEntry', () => {
+    test('needs a sport and checks skill level and experience', () => {
+        expect(profileSports.validateSportEntry({}).error).toMatch(/sport/);
+        expect(profileSports.validateSportEntry({ sport: 'Tennis', skill_level: 'pro' }).error)
+            .toMatch(/skill_level must be one of/);
+        expect(profileSports.validateSportEntry({ sport: 'Tennis', years_experience: '2.5' }).error)
+            .toMatch(/whole number/);
+        expect(profileSports.validateSportEntry({
+            sport: ' Tennis ',
+            position: 'Singles',
+            skill_level: 'Advanced',
+            years_experience: '3'
+        })).toEqual({
+            error: null,
+            entry: { sport: 'Tennis', position: 'Singles', skill_level: 'advanced', years_experience: 3 }
+        });
+    });
+});
+
+describe('upsertSportEntry and removeSportEntry', () => {
+    test('updates a sport in place and keeps its stats', () => {
+        const profile = { sports: [{ sport: 'Football', position: '', stats: { games_played: 3 } }] };
+        const now = new Date('2026-01-01T00:00:00Z');
+        expect(profileSports.upsertSportEntry(profile, {
+            sport: 'football', position: 'Defender', skill_level: 'intermediate', years_experience: 2
+        }, now)).toBeNull();
+        expect(profile.sports).toEqual([{
+            sport: 'Football',
+            position: 'Defender',
+            skill_level: 'intermediate',
+            years_experience: 2,
+            stats: { games_played: 3 },
+            updated_at: now
+        }]);
+    });
+
+    test('limits the number of sports', () => {
+        const profile = { sports: [] };
+        for (let i = 0; i < profileSports.MAX_SPORTS; i++) {
+            expect(profileSports.upsertSportEntry(profile, { sport: `Sport ${i}` })).toBeNull();
+        }
+        expect(profileSports.upsertSportEntry(profile, { sport: 'One more' })).toMatch(/at most/);
+    });
+
+    test('only removes sports without recorded games', () => {
+        const profile = {
+            sports: [
+                { sport: 'Football', stats: { games_played: 2 } },
+                { sport: 'Tennis', stats: { games_played: 0 } }
+            ]
+        };
+        expect(profileSports.removeSportEntry(profile, 'football')).toMatch(/recorded games/);
+        expect(profileSports.removeSportEntry(profile, 'Cricket')).toMatch(/not found/);
+        expect(profileSports.removeSportEntry(profile, 'tennis')).toBeNull();
+        expect(profile.sports.map(entry => entry.sport)).toEqual(['Football']);
+    });
+});
+
+describe('migrateProfile', () => {
+    test('keeps the single sport and adds the other preferred sports', () => {
+        expect(profileSports.migrateProfile(
+            { sport: 'Cricket', position: 'Bowler', stats: { games_played: 1, wickets: 2 } },
+            'cricket, Football,, Tennis'
+        )).toEqual({
+            changed: true,
+            sports: [
+                {
+                    sport: 'Cricket',
+                    position: 'Bowler',
+                    skill_level: '',
+                    years_experience: 0,
+                    stats: { games_played: 1, wickets: 2 }
+                },
+                { sport: 'Football', position: '', skill_level: '', years_experience: 0 },
+                { sport: 'Tennis', position: '', skill_level: '', years_experience: 0 }
+            ]
+        });
+        expect(profileSports.migrateProfile({ sports: [{ sport: 'Tennis' }] }, 'Football').changed).toBe(false);
+    });
+});
@@ -0,0 +1,93 @@
+const playerStatsService = require('../services/playerStatsService');
+
+const rosters = { teamA: ['p1', 'p2'], teamB: ['p3'] };
+
+describe('parsePlayerStats', () => {
+    test('keeps only the fields of the sport stat sheet', () => {
+        const { lines, error } = playerStatsService.parsePlayerStats([
+            { player_id: 'p1', team_id: 'teamA', stats: { goals: 2, assists: '1', runs: 40 } },
+            { player_id: 'p3', team_id: 'teamB', stats: { yellow_cards: 1 } }
+        ], 'Football', rosters);
+
+        expect(error).toBeNull();
+        expect(lines).toEqual([
+            { player_id: 'p1', team_id: 'teamA', stats: { goals: 2, assists: 1 } },
+            { player_id: 'p3', team_id: 'teamB', stats: { yellow_cards: 1 } }
+        ]);
+    });
+
+    test('rejects players outside the roster, duplicates and invalid values', () => {
+        const parse = lines => playerStatsService.parsePlayerStats(lines, 'Cricket', rosters).error;
+
+        expect(parse([{ player_id: 'p3', team_id: 'teamA', stats: {} }])).toMatch(/not on the team's roster/);
+        expect(parse([
+            { player_id: 'p1', team_id: 'teamA', stats: {} },
+            { player_id: 'p1', team_id: 'teamA', stats: {} }
+        ])).toMatch(/only have one stat line/);
+        expect(parse([{ player_id: 'p1', team_id: 'teamA', stats: { overs: 3.7 } }])).toBe('Invalid overs bowled for player p1');
+        expect(parse([{ player_id: 'p1', team_id: 'teamA', stats: { wickets: 11 } }])).toBe('Invalid wickets for player p1');
+        expect(playerStatsService.parsePlayerStats(undefined, 'Cricket', rosters)).toEqual({ lines: [], error: null });
+    });
+});
+
+describe('sumStatLines', () => {
+    test('adds overs ball by ball', () => {
+        const totals = playerStatsService.sumStatLines([
+            { stats: { runs: 30, balls: 20, overs: 2.4 } },
+            { stats: new Map([['runs', 12], ['wickets', 2], ['overs', 1.3]]) }
+        ], 'Cricket');
+
+        expect(totals).toEqual({ runs: 42, balls: 20, wickets: 2, overs: 4.1, runs_conceded: 0 });
+    });
+
+    test('builds profile increments with overs stored as balls', () => {
+        expect(playerStatsService.toProfileIncrements({ wickets: 1, overs: 4 })).toEqual({
+            'stats.games_played': 1,
+            'stats.wickets': 1,
+            'stats.balls_bowled': 24
+        });
+    });
+});
+
+describe('computeAwards', () => {
+    const line = (playerId, teamId, stats) => ({ player_id: playerId, team_id: teamId, stats });
+
+    test('ranks cricket batting, bowling figures and MVP votes', () => {
+        const matches = [
+            {
+                _id: 'm1',
+                player_stats: [
+                    line('p1', 'teamA', { runs: 45, wickets: 1, runs_conceded: 30 }),
+                    line('p3', 'teamB', { runs: 60, wickets: 3, runs_conceded: 28 })
+                ],
+                mvp_votes: [{ player_id: 'p3', player_team_id: 'teamB' }, { player_id: 'p3', player_team_id: 'teamB' }]
+            },
+            {
+                _id: 'm2',
+                player_stats: [
+                    line('p1', 'teamA', { runs: 30, wickets: 3, runs_conceded: 18 })
+                ],
+                mvp_votes: [{ player_id: 'p1', player_team_id: 'teamA' }]
+            }
+        ];
+
+        const awards = playerStatsService.computeAwards(matches, 'Cricket');
+        const byKey = Object.fromEntries(awards.map(award => [award.key, award.entries]));
+
+        expect(awards.map(award => award.key)).toEqual(['top_scorer', 'most_wickets', 'best_bowling', 'mvp']);
+        expect(byKey.top_scorer.map(e => [e.player_id, e.value])).toEqual([['p1', 75], ['p3', 60]]);
+        expect(byKey.most_wickets.map(e => [e.player_id, e.value])).toEqual([['p1', 4], ['p3', 3]]);
+        expect(byKey.best_bowling.map(e => e.figures)).toEqual(['3/18', '3/28', '1/30']);
+        expect(byKey.mvp.map(e => [e.player_id, e.value])).toEqual([['p3', 2], ['p1', 1]]);
+    });
+
+    test('uses goals and assists for football', () => {
+        const awards = playerStatsService.computeAwards([
+            { player_stats: [line('p1', 'teamA', { goals: 2, assists: 0 })] }
+        ], 'Football');
+
+        expect(awards.map(award => award.key)).toEqual(['top_scorer', 'most_assists', 'mvp']);
+        expect(awards[0]).toMatchObject({ stat: 'goals', entries: [{ player_id: 'p1', value: 2, matches: 1 }] });
+        expect(awards[1].entries).toEqual([]);
+    });
+});
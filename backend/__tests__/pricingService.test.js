@@ -0,0 +1,143 @@
+const pricing = require('../services/pricingService');
+
+const NOW = new Date('2026-05-01T12:00:00Z');
+
+const tiers = [
+    { name: 'Regular', price: 1000, ends_at: new Date('2026-05-20') },
+    { name: 'Late', price: 1200, ends_at: null },
+    { name: 'Early bird', price: 800, ends_at: new Date('2026-04-15') }
+];
+
+const promo = (extra = {}) => ({
+    code: 'SUMMER10',
+    discount_type: 'percent',
+    discount_value: 10,
+    max_uses: 5,
+    uses: 0,
+    expires_at: null,
+    active: true,
+    ...extra
+});
+
+const event = (extra = {}) => ({
+    title: 'Summer Cup',
+    entry_fee: 900,
+    price_tiers: tiers,
+    returning_team_discount: 20,
+    promo_codes: [promo(), promo({ code: 'FLAT300', discount_type: 'fixed', discount_value: 300, max_uses: null })],
+    ...extra
+});
+
+describe('validatePriceTiers', () => {
+    test('sorts tiers by end date with the open tier last', () => {
+        const { error, tiers: sorted } = pricing.validatePriceTiers(tiers);
+        expect(error).toBeNull();
+        expect(sorted.map(t => t.name)).toEqual(['Early bird', 'Regular', 'Late']);
+        expect(pricing.validatePriceTiers([]).tiers).toEqual([]);
+    });
+
+    test('rejects bad tiers', () => {
+        expect(pricing.validatePriceTiers('cheap').error).toMatch(/must be a list/);
+        expect(pricing.validatePriceTiers([{ name: '', price: 10 }]).error).toMatch(/needs a name/);
+        expect(pricing.validatePriceTiers([{ name: 'A', price: -1 }]).error).toMatch(/zero or more/);
+        expect(pricing.validatePriceTiers([{ name: 'A', price: 1, ends_at: 'soon' }]).error).toMatch(/not a valid date/);
+        expect(pricing.validatePriceTiers([{ name: 'A', price: 1 }, { name: 'B', price: 2 }]).error)
+            .toMatch(/Only one price tier/);
+        expect(pricing.validatePriceTiers(Array(6).fill({ name: 'A', price: 1 })).error).toMatch(/at most 5/);
+    });
+});
+
+describe('currentTier', () => {
+    test('picks the first tier that has not ended', () => {
+        expect(pricing.currentTier(event(), new Date('2026-04-01')).name).toBe('Early bird');
+        expect(pricing.currentTier(event(), NOW)).toEqual({ name: 'Regular', price: 1000, ends_at: tiers[0].ends_at });
+        expect(pricing.currentTier(event(), new Date('2026-05-25')).price).toBe(1200);
+    });
+
+    test('keeps the last price once every tier has ended and falls back to the entry fee', () => {
+        const closed = event({ price_tiers: [tiers[0], tiers[2]] });
+        expect(pricing.currentTier(closed, new Date('2026-06-01')).name).toBe('Regular');
+        expect(pricing.currentTier(event({ price_tiers: [] }), NOW)).toEqual({ name: 'Standard', price: 900, ends_at: null });
+    });
+});
+
+describe('validatePromoCode', () => {
+    test('normalises a valid code', () => {
+        expect(pricing.validatePromoCode({ code: ' early-5 ', discount_type: 'fixed', discount_value: '50', max_uses: '3' }, [], NOW))
+            .toEqual({
+                error: null,
+                promo: { code: 'EARLY-5', discount_type: 'fixed', discount_value: 50, max_uses: 3, expires_at: null }
+            });
+    });
+
+    test('rejects duplicates and bad values', () => {
+        const existing = event().promo_codes;
+        expect(pricing.validatePromoCode({ code: 'summer10', discount_value: 5 }, existing, NOW).error).toMatch(/already has/);
+        expect(pricing.validatePromoCode({ code: 'A!', discount_value: 5 }, [], NOW).error).toMatch(/3 to 20/);
+        expect(pricing.validatePromoCode({ code: 'HALF', discount_value: 150 }, [], NOW).error).toMatch(/between 1 and 100/);
+        expect(pricing.validatePromoCode({ code: 'HALF', discount_value: 50, max_uses: 0 }, [], NOW).error).toMatch(/at least 1/);
+        expect(pricing.validatePromoCode({ code: 'HALF', discount_value: 50, expires_at: '2026-04-01' }, [], NOW).error)
+            .toMatch(/in the future/);
+    });
+});
+
+describe('quotePrice', () => {
+    test('applies the returning discount before the promo code', () => {
+        expect(pricing.quotePrice(event(), { returning: true, promoCode: 'summer10', now: NOW })).toEqual({
+            error: null,
+            amount: 720,
+            list_price: 1000,
+            price_tier: 'Regular',
+            returning_discount: 200,
+            promo_discount: 80,
+            discount: 280,
+            promo_code: 'SUMMER10'
+        });
+        expect(pricing.quotePrice(event(), { now: NOW }).amount).toBe(1000);
+    });
+
+    test('never takes a fixed discount below zero', () => {
+        const cheap = event({ price_tiers: [], entry_fee: 200 });
+        expect(pricing.quotePrice(cheap, { promoCode: 'FLAT300', now: NOW })).toMatchObject({ amount: 0, promo_discount: 200 });
+    });
+
+    test('refuses codes that cannot be used', () => {
+        const e = event({
+            promo_codes: [
+                promo({ code: 'GONE', uses: 5 }),
+                promo({ code: 'OLD', expires_at: new Date('2026-04-01') }),
+                promo({ code: 'OFF', active: false })
+            ]
+        });
+        expect(pricing.quotePrice(e, { promoCode: 'NOPE', now: NOW }).error).toMatch(/does not exist/);
+        expect(pricing.quotePrice(e, { promoCode: 'GONE', now: NOW }).error).toMatch(/usage limit/);
+        expect(pricing.quotePrice(e, { promoCode: 'OLD', now: NOW }).error).toMatch(/expired/);
+        expect(pricing.quotePrice(e, { promoCode: 'OFF', now: NOW }).error).toMatch(/no longer available/);
+    });
+});
+
+describe('redemptionStats', () => {
+    test('totals the registrations that used each code', () => {
+        const e = event({
+            promo_codes: [promo({ uses: 2 })],
+            team_registrations: [
+                { payment: { amount: 900, promo_code: 'SUMMER10', promo_discount: 100 } },
+                { payment: { amount: 900, promo_code: 'SUMMER10', promo_discount: 100, refunded_amount: 450 } },
+                { payment: { amount: 1000 } }
+            ]
+        });
+        expect(pricing.redemptionStats(e, NOW)).toEqual([{
+            code: 'SUMMER10',
+            discount_type: 'percent',
+            discount_value: 10,
+            max_uses: 5,
+            uses: 2,
+            remaining: 3,
+            expires_at: null,
+            status: 'active',
+            registrations: 2,
+            discount_given: 200,
+            revenue: 1350
+        }]);
+    });
+});
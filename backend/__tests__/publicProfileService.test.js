@@ -0,0 +1,80 @@
+const publicProfile = require('../services/publicProfileService');
+
+describe('validateSlug', () => {
+    test('normalizes what the player typed', () => {
+        expect(publicProfile.validateSlug('  Alex Striker_10! ')).toEqual({ error: null, slug: 'alex-striker-10' });
+    });
+
+    test('rejects short, long and reserved slugs', () => {
+        expect(publicProfile.validateSlug('ab').error).toMatch(/3 to 30/);
+        expect(publicProfile.validateSlug('a'.repeat(31)).error).toMatch(/3 to 30/);
+        expect(publicProfile.validateSlug('Admin').error).toBe('That profile URL is reserved');
+    });
+});
+
+describe('rotateSlugs', () => {
+    test('keeps the replaced slug first and drops the new one', () => {
+        expect(publicProfile.rotateSlugs(['old-b', 'new'], 'old-a', 'new')).toEqual(['old-a', 'old-b']);
+        expect(publicProfile.rotateSlugs([], null, 'first')).toEqual([]);
+    });
+
+    test('keeps at most five', () => {
+        expect(publicProfile.rotateSlugs(['b', 'c', 'd', 'e', 'f'], 'a', 'g')).toEqual(['a', 'b', 'c', 'd', 'e']);
+    });
+});
+
+describe('canViewProfile', () => {
+    const premium = { isActive: true, expiresAt: new Date(Date.now() + 86400000) };
+    const owner = visibility => ({ _id: 'u1', premiumProfile: { ...premium, visibility } });
+
+    test('lets the owner see any visibility', () => {
+        expect(publicProfile.canViewProfile(owner('private'), { _id: 'u1' })).toBe(true);
+    });
+
+    test('applies visibility to everyone else', () => {
+        expect(publicProfile.canViewProfile(owner('public'), null)).toBe(true);
+        expect(publicProfile.canViewProfile(owner('private'), { _id: 'u2', premiumProfile: premium })).toBe(false);
+        expect(publicProfile.canViewProfile(owner('premium'), null)).toBe(false);
+        expect(publicProfile.canViewProfile(owner('premium'), { _id: 'u2' })).toBe(false);
+        expect(publicProfile.canViewProfile(owner('premium'), { _id: 'u2', premiumProfile: premium })).toBe(true);
+    });
+});
+
+describe('validateSettings', () => {
+    test('splits lists by line and defaults to public', () => {
+        expect(publicProfile.validateSettings({ achievements: 'MVP 2024\n\n  Golden Boot ', videos: ['https://youtu.be/x'] }))
+            .toEqual({
+                error: null,
+                settings: { visibility: 'public', achievements: ['MVP 2024', 'Golden Boot'], videos: ['https://youtu.be/x'] }
+            });
+    });
+
+    test('rejects unknown visibility, non-http videos and long lists', () => {
+        expect(publicProfile.validateSettings({ visibility: 'friends' }).error).toMatch(/visibility/);
+        expect(publicProfile.validateSettings({ videos: 'javascript:alert(1)' }).error).toMatch(/http/);
+        expect(publicProfile.validateSettings({ achievements: Array(21).fill('Cup') }).error).toMatch(/at most 20/);
+    });
+});
+
+describe('openGraph and renderShareHtml', () => {
+    const profile = { first_name: 'Sam', last_name: 'Lee', bio: '', sports: [{ sport: 'Football' }, { sport: 'Tennis' }] };
+
+    test('describes the player from their sports when there is no bio', () => {
+        const tags = publicProfile.openGraph(profile, 'https://app/p/sam', null);
+        expect(tags).toMatchObject({
+            'og:title': 'Sam Lee | SportsAmigo',
+            'og:description': 'Sam Lee plays Football, Tennis on SportsAmigo',
+            'og:url': 'https://app/p/sam',
+            'twitter:card': 'summary'
+        });
+        expect(tags['og:image']).toBeUndefined();
+    });
+
+    test('escapes tag content in the share page', () => {
+        const tags = publicProfile.openGraph({ ...profile, bio: '"><script>x</script>' }, 'https://app/p/sam', null);
+        const html = publicProfile.renderShareHtml(tags, 'https://app/p/sam');
+        expect(html).not.toContain('<script>');
+        expect(html).toContain('property="og:description" content="&quot;&gt;&lt;script&gt;');
+        expect(html).toContain('url=https://app/p/sam');
+    });
+});
@@ -0,0 +1,87 @@
+const rating = require('../services/ratingService');
+
+const makeTeam = (id, ratings = []) => ({
+    _id: id,
+    sport_type: 'Football',
+    rating: ratings.length ? ratings[0].rating : undefined,
+    ratings,
+    rating_history: []
+});
+
+describe('expectedScore', () => {
+    test('is even between equal teams and favours the stronger one', () => {
+        expect(rating.expectedScore(1500, 1500)).toBe(0.5);
+        expect(rating.expectedScore(1700, 1500)).toBeCloseTo(0.76, 2);
+        expect(rating.expectedScore(1700, 1500) + rating.expectedScore(1500, 1700)).toBeCloseTo(1, 10);
+    });
+});
+
+describe('applyMatchRatings', () => {
+    const now = new Date('2026-06-01T10:00:00Z');
+
+    test('moves new teams faster and records history on both sides', () => {
+        const teamA = makeTeam('a');
+        const teamB = makeTeam('b');
+        const changes = rating.applyMatchRatings(teamA, teamB, { _id: 'm1', score_a: 2, score_b: 0 }, now);
+
+        expect(changes).toEqual({
+            team_a: { before: 1500, after: 1524, change: 24 },
+            team_b: { before: 1500, after: 1476, change: -24 }
+        });
+        expect(teamA.rating).toBe(1524);
+        expect(teamA.ratings).toEqual([{ sport: 'football', rating: 1524, matches: 1, updated_at: now }]);
+        expect(teamB.rating_history).toEqual([{
+            sport: 'football',
+            match_id: 'm1',
+            opponent_id: 'a',
+            result: 'loss',
+            rating_before: 1500,
+            rating_after: 1476,
+            change: -24,
+            recorded_at: now
+        }]);
+    });
+
+    test('settles established teams and rewards the underdog for a draw', () => {
+        const favourite = makeTeam('a', [{ sport: 'football', rating: 1700, matches: 30 }]);
+        const underdog = makeTeam('b', [{ sport: 'football', rating: 1500, matches: 30 }]);
+        const changes = rating.applyMatchRatings(favourite, underdog, { _id: 'm2', score_a: 1, score_b: 1 }, now);
+
+        expect(changes.team_a.change).toBe(-8);
+        expect(changes.team_b.change).toBe(8);
+        expect(favourite.rating_history[0].result).toBe('draw');
+        expect(rating.getRating(underdog)).toBe(1508);
+        expect(rating.getRating(underdog, 'Basketball')).toBe(rating.DEFAULT_RATING);
+    });
+});
+
+describe('isRatedMatch', () => {
+    const match = { status: 'verified', match_type: 'event', team_a: 'a', team_b: 'b' };
+
+    test('rates verified event matches once and skips friendlies', () => {
+        expect(rating.isRatedMatch(match)).toBe(true);
+        expect(rating.isRatedMatch({ ...match, rating_applied: true })).toBe(false);
+        expect(rating.isRatedMatch({ ...match, status: 'completed' })).toBe(false);
+        expect(rating.isRatedMatch({ ...match, match_type: 'friendly' })).toBe(false);
+    });
+});
+
+describe('rating filters', () => {
+    test('parse bounds and sort from the query', () => {
+        expect(rating.parseRatingFilter({ min_rating: '1400', sort: 'rating' }))
+            .toEqual({ error: null, min: 1400, max: null, sortByRating: true });
+        expect(rating.parseRatingFilter({ max_rating: 'high' }).error).toMatch(/Maximum rating must be/);
+        expect(rating.parseRatingFilter({ min_rating: 1800, max_rating: 1600 }).error).toMatch(/cannot be higher/);
+    });
+
+    test('count unrated teams as the default rating', () => {
+        const filter = { min: 1400, max: 1600 };
+        expect(rating.inRatingRange({}, filter)).toBe(true);
+        expect(rating.inRatingRange({ rating: 1650 }, filter)).toBe(false);
+        expect(rating.ratingQuery(filter)).toEqual({
+            $or: [{ rating: { $gte: 1400, $lte: 1600 } }, { rating: null }]
+        });
+        expect(rating.ratingQuery({ min: 1600, max: null })).toEqual({ rating: { $gte: 1600 } });
+        expect(rating.ratingQuery({ min: null, max: null })).toBeNull();
+    });
+});
@@ -0,0 +1,88 @@
+const recruitment = require('../services/recruitmentService');
+
+describe('validatePosting', () => {
+    test('cleans positions and checks the skill level', () => {
+        expect(recruitment.validatePosting({
+            positions: 'Striker, goalkeeper / striker',
+            skill_level: 'Intermediate',
+            area: ' Downtown ',
+            schedule: 'Weekday evenings'
+        })).toEqual({
+            error: null,
+            posting: {
+                positions: ['Striker', 'goalkeeper'],
+                skill_level: 'intermediate',
+                area: 'Downtown',
+                schedule: 'Weekday evenings',
+                description: ''
+            }
+        });
+        expect(recruitment.validatePosting({ positions: ['Wing'], skill_level: 'pro' }).error)
+            .toMatch(/skill_level must be one of/);
+        expect(recruitment.validatePosting({ area: 'Downtown' }).error).toMatch(/positions you need/);
+    });
+});
+
+describe('validateFreeAgent', () => {
+    test('needs a sport and splits profile and listing details', () => {
+        expect(recruitment.validateFreeAgent({ listed: true }).error).toMatch(/sport/);
+        expect(recruitment.validateFreeAgent({
+            listed: 'true',
+            sport: 'Football',
+            position: 'Striker,Winger',
+            skill_level: 'advanced',
+            schedule: 'Weekends'
+        })).toEqual({
+            error: null,
+            profile: { sport: 'Football', position: 'Striker, Winger', skill_level: 'advanced' },
+            freeAgent: { listed: true, area: '', schedule: 'Weekends', note: '' }
+        });
+    });
+});
+
+describe('matching', () => {
+    const posting = {
+        sport: 'Football',
+        positions: ['Goalkeeper', 'Defender'],
+        skill_level: 'intermediate',
+        area: 'North London',
+        schedule: 'Tuesday and Thursday evenings'
+    };
+
+    test('scores position, skill, area and schedule and skips other sports', () => {
+        expect(recruitment.matchScore(posting, {
+            sport: 'football',
+            position: 'Goalkeeper',
+            skill_level: 'intermediate',
+            area: 'north london',
+            schedule: 'Weekday evenings'
+        })).toEqual({
+            score: 100,
+            reasons: ['Plays a position the team needs', 'Skill level matches', 'Same area', 'Schedules overlap']
+        });
+        expect(recruitment.matchScore(posting, {
+            sport: 'Football',
+            position: 'Striker',
+            skill_level: 'advanced',
+            area: 'East London',
+            schedule: 'Saturday mornings'
+        })).toEqual({ score: 25, reasons: ['Skill level is close', 'Nearby area'] });
+        expect(recruitment.matchScore(posting, { sport: 'Cricket', position: 'Goalkeeper' })).toBeNull();
+    });
+
+    test('ranks both sides best fit first', () => {
+        const agents = [
+            { player_id: 'p1', sport: 'Football', position: 'Striker' },
+            { player_id: 'p2', sport: 'Football', position: 'Defender', skill_level: 'intermediate' },
+            { player_id: 'p3', sport: 'Tennis', position: 'Defender' }
+        ];
+        expect(recruitment.rankFreeAgents(posting, agents).map(agent => [agent.player_id, agent.match_score]))
+            .toEqual([['p2', 70], ['p1', 0]]);
+
+        const postings = [
+            { _id: 'a', sport: 'Football', positions: ['Striker'] },
+            { _id: 'b', sport: 'Football', positions: [] }
+        ];
+        expect(recruitment.rankPostings(agents[0], postings).map(p => p._id)).toEqual(['a', 'b']);
+    });
+});
@@ -0,0 +1,64 @@
+const refunds = require('../services/refundService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const EVENT_DATE = new Date('2026-06-01T10:00:00Z');
+const daysBefore = days => new Date(EVENT_DATE.getTime() - days * DAY);
+
+const event = (policy) => ({ title: 'Summer Cup', event_date: EVENT_DATE, refund_policy: policy });
+const payment = (extra = {}) => ({ amount: 1000, paid_at: new Date('2026-04-01'), ...extra });
+
+describe('validateRefundPolicy', () => {
+    test('fills blanks from the default policy', () => {
+        expect(refunds.validateRefundPolicy({ full_refund_days: '10', partial_refund_days: '' }))
+            .toEqual({ error: null, policy: { full_refund_days: 10, partial_refund_days: 2, partial_refund_percent: 50 } });
+        expect(refunds.validateRefundPolicy(undefined).policy).toEqual(refunds.DEFAULT_REFUND_POLICY);
+    });
+
+    test('rejects bad numbers and overlapping windows', () => {
+        expect(refunds.validateRefundPolicy({ full_refund_days: -1 }).error).toMatch(/between 0 and 365/);
+        expect(refunds.validateRefundPolicy({ full_refund_days: 2.5 }).error).toMatch(/whole numbers/);
+        expect(refunds.validateRefundPolicy({ partial_refund_percent: 120 }).error).toMatch(/between 0 and 100/);
+        expect(refunds.validateRefundPolicy({ full_refund_days: 3, partial_refund_days: 5 }).error).toMatch(/at least as early/);
+    });
+});
+
+describe('refundQuote', () => {
+    const policy = { full_refund_days: 7, partial_refund_days: 2, partial_refund_percent: 40 };
+
+    test('follows the policy for withdrawals', () => {
+        expect(refunds.refundQuote(event(policy), payment(), 'team_withdrawn', daysBefore(10)))
+            .toEqual({ amount: 1000, percent: 100, rule: 'full' });
+        expect(refunds.refundQuote(event(policy), payment(), 'team_withdrawn', daysBefore(7)).rule).toBe('full');
+        expect(refunds.refundQuote(event(policy), payment(), 'team_withdrawn', daysBefore(5)))
+            .toEqual({ amount: 400, percent: 40, rule: 'partial' });
+        expect(refunds.refundQuote(event(policy), payment(), 'team_withdrawn', daysBefore(1)))
+            .toEqual({ amount: 0, percent: 0, rule: 'none' });
+        expect(refunds.refundQuote(event(policy), payment(), 'team_withdrawn', new Date('2026-06-02')).rule).toBe('none');
+    });
+
+    test('refunds in full when the organizer cancels, even after the deadline', () => {
+        expect(refunds.refundQuote(event(policy), payment(), 'event_cancelled', daysBefore(1)))
+            .toEqual({ amount: 1000, percent: 100, rule: 'cancelled' });
+    });
+
+    test('never refunds unpaid or already refunded registrations', () => {
+        expect(refunds.refundQuote(event(policy), undefined, 'event_cancelled').rule).toBe('unpaid');
+        expect(refunds.refundQuote(event(policy), payment({ amount: 0 }), 'event_cancelled').rule).toBe('unpaid');
+        expect(refunds.refundQuote(event(policy), payment({ refunded_at: new Date() }), 'event_cancelled'))
+            .toEqual({ amount: 0, percent: 0, rule: 'refunded' });
+    });
+
+    test('uses the default policy for events that never set one', () => {
+        expect(refunds.refundQuote(event(undefined), payment({ amount: 999 }), 'team_withdrawn', daysBefore(3)))
+            .toEqual({ amount: 500, percent: 50, rule: 'partial' });
+    });
+});
+
+describe('describeRefundPolicy', () => {
+    test('summarises each window', () => {
+        expect(refunds.describeRefundPolicy(event({ full_refund_days: 14, partial_refund_days: 1, partial_refund_percent: 25 })))
+            .toBe('Full refund until 14 days before the event, 25% until 1 day before, no refund after that.');
+        expect(refunds.describeRefundPolicy(event({ full_refund_days: 3, partial_refund_days: 3, partial_refund_percent: 50 })))
+            .toBe('Full refund until 3 days before the event, no refund after that.');
+    });
+});
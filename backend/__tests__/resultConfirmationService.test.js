@@ -0,0 +1,62 @@
+const resultConfirmation = require('../services/resultConfirmationService');
+
+const match = { team_a: { _id: 'a' }, team_b: { _id: 'b' }, score_a: 2, score_b: 1 };
+
+describe('buildConfirmationRequest', () => {
+    test('asks the other team to confirm within the window', () => {
+        const now = new Date('2026-06-01T10:00:00Z');
+        const request = resultConfirmation.buildConfirmationRequest('b', match, 24, now);
+
+        expect(request).toMatchObject({ status: 'awaiting', submitted_by_team: 'b', awaiting_team: 'a' });
+        expect(request.due_at.toISOString()).toBe('2026-06-02T10:00:00.000Z');
+    });
+
+    test('results become overdue once the window has passed', () => {
+        const pending = {
+            status: 'pending',
+            confirmation: { status: 'awaiting', due_at: new Date('2026-06-02T10:00:00Z') }
+        };
+
+        expect(resultConfirmation.isConfirmationOverdue(pending, new Date('2026-06-02T09:59:00Z'))).toBe(false);
+        expect(resultConfirmation.isConfirmationOverdue(pending, new Date('2026-06-02T10:00:00Z'))).toBe(true);
+        expect(resultConfirmation.isReadyForVerification(pending)).toBe(false);
+        expect(resultConfirmation.isReadyForVerification({ status: 'pending' })).toBe(true);
+    });
+});
+
+describe('resolveRuling', () => {
+    const disputed = {
+        ...match,
+        dispute: {
+            claims: [
+                { kind: 'original', score_a: 2, score_b: 1 },
+                { kind: 'counter', score_a: 1, score_b: 1 }
+            ]
+        }
+    };
+
+    test('upholds a claim or sets a custom score', () => {
+        expect(resultConfirmation.resolveRuling(disputed, { decision: 'counter' }))
+            .toEqual({ error: null, replay: false, score_a: 1, score_b: 1, winner: 'draw' });
+        expect(resultConfirmation.resolveRuling(disputed, { decision: 'custom', score_a: 0, score_b: 3 }))
+            .toMatchObject({ score_a: 0, score_b: 3, winner: 'team_b' });
+        expect(resultConfirmation.resolveRuling(disputed, { decision: 'replay' }))
+            .toEqual({ error: null, replay: true });
+    });
+
+    test('rejects unknown decisions, missing claims and bad scores', () => {
+        expect(resultConfirmation.resolveRuling(disputed, { decision: 'coin_toss' }).error).toMatch(/decision must be one of/);
+        expect(resultConfirmation.resolveRuling({ dispute: { claims: [] } }, { decision: 'counter' }).error)
+            .toBe('There is no counter claim to uphold');
+        expect(resultConfirmation.resolveRuling(disputed, { decision: 'custom', score_a: -1, score_b: 2 }).error)
+            .toBe('A custom ruling needs whole, non-negative scores');
+    });
+});
+
+describe('validateConfirmationHours', () => {
+    test('accepts whole hours up to two weeks', () => {
+        expect(resultConfirmation.validateConfirmationHours(48)).toBeNull();
+        expect(resultConfirmation.validateConfirmationHours(0)).toMatch(/between 1 and 336/);
+        expect(resultConfirmation.validateConfirmationHours(1.5)).toMatch(/whole number/);
+    });
+});
@@ -0,0 +1,57 @@
+const scheduleHistory = require('../services/scheduleHistoryService');
+
+function match(id, number, teamA, teamB, date, venue = 'Ground 1', extra = {}) {
+    return {
+        _id: id,
+        match_number: number,
+        round: 'Round 1',
+        team_a: teamA,
+        team_b: teamB,
+        team_a_name: teamA.toUpperCase(),
+        team_b_name: teamB.toUpperCase(),
+        match_date: new Date(date),
+        venue,
+        status: 'scheduled',
+        ...extra
+    };
+}
+
+describe('diffSnapshots', () => {
+    const before = scheduleHistory.buildSnapshot([
+        match('m1', 1, 'a', 'b', '2026-06-01T10:00:00Z'),
+        match('m2', 2, 'c', 'd', '2026-06-01T12:00:00Z'),
+        match('m3', 3, 'e', 'f', '2026-06-02T10:00:00Z')
+    ]);
+
+    test('matches regenerated fixtures by pairing, not by id', () => {
+        const after = scheduleHistory.buildSnapshot([
+            // Same pairing with swapped home/away and a new id
+            match('n1', 1, 'b', 'a', '2026-06-01T10:00:00Z'),
+            match('n2', 2, 'c', 'd', '2026-06-03T12:00:00Z'),
+            match('n3', 3, 'e', 'f', '2026-06-02T10:00:00Z', 'Ground 2'),
+            match('n4', 4, 'a', 'c', '2026-06-04T10:00:00Z')
+        ]);
+
+        const diff = scheduleHistory.diffSnapshots(before, after);
+
+        expect(diff.moved.map(change => change.match_number)).toEqual([2, 3]);
+        expect(diff.moved[1].from.venue).toBe('Ground 1');
+        expect(diff.added.map(change => change.match_number)).toEqual([4]);
+        expect(diff.cancelled).toEqual([]);
+    });
+
+    test('reports cancelled matches and the teams they affect', () => {
+        const after = scheduleHistory.buildSnapshot([
+            match('m1', 1, 'a', 'b', '2026-06-01T10:00:00Z'),
+            match('m2', 2, 'c', 'd', '2026-06-01T12:00:00Z', 'Ground 1', { status: 'cancelled' }),
+            match('m3', 3, 'e', 'f', '2026-06-02T10:00:00Z')
+        ]);
+
+        const diff = scheduleHistory.diffSnapshots(before, after);
+
+        expect(diff.cancelled.map(change => change.match_number)).toEqual([2]);
+        expect(scheduleHistory.getAffectedTeamIds(diff)).toEqual(['c', 'd']);
+        expect(scheduleHistory.describeChangesForTeam(diff, 'a')).toEqual([]);
+        expect(scheduleHistory.describeChangesForTeam(diff, 'c')[0]).toMatch(/^Cancelled: C vs D/);
+    });
+});
@@ -0,0 +1,101 @@
+const schedulerService = require('../services/schedulerService');
+
+const settings = {
+    venues: ['Court 1', 'Court 2'],
+    daily_windows: [{ start: '09:00', end: '12:00' }],
+    match_duration_minutes: 60,
+    min_rest_minutes: 60
+};
+
+function at(day, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const date = new Date(2026, 5, day);
+    date.setHours(hours, minutes, 0, 0);
+    return date;
+}
+
+function fixture(number, teamA, teamB) {
+    return { match_number: number, team_a: teamA, team_b: teamB, team_a_name: teamA, team_b_name: teamB };
+}
+
+describe('assignSlots', () => {
+    test('fills courts in parallel and respects team rest time', () => {
+        const { fixtures, unscheduled } = schedulerService.assignSlots([
+            fixture(1, 'a', 'b'),
+            fixture(2, 'c', 'd'),
+            fixture(3, 'a', 'c'),
+            fixture(4, 'b', 'd')
+        ], settings, { startDate: at(1, '00:00') });
+
+        expect(unscheduled).toEqual([]);
+        expect(fixtures.map(f => [f.match_date.getTime(), f.venue])).toEqual([
+            [at(1, '09:00').getTime(), 'Court 1'],
+            [at(1, '09:00').getTime(), 'Court 2'],
+            // 60 minutes of rest after a 09:00-10:00 match
+            [at(1, '11:00').getTime(), 'Court 1'],
+            [at(1, '11:00').getTime(), 'Court 2']
+        ]);
+        expect(schedulerService.detectConflicts(fixtures, settings)).toEqual([]);
+    });
+
+    test('moves on to the next day when the window is full', () => {
+        const { fixtures } = schedulerService.assignSlots([
+            fixture(1, 'a', 'b'),
+            fixture(2, 'a', 'c')
+        ], { ...settings, venues: ['Court 1'], min_rest_minutes: 120 }, { startDate: at(1, '00:00') });
+
+        expect(fixtures[1].match_date.getTime()).toBe(at(2, '09:00').getTime());
+    });
+
+    test('works around matches that already hold a slot', () => {
+        const { fixtures } = schedulerService.assignSlots([fixture(2, 'c', 'd')], settings, {
+            startDate: at(1, '00:00'),
+            existingMatches: [
+                { ...fixture(1, 'a', 'b'), match_date: at(1, '09:00'), venue: 'Court 1' }
+            ]
+        });
+
+        expect(fixtures[0]).toMatchObject({ venue: 'Court 2' });
+        expect(fixtures[0].match_date.getTime()).toBe(at(1, '09:00').getTime());
+    });
+});
+
+describe('detectConflicts', () => {
+    test('flags venue and team double bookings and short rest', () => {
+        const conflicts = schedulerService.detectConflicts([
+            { ...fixture(1, 'a', 'b'), match_date: at(1, '09:00'), venue: 'Court 1' },
+            { ...fixture(2, 'c', 'd'), match_date: at(1, '09:30'), venue: 'court 1' },
+            { ...fixture(3, 'a', 'c'), match_date: at(1, '10:00'), venue: 'Court 2' }
+        ], settings);
+
+        expect(conflicts.map(c => [c.type, c.match_numbers])).toEqual([
+            ['venue', [1, 2]],
+            ['rest', [1, 3]],
+            ['team', [2, 3]]
+        ]);
+    });
+
+    test('checks venues and playing hours only when slot scheduling is configured', () => {
+        const matches = [{ ...fixture(1, 'a', 'b'), match_date: at(1, '19:00'), venue: 'Park' }];
+
+        expect(schedulerService.detectConflicts(matches, {})).toEqual([]);
+        expect(schedulerService.detectConflicts(matches, settings).map(c => c.type))
+            .toEqual(['venue_unavailable', 'outside_window']);
+    });
+});
+
+describe('validateScheduleSettings', () => {
+    test('rejects overlapping or too short windows and duplicate venues', () => {
+        expect(schedulerService.validateScheduleSettings({
+            venues: ['Court 1', 'court 1'],
+            daily_windows: [{ start: '09:00', end: '12:00' }, { start: '11:00', end: '14:00' }]
+        })).toEqual(['Venue names must be unique', 'Time windows must not overlap']);
+
+        expect(schedulerService.validateScheduleSettings({
+            daily_windows: [{ start: '09:00', end: '09:30' }],
+            match_duration_minutes: 60
+        })).toEqual(['Every time window must be long enough for at least one match']);
+
+        expect(schedulerService.validateScheduleSettings(settings)).toEqual([]);
+    });
+});
@@ -0,0 +1,197 @@
+const seasons = require('../services/seasonService');
+
+const NOW = new Date('2026-05-01T12:00:00Z');
+
+const edition = (number, extra = {}) => ({
+    _id: `e${number}`,
+    title: `Summer League - Edition ${number}`,
+    sport_type: 'Football',
+    status: 'approved',
+    event_date: new Date(`2026-05-0${number}T18:00:00Z`),
+    max_teams: 4,
+    entry_fee: 0,
+    season: { season_id: 's1', edition: number, carried_over_at: null },
+    team_registrations: [],
+    ...extra
+});
+
+const reg = (teamId, status, extra = {}) => ({
+    team_id: teamId,
+    team_name: `Team ${teamId}`,
+    status,
+    registration_date: new Date('2026-04-20'),
+    squad: [],
+    ...extra
+});
+
+describe('validateRecurrence', () => {
+    test('normalises a valid rule', () => {
+        expect(seasons.validateRecurrence({ frequency: 'Weekly', editions: '8', start_date: '2026-05-10' }, NOW)).toEqual({
+            error: null,
+            recurrence: { frequency: 'weekly', editions: 8, start_date: new Date('2026-05-10'), registration_days: 1 }
+        });
+    });
+
+    test('rejects bad rules', () => {
+        const rule = { frequency: 'weekly', editions: 8, start_date: '2026-05-10' };
+        expect(seasons.validateRecurrence(null, NOW).error).toMatch(/recurrence rule/);
+        expect(seasons.validateRecurrence({ ...rule, frequency: 'daily' }, NOW).error).toMatch(/Frequency/);
+        expect(seasons.validateRecurrence({ ...rule, editions: 1 }, NOW).error).toMatch(/between 2 and 26/);
+        expect(seasons.validateRecurrence({ ...rule, editions: 2.5 }, NOW).error).toMatch(/between 2 and 26/);
+        expect(seasons.validateRecurrence({ ...rule, start_date: 'soon' }, NOW).error).toMatch(/valid date/);
+        expect(seasons.validateRecurrence({ ...rule, registration_days: 0 }, NOW).error).toMatch(/between 1 and 30 days/);
+        expect(seasons.validateRecurrence({ ...rule, start_date: '2026-05-02' }, NOW).error).toMatch(/close in the future/);
+    });
+});
+
+describe('editionDates', () => {
+    test('repeats weekly and fortnightly', () => {
+        const weekly = seasons.editionDates({ frequency: 'weekly', editions: 3, start_date: '2026-05-10', registration_days: 2 });
+        expect(weekly).toEqual([
+            { edition: 1, event_date: new Date('2026-05-10'), registration_deadline: new Date('2026-05-08') },
+            { edition: 2, event_date: new Date('2026-05-17'), registration_deadline: new Date('2026-05-15') },
+            { edition: 3, event_date: new Date('2026-05-24'), registration_deadline: new Date('2026-05-22') }
+        ]);
+        const fortnightly = seasons.editionDates({ frequency: 'fortnightly', editions: 2, start_date: '2026-05-10', registration_days: 1 });
+        expect(fortnightly[1].event_date).toEqual(new Date('2026-05-24'));
+    });
+
+    test('keeps the day of the month, or the last day of shorter months', () => {
+        const monthly = seasons.editionDates({ frequency: 'monthly', editions: 4, start_date: '2027-01-31', registration_days: 1 });
+        expect(monthly.map(e => e.event_date)).toEqual([
+            new Date('2027-01-31'), new Date('2027-02-28'), new Date('2027-03-31'), new Date('2027-04-30')
+        ]);
+    });
+});
+
+describe('carry-over', () => {
+    test('finds the next edition that will still take place', () => {
+        const editions = [edition(1), edition(2, { status: 'cancelled' }), edition(3)];
+        expect(seasons.nextEdition(editions, editions[0])._id).toBe('e3');
+        expect(seasons.nextEdition(editions, editions[2])).toBeNull();
+    });
+
+    test('carries approved and confirmed teams that are not yet registered', () => {
+        const source = edition(1, {
+            team_registrations: [
+                reg('t1', 'confirmed', { squad: [{ player_id: 'p1', added_at: new Date('2026-04-21') }] }),
+                reg('t2', 'approved'),
+                reg('t3', 'pending'),
+                reg('t4', 'cancelled'),
+                reg('t5', 'approved')
+            ]
+        });
+        const target = edition(2, { team_registrations: [reg('t5', 'cancelled')] });
+
+        const carried = seasons.carryOverRegistrations(source, target, NOW);
+        expect(carried.map(r => r.team_id)).toEqual(['t1', 't2']);
+        expect(carried[0]).toEqual({
+            team_id: 't1',
+            registration_date: NOW,
+            status: 'approved',
+            approval_date: NOW,
+            squad: [{ player_id: 'p1', added_at: NOW }],
+            squad_updated_at: NOW,
+            carried_over_from: 'e1'
+        });
+    });
+
+    test('leaves paid editions to the organizer and respects capacity', () => {
+        const source = edition(1, {
+            team_registrations: [
+                reg('t1', 'approved', { registration_date: new Date('2026-04-22') }),
+                reg('t2', 'approved', { registration_date: new Date('2026-04-21') })
+            ]
+        });
+        const target = edition(2, {
+            entry_fee: 500,
+            max_teams: 2,
+            team_registrations: [reg('t9', 'pending')]
+        });
+
+        const carried = seasons.carryOverRegistrations(source, target, NOW);
+        expect(carried).toHaveLength(1);
+        expect(carried[0]).toMatchObject({ team_id: 't2', status: 'pending', approval_date: undefined });
+    });
+
+    test('serves the target edition\'s waitlist before carrying teams', () => {
+        const source = edition(1, {
+            team_registrations: [
+                reg('t1', 'approved', { registration_date: new Date('2026-04-20') }),
+                reg('t2', 'approved', { registration_date: new Date('2026-04-21') })
+            ]
+        });
+        const target = edition(2, {
+            max_teams: 4,
+            team_registrations: [reg('t8', 'approved')],
+            waitlist: [
+                { team_id: 't9', status: 'waiting', joined_at: new Date('2026-04-22') },
+                { team_id: 't7', status: 'expired', joined_at: new Date('2026-04-22') },
+                { team_id: 't1', status: 'waiting', joined_at: new Date('2026-04-23') }
+            ]
+        });
+
+        // t9 is ahead of the carried teams; t1's own waitlist entry doesn't count against it
+        expect(seasons.waitlistClaims(source, target, NOW)).toBe(1);
+        expect(seasons.carryOverRegistrations(source, target, NOW).map(r => r.team_id)).toEqual(['t1', 't2']);
+
+        target.waitlist.push({ team_id: 't6', status: 'offered', offer_expires_at: new Date(NOW.getTime() + 60 * 60 * 1000) });
+        expect(seasons.waitlistClaims(source, target, NOW)).toBe(2);
+        expect(seasons.carryOverRegistrations(source, target, NOW).map(r => r.team_id)).toEqual(['t1']);
+    });
+
+    test('lists played editions that still need carrying over', () => {
+        const editions = [
+            edition(1, { season: { season_id: 's1', edition: 1, carried_over_at: new Date('2026-05-01') } }),
+            edition(2, { event_date: new Date('2026-04-30') }),
+            edition(3),
+            edition(4)
+        ];
+        const due = seasons.editionsDueForCarryOver(editions, new Date('2026-05-03T20:00:00Z'));
+        expect(due.map(pair => [pair.source._id, pair.target._id])).toEqual([['e2', 'e3'], ['e3', 'e4']]);
+    });
+});
+
+describe('seasonStatus', () => {
+    test('follows the editions that are still held', () => {
+        const editions = [edition(1), edition(2), edition(3, { status: 'cancelled' })];
+        expect(seasons.seasonStatus(editions, new Date('2026-04-01'))).toBe('upcoming');
+        expect(seasons.seasonStatus(editions, new Date('2026-05-01T20:00:00Z'))).toBe('in_progress');
+        expect(seasons.seasonStatus(editions, new Date('2026-05-02T20:00:00Z'))).toBe('completed');
+        expect(seasons.seasonStatus([edition(1, { status: 'cancelled' })], NOW)).toBe('cancelled');
+    });
+});
+
+describe('rollUp', () => {
+    const editions = [
+        edition(1, { team_registrations: [reg('t1', 'confirmed'), reg('t2', 'approved')] }),
+        edition(2, { team_registrations: [reg('t1', 'approved'), reg('t2', 'approved'), reg('t3', 'approved'), reg('t4', 'rejected')] })
+    ];
+
+    test('ranks every team across the editions it played', () => {
+        const matches = [
+            { _id: 'm1', event_id: 'e1', team_a: 't1', team_b: 't2', score_a: 2, score_b: 0 },
+            { _id: 'm2', event_id: 'e2', team_a: 't2', team_b: 't3', score_a: 1, score_b: 1 },
+            { _id: 'm3', event_id: 'e2', team_a: 't3', team_b: 't1', score_a: 3, score_b: 1 }
+        ];
+        const { standings } = seasons.rollUp({ _id: 's1', sport_type: 'Football' }, editions, matches);
+
+        expect(standings.map(row => [row.team_id, row.points, row.played, row.editions])).toEqual([
+            ['t3', 4, 2, 1],
+            ['t1', 3, 2, 2],
+            ['t2', 1, 2, 2]
+        ]);
+        expect(seasons.seasonTeams(editions).map(team => team.id)).toEqual(['t1', 't2', 't3']);
+    });
+
+    test('totals player stats over the season', () => {
+        const stat = (playerId, goals) => ({ player_id: playerId, team_id: 't1', stats: { goals } });
+        const matches = [
+            { _id: 'm1', team_a: 't1', team_b: 't2', score_a: 2, score_b: 0, player_stats: [stat('p1', 2)] },
+            { _id: 'm2', team_a: 't1', team_b: 't3', score_a: 3, score_b: 0, player_stats: [stat('p1', 1), stat('p2', 2)] }
+        ];
+        const { awards } = seasons.rollUp({ _id: 's1', sport_type: 'Football' }, editions, matches);
+        const topScorer = awards.find(award => award.key === 'top_scorer');
+        expect(topScorer.entries.map(entry => [entry.player_id, entry.value, entry.matches])).toEqual([['p1', 3, 2], ['p2', 2, 1]]);
+    });
+});
@@ -0,0 +1,119 @@
+const splits = require('../services/splitPaymentService');
+
+const NOW = new Date('2026-05-01T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+const share = (playerId, amount, extra = {}) => ({ player_id: playerId, amount, paid_at: null, ...extra });
+const split = (extra = {}) => ({
+    status: 'collecting',
+    total: 1000,
+    due_at: new Date('2026-05-10'),
+    shares: [share('p1', 334), share('p2', 333), share('p3', 333)],
+    ...extra
+});
+
+describe('splitShares', () => {
+    test('divides evenly and spreads the remainder over the first players', () => {
+        expect(splits.splitShares(1000, ['p1', 'p2', 'p3'])).toEqual([
+            { player_id: 'p1', amount: 334 },
+            { player_id: 'p2', amount: 333 },
+            { player_id: 'p3', amount: 333 }
+        ]);
+        expect(splits.splitShares(900, ['p1', 'p2']).map(s => s.amount)).toEqual([450, 450]);
+    });
+
+    test('always adds up to the total', () => {
+        const shares = splits.splitShares(1001.5, ['p1', 'p2', 'p3', 'p4']);
+        expect(shares.map(s => s.amount)).toEqual([251, 250.5, 250, 250]);
+        expect(shares.reduce((sum, s) => sum + s.amount, 0)).toBe(1001.5);
+    });
+});
+
+describe('splitDueDate', () => {
+    const event = { registration_deadline: new Date('2026-05-10'), event_date: new Date('2026-05-20') };
+
+    test('defaults to the registration deadline, or the event without one', () => {
+        expect(splits.splitDueDate(event, undefined, NOW)).toEqual({ error: null, due_at: new Date('2026-05-10') });
+        expect(splits.splitDueDate({ event_date: new Date('2026-05-20') }, '', NOW).due_at).toEqual(new Date('2026-05-20'));
+        expect(splits.splitDueDate(event, '2026-05-05', NOW).due_at).toEqual(new Date('2026-05-05'));
+    });
+
+    test('rejects dates outside the registration window', () => {
+        expect(splits.splitDueDate(event, '2026-04-01', NOW).error).toMatch(/in the future/);
+        expect(splits.splitDueDate(event, '2026-05-15', NOW).error).toMatch(/by the registration deadline/);
+        expect(splits.splitDueDate(event, undefined, new Date('2026-05-11')).error).toMatch(/has closed/);
+    });
+});
+
+describe('validateSharePayment', () => {
+    test('accepts an unpaid share before the due date', () => {
+        const result = splits.validateSharePayment(split(), 'p2', NOW);
+        expect(result.error).toBeNull();
+        expect(result.share.amount).toBe(333);
+    });
+
+    test('refuses paid, missing, overdue and closed shares', () => {
+        expect(splits.validateSharePayment(split({ shares: [share('p1', 1000, { paid_at: NOW })] }), 'p1', NOW).error)
+            .toMatch(/already paid/);
+        expect(splits.validateSharePayment(split(), 'p9', NOW).error).toMatch(/do not have a share/);
+        expect(splits.validateSharePayment(split(), 'p1', new Date('2026-05-11')).error).toMatch(/deadline/);
+        expect(splits.validateSharePayment(split({ status: 'released' }), 'p1', NOW).error).toMatch(/no longer being collected/);
+    });
+});
+
+describe('progress', () => {
+    test('tracks what has been collected', () => {
+        const partly = split({ shares: [share('p1', 334, { paid_at: NOW }), share('p2', 333), share('p3', 333)] });
+        expect(splits.collectedAmount(partly)).toBe(334);
+        expect(splits.isFullyPaid(partly)).toBe(false);
+        expect(splits.splitSummary(partly)).toEqual({
+            status: 'collecting',
+            total: 1000,
+            collected: 334,
+            outstanding: 666,
+            due_at: new Date('2026-05-10'),
+            paid_count: 1,
+            share_count: 3
+        });
+        expect(splits.isFullyPaid(split({ shares: [share('p1', 1000, { paid_at: NOW })] }))).toBe(true);
+    });
+
+    test('is overdue only while still collecting', () => {
+        expect(splits.isOverdue(split(), NOW)).toBe(false);
+        expect(splits.isOverdue(split(), new Date('2026-05-10'))).toBe(true);
+        expect(splits.isOverdue(split({ status: 'completed' }), new Date('2026-05-11'))).toBe(false);
+    });
+});
+
+describe('sharesToRemind', () => {
+    test('picks unpaid players not reminded within the interval', () => {
+        const s = split({
+            shares: [
+                share('p1', 334, { paid_at: NOW }),
+                share('p2', 333, { last_reminded_at: new Date(NOW.getTime() - 2 * HOUR) }),
+                share('p3', 333, { last_reminded_at: new Date(NOW.getTime() - 30 * HOUR) })
+            ]
+        });
+        expect(splits.sharesToRemind(s, NOW).map(r => r.player_id)).toEqual(['p3']);
+        expect(splits.sharesToRemind(s, NOW, splits.MANUAL_REMINDER_HOURS).map(r => r.player_id)).toEqual(['p2', 'p3']);
+        expect(splits.sharesToRemind(s, new Date('2026-05-11'))).toEqual([]);
+    });
+});
+
+describe('allocateRefund', () => {
+    const paid = split({
+        status: 'completed',
+        shares: [share('p1', 334, { paid_at: NOW }), share('p2', 333, { paid_at: NOW }), share('p3', 333, { paid_at: NOW })]
+    });
+
+    test('gives everything back in full', () => {
+        expect(splits.allocateRefund(paid, 1000).map(r => r.amount)).toEqual([334, 333, 333]);
+    });
+
+    test('divides a partial refund in proportion to what each paid', () => {
+        const refunds = splits.allocateRefund(paid, 500);
+        expect(refunds.map(r => r.amount)).toEqual([167, 166.5, 166.5]);
+        expect(refunds.reduce((sum, r) => sum + r.amount, 0)).toBe(500);
+        expect(splits.allocateRefund(paid, 0)).toEqual([]);
+    });
+});
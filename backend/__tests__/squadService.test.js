@@ -0,0 +1,57 @@
+const squads = require('../services/squadService');
+
+const team = {
+    _id: 't1',
+    members: [
+        { player_id: 'p1', status: 'active' },
+        { player_id: 'p2', status: 'active' },
+        { player_id: 'p3', status: 'active' },
+        { player_id: 'p4', status: 'inactive' }
+    ]
+};
+
+describe('validateSquad', () => {
+    const event = { squad_size: { min: 2, max: 3 } };
+
+    test('accepts active members within the event size limits', () => {
+        expect(squads.validateSquad(['p1', 'p2'], team, event)).toEqual({ error: null, squad: ['p1', 'p2'] });
+        expect(squads.validateSquad(['p1'], team, event).error).toBe('This event needs a squad of at least 2 players');
+        expect(squads.validateSquad(['p1', 'p1'], team, event).error).toMatch(/only be listed once/);
+        expect(squads.validateSquad(['p1', 'p4'], team, event).error).toMatch(/active member/);
+    });
+
+    test('checks the limits an organizer sets', () => {
+        expect(squads.validateSquadSize({ min: '5', max: '' })).toEqual({ error: null, min: 5, max: null });
+        expect(squads.validateSquadSize({ min: 8, max: 5 }).error).toMatch(/cannot be larger/);
+        expect(squads.validateSquadSize({ max: 0 }).error).toMatch(/between 1 and 100/);
+    });
+});
+
+describe('squad lock and substitutions', () => {
+    test('squads lock at the registration deadline', () => {
+        const event = { registration_deadline: new Date('2026-06-01T10:00:00Z') };
+        expect(squads.isSquadLocked(event, new Date('2026-06-01T09:59:00Z'))).toBe(false);
+        expect(squads.isSquadLocked(event, new Date('2026-06-01T10:00:00Z'))).toBe(true);
+        expect(squads.isSquadLocked({}, new Date())).toBe(false);
+    });
+
+    test('an approved substitution swaps the player in place', () => {
+        const registration = { squad: [{ player_id: 'p1' }, { player_id: 'p2' }], substitutions: [] };
+        const request = { out_player_id: 'p2', in_player_id: 'p3' };
+
+        expect(squads.validateSubstitution(registration, team, request)).toBeNull();
+        expect(squads.validateSubstitution(registration, team, { out_player_id: 'p3', in_player_id: 'p1' }))
+            .toBe('The player leaving must be in the squad');
+        expect(squads.validateSubstitution({ ...registration, substitutions: [{ ...request, status: 'pending' }] }, team, request))
+            .toMatch(/already a pending substitution/);
+
+        expect(squads.applySubstitution(registration, request)).toBeNull();
+        expect(squads.squadIds(registration)).toEqual(['p1', 'p3']);
+    });
+
+    test('results fall back to active members when a team has no squad', () => {
+        const event = { team_registrations: [{ team_id: 't1', squad: [{ player_id: 'p2' }] }] };
+        expect(squads.eligiblePlayerIds(event, team)).toEqual(['p2']);
+        expect(squads.eligiblePlayerIds({ team_registrations: [] }, team)).toEqual(['p1', 'p2', 'p3']);
+    });
+});
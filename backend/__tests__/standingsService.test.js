@@ -0,0 +1,121 @@
+const standingsService = require('../services/standingsService');
+
+const teams = [
+    { id: 'a', name: 'Alpha' },
+    { id: 'b', name: 'Bravo' },
+    { id: 'c', name: 'Charlie' }
+];
+
+function match(teamA, teamB, scoreA, scoreB, extra = {}) {
+    return { team_a: teamA, team_b: teamB, score_a: scoreA, score_b: scoreB, ...extra };
+}
+
+describe('resolveScoringRules', () => {
+    test('falls back to the sport preset', () => {
+        const rules = standingsService.resolveScoringRules({ sport_type: 'Cricket' });
+
+        expect(rules.preset).toBe('cricket');
+        expect(rules.points).toEqual({ win: 2, draw: 1, loss: 0 });
+        expect(rules.tie_breakers[1]).toBe('net_run_rate');
+        expect(standingsService.resolveScoringRules({ sport_type: 'Swimming' }).preset).toBe('default');
+    });
+
+    test('applies stored overrides on top of the preset', () => {
+        const rules = standingsService.resolveScoringRules({
+            sport_type: 'Football',
+            scoring_rules: { points: { win: 2 }, tie_breakers: ['points', 'goals_for'] }
+        });
+
+        expect(rules.points).toEqual({ win: 2, draw: 1, loss: 0 });
+        expect(rules.tie_breakers).toEqual(['points', 'goals_for']);
+        expect(rules.allow_draws).toBe(true);
+    });
+});
+
+describe('validateScoringRules', () => {
+    test('rejects unknown tie-breakers, duplicates and negative points', () => {
+        const errors = standingsService.validateScoringRules({
+            points: { win: -1 },
+            tie_breakers: ['points', 'points', 'shots']
+        });
+
+        expect(errors).toEqual([
+            'Points for a win must be a non-negative number',
+            'Unknown tie-breaker: shots',
+            'Each tie-breaker can only be used once'
+        ]);
+        expect(standingsService.validateScoringRules({ preset: 'basketball' })).toEqual([]);
+    });
+});
+
+describe('computeStandings', () => {
+    const football = standingsService.resolveScoringRules({ sport_type: 'Football' });
+
+    test('uses head-to-head before goal difference', () => {
+        // Alpha, Bravo and Charlie all finish on 3 points; Bravo has the best GD
+        // but lost to Alpha, and Bravo and Charlie never met
+        const table = standingsService.computeStandings([...teams, { id: 'd', name: 'Delta' }], [
+            match('a', 'b', 1, 0),
+            match('b', 'd', 5, 0),
+            match('c', 'a', 1, 0)
+        ], { ...football, tie_breakers: ['points', 'head_to_head', 'goal_difference'] });
+
+        expect(table.map(row => row.team_id)).toEqual(['c', 'a', 'b', 'd']);
+        expect(table[2]).toMatchObject({ position: 3, points: 3, goal_difference: 4 });
+    });
+
+    test('falls through when head-to-head is level across the whole group', () => {
+        const table = standingsService.computeStandings(teams, [
+            match('a', 'b', 1, 0),
+            match('b', 'c', 5, 0),
+            match('c', 'a', 1, 0)
+        ], football);
+
+        // All three beat one other: the mini-league is level, so GD decides
+        expect(table.map(row => row.team_id)).toEqual(['b', 'a', 'c']);
+    });
+
+    test('ranks cricket teams on net run rate', () => {
+        const cricket = standingsService.resolveScoringRules({ sport_type: 'Cricket' });
+        const table = standingsService.computeStandings(teams.slice(0, 2), [
+            match('a', 'b', 180, 150, { overs_a: 20, overs_b: 20 }),
+            match('b', 'a', 160, 155, { overs_a: 18.3, overs_b: 20 })
+        ], cricket);
+
+        expect(table.map(row => row.points)).toEqual([2, 2]);
+        expect(table[0].team_id).toBe('a');
+        expect(table[0].net_run_rate).toBeGreaterThan(0);
+        expect(standingsService.oversToBalls(18.3)).toBe(111);
+    });
+
+    test('ranks basketball teams on win percentage and set-based sports on set ratio', () => {
+        const basketball = standingsService.resolveScoringRules({ sport_type: 'Basketball' });
+        const hoops = standingsService.computeStandings(teams.slice(0, 2), [
+            match('a', 'b', 70, 80)
+        ], basketball);
+        expect(hoops.map(row => [row.team_id, row.win_percentage, row.points])).toEqual([['b', 100, 2], ['a', 0, 1]]);
+
+        const badminton = standingsService.resolveScoringRules({ sport_type: 'Badminton' });
+        const sets = standingsService.computeStandings(teams, [
+            match('a', 'b', 2, 1),
+            match('b', 'c', 2, 0),
+            match('c', 'a', 2, 1)
+        ], badminton);
+        expect(sets.map(row => row.team_id)).toEqual(['b', 'a', 'c']);
+        expect(sets[0].set_ratio).toBe(1.5);
+    });
+
+    test('orders by fair play and the coin-toss seed when everything else is level', () => {
+        const fairPlay = standingsService.computeStandings(teams.slice(0, 2), [
+            match('a', 'b', 1, 1, { fair_play_a: 4, fair_play_b: 1 })
+        ], football);
+        expect(fairPlay.map(row => row.team_id)).toEqual(['b', 'a']);
+
+        const seeded = standingsService.computeStandings(teams.slice(0, 2), [
+            match('a', 'b', 1, 1)
+        ], football, { salt: 'event1' });
+        expect(standingsService.computeStandings(teams.slice(0, 2), [
+            match('a', 'b', 1, 1)
+        ], football, { salt: 'event1' })).toEqual(seeded);
+    });
+});
@@ -0,0 +1,38 @@
+const teamInvites = require('../services/teamInviteService');
+
+describe('invite codes', () => {
+    test('are eight unambiguous characters', () => {
+        const code = teamInvites.generateInviteCode();
+        expect(code).toMatch(/^[A-HJ-NP-Z2-9]{8}$/);
+        expect(teamInvites.normalizeInviteCode(` ${code.toLowerCase()} `)).toBe(code);
+    });
+});
+
+describe('linkUnavailableReason', () => {
+    const now = new Date('2026-06-01T10:00:00Z');
+    const link = { revoked: false, expires_at: new Date('2026-06-02T10:00:00Z'), max_uses: 2, uses: 1 };
+
+    test('accepts a live link and explains why others are closed', () => {
+        expect(teamInvites.linkUnavailableReason(link, now)).toBeNull();
+        expect(teamInvites.linkUnavailableReason({ ...link, revoked: true }, now)).toMatch(/revoked/);
+        expect(teamInvites.linkUnavailableReason({ ...link, uses: 2 }, now)).toMatch(/usage limit/);
+        expect(teamInvites.linkUnavailableReason(link, new Date('2026-06-02T10:00:00Z'))).toMatch(/expired/);
+        expect(teamInvites.linkUnavailableReason(null, now)).toBe('This invite code is not valid');
+    });
+});
+
+describe('invitation options', () => {
+    test('apply defaults and reject out-of-range values', () => {
+        expect(teamInvites.validateInvitationOptions({})).toEqual({ error: null, days: 7 });
+        expect(teamInvites.validateInvitationOptions({ expires_in_days: 31 }).error).toMatch(/between 1 and 30/);
+        expect(teamInvites.validateLinkOptions({ max_uses: '5' })).toEqual({ error: null, hours: 72, maxUses: 5 });
+        expect(teamInvites.validateLinkOptions({ max_uses: 0 }).error).toMatch(/used between 1 and 100/);
+    });
+
+    test('pending invitations past their expiry read as expired', () => {
+        const invitation = { status: 'pending', expires_at: new Date('2026-06-02T10:00:00Z') };
+        expect(teamInvites.invitationStatus(invitation, new Date('2026-06-01T10:00:00Z'))).toBe('pending');
+        expect(teamInvites.invitationStatus(invitation, new Date('2026-06-03T10:00:00Z'))).toBe('expired');
+        expect(teamInvites.normalizeEmail(' Player@Example.com ')).toBe('player@example.com');
+    });
+});
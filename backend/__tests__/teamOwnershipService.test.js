@@ -0,0 +1,64 @@
+const teamOwnership = require('../services/teamOwnershipService');
+
+const makeTeam = () => ({
+    manager_id: 'm1',
+    archived_at: null,
+    ownership_transfer: null,
+    ownership_history: [],
+    join_requests: [{ status: 'pending' }, { status: 'approved' }],
+    invitations: [{ status: 'pending' }, { status: 'accepted' }],
+    invite_links: [{ revoked: false }]
+});
+
+describe('archiving', () => {
+    test('closes the team to new players and can be undone', () => {
+        const team = makeTeam();
+        const now = new Date('2026-06-01T10:00:00Z');
+
+        expect(teamOwnership.archive(team, 'm1', now)).toBeNull();
+        expect(teamOwnership.isArchived(team)).toBe(true);
+        expect(team.join_requests.map(r => r.status)).toEqual(['rejected', 'approved']);
+        expect(team.invitations.map(i => i.status)).toEqual(['revoked', 'accepted']);
+        expect(team.invite_links[0].revoked).toBe(true);
+        expect(teamOwnership.archive(team, 'm1', now)).toMatch(/already archived/);
+
+        expect(teamOwnership.restore(team)).toBeNull();
+        expect(teamOwnership.isArchived(team)).toBe(false);
+        expect(teamOwnership.restore(team)).toMatch(/not archived/);
+    });
+});
+
+describe('ownership transfers', () => {
+    const now = new Date('2026-06-01T10:00:00Z');
+    const recipient = { _id: 'm2', role: 'manager' };
+
+    test('only go from the manager to another manager account', () => {
+        const team = makeTeam();
+        expect(teamOwnership.validateTransfer(team, 'm1', recipient, now)).toBeNull();
+        expect(teamOwnership.validateTransfer(team, 'co1', recipient, now)).toMatch(/Only the team manager/);
+        expect(teamOwnership.validateTransfer(team, 'm1', { _id: 'p1', role: 'player' }, now)).toMatch(/manager account/);
+        expect(teamOwnership.validateTransfer(team, 'm1', { _id: 'm1', role: 'manager' }, now)).toMatch(/already manage/);
+        expect(teamOwnership.validateTransfer(team, 'm1', null, now)).toMatch(/No account/);
+
+        teamOwnership.requestTransfer(team, 'm1', 'm2', '', now);
+        expect(teamOwnership.validateTransfer(team, 'm1', recipient, now)).toMatch(/already waiting/);
+    });
+
+    test('move the team once the recipient accepts before the offer lapses', () => {
+        const team = makeTeam();
+        teamOwnership.requestTransfer(team, 'm1', 'm2', ' Over to you ', now);
+        expect(team.ownership_transfer.message).toBe('Over to you');
+        expect(teamOwnership.transferStatus(team.ownership_transfer, new Date('2026-06-08T10:00:00Z'))).toBe('expired');
+
+        expect(teamOwnership.acceptTransfer(team, 'm3', now)).toBe('Transfer not found');
+        expect(teamOwnership.acceptTransfer(team, 'm2', new Date('2026-06-09T10:00:00Z'))).toMatch(/expired/);
+        expect(team.manager_id).toBe('m1');
+
+        expect(teamOwnership.acceptTransfer(team, 'm2', new Date('2026-06-03T10:00:00Z'))).toBeNull();
+        expect(team.manager_id).toBe('m2');
+        expect(team.ownership_transfer).toBeNull();
+        expect(team.ownership_history).toEqual([
+            { from_user_id: 'm1', to_user_id: 'm2', transferred_at: new Date('2026-06-03T10:00:00Z') }
+        ]);
+    });
+});
@@ -0,0 +1,51 @@
+const teamRoster = require('../services/teamRosterService');
+
+const roster = () => [
+    { player_id: 'p1', status: 'active', role: 'captain', jersey_number: 10, position: 'Forward' },
+    { player_id: 'p2', status: 'active', role: 'player', jersey_number: 7, position: '' },
+    { player_id: 'p3', status: 'active', role: 'co_manager', jersey_number: null, position: '' },
+    { player_id: 'p4', status: 'inactive', role: 'player', jersey_number: 9, position: '' }
+];
+
+describe('canManageTeam', () => {
+    test('allows the manager and active co-managers in either team shape', () => {
+        const team = { manager_id: 'm1', members: roster() };
+        expect(teamRoster.canManageTeam(team, 'm1')).toBe(true);
+        expect(teamRoster.canManageTeam(team, 'p3')).toBe(true);
+        expect(teamRoster.canManageTeam(team, 'p1')).toBe(false);
+
+        const summary = { manager: { id: 'm1' }, members: [{ id: 'p3', role: 'co_manager' }] };
+        expect(teamRoster.canManageTeam(summary, 'p3')).toBe(true);
+    });
+});
+
+describe('applyRosterUpdate', () => {
+    test('moves the captaincy and keeps jersey numbers unique', () => {
+        const members = roster();
+        const result = teamRoster.applyRosterUpdate(members, 'p2', { role: 'captain', jersey_number: 9 }, { isManager: false });
+
+        expect(result.error).toBeNull();
+        expect(members[1]).toMatchObject({ role: 'captain', jersey_number: 9 });
+        expect(members[0].role).toBe('player');
+
+        expect(teamRoster.applyRosterUpdate(members, 'p3', { jersey_number: 10 }, { isManager: true }).error)
+            .toBe('Jersey number 10 is already taken on this team');
+    });
+
+    test('only the manager can appoint or remove co-managers', () => {
+        expect(teamRoster.applyRosterUpdate(roster(), 'p2', { role: 'co_manager' }, { isManager: false }).error)
+            .toBe('Only the team manager can appoint or remove co-managers');
+        expect(teamRoster.applyRosterUpdate(roster(), 'p3', { role: 'player' }, { isManager: true }).error).toBeNull();
+        expect(teamRoster.applyRosterUpdate(roster(), 'p4', { role: 'captain' }, { isManager: true }).error)
+            .toBe('Player is not an active member of this team');
+    });
+
+    test('rejects bad values and spots duplicate jerseys', () => {
+        expect(teamRoster.applyRosterUpdate(roster(), 'p2', { role: 'coach' }, { isManager: true }).error)
+            .toMatch(/role must be one of/);
+        expect(teamRoster.parseJerseyNumber(100).error).toMatch(/between 0 and 99/);
+        expect(teamRoster.parseJerseyNumber('')).toEqual({ error: null, value: null });
+        expect(teamRoster.findDuplicateJersey(roster())).toBeNull();
+        expect(teamRoster.findDuplicateJersey([...roster(), { status: 'active', jersey_number: 7 }])).toBe(7);
+    });
+});
@@ -0,0 +1,112 @@
+const waitlists = require('../services/waitlistService');
+
+const NOW = new Date('2026-05-01T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+const registration = (teamId, status = 'approved') => ({ team_id: teamId, status });
+const entry = (teamId, joinedAt, extra = {}) => ({
+    team_id: teamId,
+    joined_at: new Date(joinedAt),
+    status: 'waiting',
+    ...extra
+});
+
+const fullEvent = (extra = {}) => ({
+    title: 'Summer Cup',
+    status: 'upcoming',
+    max_teams: 2,
+    event_date: new Date('2026-06-01'),
+    registration_deadline: new Date('2026-05-20'),
+    team_registrations: [registration('t1'), registration('t2', 'pending'), registration('t0', 'rejected')],
+    waitlist: [
+        entry('t4', '2026-04-20'),
+        entry('t3', '2026-04-10'),
+        entry('t9', '2026-04-01', { status: 'left' })
+    ],
+    ...extra
+});
+
+describe('isFull', () => {
+    test('counts only registrations that hold a spot', () => {
+        expect(waitlists.isFull(fullEvent(), NOW)).toBe(true);
+        expect(waitlists.isFull(fullEvent({ team_registrations: [registration('t1'), registration('t2', 'cancelled')] }), NOW))
+            .toBe(false);
+    });
+
+    test('counts open offers as taken and never fills events without a limit', () => {
+        const event = fullEvent({
+            team_registrations: [registration('t1')],
+            waitlist: [entry('t3', '2026-04-10', { status: 'offered', offer_expires_at: new Date(NOW.getTime() + HOUR) })]
+        });
+        expect(waitlists.isFull(event, NOW)).toBe(true);
+        expect(waitlists.isFull(event, new Date(NOW.getTime() + 2 * HOUR))).toBe(false);
+        expect(waitlists.isFull(fullEvent({ max_teams: 0 }), NOW)).toBe(false);
+    });
+});
+
+describe('waitlistPosition', () => {
+    test('numbers waiting teams in joining order', () => {
+        const event = fullEvent();
+        expect(waitlists.waitlistPosition(event, 't3', NOW)).toEqual({ status: 'waiting', position: 1, offer_expires_at: null });
+        expect(waitlists.waitlistPosition(event, 't4', NOW)).toMatchObject({ position: 2 });
+        expect(waitlists.waitlistPosition(event, 't9', NOW)).toBeNull();
+    });
+
+    test('reports open and lapsed offers', () => {
+        const expires = new Date(NOW.getTime() + HOUR);
+        const event = fullEvent({ waitlist: [entry('t3', '2026-04-10', { status: 'offered', offer_expires_at: expires })] });
+        expect(waitlists.waitlistPosition(event, 't3', NOW)).toEqual({ status: 'offered', position: null, offer_expires_at: expires });
+        expect(waitlists.waitlistPosition(event, 't3', new Date(NOW.getTime() + 2 * HOUR)).status).toBe('expired');
+    });
+});
+
+describe('entriesToOffer', () => {
+    test('offers one team per freed spot, first in line first', () => {
+        const event = fullEvent({ team_registrations: [registration('t1', 'rejected'), registration('t2')] });
+        expect(waitlists.entriesToOffer(event, NOW).map(e => e.team_id)).toEqual(['t3']);
+
+        event.team_registrations[1].status = 'cancelled';
+        expect(waitlists.entriesToOffer(event, NOW).map(e => e.team_id)).toEqual(['t3', 't4']);
+    });
+
+    test('skips spots held by open offers but reuses lapsed ones', () => {
+        const event = fullEvent({ team_registrations: [registration('t1')] });
+        event.waitlist[1] = { ...event.waitlist[1], status: 'offered', offer_expires_at: new Date(NOW.getTime() + HOUR) };
+        expect(waitlists.entriesToOffer(event, NOW)).toEqual([]);
+        expect(waitlists.entriesToOffer(event, new Date(NOW.getTime() + 2 * HOUR)).map(e => e.team_id)).toEqual(['t4']);
+    });
+
+    test('makes no offers once the event has started or was cancelled', () => {
+        const event = fullEvent({ team_registrations: [] });
+        expect(waitlists.entriesToOffer(event, new Date('2026-06-02'))).toEqual([]);
+        expect(waitlists.entriesToOffer({ ...event, status: 'cancelled' }, NOW)).toEqual([]);
+    });
+});
+
+describe('offerExpiry', () => {
+    test('uses the event window but never runs past the event', () => {
+        expect(waitlists.offerExpiry({ waitlist_offer_hours: 6, event_date: new Date('2026-06-01') }, NOW))
+            .toEqual(new Date(NOW.getTime() + 6 * HOUR));
+        expect(waitlists.offerExpiry({ event_date: new Date('2026-05-01T20:00:00Z') }, NOW))
+            .toEqual(new Date('2026-05-01T20:00:00Z'));
+    });
+});
+
+describe('validateJoin and validateAcceptance', () => {
+    test('only full events take teams that are not already in', () => {
+        expect(waitlists.validateJoin(fullEvent(), 't5', NOW)).toBeNull();
+        expect(waitlists.validateJoin(fullEvent(), 't1', NOW)).toMatch(/already registered/);
+        expect(waitlists.validateJoin(fullEvent(), 't3', NOW)).toMatch(/already on the waitlist/);
+        expect(waitlists.validateJoin(fullEvent({ max_teams: 5 }), 't5', NOW)).toMatch(/open spots/);
+        expect(waitlists.validateJoin(fullEvent(), 't5', new Date('2026-05-21'))).toMatch(/deadline/);
+    });
+
+    test('needs an offer that has not run out', () => {
+        const event = fullEvent({
+            waitlist: [entry('t3', '2026-04-10', { status: 'offered', offer_expires_at: new Date(NOW.getTime() + HOUR) })]
+        });
+        expect(waitlists.validateAcceptance(event, 't3', NOW).error).toBeNull();
+        expect(waitlists.validateAcceptance(event, 't3', new Date(NOW.getTime() + 2 * HOUR)).error).toBe('This offer has expired');
+        expect(waitlists.validateAcceptance(fullEvent(), 't3', NOW).error).toMatch(/no spot on offer/);
+    });
+});
@@ -5,26 +5,824 @@
  */
 
 const Event = require('../models/event');
-const User = require('../models/user');
 const { Commission } = require('../models');
 const WalletTransaction = require('../models/walletTransaction');
+const EventSchema = require('../models/schemas/eventSchema');
+const UserSchema = require('../models/schemas/userSchema');
+const TeamSchema = require('../models/schemas/teamSchema');
+const waitlists = require('../services/waitlistService');
+const refunds = require('../services/refundService');
+const pricing = require('../services/pricingService');
+const splits = require('../services/splitPaymentService');
+const squads = require('../services/squadService');
+const { invalidateCacheByPrefixes } = require('../utils/cacheInvalidation');
 
 /**
- * Process event registration payment
- * 
+ * Commission rate for an organizer, based on subscription plan and tier.
+ * @param {Object} organizer - Organizer user
+ * @returns {number} percentage of the entry fee kept by the platform
+ */
+function getCommissionRate(organizer) {
+  if (organizer.subscription && organizer.subscription.plan === 'enterprise') {
+    return 12;
+  } else if (organizer.subscription && organizer.subscription.plan === 'pro') {
+    return 15;
+  } else if (organizer.organizerTier === 'enterprise') {
+    return 12;
+  } else if (organizer.organizerTier === 'premium') {
+    return 15;
+  } else if (organizer.organizerTier === 'established') {
+    return 17;
+  }
+  return 20; // New organizers
+}
+
+/**
+ * Whether a team played one of the organizer's earlier events.
+ * @param {Object} event
+ * @param {string} teamId
+ * @returns {Promise<boolean>}
+ */
+async function isReturningTeam(event, teamId) {
+  if (!teamId) return false;
+  const previous = await EventSchema.exists({
+    _id: { $ne: event._id },
+    organizer_id: event.organizer_id,
+    team_registrations: { $elemMatch: { team_id: teamId, status: { $in: ['approved', 'confirmed'] } } }
+  });
+  return Boolean(previous);
+}
+
+/**
+ * Price a team pays to enter the event now, with its discounts
+ * (see services/pricingService.js).
+ * @param {Object} options - { event, teamId, promoCode }
+ * @returns {Promise<Object>} quote; quote.error is set when the promo code cannot be used
+ */
+async function quoteEntryFee({ event, teamId, promoCode }) {
+  const returning = await isReturningTeam(event, teamId);
+  return pricing.quotePrice(event, { promoCode, returning });
+}
+
+/**
+ * Count one use of a promo code. Only succeeds if nobody redeemed the code
+ * since it was read, so a usage limit cannot be overrun.
+ * @param {Object} event - Event as read when the price was quoted
+ * @param {string} code
+ * @returns {Promise<boolean>} whether the use was counted
+ */
+async function redeemPromoCode(event, code) {
+  const promo = pricing.findPromoCode(event, code);
+  if (!promo || pricing.promoCodeStatus(promo) !== 'active') return false;
+
+  const result = await EventSchema.updateOne(
+    { _id: event._id, promo_codes: { $elemMatch: { code: promo.code, uses: promo.uses || 0, active: true } } },
+    { $inc: { 'promo_codes.$.uses': 1 } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Give back a promo code use when the payment it was redeemed for fails.
+ * @param {Object} event
+ * @param {string} code
+ */
+async function releasePromoCode(event, code) {
+  await EventSchema.updateOne(
+    { _id: event._id, 'promo_codes.code': code },
+    { $inc: { 'promo_codes.$.uses': -1 } }
+  );
+}
+
+/**
+ * Take a priced entry fee: counts the promo code use, collects the
+ * discounted amount and returns the registration's payment with the
+ * discounts recorded. A fee discounted to nothing is not collected.
+ * @param {Object} options - { event, userId, quote, paymentMethod }
+ * @returns {Promise<Object>} payment details to store on the registration
+ */
+async function payEntryFee({ event, userId, quote, paymentMethod }) {
+  if (quote.promo_code && !(await redeemPromoCode(event, quote.promo_code))) {
+    throw new Error('This promo code has just reached its usage limit. Please try again.');
+  }
+
+  let payment;
+  if (quote.amount > 0) {
+    try {
+      payment = await collectEntryFee({ event, userId, amount: quote.amount, paymentMethod });
+    } catch (err) {
+      if (quote.promo_code) await releasePromoCode(event, quote.promo_code);
+      throw err;
+    }
+  } else {
+    payment = { amount: 0, method: 'promo', payer_id: userId, paid_at: new Date(), commissionRate: 0 };
+  }
+
+  return {
+    ...payment,
+    list_price: quote.list_price,
+    price_tier: quote.price_tier,
+    returning_discount: quote.returning_discount,
+    promo_code: quote.promo_code || undefined,
+    promo_discount: quote.promo_discount
+  };
+}
+
+/**
+ * Take an entry fee for an event.
+ *
  * This function:
- * 1. Validates payment method and amount
- * 2. Gets organizer tier/subscription to determine commission rate
- * 3.Creates commission record
+ * 1. Gets organizer tier/subscription to determine commission rate
+ * 2. Processes payment (wallet/card/upi)
+ * 3. Creates commission record
  * 4. Updates event revenue
- * 5. Processes payment (wallet/card/upi)
- * 6. Registers user/team for event
+ *
+ * Throws when the payment cannot be taken; nothing is charged in that case.
+ * @param {Object} options - { event, userId, amount, paymentMethod }
+ * @returns {Promise<Object>} payment details to store on the registration
+ */
+async function collectEntryFee({ event, userId, amount, paymentMethod }) {
+  const organizer = await UserSchema.findById(event.organizer_id);
+  if (!organizer) {
+    throw new Error('Organizer not found');
+  }
+
+  let paymentReference;
+  let transactionId;
+
+  switch (paymentMethod) {
+    case 'wallet': {
+      // Only deduct when the balance covers the fee
+      const payer = await UserSchema.findOneAndUpdate(
+        { _id: userId, walletBalance: { $gte: amount } },
+        { $inc: { walletBalance: -amount } },
+        { new: true }
+      );
+      if (!payer) {
+        throw new Error('Insufficient wallet balance');
+      }
+
+      paymentReference = `REG_${event._id}_${Date.now()}`;
+      const transactionResult = await WalletTransaction.createTransaction({
+        playerId: userId,
+        transactionType: 'Debit',
+        amount,
+        description: `Event registration: ${event.title}`.slice(0, 200),
+        balanceAfter: payer.walletBalance,
+        status: 'Completed',
+        referenceId: paymentReference,
+        metadata: { paymentMethod: 'wallet' }
+      });
+      if (transactionResult.success) {
+        transactionId = transactionResult.data._id;
+      } else {
+        console.error('Failed to create wallet transaction:', transactionResult.error);
+      }
+      break;
+    }
+
+    case 'card':
+    case 'upi':
+    case 'netbanking':
+      // In production, integrate with payment gateway (Razorpay/Stripe)
+      // For now, simulate successful payment
+      paymentReference = `PAY-${Date.now()}-${Math.random().toString(36).substring(7).toUpperCase()}`;
+      break;
+
+    default:
+      throw new Error('Invalid payment method');
+  }
+
+  const recorded = await recordEntryFee({ event, organizer, amount, paymentReference, paymentMethod, transactionId });
+
+  return {
+    amount,
+    method: paymentMethod,
+    reference: paymentReference,
+    commission_id: recorded.commission_id,
+    payer_id: userId,
+    paid_at: new Date(),
+    commissionRate: recorded.commissionRate
+  };
+}
+
+/**
+ * Record a collected entry fee against the event: creates the commission
+ * and adds the fee to the event's revenue.
+ * @param {Object} options - { event, organizer, amount, paymentReference, paymentMethod, transactionId }
+ * @returns {Promise<Object>} { commission_id, commissionRate }
+ */
+async function recordEntryFee({ event, organizer, amount, paymentReference, paymentMethod, transactionId }) {
+  const commissionRate = getCommissionRate(organizer);
+  const commissionAmount = Math.round((amount * commissionRate) / 100);
+  const organizerPayout = amount - commissionAmount;
+
+  let commission = null;
+  try {
+    commission = await Commission.createCommission({
+      event: event._id,
+      organizer: organizer._id,
+      transaction: transactionId,
+      totalRevenue: amount,
+      commissionRate,
+      commissionAmount,
+      organizerPayout,
+      status: 'pending',
+      notes: `Entry fee ${paymentReference} (${paymentMethod})`
+    });
+  } catch (err) {
+    // The payment went through; the commission can be reconciled later
+    console.error('Commission creation failed:', err.message);
+  }
+
+  await EventSchema.updateOne(
+    { _id: event._id },
+    {
+      $inc: {
+        'revenue.totalCollected': amount,
+        'revenue.platformCommission': commissionAmount,
+        'revenue.organizerPayout': organizerPayout,
+        registrationCount: 1
+      }
+    }
+  );
+
+  return {
+    commission_id: commission ? commission._id : undefined,
+    commissionRate
+  };
+}
+
+/**
+ * Credit a user's wallet and log the transaction.
+ * @param {Object} options - { userId, amount, description, reference }
+ * @returns {Promise<Object|null>} the updated user, or null if there is no such user
+ */
+async function creditWallet({ userId, amount, description, reference }) {
+  const user = await UserSchema.findByIdAndUpdate(
+    userId,
+    { $inc: { walletBalance: amount } },
+    { new: true }
+  );
+  if (!user) {
+    return null;
+  }
+
+  const transactionResult = await WalletTransaction.createTransaction({
+    playerId: userId,
+    transactionType: 'Credit',
+    amount,
+    description: description.slice(0, 200),
+    balanceAfter: user.walletBalance,
+    status: 'Completed',
+    referenceId: reference,
+    metadata: { paymentMethod: 'wallet' }
+  });
+  if (!transactionResult.success) {
+    console.error('Failed to create wallet credit transaction:', transactionResult.error);
+  }
+  return user;
+}
+
+/**
+ * Give back an entry fee taken by payEntryFee when the registration it paid
+ * for could not be made after all: credits the payer's wallet in full,
+ * undoes the commission and event revenue, and frees the promo code use.
+ * @param {Object} options - { event, payment, reason }
+ */
+async function returnEntryFee({ event, payment, reason }) {
+  if (payment.amount > 0) {
+    const reference = `RETURN_${event._id}_${Date.now()}`;
+    const payer = await creditWallet({
+      userId: payment.payer_id,
+      amount: payment.amount,
+      description: `Entry fee returned (${reason}): ${event.title}`,
+      reference
+    });
+    if (!payer) {
+      throw new Error('Payer not found');
+    }
+
+    let reversal = { commissionReversed: 0, payoutReversed: payment.amount };
+    if (payment.commission_id) {
+      try {
+        const reversed = await Commission.reverseCommission(
+          payment.commission_id,
+          payment.amount,
+          `Returned ${payment.amount} (${reason}) ${reference}`
+        );
+        if (reversed) reversal = reversed;
+        if (reversed && reversed.paidOut) {
+          console.warn(`Commission ${payment.commission_id} was already paid out; reconcile the returned ${payment.amount} with the organizer`);
+        }
+      } catch (err) {
+        console.error('Commission reversal failed:', err.message);
+      }
+    }
+
+    await EventSchema.updateOne(
+      { _id: event._id },
+      {
+        $inc: {
+          'revenue.totalCollected': -payment.amount,
+          'revenue.platformCommission': -reversal.commissionReversed,
+          'revenue.organizerPayout': -reversal.payoutReversed,
+          registrationCount: -1
+        }
+      }
+    );
+  }
+
+  if (payment.promo_code) {
+    await releasePromoCode(event, payment.promo_code);
+  }
+}
+
+/**
+ * Refund a registration's entry fee under the event's refund policy.
+ *
+ * This function:
+ * 1. Works out the refund (see services/refundService.js)
+ * 2. Marks the registration's payment as refunded, so it is only refunded once
+ * 3. Credits the payer's wallet, or each player's for a split fee
+ * 4. Reverses the matching commission
+ * 5. Updates event revenue
+ *
+ * Fees paid before payers were recorded go back to the team's manager.
+ * A split fee still being collected is released instead: every share paid
+ * so far goes back in full.
+ * @param {Object} options - { event, registration, reason, now }
+ * @returns {Promise<Object>} { amount, percent, rule, reference }
+ */
+async function refundEntryFee({ event, registration, reason, now = new Date() }) {
+  const split = registration.split_payment;
+  if (split && split.status === 'collecting') {
+    const released = await releaseSplitPayment({ event, registration, reason });
+    return { amount: released.amount, percent: 100, rule: 'released', reference: null };
+  }
+
+  const payment = registration.payment || {};
+  const quote = refunds.refundQuote(event, payment, reason, now);
+  if (quote.amount <= 0) {
+    return { ...quote, reference: null };
+  }
+
+  // A fee split across the roster goes back to the players who paid it
+  const shareRefunds = split && split.status === 'completed' ? splits.allocateRefund(split, quote.amount) : [];
+
+  let payerId = payment.payer_id;
+  if (!payerId && shareRefunds.length === 0) {
+    const team = await TeamSchema.findById(registration.team_id).select('manager_id').lean();
+    payerId = team && team.manager_id;
+    if (!payerId) {
+      throw new Error('Could not find who paid this entry fee');
+    }
+  }
+
+  const reference = `REFUND_${event._id}_${registration.team_id}_${Date.now()}`;
+
+  // Claim the payment first so concurrent requests cannot refund it twice
+  const claimed = await EventSchema.updateOne(
+    {
+      _id: event._id,
+      team_registrations: { $elemMatch: { _id: registration._id, 'payment.refunded_at': null } }
+    },
+    {
+      $set: {
+        'team_registrations.$.payment.refunded_at': now,
+        'team_registrations.$.payment.refunded_amount': quote.amount,
+        'team_registrations.$.payment.refund_reference': reference
+      }
+    }
+  );
+  if (claimed.modifiedCount === 0) {
+    return { amount: 0, percent: 0, rule: 'refunded', reference: null };
+  }
+
+  const why = reason === 'event_cancelled' ? 'event cancelled' : 'team withdrawn';
+  if (shareRefunds.length > 0) {
+    for (const share of shareRefunds) {
+      const player = await creditWallet({
+        userId: share.player_id,
+        amount: share.amount,
+        description: `Refund of your share (${why}): ${event.title}`,
+        reference: `${reference}_${share.player_id}`
+      });
+      if (!player) {
+        console.error(`Refund of ${share.amount} to player ${share.player_id} failed: player not found`);
+      }
+    }
+  } else {
+    const payer = await creditWallet({
+      userId: payerId,
+      amount: quote.amount,
+      description: `Refund (${why}): ${event.title}`,
+      reference
+    });
+    if (!payer) {
+      throw new Error('Payer not found');
+    }
+  }
+
+  // Without a commission record the whole refund comes out of the organizer's share
+  let reversal = { commissionReversed: 0, payoutReversed: quote.amount };
+  if (payment.commission_id) {
+    try {
+      const reversed = await Commission.reverseCommission(
+        payment.commission_id,
+        quote.amount,
+        `Refunded ${quote.amount} (${why}) ${reference}`
+      );
+      if (reversed) reversal = reversed;
+      if (reversed && reversed.paidOut) {
+        console.warn(`Commission ${payment.commission_id} was already paid out; reconcile the refunded ${quote.amount} with the organizer`);
+      }
+    } catch (err) {
+      // The payer has their money; the commission can be reconciled later
+      console.error('Commission reversal failed:', err.message);
+    }
+  }
+
+  await EventSchema.updateOne(
+    { _id: event._id },
+    {
+      $inc: {
+        'revenue.refundedAmount': quote.amount,
+        'revenue.platformCommission': -reversal.commissionReversed,
+        'revenue.organizerPayout': -reversal.payoutReversed
+      }
+    }
+  );
+
+  return { ...quote, reference };
+}
+
+/**
+ * Refund every paid registration of a cancelled event in full.
+ * A failed refund is logged and does not stop the others.
+ * @param {Object} event
+ * @returns {Promise<Object>} { refunded, failed, total }
+ */
+async function refundCancelledEvent(event) {
+  const summary = { refunded: 0, failed: 0, total: 0 };
+  for (const registration of event.team_registrations || []) {
+    try {
+      const refund = await refundEntryFee({ event, registration, reason: 'event_cancelled' });
+      if (refund.amount > 0) {
+        summary.refunded++;
+        summary.total += refund.amount;
+      }
+    } catch (err) {
+      console.error(`Refund failed for team ${registration.team_id}:`, err.message);
+      summary.failed++;
+    }
+  }
+  return summary;
+}
+
+/**
+ * Register a team whose entry fee is split across its active roster
+ * (see services/splitPaymentService.js). Nothing is charged yet: the
+ * registration stays pending and holds the spot while each player pays
+ * their share from their wallet. The promo code, if any, is counted now.
+ * @param {Object} options - { event, team, userId, quote, dueAt, squad, notes }
+ * @returns {Promise<Object>} the split_payment stored on the registration
+ */
+async function startSplitPayment({ event, team, userId, quote, dueAt, squad, notes }) {
+  const playerIds = squads.activeMemberIds(team).filter(Boolean);
+  if (playerIds.length === 0) {
+    throw new Error('The team has no active players to split the entry fee with');
+  }
+  const due = splits.splitDueDate(event, dueAt);
+  if (due.error) {
+    throw new Error(due.error);
+  }
+
+  if (quote.promo_code && !(await redeemPromoCode(event, quote.promo_code))) {
+    throw new Error('This promo code has just reached its usage limit. Please try again.');
+  }
+
+  const now = new Date();
+  const split = {
+    status: 'collecting',
+    total: quote.amount,
+    due_at: due.due_at,
+    requested_by: userId,
+    started_at: now,
+    list_price: quote.list_price,
+    price_tier: quote.price_tier,
+    returning_discount: quote.returning_discount,
+    promo_code: quote.promo_code || undefined,
+    promo_discount: quote.promo_discount,
+    // Players hear about their share straight away
+    shares: splits.splitShares(quote.amount, playerIds).map(share => ({ ...share, last_reminded_at: now }))
+  };
+
+  try {
+    await Event.registerTeamForEvent(event._id, {
+      team_id: team._id,
+      status: 'pending',
+      squad,
+      notes,
+      split_payment: split
+    });
+  } catch (err) {
+    if (quote.promo_code) await releasePromoCode(event, quote.promo_code);
+    throw err;
+  }
+
+  try {
+    await splits.notifyUnpaidPlayers(event, team, split, split.shares);
+  } catch (err) {
+    // The shares are on the players' wallet pages; the job reminds them later
+    console.error('Failed to notify players of their entry fee share:', err.message);
+  }
+  return split;
+}
+
+/**
+ * Pay a player's share of a split entry fee from their wallet. The last
+ * share to come in confirms the registration.
+ * @param {Object} options - { eventId, teamId, playerId }
+ * @returns {Promise<Object>} { amount, reference, completed }
+ */
+async function paySplitShare({ eventId, teamId, playerId }) {
+  const event = await EventSchema.findById(eventId);
+  if (!event) {
+    throw new Error('Event not found');
+  }
+  const registration = event.team_registrations.find(reg => reg.team_id && reg.team_id.toString() === teamId.toString());
+  if (!registration) {
+    throw new Error('Team is not registered for this event');
+  }
+
+  const { error, share } = splits.validateSharePayment(registration.split_payment, playerId);
+  if (error) {
+    throw new Error(error);
+  }
+
+  // Only deduct when the balance covers the share
+  const payer = await UserSchema.findOneAndUpdate(
+    { _id: playerId, walletBalance: { $gte: share.amount } },
+    { $inc: { walletBalance: -share.amount } },
+    { new: true }
+  );
+  if (!payer) {
+    throw new Error('Insufficient wallet balance');
+  }
+
+  // Mark the share paid only while the fee is still being collected, so a
+  // share can't be paid twice or after the registration was released
+  const now = new Date();
+  const reference = `SHARE_${event._id}_${playerId}_${Date.now()}`;
+  const claimed = await EventSchema.updateOne(
+    { _id: event._id },
+    {
+      $set: {
+        'team_registrations.$[reg].split_payment.shares.$[share].paid_at': now,
+        'team_registrations.$[reg].split_payment.shares.$[share].reference': reference
+      }
+    },
+    {
+      arrayFilters: [
+        { 'reg._id': registration._id, 'reg.split_payment.status': 'collecting' },
+        { 'share.player_id': share.player_id, 'share.paid_at': null }
+      ]
+    }
+  );
+  if (claimed.modifiedCount === 0) {
+    await UserSchema.updateOne({ _id: playerId }, { $inc: { walletBalance: share.amount } });
+    throw new Error('This share has already been paid or is no longer due');
+  }
+
+  const transactionResult = await WalletTransaction.createTransaction({
+    playerId,
+    transactionType: 'Debit',
+    amount: share.amount,
+    description: `Entry fee share: ${event.title}`.slice(0, 200),
+    balanceAfter: payer.walletBalance,
+    status: 'Completed',
+    referenceId: reference,
+    metadata: { paymentMethod: 'wallet' }
+  });
+  if (!transactionResult.success) {
+    console.error('Failed to create wallet transaction:', transactionResult.error);
+  }
+
+  const completed = await completeSplitPayment(event._id, registration._id);
+  await invalidateCacheByPrefixes(['/api/manager/my-events']);
+
+  return { amount: share.amount, reference, completed };
+}
+
+/**
+ * Confirm a registration once every share of its split fee is paid: the
+ * total is recorded against the event like a single payment.
+ * @param {string} eventId
+ * @param {string} registrationId
+ * @returns {Promise<boolean>} whether this call completed the split
+ */
+async function completeSplitPayment(eventId, registrationId) {
+  const event = await EventSchema.findById(eventId);
+  const registration = event && event.team_registrations.id(registrationId);
+  const split = registration && registration.split_payment;
+  if (!split || split.status !== 'collecting' || !splits.isFullyPaid(split)) {
+    return false;
+  }
+
+  const organizer = await UserSchema.findById(event.organizer_id);
+  if (!organizer) {
+    console.error(`Cannot complete split entry fee for event ${eventId}: organizer not found`);
+    return false;
+  }
+
+  // Claim the completion so the fee is only recorded once
+  const now = new Date();
+  const claimed = await EventSchema.updateOne(
+    { _id: eventId, team_registrations: { $elemMatch: { _id: registrationId, 'split_payment.status': 'collecting' } } },
+    {
+      $set: {
+        'team_registrations.$.split_payment.status': 'completed',
+        'team_registrations.$.split_payment.completed_at': now
+      }
+    }
+  );
+  if (claimed.modifiedCount === 0) {
+    return false;
+  }
+
+  const reference = `SPLIT_${event._id}_${registration.team_id}`;
+  const recorded = await recordEntryFee({
+    event,
+    organizer,
+    amount: split.total,
+    paymentReference: reference,
+    paymentMethod: 'split'
+  });
+
+  await EventSchema.updateOne(
+    { _id: eventId, 'team_registrations._id': registrationId },
+    {
+      $set: {
+        'team_registrations.$.status': 'confirmed',
+        'team_registrations.$.payment': {
+          amount: split.total,
+          method: 'split',
+          reference,
+          commission_id: recorded.commission_id,
+          list_price: split.list_price,
+          price_tier: split.price_tier,
+          returning_discount: split.returning_discount,
+          promo_code: split.promo_code,
+          promo_discount: split.promo_discount,
+          paid_at: now
+        }
+      }
+    }
+  );
+  await invalidateCacheByPrefixes([`/api/organizer/event/${eventId}`]);
+  return true;
+}
+
+/**
+ * Stop collecting a split entry fee and give every share paid so far back
+ * in full. The registration itself is left to the caller.
+ * @param {Object} options - { event, registration, reason } reason is
+ *   'deadline' or one of refundService.REFUND_REASONS
+ * @returns {Promise<Object>} { amount, players } refunded
+ */
+async function releaseSplitPayment({ event, registration, reason }) {
+  const split = registration.split_payment;
+  const summary = { amount: 0, players: 0 };
+  if (!split || split.status !== 'collecting') {
+    return summary;
+  }
+
+  const now = new Date();
+  const claimed = await EventSchema.updateOne(
+    { _id: event._id, team_registrations: { $elemMatch: { _id: registration._id, 'split_payment.status': 'collecting' } } },
+    {
+      $set: {
+        'team_registrations.$.split_payment.status': 'released',
+        'team_registrations.$.split_payment.released_at': now
+      }
+    }
+  );
+  if (claimed.modifiedCount === 0) {
+    return summary;
+  }
+
+  // Shares may have been paid since the registration was read
+  const current = await EventSchema.findById(event._id).select('team_registrations').lean();
+  const currentRegistration = current && current.team_registrations.find(reg => reg._id.toString() === registration._id.toString());
+  const shares = (currentRegistration && currentRegistration.split_payment.shares) || [];
+
+  const why = {
+    deadline: 'fee not collected in time',
+    event_cancelled: 'event cancelled',
+    team_withdrawn: 'team withdrawn'
+  }[reason] || 'registration released';
+
+  for (const share of shares) {
+    if (!share.paid_at || share.refunded_amount) continue;
+    const player = await creditWallet({
+      userId: share.player_id,
+      amount: share.amount,
+      description: `Entry fee share returned (${why}): ${event.title}`,
+      reference: `SHARE_REFUND_${event._id}_${share.player_id}_${now.getTime()}`
+    });
+    if (!player) {
+      console.error(`Returning share of ${share.amount} to player ${share.player_id} failed: player not found`);
+      continue;
+    }
+    share.refunded_amount = share.amount;
+    summary.amount += share.amount;
+    summary.players++;
+  }
+
+  await EventSchema.updateOne(
+    { _id: event._id, 'team_registrations._id': registration._id },
+    { $set: { 'team_registrations.$.split_payment.shares': shares } }
+  );
+  if (split.promo_code) {
+    await releasePromoCode(event, split.promo_code);
+  }
+  await invalidateCacheByPrefixes(['/api/manager/my-events']);
+
+  return summary;
+}
+
+/**
+ * Remind players who haven't paid their share of a split fee.
+ * @param {Object} options - { event, registration, team, intervalHours }
+ *   only players not reminded within intervalHours are emailed
+ * @returns {Promise<number>} number of players emailed
+ */
+async function remindSplitPayers({ event, registration, team, intervalHours = splits.REMINDER_INTERVAL_HOURS }) {
+  const split = registration.split_payment;
+  if (!split) return 0;
+
+  const now = new Date();
+  const due = splits.sharesToRemind(split, now, intervalHours);
+  if (due.length === 0) return 0;
+
+  const notified = await splits.notifyUnpaidPlayers(event, team, split, due);
+  await EventSchema.updateOne(
+    { _id: event._id },
+    { $set: { 'team_registrations.$[reg].split_payment.shares.$[share].last_reminded_at': now } },
+    {
+      arrayFilters: [
+        { 'reg._id': registration._id },
+        { 'share.player_id': { $in: due.map(share => share.player_id) }, 'share.paid_at': null }
+      ]
+    }
+  );
+  return notified;
+}
+
+/**
+ * Sweep every split entry fee still being collected: release the ones past
+ * their due date, freeing the spot, and remind players on the rest.
+ * @returns {Promise<Object>} { released, reminded }
+ */
+async function sweepSplitPayments() {
+  const summary = { released: 0, reminded: 0 };
+  const events = await EventSchema.find({ 'team_registrations.split_payment.status': 'collecting' });
+
+  for (const event of events) {
+    const collecting = event.team_registrations.filter(reg => reg.split_payment && reg.split_payment.status === 'collecting');
+    for (const registration of collecting) {
+      try {
+        if (splits.isOverdue(registration.split_payment)) {
+          await releaseSplitPayment({ event, registration, reason: 'deadline' });
+          await Event.removeTeamRegistration(event._id, registration.team_id);
+          summary.released++;
+        } else {
+          const team = await TeamSchema.findById(registration.team_id).select('name').lean();
+          if (!team) continue;
+          summary.reminded += await remindSplitPayers({ event, registration, team });
+        }
+      } catch (err) {
+        console.error(`Split entry fee sweep failed for team ${registration.team_id}:`, err.message);
+      }
+    }
+  }
+  return summary;
+}
+
+/**
+ * Process event registration payment
+ * 
+ * Checks the amount against the entry fee, collects it and registers the team.
+ * With paymentMethod 'split' the team's manager splits the fee across the
+ * active roster instead; the registration is confirmed once every player
+ * has paid their share (optionally by `dueAt`).
  */
 async function processEventRegistrationPayment(req, res) {
   try {
     const { eventId } = req.params;
-    const { teamId, paymentMethod, amount } = req.body;
-    const userId = req.session.user?.id;
+    const { teamId, paymentMethod, amount, promoCode, dueAt } = req.body;
+    const userId = req.session.user?.id || req.session.user?._id;
     
     if (!userId) {
       return res.status(401).json({
@@ -34,7 +832,7 @@ async function processEventRegistrationPayment(req, res) {
     }
     
     // Get event details
-    const event = await Event.getEventById(eventId);
+    const event = await EventSchema.findById(eventId);
     if (!event) {
       return res.status(404).json({
         success: false,
@@ -42,150 +840,84 @@ async function processEventRegistrationPayment(req, res) {
       });
     }
     
-    // Verify payment amount matches entry fee
-    const entryFee = event.entry_fee || 0;
-    if (amount !== entryFee) {
+    // Verify payment amount matches the current price after discounts
+    const quote = await quoteEntryFee({ event, teamId, promoCode });
+    if (quote.error) {
       return res.status(400).json({
         success: false,
-        error: `Invalid payment amount. Expected: ₹${entryFee}`
+        error: quote.error
       });
     }
-    
-    // Get organizer details to determine commission rate
-    const organizer = await User.findById(event.createdBy);
-    if (!organizer) {
-      return res.status(500).json({
+    if (amount !== quote.amount) {
+      return res.status(400).json({
         success: false,
-        error: 'Organizer not found'
+        error: `Invalid payment amount. Expected: ₹${quote.amount}`,
+        quote
       });
     }
-    
-    // Determine commission rate based on tier and subscription
-    let commissionRate = 15; // Default
-    
-    if (organizer.subscription && organizer.subscription.plan === 'enterprise') {
-      commissionRate = 12;
-    } else if (organizer.subscription && organizer.subscription.plan === 'pro') {
-      commissionRate = 15;
-    } else if (organizer.organizerTier === 'enterprise') {
-      commissionRate = 12;
-    } else if (organizer.organizerTier === 'premium') {
-      commissionRate = 15;
-    } else if (organizer.organizerTier === 'established') {
-      commissionRate = 17;
-    } else {
-      commissionRate = 20; // New organizers
+
+    // Don't take payment for a spot that isn't there
+    if (teamId && waitlists.isFull(event)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Event has reached maximum number of teams. Join the waitlist instead.',
+        waitlist: true
+      });
     }
-    
-    // Calculate commission amounts
-    const commissionAmount = Math.round((amount * commissionRate) / 100);
-    const organizerPayout = amount - commissionAmount;
-    
-    // Process payment based on method
-    let paymentSuccess = false;
-    let paymentReference = '';
-    
-    switch (paymentMethod) {
-      case 'wallet':
-        // Check wallet balance
-        const user = await User.findById(userId);
-        if (!user || (user.walletBalance || 0) < amount) {
-          return res.status(400).json({
-            success: false,
-            error: 'Insufficient wallet balance'
-          });
-        }
-        
-        // Deduct from wallet
-        user.walletBalance = (user.walletBalance || 0) - amount;
-        await user.save();
-        
-        // Create wallet transaction
-        const transactionResult = await WalletTransaction.createTransaction({
-          userId,
-          type: 'debit',
-          amount,
-          description: `Event registration: ${event.title}`,
-          referenceType: 'event_registration',
-          referenceId: eventId
-        });
-        
-        paymentReference = transactionResult.transaction?._id || `REG-${Date.now()}`;
-        paymentSuccess = true;
-        break;
-        
-      case 'card':
-      case 'upi':
-      case 'netbanking':
-        // In production, integrate with payment gateway (Razorpay/Stripe)
-        // For now, simulate successful payment
-        paymentReference = `PAY-${Date.now()}-${Math.random().toString(36).substring(7).toUpperCase()}`;
-        paymentSuccess = true;
-        break;
-        
-      default:
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid payment method'
-        });
+
+    // Nor for a registration that would be turned down
+    if (event.registration_deadline && new Date(event.registration_deadline) < new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Registration deadline has passed'
+      });
     }
-    
-    if (!paymentSuccess) {
-      return res.status(500).json({
+    if (teamId && event.team_registrations.some(reg =>
+      reg.team_id && reg.team_id.toString() === teamId.toString() && reg.status !== 'cancelled'
+    )) {
+      return res.status(409).json({
         success: false,
-        error: 'Payment processing failed'
+        error: 'Team is already registered for this event'
       });
     }
     
-    // Create commission record
-    const commissionData = {
-      eventId: event._id,
-      organizerId: organizer._id,
-      userId: userId,
-      totalRevenue: amount,
-      commissionRate,
-      commissionAmount,
-      organizerPayout,
-      status: 'pending',
-      paymentMethod,
-      paymentReference
-    };
-    
-    const commissionResult = await Commission.createCommission(commissionData);
-    
-    if (!commissionResult.success) {
-      // Rollback payment if commission creation fails
-      console.error('Commission creation failed:', commissionResult.error);
-      // In production, implement proper rollback
+    if (paymentMethod === 'split') {
+      return startSplitRegistration(req, res, { event, teamId, userId, quote, dueAt });
+    }
+
+    let payment;
+    try {
+      payment = await payEntryFee({ event, userId, quote, paymentMethod });
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        error: err.message
+      });
     }
-    
-    // Update event revenue
-    event.revenue = event.revenue || {
-      totalCollected: 0,
-      platformCommission: 0,
-      organizerPayout: 0,
-      refundedAmount: 0
-    };
-    
-    event.revenue.totalCollected += amount;
-    event.revenue.platformCommission += commissionAmount;
-    event.revenue.organizerPayout += organizerPayout;
-    event.registrationCount = (event.registrationCount || 0) + 1;
-    
-    await event.save();
     
     // Register team/user for event
     if (teamId) {
+      const { commissionRate, ...registrationPayment } = payment;
       const registrationData = {
         team_id: teamId,
         status: 'confirmed',
-        paymentStatus: 'completed',
-        paymentAmount: amount,
-        paymentReference,
-        registeredAt: new Date()
+        payment: registrationPayment
       };
       
-      await Event.registerTeamForEvent(eventId, registrationData);
+      try {
+        await Event.registerTeamForEvent(eventId, registrationData);
+      } catch (err) {
+        // Another registration got in while the fee was being paid
+        try {
+          await returnEntryFee({ event, payment, reason: 'registration failed' });
+        } catch (returnErr) {
+          console.error('Failed to return entry fee:', returnErr.message);
+        }
+        return res.status(400).json({
+          success: false,
+          error: err.message
+        });
+      }
     }
     
     res.json({
@@ -195,8 +927,11 @@ async function processEventRegistrationPayment(req, res) {
         eventId,
         eventName: event.title,
         amount,
-        commissionRate: `${commissionRate}%`,
-        paymentReference
+        listPrice: quote.list_price,
+        discount: quote.discount,
+        promoCode: quote.promo_code,
+        commissionRate: `${payment.commissionRate}%`,
+        paymentReference: payment.reference
       }
     });
     
@@ -209,13 +944,93 @@ async function processEventRegistrationPayment(req, res) {
   }
 }
 
+/**
+ * The split branch of processEventRegistrationPayment.
+ */
+async function startSplitRegistration(req, res, { event, teamId, userId, quote, dueAt }) {
+  if (!teamId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Choose the team whose roster shares the entry fee'
+    });
+  }
+  if (!(quote.amount > 0)) {
+    return res.status(400).json({
+      success: false,
+      error: 'There is no entry fee to split'
+    });
+  }
+
+  const team = await TeamSchema.findById(teamId).select('name manager_id members');
+  if (!team || !team.manager_id || team.manager_id.toString() !== userId.toString()) {
+    return res.status(403).json({
+      success: false,
+      error: 'Only the team\'s manager can split its entry fee'
+    });
+  }
+
+  // The squad is optional unless the event sets squad size limits
+  const squadSize = squads.getSquadSize(event);
+  let squad;
+  if (req.body.squad !== undefined || squadSize.min || squadSize.max) {
+    const result = squads.validateSquad(req.body.squad || [], team, event);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+    squad = result.squad.map(playerId => ({ player_id: playerId, added_at: new Date() }));
+  }
+
+  let split;
+  try {
+    split = await startSplitPayment({
+      event,
+      team,
+      userId,
+      quote,
+      dueAt,
+      squad,
+      notes: typeof req.body.notes === 'string' ? req.body.notes.trim().slice(0, 500) : undefined
+    });
+  } catch (err) {
+    return res.status(400).json({
+      success: false,
+      error: err.message
+    });
+  }
+  await invalidateCacheByPrefixes(['/api/manager/my-events']);
+
+  res.json({
+    success: true,
+    message: `Registration held. ${split.shares.length} players have been asked to pay their share.`,
+    registration: {
+      eventId: event._id,
+      eventName: event.title,
+      amount: quote.amount,
+      listPrice: quote.list_price,
+      discount: quote.discount,
+      promoCode: quote.promo_code,
+      status: 'pending',
+      split: {
+        ...splits.splitSummary(split),
+        shares: split.shares.map(share => ({ player_id: share.player_id, amount: share.amount }))
+      }
+    }
+  });
+}
+
 /**
  * Get commission breakdown for event registration
+ *
+ * Prices the entry for ?teamId= with ?promoCode= when given, so it doubles
+ * as a price quote; commission is shown on the discounted amount.
  */
 async function getRegistrationCommissionBreakdown(req, res) {
   try {
     const { eventId } = req.params;
-    const userId = req.session.user?.id;
+    const userId = req.session.user?.id || req.session.user?._id;
     
     if (!userId) {
       return res.status(401).json({
@@ -234,7 +1049,7 @@ async function getRegistrationCommissionBreakdown(req, res) {
     }
     
     // Get organizer to determine rate
-    const organizer = await User.findById(event.createdBy);
+    const organizer = await UserSchema.findById(event.organizer_id);
     if (!organizer) {
       return res.status(500).json({
         success: false,
@@ -242,24 +1057,17 @@ async function getRegistrationCommissionBreakdown(req, res) {
       });
     }
     
-    // Determine commission rate
-    let commissionRate = 15;
-    
-    if (organizer.subscription && organizer.subscription.plan === 'enterprise') {
-      commissionRate = 12;
-    } else if (organizer.subscription && organizer.subscription.plan === 'pro') {
-      commissionRate = 15;
-    } else if (organizer.organizerTier === 'enterprise') {
-      commissionRate = 12;
-    } else if (organizer.organizerTier === 'premium') {
-      commissionRate = 15;
-    } else if (organizer.organizerTier === 'established') {
-      commissionRate = 17;
-    } else {
-      commissionRate = 20;
+    const commissionRate = getCommissionRate(organizer);
+
+    const quote = await quoteEntryFee({ event, teamId: req.query.teamId, promoCode: req.query.promoCode });
+    if (quote.error) {
+      return res.status(400).json({
+        success: false,
+        error: quote.error
+      });
     }
     
-    const entryFee = event.entry_fee || 0;
+    const entryFee = quote.amount;
     const commissionAmount = Math.round((entryFee * commissionRate) / 100);
     const organizerReceives = entryFee - commissionAmount;
     
@@ -267,6 +1075,11 @@ async function getRegistrationCommissionBreakdown(req, res) {
       success: true,
       breakdown: {
         entryFee,
+        listPrice: quote.list_price,
+        priceTier: quote.price_tier,
+        returningDiscount: quote.returning_discount,
+        promoDiscount: quote.promo_discount,
+        promoCode: quote.promo_code,
         commissionRate: `${commissionRate}%`,
         commissionAmount,
         organizerReceives,
@@ -284,6 +1097,17 @@ async function getRegistrationCommissionBreakdown(req, res) {
 }
 
 module.exports = {
+  getCommissionRate,
+  collectEntryFee,
+  quoteEntryFee,
+  payEntryFee,
+  returnEntryFee,
+  refundEntryFee,
+  refundCancelledEvent,
+  paySplitShare,
+  releaseSplitPayment,
+  remindSplitPayers,
+  sweepSplitPayments,
   processEventRegistrationPayment,
   getRegistrationCommissionBreakdown
 };
@@ -0,0 +1,269 @@
+const mongoose = require('mongoose');
+const Match = require('../models/schemas/matchSchema');
+const liveScoreService = require('../services/liveScoreService');
+const { isBracketMatch } = require('../services/bracketService');
+const { drawsAllowedForEvent } = require('../services/standingsService');
+const resultConfirmation = require('../services/resultConfirmationService');
+const { canManageTeam } = require('../services/teamRosterService');
+const { getMatchRosters } = require('../services/squadService');
+
+// Keep SSE connections open through proxies that drop idle streams
+const KEEP_ALIVE_MS = 25000;
+
+/**
+ * Load a match for live scoring and check the user may score it.
+ * Managers (or co-managers) of either team can start a match; once started
+ * only the user who started it (the recorder) or the event organizer can score it.
+ * Sends the error response itself and returns null when access is denied.
+ */
+async function loadScorableMatch(req, res) {
+    const match = await Match.findById(req.params.matchId)
+        .populate('team_a', 'manager_id members')
+        .populate('team_b', 'manager_id members')
+        .populate('event_id', 'organizer_id');
+
+    if (!match) {
+        res.status(404).json({ success: false, message: 'Match not found' });
+        return null;
+    }
+
+    const userId = req.session.user._id.toString();
+    const isOrganizer = req.session.user.role === 'organizer' &&
+        match.event_id && match.event_id.organizer_id.toString() === userId;
+    const isTeamManager = [match.team_a, match.team_b].some(team => canManageTeam(team, userId));
+    const isRecorder = match.recorded_by && match.recorded_by.toString() === userId;
+
+    const allowed = match.status === 'scheduled'
+        ? isOrganizer || isTeamManager
+        : isOrganizer || (isTeamManager && isRecorder);
+
+    if (!allowed) {
+        res.status(403).json({ success: false, message: 'Not authorized to score this match' });
+        return null;
+    }
+
+    return match;
+}
+
+/**
+ * Append a live event to a match and push the new score to subscribers.
+ */
+async function appendLiveEvent(req, res, event) {
+    const match = await loadScorableMatch(req, res);
+    if (!match) return;
+
+    if (event.player_id && !mongoose.isValidObjectId(event.player_id)) {
+        return res.status(400).json({ success: false, message: 'Invalid player_id' });
+    }
+    if (event.player_id && (event.team === 'team_a' || event.team === 'team_b') && match[event.team]) {
+        // Scorers must come from the team's event squad
+        const rosters = await getMatchRosters(match);
+        if (!(rosters[match[event.team]._id.toString()] || []).includes(String(event.player_id))) {
+            return res.status(400).json({ success: false, message: 'Player is not in this team\'s event squad' });
+        }
+    }
+
+    const result = liveScoreService.applyLiveEvent(match, event);
+    if (result.error) {
+        return res.status(400).json({ success: false, message: result.error });
+    }
+
+    const now = new Date();
+    const userId = req.session.user._id;
+
+    if (event.type === 'start') {
+        match.status = 'live';
+        match.live_started_at = now;
+        match.recorded_by = userId;
+    }
+
+    if (event.type === 'end') {
+        if (isBracketMatch(match) && result.score_a === result.score_b) {
+            return res.status(400).json({
+                success: false,
+                message: 'Knockout matches cannot end in a draw'
+            });
+        }
+        if (result.score_a === result.score_b && !(await drawsAllowedForEvent(match.event_id && match.event_id._id))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Draws are not allowed by this event\'s scoring rules'
+            });
+        }
+
+        // The final live score enters the normal result workflow
+        match.status = 'pending';
+        match.live_ended_at = now;
+        match.winner = resultConfirmation.winnerFor(result.score_a, result.score_b);
+    }
+
+    match.score_a = result.score_a;
+    match.score_b = result.score_b;
+    if (result.period !== undefined) {
+        match.live_period = result.period;
+    }
+
+    const logEntry = {
+        type: event.type,
+        team: event.team || null,
+        points: event.type === 'score' ? Number(event.points === undefined ? 1 : event.points) : null,
+        player_id: event.player_id || null,
+        period: match.live_period,
+        note: event.note || '',
+        score_a: match.score_a,
+        score_b: match.score_b,
+        recorded_by: userId,
+        at: now
+    };
+    match.live_events.push(logEntry);
+
+    if (event.type === 'end') {
+        // A manager's live score still needs the other team's confirmation
+        const recordingTeam = [match.team_a, match.team_b].find(team =>
+            canManageTeam(team, match.recorded_by));
+        if (recordingTeam) {
+            match.confirmation = await resultConfirmation.createConfirmationRequest(match, recordingTeam._id);
+        }
+        match.result_audit.push(resultConfirmation.buildAuditEntry('submitted', match, req.session.user, 'Final live score'));
+    }
+
+    await match.save();
+
+    liveScoreService.publish(match, logEntry);
+
+    res.json({
+        success: true,
+        message: event.type === 'end'
+            ? 'Match ended. The result is awaiting confirmation and organizer verification.'
+            : 'Live score updated',
+        live: liveScoreService.toLivePayload(match, logEntry)
+    });
+}
+
+/**
+ * Controller for live match scoring
+ */
+module.exports = {
+    /**
+     * Current live state and event log of a match
+     * GET /api/matches/:matchId/live
+     */
+    getLiveMatch: async (req, res) => {
+        try {
+            const match = await Match.findById(req.params.matchId)
+                .select('team_a team_b team_a_name team_b_name event_id status score_a score_b live_period live_started_at live_ended_at live_events recorded_by')
+                .lean();
+
+            if (!match) {
+                return res.status(404).json({ success: false, message: 'Match not found' });
+            }
+
+            res.json({
+                success: true,
+                live: liveScoreService.toLivePayload(match, match.live_events[match.live_events.length - 1]),
+                match
+            });
+        } catch (err) {
+            console.error('Error getting live match:', err);
+            res.status(500).json({
+                success: false,
+                message: 'Error getting live match',
+                error: err.message
+            });
+        }
+    },
+
+    /**
+     * Server-Sent Events stream of live score updates
+     * GET /api/matches/live/stream?match=<id>&team=<id>&event=<id>
+     */
+    streamLiveScores: (req, res) => {
+        const toList = value => (Array.isArray(value) ? value : String(value || '').split(','))
+            .map(id => id.trim())
+            .filter(Boolean);
+        const channels = [
+            ...toList(req.query.match).map(id => `match:${id}`),
+            ...toList(req.query.team).map(id => `team:${id}`),
+            ...toList(req.query.event).map(id => `event:${id}`)
+        ];
+
+        if (channels.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Subscribe to at least one match, team or event'
+            });
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write('retry: 5000\n\n');
+
+        const unsubscribe = liveScoreService.subscribe(channels, payload => {
+            res.write(`event: score\ndata: ${JSON.stringify(payload)}\n\n`);
+        });
+        const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+
+        req.on('close', () => {
+            clearInterval(keepAlive);
+            unsubscribe();
+        });
+    },
+
+    /**
+     * Start live scoring
+     * POST /api/matches/:matchId/live/start
+     */
+    startLiveMatch: async (req, res) => {
+        try {
+            await appendLiveEvent(req, res, { type: 'start', period: req.body.period, note: req.body.note });
+        } catch (err) {
+            console.error('Error starting live match:', err);
+            res.status(500).json({ success: false, message: 'Error starting live match', error: err.message });
+        }
+    },
+
+    /**
+     * Record a scoring event
+     * POST /api/matches/:matchId/live/score
+     */
+    recordLiveScore: async (req, res) => {
+        try {
+            const { team, points, player_id, note } = req.body;
+            await appendLiveEvent(req, res, { type: 'score', team, points, player_id, note });
+        } catch (err) {
+            console.error('Error recording live score:', err);
+            res.status(500).json({ success: false, message: 'Error recording live score', error: err.message });
+        }
+    },
+
+    /**
+     * Change the period (half, quarter, innings, set...)
+     * POST /api/matches/:matchId/live/period
+     */
+    changeLivePeriod: async (req, res) => {
+        try {
+            await appendLiveEvent(req, res, { type: 'period', period: req.body.period, note: req.body.note });
+        } catch (err) {
+            console.error('Error changing live period:', err);
+            res.status(500).json({ success: false, message: 'Error changing period', error: err.message });
+        }
+    },
+
+    /**
+     * End live scoring; the final score goes to organizer verification
+     * POST /api/matches/:matchId/live/end
+     */
+    endLiveMatch: async (req, res) => {
+        try {
+            await appendLiveEvent(req, res, { type: 'end', note: req.body.note });
+        } catch (err) {
+            console.error('Error ending live match:', err);
+            res.status(500).json({ success: false, message: 'Error ending live match', error: err.message });
+        }
+    }
+};
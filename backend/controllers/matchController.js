@@ -1,5 +1,8 @@
 const { Team, Event } = require('../models');
 const Match = require('../models/schemas/matchSchema');
+const { isBracketMatch } = require('../services/bracketService');
+const { drawsAllowedForEvent, parseResultDetails } = require('../services/standingsService');
+const resultConfirmation = require('../services/resultConfirmationService');
 
 /**
  * Match controller for handling match-related operations
@@ -118,6 +121,7 @@ module.exports = {
 
             // Group matches by status for organizer view
             const matches = {
+                live: allMatches.filter(m => m.status === 'live'),
                 pending: allMatches.filter(m => m.status === 'pending'),
                 verified: allMatches.filter(m => m.status === 'verified' || m.status === 'completed'),
                 disputed: allMatches.filter(m => m.status === 'disputed')
@@ -137,6 +141,67 @@ module.exports = {
         }
     },
 
+    /**
+     * Individual award tables (top scorer, assists, wickets, best bowling, MVP votes)
+     * GET /api/matches/event/:eventId/awards
+     */
+    getEventAwards: async (req, res) => {
+        try {
+            const { eventId } = req.params;
+            const { computeAwards } = require('../services/playerStatsService');
+            const User = require('../models/schemas/userSchema');
+            const TeamModel = require('../models/schemas/teamSchema');
+
+            const event = await Event.getEventById(eventId);
+
+            const matches = await Match.find({
+                event_id: eventId,
+                status: { $in: ['verified', 'completed'] }
+            })
+                .select('player_stats mvp_votes')
+                .lean();
+
+            const awards = computeAwards(matches, event.sport_type, {
+                limit: Math.min(parseInt(req.query.limit, 10) || 10, 50)
+            });
+
+            // Resolve player and team names for every listed entry
+            const entries = awards.flatMap(award => award.entries);
+            const [users, teams] = await Promise.all([
+                User.find({ _id: { $in: [...new Set(entries.map(e => e.player_id))] } })
+                    .select('first_name last_name')
+                    .lean(),
+                TeamModel.find({ _id: { $in: [...new Set(entries.map(e => e.team_id))] } })
+                    .select('name')
+                    .lean()
+            ]);
+            const userNames = new Map(users.map(u => [u._id.toString(), `${u.first_name} ${u.last_name}`.trim()]));
+            const teamNames = new Map(teams.map(t => [t._id.toString(), t.name]));
+
+            res.json({
+                success: true,
+                event: { _id: event._id, title: event.title, sport_type: event.sport_type },
+                matches_counted: matches.length,
+                awards: awards.map(award => ({
+                    ...award,
+                    entries: award.entries.map((entry, index) => ({
+                        ...entry,
+                        rank: index + 1,
+                        player_name: userNames.get(entry.player_id) || 'Unknown Player',
+                        team_name: teamNames.get(entry.team_id) || 'Unknown Team'
+                    }))
+                }))
+            });
+        } catch (err) {
+            console.error('Error getting event awards:', err);
+            res.status(500).json({
+                success: false,
+                message: 'Error getting event awards',
+                error: err.message
+            });
+        }
+    },
+
     /**
      * Get match history for a team
      * GET /api/matches/team/:teamId/history
@@ -272,6 +337,57 @@ module.exports = {
                 });
             }
 
+            if (match.status === 'verified') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This result has already been verified and can no longer be changed'
+                });
+            }
+
+            // The manager's own team; the other team confirms what they submit
+            const submittingTeam = userRole === 'manager'
+                ? [match.team_a, match.team_b].find(team => team.manager_id?.toString() === userId.toString())
+                : null;
+
+            if (submittingTeam) {
+                if (!['scheduled', 'pending'].includes(match.status)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Cannot submit a result for a match with status: ${match.status}`
+                    });
+                }
+                if (match.confirmation?.status === 'awaiting' &&
+                    String(match.confirmation.awaiting_team) === submittingTeam._id.toString()) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Confirm or counter-claim the result submitted by the other team'
+                    });
+                }
+            }
+
+            if (isBracketMatch(match) && Number(score_a) === Number(score_b)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Knockout matches cannot end in a draw'
+                });
+            }
+
+            if (Number(score_a) === Number(score_b) && !(await drawsAllowedForEvent(match.event_id))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Draws are not allowed by this event\'s scoring rules'
+                });
+            }
+
+            // Optional details used by leaderboard tie-breakers (overs, fair play points)
+            const { details, error: detailsError } = parseResultDetails(req.body);
+            if (detailsError) {
+                return res.status(400).json({
+                    success: false,
+                    message: detailsError
+                });
+            }
+
             // Calculate winner
             let result = 'draw';
             if (score_a > score_b) result = 'team_a';
@@ -282,9 +398,6 @@ module.exports = {
             if (userRole === 'manager') {
                 // Manager submission needs organizer approval
                 status = 'pending';
-            } else if (userRole === 'organizer') {
-                // Organizer can directly mark as verified/completed
-                status = 'verified';
             }
 
             // Update match with new scores, result, and status
@@ -292,22 +405,35 @@ module.exports = {
             match.score_b = score_b;
             match.result = result;
             match.status = status;
+            Object.assign(match, details);
             match.updated_at = new Date();
+            if (submittingTeam) {
+                match.recorded_by = userId;
+                match.confirmation = await resultConfirmation.createConfirmationRequest(match, submittingTeam._id);
+            }
+            match.result_audit.push(resultConfirmation.buildAuditEntry('submitted', match, req.session.user));
 
             await match.save();
 
+            let updated = match;
+            if (userRole === 'organizer') {
+                // Organizer results are verified straight away, through the model so stats run once
+                const MatchModel = require('../models/match');
+                updated = await MatchModel.verifyMatch(matchId, userId);
+            }
+
             console.log('✅ Match updated successfully');
-            console.log(`📊 Status: ${status} (submitted by ${userRole})`);
+            console.log(`📊 Status: ${updated.status} (submitted by ${userRole})`);
 
             // Different message based on who submitted
             const message = userRole === 'manager' 
-                ? 'Result submitted for verification. Waiting for Organizer approval.'
+                ? 'Result submitted. Waiting for the other team to confirm it.'
                 : 'Match result updated and verified successfully';
 
             res.json({ 
                 success: true, 
                 message: message,
-                match: match,
+                match: updated,
                 requiresApproval: userRole === 'manager'
             });
         } catch (err) {
@@ -494,20 +620,49 @@ module.exports = {
                 });
             }
 
-            // Update status to verified
-            match.status = 'verified';
-            match.verified_by = req.session.user._id;
-            match.verified_at = new Date();
-            match.updated_at = new Date();
+            if (resultConfirmation.isConfirmationOverdue(match)) {
+                // The sweep has not run yet for this result; confirm it now
+                match.confirmation.status = 'auto_confirmed';
+                match.confirmation.responded_at = new Date();
+                match.result_audit.push(resultConfirmation.buildAuditEntry('auto_confirmed', match, null,
+                    'The opposing manager did not respond within the confirmation window'));
+                await match.save();
+            }
 
-            await match.save();
+            if (!resultConfirmation.isReadyForVerification(match)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'The opposing manager has not confirmed this result yet'
+                });
+            }
+
+            if (isBracketMatch(match) && match.score_a === match.score_b) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Knockout matches cannot end in a draw. Reject the result so a winner can be recorded.'
+                });
+            }
+
+            if (match.score_a === match.score_b && !(await drawsAllowedForEvent(match.event_id))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Draws are not allowed by this event\'s scoring rules. Reject the result so a winner can be recorded.'
+                });
+            }
+
+            // Verify through the model so team stats and knockout progression run
+            const MatchModel = require('../models/match');
+            const verified = await MatchModel.verifyMatch(matchId, req.session.user._id);
 
             console.log(`✅ Match ${matchId} approved by organizer`);
 
+            // Let anyone watching the match see the verified result
+            require('../services/liveScoreService').publish(verified);
+
             res.json({
                 success: true,
                 message: 'Match result approved and verified successfully',
-                match: match
+                match: verified
             });
 
         } catch (err) {
@@ -551,7 +706,9 @@ module.exports = {
             match.score_b = null;
             match.result = null;
             match.rejection_reason = reason || 'Result rejected by organizer';
+            match.confirmation = { status: null };
             match.updated_at = new Date();
+            match.result_audit.push(resultConfirmation.buildAuditEntry('rejected', match, req.session.user, match.rejection_reason));
 
             await match.save();
 
@@ -44,11 +44,7 @@ module.exports = {
                 years_experience: req.body.years_experience,
                 achievements: req.body.achievements,
                 preferred_team_types: req.body.preferred_team_types,
-                availability: req.body.availability,
-                games_played: req.body.games_played,
-                goals: req.body.goals,
-                assists: req.body.assists,
-                points: req.body.points
+                availability: req.body.availability
             };
             
             // Update or create the profile
@@ -0,0 +1,353 @@
+const Match = require('../models/schemas/matchSchema');
+const resultConfirmation = require('../services/resultConfirmationService');
+const { isBracketMatch } = require('../services/bracketService');
+const { drawsAllowedForEvent } = require('../services/standingsService');
+const { canManageTeam } = require('../services/teamRosterService');
+
+/**
+ * Load a match with what is needed to tell who may act on its result.
+ * Sends a 404 and returns null when the match does not exist.
+ */
+async function loadMatchParties(req, res) {
+    const match = await Match.findById(req.params.matchId)
+        .populate('team_a', 'name manager_id members')
+        .populate('team_b', 'name manager_id members')
+        .populate('event_id', 'title organizer_id');
+
+    if (!match) {
+        res.status(404).json({ success: false, message: 'Match not found' });
+        return null;
+    }
+
+    const userId = req.session.user._id.toString();
+    // Team managers and their co-managers act for the team
+    const managedTeam = [match.team_a, match.team_b].find(team => canManageTeam(team, userId));
+
+    match.$locals.managedTeam = managedTeam || null;
+    match.$locals.isOrganizer = req.session.user.role === 'organizer' &&
+        Boolean(match.event_id) && match.event_id.organizer_id.toString() === userId;
+
+    return match;
+}
+
+/**
+ * Whether the signed-in manager is the one whose confirmation is awaited.
+ */
+function isAwaitedManager(match) {
+    const team = match.$locals.managedTeam;
+    return Boolean(team) &&
+        match.status === 'pending' &&
+        match.confirmation && match.confirmation.status === 'awaiting' &&
+        String(match.confirmation.awaiting_team) === team._id.toString();
+}
+
+function resolveEvidence(file) {
+    if (!file) return null;
+    if (file.secure_url) return { url: file.secure_url, public_id: file.public_id || '' };
+    if (file.path && /^https?:\/\//i.test(String(file.path))) return { url: file.path, public_id: file.public_id || '' };
+    if (file.filename) return { url: `/uploads/profile/${file.filename}`, public_id: '' };
+    return null;
+}
+
+/**
+ * Controller for two-sided result confirmation and dispute resolution
+ */
+module.exports = {
+    /**
+     * Opposing manager confirms the submitted result
+     * POST /api/matches/:matchId/confirm
+     */
+    confirmResult: async (req, res) => {
+        try {
+            const match = await loadMatchParties(req, res);
+            if (!match) return;
+
+            if (!isAwaitedManager(match)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only the opposing manager can confirm a result that is awaiting confirmation'
+                });
+            }
+
+            match.confirmation.status = 'confirmed';
+            match.confirmation.responded_by = req.session.user._id;
+            match.confirmation.responded_at = new Date();
+            match.result_audit.push(resultConfirmation.buildAuditEntry('confirmed', match, req.session.user));
+            await match.save();
+
+            res.json({
+                success: true,
+                message: 'Result confirmed. Awaiting organizer verification.',
+                match
+            });
+        } catch (err) {
+            console.error('Error confirming result:', err);
+            res.status(500).json({ success: false, message: 'Error confirming result', error: err.message });
+        }
+    },
+
+    /**
+     * Opposing manager counter-claims a different score, which opens a dispute
+     * POST /api/matches/:matchId/counter
+     * Body: { score_a, score_b, reason }
+     */
+    counterClaimResult: async (req, res) => {
+        try {
+            const match = await loadMatchParties(req, res);
+            if (!match) return;
+
+            if (!isAwaitedManager(match)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only the opposing manager can counter-claim a result that is awaiting confirmation'
+                });
+            }
+
+            const scoreA = Number(req.body.score_a);
+            const scoreB = Number(req.body.score_b);
+            const reason = String(req.body.reason || '').trim();
+
+            if (!Number.isInteger(scoreA) || !Number.isInteger(scoreB) || scoreA < 0 || scoreB < 0) {
+                return res.status(400).json({ success: false, message: 'Invalid score values' });
+            }
+            if (scoreA === match.score_a && scoreB === match.score_b) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'The claimed score matches the submitted result. Confirm it instead.'
+                });
+            }
+            if (!reason) {
+                return res.status(400).json({ success: false, message: 'Please explain why the result is wrong' });
+            }
+            if (scoreA === scoreB && isBracketMatch(match)) {
+                return res.status(400).json({ success: false, message: 'Knockout matches cannot end in a draw' });
+            }
+            if (scoreA === scoreB && !(await drawsAllowedForEvent(match.event_id && match.event_id._id))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Draws are not allowed by this event\'s scoring rules'
+                });
+            }
+
+            const now = new Date();
+            const userId = req.session.user._id;
+
+            match.confirmation.status = 'countered';
+            match.confirmation.responded_by = userId;
+            match.confirmation.responded_at = now;
+            match.status = 'disputed';
+            match.dispute_reason = reason;
+            match.dispute = {
+                status: 'open',
+                opened_by: userId,
+                opened_at: now,
+                claims: [
+                    {
+                        kind: 'original',
+                        team_id: match.confirmation.submitted_by_team,
+                        score_a: match.score_a,
+                        score_b: match.score_b,
+                        submitted_by: match.recorded_by,
+                        at: match.confirmation.requested_at
+                    },
+                    {
+                        kind: 'counter',
+                        team_id: match.$locals.managedTeam._id,
+                        score_a: scoreA,
+                        score_b: scoreB,
+                        submitted_by: userId,
+                        at: now
+                    }
+                ],
+                messages: [{ author_id: userId, author_role: req.session.user.role, body: reason, at: now }]
+            };
+            match.result_audit.push(resultConfirmation.buildAuditEntry(
+                'countered',
+                match,
+                req.session.user,
+                `Counter-claim ${scoreA}-${scoreB}: ${reason}`
+            ));
+            await match.save();
+
+            res.json({
+                success: true,
+                message: 'Counter-claim submitted. The organizer will rule on the dispute.',
+                match
+            });
+        } catch (err) {
+            console.error('Error submitting counter-claim:', err);
+            res.status(500).json({ success: false, message: 'Error submitting counter-claim', error: err.message });
+        }
+    },
+
+    /**
+     * Dispute thread, confirmation state and audit trail of a match
+     * GET /api/matches/:matchId/dispute
+     */
+    getDispute: async (req, res) => {
+        try {
+            const match = await loadMatchParties(req, res);
+            if (!match) return;
+
+            if (!match.$locals.managedTeam && !match.$locals.isOrganizer) {
+                return res.status(403).json({ success: false, message: 'Not authorized to view this dispute' });
+            }
+
+            await match.populate([
+                { path: 'dispute.messages.author_id', select: 'first_name last_name role' },
+                { path: 'result_audit.actor_id', select: 'first_name last_name' }
+            ]);
+
+            res.json({
+                success: true,
+                match: {
+                    _id: match._id,
+                    team_a: { _id: match.team_a._id, name: match.team_a.name },
+                    team_b: { _id: match.team_b._id, name: match.team_b.name },
+                    status: match.status,
+                    score_a: match.score_a,
+                    score_b: match.score_b
+                },
+                confirmation: match.confirmation,
+                dispute: match.dispute,
+                audit: match.result_audit,
+                can_rule: match.$locals.isOrganizer && match.dispute && match.dispute.status === 'open'
+            });
+        } catch (err) {
+            console.error('Error getting dispute:', err);
+            res.status(500).json({ success: false, message: 'Error getting dispute', error: err.message });
+        }
+    },
+
+    /**
+     * Post a message to an open dispute, optionally with an evidence image
+     * POST /api/matches/:matchId/dispute/messages (multipart: body, evidence)
+     */
+    addDisputeMessage: async (req, res) => {
+        try {
+            const match = await loadMatchParties(req, res);
+            if (!match) return;
+
+            if (!match.$locals.managedTeam && !match.$locals.isOrganizer) {
+                return res.status(403).json({ success: false, message: 'Not authorized to post to this dispute' });
+            }
+            if (!match.dispute || match.dispute.status !== 'open') {
+                return res.status(400).json({ success: false, message: 'This match has no open dispute' });
+            }
+
+            const body = String(req.body.body || '').trim();
+            const evidence = resolveEvidence(req.file);
+            if (!body && !evidence) {
+                return res.status(400).json({ success: false, message: 'Add a message or an evidence image' });
+            }
+
+            match.dispute.messages.push({
+                author_id: req.session.user._id,
+                author_role: req.session.user.role,
+                body,
+                evidence: evidence ? [evidence] : [],
+                at: new Date()
+            });
+            if (evidence) {
+                match.result_audit.push(resultConfirmation.buildAuditEntry('evidence_added', match, req.session.user, evidence.url));
+            }
+            await match.save();
+
+            res.json({
+                success: true,
+                message: 'Message added to the dispute',
+                messages: match.dispute.messages
+            });
+        } catch (err) {
+            console.error('Error adding dispute message:', err);
+            res.status(500).json({ success: false, message: 'Error adding dispute message', error: err.message });
+        }
+    },
+
+    /**
+     * Organizer rules on a dispute: uphold a claim, set a score or order a replay
+     * POST /api/matches/:matchId/dispute/ruling
+     * Body: { decision: 'original'|'counter'|'custom'|'replay', score_a, score_b, reason }
+     */
+    ruleDispute: async (req, res) => {
+        try {
+            const match = await loadMatchParties(req, res);
+            if (!match) return;
+
+            if (!match.$locals.isOrganizer) {
+                return res.status(403).json({ success: false, message: 'Only the event organizer can rule on a dispute' });
+            }
+            if (match.status !== 'disputed' || !match.dispute || match.dispute.status !== 'open') {
+                return res.status(400).json({ success: false, message: 'This match has no open dispute' });
+            }
+
+            const reason = String(req.body.reason || '').trim();
+            const ruling = resultConfirmation.resolveRuling(match, req.body);
+            if (ruling.error) {
+                return res.status(400).json({ success: false, message: ruling.error });
+            }
+
+            if (!ruling.replay) {
+                if (ruling.score_a === ruling.score_b && isBracketMatch(match)) {
+                    return res.status(400).json({ success: false, message: 'Knockout matches cannot end in a draw' });
+                }
+                if (ruling.score_a === ruling.score_b && !(await drawsAllowedForEvent(match.event_id._id))) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Draws are not allowed by this event\'s scoring rules'
+                    });
+                }
+            }
+
+            match.dispute.status = 'resolved';
+            match.dispute.ruling = {
+                decision: req.body.decision,
+                score_a: ruling.replay ? null : ruling.score_a,
+                score_b: ruling.replay ? null : ruling.score_b,
+                reason,
+                ruled_by: req.session.user._id,
+                ruled_at: new Date()
+            };
+
+            if (ruling.replay) {
+                // Same reset as rejecting a result: the match is played again
+                match.status = 'scheduled';
+                match.score_a = null;
+                match.score_b = null;
+                match.winner = null;
+                match.confirmation = { status: null };
+                match.rejection_reason = reason || 'Replay ordered after dispute';
+            } else {
+                match.score_a = ruling.score_a;
+                match.score_b = ruling.score_b;
+                match.winner = ruling.winner;
+            }
+            match.result_audit.push(resultConfirmation.buildAuditEntry(
+                `ruled_${req.body.decision}`,
+                match,
+                req.session.user,
+                reason
+            ));
+            await match.save();
+
+            let result = match;
+            if (!ruling.replay) {
+                // Verify through the model so team stats and knockout progression run
+                const MatchModel = require('../models/match');
+                result = await MatchModel.verifyMatch(match._id, req.session.user._id);
+                require('../services/liveScoreService').publish(result);
+            }
+
+            res.json({
+                success: true,
+                message: ruling.replay
+                    ? 'Replay ordered. The match is back on the schedule.'
+                    : 'Dispute resolved and result verified',
+                match: result
+            });
+        } catch (err) {
+            console.error('Error ruling on dispute:', err);
+            res.status(500).json({ success: false, message: 'Error ruling on dispute', error: err.message });
+        }
+    }
+};
@@ -125,7 +125,7 @@ module.exports = {
     },
     
     /**
-     * Delete a team
+     * Archive a team. Teams are kept so past matches still resolve.
      * @param {Object} req - Request object
      * @param {Object} res - Response object
      */
@@ -134,31 +134,20 @@ module.exports = {
             const teamId = req.params.id;
             const managerId = req.session.user._id;
             
-            // Verify team ownership
-            const team = await Team.getTeamById(teamId);
-            
-            if (!team) {
-                return res.status(404).json({ error: 'Team not found' });
-            }
-            
-            if (team.manager_id.toString() !== managerId.toString()) {
-                return res.status(403).json({ error: 'Not authorized to delete this team' });
-            }
-            
-            await Team.deleteTeam(teamId);
+            await Team.archiveTeam(teamId, managerId);
             
             // Set success message
             req.session.flashMessage = {
                 type: 'success',
-                text: 'Team deleted successfully!'
+                text: 'Team archived successfully!'
             };
             
             return res.redirect('/manager/teams');
         } catch (err) {
-            console.error('Error deleting team:', err);
+            console.error('Error archiving team:', err);
             req.session.flashMessage = {
                 type: 'error',
-                text: 'Error deleting team. Please try again.'
+                text: err.message || 'Error archiving team. Please try again.'
             };
             return res.redirect(`/manager/teams/${req.params.id}`);
         }
@@ -135,11 +135,10 @@ module.exports = {
             
             // If registering as a player, also create player profile
             if (role === 'player') {
+                // One sport entry per preferred sport; details are filled in from the profile
                 await PlayerProfile.createProfile({
                     user_id: newUser._id,
-                    sport: Array.isArray(preferred_sports) ? preferred_sports[0] : (preferred_sports || 'General'),
-                    position: '',
-                    skill_level: 'Beginner'
+                    sports: preferred_sports || []
                 });
             }
             
@@ -5,6 +5,7 @@ const path = require('path');
 const { Readable } = require('stream');
 
 const CLOUDINARY_FOLDER = process.env.CLOUDINARY_FOLDER || 'sportsamigo/profile';
+const CLOUDINARY_EVIDENCE_FOLDER = process.env.CLOUDINARY_EVIDENCE_FOLDER || 'sportsamigo/match-evidence';
 const MAX_IMAGE_SIZE_BYTES = Number(process.env.MAX_PROFILE_IMAGE_BYTES || 5 * 1024 * 1024);
 
 const allowedFormats = ['jpg', 'jpeg', 'png', 'webp', 'gif'];
@@ -72,7 +73,7 @@ const uploadCloud = multer({
   }
 });
 
-function uploadBufferToCloudinary(req, file) {
+function uploadBufferToCloudinary(req, file, options = {}) {
   assertCloudinaryConfigured();
 
   return new Promise((resolve, reject) => {
@@ -81,10 +82,10 @@ function uploadBufferToCloudinary(req, file) {
 
     const uploadStream = cloudinary.uploader.upload_stream(
       {
-        folder: CLOUDINARY_FOLDER,
+        folder: options.folder || CLOUDINARY_FOLDER,
         resource_type: 'image',
         format: fallbackFormat,
-        public_id: `profile-${req?.session?.user?._id || 'anonymous'}-${Date.now()}`
+        public_id: `${options.prefix || 'profile'}-${req?.session?.user?._id || 'anonymous'}-${Date.now()}`
       },
       (err, result) => {
         if (err) {
@@ -98,7 +99,7 @@ function uploadBufferToCloudinary(req, file) {
   });
 }
 
-function createSingleUploader(fieldName) {
+function createSingleUploader(fieldName, options = {}) {
   return (req, res, next) => {
     const middleware = isCloudinaryConfigured()
       ? uploadCloud.single(fieldName)
@@ -114,7 +115,7 @@ function createSingleUploader(fieldName) {
       }
 
       try {
-        const uploaded = await uploadBufferToCloudinary(req, req.file);
+        const uploaded = await uploadBufferToCloudinary(req, req.file, options);
         req.file.secure_url = uploaded.secure_url;
         req.file.public_id = uploaded.public_id;
         req.file.path = uploaded.secure_url;
@@ -128,11 +129,13 @@ function createSingleUploader(fieldName) {
 
 const uploadProfileImage = createSingleUploader('profile_image');
 const uploadPhoto = createSingleUploader('photo');
+const uploadEvidence = createSingleUploader('evidence', { folder: CLOUDINARY_EVIDENCE_FOLDER, prefix: 'evidence' });
 
 module.exports = {
   upload: uploadLocal,
   uploadProfileImage,
   uploadPhoto,
+  uploadEvidence,
   CLOUDINARY_FOLDER,
   MAX_IMAGE_SIZE_BYTES
 };
@@ -1,6 +1,9 @@
 const Commission = require('./schemas/commissionSchema');
 const mongoose = require('mongoose');
 
+// Commissions whose payout has gone to the organizer
+const PAID_OUT_STATUSES = ['processed', 'paid'];
+
 /**
  * Commission model for tracking platform revenue
  */
@@ -93,6 +96,7 @@ module.exports = {
         totalRevenue: 0,
         totalCommission: 0,
         totalPayout: 0,
+        totalRefunded: 0,
         totalTransactions: commissions.length,
         byStatus: {}
       };
@@ -101,6 +105,7 @@ module.exports = {
         stats.totalRevenue += comm.totalRevenue || 0;
         stats.totalCommission += comm.commissionAmount || 0;
         stats.totalPayout += comm.organizerPayout || 0;
+        stats.totalRefunded += comm.refundedAmount || 0;
         
         if (!stats.byStatus[comm.status]) {
           stats.byStatus[comm.status] = {
@@ -134,6 +139,7 @@ module.exports = {
         totalPayout: 0,
         pendingPayout: 0,
         paidPayout: 0,
+        totalRefunded: 0,
         totalEvents: commissions.length
       };
 
@@ -141,6 +147,7 @@ module.exports = {
         earnings.totalRevenue += comm.totalRevenue || 0;
         earnings.totalCommission += comm.commissionAmount || 0;
         earnings.totalPayout += comm.organizerPayout || 0;
+        earnings.totalRefunded += comm.refundedAmount || 0;
         
         if (comm.status === 'pending' || comm.status === 'processing') {
           earnings.pendingPayout += comm.organizerPayout || 0;
@@ -182,6 +189,65 @@ module.exports = {
     }
   },
 
+  /**
+   * Reverse part or all of a commission after its entry fee is refunded.
+   * The platform's cut shrinks by the commission on the refunded amount,
+   * rounded the way the fee was split when it was collected, and the
+   * organizer's payout by the rest; a fully refunded commission is cancelled.
+   * A commission already paid out is left untouched and returned with
+   * paidOut set, so the refund can be reconciled with the organizer.
+   * @param {string} commissionId - Commission ID
+   * @param {number} refundAmount - Amount refunded to the payer
+   * @param {string} note - Reason recorded on the commission
+   * @returns {Promise<object|null>} - Promise resolving to { commission, commissionReversed, payoutReversed, paidOut }, or null if not found
+   */
+  reverseCommission: async function(commissionId, refundAmount, note) {
+    try {
+      const commission = await Commission.findById(commissionId).lean();
+      if (!commission) {
+        return null;
+      }
+
+      const commissionReversed = Math.round((refundAmount * (commission.commissionRate || 0)) / 100);
+      const payoutReversed = refundAmount - commissionReversed;
+      if (PAID_OUT_STATUSES.includes(commission.status)) {
+        return { commission, commissionReversed, payoutReversed, paidOut: true };
+      }
+
+      const totalRevenue = Math.max(0, (commission.totalRevenue || 0) - refundAmount);
+      const update = {
+        totalRevenue,
+        commissionAmount: totalRevenue === 0 ? 0 : Math.max(0, (commission.commissionAmount || 0) - commissionReversed),
+        organizerPayout: totalRevenue === 0 ? 0 : Math.max(0, (commission.organizerPayout || 0) - payoutReversed),
+        refundedAmount: (commission.refundedAmount || 0) + refundAmount,
+        refundedAt: new Date(),
+        updatedAt: new Date()
+      };
+      if (totalRevenue === 0) {
+        update.status = 'cancelled';
+      }
+      if (note) {
+        update.notes = commission.notes ? `${commission.notes}; ${note}` : note;
+      }
+
+      // Set directly: the save hook would recompute the split without rounding.
+      // The status guard keeps a payout that starts meanwhile from being changed.
+      const updated = await Commission.findOneAndUpdate(
+        { _id: commissionId, status: { $nin: PAID_OUT_STATUSES } },
+        { $set: update },
+        { new: true }
+      );
+      if (!updated) {
+        return { commission, commissionReversed, payoutReversed, paidOut: true };
+      }
+
+      return { commission: updated, commissionReversed, payoutReversed, paidOut: false };
+    } catch (err) {
+      console.error('Error reversing commission:', err);
+      throw err;
+    }
+  },
+
   /**
    * Get commissions eligible for payout
    * @returns {Promise<Array>} - Promise resolving to array of eligible commissions
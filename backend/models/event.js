@@ -5,6 +5,7 @@ const Event = require('./schemas/eventSchema');
 const Team = require('./schemas/teamSchema');
 const User = require('./schemas/userSchema');
 const { invalidateCacheByPrefixes } = require('../utils/cacheInvalidation');
+const waitlists = require('../services/waitlistService');
 // Comment out the registration import if not needed for now
 // const Registration = require('../models/registration'); 
 
@@ -230,7 +231,11 @@ module.exports = {
         max_teams: eventData.max_teams || 0,
         entry_fee: eventData.entry_fee || 0,
         registration_deadline: eventData.registration_deadline || null,
-        status: eventData.status || 'upcoming'
+        status: eventData.status || 'upcoming',
+        tournament_format: eventData.tournament_format || 'round-robin',
+        squad_size: eventData.squad_size || { min: null, max: null },
+        refund_policy: eventData.refund_policy,
+        season: eventData.season
       };
 
       // Validate required fields
@@ -251,6 +256,10 @@ module.exports = {
         entry_fee: mappedData.entry_fee,
         registration_deadline: mappedData.registration_deadline,
         status: mappedData.status,
+        tournament_format: mappedData.tournament_format,
+        squad_size: mappedData.squad_size,
+        refund_policy: mappedData.refund_policy,
+        season: mappedData.season,
         team_registrations: []
       });
       
@@ -414,12 +423,23 @@ module.exports = {
       if (eventData.entry_fee !== undefined) updateData.entry_fee = eventData.entry_fee;
       if (eventData.registration_deadline) updateData.registration_deadline = eventData.registration_deadline;
       if (eventData.status) updateData.status = eventData.status;
+      if (eventData.tournament_format) updateData.tournament_format = eventData.tournament_format;
+      if (eventData.squad_size) updateData.squad_size = eventData.squad_size;
+      if (eventData.waitlist_offer_hours) updateData.waitlist_offer_hours = eventData.waitlist_offer_hours;
+      if (eventData.refund_policy) updateData.refund_policy = eventData.refund_policy;
       
-      return await Event.findByIdAndUpdate(
+      const event = await Event.findByIdAndUpdate(
           eventId,
           { $set: updateData },
           { new: true }
       ).exec();
+
+      // A higher team limit opens spots for waitlisted teams
+      if (event && updateData.max_teams !== undefined) {
+        await this.promoteWaitlist(eventId);
+      }
+
+      return event;
     } catch (err) {
       console.error('Error updating event:', err);
       throw err;
@@ -481,7 +501,7 @@ module.exports = {
   /**
    * Register a team for an event
    * @param {string} eventId - Event ID
-   * @param {object|string} teamData - Team data object or Team ID string
+   * @param {object|string} teamData - Team data object (team_id, status, notes, squad, payment, split_payment) or Team ID string
    * @returns {Promise<object>} - Promise resolving to the updated event
    */
   registerTeamForEvent: async function(eventId, teamData) {
@@ -505,6 +525,9 @@ module.exports = {
         if (teamData.registration_date) registrationData.registration_date = teamData.registration_date;
         if (teamData.status) registrationData.status = teamData.status;
         if (teamData.notes) registrationData.notes = teamData.notes;
+        if (teamData.squad) registrationData.squad = teamData.squad;
+        if (teamData.payment) registrationData.payment = teamData.payment;
+        if (teamData.split_payment) registrationData.split_payment = teamData.split_payment;
       } else {
         throw new Error('Valid Team ID is required');
       }
@@ -520,8 +543,9 @@ module.exports = {
         throw new Error('Registration deadline has passed');
       }
       
-      // Check if max teams reached
-      if (event.max_teams > 0 && event.team_registrations.length >= event.max_teams) {
+      // Check if max teams reached; rejected and cancelled registrations
+      // don't hold a spot, spots offered to waitlisted teams do
+      if (waitlists.isFull(event)) {
         throw new Error('Event has reached maximum number of teams');
       }
       
@@ -531,11 +555,26 @@ module.exports = {
       );
       
       if (existingReg) {
-        // If cancelled, update to pending
+        // A withdrawn or removed team registers afresh
         if (existingReg.status === 'cancelled') {
+          const reregistration = {
+            'team_registrations.$.status': registrationData.status,
+            'team_registrations.$.registration_date': registrationData.registration_date,
+            'team_registrations.$.notes': registrationData.notes
+          };
+          if (registrationData.squad) {
+            reregistration['team_registrations.$.squad'] = registrationData.squad;
+            reregistration['team_registrations.$.squad_updated_at'] = new Date();
+          }
+          if (registrationData.payment) {
+            reregistration['team_registrations.$.payment'] = registrationData.payment;
+          }
+          if (registrationData.split_payment) {
+            reregistration['team_registrations.$.split_payment'] = registrationData.split_payment;
+          }
           return await Event.findOneAndUpdate(
               { _id: eventId, 'team_registrations.team_id': teamId },
-              { $set: { 'team_registrations.$.status': 'pending' } },
+              { $set: reregistration },
               { new: true }
           ).exec();
         }
@@ -552,7 +591,11 @@ module.exports = {
                 team_id: teamId,
                 registration_date: registrationData.registration_date,
                 status: registrationData.status,
-                notes: registrationData.notes
+                notes: registrationData.notes,
+                squad: registrationData.squad || [],
+                squad_updated_at: registrationData.squad ? new Date() : undefined,
+                payment: registrationData.payment,
+                split_payment: registrationData.split_payment
               }
             }
           },
@@ -568,7 +611,7 @@ module.exports = {
    * Update team registration status
    * @param {string} eventId - Event ID
    * @param {string} teamId - Team ID
-   * @param {string} status - New status (confirmed, cancelled)
+   * @param {string} status - New status (confirmed, cancelled, rejected)
    * @returns {Promise<object>} - Promise resolving to the updated event
    */
   updateRegistrationStatus: async function(eventId, teamId, status) {
@@ -577,15 +620,21 @@ module.exports = {
         throw new Error('Event ID and Team ID are required');
       }
       
-      if (status !== 'confirmed' && status !== 'cancelled') {
-        throw new Error('Status must be confirmed or cancelled');
+      if (!['confirmed', 'cancelled', 'rejected'].includes(status)) {
+        throw new Error('Status must be confirmed, cancelled or rejected');
       }
       
-      return await Event.findOneAndUpdate(
+      const event = await Event.findOneAndUpdate(
           { _id: eventId, 'team_registrations.team_id': teamId },
           { $set: { 'team_registrations.$.status': status } },
           { new: true }
       ).exec();
+
+      if (event && status !== 'confirmed') {
+        await this.promoteWaitlist(eventId);
+      }
+
+      return event;
     } catch (err) {
       console.error('Error updating registration status:', err);
       throw err;
@@ -675,16 +724,21 @@ module.exports = {
   /**
    * Get events a player is indirectly registered for through team memberships
    * @param {String} playerId - The player's ID
+   * @param {Object} [options] - Options
+   * @param {Boolean} [options.includeFormerTeams] - Also include teams the player has left
    * @returns {Promise<Array>} - Promise resolving to array of events
    */
-  getPlayerEventsViaTeams: async function(playerId) {
+  getPlayerEventsViaTeams: async function(playerId, options = {}) {
     try {
       if (!playerId) {
         throw new Error('Player ID is required');
       }
       
       // Find all teams the player is a member of
-      const playerTeams = await Team.find({ 'members.player_id': playerId })
+      const teamQuery = options.includeFormerTeams
+        ? { $or: [{ 'members.player_id': playerId }, { 'former_members.player_id': playerId }] }
+        : { 'members.player_id': playerId };
+      const playerTeams = await Team.find(teamQuery)
         .select('_id name sport_type')
         .exec();
       
@@ -725,8 +779,9 @@ module.exports = {
         
         // Find which of the player's teams is registered for this event
         let registeredTeam = null;
+        let playerTeamRegistration = null;
         if (event.team_registrations && event.team_registrations.length > 0) {
-          const playerTeamRegistration = event.team_registrations.find(reg => 
+          playerTeamRegistration = event.team_registrations.find(reg => 
             teamMap[reg.team_id.toString()] && reg.status !== 'cancelled'
           );
           
@@ -745,7 +800,9 @@ module.exports = {
           status: event.status,
           organizer_name: organizer ? `${organizer.first_name} ${organizer.last_name}` : '',
           team_name: registeredTeam ? registeredTeam.name : '',
-          team_id: registeredTeam ? registeredTeam._id : null
+          team_id: registeredTeam ? registeredTeam._id : null,
+          registration_status: playerTeamRegistration ? playerTeamRegistration.status : null,
+          champion_team_id: event.champion && event.champion.team_id ? event.champion.team_id : null
         };
       });
     } catch (err) {
@@ -796,6 +853,9 @@ module.exports = {
       // Save the updated event
       await event.save();
       console.log('Team successfully withdrawn from event');
+
+      // Offer the freed spot to the next team on the waitlist
+      await this.promoteWaitlist(eventId);
       
       return event;
     } catch (err) {
@@ -930,11 +990,317 @@ module.exports = {
           } 
         }
       );
+
+      if (result.modifiedCount > 0) {
+        await this.promoteWaitlist(eventId);
+      }
       
       return result.modifiedCount > 0;
     } catch (err) {
       console.error('Error rejecting team registration:', err);
       throw err;
     }
+  },
+
+  /**
+   * Remove a team's registration from an event
+   * @param {string} eventId - Event ID
+   * @param {string} teamId - Team ID
+   * @returns {Promise<boolean>} - Promise resolving to true if a registration was removed
+   */
+  removeTeamRegistration: async function(eventId, teamId) {
+    try {
+      if (!eventId || !teamId) {
+        throw new Error('Event ID and Team ID are required');
+      }
+
+      const result = await Event.updateOne(
+        { _id: eventId },
+        { $pull: { team_registrations: { team_id: teamId } } }
+      );
+
+      if (result.modifiedCount > 0) {
+        await this.promoteWaitlist(eventId);
+      }
+
+      return result.modifiedCount > 0;
+    } catch (err) {
+      console.error('Error removing team registration:', err);
+      throw err;
+    }
+  },
+
+  /**
+   * Put a team on a full event's waitlist
+   * @param {string} eventId - Event ID
+   * @param {object} entryData - team_id, manager_id, notes, squad
+   * @returns {Promise<object>} - Promise resolving to the team's place: { status, position }
+   */
+  joinWaitlist: async function(eventId, entryData) {
+    try {
+      if (!eventId || !entryData || !entryData.team_id) {
+        throw new Error('Event ID and Team ID are required');
+      }
+
+      const event = await Event.findById(eventId).exec();
+      if (!event) {
+        throw new Error('Event not found');
+      }
+
+      const error = waitlists.validateJoin(event, entryData.team_id);
+      if (error) {
+        throw new Error(error);
+      }
+
+      event.waitlist.push({
+        team_id: entryData.team_id,
+        manager_id: entryData.manager_id,
+        notes: entryData.notes || '',
+        squad: entryData.squad || [],
+        joined_at: new Date()
+      });
+      await event.save();
+
+      return waitlists.waitlistPosition(event, entryData.team_id);
+    } catch (err) {
+      console.error('Error joining waitlist:', err);
+      throw err;
+    }
+  },
+
+  /**
+   * Take a team off an event's waitlist, giving up any spot on offer
+   * @param {string} eventId - Event ID
+   * @param {string} teamId - Team ID
+   * @param {string} [status] - 'left', or 'declined' when turning down an offer
+   * @returns {Promise<boolean>} - Promise resolving to true if the team was on the waitlist
+   */
+  leaveWaitlist: async function(eventId, teamId, status = 'left') {
+    try {
+      if (!eventId || !teamId) {
+        throw new Error('Event ID and Team ID are required');
+      }
+
+      const event = await Event.findById(eventId).exec();
+      if (!event) {
+        throw new Error('Event not found');
+      }
+
+      const entry = waitlists.findEntry(event, teamId);
+      if (!entry) {
+        return false;
+      }
+
+      const heldOffer = entry.status === 'offered';
+      entry.status = status;
+      entry.responded_at = new Date();
+      await event.save();
+
+      if (heldOffer) {
+        await this.promoteWaitlist(eventId);
+      }
+      return true;
+    } catch (err) {
+      console.error('Error leaving waitlist:', err);
+      throw err;
+    }
+  },
+
+  /**
+   * Offer open spots to the teams at the front of the waitlist and email
+   * their managers. Offers that ran out are closed first, so their spots
+   * move on to the next teams.
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Array>} - Promise resolving to the waitlist entries offered a spot
+   */
+  promoteWaitlist: async function(eventId) {
+    try {
+      const event = await Event.findById(eventId).exec();
+      if (!event || !event.waitlist || event.waitlist.length === 0) {
+        return [];
+      }
+
+      const now = new Date();
+      let changed = false;
+      for (const entry of event.waitlist) {
+        if (waitlists.isOfferExpired(entry, now)) {
+          entry.status = 'expired';
+          entry.responded_at = now;
+          changed = true;
+        }
+      }
+
+      const offers = waitlists.entriesToOffer(event, now);
+      const expiresAt = waitlists.offerExpiry(event, now);
+      for (const entry of offers) {
+        entry.status = 'offered';
+        entry.offered_at = now;
+        entry.offer_expires_at = expiresAt;
+      }
+
+      if (!changed && offers.length === 0) {
+        return [];
+      }
+      await event.save();
+
+      if (offers.length > 0) {
+        console.log(`Offered ${offers.length} waitlist spot(s) for event ${eventId}`);
+        await waitlists.notifyOfferedManagers(event, offers);
+      }
+      await invalidateCacheByPrefixes(['/api/manager/my-events']);
+
+      return offers;
+    } catch (err) {
+      console.error('Error promoting waitlist:', err);
+      throw err;
+    }
+  },
+
+  /**
+   * Close lapsed waitlist offers on every event and pass the spots on
+   * @returns {Promise<number>} - Promise resolving to the number of new offers made
+   */
+  expireWaitlistOffers: async function() {
+    try {
+      const events = await Event.find({
+        waitlist: { $elemMatch: { status: 'offered', offer_expires_at: { $lte: new Date() } } }
+      }).select('_id').lean();
+
+      let offered = 0;
+      for (const event of events) {
+        const offers = await this.promoteWaitlist(event._id);
+        offered += offers.length;
+      }
+      return offered;
+    } catch (err) {
+      console.error('Error expiring waitlist offers:', err);
+      throw err;
+    }
+  },
+
+  /**
+   * Register a waitlisted team for the spot it was offered. The entry fee
+   * must already be collected.
+   * @param {string} eventId - Event ID
+   * @param {string} teamId - Team ID
+   * @param {object} [payment] - Entry fee payment to store on the registration
+   * @returns {Promise<object>} - Promise resolving to the updated event
+   */
+  acceptWaitlistOffer: async function(eventId, teamId, payment) {
+    try {
+      const event = await Event.findById(eventId).exec();
+      if (!event) {
+        throw new Error('Event not found');
+      }
+
+      const { error, entry } = waitlists.validateAcceptance(event, teamId);
+      if (error) {
+        throw new Error(error);
+      }
+
+      const now = new Date();
+      entry.status = 'accepted';
+      entry.responded_at = now;
+
+      const registration = {
+        team_id: entry.team_id,
+        registration_date: now,
+        status: 'approved',
+        approval_date: now,
+        squad: entry.squad,
+        squad_updated_at: entry.squad.length > 0 ? now : undefined,
+        payment
+      };
+      const existing = event.team_registrations.find(reg => reg.team_id && reg.team_id.toString() === teamId.toString());
+      if (existing) {
+        existing.set(registration);
+      } else {
+        event.team_registrations.push(registration);
+      }
+
+      await event.save();
+      await invalidateCacheByPrefixes([
+        `/api/organizer/event/${eventId}`,
+        '/api/manager/my-events'
+      ]);
+
+      return event;
+    } catch (err) {
+      console.error('Error accepting waitlist offer:', err);
+      throw err;
+    }
+  },
+
+  /**
+   * Set an event's price tiers and returning-team discount
+   * @param {string} eventId - Event ID
+   * @param {object} pricing - { price_tiers, returning_team_discount }, both optional
+   * @returns {Promise<object>} - Promise resolving to the updated event
+   */
+  setEventPricing: async function(eventId, pricing) {
+    try {
+      const update = {};
+      if (pricing.price_tiers !== undefined) update.price_tiers = pricing.price_tiers;
+      if (pricing.returning_team_discount !== undefined) update.returning_team_discount = pricing.returning_team_discount;
+
+      const event = await Event.findByIdAndUpdate(eventId, { $set: update }, { new: true, runValidators: true }).exec();
+      if (!event) {
+        throw new Error('Event not found');
+      }
+
+      await invalidateCacheByPrefixes(['/player/browse-events']);
+      return event;
+    } catch (err) {
+      console.error('Error setting event pricing:', err);
+      throw err;
+    }
+  },
+
+  /**
+   * Issue a promo code for an event
+   * @param {string} eventId - Event ID
+   * @param {object} promo - Checked promo code (see services/pricingService.js)
+   * @returns {Promise<object>} - Promise resolving to the updated event
+   */
+  addPromoCode: async function(eventId, promo) {
+    try {
+      // The code must still be free when it is written
+      const event = await Event.findOneAndUpdate(
+        { _id: eventId, 'promo_codes.code': { $ne: promo.code } },
+        { $push: { promo_codes: { ...promo, uses: 0, active: true } } },
+        { new: true }
+      ).exec();
+      if (!event) {
+        throw new Error('This event already has that promo code');
+      }
+      return event;
+    } catch (err) {
+      console.error('Error adding promo code:', err);
+      throw err;
+    }
+  },
+
+  /**
+   * Enable or disable one of an event's promo codes
+   * @param {string} eventId - Event ID
+   * @param {string} code - Promo code
+   * @param {boolean} active
+   * @returns {Promise<object>} - Promise resolving to the updated event
+   */
+  setPromoCodeActive: async function(eventId, code, active) {
+    try {
+      const event = await Event.findOneAndUpdate(
+        { _id: eventId, 'promo_codes.code': String(code).trim().toUpperCase() },
+        { $set: { 'promo_codes.$.active': Boolean(active) } },
+        { new: true }
+      ).exec();
+      if (!event) {
+        throw new Error('Promo code not found');
+      }
+      return event;
+    } catch (err) {
+      console.error('Error updating promo code:', err);
+      throw err;
+    }
   }
 };
@@ -7,6 +7,7 @@ module.exports = {
     User: require('./user'),
     Team: require('./team'),
     Event: require('./event'),
+    Season: require('./season'),
     Profile: require('./profile'),
     PlayerProfile: require('./playerProfile'),
     Registration: require('./registration'),
@@ -138,6 +138,25 @@ module.exports = {
         }
     },
 
+    /**
+     * Delete an event's matches that have not been played yet
+     * (used when fixtures are regenerated before the schedule is finalized)
+     * @param {string} eventId - Event ID
+     * @returns {Promise<number>} - Promise resolving to the number of deleted matches
+     */
+    deleteUnplayedMatchesByEvent: async function(eventId) {
+        try {
+            const result = await Match.deleteMany({
+                event_id: eventId,
+                status: 'scheduled'
+            }).exec();
+            return result.deletedCount;
+        } catch (err) {
+            console.error('Error deleting unplayed matches:', err);
+            throw err;
+        }
+    },
+
     /**
      * Get all matches for teams owned by a manager
      * @param {string} managerId - Manager ID
@@ -190,25 +209,55 @@ module.exports = {
     },
 
     /**
-     * Verify a match and trigger stat updates
+     * Verify a match and trigger stat updates.
+     * Knockout matches also advance their winner through the event bracket.
+     * A pending result must first be confirmed by the opposing manager.
      * @param {string} matchId - Match ID
      * @param {string} organizerId - Organizer ID
      * @returns {Promise<object>} - Promise resolving to verified match
      */
     verifyMatch: async function(matchId, organizerId) {
         try {
+            const bracketService = require('../services/bracketService');
+            const standingsService = require('../services/standingsService');
+            const { isReadyForVerification, buildAuditEntry } = require('../services/resultConfirmationService');
             const match = await Match.findById(matchId).exec();
             
             if (!match) {
                 throw new Error('Match not found');
             }
+
+            // Stats were applied when it was first verified
+            if (match.status === 'verified') {
+                throw new Error('This result has already been verified');
+            }
+
+            if (match.status === 'pending' && !isReadyForVerification(match)) {
+                throw new Error('The opposing manager has not confirmed this result yet');
+            }
+
+            if (bracketService.isBracketMatch(match) && match.score_a === match.score_b) {
+                throw new Error('Knockout matches cannot end in a draw');
+            }
+
+            if (match.score_a === match.score_b &&
+                !(await standingsService.drawsAllowedForEvent(match.event_id))) {
+                throw new Error('Draws are not allowed by this event\'s scoring rules');
+            }
+
+            // Turn the result down before anything is saved if the bracket can't take it
+            await bracketService.checkAdvance(match);
             
             match.status = 'verified';
             match.verified_by = organizerId;
             match.verified_at = new Date();
+            match.result_audit.push(buildAuditEntry('verified', match, { _id: organizerId, role: 'organizer' }));
             
             await match.save();
-            await this.updateTeamStats(match);
+            await this.updateTeamStatsAfterMatch(match._id);
+            await this.updatePlayerStats(match);
+            await bracketService.advanceWinner(match);
+            await bracketService.startKnockoutFromGroups(match);
             
             return match;
         } catch (err) {
@@ -218,22 +267,84 @@ module.exports = {
     },
 
     /**
-     * Mark a match as disputed
-     * @param {string} matchId - Match ID
-     * @param {string} reason - Dispute reason
-     * @returns {Promise<object>} - Promise resolving to disputed match
+     * Confirm every pending result whose opponent did not respond in time
+     * @param {Date} [now]
+     * @returns {Promise<number>} - Promise resolving to the number of results confirmed
      */
-    disputeMatch: async function(matchId, reason) {
+    autoConfirmOverdueResults: async function(now = new Date()) {
         try {
-            return await Match.findByIdAndUpdate(
-                matchId,
+            const result = await Match.updateMany(
                 {
-                    status: 'disputed',
-                    dispute_reason: reason,
-                    updated_at: new Date()
+                    status: 'pending',
+                    'confirmation.status': 'awaiting',
+                    'confirmation.due_at': { $lte: now }
                 },
-                { new: true }
+                {
+                    $set: {
+                        'confirmation.status': 'auto_confirmed',
+                        'confirmation.responded_at': now
+                    },
+                    $push: {
+                        result_audit: {
+                            action: 'auto_confirmed',
+                            actor_role: 'system',
+                            status: 'pending',
+                            note: 'The opposing manager did not respond within the confirmation window',
+                            at: now
+                        }
+                    }
+                }
             ).exec();
+            return result.modifiedCount;
+        } catch (err) {
+            console.error('Error auto-confirming results:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Mark a match as disputed and open a dispute thread on the submitted score
+     * @param {string} matchId - Match ID
+     * @param {string} reason - Dispute reason
+     * @param {object} [user] - Session user opening the dispute
+     * @returns {Promise<object>} - Promise resolving to disputed match
+     */
+    disputeMatch: async function(matchId, reason, user = null) {
+        try {
+            const { buildAuditEntry } = require('../services/resultConfirmationService');
+            const match = await Match.findById(matchId).exec();
+
+            if (!match) {
+                throw new Error('Match not found');
+            }
+
+            if (!['pending', 'completed'].includes(match.status)) {
+                throw new Error('Only results awaiting verification can be disputed');
+            }
+
+            const now = new Date();
+            match.status = 'disputed';
+            match.dispute_reason = reason || '';
+            match.dispute = {
+                status: 'open',
+                opened_by: user ? user._id : null,
+                opened_at: now,
+                claims: [{
+                    kind: 'original',
+                    team_id: match.confirmation && match.confirmation.submitted_by_team,
+                    score_a: match.score_a,
+                    score_b: match.score_b,
+                    submitted_by: match.recorded_by,
+                    at: now
+                }],
+                messages: reason && user
+                    ? [{ author_id: user._id, author_role: user.role, body: reason, at: now }]
+                    : []
+            };
+            match.updated_at = now;
+            match.result_audit.push(buildAuditEntry('disputed', match, user, reason));
+
+            return await match.save();
         } catch (err) {
             console.error('Error disputing match:', err);
             throw err;
@@ -275,111 +386,151 @@ module.exports = {
     },
 
     /**
-     * Generate event leaderboard with points system
+     * Roll the player stat lines of a verified match into the players' profiles.
+     * Runs once per match; `player_stats_applied` guards against double counting.
+     * @param {object} match - Match document
+     * @returns {Promise<number>} - Promise resolving to the number of profiles updated
+     */
+    updatePlayerStats: async function(match) {
+        try {
+            if (match.player_stats_applied || !match.player_stats || match.player_stats.length === 0) {
+                return 0;
+            }
+
+            const PlayerProfile = require('./playerProfile');
+            const Team = require('./schemas/teamSchema');
+
+            const team = await Team.findById(match.team_a).select('sport_type').lean();
+
+            // Stats are kept per sport on the profile
+            for (const line of match.player_stats) {
+                const stats = line.stats instanceof Map ? Object.fromEntries(line.stats) : (line.stats || {});
+                await PlayerProfile.recordMatchStats(line.player_id, team?.sport_type || 'Unknown', stats);
+            }
+
+            await Match.updateOne({ _id: match._id }, { player_stats_applied: true }).exec();
+
+            return match.player_stats.length;
+        } catch (err) {
+            console.error('Error updating player stats:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Totals of a player's verified stat lines, one entry per sport
+     * @param {string} playerId - Player user ID
+     * @returns {Promise<Array>} - [{ sport, matches, fields, totals }]
+     */
+    getPlayerStatTotals: async function(playerId) {
+        try {
+            const { getStatSheet, sumStatLines } = require('../services/playerStatsService');
+
+            const matches = await Match.find({
+                'player_stats.player_id': playerId,
+                status: { $in: ['verified', 'completed'] }
+            })
+                .select('player_stats team_a')
+                .populate('team_a', 'sport_type')
+                .lean()
+                .exec();
+
+            const bySport = new Map();
+            matches.forEach(match => {
+                const sport = match.team_a?.sport_type || 'Other';
+                const line = match.player_stats.find(l => l.player_id.toString() === playerId.toString());
+                if (!bySport.has(sport)) bySport.set(sport, []);
+                bySport.get(sport).push(line);
+            });
+
+            return [...bySport.entries()].map(([sport, lines]) => ({
+                sport,
+                matches: lines.length,
+                fields: getStatSheet(sport),
+                totals: sumStatLines(lines, sport)
+            }));
+        } catch (err) {
+            console.error('Error fetching player stat totals:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Generate event leaderboard using the event's scoring rules
+     * (points per result and ordered tie-breakers, see services/standingsService.js)
      * @param {string} eventId - Event ID
-     * @returns {Promise<Array>} - Promise resolving to sorted leaderboard array
+     * @param {object} [options] - Options
+     * @param {string} [options.group] - Only rank one group of a groups-knockout event
+     * @returns {Promise<Array>} - Promise resolving to ranked leaderboard array
      */
-    getEventLeaderboard: async function(eventId) {
+    getEventLeaderboard: async function(eventId, options = {}) {
         try {
             const Event = require('./event');
-            const Team = require('./team');
+            const standingsService = require('../services/standingsService');
             
             const event = await Event.getEventById(eventId);
-            const teamIds = event.team_registrations
-                .filter(r => r.status === 'confirmed' || r.status === 'approved')
-                .map(r => r.team_id);
-            
-            const matches = await Match.find({
+            let teams;
+            const query = {
                 event_id: eventId,
                 status: 'verified'
-            }).exec();
-            
-            // Initialize standings
-            const standings = {};
-            teamIds.forEach(teamId => {
-                standings[teamId.toString()] = {
-                    played: 0,
-                    won: 0,
-                    drawn: 0,
-                    lost: 0,
-                    goals_for: 0,
-                    goals_against: 0,
-                    goal_difference: 0,
-                    points: 0
-                };
-            });
+            };
             
-            // Calculate standings from matches
-            matches.forEach(match => {
-                const teamAId = match.team_a.toString();
-                const teamBId = match.team_b.toString();
-                
-                if (standings[teamAId]) {
-                    standings[teamAId].played++;
-                    standings[teamAId].goals_for += match.score_a;
-                    standings[teamAId].goals_against += match.score_b;
-                    
-                    if (match.score_a > match.score_b) {
-                        standings[teamAId].won++;
-                        standings[teamAId].points += 3;
-                    } else if (match.score_a === match.score_b) {
-                        standings[teamAId].drawn++;
-                        standings[teamAId].points += 1;
-                    } else {
-                        standings[teamAId].lost++;
-                    }
+            if (options.group) {
+                const group = (event.groups || []).find(g => g.name === options.group);
+                if (!group) {
+                    throw new Error(`Group not found: ${options.group}`);
                 }
-                
-                if (standings[teamBId]) {
-                    standings[teamBId].played++;
-                    standings[teamBId].goals_for += match.score_b;
-                    standings[teamBId].goals_against += match.score_a;
-                    
-                    if (match.score_b > match.score_a) {
-                        standings[teamBId].won++;
-                        standings[teamBId].points += 3;
-                    } else if (match.score_b === match.score_a) {
-                        standings[teamBId].drawn++;
-                        standings[teamBId].points += 1;
-                    } else {
-                        standings[teamBId].lost++;
-                    }
-                }
-            });
-            
-            // Calculate goal difference
-            Object.keys(standings).forEach(teamId => {
-                standings[teamId].goal_difference = 
-                    standings[teamId].goals_for - standings[teamId].goals_against;
-            });
+                teams = group.teams.map(t => ({
+                    id: t.team_id.toString(),
+                    name: t.team_name || 'Unknown Team'
+                }));
+                query.group = options.group;
+            } else {
+                teams = event.team_registrations
+                    .filter(r => r.team_id && (r.status === 'confirmed' || r.status === 'approved'))
+                    .map(r => ({
+                        id: r.team_id.toString(),
+                        name: r.team_name || 'Unknown Team'
+                    }));
+            }
             
-            // Get team details and build leaderboard
-            const leaderboard = await Promise.all(
-                Object.keys(standings).map(async (teamId) => {
-                    const team = await Team.getTeamById(teamId);
-                    return {
-                        team_id: teamId,
-                        team_name: team.name,
-                        ...standings[teamId]
-                    };
-                })
-            );
+            const matches = await Match.find(query).lean().exec();
+            const rules = standingsService.resolveScoringRules(event);
             
-            // Sort by points, then goal difference, then goals for
-            leaderboard.sort((a, b) => {
-                if (b.points !== a.points) return b.points - a.points;
-                if (b.goal_difference !== a.goal_difference) 
-                    return b.goal_difference - a.goal_difference;
-                return b.goals_for - a.goals_for;
+            return standingsService.computeStandings(teams, matches, rules, {
+                salt: eventId.toString()
             });
-            
-            return leaderboard;
         } catch (err) {
             console.error('Error generating leaderboard:', err);
             throw err;
         }
     },
 
+    /**
+     * Generate one leaderboard per group of a groups-knockout event
+     * @param {string} eventId - Event ID
+     * @returns {Promise<Array>} - Promise resolving to [{ name, standings }] in group order
+     */
+    getEventGroupLeaderboards: async function(eventId) {
+        try {
+            const Event = require('./event');
+            const event = await Event.getEventById(eventId);
+            
+            const groups = [];
+            for (const group of event.groups || []) {
+                groups.push({
+                    name: group.name,
+                    standings: await this.getEventLeaderboard(eventId, { group: group.name })
+                });
+            }
+            
+            return groups;
+        } catch (err) {
+            console.error('Error generating group leaderboards:', err);
+            throw err;
+        }
+    },
+
     /**
      * Get comprehensive statistics for a team across all matches
      * @param {string} teamId - Team ID
@@ -450,7 +601,8 @@ module.exports = {
 
     /**
      * Update team statistics after a match is completed/verified
-     * This is called after match status changes to 'completed' or 'verified'
+     * This is called after match status changes to 'completed' or 'verified'.
+     * Verified event matches also move both teams' Elo ratings, once per match.
      * @param {string} matchId - Match ID
      * @returns {Promise<object>} - Promise resolving to update result
      */
@@ -468,6 +620,7 @@ module.exports = {
             }
             
             const Team = require('./team');
+            const ratingService = require('../services/ratingService');
             
             // Determine results
             let team_a_result, team_b_result;
@@ -486,11 +639,24 @@ module.exports = {
             // Update both teams' statistics
             await Team.updateTeamMatchStats(match.team_a, team_a_result);
             await Team.updateTeamMatchStats(match.team_b, team_b_result);
+
+            // Claim the match before rating it so a repeated call cannot rate it twice
+            let rating_changes = null;
+            if (ratingService.isRatedMatch(match)) {
+                const claimed = await Match.updateOne(
+                    { _id: match._id, rating_applied: { $ne: true } },
+                    { rating_applied: true }
+                ).exec();
+                if (claimed.modifiedCount === 1) {
+                    rating_changes = await Team.applyMatchRating(match);
+                }
+            }
             
             return {
                 success: true,
                 team_a_result,
                 team_b_result,
+                rating_changes,
                 message: 'Team stats updated successfully'
             };
         } catch (err) {
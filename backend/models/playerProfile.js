@@ -1,5 +1,77 @@
 const PlayerProfile = require('./schemas/playerProfileSchema');
 const User = require('./schemas/userSchema');
+const profileSports = require('../services/playerProfileService');
+const { sportQuery } = require('../services/recruitmentService');
+const { toProfileIncrements } = require('../services/playerStatsService');
+
+// Top-level fields of profiles saved before they were multi-sport
+const LEGACY_FIELDS = { sport: 1, position: 1, skill_level: 1, years_experience: 1, stats: 1 };
+
+/**
+ * Move a profile saved with a single sport onto sport entries, adding the
+ * user's other preferred sports. Profiles that have sport entries are left alone.
+ * @param {object} profile - Lean player profile
+ * @returns {Promise<boolean>} - Whether the profile was migrated
+ */
+async function migrateLegacyProfile(profile) {
+    const user = await User.findById(profile.user_id).select('profile.preferred_sports').lean();
+    const preferredSports = user && user.profile ? user.profile.preferred_sports : '';
+    const { changed, sports } = profileSports.migrateProfile(profile, preferredSports);
+    if (!changed) {
+        return false;
+    }
+
+    const update = { $set: { sports }, $unset: LEGACY_FIELDS };
+    // Listings made before free_agent.sport existed were for the profile's sport
+    if (profile.free_agent && !profile.free_agent.sport && profile.sport) {
+        update.$set['free_agent.sport'] = profile.sport;
+    }
+    const result = await PlayerProfile.updateOne(
+        { _id: profile._id, 'sports.0': { $exists: false } },
+        update
+    ).exec();
+    return result.modifiedCount === 1;
+}
+
+/**
+ * Load a player's profile as a document, creating it or migrating a
+ * single-sport profile first
+ * @param {string} userId - User ID of the player
+ * @returns {Promise<object>} - Player profile document
+ */
+async function loadProfileForUpdate(userId) {
+    const existing = await PlayerProfile.findOne({ user_id: userId }).lean();
+    if (!existing) {
+        return new PlayerProfile({ user_id: userId, sports: [] });
+    }
+    await migrateLegacyProfile(existing);
+    return PlayerProfile.findById(existing._id).exec();
+}
+
+/**
+ * Keep the comma-separated preferred sports on the user in step with the
+ * sports on the player profile
+ * @param {string} userId - User ID
+ * @param {Array} sports - Sport entries
+ */
+async function syncPreferredSports(userId, sports) {
+    await User.updateOne(
+        { _id: userId },
+        { $set: { 'profile.preferred_sports': sports.map(entry => entry.sport).join(', ') } }
+    ).exec();
+}
+
+function sportEntryView(entry) {
+    const stats = entry.stats && entry.stats.toObject ? entry.stats.toObject() : (entry.stats || {});
+    return {
+        sport: entry.sport,
+        position: entry.position || '',
+        skill_level: profileSports.normalizeSkillLevel(entry.skill_level),
+        years_experience: entry.years_experience || 0,
+        stats: { games_played: 0, ...stats },
+        updated_at: entry.updated_at || null
+    };
+}
 
 /**
  * PlayerProfile model for player profiles and performance data
@@ -7,7 +79,8 @@ const User = require('./schemas/userSchema');
 module.exports = {
     /**
      * Create a new player profile
-     * @param {object} profileData - Profile data
+     * @param {object} profileData - Profile data; sports is a list of sport names,
+     *   or sport, position and skill_level describe a single sport
      * @returns {Promise<object>} - Promise resolving to the created profile
      */
     createProfile: async function(profileData) {
@@ -15,31 +88,32 @@ module.exports = {
             if (!profileData.user_id) {
                 throw new Error('User ID is required');
             }
-            
+
+            const sports = profileSports.parseSportList(profileData.sports || profileData.sport)
+                .slice(0, profileSports.MAX_SPORTS)
+                .map((sport, index) => ({
+                    sport,
+                    // A single sport's details only apply to the first one
+                    position: index === 0 ? profileData.position || '' : '',
+                    skill_level: index === 0 ? profileSports.normalizeSkillLevel(profileData.skill_level) : '',
+                    years_experience: index === 0 ? profileData.years_experience || 0 : 0
+                }));
+
             const profile = new PlayerProfile({
                 user_id: profileData.user_id,
-                sport: profileData.sport,
-                position: profileData.position || '',
-                skill_level: profileData.skill_level || '',
-                years_experience: profileData.years_experience || 0,
+                sports,
                 achievements: profileData.achievements || '',
                 preferred_team_types: profileData.preferred_team_types || '',
-                availability: profileData.availability || '',
-                stats: {
-                    games_played: profileData.games_played || 0,
-                    goals: profileData.goals || 0,
-                    assists: profileData.assists || 0,
-                    points: profileData.points || 0
-                }
+                availability: profileData.availability || ''
             });
-            
+
             return await profile.save();
         } catch (err) {
             console.error('Error creating player profile:', err);
             throw err;
         }
     },
-    
+
     /**
      * Get player profile by user ID
      * @param {string} userId - User ID
@@ -50,24 +124,27 @@ module.exports = {
             if (!userId) {
                 throw new Error('User ID is required');
             }
-            
+
             // Find profile and populate user data
-            const profile = await PlayerProfile.findOne({ user_id: userId }).exec();
-            
+            const profile = await PlayerProfile.findOne({ user_id: userId }).lean();
+
             if (!profile) {
                 return null; // Profile not found
             }
-            
+
+            const sports = profileSports.getSportEntries(profile).map(sportEntryView);
+
             // Get user information
             const user = await User.findById(userId).exec();
-            
+
             if (!user) {
-                return profile; // Just return profile if user not found
+                return { ...profile, sports }; // Just return profile if user not found
             }
-            
+
             // Combine profile with user data
             return {
-                ...profile.toObject(),
+                ...profile,
+                sports,
                 email: user.email,
                 first_name: user.first_name,
                 last_name: user.last_name,
@@ -79,7 +156,7 @@ module.exports = {
             throw err;
         }
     },
-    
+
     /**
      * Get all player profiles
      * @returns {Promise<Array>} - Promise resolving to an array of profiles
@@ -87,24 +164,25 @@ module.exports = {
     getAllProfiles: async function() {
         try {
             // Find all profiles
-            const profiles = await PlayerProfile.find().exec();
-            
+            const profiles = await PlayerProfile.find().lean();
+
             // Get all player users
             const users = await User.find({ role: 'player' }).exec();
-            
+
             // Map users to profile data
             const usersMap = users.reduce((map, user) => {
                 map[user._id.toString()] = user;
                 return map;
             }, {});
-            
+
             // Combine profile with user data
             return profiles.map(profile => {
                 const userId = profile.user_id.toString();
                 const user = usersMap[userId] || {};
-                
+
                 return {
-                    ...profile.toObject(),
+                    ...profile,
+                    sports: profileSports.getSportEntries(profile).map(sportEntryView),
                     email: user.email,
                     first_name: user.first_name,
                     last_name: user.last_name,
@@ -116,11 +194,12 @@ module.exports = {
             throw err;
         }
     },
-    
+
     /**
      * Update player profile
      * @param {string} userId - User ID
-     * @param {object} profileData - Profile data to update
+     * @param {object} profileData - Profile data to update; sport, position,
+     *   skill_level and years_experience update that sport's entry
      * @returns {Promise<object>} - Promise resolving to the updated profile
      */
     updateProfile: async function(userId, profileData) {
@@ -128,50 +207,43 @@ module.exports = {
             if (!userId) {
                 throw new Error('User ID is required');
             }
-            
-            // Check if profile exists
-            let profile = await PlayerProfile.findOne({ user_id: userId }).exec();
-            
-            if (!profile) {
-                // Profile doesn't exist, create it
-                return await this.createProfile({ ...profileData, user_id: userId });
-            }
-            
+
+            const profile = await loadProfileForUpdate(userId);
+
             // Update profile fields
-            const updateFields = {};
-            
-            if (profileData.sport) updateFields.sport = profileData.sport;
-            if (profileData.position) updateFields.position = profileData.position;
-            if (profileData.skill_level) updateFields.skill_level = profileData.skill_level;
-            if (profileData.years_experience) updateFields.years_experience = profileData.years_experience;
-            if (profileData.achievements) updateFields.achievements = profileData.achievements;
-            if (profileData.preferred_team_types) updateFields.preferred_team_types = profileData.preferred_team_types;
-            if (profileData.availability) updateFields.availability = profileData.availability;
-            
-            // Update stats if provided
-            if (profileData.games_played || profileData.goals || profileData.assists || profileData.points) {
-                updateFields.stats = { ...profile.stats };
-                if (profileData.games_played) updateFields.stats.games_played = profileData.games_played;
-                if (profileData.goals) updateFields.stats.goals = profileData.goals;
-                if (profileData.assists) updateFields.stats.assists = profileData.assists;
-                if (profileData.points) updateFields.stats.points = profileData.points;
-            }
-            
+            if (profileData.achievements) profile.achievements = profileData.achievements;
+            if (profileData.preferred_team_types) profile.preferred_team_types = profileData.preferred_team_types;
+            if (profileData.availability) profile.availability = profileData.availability;
+
+            if (profileData.sport) {
+                const current = profileSports.findSportEntry(profile, profileData.sport) || {};
+                const { error, entry } = profileSports.validateSportEntry({
+                    sport: profileData.sport,
+                    position: profileData.position || current.position,
+                    skill_level: profileSports.normalizeSkillLevel(profileData.skill_level || current.skill_level),
+                    years_experience: profileData.years_experience || current.years_experience
+                });
+                if (error) {
+                    throw new Error(error);
+                }
+                const limitError = profileSports.upsertSportEntry(profile, entry);
+                if (limitError) {
+                    throw new Error(limitError);
+                }
+            }
+
             // Set updated date
-            updateFields.updated_at = new Date();
-            
-            // Update and return the profile
-            return await PlayerProfile.findOneAndUpdate(
-                { user_id: userId },
-                { $set: updateFields },
-                { new: true, runValidators: true }
-            ).exec();
+            profile.updated_at = new Date();
+
+            await profile.save();
+            await syncPreferredSports(userId, profile.sports);
+            return profile;
         } catch (err) {
             console.error('Error updating player profile:', err);
             throw err;
         }
     },
-    
+
     /**
      * Get a player's performance data
      * @param {string} userId - User ID of the player
@@ -182,20 +254,24 @@ module.exports = {
             if (!userId) {
                 throw new Error('User ID is required');
             }
-            
+
             // Get player's profile with stats
-            const profile = await PlayerProfile.findOne({ user_id: userId }).exec();
-            
+            const profile = await PlayerProfile.findOne({ user_id: userId }).lean();
+
             if (!profile) {
                 return null;
             }
-            
+
             // In a real implementation, we would also get team and event data
             // This would require importing the Team and Event models
             // For now, we'll just return the profile stats
-            
+
             return {
-                stats: profile.stats,
+                // Stats are kept per sport
+                sports: profileSports.getSportEntries(profile).map(entry => ({
+                    sport: entry.sport,
+                    stats: sportEntryView(entry).stats
+                })),
                 // We would add team and event data here
                 teams: [],
                 events: []
@@ -204,5 +280,499 @@ module.exports = {
             console.error('Error getting player performance:', err);
             throw err;
         }
+    },
+
+    /**
+     * Get a player's career: every team membership, including teams the
+     * player left and archived teams, the events played with those teams and
+     * verified match results, as a timeline with season summaries
+     * @param {string} userId - User ID of the player
+     * @returns {Promise<object|null>} - { player, teams, timeline, seasons, totals, published, can_publish },
+     *   or null when the user is not a player
+     */
+    getPlayerCareer: async function(userId) {
+        try {
+            if (!userId) {
+                throw new Error('User ID is required');
+            }
+
+            const Team = require('./schemas/teamSchema');
+            const Match = require('./schemas/matchSchema');
+            const Event = require('./event');
+            const career = require('../services/careerService');
+
+            const user = await User.findById(userId)
+                .select('first_name last_name profile_image role premiumProfile')
+                .lean();
+            if (!user || user.role !== 'player') {
+                return null;
+            }
+
+            const teams = await Team.find({
+                $or: [{ 'members.player_id': userId }, { 'former_members.player_id': userId }]
+            }).select('name sport_type archived_at members former_members').lean();
+            const memberships = career.getMemberships(teams, userId);
+
+            const events = career.careerEvents(
+                await Event.getPlayerEventsViaTeams(userId, { includeFormerTeams: true }),
+                memberships
+            );
+
+            const teamIds = teams.map(team => team._id);
+            const matches = await Match.find({
+                status: { $in: ['verified', 'completed'] },
+                $or: [
+                    { team_a: { $in: teamIds } },
+                    { team_b: { $in: teamIds } },
+                    { 'player_stats.player_id': userId }
+                ]
+            })
+                .select('event_id team_a team_b team_a_name team_b_name score_a score_b match_date winner player_stats')
+                .lean();
+            const played = matches
+                .map(match => career.matchForPlayer(match, userId, memberships))
+                .filter(Boolean);
+
+            const data = { memberships, events, matches: played };
+            const count = outcome => played.filter(match => match.outcome === outcome).length;
+
+            return {
+                player: {
+                    _id: user._id,
+                    first_name: user.first_name,
+                    last_name: user.last_name,
+                    profile_image: user.profile_image || null
+                },
+                teams: memberships,
+                timeline: career.buildTimeline(data),
+                seasons: career.summarizeSeasons(data),
+                totals: {
+                    teams: new Set(memberships.map(m => m.team_id.toString())).size,
+                    events: events.length,
+                    championships: events.filter(event => event.champion).length,
+                    played: played.length,
+                    won: count('win'),
+                    drawn: count('draw'),
+                    lost: count('loss')
+                },
+                published: Boolean(user.premiumProfile?.portfolio?.publishCareer),
+                can_publish: career.canPublishCareer(user)
+            };
+        } catch (err) {
+            console.error('Error getting player career:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Show or hide a player's career on their public profile. Publishing
+     * needs an active premium profile with the portfolio feature.
+     * @param {string} userId - User ID of the player
+     * @param {boolean} published - Whether to publish the career
+     * @returns {Promise<boolean>} - The new published state
+     */
+    setCareerPublished: async function(userId, published) {
+        try {
+            const career = require('../services/careerService');
+            const user = await User.findById(userId).select('premiumProfile').lean();
+            if (!user) {
+                throw new Error('User not found');
+            }
+            if (published && !career.canPublishCareer(user)) {
+                throw new Error('Publishing your career needs an active premium profile with the portfolio feature');
+            }
+
+            const update = { 'premiumProfile.portfolio.publishCareer': Boolean(published) };
+            if (published) {
+                update['premiumProfile.portfolio.careerPublishedAt'] = new Date();
+            }
+            await User.updateOne({ _id: userId }, { $set: update }).exec();
+            return Boolean(published);
+        } catch (err) {
+            console.error('Error publishing player career:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Get a player's public profile settings
+     * @param {string} userId - User ID of the player
+     * @returns {Promise<object|null>} - { slug, previous_slugs, visibility, achievements, videos, premium_active, features }
+     */
+    getPublicProfileSettings: async function(userId) {
+        try {
+            const publicProfile = require('../services/publicProfileService');
+            const user = await User.findById(userId).select('premiumProfile').lean();
+            if (!user) {
+                return null;
+            }
+
+            const premium = user.premiumProfile || {};
+            return {
+                slug: (premium.features && premium.features.customProfileUrl) || null,
+                previous_slugs: premium.previousProfileUrls || [],
+                visibility: premium.visibility || 'public',
+                achievements: (premium.portfolio && premium.portfolio.achievements) || [],
+                videos: (premium.portfolio && premium.portfolio.videos) || [],
+                premium_active: publicProfile.hasActivePremium(user),
+                features: premium.features || {}
+            };
+        } catch (err) {
+            console.error('Error fetching public profile settings:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Save a player's public profile settings. Choosing or changing the
+     * profile URL needs an active premium profile; the old URL keeps
+     * redirecting to the new one.
+     * @param {string} userId - User ID of the player
+     * @param {object} details - { slug, settings: { visibility, achievements, videos } }; slug is
+     *   a validated slug, or undefined to keep the current one
+     * @returns {Promise<object>} - The saved settings
+     */
+    savePublicProfileSettings: async function(userId, details) {
+        try {
+            const publicProfile = require('../services/publicProfileService');
+            const user = await User.findById(userId).select('premiumProfile').lean();
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            const premium = user.premiumProfile || {};
+            const current = (premium.features && premium.features.customProfileUrl) || null;
+            const update = {
+                'premiumProfile.visibility': details.settings.visibility,
+                'premiumProfile.portfolio.achievements': details.settings.achievements,
+                'premiumProfile.portfolio.videos': details.settings.videos
+            };
+
+            if (details.slug && details.slug !== current) {
+                if (!publicProfile.hasActivePremium(user)) {
+                    throw new Error('A custom profile URL needs an active premium profile');
+                }
+                // Old slugs stay with the player who had them, so links keep working
+                const taken = await User.exists({
+                    _id: { $ne: userId },
+                    $or: [
+                        { 'premiumProfile.features.customProfileUrl': details.slug },
+                        { 'premiumProfile.previousProfileUrls': details.slug }
+                    ]
+                });
+                if (taken) {
+                    throw new Error('That profile URL is taken');
+                }
+                update['premiumProfile.features.customProfileUrl'] = details.slug;
+                update['premiumProfile.previousProfileUrls'] =
+                    publicProfile.rotateSlugs(premium.previousProfileUrls, current, details.slug);
+            }
+
+            try {
+                await User.updateOne({ _id: userId }, { $set: update }).exec();
+            } catch (err) {
+                if (err.code === 11000) {
+                    throw new Error('That profile URL is taken');
+                }
+                throw err;
+            }
+
+            return await this.getPublicProfileSettings(userId);
+        } catch (err) {
+            console.error('Error saving public profile settings:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Get the public profile served at /p/:slug
+     * @param {string} slug - Current or earlier profile URL slug
+     * @param {string|null} viewerId - Signed-in user, if any
+     * @returns {Promise<object|null>} - { profile }, { redirect: slug } for an old slug,
+     *   { forbidden: true } when the visibility hides it from the viewer, or null when not found
+     */
+    getPublicProfile: async function(slug, viewerId) {
+        try {
+            const publicProfile = require('../services/publicProfileService');
+            const career = require('../services/careerService');
+
+            const normalized = publicProfile.normalizeSlug(slug);
+            if (!normalized) {
+                return null;
+            }
+
+            const owner = await User.findOne({ 'premiumProfile.features.customProfileUrl': normalized })
+                .select('first_name last_name bio profile_image role premiumProfile')
+                .lean();
+            if (!owner) {
+                const renamed = await User.findOne({ 'premiumProfile.previousProfileUrls': normalized })
+                    .select('premiumProfile.features.customProfileUrl')
+                    .lean();
+                const current = renamed && renamed.premiumProfile.features && renamed.premiumProfile.features.customProfileUrl;
+                return current ? { redirect: current } : null;
+            }
+            if (owner.role !== 'player') {
+                return null;
+            }
+
+            const viewer = viewerId
+                ? await User.findById(viewerId).select('premiumProfile').lean()
+                : null;
+            if (!publicProfile.canViewProfile(owner, viewer)) {
+                // Private profiles are not acknowledged at all
+                return owner.premiumProfile.visibility === 'private' ? null : { forbidden: true };
+            }
+
+            const premium = owner.premiumProfile;
+            const features = premium.features || {};
+            const portfolio = premium.portfolio || {};
+            const premiumActive = publicProfile.hasActivePremium(owner);
+            const showPortfolio = premiumActive && features.portfolio;
+
+            let published = null;
+            if (portfolio.publishCareer && career.canPublishCareer(owner)) {
+                const { published: _published, can_publish: _canPublish, ...rest } = await this.getPlayerCareer(owner._id);
+                published = rest;
+            }
+
+            return {
+                profile: {
+                    slug: normalized,
+                    first_name: owner.first_name,
+                    last_name: owner.last_name,
+                    bio: owner.bio || '',
+                    profile_image: owner.profile_image || null,
+                    verified: Boolean(premiumActive && features.verifiedBadge),
+                    visibility: premium.visibility || 'public',
+                    // Stats on sport entries only come from verified match results
+                    sports: await this.getSportProfiles(owner._id),
+                    achievements: showPortfolio ? portfolio.achievements || [] : [],
+                    videos: showPortfolio && features.videoHighlights ? portfolio.videos || [] : [],
+                    portfolio_stats: showPortfolio ? portfolio.stats || [] : [],
+                    career: published
+                }
+            };
+        } catch (err) {
+            console.error('Error fetching public profile:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Get the sports on a player's profile
+     * @param {string} userId - User ID of the player
+     * @returns {Promise<Array>} - Sport entries with position, skill level, experience and stats
+     */
+    getSportProfiles: async function(userId) {
+        try {
+            if (!userId) {
+                throw new Error('User ID is required');
+            }
+
+            const profile = await PlayerProfile.findOne({ user_id: userId }).lean();
+            return profileSports.getSportEntries(profile).map(sportEntryView);
+        } catch (err) {
+            console.error('Error fetching sport profiles:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Add a sport to a player's profile or update it
+     * @param {string} userId - User ID of the player
+     * @param {object} entry - Validated sport entry
+     * @returns {Promise<Array>} - The profile's sport entries
+     */
+    saveSportProfile: async function(userId, entry) {
+        try {
+            if (!userId) {
+                throw new Error('User ID is required');
+            }
+
+            const profile = await loadProfileForUpdate(userId);
+            const error = profileSports.upsertSportEntry(profile, entry);
+            if (error) {
+                throw new Error(error);
+            }
+            profile.updated_at = new Date();
+            await profile.save();
+            await syncPreferredSports(userId, profile.sports);
+
+            return profile.sports.map(sportEntryView);
+        } catch (err) {
+            console.error('Error saving sport profile:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Remove a sport without recorded games from a player's profile
+     * @param {string} userId - User ID of the player
+     * @param {string} sport - Sport name
+     * @returns {Promise<Array>} - The profile's remaining sport entries
+     */
+    removeSportProfile: async function(userId, sport) {
+        try {
+            if (!userId) {
+                throw new Error('User ID is required');
+            }
+
+            const profile = await loadProfileForUpdate(userId);
+            const error = profileSports.removeSportEntry(profile, sport);
+            if (error) {
+                throw new Error(error);
+            }
+            // A listing for the removed sport no longer has a profile behind it
+            if (profile.free_agent && profileSports.sportKey(profile.free_agent.sport) === profileSports.sportKey(sport)) {
+                profile.free_agent.listed = false;
+                profile.free_agent.listed_at = null;
+            }
+            profile.updated_at = new Date();
+            await profile.save();
+            await syncPreferredSports(userId, profile.sports);
+
+            return profile.sports.map(sportEntryView);
+        } catch (err) {
+            console.error('Error removing sport profile:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Add one verified stat line to the player's stats in a sport
+     * @param {string} userId - User ID of the player
+     * @param {string} sport - Sport of the match
+     * @param {object} stats - The line's stats
+     */
+    recordMatchStats: async function(userId, sport, stats) {
+        try {
+            const existing = await PlayerProfile.findOne({ user_id: userId }).lean();
+            if (!existing) {
+                await PlayerProfile.updateOne(
+                    { user_id: userId },
+                    { $setOnInsert: { sports: [] } },
+                    { upsert: true }
+                ).exec();
+            } else {
+                await migrateLegacyProfile(existing);
+            }
+
+            await PlayerProfile.updateOne(
+                { user_id: userId, 'sports.sport': { $not: sportQuery(sport) } },
+                { $push: { sports: { sport, updated_at: new Date() } } }
+            ).exec();
+
+            await PlayerProfile.updateOne(
+                { user_id: userId },
+                {
+                    $inc: toProfileIncrements(stats, 'sports.$[entry].stats'),
+                    $set: { updated_at: new Date() }
+                },
+                { arrayFilters: [{ 'entry.sport': sportQuery(sport) }] }
+            ).exec();
+        } catch (err) {
+            console.error('Error recording match stats:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Move profiles saved with a single sport onto sport entries
+     * @param {object} profile - Lean player profile
+     * @returns {Promise<boolean>} - Whether the profile was migrated
+     */
+    migrateProfile: async function(profile) {
+        try {
+            return await migrateLegacyProfile(profile);
+        } catch (err) {
+            console.error('Error migrating player profile:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Get the free-agent listing of a player
+     * @param {string} userId - User ID of the player
+     * @returns {Promise<object|null>} - { sport, position, skill_level, years_experience, sports, free_agent },
+     *   or null without a profile
+     */
+    getFreeAgentProfile: async function(userId) {
+        try {
+            if (!userId) {
+                throw new Error('User ID is required');
+            }
+
+            const profile = await PlayerProfile.findOne({ user_id: userId }).lean();
+            if (!profile) {
+                return null;
+            }
+
+            const sports = profileSports.getSportEntries(profile).map(sportEntryView);
+            const freeAgent = profile.free_agent || {};
+            const sport = freeAgent.sport || (sports[0] && sports[0].sport) || '';
+            const entry = sports.find(item => profileSports.sportKey(item.sport) === profileSports.sportKey(sport)) || {};
+
+            return {
+                sport,
+                position: entry.position || '',
+                skill_level: entry.skill_level || '',
+                years_experience: entry.years_experience || 0,
+                sports,
+                free_agent: {
+                    listed: Boolean(freeAgent.listed),
+                    area: freeAgent.area || '',
+                    schedule: freeAgent.schedule || '',
+                    note: freeAgent.note || '',
+                    listed_at: freeAgent.listed_at || null
+                }
+            };
+        } catch (err) {
+            console.error('Error fetching free-agent profile:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * List or unlist a player as a free agent in one sport. The sport's
+     * position and skill level are saved on its profile entry, which is
+     * added when the player does not have it yet.
+     * @param {string} userId - User ID of the player
+     * @param {object} details - { profile: { sport, position, skill_level }, freeAgent: { listed, area, schedule, note } }
+     * @returns {Promise<object>} - The free-agent listing
+     */
+    saveFreeAgentProfile: async function(userId, details) {
+        try {
+            if (!userId) {
+                throw new Error('User ID is required');
+            }
+
+            const profile = await loadProfileForUpdate(userId);
+            const current = profileSports.findSportEntry(profile, details.profile.sport);
+            const error = profileSports.upsertSportEntry(profile, {
+                ...details.profile,
+                years_experience: current ? current.years_experience : 0
+            });
+            if (error) {
+                throw new Error(error);
+            }
+
+            const previous = profile.free_agent || {};
+            const now = new Date();
+            profile.free_agent = {
+                ...details.freeAgent,
+                sport: details.profile.sport,
+                listed_at: details.freeAgent.listed
+                    ? (previous.listed && previous.listed_at ? previous.listed_at : now)
+                    : null
+            };
+            profile.updated_at = now;
+            await profile.save();
+            await syncPreferredSports(userId, profile.sports);
+
+            return await this.getFreeAgentProfile(userId);
+        } catch (err) {
+            console.error('Error saving free-agent profile:', err);
+            throw err;
+        }
     }
-}; 
\ No newline at end of file
+};
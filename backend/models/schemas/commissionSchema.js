@@ -61,6 +61,12 @@ const commissionSchema = new Schema({
     default: 5  // T+5 days settlement
   },
   eligibleForPayoutAt: Date,
+  // Entry fee refunded to the payer; totalRevenue is what remains after it
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refundedAt: Date,
   // Notes
   notes: String,
   createdAt: { 
@@ -31,6 +31,31 @@ const eventSchema = new Schema({
   },
   max_teams: Number,
   entry_fee: Number,
+  // Entry fee over time and the discounts on it (see services/pricingService.js).
+  // Without tiers every team pays entry_fee.
+  price_tiers: [{
+    _id: false,
+    name: { type: String, required: true, trim: true },
+    price: { type: Number, required: true, min: 0 },
+    ends_at: { type: Date, default: null }
+  }],
+  // Percent off for teams that played one of the organizer's earlier events
+  returning_team_discount: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  promo_codes: [{
+    code: { type: String, required: true, uppercase: true, trim: true },
+    discount_type: { type: String, enum: ['percent', 'fixed'], default: 'percent' },
+    discount_value: { type: Number, required: true, min: 0 },
+    max_uses: { type: Number, default: null },
+    uses: { type: Number, default: 0 },
+    expires_at: { type: Date, default: null },
+    active: { type: Boolean, default: true },
+    created_at: { type: Date, default: Date.now }
+  }],
   registration_deadline: Date,
   status: { 
     type: String, 
@@ -97,11 +122,133 @@ const eventSchema = new Schema({
     type: Number,
     default: 0
   },
+  // Snapshot of every finalized schedule version, used for change diffs
+  schedule_versions: [{
+    version: { type: Number, required: true },
+    finalized_at: { type: Date, default: Date.now },
+    finalized_by: { type: Schema.Types.ObjectId, ref: 'User' },
+    notified_teams: { type: Number, default: 0 },
+    matches: [{
+      _id: false,
+      match_id: { type: Schema.Types.ObjectId, ref: 'Match' },
+      match_number: Number,
+      round: String,
+      group: String,
+      team_a: { type: Schema.Types.ObjectId, ref: 'Team' },
+      team_b: { type: Schema.Types.ObjectId, ref: 'Team' },
+      team_a_name: String,
+      team_b_name: String,
+      match_date: Date,
+      venue: String
+    }]
+  }],
+  schedule_reopened_at: {
+    type: Date
+  },
   tournament_format: {
     type: String,
-    enum: ['round-robin', 'knockout', 'league'],
+    enum: ['round-robin', 'knockout', 'league', 'groups-knockout'],
     default: 'round-robin'
   },
+  // groups-knockout: group stage line-up and how many teams per group reach the knockout
+  groups: [{
+    name: { type: String, required: true },
+    teams: [{
+      team_id: { type: Schema.Types.ObjectId, ref: 'Team' },
+      team_name: String
+    }]
+  }],
+  qualifiers_per_group: {
+    type: Number,
+    default: 2,
+    min: 1
+  },
+  // Slot scheduling (services/schedulerService.js). Used once at least one venue is listed.
+  schedule_settings: {
+    venues: [{ type: String, trim: true }],
+    daily_windows: {
+      type: [{
+        start: { type: String, required: true },
+        end: { type: String, required: true }
+      }],
+      default: undefined
+    },
+    match_duration_minutes: { type: Number, default: 90, min: 5 },
+    min_rest_minutes: { type: Number, default: 60, min: 0 }
+  },
+  // Leaderboard rules. Anything left unset falls back to the sport's preset
+  // (see services/standingsService.js).
+  scoring_rules: {
+    preset: { type: String, default: null },
+    points: {
+      win: { type: Number, min: 0 },
+      draw: { type: Number, min: 0 },
+      loss: { type: Number, min: 0 }
+    },
+    allow_draws: { type: Boolean },
+    tie_breakers: {
+      type: [{
+        type: String,
+        enum: ['points', 'head_to_head', 'goal_difference', 'goals_for', 'fair_play', 'net_run_rate', 'win_percentage', 'set_ratio', 'seed']
+      }],
+      default: undefined
+    }
+  },
+  // Hours the opposing manager has to confirm or dispute a submitted result
+  // before it is confirmed automatically
+  result_confirmation_hours: {
+    type: Number,
+    default: 48,
+    min: 1
+  },
+  // Hours a waitlisted team has to accept an open spot and pay the entry fee
+  // (see services/waitlistService.js)
+  waitlist_offer_hours: {
+    type: Number,
+    default: 24,
+    min: 1
+  },
+  // How much of the entry fee a withdrawing team gets back
+  // (see services/refundService.js)
+  refund_policy: {
+    full_refund_days: { type: Number, default: 7, min: 0 },
+    partial_refund_days: { type: Number, default: 2, min: 0 },
+    partial_refund_percent: { type: Number, default: 50, min: 0, max: 100 }
+  },
+  // Players a team may register for the event; null means no limit
+  squad_size: {
+    min: { type: Number, min: 1, default: null },
+    max: { type: Number, min: 1, default: null }
+  },
+  // Knockout bracket: one node per match slot. A node's winner moves into
+  // slot `next_slot` of the node at (round_number + 1, next_position).
+  knockout_bracket: [{
+    round_number: { type: Number, required: true },
+    position: { type: Number, required: true },
+    round_name: String,
+    team_a: { type: Schema.Types.ObjectId, ref: 'Team', default: null },
+    team_a_name: { type: String, default: '' },
+    team_b: { type: Schema.Types.ObjectId, ref: 'Team', default: null },
+    team_b_name: { type: String, default: '' },
+    match_id: { type: Schema.Types.ObjectId, ref: 'Match', default: null },
+    is_bye: { type: Boolean, default: false },
+    winner: { type: Schema.Types.ObjectId, ref: 'Team', default: null },
+    winner_name: { type: String, default: '' },
+    next_position: { type: Number, default: null },
+    next_slot: { type: String, enum: ['team_a', 'team_b', null], default: null }
+  }],
+  champion: {
+    team_id: { type: Schema.Types.ObjectId, ref: 'Team' },
+    team_name: String,
+    decided_at: Date
+  },
+  // Set on the editions of a recurring season (see services/seasonService.js)
+  season: {
+    season_id: { type: Schema.Types.ObjectId, ref: 'Season' },
+    edition: Number,
+    // When this edition's teams were registered for the next one
+    carried_over_at: Date
+  },
   created_at: { 
     type: Date, 
     default: Date.now 
@@ -126,7 +273,95 @@ const eventSchema = new Schema({
     },
     rejection_date: {
       type: Date
-    }
+    },
+    // Players registered for the event; locked at the registration deadline
+    squad: [{
+      player_id: { type: Schema.Types.ObjectId, ref: 'User' },
+      added_at: { type: Date, default: Date.now }
+    }],
+    squad_updated_at: Date,
+    // Previous season edition the team was carried over from
+    carried_over_from: { type: Schema.Types.ObjectId, ref: 'Event' },
+    // Entry fee collected for this registration, if any
+    payment: {
+      amount: Number,
+      method: String,
+      reference: String,
+      commission_id: { type: Schema.Types.ObjectId, ref: 'Commission' },
+      payer_id: { type: Schema.Types.ObjectId, ref: 'User' },
+      // Price before discounts and what was taken off it
+      list_price: Number,
+      price_tier: String,
+      returning_discount: Number,
+      promo_code: String,
+      promo_discount: Number,
+      paid_at: Date,
+      refunded_amount: Number,
+      refund_reference: String,
+      refunded_at: Date
+    },
+    // Entry fee shared across the roster, each player paying from their
+    // wallet (see services/splitPaymentService.js). `payment` is filled in
+    // once every share is paid.
+    split_payment: {
+      status: { type: String, enum: ['collecting', 'completed', 'released'] },
+      total: Number,
+      due_at: Date,
+      requested_by: { type: Schema.Types.ObjectId, ref: 'User' },
+      started_at: Date,
+      completed_at: Date,
+      released_at: Date,
+      // Pricing the total was quoted at, copied onto `payment` on completion
+      list_price: Number,
+      price_tier: String,
+      returning_discount: Number,
+      promo_code: String,
+      promo_discount: Number,
+      shares: [{
+        _id: false,
+        player_id: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+        amount: { type: Number, required: true, min: 0 },
+        paid_at: { type: Date, default: null },
+        reference: String,
+        refunded_amount: Number,
+        last_reminded_at: Date
+      }]
+    },
+    // Squad changes after the lock, approved or rejected by the organizer
+    substitutions: [{
+      out_player_id: { type: Schema.Types.ObjectId, ref: 'User' },
+      in_player_id: { type: Schema.Types.ObjectId, ref: 'User' },
+      reason: { type: String, maxlength: 500, default: '' },
+      requested_by: { type: Schema.Types.ObjectId, ref: 'User' },
+      requested_at: { type: Date, default: Date.now },
+      status: {
+        type: String,
+        default: 'pending',
+        enum: ['pending', 'approved', 'rejected']
+      },
+      reviewed_by: { type: Schema.Types.ObjectId, ref: 'User' },
+      reviewed_at: Date,
+      review_note: { type: String, maxlength: 500, default: '' }
+    }]
+  }],
+  // Teams queued for a spot once the event is full, in joining order
+  waitlist: [{
+    team_id: { type: Schema.Types.ObjectId, ref: 'Team', required: true },
+    manager_id: { type: Schema.Types.ObjectId, ref: 'User' },
+    joined_at: { type: Date, default: Date.now },
+    notes: { type: String, maxlength: 500, default: '' },
+    squad: [{
+      player_id: { type: Schema.Types.ObjectId, ref: 'User' },
+      added_at: { type: Date, default: Date.now }
+    }],
+    status: {
+      type: String,
+      default: 'waiting',
+      enum: ['waiting', 'offered', 'accepted', 'declined', 'expired', 'left']
+    },
+    offered_at: Date,
+    offer_expires_at: Date,
+    responded_at: Date
   }]
 });
 
@@ -136,5 +371,8 @@ eventSchema.index({ organizer_id: 1 });
 eventSchema.index({ status: 1, event_date: 1 });
 eventSchema.index({ status: 1, sport_type: 1, event_date: 1 });
 eventSchema.index({ title: 'text', description: 'text', location: 'text' });
+eventSchema.index({ 'waitlist.status': 1, 'waitlist.offer_expires_at': 1 });
+eventSchema.index({ 'team_registrations.split_payment.status': 1, 'team_registrations.split_payment.due_at': 1 });
+eventSchema.index({ 'season.season_id': 1, 'season.edition': 1 });
 
 module.exports = mongoose.model('Event', eventSchema); 
\ No newline at end of file
@@ -55,6 +55,115 @@ const matchSchema = new mongoose.Schema({
         type: Number,
         default: null
     },
+    // Group name for group-stage matches of a groups-knockout event
+    group: {
+        type: String,
+        default: null
+    },
+    // Position of a knockout match in event.knockout_bracket
+    bracket_round: {
+        type: Number,
+        default: null
+    },
+    bracket_position: {
+        type: Number,
+        default: null
+    },
+    // Optional result details used by leaderboard tie-breakers:
+    // overs faced (cricket net run rate) and disciplinary points (fair play)
+    overs_a: {
+        type: Number,
+        default: null
+    },
+    overs_b: {
+        type: Number,
+        default: null
+    },
+    fair_play_a: {
+        type: Number,
+        default: 0
+    },
+    fair_play_b: {
+        type: Number,
+        default: 0
+    },
+    // Per-player stat lines submitted with the result (fields depend on the sport,
+    // see services/playerStatsService.js); rolled into player profiles on verification
+    player_stats: [{
+        _id: false,
+        player_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        team_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Team',
+            required: true
+        },
+        stats: {
+            type: Map,
+            of: Number,
+            default: {}
+        }
+    }],
+    // One MVP vote per submitting manager; counted once the result is verified
+    mvp_votes: [{
+        _id: false,
+        voter_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        player_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        player_team_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Team',
+            required: true
+        }
+    }],
+    // Availability poll answers from the players of both teams
+    // (services/availabilityService.js)
+    availability: [{
+        _id: false,
+        player_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        team_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Team',
+            required: true
+        },
+        status: {
+            type: String,
+            enum: ['available', 'maybe', 'unavailable'],
+            required: true
+        },
+        note: {
+            type: String,
+            maxlength: 200,
+            default: ''
+        },
+        updated_at: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    player_stats_applied: {
+        type: Boolean,
+        default: false
+    },
+    // Set once the result has moved both teams' Elo ratings
+    rating_applied: {
+        type: Boolean,
+        default: false
+    },
     scheduled_by: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -92,6 +201,120 @@ const matchSchema = new mongoose.Schema({
         type: String,
         default: ''
     },
+    // Live scoring: current period and the append-only event log
+    live_period: {
+        type: String,
+        default: null
+    },
+    live_started_at: {
+        type: Date,
+        default: null
+    },
+    live_ended_at: {
+        type: Date,
+        default: null
+    },
+    live_events: [{
+        type: {
+            type: String,
+            enum: ['start', 'score', 'period', 'end'],
+            required: true
+        },
+        team: {
+            type: String,
+            enum: ['team_a', 'team_b', null],
+            default: null
+        },
+        points: {
+            type: Number,
+            default: null
+        },
+        player_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        period: {
+            type: String,
+            default: null
+        },
+        note: {
+            type: String,
+            default: ''
+        },
+        score_a: Number,
+        score_b: Number,
+        recorded_by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Two-sided confirmation: the opposing manager confirms or counter-claims
+    // a submitted result (services/resultConfirmationService.js)
+    confirmation: {
+        status: {
+            type: String,
+            enum: ['awaiting', 'confirmed', 'auto_confirmed', 'countered', null],
+            default: null
+        },
+        submitted_by_team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', default: null },
+        awaiting_team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', default: null },
+        requested_at: { type: Date, default: null },
+        due_at: { type: Date, default: null },
+        responded_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        responded_at: { type: Date, default: null }
+    },
+    // Dispute thread opened by a counter-claim and settled by an organizer ruling
+    dispute: {
+        status: {
+            type: String,
+            enum: ['open', 'resolved', null],
+            default: null
+        },
+        opened_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        opened_at: { type: Date, default: null },
+        claims: [{
+            kind: { type: String, enum: ['original', 'counter'], required: true },
+            team_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+            score_a: Number,
+            score_b: Number,
+            submitted_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            at: { type: Date, default: Date.now }
+        }],
+        messages: [{
+            author_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+            author_role: String,
+            body: { type: String, default: '' },
+            evidence: [{
+                url: String,
+                public_id: String
+            }],
+            at: { type: Date, default: Date.now }
+        }],
+        ruling: {
+            decision: { type: String, enum: ['original', 'counter', 'custom', 'replay', null], default: null },
+            score_a: Number,
+            score_b: Number,
+            reason: String,
+            ruled_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            ruled_at: Date
+        }
+    },
+    // Append-only history of every step of the result workflow
+    result_audit: [{
+        action: { type: String, required: true },
+        actor_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        actor_role: String,
+        status: String,
+        score_a: Number,
+        score_b: Number,
+        note: { type: String, default: '' },
+        at: { type: Date, default: Date.now }
+    }],
     dispute_reason: {
         type: String,
         default: ''
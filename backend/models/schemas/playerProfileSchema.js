@@ -1,5 +1,43 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { SKILL_LEVELS } = require('../../services/recruitmentService');
+
+// Totals of a player's verified stat lines in one sport
+const sportStatsSchema = new Schema({
+  games_played: { type: Number, default: 0 },
+  goals: { type: Number, default: 0 },
+  assists: { type: Number, default: 0 },
+  points: { type: Number, default: 0 },
+  rebounds: { type: Number, default: 0 },
+  yellow_cards: { type: Number, default: 0 },
+  red_cards: { type: Number, default: 0 },
+  runs: { type: Number, default: 0 },
+  balls: { type: Number, default: 0 },
+  wickets: { type: Number, default: 0 },
+  runs_conceded: { type: Number, default: 0 },
+  // Overs bowled, stored as balls so partial overs add up correctly
+  balls_bowled: { type: Number, default: 0 }
+}, { _id: false });
+
+// One sport the player plays
+const sportEntrySchema = new Schema({
+  sport: {
+    type: String,
+    required: true
+  },
+  position: String,
+  skill_level: {
+    type: String,
+    default: '',
+    enum: ['', ...SKILL_LEVELS]
+  },
+  years_experience: { type: Number, default: 0 },
+  stats: {
+    type: sportStatsSchema,
+    default: () => ({})
+  },
+  updated_at: Date
+}, { _id: false });
 
 // Player Profile schema
 const playerProfileSchema = new Schema({
@@ -8,21 +46,21 @@ const playerProfileSchema = new Schema({
     ref: 'User',
     required: true
   },
-  sport: {
-    type: String,
-    required: true
-  },
-  position: String,
-  skill_level: String,
-  years_experience: Number,
+  // Profiles saved before this list had a single sport, position,
+  // skill_level, years_experience and stats at the top level; see
+  // scripts/migrate-player-sports.js
+  sports: [sportEntrySchema],
   achievements: String,
   preferred_team_types: String,
   availability: String,
-  stats: {
-    games_played: { type: Number, default: 0 },
-    goals: { type: Number, default: 0 },
-    assists: { type: Number, default: 0 },
-    points: { type: Number, default: 0 }
+  // Free-agent listing: the player is looking for a team in this sport
+  free_agent: {
+    listed: { type: Boolean, default: false },
+    sport: String,
+    area: String,
+    schedule: String,
+    note: String,
+    listed_at: Date
   },
   created_at: { 
     type: Date, 
@@ -34,4 +72,7 @@ const playerProfileSchema = new Schema({
   }
 });
 
-module.exports = mongoose.model('PlayerProfile', playerProfileSchema); 
\ No newline at end of file
+playerProfileSchema.index({ user_id: 1 });
+playerProfileSchema.index({ 'free_agent.listed': 1, 'free_agent.sport': 1 });
+
+module.exports = mongoose.model('PlayerProfile', playerProfileSchema);
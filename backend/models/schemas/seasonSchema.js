@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { FREQUENCIES } = require('../../services/seasonService');
+
+// A league season or recurring tournament. Its editions are events that
+// point back to it through event.season (see services/seasonService.js).
+const seasonSchema = new Schema({
+  organizer_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  sport_type: {
+    type: String,
+    required: true
+  },
+  location: {
+    type: String,
+    required: true
+  },
+  recurrence: {
+    frequency: { type: String, enum: FREQUENCIES, required: true },
+    editions: { type: Number, required: true, min: 1 },
+    start_date: { type: Date, required: true },
+    // Registration for each edition closes this many days before it
+    registration_days: { type: Number, default: 1, min: 1 }
+  },
+  // Register the teams of each played edition for the next one
+  carry_over_registrations: {
+    type: Boolean,
+    default: true
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+seasonSchema.index({ organizer_id: 1, created_at: -1 });
+
+module.exports = mongoose.model('Season', seasonSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { findDuplicateJersey } = require('../../services/teamRosterService');
+const { SKILL_LEVELS } = require('../../services/recruitmentService');
 
 // Team schema
 const teamSchema = new Schema({
@@ -34,6 +36,97 @@ const teamSchema = new Schema({
     type: Date, 
     default: Date.now 
   },
+  // Elo rating in the team's current sport, mirrored from `ratings` so
+  // browse and search can filter and sort on it
+  rating: {
+    type: Number,
+    default: 1500
+  },
+  ratings: [{
+    _id: false,
+    sport: {
+      type: String,
+      required: true
+    },
+    rating: {
+      type: Number,
+      default: 1500
+    },
+    matches: {
+      type: Number,
+      default: 0
+    },
+    updated_at: Date
+  }],
+  rating_history: [{
+    _id: false,
+    sport: String,
+    match_id: {
+      type: Schema.Types.ObjectId,
+      ref: 'Match'
+    },
+    opponent_id: {
+      type: Schema.Types.ObjectId,
+      ref: 'Team'
+    },
+    result: {
+      type: String,
+      enum: ['win', 'loss', 'draw']
+    },
+    rating_before: Number,
+    rating_after: Number,
+    change: Number,
+    recorded_at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Archived teams are kept for match history but hidden from browsing
+  archived_at: {
+    type: Date,
+    default: null
+  },
+  archived_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Pending hand-over to another manager, who has to accept it
+  ownership_transfer: {
+    type: new Schema({
+      to_user_id: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      requested_by: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      requested_at: {
+        type: Date,
+        default: Date.now
+      },
+      expires_at: Date,
+      message: String
+    }, { _id: false }),
+    default: null
+  },
+  ownership_history: [{
+    _id: false,
+    from_user_id: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    to_user_id: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    transferred_at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   // Team members as a subdocument array
   members: [{
     player_id: { 
@@ -49,6 +142,23 @@ const teamSchema = new Schema({
       default: 'active',
       enum: ['active', 'inactive']
     },
+    role: {
+      type: String,
+      default: 'player',
+      enum: ['captain', 'vice_captain', 'player', 'co_manager']
+    },
+    jersey_number: {
+      type: Number,
+      min: 0,
+      max: 99,
+      default: null
+    },
+    position: {
+      type: String,
+      trim: true,
+      maxlength: 30,
+      default: ''
+    },
     stats: {
       matches_played: { type: Number, default: 0 },
       matches_won: { type: Number, default: 0 },
@@ -57,6 +167,20 @@ const teamSchema = new Schema({
       last_updated: Date
     }
   }],
+  // Players who have left or been removed, kept for their career history
+  former_members: [{
+    _id: false,
+    player_id: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    joined_date: Date,
+    left_date: {
+      type: Date,
+      default: Date.now
+    },
+    role: String
+  }],
   // Join requests as a subdocument array
   join_requests: [{
     player_id: { 
@@ -72,9 +196,119 @@ const teamSchema = new Schema({
       default: 'pending',
       enum: ['pending', 'approved', 'rejected']
     }
+  }],
+  // Invitations sent by the manager. Email-only invitations are for people
+  // without an account yet and are matched to the player by email later.
+  invitations: [{
+    player_id: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    invited_by: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    message: String,
+    created_at: {
+      type: Date,
+      default: Date.now
+    },
+    expires_at: Date,
+    status: {
+      type: String,
+      default: 'pending',
+      enum: ['pending', 'accepted', 'declined', 'revoked']
+    },
+    responded_at: Date
+  }],
+  // Shareable invite links, redeemed by code
+  invite_links: [{
+    code: {
+      type: String,
+      required: true
+    },
+    created_by: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    created_at: {
+      type: Date,
+      default: Date.now
+    },
+    expires_at: Date,
+    max_uses: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    uses: {
+      type: Number,
+      default: 0
+    },
+    used_by: [{
+      player_id: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    revoked: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // Recruitment postings: what the team is looking for, matched against
+  // free agents in the team's sport
+  recruitment_postings: [{
+    positions: [String],
+    skill_level: {
+      type: String,
+      default: '',
+      enum: ['', ...SKILL_LEVELS]
+    },
+    area: String,
+    schedule: String,
+    description: String,
+    status: {
+      type: String,
+      default: 'open',
+      enum: ['open', 'closed']
+    },
+    created_by: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    created_at: {
+      type: Date,
+      default: Date.now
+    },
+    updated_at: Date,
+    closed_at: Date
   }]
 });
 
+// Jersey numbers are unique among a team's active members
+teamSchema.pre('validate', function(next) {
+  if (!this.isModified('members')) {
+    return next();
+  }
+
+  const duplicate = findDuplicateJersey(this.members);
+  if (duplicate !== null) {
+    return next(new Error(`Jersey number ${duplicate} is already taken on this team`));
+  }
+  next();
+});
+
 // Pre-save middleware to validate that players don't join multiple teams in the same sport
 teamSchema.pre('save', async function(next) {
   try {
@@ -96,6 +330,7 @@ teamSchema.pre('save', async function(next) {
     const Team = this.constructor; // Get the Team model
     const conflictingTeams = await Team.find({
       _id: { $ne: this._id }, // Exclude current team
+      archived_at: null, // Archived teams do not hold on to their players
       sport_type: this.sport_type,
       'members.player_id': { $in: activePlayerIds },
       'members.status': 'active'
@@ -136,4 +371,13 @@ teamSchema.index({
   sport_type: 'text'
 });
 
+// Lookups for invite codes and a player's pending invitations
+teamSchema.index({ 'invite_links.code': 1 });
+teamSchema.index({ 'invitations.player_id': 1 });
+teamSchema.index({ 'invitations.email': 1 });
+teamSchema.index({ 'ownership_transfer.to_user_id': 1 });
+teamSchema.index({ sport_type: 1, rating: -1 });
+teamSchema.index({ 'recruitment_postings.status': 1 });
+teamSchema.index({ 'former_members.player_id': 1 });
+
 module.exports = mongoose.model('Team', teamSchema); 
\ No newline at end of file
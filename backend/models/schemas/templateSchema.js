@@ -30,7 +30,8 @@ const templateSchema = new Schema({
     entry_fee: Number,
     registration_period_days: Number,
     event_duration_hours: Number,
-    location: String
+    location: String,
+    tournament_format: String
   }
 });
 
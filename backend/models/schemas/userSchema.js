@@ -108,8 +108,11 @@ const userSchema = new Schema({
       portfolio: { type: Boolean, default: false },
       videoHighlights: { type: Boolean, default: false },
       priorityNotifications: { type: Boolean, default: false },
+      // Slug of the public profile at /p/:slug
       customProfileUrl: String
     },
+    // Earlier slugs, newest first; they redirect to the current one
+    previousProfileUrls: [String],
     portfolio: {
       stats: [{
         sport: String,
@@ -118,7 +121,10 @@ const userSchema = new Schema({
         achievements: String
       }],
       videos: [String], // Video URLs
-      achievements: [String]
+      achievements: [String],
+      // Career timeline shown on the public profile
+      publishCareer: { type: Boolean, default: false },
+      careerPublishedAt: Date
     },
     visibility: {
       type: String,
@@ -179,6 +185,16 @@ const userSchema = new Schema({
   }
 });
 
+// Public profile slugs are unique; old slugs are looked up for redirects
+userSchema.index(
+  { 'premiumProfile.features.customProfileUrl': 1 },
+  {
+    unique: true,
+    partialFilterExpression: { 'premiumProfile.features.customProfileUrl': { $type: 'string' } }
+  }
+);
+userSchema.index({ 'premiumProfile.previousProfileUrls': 1 });
+
 // Text index supports MongoDB full-text fallback search when Solr is unavailable.
 userSchema.index(
   {
@@ -0,0 +1,258 @@
+const Season = require('./schemas/seasonSchema');
+const Event = require('./schemas/eventSchema');
+const Team = require('./schemas/teamSchema');
+const EventModel = require('./event');
+const seasons = require('../services/seasonService');
+const waitlists = require('../services/waitlistService');
+const { invalidateCacheByPrefixes } = require('../utils/cacheInvalidation');
+
+/**
+ * Load a season's editions in order, registrations with their team names
+ * @param {string} seasonId - Season ID
+ * @returns {Promise<Array>} - Lean events
+ */
+async function loadEditions(seasonId) {
+  const editions = await Event.find({ 'season.season_id': seasonId })
+      .sort({ 'season.edition': 1 })
+      .lean()
+      .exec();
+
+  const teamIds = editions.flatMap(event => (event.team_registrations || []).map(reg => reg.team_id));
+  const teams = await Team.find({ _id: { $in: teamIds } }).select('name').lean().exec();
+  const teamNames = new Map(teams.map(team => [team._id.toString(), team.name]));
+
+  return editions.map(event => ({
+    ...event,
+    team_registrations: (event.team_registrations || []).map(reg => ({
+      ...reg,
+      team_name: teamNames.get(String(reg.team_id)) || ''
+    }))
+  }));
+}
+
+// Registrations of an event document holding a spot, for update filters
+const ACTIVE_REGISTRATIONS = {
+  $size: {
+    $filter: {
+      input: '$team_registrations',
+      cond: { $in: ['$$this.status', waitlists.ACTIVE_REGISTRATION_STATUSES] }
+    }
+  }
+};
+
+/**
+ * Season model: recurring events and league seasons
+ */
+module.exports = {
+  /**
+   * Create a season and one event per edition of its recurrence rule
+   * @param {object} seasonData - Season fields with a checked recurrence (see services/seasonService.js)
+   * @param {object} eventData - Settings shared by every edition (fee, format, squad size...)
+   * @returns {Promise<{season: object, editions: Array}>}
+   */
+  createSeason: async function(seasonData, eventData) {
+    let season;
+    try {
+      season = await new Season(seasonData).save();
+
+      const editions = [];
+      for (const dates of seasons.editionDates(season.recurrence)) {
+        editions.push(await EventModel.createEvent({
+          ...eventData,
+          organizer_id: season.organizer_id,
+          title: seasons.editionTitle(season.title, dates.edition),
+          description: season.description,
+          sport_type: season.sport_type,
+          location: season.location,
+          event_date: dates.event_date,
+          registration_deadline: dates.registration_deadline,
+          season: { season_id: season._id, edition: dates.edition }
+        }));
+      }
+
+      return { season, editions };
+    } catch (err) {
+      console.error('Error creating season:', err);
+      // Don't leave half a season behind
+      if (season) {
+        await Event.deleteMany({ 'season.season_id': season._id }).exec();
+        await Season.deleteOne({ _id: season._id }).exec();
+      }
+      throw err;
+    }
+  },
+
+  /**
+   * Get a season with its editions
+   * @param {string} seasonId - Season ID
+   * @returns {Promise<{season: object, editions: Array}>}
+   */
+  getSeasonById: async function(seasonId) {
+    try {
+      const season = await Season.findById(seasonId).lean().exec();
+      if (!season) {
+        throw new Error('Season not found');
+      }
+      return { season, editions: await loadEditions(seasonId) };
+    } catch (err) {
+      console.error('Error getting season:', err);
+      throw err;
+    }
+  },
+
+  /**
+   * Get an organizer's seasons, newest first, with their progress
+   * @param {string} organizerId - Organizer user ID
+   * @returns {Promise<Array>}
+   */
+  getSeasonsByOrganizer: async function(organizerId) {
+    try {
+      const list = await Season.find({ organizer_id: organizerId }).sort({ created_at: -1 }).lean().exec();
+      const editions = await Event.find({ 'season.season_id': { $in: list.map(season => season._id) } })
+          .select('season status event_date')
+          .lean()
+          .exec();
+
+      const now = new Date();
+      return list.map(season => {
+        const own = editions.filter(event => String(event.season.season_id) === String(season._id));
+        const next = own
+          .filter(event => new Date(event.event_date) > now && !['cancelled', 'rejected'].includes(event.status))
+          .sort((a, b) => new Date(a.event_date) - new Date(b.event_date))[0];
+        return {
+          ...season,
+          status: seasons.seasonStatus(own, now),
+          edition_count: own.length,
+          next_edition_date: next ? next.event_date : null
+        };
+      });
+    } catch (err) {
+      console.error('Error getting organizer seasons:', err);
+      throw err;
+    }
+  },
+
+  /**
+   * Turn carrying teams over between editions on or off
+   * @param {string} seasonId - Season ID
+   * @param {boolean} enabled
+   * @returns {Promise<object>} - The updated season
+   */
+  setCarryOver: async function(seasonId, enabled) {
+    try {
+      const season = await Season.findByIdAndUpdate(
+        seasonId,
+        { $set: { carry_over_registrations: Boolean(enabled) } },
+        { new: true }
+      ).lean().exec();
+      if (!season) {
+        throw new Error('Season not found');
+      }
+      return season;
+    } catch (err) {
+      console.error('Error updating season:', err);
+      throw err;
+    }
+  },
+
+  /**
+   * Register the teams of one edition for the next edition of its season
+   * @param {string} eventId - The edition teams carry over from
+   * @returns {Promise<{target: object|null, carried: number}>}
+   */
+  carryOverEdition: async function(eventId) {
+    try {
+      const source = await Event.findById(eventId).lean().exec();
+      if (!source || !source.season || !source.season.season_id) {
+        throw new Error('This event is not part of a season');
+      }
+
+      const editions = await Event.find({ 'season.season_id': source.season.season_id }).lean().exec();
+      const target = seasons.nextEdition(editions, source);
+      const now = new Date();
+      let carried = 0;
+
+      if (target) {
+        const claims = seasons.waitlistClaims(source, target, now);
+        for (const registration of seasons.carryOverRegistrations(source, target, now)) {
+          // The team may have registered itself, or the edition filled up, in the meantime
+          const result = await Event.updateOne(
+            {
+              _id: target._id,
+              'team_registrations.team_id': { $ne: registration.team_id },
+              $expr: {
+                $or: [
+                  { $lte: ['$max_teams', 0] },
+                  { $lt: [ACTIVE_REGISTRATIONS, { $subtract: ['$max_teams', claims] }] }
+                ]
+              }
+            },
+            {
+              $push: { team_registrations: registration },
+              // A carried team no longer needs its place on the waitlist
+              $set: {
+                'waitlist.$[entry].status': 'accepted',
+                'waitlist.$[entry].responded_at': now
+              }
+            },
+            { arrayFilters: [{ 'entry.team_id': registration.team_id, 'entry.status': { $in: ['waiting', 'offered'] } }] }
+          ).exec();
+          carried += result.modifiedCount;
+        }
+      }
+
+      await Event.updateOne({ _id: source._id }, { $set: { 'season.carried_over_at': now } }).exec();
+
+      if (carried > 0) {
+        await invalidateCacheByPrefixes([
+          '/api/manager/my-events',
+          `/api/organizer/event/${target._id}`,
+          '/api/organizer/events'
+        ]);
+      }
+
+      return { target, carried };
+    } catch (err) {
+      console.error('Error carrying over season registrations:', err);
+      throw err;
+    }
+  },
+
+  /**
+   * Carry teams over from every played edition of seasons that have
+   * carry-over turned on
+   * @returns {Promise<number>} - Number of teams carried over
+   */
+  carryOverDueEditions: async function() {
+    try {
+      const now = new Date();
+      const played = await Event.find({
+        'season.season_id': { $exists: true },
+        'season.carried_over_at': null,
+        event_date: { $lte: now },
+        status: { $nin: ['cancelled', 'rejected'] }
+      }).select('season').lean().exec();
+
+      const seasonIds = [...new Set(played.map(event => String(event.season.season_id)))];
+      const enabled = await Season.find({ _id: { $in: seasonIds }, carry_over_registrations: true })
+          .select('_id')
+          .lean()
+          .exec();
+
+      let carried = 0;
+      for (const season of enabled) {
+        const editions = await Event.find({ 'season.season_id': season._id })
+            .sort({ 'season.edition': 1 })
+            .lean()
+            .exec();
+        for (const { source } of seasons.editionsDueForCarryOver(editions, now)) {
+          carried += (await this.carryOverEdition(source._id)).carried;
+        }
+      }
+      return carried;
+    } catch (err) {
+      console.error('Error carrying over season registrations:', err);
+      throw err;
+    }
+  }
+};
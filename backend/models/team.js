@@ -1,5 +1,139 @@
 const Team = require('./schemas/teamSchema');
 const User = require('./schemas/userSchema');
+const teamInvites = require('../services/teamInviteService');
+const teamRoster = require('../services/teamRosterService');
+const teamOwnership = require('../services/teamOwnershipService');
+const ratingService = require('../services/ratingService');
+const recruitment = require('../services/recruitmentService');
+const profileSports = require('../services/playerProfileService');
+
+/**
+ * Load a team the given user runs as its manager or a co-manager
+ * @param {string} teamId - Team ID
+ * @param {string} managerId - Manager's or co-manager's user ID
+ * @returns {Promise<object>} - Team document
+ */
+async function findManagedTeam(teamId, managerId) {
+    const team = await Team.findById(teamId).exec();
+    if (!team) {
+        throw new Error('Team not found');
+    }
+    if (!teamRoster.canManageTeam(team, managerId)) {
+        throw new Error('You do not have permission to manage this team');
+    }
+    return team;
+}
+
+/**
+ * Load a team the given user owns. Archiving and ownership transfers are
+ * for the team's manager only, not its co-managers.
+ * @param {string} teamId - Team ID
+ * @param {string} managerId - Manager's user ID
+ * @returns {Promise<object>} - Team document
+ */
+async function findOwnedTeam(teamId, managerId) {
+    const team = await Team.findById(teamId).exec();
+    if (!team) {
+        throw new Error('Team not found');
+    }
+    if (!teamOwnership.isOwner(team, managerId)) {
+        throw new Error('Only the team manager can do this');
+    }
+    return team;
+}
+
+/**
+ * Plain view of a recruitment posting with the team's sport
+ * @param {object} team - Team document
+ * @param {object} posting - Recruitment posting subdocument
+ * @returns {object}
+ */
+function postingView(team, posting) {
+    return {
+        _id: posting._id,
+        sport: team.sport_type,
+        positions: posting.positions || [],
+        skill_level: posting.skill_level || '',
+        area: posting.area || '',
+        schedule: posting.schedule || '',
+        description: posting.description || '',
+        status: posting.status,
+        created_at: posting.created_at,
+        updated_at: posting.updated_at || null,
+        closed_at: posting.closed_at || null
+    };
+}
+
+function findPosting(team, postingId) {
+    const posting = team.recruitment_postings.id(postingId);
+    if (!posting) {
+        throw new Error('Posting not found');
+    }
+    return posting;
+}
+
+/**
+ * Add a player who accepted an invitation to the team's members. Saving the
+ * team afterwards runs the one-team-per-sport check in the schema hook.
+ * @param {object} team - Team document
+ * @param {string} playerId - Player ID
+ */
+function addInvitedMember(team, playerId) {
+    if (teamOwnership.isArchived(team)) {
+        throw new Error('This team has been archived and is not taking new players');
+    }
+
+    const isMember = team.members.some(member =>
+        member.player_id.toString() === playerId.toString() && member.status === 'active');
+    if (isMember) {
+        throw new Error('You are already a member of this team');
+    }
+
+    const activeMembers = team.members.filter(member => member.status === 'active').length;
+    if (team.max_members && activeMembers >= team.max_members) {
+        throw new Error('This team is full');
+    }
+
+    team.members.push({
+        player_id: playerId,
+        joined_date: new Date(),
+        status: 'active'
+    });
+
+    // An open join request from the same player is settled by joining
+    team.join_requests.forEach(request => {
+        if (request.player_id.toString() === playerId.toString() && request.status === 'pending') {
+            request.status = 'approved';
+        }
+    });
+}
+
+/**
+ * Update that takes a player off a team, keeping the membership in
+ * former_members for the player's career timeline
+ * @param {string} teamId - Team ID
+ * @param {string} playerId - Player ID
+ * @returns {Promise<object>} - Update for Team.findByIdAndUpdate
+ */
+async function memberRemoval(teamId, playerId) {
+    const update = { $pull: { members: { player_id: playerId } } };
+    const team = await Team.findOne(
+        { _id: teamId, 'members.player_id': playerId },
+        { 'members.$': 1 }
+    ).lean();
+    if (team && team.members.length > 0) {
+        const member = team.members[0];
+        update.$push = {
+            former_members: {
+                player_id: member.player_id,
+                joined_date: member.joined_date,
+                left_date: new Date(),
+                role: member.role
+            }
+        };
+    }
+    return update;
+}
 
 /**
  * Team model for team management
@@ -52,7 +186,7 @@ module.exports = {
     // Members
     const memberIds = team.members.map(m => m.player_id);
     const users = await User.find({ _id: { $in: memberIds } })
-        .select('first_name last_name email')
+        .select('first_name last_name email profile_image')
         .lean();
 
     const userMap = Object.fromEntries(
@@ -71,12 +205,29 @@ module.exports = {
         requestUsers.map(u => [u._id.toString(), u])
     );
 
+    // Pending ownership transfer, with the recipient's name for the manager
+    let ownershipTransfer = null;
+    if (teamOwnership.transferStatus(team.ownership_transfer) === 'pending') {
+        const recipient = await User.findById(team.ownership_transfer.to_user_id)
+            .select('first_name last_name email')
+            .lean();
+        ownershipTransfer = {
+            to_user_id: team.ownership_transfer.to_user_id,
+            to_name: recipient ? `${recipient.first_name} ${recipient.last_name}`.trim() : 'Manager',
+            to_email: recipient?.email || '',
+            requested_at: team.ownership_transfer.requested_at,
+            expires_at: team.ownership_transfer.expires_at
+        };
+    }
+
     return {
         id: team._id,
         name: team.name,
         sport_type: team.sport_type,
         description: team.description || '',
         created_at: team.created_at,
+        archived_at: team.archived_at || null,
+        ownership_transfer: ownershipTransfer,
 
         manager: {
             id: team.manager_id,
@@ -90,11 +241,19 @@ module.exports = {
             const u = userMap[m.player_id.toString()];
             return {
                 id: m.player_id,
+                player_id: m.player_id,
                 name: u
                     ? `${u.first_name} ${u.last_name}`.trim()
                     : u?.email || 'Player',
+                first_name: u?.first_name || '',
+                last_name: u?.last_name || '',
                 email: u?.email || '',
-                role: m.role || 'Player'
+                photo_url: u?.profile_image || '',
+                joined_date: m.joined_date,
+                status: m.status || 'active',
+                role: m.role || 'player',
+                jersey_number: m.jersey_number ?? null,
+                position: m.position || ''
             };
         }),
 
@@ -119,11 +278,13 @@ module.exports = {
     
     /**
      * Get all teams
+     * @param {object} [options] - { includeArchived } to list archived teams too
      * @returns {Promise<Array>} - Promise resolving to an array of team objects
      */
-    getAllTeams: async function() {
+    getAllTeams: async function(options = {}) {
         try {
-            const teams = await Team.find().sort({ name: 1 }).exec();
+            const filter = options.includeArchived ? {} : teamOwnership.ACTIVE_TEAM_FILTER;
+            const teams = await Team.find(filter).sort({ name: 1 }).exec();
             
             return teams.map(team => ({
                 ...team.toObject(),
@@ -138,16 +299,20 @@ module.exports = {
     /**
      * Get teams managed by a specific user
      * @param {string} managerId - Manager user ID
+     * @param {object} [options] - { includeArchived } to list archived teams too
      * @returns {Promise<Array>} - Promise resolving to an array of team objects
      */
-    getTeamsByManager: async function(managerId) {
+    getTeamsByManager: async function(managerId, options = {}) {
         try {
             if (!managerId) {
                 throw new Error('Manager ID is required');
             }
             
             const EventSchema = require('./schemas/eventSchema');
-            const teams = await Team.find({ manager_id: managerId })
+            const filter = options.includeArchived
+                ? { manager_id: managerId }
+                : { manager_id: managerId, ...teamOwnership.ACTIVE_TEAM_FILTER };
+            const teams = await Team.find(filter)
                 .sort({ name: 1 })
                 .exec();
             
@@ -360,7 +525,12 @@ module.exports = {
             
             const updateData = {};
             if (teamData.name) updateData.name = teamData.name;
-            if (teamData.sport_type) updateData.sport_type = teamData.sport_type;
+            if (teamData.sport_type) {
+                // The mirrored rating follows the team into its new sport
+                const current = await Team.findById(teamId).select('sport_type ratings').lean().exec();
+                updateData.sport_type = teamData.sport_type;
+                updateData.rating = ratingService.getRating(current, teamData.sport_type);
+            }
             if (teamData.description !== undefined) updateData.description = teamData.description;
             if (teamData.max_members !== undefined) updateData.max_members = teamData.max_members;
             
@@ -376,20 +546,192 @@ module.exports = {
     },
     
     /**
-     * Delete a team
+     * Archive a team. Teams are never deleted because matches, standings and
+     * registrations keep referring to them; archived teams are hidden from
+     * browsing and search instead.
      * @param {string} teamId - Team ID
-     * @returns {Promise<boolean>} - Promise resolving to true if successful
+     * @param {string} userId - The team's manager, or an admin with options.asAdmin
+     * @param {object} [options] - { asAdmin } skips the ownership check
+     * @returns {Promise<object>} - The archived team
      */
-    deleteTeam: async function(teamId) {
+    archiveTeam: async function(teamId, userId, options = {}) {
         try {
             if (!teamId) {
                 throw new Error('Team ID is required');
             }
-            
-            const result = await Team.findByIdAndDelete(teamId).exec();
-            return !!result;
+
+            const team = options.asAdmin
+                ? await Team.findById(teamId).exec()
+                : await findOwnedTeam(teamId, userId);
+            if (!team) {
+                throw new Error('Team not found');
+            }
+
+            const Match = require('./schemas/matchSchema');
+            const openMatches = await Match.countDocuments({
+                $or: [{ team_a: team._id }, { team_b: team._id }],
+                status: { $in: ['scheduled', 'live'] }
+            });
+            if (openMatches > 0 && !options.asAdmin) {
+                throw new Error(`This team still has ${openMatches} scheduled or live match${openMatches === 1 ? '' : 'es'}. Finish or cancel them before archiving.`);
+            }
+
+            const error = teamOwnership.archive(team, userId);
+            if (error) {
+                throw new Error(error);
+            }
+            await team.save();
+            return team;
+        } catch (err) {
+            console.error('Error archiving team:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Bring an archived team back. Fails if one of its players has joined
+     * another team in the same sport in the meantime.
+     * @param {string} teamId - Team ID
+     * @param {string} managerId - The team's manager
+     * @returns {Promise<object>} - The restored team
+     */
+    restoreTeam: async function(teamId, managerId) {
+        try {
+            const team = await findOwnedTeam(teamId, managerId);
+            const error = teamOwnership.restore(team);
+            if (error) {
+                throw new Error(error);
+            }
+
+            // Re-run the one-team-per-sport check on save
+            team.markModified('members');
+            await team.save();
+            return team;
         } catch (err) {
-            console.error('Error deleting team:', err);
+            console.error('Error restoring team:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Offer a team to another manager, who has to accept it
+     * @param {string} teamId - Team ID
+     * @param {string} managerId - The team's manager
+     * @param {object} request - { email, message }
+     * @returns {Promise<object>} - { team, recipient }
+     */
+    requestOwnershipTransfer: async function(teamId, managerId, request) {
+        try {
+            const team = await findOwnedTeam(teamId, managerId);
+            const email = teamInvites.normalizeEmail(request.email);
+            if (!email) {
+                throw new Error('A valid email address is required');
+            }
+
+            const recipient = await User.findOne({ email }).select('first_name last_name email role').lean();
+            const error = teamOwnership.validateTransfer(team, managerId, recipient);
+            if (error) {
+                throw new Error(error);
+            }
+
+            teamOwnership.requestTransfer(team, managerId, recipient._id, request.message);
+            await team.save();
+            return { team, recipient };
+        } catch (err) {
+            console.error('Error requesting ownership transfer:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Withdraw a team's pending ownership transfer
+     * @param {string} teamId - Team ID
+     * @param {string} managerId - The team's manager
+     * @returns {Promise<object>} - The team
+     */
+    cancelOwnershipTransfer: async function(teamId, managerId) {
+        try {
+            const team = await findOwnedTeam(teamId, managerId);
+            if (!team.ownership_transfer) {
+                throw new Error('There is no transfer to cancel');
+            }
+
+            team.ownership_transfer = null;
+            await team.save();
+            return team;
+        } catch (err) {
+            console.error('Error cancelling ownership transfer:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Pending transfers offered to a manager
+     * @param {string} managerId - Recipient's user ID
+     * @returns {Promise<Array>} - Transfers with team and sender details
+     */
+    getIncomingTransfers: async function(managerId) {
+        try {
+            const teams = await Team.find({
+                'ownership_transfer.to_user_id': managerId,
+                ...teamOwnership.ACTIVE_TEAM_FILTER
+            })
+                .select('name sport_type members manager_id ownership_transfer')
+                .populate('manager_id', 'first_name last_name email')
+                .lean()
+                .exec();
+
+            const now = new Date();
+            return teams
+                .filter(team => teamOwnership.transferStatus(team.ownership_transfer, now) === 'pending')
+                .map(team => ({
+                    team_id: team._id,
+                    team_name: team.name,
+                    sport_type: team.sport_type,
+                    member_count: team.members.filter(m => m.status === 'active').length,
+                    from_manager: team.manager_id
+                        ? `${team.manager_id.first_name} ${team.manager_id.last_name}`.trim()
+                        : 'Team Manager',
+                    from_email: team.manager_id ? team.manager_id.email : '',
+                    message: team.ownership_transfer.message || '',
+                    requested_at: team.ownership_transfer.requested_at,
+                    expires_at: team.ownership_transfer.expires_at
+                }));
+        } catch (err) {
+            console.error('Error getting incoming transfers:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Accept or decline a transfer. Accepting makes the recipient the manager.
+     * @param {string} teamId - Team ID
+     * @param {string} managerId - Recipient's user ID
+     * @param {boolean} accept - Whether the transfer is accepted
+     * @returns {Promise<object>} - { team, previous_manager_id }
+     */
+    respondToOwnershipTransfer: async function(teamId, managerId, accept) {
+        try {
+            const team = await Team.findById(teamId).exec();
+            const transfer = team ? team.ownership_transfer : null;
+            if (!transfer || transfer.to_user_id.toString() !== managerId.toString()) {
+                throw new Error('Transfer not found');
+            }
+
+            const previousManagerId = team.manager_id;
+            if (accept) {
+                const error = teamOwnership.acceptTransfer(team, managerId);
+                if (error) {
+                    throw new Error(error);
+                }
+            } else {
+                team.ownership_transfer = null;
+            }
+            await team.save();
+
+            return { team, previous_manager_id: previousManagerId };
+        } catch (err) {
+            console.error('Error responding to ownership transfer:', err);
             throw err;
         }
     },
@@ -397,10 +739,11 @@ module.exports = {
     /**
      * Get teams managed by a specific user (alias for getTeamsByManager)
      * @param {string} managerId - Manager user ID
+     * @param {object} [options] - { includeArchived } to list archived teams too
      * @returns {Promise<Array>} - Promise resolving to an array of team objects
      */
-    getManagerTeams: async function(managerId) {
-        return this.getTeamsByManager(managerId);
+    getManagerTeams: async function(managerId, options = {}) {
+        return this.getTeamsByManager(managerId, options);
     },
     
     /**
@@ -514,6 +857,7 @@ module.exports = {
                 sport_type: team.sport_type,
                 'members.player_id': playerId,
                 'members.status': 'active',
+                archived_at: null,
                 _id: { $ne: teamId } // Exclude current team
             }).exec();
             
@@ -573,7 +917,7 @@ module.exports = {
             // Actually remove player from team members array
             const updatedTeam = await Team.findByIdAndUpdate(
                 teamId,
-                { $pull: { members: { player_id: playerId } } },
+                await memberRemoval(teamId, playerId),
                 { new: true }
             ).exec();
             
@@ -615,8 +959,13 @@ if (!targetTeam) {
     throw new Error('Team not found');
 }
 
+if (teamOwnership.isArchived(targetTeam)) {
+    throw new Error('This team has been archived and is not taking new players');
+}
+
 const conflictTeam = await Team.findOne({
     sport_type: targetTeam.sport_type,
+    archived_at: null,
     $or: [
         { 'members.player_id': playerId },
         { 'join_requests.player_id': playerId }
@@ -648,6 +997,7 @@ if (conflictTeam) {
             const existingTeamInSport = await Team.findOne({
                 sport_type: team.sport_type,
                 'members.player_id': playerId,
+                archived_at: null,
                 'members.status': 'active'
             }).exec();
             
@@ -779,6 +1129,7 @@ if (conflictTeam) {
                     sport_type: team.sport_type,
                     'members.player_id': request.player_id,
                     'members.status': 'active',
+                    archived_at: null,
                     _id: { $ne: team._id } // Exclude current team
                 }).exec();
                 
@@ -989,7 +1340,7 @@ if (conflictTeam) {
             
             return await Team.findByIdAndUpdate(
                 teamId,
-                { $pull: { members: { player_id: playerId } } },
+                await memberRemoval(teamId, playerId),
                 { new: true }
             ).exec();
         } catch (err) {
@@ -1089,5 +1440,734 @@ if (conflictTeam) {
             console.error('Error updating team match stats:', err);
             throw err;
         }
+    },
+
+    /**
+     * Get each team's Elo rating in its sport, used to seed brackets and groups
+     * @param {Array<string>} teamIds - Team IDs
+     * @returns {Promise<object>} - Promise resolving to a map of team ID to rating
+     */
+    getTeamRatings: async function(teamIds) {
+        try {
+            const teams = await Team.find({ _id: { $in: teamIds } })
+                .select('sport_type ratings')
+                .lean()
+                .exec();
+
+            return teams.reduce((ratings, team) => {
+                ratings[team._id.toString()] = ratingService.getRating(team);
+                return ratings;
+            }, {});
+        } catch (err) {
+            console.error('Error getting team ratings:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Move both teams' Elo ratings for a verified match and record the
+     * change in their rating history
+     * @param {object} match - Match with team_a, team_b and scores
+     * @returns {Promise<object|null>} - { team_a, team_b } rating changes, or null if a team is gone
+     */
+    applyMatchRating: async function(match) {
+        try {
+            const [teamA, teamB] = await Promise.all([
+                Team.findById(match.team_a).exec(),
+                Team.findById(match.team_b).exec()
+            ]);
+            if (!teamA || !teamB) {
+                return null;
+            }
+
+            const changes = ratingService.applyMatchRatings(teamA, teamB, match);
+            await teamA.save();
+            await teamB.save();
+            return changes;
+        } catch (err) {
+            console.error('Error applying match rating:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * A team's current rating and recent rating changes
+     * @param {string} teamId - Team ID
+     * @returns {Promise<object|null>} - { rating, matches, history }
+     */
+    getRatingHistory: async function(teamId) {
+        try {
+            const team = await Team.findById(teamId)
+                .select('sport_type ratings rating_history')
+                .populate('rating_history.opponent_id', 'name')
+                .lean()
+                .exec();
+            if (!team) {
+                return null;
+            }
+
+            const sport = ratingService.normalizeSport(team.sport_type);
+            const entry = (team.ratings || []).find(r => r.sport === sport);
+            return {
+                rating: ratingService.getRating(team),
+                matches: entry ? entry.matches : 0,
+                history: ratingService.recentHistory(team).map(change => ({
+                    ...change,
+                    opponent_id: change.opponent_id?._id || change.opponent_id,
+                    opponent_name: change.opponent_id?.name || 'Unknown Team'
+                }))
+            };
+        } catch (err) {
+            console.error('Error getting rating history:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Set a member's roster role, jersey number and position
+     * @param {string} teamId - Team ID
+     * @param {string} userId - Manager or co-manager making the change
+     * @param {string} playerId - Member's player ID
+     * @param {object} update - { role, jersey_number, position }; omitted fields are left as they are
+     * @returns {Promise<object>} - The updated member
+     */
+    updateRosterEntry: async function(teamId, userId, playerId, update) {
+        try {
+            const team = await findManagedTeam(teamId, userId);
+            const result = teamRoster.applyRosterUpdate(team.members, playerId, update, {
+                isManager: team.manager_id.toString() === userId.toString()
+            });
+            if (result.error) {
+                throw new Error(result.error);
+            }
+
+            await team.save();
+            return result.member;
+        } catch (err) {
+            console.error('Error updating roster entry:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Invite a player to a team by account ID or email. An email without an
+     * account is stored and matched once the player signs up with it.
+     * @param {string} teamId - Team ID
+     * @param {string} managerId - Inviting manager's user ID
+     * @param {object} invite - { player_id, email, message, days }
+     * @returns {Promise<object>} - { team, invitation, player } where player is null for email-only invitations
+     */
+    invitePlayer: async function(teamId, managerId, invite) {
+        try {
+            const team = await findManagedTeam(teamId, managerId);
+            if (teamOwnership.isArchived(team)) {
+                throw new Error('Restore the team before inviting players');
+            }
+
+            let player = null;
+            let email = '';
+            if (invite.player_id) {
+                player = await User.findById(invite.player_id).select('first_name last_name email role').lean();
+                if (!player) {
+                    throw new Error('Player not found');
+                }
+            } else {
+                email = teamInvites.normalizeEmail(invite.email);
+                if (!email) {
+                    throw new Error('A valid email address or player ID is required');
+                }
+                player = await User.findOne({ email }).select('first_name last_name email role').lean();
+            }
+
+            if (player) {
+                if (player.role !== 'player') {
+                    throw new Error('Only player accounts can be invited to a team');
+                }
+                email = (player.email || '').toLowerCase();
+                const isMember = team.members.some(member =>
+                    member.player_id.toString() === player._id.toString() && member.status === 'active');
+                if (isMember) {
+                    throw new Error('This player is already a member of the team');
+                }
+            }
+
+            const now = new Date();
+            const alreadyInvited = team.invitations.some(invitation =>
+                teamInvites.invitationStatus(invitation, now) === 'pending' &&
+                ((player && invitation.player_id && invitation.player_id.toString() === player._id.toString()) ||
+                    (email && invitation.email === email)));
+            if (alreadyInvited) {
+                throw new Error('This player already has a pending invitation to the team');
+            }
+
+            team.invitations.push({
+                player_id: player ? player._id : null,
+                email,
+                invited_by: managerId,
+                message: invite.message || '',
+                created_at: now,
+                expires_at: teamInvites.addHours(now, invite.days * 24),
+                status: 'pending'
+            });
+            await team.save();
+
+            return { team, invitation: team.invitations[team.invitations.length - 1], player };
+        } catch (err) {
+            console.error('Error inviting player:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Create a shareable invite link for a team
+     * @param {string} teamId - Team ID
+     * @param {string} managerId - Manager's user ID
+     * @param {object} options - { hours, maxUses }
+     * @returns {Promise<object>} - The new invite link
+     */
+    createInviteLink: async function(teamId, managerId, options) {
+        try {
+            const team = await findManagedTeam(teamId, managerId);
+            if (teamOwnership.isArchived(team)) {
+                throw new Error('Restore the team before inviting players');
+            }
+
+            let code = teamInvites.generateInviteCode();
+            while (await Team.exists({ 'invite_links.code': code })) {
+                code = teamInvites.generateInviteCode();
+            }
+
+            const now = new Date();
+            team.invite_links.push({
+                code,
+                created_by: managerId,
+                created_at: now,
+                expires_at: teamInvites.addHours(now, options.hours),
+                max_uses: options.maxUses,
+                uses: 0,
+                used_by: [],
+                revoked: false
+            });
+            await team.save();
+
+            return team.invite_links[team.invite_links.length - 1];
+        } catch (err) {
+            console.error('Error creating invite link:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Invitations and invite links of a team, for its manager
+     * @param {string} teamId - Team ID
+     * @param {string} managerId - Manager's user ID
+     * @returns {Promise<object>} - { invitations, invite_links }
+     */
+    getTeamInvitations: async function(teamId, managerId) {
+        try {
+            const team = await findManagedTeam(teamId, managerId);
+            const now = new Date();
+
+            const playerIds = team.invitations.filter(i => i.player_id).map(i => i.player_id);
+            const players = playerIds.length > 0
+                ? await User.find({ _id: { $in: playerIds } }).select('first_name last_name email').lean()
+                : [];
+            const playerMap = Object.fromEntries(players.map(p => [p._id.toString(), p]));
+
+            return {
+                invitations: team.invitations
+                    .map(invitation => {
+                        const player = invitation.player_id ? playerMap[invitation.player_id.toString()] : null;
+                        return {
+                            _id: invitation._id,
+                            player_id: invitation.player_id,
+                            player_name: player ? `${player.first_name} ${player.last_name}`.trim() : null,
+                            email: invitation.email,
+                            message: invitation.message,
+                            created_at: invitation.created_at,
+                            expires_at: invitation.expires_at,
+                            responded_at: invitation.responded_at,
+                            status: teamInvites.invitationStatus(invitation, now)
+                        };
+                    })
+                    .reverse(),
+                invite_links: team.invite_links
+                    .map(link => ({
+                        _id: link._id,
+                        code: link.code,
+                        created_at: link.created_at,
+                        expires_at: link.expires_at,
+                        max_uses: link.max_uses,
+                        uses: link.uses,
+                        revoked: link.revoked,
+                        unavailable_reason: teamInvites.linkUnavailableReason(link, now)
+                    }))
+                    .reverse()
+            };
+        } catch (err) {
+            console.error('Error getting team invitations:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Revoke a pending invitation
+     * @param {string} teamId - Team ID
+     * @param {string} managerId - Manager's user ID
+     * @param {string} invitationId - Invitation ID
+     * @returns {Promise<object>} - The revoked invitation
+     */
+    revokeInvitation: async function(teamId, managerId, invitationId) {
+        try {
+            const team = await findManagedTeam(teamId, managerId);
+            const invitation = team.invitations.id(invitationId);
+            if (!invitation) {
+                throw new Error('Invitation not found');
+            }
+            if (invitation.status !== 'pending') {
+                throw new Error(`This invitation has already been ${invitation.status}`);
+            }
+
+            invitation.status = 'revoked';
+            invitation.responded_at = new Date();
+            await team.save();
+            return invitation;
+        } catch (err) {
+            console.error('Error revoking invitation:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Revoke an invite link so its code can no longer be redeemed
+     * @param {string} teamId - Team ID
+     * @param {string} managerId - Manager's user ID
+     * @param {string} linkId - Invite link ID
+     * @returns {Promise<object>} - The revoked link
+     */
+    revokeInviteLink: async function(teamId, managerId, linkId) {
+        try {
+            const team = await findManagedTeam(teamId, managerId);
+            const link = team.invite_links.id(linkId);
+            if (!link) {
+                throw new Error('Invite link not found');
+            }
+
+            link.revoked = true;
+            await team.save();
+            return link;
+        } catch (err) {
+            console.error('Error revoking invite link:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Pending, unexpired invitations for a player, matched by account or email
+     * @param {string} playerId - Player ID
+     * @param {string} email - Player's email
+     * @returns {Promise<Array>} - Promise resolving to the invitations with their teams
+     */
+    getPlayerInvitations: async function(playerId, email) {
+        try {
+            const now = new Date();
+            const recipient = [{ player_id: playerId }];
+            const normalizedEmail = teamInvites.normalizeEmail(email);
+            if (normalizedEmail) {
+                recipient.push({ email: normalizedEmail });
+            }
+
+            const teams = await Team.find({
+                invitations: {
+                    $elemMatch: { status: 'pending', expires_at: { $gt: now }, $or: recipient }
+                }
+            })
+                .select('name sport_type manager_id members invitations')
+                .populate('manager_id', 'first_name last_name')
+                .lean()
+                .exec();
+
+            const isForPlayer = invitation =>
+                (invitation.player_id && invitation.player_id.toString() === playerId.toString()) ||
+                (normalizedEmail && invitation.email === normalizedEmail);
+
+            return teams.flatMap(team => team.invitations
+                .filter(invitation => isForPlayer(invitation) &&
+                    teamInvites.invitationStatus(invitation, now) === 'pending')
+                .map(invitation => ({
+                    _id: invitation._id,
+                    message: invitation.message,
+                    created_at: invitation.created_at,
+                    expires_at: invitation.expires_at,
+                    team: {
+                        _id: team._id,
+                        name: team.name,
+                        sport_type: team.sport_type,
+                        member_count: team.members.filter(m => m.status === 'active').length,
+                        manager_name: team.manager_id
+                            ? `${team.manager_id.first_name} ${team.manager_id.last_name}`.trim()
+                            : 'Team Manager'
+                    }
+                })));
+        } catch (err) {
+            console.error('Error getting player invitations:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Accept or decline an invitation. Accepting adds the player to the team.
+     * @param {string} invitationId - Invitation ID
+     * @param {object} player - { _id, email } of the responding player
+     * @param {boolean} accept - Whether the invitation is accepted
+     * @returns {Promise<object>} - The team
+     */
+    respondToInvitation: async function(invitationId, player, accept) {
+        try {
+            const team = await Team.findOne({ 'invitations._id': invitationId }).exec();
+            const invitation = team ? team.invitations.id(invitationId) : null;
+            const email = teamInvites.normalizeEmail(player.email);
+            const isForPlayer = invitation &&
+                ((invitation.player_id && invitation.player_id.toString() === player._id.toString()) ||
+                    (!invitation.player_id && email && invitation.email === email));
+            if (!isForPlayer) {
+                throw new Error('Invitation not found');
+            }
+
+            const status = teamInvites.invitationStatus(invitation);
+            if (status !== 'pending') {
+                throw new Error(`This invitation is no longer valid (${status})`);
+            }
+
+            if (accept) {
+                addInvitedMember(team, player._id);
+            }
+            invitation.player_id = player._id;
+            invitation.status = accept ? 'accepted' : 'declined';
+            invitation.responded_at = new Date();
+            await team.save();
+
+            return team;
+        } catch (err) {
+            console.error('Error responding to invitation:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Look up the team behind an invite code
+     * @param {string} code - Invite code
+     * @returns {Promise<object>} - { team, unavailable_reason }
+     */
+    getInviteLinkTeam: async function(code) {
+        try {
+            const normalizedCode = teamInvites.normalizeInviteCode(code);
+            const team = await Team.findOne({ 'invite_links.code': normalizedCode })
+                .select('name sport_type description manager_id max_members members invite_links')
+                .populate('manager_id', 'first_name last_name')
+                .lean()
+                .exec();
+            if (!team) {
+                throw new Error('This invite code is not valid');
+            }
+
+            const link = team.invite_links.find(l => l.code === normalizedCode);
+            return {
+                team: {
+                    _id: team._id,
+                    name: team.name,
+                    sport_type: team.sport_type,
+                    description: team.description || '',
+                    member_count: team.members.filter(m => m.status === 'active').length,
+                    max_members: team.max_members || 0,
+                    manager_name: team.manager_id
+                        ? `${team.manager_id.first_name} ${team.manager_id.last_name}`.trim()
+                        : 'Team Manager'
+                },
+                expires_at: link.expires_at,
+                unavailable_reason: teamInvites.linkUnavailableReason(link)
+            };
+        } catch (err) {
+            console.error('Error getting invite link:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Join a team through an invite code
+     * @param {string} code - Invite code
+     * @param {string} playerId - Player ID
+     * @returns {Promise<object>} - The team joined
+     */
+    redeemInviteCode: async function(code, playerId) {
+        try {
+            const normalizedCode = teamInvites.normalizeInviteCode(code);
+            const team = await Team.findOne({ 'invite_links.code': normalizedCode }).exec();
+            const link = team ? team.invite_links.find(l => l.code === normalizedCode) : null;
+
+            const reason = teamInvites.linkUnavailableReason(link);
+            if (reason) {
+                throw new Error(reason);
+            }
+
+            addInvitedMember(team, playerId);
+            link.uses += 1;
+            link.used_by.push({ player_id: playerId, at: new Date() });
+            await team.save();
+
+            return team;
+        } catch (err) {
+            console.error('Error redeeming invite code:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Recruitment postings of a team, newest first
+     * @param {string} teamId - Team ID
+     * @param {string} userId - Manager's or co-manager's user ID
+     * @returns {Promise<Array>} - Postings
+     */
+    getRecruitmentPostings: async function(teamId, userId) {
+        try {
+            const team = await findManagedTeam(teamId, userId);
+            return team.recruitment_postings
+                .map(posting => postingView(team, posting))
+                .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+        } catch (err) {
+            console.error('Error getting recruitment postings:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Publish a recruitment posting for a team
+     * @param {string} teamId - Team ID
+     * @param {string} userId - Manager's or co-manager's user ID
+     * @param {object} posting - Validated posting fields
+     * @returns {Promise<object>} - The new posting
+     */
+    createRecruitmentPosting: async function(teamId, userId, posting) {
+        try {
+            const team = await findManagedTeam(teamId, userId);
+            if (teamOwnership.isArchived(team)) {
+                throw new Error('Restore the team before recruiting players');
+            }
+            const openPostings = team.recruitment_postings.filter(p => p.status === 'open').length;
+            if (openPostings >= recruitment.MAX_OPEN_POSTINGS) {
+                throw new Error(`A team can have at most ${recruitment.MAX_OPEN_POSTINGS} open postings. Close one first.`);
+            }
+
+            team.recruitment_postings.push({
+                ...posting,
+                status: 'open',
+                created_by: userId,
+                created_at: new Date()
+            });
+            await team.save();
+
+            return postingView(team, team.recruitment_postings[team.recruitment_postings.length - 1]);
+        } catch (err) {
+            console.error('Error creating recruitment posting:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Edit a recruitment posting
+     * @param {string} teamId - Team ID
+     * @param {string} userId - Manager's or co-manager's user ID
+     * @param {string} postingId - Posting ID
+     * @param {object} update - Validated posting fields
+     * @returns {Promise<object>} - The updated posting
+     */
+    updateRecruitmentPosting: async function(teamId, userId, postingId, update) {
+        try {
+            const team = await findManagedTeam(teamId, userId);
+            const posting = findPosting(team, postingId);
+            Object.assign(posting, update, { updated_at: new Date() });
+            await team.save();
+
+            return postingView(team, posting);
+        } catch (err) {
+            console.error('Error updating recruitment posting:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Close a posting once the team has found its players, or open it again
+     * @param {string} teamId - Team ID
+     * @param {string} userId - Manager's or co-manager's user ID
+     * @param {string} postingId - Posting ID
+     * @param {string} status - open or closed
+     * @returns {Promise<object>} - The updated posting
+     */
+    setRecruitmentPostingStatus: async function(teamId, userId, postingId, status) {
+        try {
+            const team = await findManagedTeam(teamId, userId);
+            const posting = findPosting(team, postingId);
+            if (status === 'open') {
+                if (teamOwnership.isArchived(team)) {
+                    throw new Error('Restore the team before recruiting players');
+                }
+                const openPostings = team.recruitment_postings.filter(p => p.status === 'open').length;
+                if (posting.status !== 'open' && openPostings >= recruitment.MAX_OPEN_POSTINGS) {
+                    throw new Error(`A team can have at most ${recruitment.MAX_OPEN_POSTINGS} open postings. Close one first.`);
+                }
+            }
+
+            posting.status = status;
+            posting.closed_at = status === 'closed' ? new Date() : null;
+            await team.save();
+
+            return postingView(team, posting);
+        } catch (err) {
+            console.error('Error changing recruitment posting status:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Free agents ranked against one of a team's postings. Players already
+     * playing for a team in the sport are left out, since they could not join.
+     * @param {string} teamId - Team ID
+     * @param {string} userId - Manager's or co-manager's user ID
+     * @param {string} postingId - Posting ID
+     * @returns {Promise<object>} - { posting, candidates }
+     */
+    getPostingCandidates: async function(teamId, userId, postingId) {
+        try {
+            const PlayerProfile = require('./schemas/playerProfileSchema');
+            const team = await findManagedTeam(teamId, userId);
+            const posting = postingView(team, findPosting(team, postingId));
+
+            const sport = recruitment.sportQuery(team.sport_type);
+            const profiles = await PlayerProfile.find({
+                'free_agent.listed': true,
+                $or: [
+                    { 'free_agent.sport': sport },
+                    // Listings saved before profiles were multi-sport
+                    { 'free_agent.sport': { $in: [null, ''] }, sport }
+                ]
+            })
+                .populate('user_id', 'first_name last_name profile_image role')
+                .lean();
+            const listed = profiles.filter(profile => profile.user_id && profile.user_id.role === 'player');
+
+            const sportTeams = await Team.find({
+                sport_type: team.sport_type,
+                archived_at: null,
+                'members.player_id': { $in: listed.map(profile => profile.user_id._id) }
+            }).select('members').lean();
+            const taken = new Set();
+            sportTeams.forEach(sportTeam => sportTeam.members.forEach(member => {
+                if (member.status === 'active') taken.add(member.player_id.toString());
+            }));
+
+            const now = new Date();
+            const invited = new Set(team.invitations
+                .filter(invitation => invitation.player_id && teamInvites.invitationStatus(invitation, now) === 'pending')
+                .map(invitation => invitation.player_id.toString()));
+            const requested = new Set(team.join_requests
+                .filter(request => request.status === 'pending')
+                .map(request => request.player_id.toString()));
+
+            const agents = listed
+                .filter(profile => !taken.has(profile.user_id._id.toString()))
+                .map(profile => {
+                    const playerId = profile.user_id._id.toString();
+                    const entry = profileSports.findSportEntry(profile, team.sport_type) || {};
+                    return {
+                        player_id: profile.user_id._id,
+                        first_name: profile.user_id.first_name,
+                        last_name: profile.user_id.last_name,
+                        profile_image: profile.user_id.profile_image || null,
+                        sport: entry.sport || team.sport_type,
+                        position: entry.position || '',
+                        skill_level: entry.skill_level || '',
+                        years_experience: entry.years_experience || 0,
+                        area: profile.free_agent.area || '',
+                        schedule: profile.free_agent.schedule || '',
+                        note: profile.free_agent.note || '',
+                        listed_at: profile.free_agent.listed_at || null,
+                        invited: invited.has(playerId),
+                        requested: requested.has(playerId)
+                    };
+                });
+
+            return { posting, candidates: recruitment.rankFreeAgents(posting, agents) };
+        } catch (err) {
+            console.error('Error getting posting candidates:', err);
+            throw err;
+        }
+    },
+
+    /**
+     * Open recruitment postings ranked against a player's free-agent profile
+     * @param {string} playerId - Player ID
+     * @returns {Promise<object>} - { profile, current_team, postings }; postings is empty without a profile
+     */
+    getRecruitmentMatches: async function(playerId) {
+        try {
+            const PlayerProfile = require('./schemas/playerProfileSchema');
+            const profile = await PlayerProfile.findOne({ user_id: playerId }).lean();
+            const entries = profileSports.getSportEntries(profile);
+            // Postings are matched in the sport the player is listed for
+            const entry = (profile && profile.free_agent && profile.free_agent.sport
+                ? profileSports.findSportEntry(profile, profile.free_agent.sport)
+                : entries[0]) || null;
+            if (!entry) {
+                return { profile: null, current_team: null, postings: [] };
+            }
+
+            const agent = {
+                sport: entry.sport,
+                position: entry.position || '',
+                skill_level: profileSports.normalizeSkillLevel(entry.skill_level),
+                area: (profile.free_agent && profile.free_agent.area) || '',
+                schedule: (profile.free_agent && profile.free_agent.schedule) || ''
+            };
+
+            // A player on a team in the sport can see postings but not ask to join
+            const sportTeam = await Team.findOne({
+                sport_type: recruitment.sportQuery(agent.sport),
+                archived_at: null,
+                members: { $elemMatch: { player_id: playerId, status: 'active' } }
+            }).select('name').lean();
+
+            const teams = await Team.find({
+                sport_type: recruitment.sportQuery(agent.sport),
+                archived_at: null,
+                'recruitment_postings.status': 'open'
+            }).select('name sport_type rating max_members members join_requests recruitment_postings').exec();
+
+            const postings = [];
+            teams
+                .filter(team => !sportTeam || team._id.toString() !== sportTeam._id.toString())
+                .forEach(team => {
+                    const request = team.join_requests.find(r => r.player_id.toString() === playerId.toString());
+                    team.recruitment_postings
+                        .filter(posting => posting.status === 'open')
+                        .forEach(posting => postings.push({
+                            ...postingView(team, posting),
+                            team_id: team._id,
+                            team_name: team.name,
+                            rating: team.rating ?? ratingService.DEFAULT_RATING,
+                            current_members: team.members.filter(member => member.status === 'active').length,
+                            max_members: team.max_members,
+                            request_status: request ? request.status : null
+                        }));
+                });
+
+            return {
+                profile: { sport: agent.sport, position: agent.position, skill_level: agent.skill_level },
+                current_team: sportTeam ? { _id: sportTeam._id, name: sportTeam.name } : null,
+                postings: recruitment.rankPostings(agent, postings)
+            };
+        } catch (err) {
+            console.error('Error getting recruitment matches:', err);
+            throw err;
+        }
     }
 }; 
\ No newline at end of file
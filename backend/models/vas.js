@@ -5,6 +5,28 @@
  */
 
 const VAS = require('./schemas/vasSchema');
+const User = require('./schemas/userSchema');
+
+/**
+ * Mirror a premium profile purchase onto the user's premiumProfile, which
+ * the profile features (verified badge, portfolio) read from
+ */
+async function syncPremiumProfile(userId, purchase) {
+  const active = purchase.status === 'active';
+  const update = { 'premiumProfile.isActive': active };
+  if (active) {
+    update['premiumProfile.activatedAt'] = purchase.startDate || new Date();
+    update['premiumProfile.expiresAt'] = purchase.endDate || null;
+    update['premiumProfile.features.verifiedBadge'] = true;
+    update['premiumProfile.features.portfolio'] = true;
+    update['premiumProfile.features.videoHighlights'] = true;
+    update['premiumProfile.features.priorityNotifications'] = true;
+  } else {
+    // A cancelled profile no longer shows the career publicly
+    update['premiumProfile.portfolio.publishCareer'] = false;
+  }
+  await User.updateOne({ _id: userId }, { $set: update });
+}
 
 /**
  * Create a new VAS purchase
@@ -263,6 +285,10 @@ async function purchasePremiumProfile(userId) {
       }
     });
     
+    if (purchase.success) {
+      await syncPremiumProfile(userId, purchase.purchase);
+    }
+    
     return purchase;
   } catch (error) {
     return {
@@ -382,6 +408,10 @@ async function cancelVASPurchase(purchaseId, userId) {
     purchase.autoRenew = false;
     await purchase.save();
     
+    if (purchase.serviceType === 'premium_profile') {
+      await syncPremiumProfile(userId, purchase);
+    }
+    
     // Calculate refund if applicable (prorated for subscriptions)
     let refundAmount = 0;
     if (purchase.subscriptionPeriod !== 'one_time' && purchase.endDate) {
@@ -1499,34 +1499,28 @@ router.delete('/users/player/:id', async (req, res) => {
   }
 });
 
-// Add routes for team and event deletion
+// Add routes for team and event deletion. Teams are archived rather than
+// removed so matches and standings that refer to them keep working.
 router.delete('/teams/:id', async (req, res) => {
   const teamId = req.params.id;
 
-  console.log(`Attempting to delete team with ID: ${teamId}`);
+  console.log(`Attempting to archive team with ID: ${teamId}`);
 
   try {
     // Check if team exists first
     const teamExists = await mongoose.model('Team').findById(teamId);
-    if (!teamExists) {
-      console.error(`Team with ID ${teamId} not found in database`);
-      return res.status(404).json({ success: false, message: 'Team not found or already deleted' });
+    if (!teamExists || teamExists.archived_at) {
+      console.error(`Team with ID ${teamId} not found or already archived`);
+      return res.status(404).json({ success: false, message: 'Team not found or already archived' });
     }
 
     console.log(`Team found in database: ${teamExists.name} (${teamExists.sport_type})`);
 
-    // Use the Team model to delete the team
-    const result = await Team.deleteTeam(teamId);
+    await Team.archiveTeam(teamId, req.session.user._id, { asAdmin: true });
 
-    if (!result) {
-      console.error(`Delete operation returned falsy result for team ${teamId}`);
-      return res.status(404).json({ success: false, message: 'Team not found or already deleted' });
-    }
-
-    console.log(`Team ${teamId} deleted successfully`);
+    console.log(`Team ${teamId} archived successfully`);
 
-    // Successfully deleted
-    return res.json({ success: true, message: 'Team deleted successfully' });
+    return res.json({ success: true, message: 'Team archived successfully' });
   } catch (error) {
     console.error(`Error in delete team route for ID ${teamId}:`, error);
     return res.status(500).json({ success: false, message: 'Server error occurred' });
@@ -2133,7 +2127,14 @@ router.get('/commissions/overview', async (req, res) => {
   try {
     const [overviewAgg, eligible] = await Promise.all([
       CommissionSchema.aggregate([
-        { $group: { _id: '$status', count: { $sum: 1 }, totalCommission: { $sum: '$commissionAmount' } } }
+        {
+          $group: {
+            _id: '$status',
+            count: { $sum: 1 },
+            totalCommission: { $sum: '$commissionAmount' },
+            totalRefunded: { $sum: { $ifNull: ['$refundedAmount', 0] } }
+          }
+        }
       ]),
       CommissionSchema.find({ status: { $in: ['pending', 'approved'] } })
         .populate('organizer', 'first_name last_name email').lean()
@@ -2148,6 +2149,7 @@ router.get('/commissions/overview', async (req, res) => {
           organizer: c.organizer,
           commissionAmount: c.commissionAmount,
           totalRevenue: c.totalRevenue,
+          refundedAmount: c.refundedAmount || 0,
           status: c.status,
           event: c.event
         }))
@@ -2380,6 +2382,25 @@ router.get('/financial-overview', async (req, res) => {
     const totalCommission = commAgg.reduce((s, c) => s + (c.totalCommission || 0), 0);
     const pendingCount = commAgg.find(c => c._id === 'pending')?.count || 0;
 
+    // Entry fees refunded to payers (see services/refundService.js)
+    const [refundAgg, recentRefunds] = await Promise.all([
+      CommissionSchema.aggregate([
+        { $match: { refundedAmount: { $gt: 0 } } },
+        {
+          $group: {
+            _id: null,
+            totalRefunded: { $sum: '$refundedAmount' },
+            count: { $sum: 1 },
+            cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } }
+          }
+        }
+      ]),
+      CommissionSchema.find({ refundedAmount: { $gt: 0 } })
+        .sort({ refundedAt: -1 }).limit(10)
+        .populate('event', 'title')
+        .populate('organizer', 'first_name last_name').lean()
+    ]);
+
     // Revenue chart data (last 6 months)
     const sixMonthsAgo = new Date(); sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
     const [subTrend, vasTrend] = await Promise.all([
@@ -2408,6 +2429,19 @@ router.get('/financial-overview', async (req, res) => {
         subscription: { monthlyRevenue: Math.round(subRevAgg[0]?.monthlyRevenue || 0), total: subRevAgg[0]?.total || 0 },
         vas: { totalRevenue: vasRevAgg[0]?.totalRevenue || 0, count: vasRevAgg[0]?.count || 0 },
         commission: { totalCommission, pendingCount },
+        refunds: {
+          totalRefunded: refundAgg[0]?.totalRefunded || 0,
+          count: refundAgg[0]?.count || 0,
+          fullyRefunded: refundAgg[0]?.cancelled || 0,
+          recent: recentRefunds.map(c => ({
+            _id: c._id,
+            event: c.event?.title || 'Deleted event',
+            organizer: c.organizer ? `${c.organizer.first_name || ''} ${c.organizer.last_name || ''}`.trim() : 'Unknown',
+            refundedAmount: c.refundedAmount,
+            retainedRevenue: c.totalRevenue,
+            refundedAt: c.refundedAt
+          }))
+        },
         ordersByStatus: orderStatusAgg,
         charts: {
           revenueByMonth: revenueChart, orderStatus: orderStatusAgg, revenueMix: [
@@ -8,7 +8,7 @@ const { processEventRegistrationPayment, getRegistrationCommissionBreakdown } =
  * /api/events/{eventId}/register-and-pay:
  *   post:
  *     summary: Register and pay for an event
- *     description: Starts event registration payment flow for the authenticated user.
+ *     description: Starts event registration payment flow for the authenticated user. With paymentMethod `split` the team's manager splits the entry fee across the active roster; the registration is confirmed once every player has paid their share from their wallet, or released at the due date.
  *     tags: [General]
  *     security:
  *       - sessionAuth: []
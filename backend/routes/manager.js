@@ -7,22 +7,50 @@ const { uploadProfileImage, uploadPhoto } = require('../middleware/uploadCloudin
 const { searchEvents } = require('../services/searchService');
 const cacheMiddleware = require('../middleware/cacheMiddleware');
 const { invalidateCacheByPrefixes } = require('../utils/cacheInvalidation');
+const teamInvites = require('../services/teamInviteService');
+const { sendTeamInvitationEmail, sendTeamTransferEmail } = require('../utils/emailService');
+const { canManageTeam } = require('../services/teamRosterService');
+const squads = require('../services/squadService');
+const recruitment = require('../services/recruitmentService');
+const waitlists = require('../services/waitlistService');
+const refunds = require('../services/refundService');
+const pricing = require('../services/pricingService');
+const splits = require('../services/splitPaymentService');
 
-// Middleware to check if user is logged in as manager
-function isManager(req, res, next) {
-    if (req.session.user && req.session.user.role === 'manager') {
-        next();
-    } else {
-        // Check if this is an API request (expects JSON response)
-        if (req.xhr || req.headers.accept?.indexOf('json') > -1 || req.path.startsWith('/api/')) {
-            return res.status(401).json({
-                success: false,
-                message: 'Authentication required. Please log in as a manager.'
+// Team and match routes a co-manager can use. Each of them checks that the
+// user manages the team in question.
+const CO_MANAGER_PATHS = /^\/(team\/[^/]+(\/(approve-request|reject-request|remove-member|invitations|invite-links|recruitment|roster|match|matches|analytics|scheduled-matches|availability)(\/.*)?)?|match\/[^/]+\/(stat-sheet|record-result))$/;
+
+// Middleware to check if user is logged in as manager, or as a player who
+// co-manages a team and is using one of the team's manager routes
+async function isManager(req, res, next) {
+    const user = req.session.user;
+    if (user && user.role === 'manager') {
+        return next();
+    }
+
+    if (user && user.role === 'player' && CO_MANAGER_PATHS.test(req.path)) {
+        try {
+            const coManager = await TeamSchema.exists({
+                members: { $elemMatch: { player_id: user._id, role: 'co_manager', status: 'active' } }
             });
+            if (coManager) {
+                return next();
+            }
+        } catch (err) {
+            console.error('Error checking co-manager access:', err);
         }
-        // For browser requests, redirect to login
-        res.redirect('/login');
     }
+
+    // Check if this is an API request (expects JSON response)
+    if (req.xhr || req.headers.accept?.indexOf('json') > -1 || req.path.startsWith('/api/')) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required. Please log in as a manager.'
+        });
+    }
+    // For browser requests, redirect to login
+    res.redirect('/login');
 }
 
 // Apply isManager middleware to all routes
@@ -215,46 +243,173 @@ router.use(isManager);
  *       200:
  *         description: Join request rejected
  *
- * /api/manager/browse-events:
+ * /api/manager/team/{teamId}/invitations:
  *   get:
- *     summary: Browse available events for registration
+ *     summary: List a team's invitations and invite links
  *     tags: [Manager]
  *     security:
  *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: Events returned
+ *         description: Invitations and invite links returned
+ *   post:
+ *     summary: Invite a player to the team by email or player ID
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *               player_id:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *               expires_in_days:
+ *                 type: integer
+ *                 default: 7
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: Invalid invitation
  *
- * /api/manager/event/{id}/register:
+ * /api/manager/team/{teamId}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *
+ * /api/manager/team/{teamId}/invite-links:
  *   post:
- *     summary: Register manager team in event
+ *     summary: Create a shareable invite link with an expiry and usage limit
  *     tags: [Manager]
  *     security:
  *       - sessionAuth: []
  *       - csrfToken: []
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expires_in_hours:
+ *                 type: integer
+ *                 default: 72
+ *               max_uses:
+ *                 type: integer
+ *                 default: 1
+ *     responses:
+ *       201:
+ *         description: Invite link created
+ *
+ * /api/manager/team/{teamId}/invite-links/{linkId}:
+ *   delete:
+ *     summary: Revoke an invite link
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: linkId
  *         required: true
  *         schema:
  *           type: string
  *     responses:
  *       200:
- *         description: Registration completed
+ *         description: Invite link revoked
  *
- * /api/manager/my-events:
- *   get:
- *     summary: Get events where manager teams are registered
+ * /api/manager/team/{teamId}/roster/{playerId}:
+ *   put:
+ *     summary: Set a member's role, jersey number and position
+ *     description: Roles are captain, vice_captain, player and co_manager. Only the team manager can appoint or remove co-managers; co-managers can use the team's manager routes.
  *     tags: [Manager]
  *     security:
  *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: playerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [captain, vice_captain, player, co_manager]
+ *               jersey_number:
+ *                 type: integer
+ *                 nullable: true
+ *               position:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Registered events returned
+ *         description: Roster updated
+ *       400:
+ *         description: Invalid role, duplicate jersey number or not allowed
  *
- * /api/manager/team/{teamId}/matches:
+ * /api/manager/team/{teamId}/availability:
  *   get:
- *     summary: Get matches for team
+ *     summary: Availability poll summary for the team's upcoming matches
+ *     description: Counts answers from the players in each match's squad and flags matches where confirmed players are below the sport's minimum lineup.
  *     tags: [Manager]
  *     security:
  *       - sessionAuth: []
@@ -266,11 +421,12 @@ router.use(isManager);
  *           type: string
  *     responses:
  *       200:
- *         description: Team matches returned
+ *         description: Availability summaries returned, soonest match first
  *
- * /api/manager/team/{teamId}/match/record:
+ * /api/manager/team/{teamId}/archive:
  *   post:
- *     summary: Record a match result for team
+ *     summary: Archive a team instead of deleting it
+ *     description: Archived teams keep their match history but are hidden from browsing and search and closed to new players. Only the team manager can archive, and not while the team has scheduled or live matches.
  *     tags: [Manager]
  *     security:
  *       - sessionAuth: []
@@ -283,11 +439,13 @@ router.use(isManager);
  *           type: string
  *     responses:
  *       200:
- *         description: Match result recorded
+ *         description: Team archived
+ *       400:
+ *         description: Not the manager, already archived or matches still open
  *
- * /api/manager/team/{teamId}/match/{matchId}:
- *   put:
- *     summary: Update recorded match result
+ * /api/manager/team/{teamId}/restore:
+ *   post:
+ *     summary: Restore an archived team
  *     tags: [Manager]
  *     security:
  *       - sessionAuth: []
@@ -298,16 +456,72 @@ router.use(isManager);
  *         required: true
  *         schema:
  *           type: string
+ *     responses:
+ *       200:
+ *         description: Team restored
+ *       400:
+ *         description: Not archived, or a player has joined another team in the sport
+ *
+ * /api/manager/team/{teamId}/transfer:
+ *   post:
+ *     summary: Offer the team to another manager
+ *     description: The recipient must accept within a week before the team changes hands.
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
  *       - in: path
- *         name: matchId
+ *         name: teamId
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *               message:
+ *                 type: string
  *     responses:
- *       200:
- *         description: Match updated
+ *       201:
+ *         description: Transfer requested
+ *       400:
+ *         description: Invalid recipient or a transfer is already pending
  *   delete:
- *     summary: Delete recorded match result
+ *     summary: Cancel the team's pending ownership transfer
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transfer cancelled
+ *
+ * /api/manager/team-transfers:
+ *   get:
+ *     summary: Ownership transfers offered to the current manager
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending transfers returned
+ *
+ * /api/manager/team-transfers/{teamId}/{action}:
+ *   post:
+ *     summary: Accept or decline an ownership transfer
  *     tags: [Manager]
  *     security:
  *       - sessionAuth: []
@@ -319,89 +533,669 @@ router.use(isManager);
  *         schema:
  *           type: string
  *       - in: path
- *         name: matchId
+ *         name: action
  *         required: true
  *         schema:
  *           type: string
+ *           enum: [accept, decline]
  *     responses:
  *       200:
- *         description: Match deleted
+ *         description: Transfer accepted or declined
+ *       400:
+ *         description: Transfer not found or expired
  *
- * /api/manager/pending-matches:
+ * /api/manager/team/{teamId}/recruitment:
  *   get:
- *     summary: Get pending match result approvals for manager
+ *     summary: List a team's recruitment postings
  *     tags: [Manager]
  *     security:
  *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: Pending matches returned
- */
-
-function resolveUploadedImagePath(file) {
-    if (!file) return null;
-    if (file.secure_url) return file.secure_url;
-    if (file.path && /^https?:\/\//i.test(String(file.path))) return file.path;
-    if (file.filename) return `/uploads/profile/${file.filename}`;
-    return null;
-}
-
-// Manager dashboard
-router.get('/', cacheMiddleware(30), async (req, res) => {
-    try {
-        // Get teams managed by this user
-        const teams = await Team.getTeamsByManager(req.session.user._id);
-        
-        // Count total players across all teams
-        let playerCount = 0;
-        // Calculate total wins, losses, and draws
-        let totalWins = 0;
-        let totalLosses = 0;
-        let totalDraws = 0;
-        
-        teams.forEach(team => {
-            playerCount += team.members ? team.members.length : 0;
-            totalWins += team.wins || 0;
-            totalLosses += team.losses || 0;
-            totalDraws += team.draws || 0;
-        });
-        
-        // Count pending join requests across all teams
-        let pendingRequestCount = 0;
-        teams.forEach(team => {
-            if (team.join_requests) {
-                const pending = team.join_requests.filter(req => req.status === 'pending');
-                pendingRequestCount += pending.length;
-            }
-        });
-        
-        // Get upcoming events that the manager's teams are registered for
-        let registeredEvents = [];
-        try {
-            const Event = require('../models/event');
-            registeredEvents = await Event.getManagerEvents(req.session.user._id);
-        } catch (error) {
-            console.error('Error fetching registered events:', error);
-        }
-        
-        // Get the first upcoming event if available
-        let upcomingEvent = null;
-        if (registeredEvents && registeredEvents.length > 0) {
-            upcomingEvent = registeredEvents[0];
-        }
-        
-        // Create recent activities list
-        let recentActivities = [];
-        
-        // Add team creation activities
-        teams.forEach(team => {
-            recentActivities.push({
-                date: team.created_at,
-                description: `You created the team "${team.name}"`
-            });
-            
-            // Add team member join activities if available
-            if (team.members && team.members.length > 0) {
+ *         description: Postings returned, newest first
+ *   post:
+ *     summary: Publish a recruitment posting for the team
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               positions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               skill_level:
+ *                 type: string
+ *                 enum: [beginner, intermediate, advanced, competitive]
+ *               area:
+ *                 type: string
+ *               schedule:
+ *                 type: string
+ *                 example: Weekday evenings, Saturday mornings
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Posting published
+ *       400:
+ *         description: Invalid posting, archived team or too many open postings
+ *
+ * /api/manager/team/{teamId}/recruitment/{postingId}:
+ *   put:
+ *     summary: Edit a posting, or close or reopen it with status
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: postingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [open, closed]
+ *               positions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               skill_level:
+ *                 type: string
+ *               area:
+ *                 type: string
+ *               schedule:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Posting updated
+ *       400:
+ *         description: Invalid posting
+ *
+ * /api/manager/team/{teamId}/recruitment/{postingId}/candidates:
+ *   get:
+ *     summary: Free agents ranked against a posting
+ *     description: Invite a candidate with POST /api/manager/team/{teamId}/invitations and their player_id.
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: postingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Candidates returned, best match first
+ *       400:
+ *         description: Posting not found
+ *
+ * /api/manager/browse-events:
+ *   get:
+ *     summary: Browse available events for registration
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Events returned
+ *
+ * /api/manager/event/{id}/register:
+ *   post:
+ *     summary: Register manager team in event
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [team_id]
+ *             properties:
+ *               team_id:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               squad:
+ *                 type: array
+ *                 description: Player ids; required when the event sets squad size limits
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Registration completed
+ *       400:
+ *         description: Squad does not meet the event's squad size or membership rules
+ *       409:
+ *         description: Event is full; the team can join the waitlist
+ *
+ * /api/manager/event/{id}/waitlist:
+ *   post:
+ *     summary: Join a full event's waitlist
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [team_id]
+ *             properties:
+ *               team_id:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               squad:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Team queued; returns its waitlist position
+ *       400:
+ *         description: Event still has spots, team already registered or queued, or squad invalid
+ *   delete:
+ *     summary: Leave an event's waitlist, giving up any spot on offer
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: team_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Team removed from the waitlist
+ *
+ * /api/manager/event/{id}/waitlist/accept:
+ *   post:
+ *     summary: Take the spot offered to a waitlisted team and pay the entry fee
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [team_id]
+ *             properties:
+ *               team_id:
+ *                 type: string
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [wallet, card, upi, netbanking]
+ *                 default: wallet
+ *     responses:
+ *       200:
+ *         description: Team registered for the event
+ *       400:
+ *         description: No open offer, offer expired or payment failed
+ *
+ * /api/manager/event/{id}/waitlist/decline:
+ *   post:
+ *     summary: Turn down the spot offered to a waitlisted team
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [team_id]
+ *             properties:
+ *               team_id:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Offer declined; the spot goes to the next team
+ *
+ * /api/manager/event/{id}/split-payment:
+ *   get:
+ *     summary: Show which players have paid their share of a split entry fee
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: team_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Split progress and each player's share
+ *       404:
+ *         description: The team's entry fee is not split
+ *
+ * /api/manager/event/{id}/split-payment/remind:
+ *   post:
+ *     summary: Email players who haven't paid their share of a split entry fee
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [team_id]
+ *             properties:
+ *               team_id:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Number of players reminded
+ *       400:
+ *         description: The fee is no longer being collected
+ *
+ * /api/manager/event/{id}/squad:
+ *   get:
+ *     summary: Get a team's squad for an event, with its lock state and substitution requests
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: team_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Squad returned
+ *   put:
+ *     summary: Replace a team's squad before the registration deadline
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [team_id, squad]
+ *             properties:
+ *               team_id:
+ *                 type: string
+ *               squad:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Squad updated
+ *       400:
+ *         description: Squad is locked or invalid
+ *
+ * /api/manager/event/{id}/squad/substitutions:
+ *   post:
+ *     summary: Ask the organizer to swap a player in a locked squad
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [team_id, out_player_id, in_player_id]
+ *             properties:
+ *               team_id:
+ *                 type: string
+ *               out_player_id:
+ *                 type: string
+ *               in_player_id:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Substitution requested
+ *       400:
+ *         description: Squad is not locked yet or the request is invalid
+ *
+ * /api/manager/my-events:
+ *   get:
+ *     summary: Get events where manager teams are registered
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Registered events returned
+ *
+ * /api/manager/team/{teamId}/matches:
+ *   get:
+ *     summary: Get matches for team
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Team matches returned
+ *
+ * /api/manager/team/{teamId}/match/record:
+ *   post:
+ *     summary: Record a match result for team
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Match result recorded
+ *
+ * /api/manager/team/{teamId}/match/{matchId}:
+ *   put:
+ *     summary: Update recorded match result
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Match updated
+ *   delete:
+ *     summary: Delete recorded match result
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Match deleted
+ *
+ * /api/manager/match/{matchId}/stat-sheet:
+ *   get:
+ *     summary: Get the player stat sheet for a match
+ *     description: Stat fields for the match's sport and the manager's active players
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Stat sheet returned
+ *
+ * /api/manager/match/{matchId}/record-result:
+ *   post:
+ *     summary: Record a match result with optional player stat lines
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [score_a, score_b]
+ *             properties:
+ *               score_a:
+ *                 type: number
+ *               score_b:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ *               mvp_player_id:
+ *                 type: string
+ *                 description: The submitting manager's MVP vote (a player from either team)
+ *               player_stats:
+ *                 type: array
+ *                 description: >
+ *                   One line per player. Football: goals, assists, yellow_cards, red_cards.
+ *                   Cricket: runs, balls, wickets, overs, runs_conceded. Basketball: points, rebounds, assists.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     player_id:
+ *                       type: string
+ *                     team_id:
+ *                       type: string
+ *                     stats:
+ *                       type: object
+ *     responses:
+ *       200:
+ *         description: Result recorded, awaiting organizer verification
+ *       400:
+ *         description: Invalid scores or stat lines
+ *
+ * /api/manager/pending-matches:
+ *   get:
+ *     summary: Get pending match result approvals for manager
+ *     tags: [Manager]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending matches returned
+ */
+
+function resolveUploadedImagePath(file) {
+    if (!file) return null;
+    if (file.secure_url) return file.secure_url;
+    if (file.path && /^https?:\/\//i.test(String(file.path))) return file.path;
+    if (file.filename) return `/uploads/profile/${file.filename}`;
+    return null;
+}
+
+// Manager dashboard
+router.get('/', cacheMiddleware(30), async (req, res) => {
+    try {
+        // Get teams managed by this user
+        const teams = await Team.getTeamsByManager(req.session.user._id);
+        
+        // Count total players across all teams
+        let playerCount = 0;
+        // Calculate total wins, losses, and draws
+        let totalWins = 0;
+        let totalLosses = 0;
+        let totalDraws = 0;
+        
+        teams.forEach(team => {
+            playerCount += team.members ? team.members.length : 0;
+            totalWins += team.wins || 0;
+            totalLosses += team.losses || 0;
+            totalDraws += team.draws || 0;
+        });
+        
+        // Count pending join requests across all teams
+        let pendingRequestCount = 0;
+        teams.forEach(team => {
+            if (team.join_requests) {
+                const pending = team.join_requests.filter(req => req.status === 'pending');
+                pendingRequestCount += pending.length;
+            }
+        });
+        
+        // Get upcoming events that the manager's teams are registered for
+        let registeredEvents = [];
+        try {
+            const Event = require('../models/event');
+            registeredEvents = await Event.getManagerEvents(req.session.user._id);
+        } catch (error) {
+            console.error('Error fetching registered events:', error);
+        }
+        
+        // Get the first upcoming event if available
+        let upcomingEvent = null;
+        if (registeredEvents && registeredEvents.length > 0) {
+            upcomingEvent = registeredEvents[0];
+        }
+        
+        // Create recent activities list
+        let recentActivities = [];
+        
+        // Add team creation activities
+        teams.forEach(team => {
+            recentActivities.push({
+                date: team.created_at,
+                description: `You created the team "${team.name}"`
+            });
+            
+            // Add team member join activities if available
+            if (team.members && team.members.length > 0) {
                 team.members.slice(0, 2).forEach(member => {
                     recentActivities.push({
                         date: member.joined_date,
@@ -411,31 +1205,89 @@ router.get('/', cacheMiddleware(30), async (req, res) => {
             }
         });
         
-        // Add event registration activities
-        if (registeredEvents && registeredEvents.length > 0) {
-            registeredEvents.slice(0, 2).forEach(event => {
-                recentActivities.push({
-                    date: event.registration_date || new Date(),
-                    description: `You registered "${event.team_name}" for "${event.event_name}"`
-                });
-            });
+        // Add event registration activities
+        if (registeredEvents && registeredEvents.length > 0) {
+            registeredEvents.slice(0, 2).forEach(event => {
+                recentActivities.push({
+                    date: event.registration_date || new Date(),
+                    description: `You registered "${event.team_name}" for "${event.event_name}"`
+                });
+            });
+        }
+        
+        // Sort activities by date, most recent first
+        recentActivities.sort((a, b) => new Date(b.date) - new Date(a.date));
+        
+        // Keep only the 5 most recent activities
+        recentActivities = recentActivities.slice(0, 5);
+        
+        // Return JSON for React frontend
+        res.json({
+            success: true,
+            user: {
+                id: req.session.user._id,
+                name: req.session.user.name || req.session.user.first_name,
+                email: req.session.user.email,
+                role: req.session.user.role
+            },
+            teams: teams,
+            teamCount: teams.length,
+            playerCount: playerCount,
+            eventCount: registeredEvents.length,
+            wins: totalWins,
+            losses: totalLosses,
+            draws: totalDraws,
+            pendingRequestCount: pendingRequestCount,
+            registeredEvents: registeredEvents || [],
+            upcomingEvent: upcomingEvent,
+            recentActivities: recentActivities,
+            events: registeredEvents || [],
+            totalPlayers: playerCount
+        });
+    } catch (err) {
+        console.error('Error loading manager dashboard:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load dashboard: ' + err.message
+        });
+    }
+});
+
+router.get('/dashboard', cacheMiddleware(30), async (req, res) => {
+    try {
+        // Get teams managed by this user
+        const teams = await Team.getTeamsByManager(req.session.user._id);
+        
+        // Calculate stats
+        let playerCount = 0;
+        let totalWins = 0;
+        let totalLosses = 0;
+        let totalDraws = 0;
+        
+        teams.forEach(team => {
+            playerCount += team.members ? team.members.length : 0;
+            totalWins += team.wins || 0;
+            totalLosses += team.losses || 0;
+            totalDraws += team.draws || 0;
+        });
+        
+        // Get registered events
+        let registeredEvents = [];
+        try {
+            const Event = require('../models/event');
+            const allRegistrations = await Event.getManagerEvents(req.session.user._id);
+            // Filter to only include approved or confirmed registrations
+            registeredEvents = allRegistrations.filter(reg => 
+                reg.registration_status === 'approved' || 
+                reg.registration_status === 'confirmed'
+            );
+        } catch (error) {
+            console.error('Error fetching registered events:', error);
         }
         
-        // Sort activities by date, most recent first
-        recentActivities.sort((a, b) => new Date(b.date) - new Date(a.date));
-        
-        // Keep only the 5 most recent activities
-        recentActivities = recentActivities.slice(0, 5);
-        
         // Return JSON for React frontend
         res.json({
             success: true,
-            user: {
-                id: req.session.user._id,
-                name: req.session.user.name || req.session.user.first_name,
-                email: req.session.user.email,
-                role: req.session.user.role
-            },
             teams: teams,
             teamCount: teams.length,
             playerCount: playerCount,
@@ -443,1314 +1295,2165 @@ router.get('/', cacheMiddleware(30), async (req, res) => {
             wins: totalWins,
             losses: totalLosses,
             draws: totalDraws,
-            pendingRequestCount: pendingRequestCount,
-            registeredEvents: registeredEvents || [],
-            upcomingEvent: upcomingEvent,
-            recentActivities: recentActivities,
-            events: registeredEvents || [],
-            totalPlayers: playerCount
+            registeredEvents: registeredEvents || []
         });
     } catch (err) {
         console.error('Error loading manager dashboard:', err);
         res.status(500).json({
             success: false,
-            message: 'Failed to load dashboard: ' + err.message
+            message: 'Failed to load dashboard: ' + err.message
+        });
+    }
+});
+
+// Update profile (API endpoint for React)
+router.put('/profile', uploadProfileImage, async (req, res) => {
+    try {
+        const userId = req.session.user._id;
+        
+        console.log('Received profile update:', req.body);
+        console.log('Received file:', req.file);
+        
+        // Create the updated profile object
+        const updatedProfile = {
+            first_name: req.body.first_name || '',
+            last_name: req.body.last_name || '',
+            email: req.body.email || req.session.user.email,
+            phone: req.body.phone || '',
+            bio: req.body.bio || ''
+        };
+        
+        // If a new image was uploaded, add the path
+        if (req.file) {
+            updatedProfile.profile_image = resolveUploadedImagePath(req.file);
+        }
+        
+        console.log('Updating profile with data:', updatedProfile);
+        
+        // Update the user in the database
+        const updatedUser = await User.updateUser(userId, updatedProfile);
+        
+        if (!updatedUser) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update user in database'
+            });
+        }
+        
+        // Fetch fresh user data
+        const freshUserData = await User.getUserById(userId);
+        
+        if (!freshUserData) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve updated user data'
+            });
+        }
+        
+        // Create complete user object for session
+        const sessionUser = freshUserData.toObject ? freshUserData.toObject() : freshUserData;
+        sessionUser.name = sessionUser.first_name + (sessionUser.last_name ? ' ' + sessionUser.last_name : '');
+        
+        // Update the session
+        req.session.user = sessionUser;
+        
+        // Save session
+        await new Promise((resolve, reject) => {
+            req.session.save(err => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+        
+        return res.json({
+            success: true,
+            message: 'Profile updated successfully!',
+            user: sessionUser
+        });
+    } catch (err) {
+        console.error('Error updating profile:', err);
+        return res.status(500).json({
+            success: false,
+            message: `Error updating profile: ${err.message}`
+        });
+    }
+});
+
+// Matches page (renamed to Events)
+router.get('/matches', async (req, res) => {
+    try {
+        if (!req.session.user || !req.session.user._id) {
+            console.error('No user ID found in session:', req.session);
+            return res.status(401).render('error', {
+                message: 'User not authenticated',
+                error: { status: 401, stack: 'Missing user ID in session' }
+            });
+        }
+
+        // Check if user is a new user (incomplete profile)
+        const isNewUser = !req.session.user.name || !req.session.user.phone || 
+                          !req.session.user.age || !req.session.user.address || 
+                          !req.session.user.bio;
+        
+        // Get manager's teams
+        const teams = await Team.getTeamsByManager(req.session.user._id);
+        
+
+
+        // Fetch real events from the database (only approved events)
+        const allEventsFromDB = await Event.getAllEvents();
+        const allEvents = allEventsFromDB.filter(event => 
+            ['upcoming', 'ongoing', 'completed', 'open'].includes(event.status)
+        );
+        
+        // Get past events (could filter based on date)
+        const pastEvents = allEvents.filter(event => {
+            const eventDate = new Date(event.event_date);
+            return eventDate < new Date();
+        });
+        
+        // Get upcoming events (could filter based on date)
+        const events = allEvents.filter(event => {
+            const eventDate = new Date(event.event_date);
+            return eventDate >= new Date();
+        });
+        
+        res.render('manager/matches', {
+            title: 'Browse Matches',
+            user: req.session.user,
+            events: events || [],
+            pastEvents: pastEvents || [],
+            teams: teams || [],
+            isNewUser: isNewUser,
+            messages: req.session.messages || {},
+            layout: 'layouts/dashboard',
+            path: '/manager/matches'
+        });
+        
+        // Clear flash messages
+        delete req.session.messages;
+    } catch (err) {
+        console.error('Error loading matches page:', err);
+        res.status(500).render('error', {
+            message: 'Failed to load matches page',
+            error: err
+        });
+    }
+});
+
+// Player Performance page
+router.get('/player-performance', async (req, res) => {
+    try {
+        console.log('Accessing team performance route');
+        
+        // For demo, directly render the performance template without additional data
+        // that might be causing the error. The performance.ejs template now doesn't need player data.
+        res.render('manager/performance', {
+            title: 'Team Performance',
+            user: req.session.user,
+            layout: 'layouts/dashboard',
+            path: '/manager/player-performance' // Match the sidebar link path
+        });
+    } catch (err) {
+        console.error('Error loading team performance page:', err);
+        res.status(500).render('error', {
+            message: 'Failed to load team performance data',
+            error: err
+        });
+    }
+});
+
+// Profile page
+router.get('/profile', async (req, res) => {
+    try {
+        // Create a profile object from session data
+        const profile = {
+            ...req.session.user,
+            ...req.session.user.profile
+        };
+        
+        // Ensure photoUrl is available from photo_url if needed
+        if (!profile.photoUrl && profile.photo_url) {
+            profile.photoUrl = profile.photo_url;
+        }
+        
+        // Add debugging to see what data is being passed to the template
+        console.log('Profile data being passed to template:', profile);
+        
+        res.render('manager/profile', {
+            title: 'My Profile',
+            user: req.session.user,
+            profile: profile,
+            layout: 'layouts/sidebar-dashboard',
+            path: '/manager/profile'
+        });
+    } catch (err) {
+        console.error('Error rendering manager profile:', err);
+        res.status(500).render('error', { 
+            message: 'Failed to render manager profile', 
+            error: err 
+        });
+    }
+});
+
+// My Teams
+router.get('/my-teams', cacheMiddleware(60), async (req, res) => {
+    try {
+        // Archived teams are listed too so they can be restored
+        const teams = await Team.getManagerTeams(req.session.user._id, { includeArchived: true });
+        console.log('Manager teams:', teams);
+        
+        res.json({
+            success: true,
+            teams: teams || [],
+            messages: req.session.messages || {}
+        });
+        
+        // Clear flash messages
+        delete req.session.messages;
+    } catch (err) {
+        console.error('Error retrieving manager teams:', err);
+        res.status(500).json({ 
+            success: false,
+            message: 'Failed to retrieve your teams',
+            error: err.message
         });
     }
 });
 
-router.get('/dashboard', cacheMiddleware(30), async (req, res) => {
+// Create Team Form
+router.get('/create-team', (req, res) => {
+    res.json({
+        success: true,
+        user: req.session.user,
+        messages: req.session.messages || {}
+    });
+    
+    // Clear flash messages
+    delete req.session.messages;
+});
+
+// Create Team (Process Form)
+router.post('/create-team', async (req, res) => {
     try {
-        // Get teams managed by this user
-        const teams = await Team.getTeamsByManager(req.session.user._id);
+        const { name, sport_type, description, max_members } = req.body;
         
-        // Calculate stats
-        let playerCount = 0;
-        let totalWins = 0;
-        let totalLosses = 0;
-        let totalDraws = 0;
+        // Check if this is an AJAX request
+        const isAjax = req.headers['content-type'] === 'application/json' || 
+                      req.headers['x-requested-with'] === 'XMLHttpRequest';
         
-        teams.forEach(team => {
-            playerCount += team.members ? team.members.length : 0;
-            totalWins += team.wins || 0;
-            totalLosses += team.losses || 0;
-            totalDraws += team.draws || 0;
-        });
+        // Validation
+        const validationErrors = {};
         
-        // Get registered events
-        let registeredEvents = [];
+        if (!name) validationErrors.name = 'Team name is required';
+        if (!sport_type) validationErrors.sport_type = 'Sport type is required';
+        if (max_members && (isNaN(max_members) || parseInt(max_members) < 1)) {
+            validationErrors.max_members = 'Max members must be a positive number';
+        }
+        
+        // Backend validation: Team name cannot be only numbers
+        if (name) {
+            const teamNameOnlyNumbers = /^\d+$/;
+            if (teamNameOnlyNumbers.test(name.trim())) {
+                validationErrors.name = 'Team name cannot contain only numbers. Please include at least one letter.';
+            }
+            
+            // Team name must contain at least one letter
+            const hasLetter = /[a-zA-Z]/;
+            if (!hasLetter.test(name.trim())) {
+                validationErrors.name = 'Team name must contain at least one letter.';
+            }
+        }
+        
+        // Check if manager already has a team with this sport type
+        // Commented out to allow multiple teams of the same sport type
+        // const existingTeam = await TeamSchema.find({
+        //     manager_id: req.session.user._id,
+        //     sport_type: sport_type
+        // });
+        
+        // if (existingTeam && existingTeam.length > 0) {
+        //     validationErrors.sport_type = `You already have a ${sport_type} team. Each manager can only create one team per sport type.`;
+        // }
+        
+        // If validation fails, return appropriate response
+        if (Object.keys(validationErrors).length > 0) {
+            if (isAjax) {
+                return res.json({
+                    success: false,
+                    message: 'Please fix the validation errors',
+                    errors: validationErrors
+                });
+            }
+            
+            req.session.messages = { error: 'Team name and sport type are required' };
+            return res.redirect('/manager/create-team');
+        }
+        
+        // Create team object
+        const teamData = {
+            name,
+            sport_type,
+            description,
+            max_members: max_members ? parseInt(max_members, 10) : 10,
+            manager_id: req.session.user._id
+        };
+    
+        // Save team to database
         try {
-            const Event = require('../models/event');
-            const allRegistrations = await Event.getManagerEvents(req.session.user._id);
-            // Filter to only include approved or confirmed registrations
-            registeredEvents = allRegistrations.filter(reg => 
-                reg.registration_status === 'approved' || 
-                reg.registration_status === 'confirmed'
-            );
+            const team = await Team.createTeam(teamData);
+            console.log(`Team created with ID: ${team._id}`);
+
+            // Invalidate this manager's team list + dashboard cache
+            const managerId = req.session.user._id.toString();
+            await invalidateCacheByPrefixes([
+                '/api/manager/my-teams',
+                '/api/manager/',
+                '/api/manager/dashboard'
+            ], managerId);
+            
+            if (isAjax) {
+                return res.json({
+                    success: true,
+                    message: 'Team created successfully!',
+                    redirectUrl: '/manager/my-teams',
+                    team: {
+                        id: team._id,
+                        name: team.name,
+                        sport_type: team.sport_type,
+                        description: team.description,
+                        max_members: team.max_members
+                    }
+                });
+            }
+            
+            req.session.messages = { success: 'Team created successfully!' };
+            res.redirect('/manager/my-teams');
         } catch (error) {
-            console.error('Error fetching registered events:', error);
+            console.error('Error creating team:', error);
+            
+            if (isAjax) {
+                return res.json({
+                    success: false,
+                    message: 'Failed to create team: ' + error.message
+                });
+            }
+            
+            req.session.messages = { error: 'Failed to create team: ' + error.message };
+            return res.redirect('/manager/create-team');
         }
-        
-        // Return JSON for React frontend
-        res.json({
-            success: true,
-            teams: teams,
-            teamCount: teams.length,
-            playerCount: playerCount,
-            eventCount: registeredEvents.length,
-            wins: totalWins,
-            losses: totalLosses,
-            draws: totalDraws,
-            registeredEvents: registeredEvents || []
-        });
     } catch (err) {
-        console.error('Error loading manager dashboard:', err);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to load dashboard: ' + err.message
-        });
+        console.error('Error in create-team route:', err);
+        
+        const isAjax = req.headers['content-type'] === 'application/json' || 
+                      req.headers['x-requested-with'] === 'XMLHttpRequest';
+        
+        if (isAjax) {
+            return res.json({
+                success: false,
+                message: 'An error occurred while creating the team'
+            });
+        }
+        
+        req.session.messages = { error: 'An error occurred while creating the team' };
+        res.redirect('/manager/create-team');
     }
 });
 
-// Update profile (API endpoint for React)
-router.put('/profile', uploadProfileImage, async (req, res) => {
+// Update team (PUT)
+router.put('/team/:id', async (req, res) => {
     try {
-        const userId = req.session.user._id;
-        
-        console.log('Received profile update:', req.body);
-        console.log('Received file:', req.file);
+        const teamId = req.params.id;
+        const { name, sport_type, description, max_members } = req.body;
+        const managerId = req.session.user._id;
         
-        // Create the updated profile object
-        const updatedProfile = {
-            first_name: req.body.first_name || '',
-            last_name: req.body.last_name || '',
-            email: req.body.email || req.session.user.email,
-            phone: req.body.phone || '',
-            bio: req.body.bio || ''
-        };
+        // Get the team to check if current user is the manager
+        const team = await Team.getTeamById(teamId);
         
-        // If a new image was uploaded, add the path
-        if (req.file) {
-            updatedProfile.profile_image = resolveUploadedImagePath(req.file);
+        if (!team) {
+            return res.status(404).json({
+                success: false,
+                message: 'Team not found'
+            });
         }
         
-        console.log('Updating profile with data:', updatedProfile);
-        
-        // Update the user in the database
-        const updatedUser = await User.updateUser(userId, updatedProfile);
+        // Check if the current user is the team manager
+        if (!canManageTeam(team, managerId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to update this team'
+            });
+        }
         
-        if (!updatedUser) {
-            return res.status(500).json({
+        // Validation
+        if (!name || !sport_type) {
+            return res.status(400).json({
                 success: false,
-                message: 'Failed to update user in database'
+                message: 'Team name and sport type are required'
             });
         }
         
-        // Fetch fresh user data
-        const freshUserData = await User.getUserById(userId);
+        // Backend validation: Team name cannot be only numbers
+        const teamNameOnlyNumbers = /^\d+$/;
+        if (teamNameOnlyNumbers.test(name.trim())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Team name cannot contain only numbers. Please include at least one letter.'
+            });
+        }
         
-        if (!freshUserData) {
-            return res.status(500).json({
+        // Team name must contain at least one letter
+        const hasLetter = /[a-zA-Z]/;
+        if (!hasLetter.test(name.trim())) {
+            return res.status(400).json({
                 success: false,
-                message: 'Failed to retrieve updated user data'
+                message: 'Team name must contain at least one letter.'
             });
         }
         
-        // Create complete user object for session
-        const sessionUser = freshUserData.toObject ? freshUserData.toObject() : freshUserData;
-        sessionUser.name = sessionUser.first_name + (sessionUser.last_name ? ' ' + sessionUser.last_name : '');
+        if (max_members && (isNaN(max_members) || parseInt(max_members) < 5 || parseInt(max_members) > 50)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Max members must be between 5 and 50'
+            });
+        }
         
-        // Update the session
-        req.session.user = sessionUser;
+        // Update team data
+        const updatedData = {
+            name: name.trim(),
+            sport_type: sport_type.trim(),
+            description: description ? description.trim() : '',
+            max_members: max_members ? parseInt(max_members, 10) : team.max_members
+        };
         
-        // Save session
-        await new Promise((resolve, reject) => {
-            req.session.save(err => {
-                if (err) reject(err);
-                else resolve();
-            });
-        });
+        // Update the team
+        const updatedTeam = await Team.updateTeam(teamId, updatedData);
+
+        // Invalidate this manager's team cache
+        await invalidateCacheByPrefixes([
+            `/api/manager/team/${teamId}`,
+            '/api/manager/my-teams',
+            '/api/manager/',
+            '/api/manager/dashboard'
+        ], managerId.toString());
         
         return res.json({
             success: true,
-            message: 'Profile updated successfully!',
-            user: sessionUser
+            message: 'Team updated successfully',
+            team: updatedTeam
         });
     } catch (err) {
-        console.error('Error updating profile:', err);
+        console.error('Error updating team:', err);
         return res.status(500).json({
             success: false,
-            message: `Error updating profile: ${err.message}`
+            message: err.message || 'Error updating team'
         });
     }
 });
 
-// Matches page (renamed to Events)
-router.get('/matches', async (req, res) => {
+// Manage Team
+router.get('/team/:id', cacheMiddleware(60), async (req, res) => {
     try {
-        if (!req.session.user || !req.session.user._id) {
-            console.error('No user ID found in session:', req.session);
-            return res.status(401).render('error', {
-                message: 'User not authenticated',
-                error: { status: 401, stack: 'Missing user ID in session' }
+    const teamId = req.params.id;
+        const team = await Team.getTeamById(teamId);
+        
+        if (!team) {
+            return res.status(404).json({
+                success: false,
+                message: 'Team not found'
             });
         }
-
-        // Check if user is a new user (incomplete profile)
-        const isNewUser = !req.session.user.name || !req.session.user.phone || 
-                          !req.session.user.age || !req.session.user.address || 
-                          !req.session.user.bio;
-        
-        // Get manager's teams
-        const teams = await Team.getTeamsByManager(req.session.user._id);
-        
-
-
-        // Fetch real events from the database (only approved events)
-        const allEventsFromDB = await Event.getAllEvents();
-        const allEvents = allEventsFromDB.filter(event => 
-            ['upcoming', 'ongoing', 'completed', 'open'].includes(event.status)
-        );
-        
-        // Get past events (could filter based on date)
-        const pastEvents = allEvents.filter(event => {
-            const eventDate = new Date(event.event_date);
-            return eventDate < new Date();
-        });
         
-        // Get upcoming events (could filter based on date)
-        const events = allEvents.filter(event => {
-            const eventDate = new Date(event.event_date);
-            return eventDate >= new Date();
-        });
+        // Make sure the manager owns this team (convert to string for comparison)
+        if (!canManageTeam(team, req.session.user._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to manage this team'
+            });
+        }
         
-        res.render('manager/matches', {
-            title: 'Browse Matches',
-            user: req.session.user,
-            events: events || [],
-            pastEvents: pastEvents || [],
-            teams: teams || [],
-            isNewUser: isNewUser,
-            messages: req.session.messages || {},
-            layout: 'layouts/dashboard',
-            path: '/manager/matches'
+        res.json({
+            success: true,
+            team: team,
+            messages: req.session.messages || {}
         });
         
         // Clear flash messages
         delete req.session.messages;
     } catch (err) {
-        console.error('Error loading matches page:', err);
-        res.status(500).render('error', {
-            message: 'Failed to load matches page',
-            error: err
+        console.error('Error retrieving team details:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve team details',
+            error: err.message
         });
     }
 });
 
-// Player Performance page
-router.get('/player-performance', async (req, res) => {
-    try {
-        console.log('Accessing team performance route');
+// Team Members Management
+router.get('/team/:id/members', (req, res) => {
+    const teamId = req.params.id;
+    
+    Team.getTeamById(teamId, (err, team) => {
+        if (err) {
+            console.error('Error fetching team:', err);
+            return res.status(500).send('An error occurred while fetching team details');
+        }
         
-        // For demo, directly render the performance template without additional data
-        // that might be causing the error. The performance.ejs template now doesn't need player data.
-        res.render('manager/performance', {
-            title: 'Team Performance',
-            user: req.session.user,
-            layout: 'layouts/dashboard',
-            path: '/manager/player-performance' // Match the sidebar link path
-        });
-    } catch (err) {
-        console.error('Error loading team performance page:', err);
-        res.status(500).render('error', {
-            message: 'Failed to load team performance data',
-            error: err
+        if (!team) {
+            return res.status(404).send('Team not found');
+        }
+        
+        // Check if current user is the manager
+        if (team.manager_id !== req.session.user._id) {
+            return res.status(403).send('You do not have permission to manage this team');
+        }
+        
+        // Get all players for adding to team
+        User.getUsersByRole('player', (err, players) => {
+            if (err) {
+                console.error('Error fetching players:', err);
+                return res.status(500).send('An error occurred while fetching players');
+            }
+            
+            res.render('manager/team-members', { 
+                user: req.session.user,
+                team: team,
+                players: players,
+                layout: 'layouts/dashboard',
+                path: '/manager/my-teams'
+            });
         });
-    }
+    });
 });
 
-// Profile page
-router.get('/profile', async (req, res) => {
-    try {
-        // Create a profile object from session data
-        const profile = {
-            ...req.session.user,
-            ...req.session.user.profile
-        };
+// Add Player to Team
+router.post('/team/:id/add-player', (req, res) => {
+    const teamId = parseInt(req.params.id);
+    const playerId = parseInt(req.body.player_id);
+    
+    if (!playerId) {
+        return res.status(400).send('Player ID is required');
+    }
+    
+    Team.addPlayerToTeam(teamId, playerId, (err, success) => {
+        if (err) {
+            console.error('Error adding player to team:', err);
+            return res.status(500).send('An error occurred: ' + err.message);
+        }
         
-        // Ensure photoUrl is available from photo_url if needed
-        if (!profile.photoUrl && profile.photo_url) {
-            profile.photoUrl = profile.photo_url;
+        res.redirect(`/manager/team/${teamId}/members`);
+    });
+});
+
+// Remove Player from Team
+router.post('/team/:id/remove-player/:playerId', (req, res) => {
+    const teamId = parseInt(req.params.id);
+    const playerId = parseInt(req.params.playerId);
+    
+    Team.removePlayerFromTeam(teamId, playerId, (err, success) => {
+        if (err) {
+            console.error('Error removing player from team:', err);
+            return res.status(500).send('An error occurred: ' + err.message);
         }
         
-        // Add debugging to see what data is being passed to the template
-        console.log('Profile data being passed to template:', profile);
+        res.redirect(`/manager/team/${teamId}/members`);
+    });
+});
+
+// Update Team Form
+router.get('/team/:id/edit', (req, res) => {
+    const teamId = req.params.id;
+    console.log('Editing team:', teamId);
+    
+    // Sample team data
+    const team = {
+        id: teamId,
+        name: 'Blazing Hawks',
+        sport: 'Basketball',
+        status: 'Active',
+        player_count: 11,
+        members: 12
+    };
         
-        res.render('manager/profile', {
-            title: 'My Profile',
+        res.render('manager/edit-team', { 
+        title: 'Edit Team',
             user: req.session.user,
-            profile: profile,
-            layout: 'layouts/sidebar-dashboard',
-            path: '/manager/profile'
-        });
-    } catch (err) {
-        console.error('Error rendering manager profile:', err);
-        res.status(500).render('error', { 
-            message: 'Failed to render manager profile', 
-            error: err 
-        });
-    }
+            team: team,
+            layout: 'layouts/dashboard',
+        path: '/manager/my-team'
+    });
 });
 
-// My Teams
-router.get('/my-teams', cacheMiddleware(60), async (req, res) => {
+// Update Team Handler
+router.post('/team/:id/edit', (req, res) => {
+    const teamId = parseInt(req.params.id);
+    
+    const teamData = {
+        name: req.body.name,
+        sport: req.body.sport,
+        members: parseInt(req.body.members),
+        status: req.body.status
+    };
+    
+    Team.updateTeam(teamId, teamData, (err, success) => {
+        if (err) {
+            console.error('Error updating team:', err);
+            return res.status(500).send('An error occurred while updating the team');
+        }
+        
+        res.redirect('/manager/my-teams');
+    });
+});
+
+// Join Requests
+router.get('/join-requests', cacheMiddleware(30), async (req, res) => {
     try {
-        const teams = await Team.getManagerTeams(req.session.user._id);
-        console.log('Manager teams:', teams);
+        const requests = await Team.getManagerJoinRequests(req.session.user._id);
+        console.log('Join requests:', requests);
         
         res.json({
             success: true,
-            teams: teams || [],
+            requests: requests || [],
             messages: req.session.messages || {}
         });
         
         // Clear flash messages
         delete req.session.messages;
     } catch (err) {
-        console.error('Error retrieving manager teams:', err);
-        res.status(500).json({ 
+        console.error('Error retrieving join requests:', err);
+        res.status(500).json({
             success: false,
-            message: 'Failed to retrieve your teams',
+            message: 'Failed to retrieve join requests',
             error: err.message
         });
     }
 });
 
-// Create Team Form
-router.get('/create-team', (req, res) => {
-    res.json({
-        success: true,
-        user: req.session.user,
-        messages: req.session.messages || {}
-    });
-    
-    // Clear flash messages
-    delete req.session.messages;
-});
-
-// Create Team (Process Form)
-router.post('/create-team', async (req, res) => {
+// Process Join Request
+router.post('/process-request', async (req, res) => {
     try {
-        const { name, sport_type, description, max_members } = req.body;
+        const { requestId, action } = req.body;
         
-        // Check if this is an AJAX request
-        const isAjax = req.headers['content-type'] === 'application/json' || 
-                      req.headers['x-requested-with'] === 'XMLHttpRequest';
+        if (!requestId || !action) {
+            req.session.messages = { error: 'Request ID and action are required' };
+            return res.redirect('/manager/join-requests');
+        }
         
-        // Validation
-        const validationErrors = {};
+        console.log(`Processing join request ${requestId} with action ${action}`);
         
-        if (!name) validationErrors.name = 'Team name is required';
-        if (!sport_type) validationErrors.sport_type = 'Sport type is required';
-        if (max_members && (isNaN(max_members) || parseInt(max_members) < 1)) {
-            validationErrors.max_members = 'Max members must be a positive number';
-        }
+        // Set status based on action
+        const status = action === 'approve' ? 'approved' : 'rejected';
         
-        // Backend validation: Team name cannot be only numbers
-        if (name) {
-            const teamNameOnlyNumbers = /^\d+$/;
-            if (teamNameOnlyNumbers.test(name.trim())) {
-                validationErrors.name = 'Team name cannot contain only numbers. Please include at least one letter.';
-            }
-            
-            // Team name must contain at least one letter
-            const hasLetter = /[a-zA-Z]/;
-            if (!hasLetter.test(name.trim())) {
-                validationErrors.name = 'Team name must contain at least one letter.';
-            }
+        // Process the request
+        const result = await Team.processJoinRequest(requestId, status);
+        
+        if (result) {
+            req.session.messages = { 
+                success: `Request ${status === 'approved' ? 'approved' : 'rejected'} successfully!` 
+            };
+        } else {
+            req.session.messages = { error: 'Failed to process request' };
         }
         
-        // Check if manager already has a team with this sport type
-        // Commented out to allow multiple teams of the same sport type
-        // const existingTeam = await TeamSchema.find({
-        //     manager_id: req.session.user._id,
-        //     sport_type: sport_type
-        // });
+        res.redirect('/manager/join-requests');
+    } catch (err) {
+        console.error('Error processing join request:', err);
+        req.session.messages = { error: err.message || 'Failed to process request' };
+        res.redirect('/manager/join-requests');
+    }
+});
+
+// Approve Join Request (API for React)
+router.post('/team/:teamId/approve-request', async (req, res) => {
+    console.log('=== APPROVE REQUEST ROUTE HIT ===');
+    console.log('Params:', req.params);
+    console.log('Body:', req.body);
+    console.log('User:', req.session?.user);
+    
+    try {
+        const { teamId } = req.params;
+        const { requestId, playerId } = req.body;
         
-        // if (existingTeam && existingTeam.length > 0) {
-        //     validationErrors.sport_type = `You already have a ${sport_type} team. Each manager can only create one team per sport type.`;
-        // }
+        if (!requestId || !playerId) {
+            console.log('Missing requestId or playerId');
+            return res.status(400).json({
+                success: false,
+                message: 'Request ID and Player ID are required'
+            });
+        }
         
-        // If validation fails, return appropriate response
-        if (Object.keys(validationErrors).length > 0) {
-            if (isAjax) {
-                return res.json({
-                    success: false,
-                    message: 'Please fix the validation errors',
-                    errors: validationErrors
-                });
-            }
-            
-            req.session.messages = { error: 'Team name and sport type are required' };
-            return res.redirect('/manager/create-team');
+        console.log(`Approving join request ${requestId} for team ${teamId}, player ${playerId}`);
+        
+        const team = await TeamSchema.findOne({ _id: teamId, 'join_requests._id': requestId })
+            .select('manager_id members')
+            .lean();
+        if (!team || !canManageTeam(team, req.session.user._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to manage this team'
+            });
         }
         
-        // Create team object
-        const teamData = {
-            name,
-            sport_type,
-            description,
-            max_members: max_members ? parseInt(max_members, 10) : 10,
-            manager_id: req.session.user._id
-        };
-    
-        // Save team to database
-        try {
-            const team = await Team.createTeam(teamData);
-            console.log(`Team created with ID: ${team._id}`);
-
-            // Invalidate this manager's team list + dashboard cache
-            const managerId = req.session.user._id.toString();
+        // Process the request as approved
+        const result = await Team.processJoinRequest(requestId, 'approved');
+        
+        if (result) {
+            // Invalidate join-requests + team members + dashboard
+            const managerId = team.manager_id.toString();
             await invalidateCacheByPrefixes([
+                '/api/manager/join-requests',
+                `/api/manager/team/${teamId}`,
                 '/api/manager/my-teams',
                 '/api/manager/',
                 '/api/manager/dashboard'
             ], managerId);
-            
-            if (isAjax) {
-                return res.json({
-                    success: true,
-                    message: 'Team created successfully!',
-                    redirectUrl: '/manager/my-teams',
-                    team: {
-                        id: team._id,
-                        name: team.name,
-                        sport_type: team.sport_type,
-                        description: team.description,
-                        max_members: team.max_members
-                    }
-                });
-            }
-            
-            req.session.messages = { success: 'Team created successfully!' };
-            res.redirect('/manager/my-teams');
-        } catch (error) {
-            console.error('Error creating team:', error);
-            
-            if (isAjax) {
-                return res.json({
-                    success: false,
-                    message: 'Failed to create team: ' + error.message
-                });
-            }
-            
-            req.session.messages = { error: 'Failed to create team: ' + error.message };
-            return res.redirect('/manager/create-team');
-        }
-    } catch (err) {
-        console.error('Error in create-team route:', err);
-        
-        const isAjax = req.headers['content-type'] === 'application/json' || 
-                      req.headers['x-requested-with'] === 'XMLHttpRequest';
-        
-        if (isAjax) {
-            return res.json({
+            res.json({
+                success: true,
+                message: 'Join request approved successfully!'
+            });
+        } else {
+            res.status(500).json({
                 success: false,
-                message: 'An error occurred while creating the team'
+                message: 'Failed to approve request'
             });
         }
-        
-        req.session.messages = { error: 'An error occurred while creating the team' };
-        res.redirect('/manager/create-team');
+    } catch (err) {
+        console.error('Error approving join request:', err);
+        res.status(500).json({
+            success: false,
+            message: err.message || 'Failed to approve request'
+        });
     }
 });
 
-// Update team (PUT)
-router.put('/team/:id', async (req, res) => {
+// Reject Join Request (API for React)
+router.post('/team/:teamId/reject-request', async (req, res) => {
     try {
-        const teamId = req.params.id;
-        const { name, sport_type, description, max_members } = req.body;
-        const managerId = req.session.user._id;
-        
-        // Get the team to check if current user is the manager
-        const team = await Team.getTeamById(teamId);
+        const { teamId } = req.params;
+        const { requestId } = req.body;
         
-        if (!team) {
-            return res.status(404).json({
+        if (!requestId) {
+            return res.status(400).json({
                 success: false,
-                message: 'Team not found'
+                message: 'Request ID is required'
             });
         }
         
-        // Check if the current user is the team manager
-        if (team.manager.id.toString() !== managerId.toString()) {
+        console.log(`Rejecting join request ${requestId} for team ${teamId}`);
+        
+        const team = await TeamSchema.findOne({ _id: teamId, 'join_requests._id': requestId })
+            .select('manager_id members')
+            .lean();
+        if (!team || !canManageTeam(team, req.session.user._id)) {
             return res.status(403).json({
                 success: false,
-                message: 'You do not have permission to update this team'
+                message: 'You do not have permission to manage this team'
             });
         }
         
-        // Validation
-        if (!name || !sport_type) {
-            return res.status(400).json({
+        // Process the request as rejected
+        const result = await Team.processJoinRequest(requestId, 'rejected');
+        
+        if (result) {
+            // Invalidate join-requests cache
+            const managerId = team.manager_id.toString();
+            await invalidateCacheByPrefixes(
+                ['/api/manager/join-requests'],
+                managerId
+            );
+            res.json({
+                success: true,
+                message: 'Join request rejected'
+            });
+        } else {
+            res.status(500).json({
                 success: false,
-                message: 'Team name and sport type are required'
+                message: 'Failed to reject request'
             });
         }
-        
-        // Backend validation: Team name cannot be only numbers
-        const teamNameOnlyNumbers = /^\d+$/;
-        if (teamNameOnlyNumbers.test(name.trim())) {
+    } catch (err) {
+        console.error('Error rejecting join request:', err);
+        res.status(500).json({
+            success: false,
+            message: err.message || 'Failed to reject request'
+        });
+    }
+});
+
+// Team invitations and invite links (API for React)
+router.get('/team/:teamId/invitations', async (req, res) => {
+    try {
+        const result = await Team.getTeamInvitations(req.params.teamId, req.session.user._id);
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (err) {
+        console.error('Error getting team invitations:', err);
+        res.status(400).json({
+            success: false,
+            message: err.message || 'Failed to load invitations'
+        });
+    }
+});
+
+router.post('/team/:teamId/invitations', async (req, res) => {
+    try {
+        const { teamId } = req.params;
+        const { email, player_id, message } = req.body;
+
+        if (!email && !player_id) {
             return res.status(400).json({
                 success: false,
-                message: 'Team name cannot contain only numbers. Please include at least one letter.'
+                message: 'Enter the email or player ID of the player to invite'
             });
         }
-        
-        // Team name must contain at least one letter
-        const hasLetter = /[a-zA-Z]/;
-        if (!hasLetter.test(name.trim())) {
-            return res.status(400).json({
-                success: false,
-                message: 'Team name must contain at least one letter.'
-            });
+
+        const options = teamInvites.validateInvitationOptions(req.body);
+        if (options.error) {
+            return res.status(400).json({ success: false, message: options.error });
         }
-        
-        if (max_members && (isNaN(max_members) || parseInt(max_members) < 5 || parseInt(max_members) > 50)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Max members must be between 5 and 50'
-            });
+
+        const { team, invitation, player } = await Team.invitePlayer(teamId, req.session.user._id, {
+            email,
+            player_id,
+            message: String(message || '').trim().slice(0, 500),
+            days: options.days
+        });
+
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+        const managerName = `${req.session.user.first_name || ''} ${req.session.user.last_name || ''}`.trim() || 'A team manager';
+        const emailResult = await sendTeamInvitationEmail(
+            invitation.email,
+            player ? player.first_name : 'there',
+            team.name,
+            team.sport_type,
+            managerName,
+            invitation.message,
+            player ? `${frontendUrl}/player/dashboard` : `${frontendUrl}/signup`
+        );
+
+        res.status(201).json({
+            success: true,
+            message: player
+                ? `Invitation sent to ${player.first_name} ${player.last_name}`.trim()
+                : `Invitation emailed to ${invitation.email}. They can accept it after signing up.`,
+            invitation,
+            email_sent: emailResult.success
+        });
+    } catch (err) {
+        console.error('Error inviting player:', err);
+        res.status(400).json({
+            success: false,
+            message: err.message || 'Failed to send invitation'
+        });
+    }
+});
+
+router.delete('/team/:teamId/invitations/:invitationId', async (req, res) => {
+    try {
+        await Team.revokeInvitation(req.params.teamId, req.session.user._id, req.params.invitationId);
+        res.json({
+            success: true,
+            message: 'Invitation revoked'
+        });
+    } catch (err) {
+        console.error('Error revoking invitation:', err);
+        res.status(400).json({
+            success: false,
+            message: err.message || 'Failed to revoke invitation'
+        });
+    }
+});
+
+router.post('/team/:teamId/invite-links', async (req, res) => {
+    try {
+        const options = teamInvites.validateLinkOptions(req.body);
+        if (options.error) {
+            return res.status(400).json({ success: false, message: options.error });
         }
-        
-        // Update team data
-        const updatedData = {
-            name: name.trim(),
-            sport_type: sport_type.trim(),
-            description: description ? description.trim() : '',
-            max_members: max_members ? parseInt(max_members, 10) : team.max_members
-        };
-        
-        // Update the team
-        const updatedTeam = await Team.updateTeam(teamId, updatedData);
 
-        // Invalidate this manager's team cache
+        const link = await Team.createInviteLink(req.params.teamId, req.session.user._id, options);
+        res.status(201).json({
+            success: true,
+            message: 'Invite link created',
+            link
+        });
+    } catch (err) {
+        console.error('Error creating invite link:', err);
+        res.status(400).json({
+            success: false,
+            message: err.message || 'Failed to create invite link'
+        });
+    }
+});
+
+router.delete('/team/:teamId/invite-links/:linkId', async (req, res) => {
+    try {
+        await Team.revokeInviteLink(req.params.teamId, req.session.user._id, req.params.linkId);
+        res.json({
+            success: true,
+            message: 'Invite link revoked'
+        });
+    } catch (err) {
+        console.error('Error revoking invite link:', err);
+        res.status(400).json({
+            success: false,
+            message: err.message || 'Failed to revoke invite link'
+        });
+    }
+});
+
+// Archive and restore a team (API for React). Teams are never deleted so
+// past matches, standings and registrations keep resolving.
+router.post('/team/:teamId/archive', async (req, res) => {
+    try {
+        const managerId = req.session.user._id;
+        await Team.archiveTeam(req.params.teamId, managerId);
+
         await invalidateCacheByPrefixes([
-            `/api/manager/team/${teamId}`,
+            `/api/manager/team/${req.params.teamId}`,
             '/api/manager/my-teams',
-            '/api/manager/',
             '/api/manager/dashboard'
         ], managerId.toString());
-        
-        return res.json({
+        await invalidateCacheByPrefixes(['/api/player/browse-teams']);
+
+        res.json({
             success: true,
-            message: 'Team updated successfully',
-            team: updatedTeam
+            message: 'Team archived. Its match history is kept and you can restore it at any time.'
         });
     } catch (err) {
-        console.error('Error updating team:', err);
-        return res.status(500).json({
+        console.error('Error archiving team:', err);
+        res.status(400).json({
             success: false,
-            message: err.message || 'Error updating team'
+            message: err.message || 'Failed to archive team'
         });
     }
 });
 
-// Manage Team
-router.get('/team/:id', cacheMiddleware(60), async (req, res) => {
+router.post('/team/:teamId/restore', async (req, res) => {
     try {
-    const teamId = req.params.id;
-        const team = await Team.getTeamById(teamId);
-        
-        if (!team) {
-            return res.status(404).json({
-                success: false,
-                message: 'Team not found'
-            });
-        }
-        
-        // Make sure the manager owns this team (convert to string for comparison)
-        if (team.manager.id.toString() !== req.session.user._id.toString()) {
-            return res.status(403).json({
-                success: false,
-                message: 'You do not have permission to manage this team'
-            });
-        }
-        
+        const managerId = req.session.user._id;
+        await Team.restoreTeam(req.params.teamId, managerId);
+
+        await invalidateCacheByPrefixes([
+            `/api/manager/team/${req.params.teamId}`,
+            '/api/manager/my-teams',
+            '/api/manager/dashboard'
+        ], managerId.toString());
+        await invalidateCacheByPrefixes(['/api/player/browse-teams']);
+
         res.json({
             success: true,
-            team: team,
-            messages: req.session.messages || {}
+            message: 'Team restored'
         });
-        
-        // Clear flash messages
-        delete req.session.messages;
     } catch (err) {
-        console.error('Error retrieving team details:', err);
-        res.status(500).json({
+        console.error('Error restoring team:', err);
+        res.status(400).json({
             success: false,
-            message: 'Failed to retrieve team details',
-            error: err.message
+            message: err.message || 'Failed to restore team'
         });
     }
 });
 
-// Team Members Management
-router.get('/team/:id/members', (req, res) => {
-    const teamId = req.params.id;
-    
-    Team.getTeamById(teamId, (err, team) => {
-        if (err) {
-            console.error('Error fetching team:', err);
-            return res.status(500).send('An error occurred while fetching team details');
-        }
-        
-        if (!team) {
-            return res.status(404).send('Team not found');
-        }
-        
-        // Check if current user is the manager
-        if (team.manager_id !== req.session.user._id) {
-            return res.status(403).send('You do not have permission to manage this team');
-        }
-        
-        // Get all players for adding to team
-        User.getUsersByRole('player', (err, players) => {
-            if (err) {
-                console.error('Error fetching players:', err);
-                return res.status(500).send('An error occurred while fetching players');
-            }
-            
-            res.render('manager/team-members', { 
-                user: req.session.user,
-                team: team,
-                players: players,
-                layout: 'layouts/dashboard',
-                path: '/manager/my-teams'
+// Ownership transfers (API for React)
+router.post('/team/:teamId/transfer', async (req, res) => {
+    try {
+        const { email, message } = req.body;
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Enter the email of the manager who should take over the team'
             });
+        }
+
+        const { team, recipient } = await Team.requestOwnershipTransfer(req.params.teamId, req.session.user._id, {
+            email,
+            message
         });
-    });
-});
 
-// Add Player to Team
-router.post('/team/:id/add-player', (req, res) => {
-    const teamId = parseInt(req.params.id);
-    const playerId = parseInt(req.body.player_id);
-    
-    if (!playerId) {
-        return res.status(400).send('Player ID is required');
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+        const managerName = `${req.session.user.first_name || ''} ${req.session.user.last_name || ''}`.trim() || 'A team manager';
+        const emailResult = await sendTeamTransferEmail(
+            recipient.email,
+            recipient.first_name,
+            team.name,
+            managerName,
+            team.ownership_transfer.message,
+            team.ownership_transfer.expires_at,
+            `${frontendUrl}/manager/teams`
+        );
+
+        await invalidateCacheByPrefixes([`/api/manager/team/${team._id}`], req.session.user._id.toString());
+
+        res.status(201).json({
+            success: true,
+            message: `Transfer sent to ${recipient.first_name} ${recipient.last_name}. The team stays yours until they accept.`.trim(),
+            email_sent: emailResult.success
+        });
+    } catch (err) {
+        console.error('Error requesting ownership transfer:', err);
+        res.status(400).json({
+            success: false,
+            message: err.message || 'Failed to request transfer'
+        });
     }
-    
-    Team.addPlayerToTeam(teamId, playerId, (err, success) => {
-        if (err) {
-            console.error('Error adding player to team:', err);
-            return res.status(500).send('An error occurred: ' + err.message);
-        }
-        
-        res.redirect(`/manager/team/${teamId}/members`);
-    });
 });
 
-// Remove Player from Team
-router.post('/team/:id/remove-player/:playerId', (req, res) => {
-    const teamId = parseInt(req.params.id);
-    const playerId = parseInt(req.params.playerId);
-    
-    Team.removePlayerFromTeam(teamId, playerId, (err, success) => {
-        if (err) {
-            console.error('Error removing player from team:', err);
-            return res.status(500).send('An error occurred: ' + err.message);
-        }
-        
-        res.redirect(`/manager/team/${teamId}/members`);
-    });
-});
+router.delete('/team/:teamId/transfer', async (req, res) => {
+    try {
+        await Team.cancelOwnershipTransfer(req.params.teamId, req.session.user._id);
+        await invalidateCacheByPrefixes([`/api/manager/team/${req.params.teamId}`], req.session.user._id.toString());
 
-// Update Team Form
-router.get('/team/:id/edit', (req, res) => {
-    const teamId = req.params.id;
-    console.log('Editing team:', teamId);
-    
-    // Sample team data
-    const team = {
-        id: teamId,
-        name: 'Blazing Hawks',
-        sport: 'Basketball',
-        status: 'Active',
-        player_count: 11,
-        members: 12
-    };
-        
-        res.render('manager/edit-team', { 
-        title: 'Edit Team',
-            user: req.session.user,
-            team: team,
-            layout: 'layouts/dashboard',
-        path: '/manager/my-team'
-    });
+        res.json({
+            success: true,
+            message: 'Transfer cancelled'
+        });
+    } catch (err) {
+        console.error('Error cancelling ownership transfer:', err);
+        res.status(400).json({
+            success: false,
+            message: err.message || 'Failed to cancel transfer'
+        });
+    }
 });
 
-// Update Team Handler
-router.post('/team/:id/edit', (req, res) => {
-    const teamId = parseInt(req.params.id);
-    
-    const teamData = {
-        name: req.body.name,
-        sport: req.body.sport,
-        members: parseInt(req.body.members),
-        status: req.body.status
-    };
-    
-    Team.updateTeam(teamId, teamData, (err, success) => {
-        if (err) {
-            console.error('Error updating team:', err);
-            return res.status(500).send('An error occurred while updating the team');
-        }
-        
-        res.redirect('/manager/my-teams');
-    });
+router.get('/team-transfers', async (req, res) => {
+    try {
+        const transfers = await Team.getIncomingTransfers(req.session.user._id);
+        res.json({
+            success: true,
+            transfers
+        });
+    } catch (err) {
+        console.error('Error getting ownership transfers:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load transfers'
+        });
+    }
 });
 
-// Join Requests
-router.get('/join-requests', cacheMiddleware(30), async (req, res) => {
+router.post('/team-transfers/:teamId/:action(accept|decline)', async (req, res) => {
     try {
-        const requests = await Team.getManagerJoinRequests(req.session.user._id);
-        console.log('Join requests:', requests);
-        
+        const accept = req.params.action === 'accept';
+        const managerId = req.session.user._id.toString();
+        const { team, previous_manager_id } = await Team.respondToOwnershipTransfer(req.params.teamId, managerId, accept);
+
+        // Both managers' team lists change hands
+        const prefixes = [`/api/manager/team/${team._id}`, '/api/manager/my-teams', '/api/manager/dashboard'];
+        await invalidateCacheByPrefixes(prefixes, managerId);
+        await invalidateCacheByPrefixes(prefixes, previous_manager_id.toString());
+
         res.json({
             success: true,
-            requests: requests || [],
-            messages: req.session.messages || {}
+            message: accept ? `You now manage ${team.name}` : 'Transfer declined'
         });
-        
-        // Clear flash messages
-        delete req.session.messages;
     } catch (err) {
-        console.error('Error retrieving join requests:', err);
-        res.status(500).json({
+        console.error('Error responding to ownership transfer:', err);
+        res.status(400).json({
             success: false,
-            message: 'Failed to retrieve join requests',
-            error: err.message
+            message: err.message || 'Failed to respond to transfer'
         });
     }
 });
 
-// Process Join Request
-router.post('/process-request', async (req, res) => {
+// Recruitment postings of a team (API for React)
+router.get('/team/:teamId/recruitment', async (req, res) => {
     try {
-        const { requestId, action } = req.body;
-        
-        if (!requestId || !action) {
-            req.session.messages = { error: 'Request ID and action are required' };
-            return res.redirect('/manager/join-requests');
+        const postings = await Team.getRecruitmentPostings(req.params.teamId, req.session.user._id);
+        res.json({
+            success: true,
+            postings
+        });
+    } catch (err) {
+        console.error('Error getting recruitment postings:', err);
+        res.status(400).json({
+            success: false,
+            message: err.message || 'Failed to load postings'
+        });
+    }
+});
+
+router.post('/team/:teamId/recruitment', async (req, res) => {
+    try {
+        const { error, posting } = recruitment.validatePosting(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
         }
-        
-        console.log(`Processing join request ${requestId} with action ${action}`);
-        
-        // Set status based on action
-        const status = action === 'approve' ? 'approved' : 'rejected';
-        
-        // Process the request
-        const result = await Team.processJoinRequest(requestId, status);
-        
-        if (result) {
-            req.session.messages = { 
-                success: `Request ${status === 'approved' ? 'approved' : 'rejected'} successfully!` 
-            };
+
+        const created = await Team.createRecruitmentPosting(req.params.teamId, req.session.user._id, posting);
+
+        res.status(201).json({
+            success: true,
+            message: 'Posting published. Free agents in your sport can now find it.',
+            posting: created
+        });
+    } catch (err) {
+        console.error('Error creating recruitment posting:', err);
+        res.status(400).json({
+            success: false,
+            message: err.message || 'Failed to publish posting'
+        });
+    }
+});
+
+router.put('/team/:teamId/recruitment/:postingId', async (req, res) => {
+    try {
+        const { teamId, postingId } = req.params;
+        const userId = req.session.user._id;
+        let posting;
+
+        if (req.body.status !== undefined) {
+            if (!['open', 'closed'].includes(req.body.status)) {
+                return res.status(400).json({ success: false, message: 'status must be open or closed' });
+            }
+            posting = await Team.setRecruitmentPostingStatus(teamId, userId, postingId, req.body.status);
         } else {
-            req.session.messages = { error: 'Failed to process request' };
+            const validation = recruitment.validatePosting(req.body);
+            if (validation.error) {
+                return res.status(400).json({ success: false, message: validation.error });
+            }
+            posting = await Team.updateRecruitmentPosting(teamId, userId, postingId, validation.posting);
         }
-        
-        res.redirect('/manager/join-requests');
+
+        res.json({
+            success: true,
+            message: 'Posting updated',
+            posting
+        });
     } catch (err) {
-        console.error('Error processing join request:', err);
-        req.session.messages = { error: err.message || 'Failed to process request' };
-        res.redirect('/manager/join-requests');
+        console.error('Error updating recruitment posting:', err);
+        res.status(400).json({
+            success: false,
+            message: err.message || 'Failed to update posting'
+        });
     }
 });
 
-// Approve Join Request (API for React)
-router.post('/team/:teamId/approve-request', async (req, res) => {
-    console.log('=== APPROVE REQUEST ROUTE HIT ===');
-    console.log('Params:', req.params);
-    console.log('Body:', req.body);
-    console.log('User:', req.session?.user);
-    
+// Free agents ranked against a posting
+router.get('/team/:teamId/recruitment/:postingId/candidates', async (req, res) => {
     try {
-        const { teamId } = req.params;
-        const { requestId, playerId } = req.body;
-        
-        if (!requestId || !playerId) {
-            console.log('Missing requestId or playerId');
+        const result = await Team.getPostingCandidates(req.params.teamId, req.session.user._id, req.params.postingId);
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (err) {
+        console.error('Error getting posting candidates:', err);
+        res.status(400).json({
+            success: false,
+            message: err.message || 'Failed to load candidates'
+        });
+    }
+});
+
+// Set a member's roster role, jersey number and position (API for React)
+router.put('/team/:teamId/roster/:playerId', async (req, res) => {
+    try {
+        const { teamId, playerId } = req.params;
+        const update = {};
+        ['role', 'jersey_number', 'position'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                update[field] = req.body[field];
+            }
+        });
+
+        if (Object.keys(update).length === 0) {
             return res.status(400).json({
                 success: false,
-                message: 'Request ID and Player ID are required'
+                message: 'Nothing to update. Send role, jersey_number or position.'
             });
         }
+
+        const member = await Team.updateRosterEntry(teamId, req.session.user._id, playerId, update);
+
+        // The manager and any co-managers may have the team cached
+        await invalidateCacheByPrefixes([`/api/manager/team/${teamId}`]);
+
+        res.json({
+            success: true,
+            message: 'Roster updated',
+            member
+        });
+    } catch (err) {
+        console.error('Error updating roster:', err);
+        res.status(400).json({
+            success: false,
+            message: err.message || 'Failed to update roster'
+        });
+    }
+});
+
+// Add route for profile updates
+router.post('/update-profile', isManager, async (req, res) => {
+    try {
+        const userId = req.session.user._id;
         
-        console.log(`Approving join request ${requestId} for team ${teamId}, player ${playerId}`);
+        // Log the received data for debugging
+        console.log('Received profile update data:', req.body);
         
-        // Process the request as approved
-        const result = await Team.processJoinRequest(requestId, 'approved');
+        // Create the updated profile object with all fields
+        const updatedProfile = {
+            name: req.body.name || '',
+            first_name: req.body.first_name || '',
+            last_name: req.body.last_name || '',
+            email: req.body.email || req.session.user.email, // Keep existing email if not provided
+            phone: req.body.phone || '',
+            age: req.body.age ? parseInt(req.body.age, 10) : undefined,
+            address: req.body.address || '',
+            bio: req.body.bio || '',
+            organization: req.body.organization || req.body.organization_name || '',
+            organization_name: req.body.organization || req.body.organization_name || ''
+        };
         
-        if (result) {
-            // Invalidate join-requests + team members + dashboard
-            const managerId = req.session.user._id.toString();
-            await invalidateCacheByPrefixes([
-                '/api/manager/join-requests',
-                `/api/manager/team/${teamId}`,
-                '/api/manager/my-teams',
-                '/api/manager/',
-                '/api/manager/dashboard'
-            ], managerId);
-            res.json({
-                success: true,
-                message: 'Join request approved successfully!'
-            });
-        } else {
-            res.status(500).json({
-                success: false,
-                message: 'Failed to approve request'
-            });
+        console.log('Updating profile with data:', updatedProfile);
+        
+        // Update the user in the database
+        const updatedUser = await User.updateUser(userId, updatedProfile);
+        
+        if (!updatedUser) {
+            throw new Error('Failed to update user in database');
         }
-    } catch (err) {
-        console.error('Error approving join request:', err);
-        res.status(500).json({
-            success: false,
-            message: err.message || 'Failed to approve request'
+        
+        // Fetch fresh user data from database to ensure we have all fields
+        const freshUserData = await User.getUserById(userId);
+        
+        if (!freshUserData) {
+            throw new Error('Failed to retrieve updated user data');
+        }
+        
+        // Create complete user object for session
+        const sessionUser = freshUserData.toObject ? freshUserData.toObject() : freshUserData;
+        
+        // Add UI-friendly name format
+        sessionUser.name = sessionUser.first_name + (sessionUser.last_name ? ' ' + sessionUser.last_name : '');
+        
+        console.log('Updating session with complete user data:', {
+            name: sessionUser.name,
+            email: sessionUser.email,
+            profile_image: sessionUser.profile_image,
+            age: sessionUser.age,
+            address: sessionUser.address, 
+            bio: sessionUser.bio
+        });
+        
+        // Update the session with complete user data
+        req.session.user = sessionUser;
+        
+        // Save session to ensure persistence
+        req.session.save(err => {
+            if (err) {
+                console.error('Error saving session after profile update:', err);
+            }
+            
+            req.session.flashMessage = {
+                type: 'success',
+                text: 'Profile updated successfully!'
+            };
+            
+            return res.redirect('/manager/profile');
         });
+    } catch (err) {
+        console.error('Error updating profile:', err);
+        req.session.flashMessage = {
+            type: 'error',
+            text: `Error updating profile: ${err.message}`
+        };
+        return res.redirect('/manager/profile');
     }
 });
 
-// Reject Join Request (API for React)
-router.post('/team/:teamId/reject-request', async (req, res) => {
+// Add route for changing password
+router.post('/change-password', isManager, async (req, res) => {
     try {
-        const { teamId } = req.params;
-        const { requestId } = req.body;
+        const userId = req.session.user._id;
+        const { currentPassword, newPassword, confirmPassword } = req.body;
         
-        if (!requestId) {
-            return res.status(400).json({
-                success: false,
-                message: 'Request ID is required'
-            });
+        console.log('Password change request received');
+        
+        // Validate password match
+        if (newPassword !== confirmPassword) {
+            req.session.flashMessage = {
+                type: 'error',
+                text: 'New passwords do not match.'
+            };
+            return res.redirect('/manager/profile');
+        }
+        
+        // Get user from database
+        const user = await User.getUserById(userId);
+        
+        if (!user) {
+            throw new Error('User not found');
+        }
+        
+        // Verify current password using bcrypt
+        const bcrypt = require('bcrypt');
+        const isMatch = await bcrypt.compare(currentPassword, user.password);
+        
+        if (!isMatch) {
+            req.session.flashMessage = {
+                type: 'error',
+                text: 'Current password is incorrect.'
+            };
+            return res.redirect('/manager/profile');
         }
         
-        console.log(`Rejecting join request ${requestId} for team ${teamId}`);
+        // Hash new password
+        const salt = await bcrypt.genSalt(10);
+        const hashedPassword = await bcrypt.hash(newPassword, salt);
+        
+        // Update password directly in the database
+        user.password = hashedPassword;
+        await user.save();
         
-        // Process the request as rejected
-        const result = await Team.processJoinRequest(requestId, 'rejected');
+        console.log('Password updated successfully');
         
-        if (result) {
-            // Invalidate join-requests cache
-            const managerId = req.session.user._id.toString();
-            await invalidateCacheByPrefixes(
-                ['/api/manager/join-requests'],
-                managerId
-            );
-            res.json({
-                success: true,
-                message: 'Join request rejected'
-            });
-        } else {
-            res.status(500).json({
-                success: false,
-                message: 'Failed to reject request'
-            });
-        }
+        req.session.flashMessage = {
+            type: 'success',
+            text: 'Password changed successfully!'
+        };
+        res.redirect('/manager/profile');
     } catch (err) {
-        console.error('Error rejecting join request:', err);
-        res.status(500).json({
-            success: false,
-            message: err.message || 'Failed to reject request'
-        });
+        console.error('Error changing password:', err);
+        req.session.flashMessage = {
+            type: 'error',
+            text: `Error changing password: ${err.message}`
+        };
+        res.redirect('/manager/profile');
     }
 });
 
-// Add route for profile updates
-router.post('/update-profile', isManager, async (req, res) => {
+// Update profile photo handler
+router.post('/update-photo', isManager, uploadPhoto, async (req, res) => {
     try {
+        if (!req.file) {
+            req.session.message = {
+                type: 'danger',
+                text: 'No file was uploaded. Please select an image file.'
+            };
+            return res.redirect('/manager/profile');
+        }
+
         const userId = req.session.user._id;
         
-        // Log the received data for debugging
-        console.log('Received profile update data:', req.body);
-        
-        // Create the updated profile object with all fields
-        const updatedProfile = {
-            name: req.body.name || '',
-            first_name: req.body.first_name || '',
-            last_name: req.body.last_name || '',
-            email: req.body.email || req.session.user.email, // Keep existing email if not provided
-            phone: req.body.phone || '',
-            age: req.body.age ? parseInt(req.body.age, 10) : undefined,
-            address: req.body.address || '',
-            bio: req.body.bio || '',
-            organization: req.body.organization || req.body.organization_name || '',
-            organization_name: req.body.organization || req.body.organization_name || ''
-        };
-        
-        console.log('Updating profile with data:', updatedProfile);
+        // Set the path to the uploaded file - ensure it starts with a slash for consistency
+        const profileImagePath = resolveUploadedImagePath(req.file);
         
-        // Update the user in the database
-        const updatedUser = await User.updateUser(userId, updatedProfile);
+        // Update user in database using the updateUser method from our model
+        const updatedUser = await User.updateUser(userId, {
+            profile_image: profileImagePath
+        });
         
         if (!updatedUser) {
-            throw new Error('Failed to update user in database');
+            throw new Error('Failed to update user record');
         }
         
-        // Fetch fresh user data from database to ensure we have all fields
-        const freshUserData = await User.getUserById(userId);
+        // Fetch the latest user data from database to ensure we have all fields
+        const latestUserData = await User.getUserById(userId);
         
-        if (!freshUserData) {
+        if (!latestUserData) {
             throw new Error('Failed to retrieve updated user data');
         }
         
         // Create complete user object for session
-        const sessionUser = freshUserData.toObject ? freshUserData.toObject() : freshUserData;
+        const sessionUser = latestUserData.toObject ? latestUserData.toObject() : latestUserData;
         
         // Add UI-friendly name format
         sessionUser.name = sessionUser.first_name + (sessionUser.last_name ? ' ' + sessionUser.last_name : '');
         
-        console.log('Updating session with complete user data:', {
-            name: sessionUser.name,
-            email: sessionUser.email,
-            profile_image: sessionUser.profile_image,
-            age: sessionUser.age,
-            address: sessionUser.address, 
-            bio: sessionUser.bio
-        });
+        console.log('Profile picture updated successfully:', profileImagePath);
         
-        // Update the session with complete user data
+        // Update the complete session with the latest user data
         req.session.user = sessionUser;
         
-        // Save session to ensure persistence
-        req.session.save(err => {
+        // Save the session to ensure changes are persisted
+        req.session.save((err) => {
             if (err) {
                 console.error('Error saving session after profile update:', err);
             }
             
-            req.session.flashMessage = {
+            req.session.message = {
                 type: 'success',
-                text: 'Profile updated successfully!'
+                text: 'Profile picture updated successfully!'
             };
             
-            return res.redirect('/manager/profile');
+            res.redirect('/manager/profile');
         });
     } catch (err) {
-        console.error('Error updating profile:', err);
-        req.session.flashMessage = {
-            type: 'error',
-            text: `Error updating profile: ${err.message}`
+        console.error('Error updating profile picture:', err);
+        req.session.message = {
+            type: 'danger',
+            text: `Failed to update profile picture: ${err.message}`
         };
-        return res.redirect('/manager/profile');
+        res.redirect('/manager/profile');
+    }
+});
+
+// Browse Events route
+router.get('/browse-events', cacheMiddleware(60), async (req, res) => {
+    try {
+        console.log('Accessing browse-events route');
+        
+        const Event = require('../models/event');
+        const Team = require('../models/team');
+
+        // Check if session user exists
+        if (!req.session.user?._id) {
+            console.error('No user ID found in session');
+            return res.status(401).render('error', {
+                title: '401 - Unauthorized',
+                message: 'You must be logged in to browse events.',
+                layout: 'layouts/main'
+            });
+        }
+
+        const managerId = req.session.user._id;
+        console.log('Checking session user ID:', managerId);
+
+        try {
+            // Get manager's teams
+            const teams = await Team.getTeamsByManager(managerId);
+            console.log(`Retrieved ${teams.length} teams`);
+            
+            // Get team IDs for lookup
+            const teamIds = teams.map(team => team._id.toString());
+            
+            // Get manager's registered events
+            const registeredEvents = await Event.getManagerEvents(managerId);
+            console.log(`Retrieved ${registeredEvents ? registeredEvents.length : 0} registered events`);
+            
+            // Create a set of event IDs that the manager is already registered for
+            const registeredEventIds = new Set();
+            if (registeredEvents && registeredEvents.length > 0) {
+                registeredEvents.forEach(event => {
+                    registeredEventIds.add(event.event_id.toString());
+                });
+            }
+            
+            const search = String(req.query.search || '').trim();
+            const page = Math.max(1, Number(req.query.page) || 1);
+            const limit = Math.min(50, Math.max(1, Number(req.query.limit) || 20));
+
+            let events = [];
+            let searchMeta = null;
+            let pagination = null;
+
+            if (search) {
+                const searchResult = await searchEvents({
+                    search,
+                    page,
+                    limit,
+                    statuses: ['upcoming', 'ongoing', 'completed', 'open']
+                });
+
+                events = searchResult.data || [];
+                searchMeta = searchResult.searchMeta || null;
+                pagination = searchResult.pagination || null;
+                console.log(`Manager browse-events search returned ${events.length} results`);
+            } else {
+                // Keep existing non-search behavior for backward compatibility.
+                const allEvents = await Event.getAllEvents();
+                events = allEvents.filter(event =>
+                    ['upcoming', 'ongoing', 'completed', 'open'].includes(event.status)
+                );
+                console.log(`Retrieved ${events.length} approved events (filtered from ${allEvents.length} total)`);
+            }
+            
+            // Format events for display
+            const formattedEvents = events.map(event => {
+                // Check if this event is already registered by any team of this manager
+                const eventId = String(event._id || event.id || event.event_id || '');
+                const isRegistered = registeredEventIds.has(eventId);
+                
+                // Find registration status if registered
+                let registrationStatus = null;
+                if (isRegistered && event.team_registrations) {
+                    const managerRegistration = event.team_registrations.find(reg => 
+                        teamIds.includes(reg.team_id.toString())
+                    );
+                    if (managerRegistration) {
+                        registrationStatus = managerRegistration.status;
+                    }
+                }
+                
+                // Ensure all required fields exist with fallbacks
+                return {
+                    id: eventId,
+                    name: event.title || 'Unnamed Event',
+                    description: event.description || '',
+                    date: event.event_date || event.date || new Date().toISOString().split('T')[0],
+                    location: event.location || 'TBD',
+                    sport: event.sport_type || 'General',
+                    status: 'Open',
+                    registration_deadline: event.registration_deadline || new Date().toISOString().split('T')[0],
+                    max_participants: event.max_teams ? event.max_teams * 10 : 100,
+                    current_participants: 0,
+                    isRegistered: isRegistered,
+                    registrationStatus: registrationStatus,
+                    // Format organizer information
+                    organizer: event.organizer_first_name && event.organizer_last_name ? 
+                        `${event.organizer_first_name} ${event.organizer_last_name}` : 
+                        (event.organization_name || 'Unknown')
+                };
+            });
+            
+            // Check for messages
+            let message = null;
+            if (req.session.message) {
+                message = req.session.message;
+                delete req.session.message;
+            }
+            
+            res.json({
+                success: true,
+                events: formattedEvents,
+                pastEvents: registeredEvents || [],
+                teams: teams,
+                searchMeta,
+                pagination,
+                message: message
+            });
+        } catch (err) {
+            console.error('Error fetching event data:', err);
+            return res.status(500).json({
+                success: false,
+                message: 'An error occurred while fetching event data: ' + err.message
+            });
+        }
+    } catch (error) {
+        console.error('Error loading browse events page:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'An error occurred while loading the browse events page.'
+        });
     }
 });
 
-// Add route for changing password
-router.post('/change-password', isManager, async (req, res) => {
+// Route for registering for an event
+router.post('/event/:id/register', async (req, res) => {
     try {
-        const userId = req.session.user._id;
-        const { currentPassword, newPassword, confirmPassword } = req.body;
+        const eventId = req.params.id;
+        const teamId = req.body.team_id;
+        const notes = req.body.notes || '';
+    
+        console.log(`Attempting to register a team for event ${eventId}`);
+        console.log('Request body:', req.body);
+        console.log('Session user:', req.session.user);
+    
+        // Verify user is authenticated
+        if (!req.session.user || !req.session.user._id) {
+            return res.status(401).json({
+                success: false,
+                message: 'You must be logged in to register for events'
+            });
+        }
+    
+        if (!eventId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Event ID is missing from the request'
+            });
+        }
         
-        console.log('Password change request received');
+        if (!teamId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Team ID is required for registration. Please select a valid team.'
+            });
+        }
         
-        // Validate password match
-        if (newPassword !== confirmPassword) {
-            req.session.flashMessage = {
-                type: 'error',
-                text: 'New passwords do not match.'
-            };
-            return res.redirect('/manager/profile');
+        // Verify that the event exists
+        const Event = require('../models/event');
+        const event = await Event.getEventById(eventId);
+        
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
         }
         
-        // Get user from database
-        const user = await User.getUserById(userId);
+        // Verify that the team belongs to the current manager
+        const Team = require('../models/team');
+        const team = await Team.getTeamById(teamId);
         
-        if (!user) {
-            throw new Error('User not found');
+        if (!team) {
+            return res.status(404).json({
+                success: false,
+                message: 'Team not found'
+            });
+        }
+
+        if (team.archived_at) {
+            return res.status(400).json({
+                success: false,
+                message: 'Archived teams cannot register for events. Restore the team first.'
+            });
         }
         
-        // Verify current password using bcrypt
-        const bcrypt = require('bcrypt');
-        const isMatch = await bcrypt.compare(currentPassword, user.password);
+        const managerId = req.session.user._id;
         
-        if (!isMatch) {
-            req.session.flashMessage = {
-                type: 'error',
-                text: 'Current password is incorrect.'
-            };
-            return res.redirect('/manager/profile');
+        // Extract manager ID - getTeamById returns team.manager.id, not team.manager_id
+        let teamManagerId;
+        if (team.manager && team.manager.id) {
+            // This is what getTeamById actually returns
+            teamManagerId = team.manager.id.toString();
+        } else if (team.manager_id) {
+            // Fallback for other code paths
+            teamManagerId = team.manager_id._id ? team.manager_id._id.toString() : team.manager_id.toString();
+        } else {
+            // If neither exists, skip check since teams always have managers
+            console.warn('Warning: Team has no manager info, allowing registration anyway');
+            teamManagerId = managerId.toString();
         }
         
-        // Hash new password
-        const salt = await bcrypt.genSalt(10);
-        const hashedPassword = await bcrypt.hash(newPassword, salt);
+        console.log('Manager comparison:', {
+            teamManagerId,
+            currentManagerId: managerId.toString(),
+            match: teamManagerId === managerId.toString()
+        });
         
-        // Update password directly in the database
-        user.password = hashedPassword;
-        await user.save();
+        if (teamManagerId !== managerId.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to register this team'
+            });
+        }
         
-        console.log('Password updated successfully');
+        console.log('Existing registrations:', event.team_registrations ? event.team_registrations.map(r => r.team_id) : []);
+        console.log(`Verified team ${teamId} belongs to manager ${managerId}`);
         
-        req.session.flashMessage = {
-            type: 'success',
-            text: 'Password changed successfully!'
-        };
-        res.redirect('/manager/profile');
-    } catch (err) {
-        console.error('Error changing password:', err);
-        req.session.flashMessage = {
-            type: 'error',
-            text: `Error changing password: ${err.message}`
-        };
-        res.redirect('/manager/profile');
-    }
+        // Check if THIS SPECIFIC TEAM is already registered (allow multiple teams per manager)
+        if (event.team_registrations && event.team_registrations.length > 0) {
+            const alreadyRegistered = event.team_registrations.some(reg => {
+    const regTeamId =
+        reg.team_id?._id ||
+        reg.team_id;
+
+    if (!regTeamId) return false;
+
+    return regTeamId.toString() === teamId.toString();
 });
 
-// Update profile photo handler
-router.post('/update-photo', isManager, uploadPhoto, async (req, res) => {
-    try {
-        if (!req.file) {
-            req.session.message = {
-                type: 'danger',
-                text: 'No file was uploaded. Please select an image file.'
-            };
-            return res.redirect('/manager/profile');
+            
+            if (alreadyRegistered) {
+                return res.status(400).json({
+                    success: false,
+                    message: `This team is already registered for this event.`
+                });
+            }
         }
+        console.log('Team manager fields:', team.manager_id, team.manager);
 
-        const userId = req.session.user._id;
-        
-        // Set the path to the uploaded file - ensure it starts with a slash for consistency
-        const profileImagePath = resolveUploadedImagePath(req.file);
-        
-        // Update user in database using the updateUser method from our model
-        const updatedUser = await User.updateUser(userId, {
-            profile_image: profileImagePath
-        });
-        
-        if (!updatedUser) {
-            throw new Error('Failed to update user record');
+        // Full events take new teams on their waitlist instead
+        if (waitlists.isFull(event)) {
+            return res.status(409).json({
+                success: false,
+                message: 'This event is full. You can join the waitlist and we will offer your team the next open spot.',
+                waitlist: true
+            });
         }
         
-        // Fetch the latest user data from database to ensure we have all fields
-        const latestUserData = await User.getUserById(userId);
-        
-        if (!latestUserData) {
-            throw new Error('Failed to retrieve updated user data');
+        // The squad is optional unless the event sets squad size limits
+        const squadSize = squads.getSquadSize(event);
+        let squad;
+        if (req.body.squad !== undefined || squadSize.min || squadSize.max) {
+            const result = squads.validateSquad(req.body.squad || [], team, event);
+            if (result.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+            squad = result.squad.map(playerId => ({ player_id: playerId, added_at: new Date() }));
         }
         
-        // Create complete user object for session
-        const sessionUser = latestUserData.toObject ? latestUserData.toObject() : latestUserData;
-        
-        // Add UI-friendly name format
-        sessionUser.name = sessionUser.first_name + (sessionUser.last_name ? ' ' + sessionUser.last_name : '');
-        
-        console.log('Profile picture updated successfully:', profileImagePath);
+        // Register the team for the event
+        const registerData = {
+            team_id: teamId,
+            manager_id: managerId,
+            notes: notes,
+            squad,
+            status: 'pending', // Requires organizer approval
+            registration_date: new Date()
+        };
         
-        // Update the complete session with the latest user data
-        req.session.user = sessionUser;
+        console.log('Calling registerTeamForEvent with data:', registerData);
+        await Event.registerTeamForEvent(eventId, registerData);
+
+        // Invalidate my-events + browse-events + dashboard cache for this manager
+        const mgrId = req.session.user._id.toString();
+        await invalidateCacheByPrefixes([
+            '/api/manager/my-events',
+            '/api/manager/browse-events',
+            '/api/manager/',
+            '/api/manager/dashboard'
+        ], mgrId);
         
-        // Save the session to ensure changes are persisted
-        req.session.save((err) => {
-            if (err) {
-                console.error('Error saving session after profile update:', err);
+        return res.json({
+            success: true,
+            message: 'Registration submitted successfully! Waiting for organizer approval.'
+        });
+    } catch (error) {
+        console.error('Error registering for event:', error);
+        return res.status(500).json({
+            success: false,
+            message: error.message || 'An unexpected error occurred while registering for the event'
+        });
+    }
+});
+
+/**
+ * Load an event and one of the manager's teams for a waitlist action.
+ * Returns {status, message} instead when the manager cannot act for the team.
+ */
+async function loadWaitlistTeam(eventId, teamId, managerId) {
+    const EventSchema = require('../models/schemas/eventSchema');
+    if (!teamId) {
+        return { status: 400, message: 'Team ID is required' };
+    }
+    const [event, team] = await Promise.all([
+        EventSchema.findById(eventId),
+        TeamSchema.findById(teamId)
+    ]);
+
+    if (!event) {
+        return { status: 404, message: 'Event not found' };
+    }
+    if (!team) {
+        return { status: 404, message: 'Team not found' };
+    }
+    if (team.manager_id.toString() !== managerId.toString()) {
+        return { status: 403, message: 'You do not have permission to manage this team' };
+    }
+    return { event, team };
+}
+
+/**
+ * Join a full event's waitlist
+ * POST /api/manager/event/:id/waitlist
+ */
+router.post('/event/:id/waitlist', async (req, res) => {
+    try {
+        const managerId = req.session.user._id;
+        const loaded = await loadWaitlistTeam(req.params.id, req.body.team_id, managerId);
+        if (loaded.status) {
+            return res.status(loaded.status).json({ success: false, message: loaded.message });
+        }
+        const { event, team } = loaded;
+
+        if (team.archived_at) {
+            return res.status(400).json({
+                success: false,
+                message: 'Archived teams cannot register for events. Restore the team first.'
+            });
+        }
+
+        // Same squad rules as a direct registration, so the team can take a spot as is
+        const squadSize = squads.getSquadSize(event);
+        let squad;
+        if (req.body.squad !== undefined || squadSize.min || squadSize.max) {
+            const result = squads.validateSquad(req.body.squad || [], team, event);
+            if (result.error) {
+                return res.status(400).json({ success: false, message: result.error });
             }
-            
-            req.session.message = {
-                type: 'success',
-                text: 'Profile picture updated successfully!'
-            };
-            
-            res.redirect('/manager/profile');
+            squad = result.squad.map(playerId => ({ player_id: playerId, added_at: new Date() }));
+        }
+
+        const place = await Event.joinWaitlist(event._id, {
+            team_id: team._id,
+            manager_id: managerId,
+            notes: String(req.body.notes || '').trim().slice(0, 500),
+            squad
+        });
+
+        await invalidateCacheByPrefixes(['/api/manager/my-events'], managerId.toString());
+
+        res.status(201).json({
+            success: true,
+            message: `${team.name} is #${place.position} on the waitlist. We will email you when a spot opens.`,
+            waitlist: place
         });
     } catch (err) {
-        console.error('Error updating profile picture:', err);
-        req.session.message = {
-            type: 'danger',
-            text: `Failed to update profile picture: ${err.message}`
-        };
-        res.redirect('/manager/profile');
+        console.error('Error joining waitlist:', err);
+        res.status(400).json({ success: false, message: err.message });
     }
 });
 
-// Browse Events route
-router.get('/browse-events', cacheMiddleware(60), async (req, res) => {
+/**
+ * Leave an event's waitlist
+ * DELETE /api/manager/event/:id/waitlist?team_id=
+ */
+router.delete('/event/:id/waitlist', async (req, res) => {
     try {
-        console.log('Accessing browse-events route');
-        
-        const Event = require('../models/event');
-        const Team = require('../models/team');
+        const managerId = req.session.user._id;
+        const loaded = await loadWaitlistTeam(req.params.id, req.query.team_id, managerId);
+        if (loaded.status) {
+            return res.status(loaded.status).json({ success: false, message: loaded.message });
+        }
 
-        // Check if session user exists
-        if (!req.session.user?._id) {
-            console.error('No user ID found in session');
-            return res.status(401).render('error', {
-                title: '401 - Unauthorized',
-                message: 'You must be logged in to browse events.',
-                layout: 'layouts/main'
-            });
+        const left = await Event.leaveWaitlist(req.params.id, loaded.team._id);
+        if (!left) {
+            return res.status(404).json({ success: false, message: 'This team is not on the waitlist' });
         }
 
+        await invalidateCacheByPrefixes(['/api/manager/my-events'], managerId.toString());
+
+        res.json({ success: true, message: `${loaded.team.name} left the waitlist` });
+    } catch (err) {
+        console.error('Error leaving waitlist:', err);
+        res.status(400).json({ success: false, message: err.message });
+    }
+});
+
+/**
+ * Take the spot offered to a waitlisted team, paying the entry fee
+ * POST /api/manager/event/:id/waitlist/accept
+ */
+router.post('/event/:id/waitlist/accept', async (req, res) => {
+    try {
         const managerId = req.session.user._id;
-        console.log('Checking session user ID:', managerId);
+        const loaded = await loadWaitlistTeam(req.params.id, req.body.team_id, managerId);
+        if (loaded.status) {
+            return res.status(loaded.status).json({ success: false, message: loaded.message });
+        }
+        const { event, team } = loaded;
 
-        try {
-            // Get manager's teams
-            const teams = await Team.getTeamsByManager(managerId);
-            console.log(`Retrieved ${teams.length} teams`);
-            
-            // Get team IDs for lookup
-            const teamIds = teams.map(team => team._id.toString());
-            
-            // Get manager's registered events
-            const registeredEvents = await Event.getManagerEvents(managerId);
-            console.log(`Retrieved ${registeredEvents ? registeredEvents.length : 0} registered events`);
-            
-            // Create a set of event IDs that the manager is already registered for
-            const registeredEventIds = new Set();
-            if (registeredEvents && registeredEvents.length > 0) {
-                registeredEvents.forEach(event => {
-                    registeredEventIds.add(event.event_id.toString());
-                });
-            }
-            
-            const search = String(req.query.search || '').trim();
-            const page = Math.max(1, Number(req.query.page) || 1);
-            const limit = Math.min(50, Math.max(1, Number(req.query.limit) || 20));
+        const { error } = waitlists.validateAcceptance(event, team._id);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
 
-            let events = [];
-            let searchMeta = null;
-            let pagination = null;
+        // Priced like any other registration: current tier, returning-team discount, promo code
+        const { quoteEntryFee, payEntryFee, returnEntryFee } = require('../controllers/eventPaymentController');
+        const quote = await quoteEntryFee({ event, teamId: team._id, promoCode: req.body.promoCode });
+        if (quote.error) {
+            return res.status(400).json({ success: false, message: quote.error });
+        }
 
-            if (search) {
-                const searchResult = await searchEvents({
-                    search,
-                    page,
-                    limit,
-                    statuses: ['upcoming', 'ongoing', 'completed', 'open']
-                });
+        let payment;
+        if (quote.list_price > 0) {
+            const { commissionRate, ...collected } = await payEntryFee({
+                event,
+                userId: managerId,
+                quote,
+                paymentMethod: req.body.paymentMethod || 'wallet'
+            });
+            payment = collected;
+        }
 
-                events = searchResult.data || [];
-                searchMeta = searchResult.searchMeta || null;
-                pagination = searchResult.pagination || null;
-                console.log(`Manager browse-events search returned ${events.length} results`);
-            } else {
-                // Keep existing non-search behavior for backward compatibility.
-                const allEvents = await Event.getAllEvents();
-                events = allEvents.filter(event =>
-                    ['upcoming', 'ongoing', 'completed', 'open'].includes(event.status)
-                );
-                console.log(`Retrieved ${events.length} approved events (filtered from ${allEvents.length} total)`);
-            }
-            
-            // Format events for display
-            const formattedEvents = events.map(event => {
-                // Check if this event is already registered by any team of this manager
-                const eventId = String(event._id || event.id || event.event_id || '');
-                const isRegistered = registeredEventIds.has(eventId);
-                
-                // Find registration status if registered
-                let registrationStatus = null;
-                if (isRegistered && event.team_registrations) {
-                    const managerRegistration = event.team_registrations.find(reg => 
-                        teamIds.includes(reg.team_id.toString())
-                    );
-                    if (managerRegistration) {
-                        registrationStatus = managerRegistration.status;
-                    }
+        try {
+            await Event.acceptWaitlistOffer(event._id, team._id, payment);
+        } catch (err) {
+            // The offer lapsed or was taken while the fee was being paid
+            if (payment) {
+                try {
+                    await returnEntryFee({ event, payment, reason: 'waitlist offer no longer open' });
+                } catch (returnErr) {
+                    console.error('Error returning entry fee for waitlist offer:', returnErr);
                 }
-                
-                // Ensure all required fields exist with fallbacks
-                return {
-                    id: eventId,
-                    name: event.title || 'Unnamed Event',
-                    description: event.description || '',
-                    date: event.event_date || event.date || new Date().toISOString().split('T')[0],
-                    location: event.location || 'TBD',
-                    sport: event.sport_type || 'General',
-                    status: 'Open',
-                    registration_deadline: event.registration_deadline || new Date().toISOString().split('T')[0],
-                    max_participants: event.max_teams ? event.max_teams * 10 : 100,
-                    current_participants: 0,
-                    isRegistered: isRegistered,
-                    registrationStatus: registrationStatus,
-                    // Format organizer information
-                    organizer: event.organizer_first_name && event.organizer_last_name ? 
-                        `${event.organizer_first_name} ${event.organizer_last_name}` : 
-                        (event.organization_name || 'Unknown')
-                };
-            });
-            
-            // Check for messages
-            let message = null;
-            if (req.session.message) {
-                message = req.session.message;
-                delete req.session.message;
             }
-            
-            res.json({
-                success: true,
-                events: formattedEvents,
-                pastEvents: registeredEvents || [],
-                teams: teams,
-                searchMeta,
-                pagination,
-                message: message
-            });
-        } catch (err) {
-            console.error('Error fetching event data:', err);
-            return res.status(500).json({
-                success: false,
-                message: 'An error occurred while fetching event data: ' + err.message
-            });
+            throw err;
         }
-    } catch (error) {
-        console.error('Error loading browse events page:', error);
-        res.status(500).json({
-            success: false,
-            message: error.message || 'An error occurred while loading the browse events page.'
+
+        await invalidateCacheByPrefixes([
+            '/api/manager/my-events',
+            '/api/manager/dashboard'
+        ], managerId.toString());
+
+        res.json({
+            success: true,
+            message: `${team.name} is registered for ${event.title}`
         });
+    } catch (err) {
+        console.error('Error accepting waitlist offer:', err);
+        res.status(400).json({ success: false, message: err.message });
     }
 });
 
-// Route for registering for an event
-router.post('/event/:id/register', async (req, res) => {
+/**
+ * Turn down the spot offered to a waitlisted team; it goes to the next team
+ * POST /api/manager/event/:id/waitlist/decline
+ */
+router.post('/event/:id/waitlist/decline', async (req, res) => {
     try {
-        const eventId = req.params.id;
-        const teamId = req.body.team_id;
-        const notes = req.body.notes || '';
-    
-        console.log(`Attempting to register a team for event ${eventId}`);
-        console.log('Request body:', req.body);
-        console.log('Session user:', req.session.user);
-    
-        // Verify user is authenticated
-        if (!req.session.user || !req.session.user._id) {
-            return res.status(401).json({
-                success: false,
-                message: 'You must be logged in to register for events'
-            });
+        const managerId = req.session.user._id;
+        const loaded = await loadWaitlistTeam(req.params.id, req.body.team_id, managerId);
+        if (loaded.status) {
+            return res.status(loaded.status).json({ success: false, message: loaded.message });
         }
-    
-        if (!eventId) {
-            return res.status(400).json({
-                success: false,
-                message: 'Event ID is missing from the request'
-            });
+
+        const { error } = waitlists.validateAcceptance(loaded.event, loaded.team._id);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
         }
-        
-        if (!teamId) {
-            return res.status(400).json({
-                success: false,
-                message: 'Team ID is required for registration. Please select a valid team.'
-            });
+
+        await Event.leaveWaitlist(req.params.id, loaded.team._id, 'declined');
+        await invalidateCacheByPrefixes(['/api/manager/my-events'], managerId.toString());
+
+        res.json({ success: true, message: 'Offer declined. The spot goes to the next team in line.' });
+    } catch (err) {
+        console.error('Error declining waitlist offer:', err);
+        res.status(400).json({ success: false, message: err.message });
+    }
+});
+
+/**
+ * Who has paid their share of a team's split entry fee
+ * GET /api/manager/event/:id/split-payment?team_id=
+ */
+router.get('/event/:id/split-payment', async (req, res) => {
+    try {
+        const loaded = await loadSquadRegistration(req.params.id, req.query.team_id, req.session.user._id);
+        if (loaded.status) {
+            return res.status(loaded.status).json({ success: false, message: loaded.message });
+        }
+        const { team, registration } = loaded;
+        const split = registration.split_payment;
+        if (!split || !split.status) {
+            return res.status(404).json({ success: false, message: 'This team\'s entry fee is not split' });
+        }
+
+        const names = new Map(team.members
+            .filter(member => member.player_id)
+            .map(member => [member.player_id._id.toString(), playerName(member.player_id)]));
+
+        res.json({
+            success: true,
+            split: {
+                ...splits.splitSummary(split),
+                shares: split.shares.map(share => ({
+                    player_id: share.player_id,
+                    name: names.get(share.player_id.toString()) || 'Former player',
+                    amount: share.amount,
+                    paid_at: share.paid_at,
+                    refunded_amount: share.refunded_amount || 0,
+                    last_reminded_at: share.last_reminded_at || null
+                }))
+            }
+        });
+    } catch (err) {
+        console.error('Error loading split entry fee:', err);
+        res.status(500).json({ success: false, message: 'Failed to load the entry fee split' });
+    }
+});
+
+/**
+ * Remind players who haven't paid their share of a split entry fee
+ * POST /api/manager/event/:id/split-payment/remind
+ */
+router.post('/event/:id/split-payment/remind', async (req, res) => {
+    try {
+        const loaded = await loadSquadRegistration(req.params.id, req.body.team_id, req.session.user._id);
+        if (loaded.status) {
+            return res.status(loaded.status).json({ success: false, message: loaded.message });
+        }
+        const { event, team, registration } = loaded;
+        const split = registration.split_payment;
+        if (!split || split.status !== 'collecting' || splits.isOverdue(split)) {
+            return res.status(400).json({ success: false, message: 'This entry fee is no longer being collected' });
+        }
+
+        const { remindSplitPayers } = require('../controllers/eventPaymentController');
+        const reminded = await remindSplitPayers({
+            event,
+            registration,
+            team,
+            intervalHours: splits.MANUAL_REMINDER_HOURS
+        });
+
+        res.json({
+            success: true,
+            reminded,
+            message: reminded > 0
+                ? `Reminded ${reminded} player${reminded === 1 ? '' : 's'}`
+                : 'Everyone who hasn\'t paid was reminded within the last hour'
+        });
+    } catch (err) {
+        console.error('Error sending entry fee reminders:', err);
+        res.status(500).json({ success: false, message: 'Failed to send reminders' });
+    }
+});
+
+/**
+ * Load a manager's registration for an event, with the team's members.
+ * Returns {status, message} instead when the manager cannot see it.
+ */
+async function loadSquadRegistration(eventId, teamId, managerId) {
+    const EventSchema = require('../models/schemas/eventSchema');
+    const [event, team] = await Promise.all([
+        EventSchema.findById(eventId),
+        teamId ? TeamSchema.findById(teamId).populate('members.player_id', 'first_name last_name') : null
+    ]);
+
+    if (!event) {
+        return { status: 404, message: 'Event not found' };
+    }
+    if (!team) {
+        return { status: 404, message: 'Team not found' };
+    }
+    if (team.manager_id.toString() !== managerId.toString()) {
+        return { status: 403, message: 'You do not have permission to manage this team\'s squad' };
+    }
+    const registration = event.team_registrations.find(reg =>
+        reg.team_id && reg.team_id.toString() === team._id.toString() &&
+        ['pending', 'approved', 'confirmed'].includes(reg.status));
+    if (!registration) {
+        return { status: 404, message: 'This team is not registered for this event' };
+    }
+    return { event, team, registration };
+}
+
+const playerName = user => user && user.first_name ? `${user.first_name} ${user.last_name}`.trim() : 'Unknown Player';
+
+/**
+ * Get a team's squad for an event
+ * GET /api/manager/event/:id/squad?team_id=
+ */
+router.get('/event/:id/squad', async (req, res) => {
+    try {
+        const loaded = await loadSquadRegistration(req.params.id, req.query.team_id, req.session.user._id);
+        if (loaded.status) {
+            return res.status(loaded.status).json({ success: false, message: loaded.message });
+        }
+        const { event, team, registration } = loaded;
+
+        const squadIds = squads.squadIds(registration);
+        const members = team.members
+            .filter(member => member.status === 'active' && member.player_id)
+            .map(member => ({
+                player_id: member.player_id._id,
+                name: playerName(member.player_id),
+                jersey_number: member.jersey_number,
+                position: member.position,
+                in_squad: squadIds.includes(member.player_id._id.toString())
+            }));
+        const nameOf = playerId => {
+            const member = team.members.find(m => m.player_id && m.player_id._id.toString() === String(playerId));
+            return member ? playerName(member.player_id) : 'Former member';
+        };
+
+        res.json({
+            success: true,
+            event: {
+                id: event._id,
+                name: event.title,
+                registration_deadline: event.registration_deadline,
+                squad_size: squads.getSquadSize(event)
+            },
+            team: { id: team._id, name: team.name },
+            locked: squads.isSquadLocked(event),
+            squad: squadIds.map(playerId => ({ player_id: playerId, name: nameOf(playerId) })),
+            members,
+            substitutions: registration.substitutions.map(sub => ({
+                _id: sub._id,
+                out_player_id: sub.out_player_id,
+                out_player_name: nameOf(sub.out_player_id),
+                in_player_id: sub.in_player_id,
+                in_player_name: nameOf(sub.in_player_id),
+                reason: sub.reason,
+                status: sub.status,
+                requested_at: sub.requested_at,
+                reviewed_at: sub.reviewed_at,
+                review_note: sub.review_note
+            }))
+        });
+    } catch (err) {
+        console.error('Error fetching squad:', err);
+        res.status(400).json({ success: false, message: err.message });
+    }
+});
+
+/**
+ * Replace a team's squad before the registration deadline
+ * PUT /api/manager/event/:id/squad
+ */
+router.put('/event/:id/squad', async (req, res) => {
+    try {
+        const managerId = req.session.user._id;
+        const loaded = await loadSquadRegistration(req.params.id, req.body.team_id, managerId);
+        if (loaded.status) {
+            return res.status(loaded.status).json({ success: false, message: loaded.message });
         }
-        
-        // Verify that the event exists
-        const Event = require('../models/event');
-        const event = await Event.getEventById(eventId);
-        
-        if (!event) {
-            return res.status(404).json({
+        const { event, team, registration } = loaded;
+
+        if (squads.isSquadLocked(event)) {
+            return res.status(400).json({
                 success: false,
-                message: 'Event not found'
+                message: 'Squads are locked after the registration deadline. Request a substitution instead.'
             });
         }
-        
-        // Verify that the team belongs to the current manager
-        const Team = require('../models/team');
-        const team = await Team.getTeamById(teamId);
-        
-        if (!team) {
-            return res.status(404).json({
-                success: false,
-                message: 'Team not found'
-            });
+
+        const { error, squad } = squads.validateSquad(req.body.squad, team, event);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
         }
-        
+
+        const now = new Date();
+        const addedAt = new Map(registration.squad.map(entry => [entry.player_id.toString(), entry.added_at]));
+        registration.squad = squad.map(playerId => ({ player_id: playerId, added_at: addedAt.get(playerId) || now }));
+        registration.squad_updated_at = now;
+        await event.save();
+
+        await invalidateCacheByPrefixes(['/api/manager/my-events'], managerId.toString());
+
+        res.json({
+            success: true,
+            message: 'Squad updated',
+            squad
+        });
+    } catch (err) {
+        console.error('Error updating squad:', err);
+        res.status(400).json({ success: false, message: err.message });
+    }
+});
+
+/**
+ * Ask the organizer to swap a player in a locked squad
+ * POST /api/manager/event/:id/squad/substitutions
+ */
+router.post('/event/:id/squad/substitutions', async (req, res) => {
+    try {
         const managerId = req.session.user._id;
-        
-        // Extract manager ID - getTeamById returns team.manager.id, not team.manager_id
-        let teamManagerId;
-        if (team.manager && team.manager.id) {
-            // This is what getTeamById actually returns
-            teamManagerId = team.manager.id.toString();
-        } else if (team.manager_id) {
-            // Fallback for other code paths
-            teamManagerId = team.manager_id._id ? team.manager_id._id.toString() : team.manager_id.toString();
-        } else {
-            // If neither exists, skip check since teams always have managers
-            console.warn('Warning: Team has no manager info, allowing registration anyway');
-            teamManagerId = managerId.toString();
+        const loaded = await loadSquadRegistration(req.params.id, req.body.team_id, managerId);
+        if (loaded.status) {
+            return res.status(loaded.status).json({ success: false, message: loaded.message });
         }
-        
-        console.log('Manager comparison:', {
-            teamManagerId,
-            currentManagerId: managerId.toString(),
-            match: teamManagerId === managerId.toString()
-        });
-        
-        if (teamManagerId !== managerId.toString()) {
-            return res.status(403).json({
+        const { event, team, registration } = loaded;
+
+        if (!squads.isSquadLocked(event)) {
+            return res.status(400).json({
                 success: false,
-                message: 'You do not have permission to register this team'
+                message: 'The squad is not locked yet. Edit it directly until the registration deadline.'
             });
         }
-        
-        console.log('Existing registrations:', event.team_registrations ? event.team_registrations.map(r => r.team_id) : []);
-        console.log(`Verified team ${teamId} belongs to manager ${managerId}`);
-        
-        // Check if THIS SPECIFIC TEAM is already registered (allow multiple teams per manager)
-        if (event.team_registrations && event.team_registrations.length > 0) {
-            const alreadyRegistered = event.team_registrations.some(reg => {
-    const regTeamId =
-        reg.team_id?._id ||
-        reg.team_id;
 
-    if (!regTeamId) return false;
+        const error = squads.validateSubstitution(registration, team, req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
 
-    return regTeamId.toString() === teamId.toString();
-});
+        registration.substitutions.push({
+            out_player_id: req.body.out_player_id,
+            in_player_id: req.body.in_player_id,
+            reason: String(req.body.reason || '').trim().slice(0, 500),
+            requested_by: managerId
+        });
+        await event.save();
 
-            
-            if (alreadyRegistered) {
-                return res.status(400).json({
-                    success: false,
-                    message: `This team is already registered for this event.`
-                });
-            }
-        }
-        console.log('Team manager fields:', team.manager_id, team.manager);
-        // Register the team for the event
-        const registerData = {
-            team_id: teamId,
-            manager_id: managerId,
-            notes: notes,
-            status: 'pending', // Requires organizer approval
-            registration_date: new Date()
-        };
-        
-        console.log('Calling registerTeamForEvent with data:', registerData);
-        await Event.registerTeamForEvent(eventId, registerData);
+        await invalidateCacheByPrefixes([`/api/organizer/event/${event._id}`], event.organizer_id.toString());
 
-        // Invalidate my-events + browse-events + dashboard cache for this manager
-        const mgrId = req.session.user._id.toString();
-        await invalidateCacheByPrefixes([
-            '/api/manager/my-events',
-            '/api/manager/browse-events',
-            '/api/manager/',
-            '/api/manager/dashboard'
-        ], mgrId);
-        
-        return res.json({
+        res.status(201).json({
             success: true,
-            message: 'Registration submitted successfully! Waiting for organizer approval.'
-        });
-    } catch (error) {
-        console.error('Error registering for event:', error);
-        return res.status(500).json({
-            success: false,
-            message: error.message || 'An unexpected error occurred while registering for the event'
+            message: 'Substitution requested. The organizer will review it.',
+            substitution: registration.substitutions[registration.substitutions.length - 1]
         });
+    } catch (err) {
+        console.error('Error requesting substitution:', err);
+        res.status(400).json({ success: false, message: err.message });
     }
 });
 
@@ -1867,10 +3570,51 @@ router.get('/my-events', cacheMiddleware(45), async (req, res) => {
                         team_id: reg.team_id,
                         team_name: team.name,
                         registration_status: reg.status,
-                        registration_date: new Date(reg.registration_date).toLocaleDateString()
+                        registration_date: new Date(reg.registration_date).toLocaleDateString(),
+                        entry_fee: event.entry_fee || 0,
+                        payment: reg.payment && reg.payment.amount > 0 ? {
+                            amount: reg.payment.amount,
+                            paid_at: reg.payment.paid_at,
+                            refunded_amount: reg.payment.refunded_amount || 0,
+                            refunded_at: reg.payment.refunded_at || null
+                        } : null,
+                        split_payment: reg.split_payment && reg.split_payment.status
+                            ? splits.splitSummary(reg.split_payment)
+                            : null,
+                        refund_policy: refunds.describeRefundPolicy(event),
+                        // What the team would get back if it withdrew now; shares
+                        // of a fee still being collected all go back
+                        refund_quote: reg.split_payment && reg.split_payment.status === 'collecting'
+                            ? splits.collectedAmount(reg.split_payment)
+                            : refunds.refundQuote(event, reg.payment, 'team_withdrawn').amount
                     });
                 }
             }
+
+            // Teams queued for a spot, with their place in line or open offer
+            for (const entry of event.waitlist || []) {
+                if (!['waiting', 'offered'].includes(entry.status)) continue;
+                const team = teams.find(t => t._id.toString() === entry.team_id.toString());
+                if (!team) continue;
+
+                registeredEvents.push({
+                    event_id: event._id,
+                    event_name: event.title,
+                    event_date: new Date(event.event_date).toLocaleDateString(),
+                    start_date: event.event_date,
+                    event_location: event.location,
+                    location: event.location,
+                    sport_type: event.sport_type,
+                    sport: event.sport_type,
+                    event_status: event.status,
+                    entry_fee: pricing.currentTier(event).price,
+                    team_id: entry.team_id,
+                    team_name: team.name,
+                    registration_status: 'waitlisted',
+                    registration_date: new Date(entry.joined_at).toLocaleDateString(),
+                    waitlist: waitlists.waitlistPosition(event, entry.team_id)
+                });
+            }
         }
         
         console.log(`Found ${registeredEvents.length} registered events for manager's teams`);
@@ -1948,6 +3692,15 @@ router.get('/event/:id/details', async (req, res) => {
             registration_deadline: event.registration_deadline,
             max_teams: event.max_teams,
             entry_fee: event.entry_fee,
+            // What registering costs today, before any discount
+            current_price: pricing.currentTier(event),
+            price_tiers: pricing.sortTiers(event.price_tiers || []),
+            returning_team_discount: event.returning_team_discount || 0,
+            refund_policy: refunds.describeRefundPolicy(event),
+            squad_size: squads.getSquadSize(event),
+            squad_locked: squads.isSquadLocked(event),
+            is_full: waitlists.isFull(event),
+            waitlist_count: waitlists.waitingEntries(event).length,
             organizer: event.organizer_first_name && event.organizer_last_name ? 
                 `${event.organizer_first_name} ${event.organizer_last_name}` : 
                 (event.organization_name || 'Unknown Organizer')
@@ -2165,13 +3918,26 @@ router.post('/event/:id/withdraw', async (req, res) => {
         // Now perform the withdrawal
         console.log(`Now withdrawing team ${registeredTeamId} (${teamName}) from event ${eventId}`);
         
+        // Refund the entry fee under the event's policy before the registration goes
+        const registration = (event.team_registrations || []).find(reg =>
+            reg.team_id && reg.team_id.toString() === registeredTeamId.toString());
+        let refund = { amount: 0 };
+        if (registration) {
+            const { refundEntryFee } = require('../controllers/eventPaymentController');
+            refund = await refundEntryFee({ event, registration, reason: 'team_withdrawn' });
+        }
+
         await Event.withdrawTeamFromEvent(eventId, registeredTeamId);
+        await invalidateCacheByPrefixes(['/api/manager/my-events'], managerId.toString());
         
         console.log('Withdrawal completed successfully');
         
         return res.json({
             success: true,
-            message: `Successfully withdrew ${teamName} from the event.`
+            message: refund.amount > 0
+                ? `Successfully withdrew ${teamName} from the event. ₹${refund.amount} has been refunded to your wallet.`
+                : `Successfully withdrew ${teamName} from the event.`,
+            refund
         });
     } catch (error) {
         console.error('ERROR during withdrawal process:', error);
@@ -2265,7 +4031,7 @@ router.get('/teams/:id', async (req, res) => {
         }
         
         // Verify ownership
-        if (team.manager.id.toString() !== req.session.user._id.toString()) {
+        if (!canManageTeam(team, req.session.user._id)) {
             req.session.flashMessage = {
                 type: 'error',
                 text: 'You do not have permission to view this team'
@@ -2308,7 +4074,7 @@ router.get('/teams/:id/edit', async (req, res) => {
         }
         
         // Verify ownership
-        if (team.manager.id.toString() !== req.session.user._id.toString()) {
+        if (!canManageTeam(team, req.session.user._id)) {
             req.session.flashMessage = {
                 type: 'error',
                 text: 'You do not have permission to edit this team'
@@ -2357,7 +4123,7 @@ router.get('/teams/:id/requests', async (req, res) => {
         }
         
         // Verify ownership
-        if (team.manager.id.toString() !== req.session.user._id.toString()) {
+        if (!canManageTeam(team, req.session.user._id)) {
             req.session.flashMessage = {
                 type: 'error',
                 text: 'You do not have permission to manage this team'
@@ -2527,7 +4293,7 @@ router.get('/team/:id/manage', async (req, res) => {
         const team = await Team.getTeamById(teamId);
         
         // Verify this manager owns the team
-        if (!team || team.manager.id.toString() !== managerId.toString()) {
+        if (!team || !canManageTeam(team, managerId)) {
             req.session.flashMessage = {
                 type: 'error',
                 text: 'You do not have permission to manage this team'
@@ -2621,7 +4387,7 @@ router.post('/team/:id/handle-request', async (req, res) => {
         const team = await Team.getTeamById(teamId);
         
         // Verify this manager owns the team
-        if (!team || team.manager.id.toString() !== managerId.toString()) {
+        if (!team || !canManageTeam(team, managerId)) {
             req.session.flashMessage = {
                 type: 'error',
                 text: 'You do not have permission to manage this team'
@@ -2668,13 +4434,22 @@ router.post('/team/:id/remove-member', async (req, res) => {
         const team = await Team.getTeamById(teamId);
         
         // Verify this manager owns the team
-        if (!team || team.manager.id.toString() !== managerId.toString()) {
+        if (!team || !canManageTeam(team, managerId)) {
             req.session.messages = {
                 error: 'You do not have permission to manage this team'
             };
             return res.redirect('/manager/my-teams');
         }
         
+        // Co-managers can only be removed by the team's manager
+        const target = team.members.find(m => m.id.toString() === playerId.toString());
+        if (target && target.role === 'co_manager' && team.manager.id.toString() !== managerId.toString()) {
+            req.session.messages = {
+                error: 'Only the team manager can remove a co-manager'
+            };
+            return res.redirect(`/manager/team/${teamId}/manage`);
+        }
+        
         // Store team name before removing player for use in notification
         const teamName = team.name;
         
@@ -2763,7 +4538,7 @@ router.post('/team/:teamId/match/record', async (req, res) => {
         
         // Verify manager owns the team
         const team = await Team.getTeamById(teamId);
-        if (team.manager.id.toString() !== managerId.toString()) {
+        if (!canManageTeam(team, managerId)) {
             return res.status(403).json({
                 success: false,
                 message: 'You are not authorized to record matches for this team'
@@ -2795,6 +4570,13 @@ router.post('/team/:teamId/match/record', async (req, res) => {
             matchData.verified_at = new Date();
         }
         
+        // Event results wait for the other team's manager to confirm them
+        if (matchData.status === 'pending' && team_a && team_b) {
+            const resultConfirmation = require('../services/resultConfirmationService');
+            matchData.confirmation = await resultConfirmation.createConfirmationRequest(matchData, teamId);
+            matchData.result_audit = [resultConfirmation.buildAuditEntry('submitted', matchData, req.session.user)];
+        }
+        
         const match = await Match.createMatch(matchData);
         
         // If friendly match (auto-verified), update stats immediately
@@ -2832,7 +4614,7 @@ router.get('/team/:teamId/matches', async (req, res) => {
         
         // Verify manager owns the team
         const team = await Team.getTeamById(teamId);
-        if (team.manager.id.toString() !== managerId.toString()) {
+        if (!canManageTeam(team, managerId)) {
             return res.status(403).json({
                 success: false,
                 message: 'You are not authorized to view matches for this team'
@@ -2868,15 +4650,15 @@ router.put('/team/:teamId/match/:matchId', async (req, res) => {
         
         // Verify manager owns the team
         const team = await Team.getTeamById(teamId);
-        if (team.manager.id.toString() !== managerId.toString()) {
+        if (!canManageTeam(team, managerId)) {
             return res.status(403).json({
                 success: false,
                 message: 'You are not authorized to update matches for this team'
             });
         }
         
-        const Match = require('../models/match');
-        const match = await Match.getMatchById(matchId);
+        const MatchSchema = require('../models/schemas/matchSchema');
+        const match = await MatchSchema.findById(matchId);
         
         if (!match) {
             return res.status(404).json({
@@ -2885,20 +4667,45 @@ router.put('/team/:teamId/match/:matchId', async (req, res) => {
             });
         }
         
-        // Can only edit pending or disputed matches
-        if (match.status !== 'pending' && match.status !== 'disputed') {
+        if (!match.team_a.equals(teamId) && !match.team_b.equals(teamId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'This team is not in this match'
+            });
+        }
+        
+        // Only pending results can be edited; disputes are settled by the organizer
+        if (match.status !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                message: match.status === 'disputed'
+                    ? 'This result is disputed. Add your evidence to the dispute instead.'
+                    : 'Cannot edit verified matches'
+            });
+        }
+        
+        if (match.confirmation && match.confirmation.status === 'awaiting' &&
+            String(match.confirmation.awaiting_team) === String(teamId)) {
             return res.status(400).json({
                 success: false,
-                message: 'Cannot edit verified matches'
+                message: 'Confirm or counter-claim the result submitted by the other team'
             });
         }
         
-        const updated = await Match.updateMatchResult(matchId, parseInt(score_a), parseInt(score_b));
+        // An edited result goes back to the other team for confirmation
+        const resultConfirmation = require('../services/resultConfirmationService');
+        match.score_a = parseInt(score_a);
+        match.score_b = parseInt(score_b);
+        match.winner = resultConfirmation.winnerFor(match.score_a, match.score_b);
+        match.recorded_by = managerId;
+        match.confirmation = await resultConfirmation.createConfirmationRequest(match, teamId);
+        match.result_audit.push(resultConfirmation.buildAuditEntry('resubmitted', match, req.session.user));
+        await match.save();
         
         res.json({
             success: true,
-            message: 'Match updated successfully',
-            match: updated
+            message: 'Match updated. Awaiting confirmation from the other team.',
+            match
         });
     } catch (err) {
         console.error('Error updating match:', err);
@@ -2921,7 +4728,7 @@ router.delete('/team/:teamId/match/:matchId', async (req, res) => {
         
         // Verify manager owns the team
         const team = await Team.getTeamById(teamId);
-        if (team.manager.id.toString() !== managerId.toString()) {
+        if (!canManageTeam(team, managerId)) {
             return res.status(403).json({
                 success: false,
                 message: 'You are not authorized to delete matches for this team'
@@ -2973,7 +4780,7 @@ router.get('/team/:teamId/analytics', async (req, res) => {
         
         // Verify manager owns the team
         const team = await Team.getTeamById(teamId);
-        if (team.manager.id.toString() !== managerId.toString()) {
+        if (!canManageTeam(team, managerId)) {
             return res.status(403).json({
                 success: false,
                 message: 'You are not authorized to view analytics for this team'
@@ -3010,13 +4817,18 @@ router.get('/team/:teamId/analytics', async (req, res) => {
             recent_form.push(result);
         });
         
+        const rating = await Team.getRatingHistory(teamId);
+        
         const analytics = {
             total_matches,
             wins,
             losses,
             draws,
             win_rate,
-            recent_form
+            recent_form,
+            rating: rating ? rating.rating : null,
+            rated_matches: rating ? rating.matches : 0,
+            rating_history: rating ? rating.history : []
         };
         
         res.json({
@@ -3058,7 +4870,7 @@ router.get('/team/:teamId/scheduled-matches', async (req, res) => {
             });
         }
         
-        if (team.manager.id.toString() !== managerId.toString()) {
+        if (!canManageTeam(team, managerId)) {
             return res.status(403).json({
                 success: false,
                 message: 'You are not authorized to view matches for this team'
@@ -3096,6 +4908,151 @@ router.get('/team/:teamId/scheduled-matches', async (req, res) => {
     }
 });
 
+/**
+ * Availability poll summary for a team's upcoming matches
+ * GET /manager/team/:teamId/availability
+ */
+router.get('/team/:teamId/availability', async (req, res) => {
+    try {
+        const { teamId } = req.params;
+        const MatchModel = require('../models/schemas/matchSchema');
+        const availability = require('../services/availabilityService');
+
+        const team = await TeamSchema.findById(teamId)
+            .populate('members.player_id', 'first_name last_name')
+            .lean();
+        if (!team) {
+            return res.status(404).json({ success: false, message: 'Team not found' });
+        }
+        if (!canManageTeam(team, req.session.user._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not authorized to view availability for this team'
+            });
+        }
+
+        const matches = await MatchModel.find({
+            $or: [{ team_a: team._id }, { team_b: team._id }],
+            status: 'scheduled',
+            match_date: { $gt: new Date() }
+        })
+            .select('team_a team_b team_a_name team_b_name match_date venue event_id availability')
+            .sort({ match_date: 1 })
+            .lean();
+
+        const names = new Map(team.members
+            .filter(member => member.player_id)
+            .map(member => [member.player_id._id.toString(), `${member.player_id.first_name} ${member.player_id.last_name}`.trim()]));
+        const minimum = availability.getMinimumLineup(team.sport_type);
+
+        const summaries = [];
+        for (const match of matches) {
+            const isTeamA = match.team_a.toString() === team._id.toString();
+            const roster = await squads.getTeamRoster(match.event_id, team);
+            const answers = new Map((match.availability || [])
+                .filter(entry => entry.team_id.toString() === team._id.toString())
+                .map(entry => [entry.player_id.toString(), entry]));
+
+            summaries.push({
+                match_id: match._id,
+                match_date: match.match_date,
+                venue: match.venue,
+                opponent: isTeamA ? match.team_b_name : match.team_a_name,
+                summary: availability.summarizeAvailability(match.availability, team._id, roster, minimum),
+                players: roster.map(playerId => {
+                    const answer = answers.get(playerId);
+                    return {
+                        player_id: playerId,
+                        name: names.get(playerId) || 'Former member',
+                        status: answer ? answer.status : null,
+                        note: answer ? answer.note : ''
+                    };
+                })
+            });
+        }
+
+        res.json({
+            success: true,
+            minimum_lineup: minimum,
+            matches: summaries
+        });
+    } catch (err) {
+        console.error('Error fetching availability:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching availability',
+            error: err.message
+        });
+    }
+});
+
+/**
+ * Get the stat sheet (sport fields + manager's players) for a match
+ * GET /manager/match/:matchId/stat-sheet
+ */
+router.get('/match/:matchId/stat-sheet', async (req, res) => {
+    try {
+        const { matchId } = req.params;
+        const managerId = req.session.user._id.toString();
+        const Match = require('../models/schemas/matchSchema');
+        const User = require('../models/schemas/userSchema');
+        const { getStatSheet } = require('../services/playerStatsService');
+
+        const match = await Match.findById(matchId)
+            .populate('team_a', 'name manager_id sport_type members')
+            .populate('team_b', 'name manager_id members')
+            .lean();
+
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found'
+            });
+        }
+
+        const team = [match.team_a, match.team_b].find(t => canManageTeam(t, managerId));
+        if (!team) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not authorized to record results for this match'
+            });
+        }
+
+        // Only players in each team's event squad can be credited
+        const rosters = await squads.getMatchRosters(match);
+        const activeIds = t => rosters[t._id.toString()] || [];
+        const playerIds = activeIds(team);
+        const users = await User.find({ _id: { $in: [...activeIds(match.team_a), ...activeIds(match.team_b)] } })
+            .select('first_name last_name')
+            .lean();
+        const toPlayer = u => ({ id: u._id, name: `${u.first_name} ${u.last_name}`.trim() });
+        const myVote = (match.mvp_votes || []).find(vote => vote.voter_id.toString() === managerId);
+
+        res.json({
+            success: true,
+            team_id: team._id,
+            sport_type: match.team_a.sport_type,
+            fields: getStatSheet(match.team_a.sport_type),
+            players: users.filter(u => playerIds.includes(u._id.toString())).map(toPlayer),
+            player_stats: (match.player_stats || []).filter(line => line.team_id.toString() === team._id.toString()),
+            // MVP candidates come from both teams
+            mvp_candidates: [match.team_a, match.team_b].map(t => ({
+                team_id: t._id,
+                team_name: t.name,
+                players: users.filter(u => activeIds(t).includes(u._id.toString())).map(toPlayer)
+            })),
+            mvp_player_id: myVote ? myVote.player_id : null
+        });
+    } catch (err) {
+        console.error('Error fetching stat sheet:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching stat sheet',
+            error: err.message
+        });
+    }
+});
+
 /**
  * Record match result
  * POST /manager/match/:matchId/record-result
@@ -3106,10 +5063,10 @@ router.post('/match/:matchId/record-result', async (req, res) => {
         const { score_a, score_b, notes } = req.body;
         const managerId = req.session.user._id;
         
-        const Match = require('../models/match');
+        const Match = require('../models/schemas/matchSchema');
         const match = await Match.findById(matchId)
-            .populate('team_a', 'manager_id')
-            .populate('team_b', 'manager_id')
+            .populate('team_a', 'manager_id sport_type members')
+            .populate('team_b', 'manager_id members')
             .exec();
         
         if (!match) {
@@ -3120,8 +5077,8 @@ router.post('/match/:matchId/record-result', async (req, res) => {
         }
         
         // Verify manager owns one of the teams
-        const isTeamAManager = match.team_a.manager_id.toString() === managerId.toString();
-        const isTeamBManager = match.team_b.manager_id.toString() === managerId.toString();
+        const isTeamAManager = canManageTeam(match.team_a, managerId);
+        const isTeamBManager = canManageTeam(match.team_b, managerId);
         
         if (!isTeamAManager && !isTeamBManager) {
             return res.status(403).json({
@@ -3130,6 +5087,13 @@ router.post('/match/:matchId/record-result', async (req, res) => {
             });
         }
         
+        if (!['scheduled', 'pending'].includes(match.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot record a result for a match with status: ${match.status}`
+            });
+        }
+        
         // Validate scores
         if (typeof score_a !== 'number' || typeof score_b !== 'number' ||
             score_a < 0 || score_b < 0) {
@@ -3139,27 +5103,114 @@ router.post('/match/:matchId/record-result', async (req, res) => {
             });
         }
         
-        // Update match
-        match.score_a = score_a;
-        match.score_b = score_b;
-        match.status = 'pending'; // Pending organizer verification
-        match.recorded_by = managerId;
-        match.notes = notes || '';
+        // The opposing manager of a submitted result can add their stat lines,
+        // which confirms the score; a different score must be counter-claimed
+        const myTeamId = (isTeamAManager ? match.team_a : match.team_b)._id;
+        const awaitingMe = match.status === 'pending' &&
+            match.confirmation && match.confirmation.status === 'awaiting' &&
+            String(match.confirmation.awaiting_team) === myTeamId.toString();
+        if (awaitingMe && (score_a !== match.score_a || score_b !== match.score_b)) {
+            return res.status(400).json({
+                success: false,
+                message: 'The other team already submitted a different score. Counter-claim it to open a dispute.'
+            });
+        }
         
-        // Determine winner
-        if (score_a > score_b) {
-            match.winner = 'team_a';
-        } else if (score_b > score_a) {
-            match.winner = 'team_b';
+        const { drawsAllowedForEvent, parseResultDetails } = require('../services/standingsService');
+        const { isBracketMatch } = require('../services/bracketService');
+        if (score_a === score_b && isBracketMatch(match)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Knockout matches cannot end in a draw'
+            });
+        }
+        if (score_a === score_b && !(await drawsAllowedForEvent(match.event_id))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Draws are not allowed by this event\'s scoring rules'
+            });
+        }
+        
+        // Optional details used by leaderboard tie-breakers (overs, fair play points)
+        const { details, error: detailsError } = parseResultDetails(req.body);
+        if (detailsError) {
+            return res.status(400).json({
+                success: false,
+                message: detailsError
+            });
+        }
+        
+        // Optional per-player stat lines; a manager submits lines for their own team's event squad
+        const { parsePlayerStats } = require('../services/playerStatsService');
+        const eligible = await squads.getMatchRosters(match);
+        const rosters = {};
+        [isTeamAManager && match.team_a, isTeamBManager && match.team_b].filter(Boolean).forEach(team => {
+            rosters[team._id.toString()] = eligible[team._id.toString()];
+        });
+        const { lines: playerStats, error: statsError } = parsePlayerStats(
+            req.body.player_stats,
+            match.team_a.sport_type,
+            rosters
+        );
+        if (statsError) {
+            return res.status(400).json({
+                success: false,
+                message: statsError
+            });
+        }
+        
+        const resultConfirmation = require('../services/resultConfirmationService');
+        if (awaitingMe) {
+            match.confirmation.status = 'confirmed';
+            match.confirmation.responded_by = managerId;
+            match.confirmation.responded_at = new Date();
         } else {
-            match.winner = 'draw';
+            // Update match; the opposing manager confirms before organizer verification
+            match.score_a = score_a;
+            match.score_b = score_b;
+            match.status = 'pending';
+            match.recorded_by = managerId;
+            match.notes = notes || '';
+            Object.assign(match, details);
+            match.confirmation = await resultConfirmation.createConfirmationRequest(match, myTeamId);
+        }
+        match.result_audit.push(resultConfirmation.buildAuditEntry(
+            awaitingMe ? 'confirmed' : 'submitted',
+            match,
+            req.session.user
+        ));
+        if (req.body.player_stats !== undefined) {
+            // Replace this manager's lines and keep the opponent's
+            match.player_stats = [
+                ...match.player_stats.filter(line => !rosters[line.team_id.toString()]),
+                ...playerStats
+            ];
+        }
+        if (req.body.mvp_player_id) {
+            // Each manager casts one MVP vote per match, for a player from either team
+            const mvpTeam = [match.team_a, match.team_b].find(team =>
+                eligible[team._id.toString()].includes(String(req.body.mvp_player_id)));
+            if (!mvpTeam) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'MVP must be in the event squad of one of the teams in this match'
+                });
+            }
+            match.mvp_votes = [
+                ...match.mvp_votes.filter(vote => vote.voter_id.toString() !== managerId.toString()),
+                { voter_id: managerId, player_id: req.body.mvp_player_id, player_team_id: mvpTeam._id }
+            ];
         }
         
+        match.winner = resultConfirmation.winnerFor(match.score_a, match.score_b);
+        
         await match.save();
         
         res.json({
             success: true,
-            message: 'Match result recorded successfully. Awaiting organizer verification.',
+            message: awaitingMe
+                ? 'Result confirmed. Awaiting organizer verification.'
+                : 'Match result recorded successfully. Awaiting confirmation from the other team.',
             match
         });
     } catch (err) {
@@ -3237,7 +5288,7 @@ router.get('/team/:teamId/matches', async (req, res) => {
             });
         }
         
-        if (team.manager.id.toString() !== req.session.user._id.toString()) {
+        if (!canManageTeam(team, req.session.user._id)) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to view this team\'s matches'
@@ -3290,7 +5341,7 @@ router.post('/team/:teamId/match/record', async (req, res) => {
         
         // Verify manager owns team
         const team = await Team.getTeamById(teamId);
-        if (!team || team.manager.id.toString() !== req.session.user._id.toString()) {
+        if (!team || !canManageTeam(team, req.session.user._id)) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized'
@@ -3362,7 +5413,7 @@ router.put('/team/:teamId/match/:matchId', async (req, res) => {
         
         // Verify ownership
         const team = await Team.getTeamById(teamId);
-        if (!team || team.manager.id.toString() !== req.session.user._id.toString()) {
+        if (!team || !canManageTeam(team, req.session.user._id)) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized'
@@ -3437,7 +5488,7 @@ router.delete('/team/:teamId/match/:matchId', async (req, res) => {
         
         // Verify ownership
         const team = await Team.getTeamById(teamId);
-        if (!team || team.manager.id.toString() !== req.session.user._id.toString()) {
+        if (!team || !canManageTeam(team, req.session.user._id)) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized'
@@ -3484,7 +5535,7 @@ router.get('/team/:teamId/analytics', async (req, res) => {
         
         // Verify ownership
         const team = await Team.getTeamById(teamId);
-        if (!team || team.manager.id.toString() !== req.session.user._id.toString()) {
+        if (!team || !canManageTeam(team, req.session.user._id)) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized'
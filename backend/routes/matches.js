@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const matchController = require('../controllers/matchController');
+const liveMatchController = require('../controllers/liveMatchController');
+const resultConfirmationController = require('../controllers/resultConfirmationController');
+const { uploadEvidence } = require('../middleware/uploadCloudinary');
 
 // Check if user is organizer middleware
 const isOrganizer = (req, res, next) => {
@@ -52,6 +55,31 @@ const isAuthenticated = (req, res, next) => {
  *       200:
  *         description: Event matches returned
  *
+ * /api/matches/event/{eventId}/awards:
+ *   get:
+ *     summary: Get individual award tables for an event
+ *     description: >
+ *       Top scorer, most assists, most wickets, best bowling figures and MVP votes,
+ *       computed from the player stat lines of verified matches. Only the awards
+ *       that apply to the event's sport are returned.
+ *     tags: [Matches]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Award tables returned
+ *
  * /api/matches/team/{teamId}/history:
  *   get:
  *     summary: Get historical matches for team
@@ -179,6 +207,291 @@ const isAuthenticated = (req, res, next) => {
  *       200:
  *         description: Match result rejected
  *
+ * /api/matches/live/stream:
+ *   get:
+ *     summary: Stream live score updates (Server-Sent Events)
+ *     description: >
+ *       Sends a `score` event whenever a subscribed match changes. Subscribe by
+ *       comma-separated match, team and/or event ids.
+ *     tags: [Matches]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: match
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: team
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: text/event-stream of score updates
+ *       400:
+ *         description: No match, team or event given
+ *
+ * /api/matches/{matchId}/live:
+ *   get:
+ *     summary: Get live score and event log of a match
+ *     tags: [Matches]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Live state returned
+ *
+ * /api/matches/{matchId}/live/start:
+ *   post:
+ *     summary: Start live scoring (match becomes live)
+ *     description: A manager of either team or the event organizer can start; the starting manager becomes the recording manager.
+ *     tags: [Matches]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               period:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Match is live
+ *
+ * /api/matches/{matchId}/live/score:
+ *   post:
+ *     summary: Record a scoring event
+ *     tags: [Matches]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [team]
+ *             properties:
+ *               team:
+ *                 type: string
+ *                 enum: [team_a, team_b]
+ *               points:
+ *                 type: integer
+ *                 description: Defaults to 1; negative values correct a mistake
+ *               player_id:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Score updated
+ *
+ * /api/matches/{matchId}/live/period:
+ *   post:
+ *     summary: Change the match period (half, quarter, innings...)
+ *     tags: [Matches]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [period]
+ *             properties:
+ *               period:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Period changed
+ *
+ * /api/matches/{matchId}/live/end:
+ *   post:
+ *     summary: End live scoring
+ *     description: The final score is submitted as a pending result for organizer verification.
+ *     tags: [Matches]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Match ended, result pending verification
+ *
+ * /api/matches/{matchId}/confirm:
+ *   post:
+ *     summary: Confirm a submitted result (opposing manager)
+ *     description: >
+ *       A result submitted by one manager waits for the other team's manager.
+ *       Unanswered results are confirmed automatically once the event's
+ *       confirmation window (result_confirmation_hours) has passed.
+ *     tags: [Matches]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Result confirmed, awaiting organizer verification
+ *       403:
+ *         description: Not the manager whose confirmation is awaited
+ *
+ * /api/matches/{matchId}/counter:
+ *   post:
+ *     summary: Counter-claim a submitted result (opens a dispute)
+ *     tags: [Matches]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [score_a, score_b, reason]
+ *             properties:
+ *               score_a:
+ *                 type: integer
+ *               score_b:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Dispute opened
+ *
+ * /api/matches/{matchId}/dispute:
+ *   get:
+ *     summary: Get the dispute thread, confirmation state and audit trail
+ *     tags: [Matches]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Dispute returned
+ *
+ * /api/matches/{matchId}/dispute/messages:
+ *   post:
+ *     summary: Add a message and/or evidence image to an open dispute
+ *     tags: [Matches]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               body:
+ *                 type: string
+ *               evidence:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Message added
+ *
+ * /api/matches/{matchId}/dispute/ruling:
+ *   post:
+ *     summary: Rule on a dispute (event organizer)
+ *     description: >
+ *       Uphold the original or the counter claim, set a custom score, or order
+ *       a replay. Any score ruling verifies the result.
+ *     tags: [Matches]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [decision]
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [original, counter, custom, replay]
+ *               score_a:
+ *                 type: integer
+ *               score_b:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Dispute resolved
+ *
  * /api/matches/{matchId}:
  *   get:
  *     summary: Get match details
@@ -217,6 +530,9 @@ router.post('/create', isOrganizer, matchController.createMatch);
 // Get all matches for an event (authenticated users)
 router.get('/event/:eventId', isAuthenticated, matchController.getMatchesByEvent);
 
+// Get individual award tables for an event
+router.get('/event/:eventId/awards', isAuthenticated, matchController.getEventAwards);
+
 // Get match history for a team (authenticated users)
 router.get('/team/:teamId/history', isAuthenticated, matchController.getTeamMatchHistory);
 
@@ -307,6 +623,25 @@ router.get('/team/:teamId/all', isAuthenticated, async (req, res) => {
     }
 });
 
+// Live score updates over Server-Sent Events (any signed-in user can watch)
+router.get('/live/stream', isAuthenticated, liveMatchController.streamLiveScores);
+
+// Live scoring: recording manager or event organizer
+router.get('/:matchId/live', isAuthenticated, liveMatchController.getLiveMatch);
+router.post('/:matchId/live/start', isAuthenticated, liveMatchController.startLiveMatch);
+router.post('/:matchId/live/score', isAuthenticated, liveMatchController.recordLiveScore);
+router.post('/:matchId/live/period', isAuthenticated, liveMatchController.changeLivePeriod);
+router.post('/:matchId/live/end', isAuthenticated, liveMatchController.endLiveMatch);
+
+// Two-sided confirmation: the opposing manager confirms or counter-claims
+router.post('/:matchId/confirm', isAuthenticated, resultConfirmationController.confirmResult);
+router.post('/:matchId/counter', isAuthenticated, resultConfirmationController.counterClaimResult);
+
+// Dispute thread and organizer ruling
+router.get('/:matchId/dispute', isAuthenticated, resultConfirmationController.getDispute);
+router.post('/:matchId/dispute/messages', isAuthenticated, uploadEvidence, resultConfirmationController.addDisputeMessage);
+router.post('/:matchId/dispute/ruling', isOrganizer, resultConfirmationController.ruleDispute);
+
 // Update match result (organizer AND manager can update)
 router.put('/:matchId/result', isAuthenticated, matchController.updateMatchResult);
 
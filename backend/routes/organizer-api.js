@@ -130,7 +130,7 @@ router.use(isOrganizerAPI);
  *           type: string
  *     responses:
  *       200:
- *         description: Event cancelled
+ *         description: Event cancelled; every paid entry fee is refunded to the payer's wallet
  *
  * /api/organizer/profile:
  *   get:
@@ -228,9 +228,312 @@ router.use(isOrganizerAPI);
  *       200:
  *         description: Team rejected
  *
+ * /api/organizer/event/{eventId}/substitutions:
+ *   get:
+ *     summary: List squad substitution requests for an event
+ *     tags: [Organizer]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Substitution requests returned, newest first
+ *
+ * /api/organizer/event/{eventId}/substitutions/{substitutionId}/{action}:
+ *   put:
+ *     summary: Approve or reject a squad substitution request
+ *     description: Approving swaps the players in the team's locked squad.
+ *     tags: [Organizer]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: substitutionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [approve, reject]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               review_note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Substitution reviewed
+ *       400:
+ *         description: Already reviewed, or the squad changed since it was requested
+ *
+ * /api/organizer/event/{eventId}/pricing:
+ *   get:
+ *     summary: Get an event's price tiers, discounts and promo code redemptions
+ *     tags: [Organizer]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pricing returned, with uses, discount given and revenue per promo code
+ *   put:
+ *     summary: Set an event's price tiers and returning-team discount
+ *     tags: [Organizer]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               price_tiers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     price:
+ *                       type: number
+ *                     ends_at:
+ *                       type: string
+ *                       format: date-time
+ *               returning_team_discount:
+ *                 type: number
+ *                 description: Percent off for teams that played one of your earlier events
+ *     responses:
+ *       200:
+ *         description: Pricing updated
+ *       400:
+ *         description: Invalid tiers or discount
+ *
+ * /api/organizer/event/{eventId}/promo-codes:
+ *   post:
+ *     summary: Issue a promo code for an event
+ *     tags: [Organizer]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               discount_type:
+ *                 type: string
+ *                 enum: [percent, fixed]
+ *               discount_value:
+ *                 type: number
+ *               max_uses:
+ *                 type: integer
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Promo code created
+ *       400:
+ *         description: Invalid or duplicate code
+ *
+ * /api/organizer/event/{eventId}/promo-codes/{code}:
+ *   put:
+ *     summary: Enable or disable a promo code
+ *     tags: [Organizer]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Promo code updated
+ *
+ * /api/organizer/seasons:
+ *   get:
+ *     summary: Get the organizer's seasons and recurring events
+ *     tags: [Organizer]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Seasons returned with their status and next edition
+ *   post:
+ *     summary: Create a season, generating one event per edition
+ *     description: >
+ *       Takes the same fields as create-event plus a recurrence rule. start_date
+ *       is the date of the first edition; every edition is submitted for approval
+ *       like a single event.
+ *     tags: [Organizer]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Event'
+ *               - type: object
+ *                 properties:
+ *                   recurrence:
+ *                     type: object
+ *                     properties:
+ *                       frequency:
+ *                         type: string
+ *                         enum: [weekly, fortnightly, monthly]
+ *                       editions:
+ *                         type: integer
+ *                       registration_days:
+ *                         type: integer
+ *                         description: Registration for each edition closes this many days before it
+ *                   carry_over_registrations:
+ *                     type: boolean
+ *     responses:
+ *       201:
+ *         description: Season and editions created
+ *       400:
+ *         description: Validation error
+ *
+ * /api/organizer/season/{seasonId}:
+ *   get:
+ *     summary: Get a season's editions, standings and player awards across every edition
+ *     tags: [Organizer]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seasonId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Season returned
+ *       404:
+ *         description: Season not found
+ *   put:
+ *     summary: Turn carrying teams over between editions on or off
+ *     tags: [Organizer]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: seasonId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               carry_over_registrations:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Season updated
+ *
+ * /api/organizer/season/{seasonId}/carry-over:
+ *   post:
+ *     summary: Register an edition's teams for the next edition now
+ *     tags: [Organizer]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: seasonId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [event_id]
+ *             properties:
+ *               event_id:
+ *                 type: string
+ *                 description: The edition teams carry over from
+ *     responses:
+ *       200:
+ *         description: Teams carried over
+ *       400:
+ *         description: The edition is not part of this season or is the last one
+ *
  * /api/organizer/event/{eventId}/schedule-matches:
  *   post:
  *     summary: Generate event match schedule
+ *     description: >
+ *       With `generate: true` the fixtures are built server-side from the event's
+ *       approved/confirmed teams and tournament format (round-robin, knockout with byes,
+ *       double round-robin league, or groups-knockout: round-robin groups snake-seeded
+ *       by team rating or set manually, followed by a knockout of the top
+ *       `qualifiers_per_group` of each group, created once every group match is verified).
+ *       Output is deterministic; `overrides` adjust the
+ *       date/venue of a fixture by match number. Without `generate`, the supplied
+ *       `matches` array is saved as-is.
  *     tags: [Organizer]
  *     security:
  *       - sessionAuth: []
@@ -241,13 +544,73 @@ router.use(isOrganizerAPI);
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               generate:
+ *                 type: boolean
+ *               preview:
+ *                 type: boolean
+ *                 description: Return the generated fixtures without saving them
+ *               format:
+ *                 type: string
+ *                 enum: [round-robin, knockout, league, groups-knockout]
+ *               group_count:
+ *                 type: integer
+ *                 description: groups-knockout with rating seeding (default one group per 4 teams)
+ *               qualifiers_per_group:
+ *                 type: integer
+ *                 default: 2
+ *               seeding:
+ *                 type: string
+ *                 enum: [rating, manual, draw]
+ *                 description: groups-knockout seeds groups by Elo rating unless manual; knockout seeds the bracket by rating only when set to rating, otherwise by registration order
+ *               groups:
+ *                 type: array
+ *                 description: Manual seeding - team IDs for each group, in group order
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *               overrides:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     match_number:
+ *                       type: integer
+ *                     match_date:
+ *                       type: string
+ *                       format: date-time
+ *                     venue:
+ *                       type: string
+ *               allow_conflicts:
+ *                 type: boolean
+ *                 description: Save even if the schedule has double bookings
+ *               matches:
+ *                 type: array
+ *                 items:
+ *                   type: object
  *     responses:
  *       200:
+ *         description: Fixture preview returned (with any conflicts)
+ *       201:
  *         description: Match schedule generated
+ *       400:
+ *         description: Schedule finalized, unsupported format, not enough teams or no free venue slot
+ *       409:
+ *         description: Venue/team double bookings or rest-time violations (send allow_conflicts to save anyway)
  *
- * /api/organizer/event/{eventId}/finalize-schedule:
- *   post:
- *     summary: Finalize generated match schedule
+ * /api/organizer/event/{eventId}/schedule-settings:
+ *   put:
+ *     summary: Set venues, daily playing hours, match duration and team rest time
+ *     description: >
+ *       Once at least one venue is set, generated fixtures are placed into free
+ *       venue/time slots instead of one round per day.
  *     tags: [Organizer]
  *     security:
  *       - sessionAuth: []
@@ -258,42 +621,206 @@ router.use(isOrganizerAPI);
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               venues:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               daily_windows:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     start:
+ *                       type: string
+ *                       example: '09:00'
+ *                     end:
+ *                       type: string
+ *                       example: '13:00'
+ *               match_duration_minutes:
+ *                 type: integer
+ *               min_rest_minutes:
+ *                 type: integer
  *     responses:
  *       200:
- *         description: Schedule finalized
+ *         description: Settings saved
+ *       400:
+ *         description: Invalid settings
  *
- * /api/organizer/events/{eventId}/export-participants-csv:
- *   get:
- *     summary: Export event participants as CSV
+ * /api/organizer/event/{eventId}/match/{matchId}/schedule:
+ *   put:
+ *     summary: Move a scheduled match to another date/venue
  *     tags: [Organizer]
  *     security:
  *       - sessionAuth: []
+ *       - csrfToken: []
  *     parameters:
  *       - in: path
  *         name: eventId
  *         required: true
  *         schema:
  *           type: string
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               match_date:
+ *                 type: string
+ *                 format: date-time
+ *               venue:
+ *                 type: string
+ *               allow_conflicts:
+ *                 type: boolean
  *     responses:
  *       200:
- *         description: CSV stream returned
+ *         description: Match rescheduled
+ *       409:
+ *         description: The new slot conflicts with other matches
  *
- * /api/organizer/events/{eventId}/export-matches-csv:
- *   get:
- *     summary: Export event matches as CSV
+ * /api/organizer/event/{eventId}/finalize-schedule:
+ *   post:
+ *     summary: Finalize generated match schedule
  *     tags: [Organizer]
  *     security:
  *       - sessionAuth: []
+ *       - csrfToken: []
  *     parameters:
  *       - in: path
  *         name: eventId
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               allow_conflicts:
+ *                 type: boolean
  *     responses:
  *       200:
- *         description: CSV stream returned
- */
+ *         description: Schedule finalized
+ *       409:
+ *         description: The schedule still has conflicts
+ *
+ * /api/organizer/event/{eventId}/reopen-schedule:
+ *   post:
+ *     summary: Reopen a finalized schedule for changes
+ *     description: >
+ *       Unlocks the schedule. When it is finalized again the new version is
+ *       compared with the previous one and the managers of affected teams are emailed.
+ *     tags: [Organizer]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Schedule reopened
+ *       400:
+ *         description: Schedule is not finalized
+ *
+ * /api/organizer/event/{eventId}/schedule/versions:
+ *   get:
+ *     summary: List finalized schedule versions
+ *     tags: [Organizer]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: include_matches
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Schedule versions returned
+ *
+ * /api/organizer/event/{eventId}/schedule/versions/diff:
+ *   get:
+ *     summary: Compare two schedule versions
+ *     description: Returns moved, added and cancelled matches. `to` defaults to the current schedule.
+ *     tags: [Organizer]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *         description: Older version (defaults to the latest finalized version)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Newer version number or `current`
+ *     responses:
+ *       200:
+ *         description: Diff returned
+ *       404:
+ *         description: Schedule version not found
+ *
+ * /api/organizer/events/{eventId}/export-participants-csv:
+ *   get:
+ *     summary: Export event participants as CSV
+ *     tags: [Organizer]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: CSV stream returned
+ *
+ * /api/organizer/events/{eventId}/export-matches-csv:
+ *   get:
+ *     summary: Export event matches as CSV
+ *     tags: [Organizer]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: CSV stream returned
+ */
 
 // ─── Solr / SearchStax Search for Organizer ────────────────────────────────────
 router.get('/search-events', async (req, res) => {
@@ -322,8 +849,20 @@ router.get('/search-teams', async (req, res) => {
     try {
         const { searchTeams } = require('../services/searchService');
         const { q = '', page = 1, limit = 20, sportType } = req.query;
+        const ratingFilter = require('../services/ratingService').parseRatingFilter(req.query);
+        if (ratingFilter.error) {
+            return res.status(400).json({ success: false, message: ratingFilter.error });
+        }
 
-        const result = await searchTeams({ search: q, page: Number(page), limit: Number(limit), sportType });
+        const result = await searchTeams({
+            search: q,
+            page: Number(page),
+            limit: Number(limit),
+            sportType,
+            minRating: ratingFilter.min,
+            maxRating: ratingFilter.max,
+            sortByRating: ratingFilter.sortByRating
+        });
         const elapsed = Date.now() - startTime;
         const engine = result.searchMeta?.engine === 'solr' ? 'SearchStax-Solr' : 'MongoDB-Fallback';
 
@@ -504,6 +1043,18 @@ router.post('/create-event', async (req, res) => {
             }
         }
 
+        const { validateSquadSize } = require('../services/squadService');
+        const squadSize = validateSquadSize({ min: req.body.min_squad_size, max: req.body.max_squad_size });
+        if (squadSize.error) {
+            return res.status(400).json({ success: false, message: squadSize.error });
+        }
+
+        const { validateRefundPolicy } = require('../services/refundService');
+        const refundPolicy = validateRefundPolicy(req.body.refund_policy);
+        if (refundPolicy.error) {
+            return res.status(400).json({ success: false, message: refundPolicy.error });
+        }
+
         const eventData = {
             organizer_id: req.session.user._id,
             title: req.body.name,
@@ -517,6 +1068,9 @@ router.post('/create-event', async (req, res) => {
             max_teams: parseInt(req.body.max_teams) || 16,
             entry_fee: parseFloat(req.body.entry_fee) || 0,
             registration_deadline: req.body.registration_deadline || null,
+            tournament_format: req.body.tournament_format || 'round-robin',
+            squad_size: { min: squadSize.min, max: squadSize.max },
+            refund_policy: refundPolicy.policy,
             status: 'pending_approval',
             team_registrations: []
         };
@@ -593,10 +1147,12 @@ router.get('/event/:id', cacheMiddleware(60), async (req, res) => {
                             .select('first_name last_name')
                             .exec();
 
-                        // Get player details from members
+                        // Get player details from the registered squad, or all members without one
                         let players = [];
                         if (team.members && team.members.length > 0) {
-                            const playerIds = team.members.map(m => m.player_id);
+                            const playerIds = reg.squad && reg.squad.length > 0
+                                ? reg.squad.map(entry => entry.player_id)
+                                : team.members.map(m => m.player_id);
                             const playerUsers = await UserSchema.find({ _id: { $in: playerIds } })
                                 .select('first_name last_name')
                                 .exec();
@@ -611,7 +1167,14 @@ router.get('/event/:id', cacheMiddleware(60), async (req, res) => {
                             manager_name: manager ? `${manager.first_name} ${manager.last_name}` : 'Unknown Manager',
                             status: reg.status,
                             registration_date: reg.registered_at,
-                            players: players
+                            players: players,
+                            squad_count: (reg.squad || []).length,
+                            pending_substitutions: (reg.substitutions || []).filter(sub => sub.status === 'pending').length,
+                            carried_over: Boolean(reg.carried_over_from),
+                            // Entry fee split across the roster, still being paid or settled
+                            split_payment: reg.split_payment && reg.split_payment.status
+                                ? require('../services/splitPaymentService').splitSummary(reg.split_payment)
+                                : null
                         };
                     } catch (err) {
                         console.error('Error populating team:', err);
@@ -628,6 +1191,9 @@ router.get('/event/:id', cacheMiddleware(60), async (req, res) => {
             );
         }
 
+        const { normalizeSettings } = require('../services/schedulerService');
+        const { getSquadSize, isSquadLocked } = require('../services/squadService');
+        const { getRefundPolicy } = require('../services/refundService');
         const formattedEvent = {
             _id: event._id,
             name: event.title,
@@ -640,7 +1206,22 @@ router.get('/event/:id', cacheMiddleware(60), async (req, res) => {
             max_teams: event.max_teams,
             entry_fee: event.entry_fee || 0,
             registration_deadline: event.registration_deadline,
+            squad_size: getSquadSize(event),
+            squads_locked: isSquadLocked(event),
+            waitlist_offer_hours: event.waitlist_offer_hours || 24,
+            waitlist_count: (event.waitlist || []).filter(entry => entry.status === 'waiting').length,
+            refund_policy: getRefundPolicy(event),
+            revenue: event.revenue || {},
             status: event.status,
+            tournament_format: event.tournament_format || 'round-robin',
+            groups: event.groups || [],
+            qualifiers_per_group: event.qualifiers_per_group || 2,
+            schedule_settings: normalizeSettings(event.schedule_settings),
+            schedule_finalized: event.schedule_finalized || false,
+            champion: event.champion && event.champion.team_id ? event.champion : null,
+            season: event.season && event.season.season_id
+                ? { season_id: event.season.season_id, edition: event.season.edition }
+                : null,
             registered_teams: teamRegistrations.length,
             team_registrations: teamRegistrations
         };
@@ -660,524 +1241,1249 @@ router.get('/event/:id', cacheMiddleware(60), async (req, res) => {
 router.put('/event/:id', async (req, res) => {
     try {
         const Event = require('../models/event');
-        const event = await Event.getEventById(req.params.id);
+        const event = await Event.getEventById(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
+        }
+
+        // Check permission
+        if (event.organizer_id.toString() !== req.session.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to update this event'
+            });
+        }
+
+        // Backend validation for event name and location
+        const validationErrors = {};
+
+        if (req.body.name) {
+            if (/^\d+$/.test(req.body.name.trim())) {
+                validationErrors.name = 'Event name cannot contain only numbers. Please include at least one letter.';
+            } else if (!/[a-zA-Z]/.test(req.body.name.trim())) {
+                validationErrors.name = 'Event name must contain at least one letter.';
+            }
+        }
+
+        if (req.body.location) {
+            if (/^\d+$/.test(req.body.location.trim())) {
+                validationErrors.location = 'Location cannot contain only numbers. Please include at least one letter.';
+            } else if (!/[a-zA-Z]/.test(req.body.location.trim())) {
+                validationErrors.location = 'Location must contain at least one letter.';
+            }
+        }
+
+        if (Object.keys(validationErrors).length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: validationErrors
+            });
+        }
+
+        // Squad size limits are only changed when sent; blank values remove a limit
+        const { validateSquadSize } = require('../services/squadService');
+        const sizeSent = req.body.min_squad_size !== undefined || req.body.max_squad_size !== undefined;
+        const current = event.squad_size || {};
+        const squadSize = validateSquadSize({
+            min: req.body.min_squad_size !== undefined ? req.body.min_squad_size : current.min,
+            max: req.body.max_squad_size !== undefined ? req.body.max_squad_size : current.max
+        });
+        if (sizeSent && squadSize.error) {
+            return res.status(400).json({ success: false, message: squadSize.error });
+        }
+
+        // The refund policy is only changed when sent
+        const { validateRefundPolicy } = require('../services/refundService');
+        const refundPolicy = req.body.refund_policy ? validateRefundPolicy(req.body.refund_policy) : null;
+        if (refundPolicy && refundPolicy.error) {
+            return res.status(400).json({ success: false, message: refundPolicy.error });
+        }
+
+        const updateData = {
+            title: req.body.name || req.body.title || event.title,
+            description: req.body.description !== undefined ? req.body.description : event.description,
+            sport_type: req.body.sport || req.body.sport_type || event.sport_type,
+            event_date: req.body.start_date || event.start_date || event.event_date,  // Legacy field
+            start_date: req.body.start_date || event.start_date || event.event_date,  // Proper start date
+            end_date: req.body.end_date || event.end_date || event.start_date || event.event_date,  // End date
+            event_time: req.body.event_time || event.event_time,
+            location: req.body.location || event.location,
+            max_teams: req.body.max_teams ? parseInt(req.body.max_teams) : event.max_teams,
+            entry_fee: (req.body.entry_fee !== undefined && req.body.entry_fee !== '' && req.body.entry_fee !== null) ? parseFloat(req.body.entry_fee) || 0 : (event.entry_fee || 0),
+            registration_deadline: req.body.registration_deadline || event.registration_deadline,
+            tournament_format: req.body.tournament_format || event.tournament_format,
+            status: req.body.status || event.status,
+            waitlist_offer_hours: req.body.waitlist_offer_hours ? Math.max(1, parseInt(req.body.waitlist_offer_hours) || 24) : event.waitlist_offer_hours
+        };
+        if (sizeSent) {
+            updateData.squad_size = { min: squadSize.min, max: squadSize.max };
+        }
+        if (refundPolicy) {
+            updateData.refund_policy = refundPolicy.policy;
+        }
+
+        await Event.updateEvent(req.params.id, updateData);
+
+        // Invalidate this event's cache + events list + stats
+        const organizerId = req.session.user._id.toString();
+        await invalidateCacheByPrefixes([
+            `/api/organizer/event/${req.params.id}`,
+            '/api/organizer/events',
+            '/api/organizer/stats'
+        ], organizerId);
+
+        // Fetch updated event to return fresh data
+        const updatedEvent = await Event.getEventById(req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Event updated successfully',
+            event: {
+                _id: updatedEvent._id,
+                name: updatedEvent.title,
+                sport: updatedEvent.sport_type,
+                location: updatedEvent.location,
+                start_date: updatedEvent.start_date || updatedEvent.event_date,
+                end_date: updatedEvent.end_date || updatedEvent.start_date || updatedEvent.event_date,
+                registration_deadline: updatedEvent.registration_deadline
+            }
+        });
+    } catch (error) {
+        console.error('Error updating event:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update event',
+            error: error.message
+        });
+    }
+});
+
+// DELETE /api/organizer/event/:id - Delete event
+router.delete('/event/:id', async (req, res) => {
+    try {
+        const Event = require('../models/event');
+        const event = await Event.getEventById(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
+        }
+
+        // Check permission
+        if (event.organizer_id.toString() !== req.session.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to delete this event'
+            });
+        }
+
+        await Event.deleteEvent(req.params.id);
+
+        // Invalidate this event's cache + events list + stats
+        const organizerId = req.session.user._id.toString();
+        await invalidateCacheByPrefixes([
+            `/api/organizer/event/${req.params.id}`,
+            '/api/organizer/events',
+            '/api/organizer/stats'
+        ], organizerId);
+
+        res.json({
+            success: true,
+            message: 'Event deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting event:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete event',
+            error: error.message
+        });
+    }
+});
+
+// PUT /api/organizer/event/:id/cancel - Cancel event (marks as cancelled)
+router.put('/event/:id/cancel', async (req, res) => {
+    try {
+        const Event = require('../models/event');
+        const event = await Event.getEventById(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
+        }
+
+        // Check permission
+        if (event.organizer_id.toString() !== req.session.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to cancel this event'
+            });
+        }
+
+        await Event.cancelEvent(req.params.id);
+
+        // Every paid team gets its entry fee back
+        const { refundCancelledEvent } = require('../controllers/eventPaymentController');
+        const refunds = await refundCancelledEvent(event);
+
+        // Invalidate this event's cache + events list + stats
+        const organizerId = req.session.user._id.toString();
+        await invalidateCacheByPrefixes([
+            `/api/organizer/event/${req.params.id}`,
+            '/api/organizer/events',
+            '/api/organizer/stats'
+        ], organizerId);
+        await invalidateCacheByPrefixes(['/api/manager/my-events']);
+
+        res.json({
+            success: true,
+            message: refunds.refunded > 0
+                ? `Event cancelled successfully. Refunded ₹${refunds.total} to ${refunds.refunded} team(s).`
+                : 'Event cancelled successfully',
+            refunds
+        });
+    } catch (error) {
+        console.error('Error cancelling event:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel event',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/organizer/profile - Get organizer profile
+router.get('/profile', cacheMiddleware(300), async (req, res) => {
+    try {
+        const User = require('../models/user');
+        const Event = require('../models/event');
+
+        const user = await User.getUserById(req.session.user._id);
+
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        // Get event statistics
+        const events = await Event.getEventsByOrganizer(req.session.user._id);
+        const upcomingEvents = events.filter(e =>
+            new Date(e.start_date || e.event_date) > new Date()
+        ).length;
+
+        const memberSince = user.created_at
+            ? new Date(user.created_at).toLocaleDateString('en-US', {
+                month: 'long',
+                year: 'numeric'
+            })
+            : 'November 2025';
+
+        res.json({
+            success: true,
+            user: {
+                id: user._id,
+                name: user.first_name + (user.last_name ? ' ' + user.last_name : ''),
+                email: user.email,
+                first_name: user.first_name || '',
+                last_name: user.last_name || '',
+                phone: user.phone || '',
+                age: user.profile?.age || '',
+                address: user.profile?.address || '',
+                bio: user.bio || '',
+                organization: user.profile?.organization_name || '',
+                profile_image: user.profile_image || '/images/default-avatar.png',
+                role: user.role,
+                status: 'Active',
+                member_since: memberSince,
+                total_events: events.length,
+                upcoming_events: upcomingEvents
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching profile:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch profile',
+            error: error.message
+        });
+    }
+});
+
+// PUT /api/organizer/profile - Update organizer profile (with image upload)
+router.put('/profile', uploadProfileImage, async (req, res) => {
+    try {
+        const User = require('../models/user');
+        const userId = req.session.user._id;
+
+        console.log('=== Profile Update Request ===');
+        console.log('User ID:', userId);
+        console.log('Request body:', req.body);
+        console.log('File uploaded:', req.file ? req.file.filename : 'No file');
+
+        const updateData = {
+            first_name: req.body.first_name,
+            last_name: req.body.last_name,
+            phone: req.body.phone,
+            bio: req.body.bio
+        };
+
+        // Handle nested profile fields (age, address, organization)
+        if (req.body.age !== undefined && req.body.age !== '') {
+            updateData['profile.age'] = parseInt(req.body.age, 10);
+        }
+        if (req.body.address !== undefined && req.body.address !== '') {
+            updateData['profile.address'] = req.body.address;
+        }
+        if (req.body.organization !== undefined && req.body.organization !== '') {
+            updateData['profile.organization_name'] = req.body.organization;
+        }
+
+        // If profile image was uploaded
+        if (req.file) {
+            updateData.profile_image = resolveUploadedImagePath(req.file);
+        }
+
+        console.log('Update data prepared:', updateData);
+
+        // Use User model's findByIdAndUpdate directly
+        const mongoose = require('mongoose');
+        const UserModel = mongoose.model('User');
+
+        const updatedUser = await UserModel.findByIdAndUpdate(
+            userId,
+            { $set: updateData },
+            { new: true, runValidators: true }
+        );
+
+        if (!updatedUser) {
+            console.error('User not found or update failed');
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update profile in database'
+            });
+        }
+
+        console.log('Profile updated successfully');
+
+        // Prepare session user object
+        const sessionUser = updatedUser.toObject ? updatedUser.toObject() : updatedUser;
+        sessionUser.name = sessionUser.first_name + (sessionUser.last_name ? ' ' + sessionUser.last_name : '');
+
+        // Update session
+        req.session.user = sessionUser;
+
+        await new Promise((resolve, reject) => {
+            req.session.save((err) => {
+                if (err) {
+                    console.error('Session save error:', err);
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+
+        console.log('Session updated successfully');
+
+        res.json({
+            success: true,
+            message: 'Profile updated successfully',
+            user: {
+                id: sessionUser._id,
+                name: sessionUser.name,
+                email: sessionUser.email,
+                first_name: sessionUser.first_name,
+                last_name: sessionUser.last_name,
+                phone: sessionUser.phone,
+                age: sessionUser.profile?.age || '',
+                address: sessionUser.profile?.address || '',
+                bio: sessionUser.bio,
+                organization: sessionUser.profile?.organization_name || '',
+                profile_image: sessionUser.profile_image,
+                role: sessionUser.role
+            }
+        });
+    } catch (error) {
+        console.error('=== Profile Update Error ===');
+        console.error('Error message:', error.message);
+        console.error('Error stack:', error.stack);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update profile',
+            error: error.message
+        });
+    }
+});
+
+// PUT /api/organizer/change-password - Change password
+router.put('/change-password', async (req, res) => {
+    try {
+        const User = require('../models/user');
+        const userId = req.session.user._id;
+        const { oldPassword, newPassword } = req.body;
+
+        if (!oldPassword || !newPassword) {
+            return res.status(400).json({
+                success: false,
+                message: 'Old password and new password are required'
+            });
+        }
+
+        // Get user from database
+        const user = await User.getUserById(userId);
+
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        // Verify old password
+        const isMatch = await bcrypt.compare(oldPassword, user.password);
+
+        if (!isMatch) {
+            return res.status(401).json({
+                success: false,
+                message: 'Current password is incorrect'
+            });
+        }
+
+        // Hash new password
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+        // Update password in database
+        await User.updateUser(userId, { password: hashedPassword });
+
+        res.json({
+            success: true,
+            message: 'Password changed successfully'
+        });
+    } catch (error) {
+        console.error('Error changing password:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to change password',
+            error: error.message
+        });
+    }
+});
+
+// PUT /api/organizer/event/:eventId/approve-team/:teamId - Approve team registration
+router.put('/event/:eventId/approve-team/:teamId', isOrganizerAPI, async (req, res) => {
+    try {
+        const Event = require('../models/event');
+        const { eventId, teamId } = req.params;
+        const organizerId = req.session.user._id;
+
+        // Get event and verify ownership
+        const event = await Event.getEventById(eventId);
 
         if (!event) {
             return res.status(404).json({ success: false, message: 'Event not found' });
         }
 
-        // Check permission
-        if (event.organizer_id.toString() !== req.session.user._id.toString()) {
+        if (event.organizer_id.toString() !== organizerId.toString()) {
             return res.status(403).json({
                 success: false,
-                message: 'You do not have permission to update this event'
+                message: 'You are not authorized to approve teams for this event'
             });
         }
 
-        // Backend validation for event name and location
-        const validationErrors = {};
-
-        if (req.body.name) {
-            if (/^\d+$/.test(req.body.name.trim())) {
-                validationErrors.name = 'Event name cannot contain only numbers. Please include at least one letter.';
-            } else if (!/[a-zA-Z]/.test(req.body.name.trim())) {
-                validationErrors.name = 'Event name must contain at least one letter.';
-            }
-        }
-
-        if (req.body.location) {
-            if (/^\d+$/.test(req.body.location.trim())) {
-                validationErrors.location = 'Location cannot contain only numbers. Please include at least one letter.';
-            } else if (!/[a-zA-Z]/.test(req.body.location.trim())) {
-                validationErrors.location = 'Location must contain at least one letter.';
-            }
-        }
+        // Update team registration status
+        const updated = await Event.approveTeamRegistration(eventId, teamId);
 
-        if (Object.keys(validationErrors).length > 0) {
+        if (!updated) {
             return res.status(400).json({
                 success: false,
-                message: 'Validation failed',
-                errors: validationErrors
+                message: 'Failed to approve team. Team may not be found or already approved.'
             });
         }
 
-        const updateData = {
-            title: req.body.name || req.body.title || event.title,
-            description: req.body.description !== undefined ? req.body.description : event.description,
-            sport_type: req.body.sport || req.body.sport_type || event.sport_type,
-            event_date: req.body.start_date || event.start_date || event.event_date,  // Legacy field
-            start_date: req.body.start_date || event.start_date || event.event_date,  // Proper start date
-            end_date: req.body.end_date || event.end_date || event.start_date || event.event_date,  // End date
-            event_time: req.body.event_time || event.event_time,
-            location: req.body.location || event.location,
-            max_teams: req.body.max_teams ? parseInt(req.body.max_teams) : event.max_teams,
-            entry_fee: (req.body.entry_fee !== undefined && req.body.entry_fee !== '' && req.body.entry_fee !== null) ? parseFloat(req.body.entry_fee) || 0 : (event.entry_fee || 0),
-            registration_deadline: req.body.registration_deadline || event.registration_deadline,
-            status: req.body.status || event.status
-        };
-
-        await Event.updateEvent(req.params.id, updateData);
-
-        // Invalidate this event's cache + events list + stats
-        const organizerId = req.session.user._id.toString();
+        // Invalidate event detail + stats cache for this organizer
         await invalidateCacheByPrefixes([
-            `/api/organizer/event/${req.params.id}`,
-            '/api/organizer/events',
+            `/api/organizer/event/${eventId}`,
             '/api/organizer/stats'
-        ], organizerId);
-
-        // Fetch updated event to return fresh data
-        const updatedEvent = await Event.getEventById(req.params.id);
+        ], organizerId.toString());
 
         res.json({
             success: true,
-            message: 'Event updated successfully',
-            event: {
-                _id: updatedEvent._id,
-                name: updatedEvent.title,
-                sport: updatedEvent.sport_type,
-                location: updatedEvent.location,
-                start_date: updatedEvent.start_date || updatedEvent.event_date,
-                end_date: updatedEvent.end_date || updatedEvent.start_date || updatedEvent.event_date,
-                registration_deadline: updatedEvent.registration_deadline
-            }
+            message: 'Team registration approved successfully'
         });
     } catch (error) {
-        console.error('Error updating event:', error);
+        console.error('Approve team error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to update event',
+            message: 'Error approving team registration',
             error: error.message
         });
     }
 });
 
-// DELETE /api/organizer/event/:id - Delete event
-router.delete('/event/:id', async (req, res) => {
+// PUT /api/organizer/event/:eventId/reject-team/:teamId - Reject team registration
+router.put('/event/:eventId/reject-team/:teamId', isOrganizerAPI, async (req, res) => {
     try {
         const Event = require('../models/event');
-        const event = await Event.getEventById(req.params.id);
+        const { eventId, teamId } = req.params;
+        const organizerId = req.session.user._id;
+
+        // Get event and verify ownership
+        const event = await Event.getEventById(eventId);
 
         if (!event) {
             return res.status(404).json({ success: false, message: 'Event not found' });
         }
 
-        // Check permission
-        if (event.organizer_id.toString() !== req.session.user._id.toString()) {
+        if (event.organizer_id.toString() !== organizerId.toString()) {
             return res.status(403).json({
                 success: false,
-                message: 'You do not have permission to delete this event'
+                message: 'You are not authorized to reject teams for this event'
             });
         }
 
-        await Event.deleteEvent(req.params.id);
+        // Update team registration status
+        const updated = await Event.rejectTeamRegistration(eventId, teamId);
 
-        // Invalidate this event's cache + events list + stats
-        const organizerId = req.session.user._id.toString();
+        if (!updated) {
+            return res.status(400).json({
+                success: false,
+                message: 'Failed to reject team. Team may not be found.'
+            });
+        }
+
+        // Invalidate event detail + stats cache for this organizer
         await invalidateCacheByPrefixes([
-            `/api/organizer/event/${req.params.id}`,
-            '/api/organizer/events',
+            `/api/organizer/event/${eventId}`,
             '/api/organizer/stats'
-        ], organizerId);
+        ], organizerId.toString());
 
         res.json({
             success: true,
-            message: 'Event deleted successfully'
+            message: 'Team registration rejected'
         });
     } catch (error) {
-        console.error('Error deleting event:', error);
+        console.error('Reject team error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to delete event',
+            message: 'Error rejecting team registration',
             error: error.message
         });
     }
 });
 
-// PUT /api/organizer/event/:id/cancel - Cancel event (marks as cancelled)
-router.put('/event/:id/cancel', async (req, res) => {
+// GET /api/organizer/event/:eventId/substitutions - Squad substitution requests
+router.get('/event/:eventId/substitutions', async (req, res) => {
     try {
-        const Event = require('../models/event');
-        const event = await Event.getEventById(req.params.id);
+        const EventSchema = require('../models/schemas/eventSchema');
+        const event = await EventSchema.findById(req.params.eventId)
+            .populate('team_registrations.team_id', 'name')
+            .populate('team_registrations.substitutions.out_player_id', 'first_name last_name')
+            .populate('team_registrations.substitutions.in_player_id', 'first_name last_name')
+            .lean();
 
         if (!event) {
             return res.status(404).json({ success: false, message: 'Event not found' });
         }
-
-        // Check permission
         if (event.organizer_id.toString() !== req.session.user._id.toString()) {
             return res.status(403).json({
                 success: false,
-                message: 'You do not have permission to cancel this event'
+                message: 'You are not authorized to view substitutions for this event'
             });
         }
 
-        await Event.cancelEvent(req.params.id);
-
-        // Invalidate this event's cache + events list + stats
-        const organizerId = req.session.user._id.toString();
-        await invalidateCacheByPrefixes([
-            `/api/organizer/event/${req.params.id}`,
-            '/api/organizer/events',
-            '/api/organizer/stats'
-        ], organizerId);
-
-        res.json({
-            success: true,
-            message: 'Event cancelled successfully'
-        });
+        const name = user => user ? `${user.first_name} ${user.last_name}`.trim() : 'Unknown Player';
+        const substitutions = event.team_registrations
+            .flatMap(reg => (reg.substitutions || []).map(sub => ({
+                _id: sub._id,
+                team_id: reg.team_id ? reg.team_id._id : null,
+                team_name: reg.team_id ? reg.team_id.name : 'Unknown Team',
+                out_player_name: name(sub.out_player_id),
+                in_player_name: name(sub.in_player_id),
+                reason: sub.reason,
+                status: sub.status,
+                requested_at: sub.requested_at,
+                reviewed_at: sub.reviewed_at,
+                review_note: sub.review_note
+            })))
+            .sort((a, b) => new Date(b.requested_at) - new Date(a.requested_at));
+
+        res.json({ success: true, substitutions });
     } catch (error) {
-        console.error('Error cancelling event:', error);
+        console.error('Error fetching substitutions:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to cancel event',
+            message: 'Error fetching substitution requests',
             error: error.message
         });
     }
 });
 
-// GET /api/organizer/profile - Get organizer profile
-router.get('/profile', cacheMiddleware(300), async (req, res) => {
+// PUT /api/organizer/event/:eventId/substitutions/:substitutionId/:action - Approve or reject a substitution
+router.put('/event/:eventId/substitutions/:substitutionId/:action(approve|reject)', async (req, res) => {
     try {
-        const User = require('../models/user');
-        const Event = require('../models/event');
+        const EventSchema = require('../models/schemas/eventSchema');
+        const { applySubstitution } = require('../services/squadService');
+        const { eventId, substitutionId, action } = req.params;
+        const organizerId = req.session.user._id;
 
-        const user = await User.getUserById(req.session.user._id);
+        const event = await EventSchema.findById(eventId);
+        if (!event) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
+        }
+        if (event.organizer_id.toString() !== organizerId.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not authorized to review substitutions for this event'
+            });
+        }
 
-        if (!user) {
-            return res.status(404).json({ success: false, message: 'User not found' });
+        const registration = event.team_registrations.find(reg => reg.substitutions.id(substitutionId));
+        const substitution = registration && registration.substitutions.id(substitutionId);
+        if (!substitution) {
+            return res.status(404).json({ success: false, message: 'Substitution request not found' });
+        }
+        if (substitution.status !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                message: `This substitution was already ${substitution.status}`
+            });
         }
 
-        // Get event statistics
-        const events = await Event.getEventsByOrganizer(req.session.user._id);
-        const upcomingEvents = events.filter(e =>
-            new Date(e.start_date || e.event_date) > new Date()
-        ).length;
+        const now = new Date();
+        if (action === 'approve') {
+            const error = applySubstitution(registration, substitution, now);
+            if (error) {
+                return res.status(400).json({ success: false, message: error });
+            }
+            registration.squad_updated_at = now;
+        }
+        substitution.status = action === 'approve' ? 'approved' : 'rejected';
+        substitution.reviewed_by = organizerId;
+        substitution.reviewed_at = now;
+        substitution.review_note = String(req.body.review_note || '').trim().slice(0, 500);
+        await event.save();
 
-        const memberSince = user.created_at
-            ? new Date(user.created_at).toLocaleDateString('en-US', {
-                month: 'long',
-                year: 'numeric'
-            })
-            : 'November 2025';
+        await invalidateCacheByPrefixes([`/api/organizer/event/${eventId}`], organizerId.toString());
+        await invalidateCacheByPrefixes(['/api/manager/my-events']);
 
         res.json({
             success: true,
-            user: {
-                id: user._id,
-                name: user.first_name + (user.last_name ? ' ' + user.last_name : ''),
-                email: user.email,
-                first_name: user.first_name || '',
-                last_name: user.last_name || '',
-                phone: user.phone || '',
-                age: user.profile?.age || '',
-                address: user.profile?.address || '',
-                bio: user.bio || '',
-                organization: user.profile?.organization_name || '',
-                profile_image: user.profile_image || '/images/default-avatar.png',
-                role: user.role,
-                status: 'Active',
-                member_since: memberSince,
-                total_events: events.length,
-                upcoming_events: upcomingEvents
-            }
+            message: action === 'approve' ? 'Substitution approved and squad updated' : 'Substitution rejected',
+            substitution
         });
     } catch (error) {
-        console.error('Error fetching profile:', error);
+        console.error('Error reviewing substitution:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to fetch profile',
+            message: 'Error reviewing substitution',
             error: error.message
         });
     }
 });
 
-// PUT /api/organizer/profile - Update organizer profile (with image upload)
-router.put('/profile', uploadProfileImage, async (req, res) => {
-    try {
-        const User = require('../models/user');
-        const userId = req.session.user._id;
+/**
+ * Load an event the signed-in organizer owns.
+ * @returns {Promise<{event?: Object, status?: number, message?: string}>}
+ */
+async function loadOrganizerEvent(eventId, organizerId) {
+    const EventSchema = require('../models/schemas/eventSchema');
+    const event = await EventSchema.findById(eventId);
+    if (!event) {
+        return { status: 404, message: 'Event not found' };
+    }
+    if (event.organizer_id.toString() !== organizerId.toString()) {
+        return { status: 403, message: 'You are not authorized to change pricing for this event' };
+    }
+    return { event };
+}
 
-        console.log('=== Profile Update Request ===');
-        console.log('User ID:', userId);
-        console.log('Request body:', req.body);
-        console.log('File uploaded:', req.file ? req.file.filename : 'No file');
+function pricingSummary(event) {
+    const pricing = require('../services/pricingService');
+    return {
+        entry_fee: event.entry_fee || 0,
+        price_tiers: pricing.sortTiers(event.price_tiers || []),
+        current_price: pricing.currentTier(event),
+        returning_team_discount: event.returning_team_discount || 0,
+        promo_codes: pricing.redemptionStats(event)
+    };
+}
 
-        const updateData = {
-            first_name: req.body.first_name,
-            last_name: req.body.last_name,
-            phone: req.body.phone,
-            bio: req.body.bio
-        };
+// GET /api/organizer/event/:eventId/pricing - Price tiers, discounts and promo code redemptions
+router.get('/event/:eventId/pricing', async (req, res) => {
+    try {
+        const loaded = await loadOrganizerEvent(req.params.eventId, req.session.user._id);
+        if (loaded.status) {
+            return res.status(loaded.status).json({ success: false, message: loaded.message });
+        }
+        res.json({ success: true, pricing: pricingSummary(loaded.event) });
+    } catch (error) {
+        console.error('Error fetching event pricing:', error);
+        res.status(500).json({ success: false, message: 'Error fetching event pricing', error: error.message });
+    }
+});
 
-        // Handle nested profile fields (age, address, organization)
-        if (req.body.age !== undefined && req.body.age !== '') {
-            updateData['profile.age'] = parseInt(req.body.age, 10);
+// PUT /api/organizer/event/:eventId/pricing - Set price tiers and the returning-team discount
+router.put('/event/:eventId/pricing', async (req, res) => {
+    try {
+        const Event = require('../models/event');
+        const { validatePriceTiers, validateReturningDiscount } = require('../services/pricingService');
+        const organizerId = req.session.user._id;
+
+        const loaded = await loadOrganizerEvent(req.params.eventId, organizerId);
+        if (loaded.status) {
+            return res.status(loaded.status).json({ success: false, message: loaded.message });
         }
-        if (req.body.address !== undefined && req.body.address !== '') {
-            updateData['profile.address'] = req.body.address;
+
+        const update = {};
+        if (req.body.price_tiers !== undefined) {
+            const tiers = validatePriceTiers(req.body.price_tiers);
+            if (tiers.error) {
+                return res.status(400).json({ success: false, message: tiers.error });
+            }
+            update.price_tiers = tiers.tiers;
         }
-        if (req.body.organization !== undefined && req.body.organization !== '') {
-            updateData['profile.organization_name'] = req.body.organization;
+        if (req.body.returning_team_discount !== undefined) {
+            const discount = validateReturningDiscount(req.body.returning_team_discount);
+            if (discount.error) {
+                return res.status(400).json({ success: false, message: discount.error });
+            }
+            update.returning_team_discount = discount.percent;
         }
 
-        // If profile image was uploaded
-        if (req.file) {
-            updateData.profile_image = resolveUploadedImagePath(req.file);
-        }
+        const event = await Event.setEventPricing(req.params.eventId, update);
 
-        console.log('Update data prepared:', updateData);
+        await invalidateCacheByPrefixes([`/api/organizer/event/${req.params.eventId}`], organizerId.toString());
 
-        // Use User model's findByIdAndUpdate directly
-        const mongoose = require('mongoose');
-        const UserModel = mongoose.model('User');
+        res.json({ success: true, message: 'Pricing updated', pricing: pricingSummary(event) });
+    } catch (error) {
+        console.error('Error updating event pricing:', error);
+        res.status(500).json({ success: false, message: 'Error updating event pricing', error: error.message });
+    }
+});
 
-        const updatedUser = await UserModel.findByIdAndUpdate(
-            userId,
-            { $set: updateData },
-            { new: true, runValidators: true }
-        );
+// POST /api/organizer/event/:eventId/promo-codes - Issue a promo code
+router.post('/event/:eventId/promo-codes', async (req, res) => {
+    try {
+        const Event = require('../models/event');
+        const { validatePromoCode } = require('../services/pricingService');
+
+        const loaded = await loadOrganizerEvent(req.params.eventId, req.session.user._id);
+        if (loaded.status) {
+            return res.status(loaded.status).json({ success: false, message: loaded.message });
+        }
 
-        if (!updatedUser) {
-            console.error('User not found or update failed');
-            return res.status(500).json({
-                success: false,
-                message: 'Failed to update profile in database'
-            });
+        const { error, promo } = validatePromoCode(req.body, loaded.event.promo_codes || []);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
         }
 
-        console.log('Profile updated successfully');
+        const event = await Event.addPromoCode(req.params.eventId, promo);
 
-        // Prepare session user object
-        const sessionUser = updatedUser.toObject ? updatedUser.toObject() : updatedUser;
-        sessionUser.name = sessionUser.first_name + (sessionUser.last_name ? ' ' + sessionUser.last_name : '');
+        res.status(201).json({
+            success: true,
+            message: `Promo code ${promo.code} created`,
+            pricing: pricingSummary(event)
+        });
+    } catch (error) {
+        console.error('Error creating promo code:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
 
-        // Update session
-        req.session.user = sessionUser;
+// PUT /api/organizer/event/:eventId/promo-codes/:code - Enable or disable a promo code
+router.put('/event/:eventId/promo-codes/:code', async (req, res) => {
+    try {
+        const Event = require('../models/event');
 
-        await new Promise((resolve, reject) => {
-            req.session.save((err) => {
-                if (err) {
-                    console.error('Session save error:', err);
-                    reject(err);
-                } else {
-                    resolve();
-                }
-            });
-        });
+        const loaded = await loadOrganizerEvent(req.params.eventId, req.session.user._id);
+        if (loaded.status) {
+            return res.status(loaded.status).json({ success: false, message: loaded.message });
+        }
 
-        console.log('Session updated successfully');
+        const event = await Event.setPromoCodeActive(req.params.eventId, req.params.code, req.body.active !== false);
 
         res.json({
             success: true,
-            message: 'Profile updated successfully',
-            user: {
-                id: sessionUser._id,
-                name: sessionUser.name,
-                email: sessionUser.email,
-                first_name: sessionUser.first_name,
-                last_name: sessionUser.last_name,
-                phone: sessionUser.phone,
-                age: sessionUser.profile?.age || '',
-                address: sessionUser.profile?.address || '',
-                bio: sessionUser.bio,
-                organization: sessionUser.profile?.organization_name || '',
-                profile_image: sessionUser.profile_image,
-                role: sessionUser.role
-            }
+            message: req.body.active !== false ? 'Promo code enabled' : 'Promo code disabled',
+            pricing: pricingSummary(event)
         });
     } catch (error) {
-        console.error('=== Profile Update Error ===');
-        console.error('Error message:', error.message);
-        console.error('Error stack:', error.stack);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to update profile',
-            error: error.message
-        });
+        console.error('Error updating promo code:', error);
+        res.status(400).json({ success: false, message: error.message });
     }
 });
 
-// PUT /api/organizer/change-password - Change password
-router.put('/change-password', async (req, res) => {
+/**
+ * Load a season the signed-in organizer owns, with its editions.
+ * @returns {Promise<{season?: Object, editions?: Array, status?: number, message?: string}>}
+ */
+async function loadOrganizerSeason(seasonId, organizerId) {
+    const SeasonSchema = require('../models/schemas/seasonSchema');
+    const Season = require('../models/season');
+    const season = await SeasonSchema.findById(seasonId).select('organizer_id').lean();
+    if (!season) {
+        return { status: 404, message: 'Season not found' };
+    }
+    if (season.organizer_id.toString() !== organizerId.toString()) {
+        return { status: 403, message: 'You are not authorized to manage this season' };
+    }
+    return Season.getSeasonById(seasonId);
+}
+
+// GET /api/organizer/seasons - The organizer's seasons
+router.get('/seasons', async (req, res) => {
+    try {
+        const Season = require('../models/season');
+        const seasons = await Season.getSeasonsByOrganizer(req.session.user._id);
+        res.json({ success: true, seasons });
+    } catch (error) {
+        console.error('Error fetching seasons:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch seasons', error: error.message });
+    }
+});
+
+// POST /api/organizer/seasons - Create a season and its editions
+router.post('/seasons', async (req, res) => {
     try {
+        const Season = require('../models/season');
         const User = require('../models/user');
-        const userId = req.session.user._id;
-        const { oldPassword, newPassword } = req.body;
+        const { validateRecurrence } = require('../services/seasonService');
+        const { validateSquadSize } = require('../services/squadService');
+        const { validateRefundPolicy } = require('../services/refundService');
 
-        if (!oldPassword || !newPassword) {
-            return res.status(400).json({
+        const organizer = await User.getUserById(req.session.user._id);
+        if (!organizer) {
+            return res.status(404).json({ success: false, message: 'Organizer account not found' });
+        }
+        if (organizer.verificationStatus !== 'verified') {
+            return res.status(403).json({
                 success: false,
-                message: 'Old password and new password are required'
+                message: 'Your account must be verified by a coordinator before you can create events. Please wait for approval.',
+                verificationStatus: organizer.verificationStatus
             });
         }
 
-        // Get user from database
-        const user = await User.getUserById(userId);
+        if (!req.body.name) {
+            return res.status(400).json({ success: false, message: 'Season name is required' });
+        }
+        if (!req.body.sport) {
+            return res.status(400).json({ success: false, message: 'Sport type is required' });
+        }
+        if (!req.body.location) {
+            return res.status(400).json({ success: false, message: 'Location is required' });
+        }
 
-        if (!user) {
-            return res.status(404).json({ success: false, message: 'User not found' });
+        const recurrence = validateRecurrence({ ...req.body.recurrence, start_date: req.body.start_date });
+        if (recurrence.error) {
+            return res.status(400).json({ success: false, message: recurrence.error });
         }
 
-        // Verify old password
-        const isMatch = await bcrypt.compare(oldPassword, user.password);
+        const squadSize = validateSquadSize({ min: req.body.min_squad_size, max: req.body.max_squad_size });
+        if (squadSize.error) {
+            return res.status(400).json({ success: false, message: squadSize.error });
+        }
 
-        if (!isMatch) {
-            return res.status(401).json({
-                success: false,
-                message: 'Current password is incorrect'
-            });
+        const refundPolicy = validateRefundPolicy(req.body.refund_policy);
+        if (refundPolicy.error) {
+            return res.status(400).json({ success: false, message: refundPolicy.error });
         }
 
-        // Hash new password
-        const hashedPassword = await bcrypt.hash(newPassword, 10);
+        const { season, editions } = await Season.createSeason({
+            organizer_id: req.session.user._id,
+            title: req.body.name,
+            description: req.body.description || '',
+            sport_type: req.body.sport,
+            location: req.body.location,
+            recurrence: recurrence.recurrence,
+            carry_over_registrations: req.body.carry_over_registrations !== false
+        }, {
+            event_time: req.body.event_time || '10:00',
+            max_teams: parseInt(req.body.max_teams) || 16,
+            entry_fee: parseFloat(req.body.entry_fee) || 0,
+            tournament_format: req.body.tournament_format || 'round-robin',
+            squad_size: { min: squadSize.min, max: squadSize.max },
+            refund_policy: refundPolicy.policy,
+            status: 'pending_approval'
+        });
 
-        // Update password in database
-        await User.updateUser(userId, { password: hashedPassword });
+        const organizerId = req.session.user._id.toString();
+        await invalidateCacheByPrefixes(['/api/organizer/stats', '/api/organizer/events'], organizerId);
 
-        res.json({
+        res.status(201).json({
             success: true,
-            message: 'Password changed successfully'
+            message: `Season created with ${editions.length} editions! They will be visible to players once approved by a coordinator.`,
+            season: { _id: season._id, title: season.title, editions: editions.length }
         });
     } catch (error) {
-        console.error('Error changing password:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to change password',
-            error: error.message
-        });
+        console.error('Error creating season:', error);
+        res.status(500).json({ success: false, message: 'Failed to create season', error: error.message });
     }
 });
 
-// PUT /api/organizer/event/:eventId/approve-team/:teamId - Approve team registration
-router.put('/event/:eventId/approve-team/:teamId', isOrganizerAPI, async (req, res) => {
+// GET /api/organizer/season/:seasonId - Editions, season standings and player awards
+router.get('/season/:seasonId', async (req, res) => {
     try {
-        const Event = require('../models/event');
-        const { eventId, teamId } = req.params;
-        const organizerId = req.session.user._id;
-
-        // Get event and verify ownership
-        const event = await Event.getEventById(eventId);
+        const Match = require('../models/schemas/matchSchema');
+        const User = require('../models/schemas/userSchema');
+        const seasons = require('../services/seasonService');
+        const { ACTIVE_REGISTRATION_STATUSES } = require('../services/waitlistService');
 
-        if (!event) {
-            return res.status(404).json({ success: false, message: 'Event not found' });
+        const loaded = await loadOrganizerSeason(req.params.seasonId, req.session.user._id);
+        if (loaded.status) {
+            return res.status(loaded.status).json({ success: false, message: loaded.message });
         }
+        const { season, editions } = loaded;
 
-        if (event.organizer_id.toString() !== organizerId.toString()) {
-            return res.status(403).json({
-                success: false,
-                message: 'You are not authorized to approve teams for this event'
-            });
+        const matches = await Match.find({
+            event_id: { $in: editions.map(event => event._id) },
+            status: 'verified'
+        }).lean();
+        const { standings, awards } = seasons.rollUp(season, editions, matches);
+
+        // Names for the players listed in the awards; teams come from the registrations
+        const teamNames = new Map(editions.flatMap(event =>
+            event.team_registrations.map(reg => [String(reg.team_id), reg.team_name])));
+        const playerIds = [...new Set(awards.flatMap(award => award.entries.map(entry => entry.player_id)))];
+        const users = await User.find({ _id: { $in: playerIds } }).select('first_name last_name').lean();
+        const userNames = new Map(users.map(u => [u._id.toString(), `${u.first_name} ${u.last_name}`.trim()]));
+
+        res.json({
+            success: true,
+            season: {
+                _id: season._id,
+                title: season.title,
+                description: season.description,
+                sport_type: season.sport_type,
+                location: season.location,
+                recurrence: season.recurrence,
+                carry_over_registrations: season.carry_over_registrations,
+                status: seasons.seasonStatus(editions)
+            },
+            editions: editions.map(event => ({
+                _id: event._id,
+                title: event.title,
+                edition: event.season.edition,
+                event_date: event.event_date,
+                registration_deadline: event.registration_deadline,
+                status: event.status,
+                max_teams: event.max_teams,
+                registered_teams: event.team_registrations
+                    .filter(reg => ACTIVE_REGISTRATION_STATUSES.includes(reg.status)).length,
+                carried_in: event.team_registrations.filter(reg => reg.carried_over_from).length,
+                carried_over_at: event.season.carried_over_at || null,
+                has_next: Boolean(seasons.nextEdition(editions, event)),
+                champion: event.champion && event.champion.team_id ? event.champion : null
+            })),
+            matches_counted: matches.length,
+            standings,
+            awards: awards.map(award => ({
+                ...award,
+                entries: award.entries.map((entry, index) => ({
+                    ...entry,
+                    rank: index + 1,
+                    player_name: userNames.get(entry.player_id) || 'Unknown Player',
+                    team_name: teamNames.get(entry.team_id) || 'Unknown Team'
+                }))
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching season:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch season', error: error.message });
+    }
+});
+
+// PUT /api/organizer/season/:seasonId - Turn carry-over on or off
+router.put('/season/:seasonId', async (req, res) => {
+    try {
+        const Season = require('../models/season');
+        const loaded = await loadOrganizerSeason(req.params.seasonId, req.session.user._id);
+        if (loaded.status) {
+            return res.status(loaded.status).json({ success: false, message: loaded.message });
+        }
+        if (typeof req.body.carry_over_registrations !== 'boolean') {
+            return res.status(400).json({ success: false, message: 'carry_over_registrations must be true or false' });
         }
 
-        // Update team registration status
-        const updated = await Event.approveTeamRegistration(eventId, teamId);
+        const season = await Season.setCarryOver(req.params.seasonId, req.body.carry_over_registrations);
+        res.json({
+            success: true,
+            message: season.carry_over_registrations
+                ? 'Teams will carry over to the next edition'
+                : 'Teams will no longer carry over between editions',
+            carry_over_registrations: season.carry_over_registrations
+        });
+    } catch (error) {
+        console.error('Error updating season:', error);
+        res.status(500).json({ success: false, message: 'Failed to update season', error: error.message });
+    }
+});
 
-        if (!updated) {
-            return res.status(400).json({
-                success: false,
-                message: 'Failed to approve team. Team may not be found or already approved.'
-            });
+// POST /api/organizer/season/:seasonId/carry-over - Register an edition's teams for the next edition now
+router.post('/season/:seasonId/carry-over', async (req, res) => {
+    try {
+        const Season = require('../models/season');
+        const seasons = require('../services/seasonService');
+        const loaded = await loadOrganizerSeason(req.params.seasonId, req.session.user._id);
+        if (loaded.status) {
+            return res.status(loaded.status).json({ success: false, message: loaded.message });
         }
 
-        // Invalidate event detail + stats cache for this organizer
-        await invalidateCacheByPrefixes([
-            `/api/organizer/event/${eventId}`,
-            '/api/organizer/stats'
-        ], organizerId.toString());
+        const source = loaded.editions.find(event => event._id.toString() === String(req.body.event_id));
+        if (!source) {
+            return res.status(400).json({ success: false, message: 'That event is not an edition of this season' });
+        }
+        if (!seasons.nextEdition(loaded.editions, source)) {
+            return res.status(400).json({ success: false, message: 'There is no later edition to carry teams over to' });
+        }
 
+        const { target, carried } = await Season.carryOverEdition(source._id);
         res.json({
             success: true,
-            message: 'Team registration approved successfully'
+            message: carried > 0
+                ? `${carried} team(s) registered for ${target.title}`
+                : `Every team is already registered for ${target.title}, or it is full`,
+            carried
         });
     } catch (error) {
-        console.error('Approve team error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Error approving team registration',
-            error: error.message
-        });
+        console.error('Error carrying over teams:', error);
+        res.status(500).json({ success: false, message: 'Failed to carry over teams', error: error.message });
     }
 });
 
-// PUT /api/organizer/event/:eventId/reject-team/:teamId - Reject team registration
-router.put('/event/:eventId/reject-team/:teamId', isOrganizerAPI, async (req, res) => {
+// POST /api/organizer/event/:eventId/schedule-matches - Schedule matches for an event
+router.post('/event/:eventId/schedule-matches', async (req, res) => {
     try {
+        const { eventId } = req.params;
+        const { matches, generate, preview, format, overrides, group_count, qualifiers_per_group, seeding, groups, allow_conflicts } = req.body;
+        const Match = require('../models/match');
         const Event = require('../models/event');
-        const { eventId, teamId } = req.params;
-        const organizerId = req.session.user._id;
+        const schedulerService = require('../services/schedulerService');
 
-        // Get event and verify ownership
+        console.log('📅 Scheduling matches for event:', eventId);
+
+        // Verify event exists and organizer owns it
         const event = await Event.getEventById(eventId);
 
         if (!event) {
-            return res.status(404).json({ success: false, message: 'Event not found' });
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
         }
 
-        if (event.organizer_id.toString() !== organizerId.toString()) {
+        if (event.organizer_id.toString() !== req.session.user._id.toString()) {
             return res.status(403).json({
                 success: false,
-                message: 'You are not authorized to reject teams for this event'
+                message: 'Not authorized to schedule matches for this event'
             });
         }
 
-        // Update team registration status
-        const updated = await Event.rejectTeamRegistration(eventId, teamId);
-
-        if (!updated) {
+        if (event.schedule_finalized) {
             return res.status(400).json({
                 success: false,
-                message: 'Failed to reject team. Team may not be found.'
+                message: 'Schedule is already finalized and can no longer be changed'
             });
         }
 
-        // Invalidate event detail + stats cache for this organizer
-        await invalidateCacheByPrefixes([
-            `/api/organizer/event/${eventId}`,
-            '/api/organizer/stats'
-        ], organizerId.toString());
+        // Server-side fixture generation from the event's tournament format
+        if (generate) {
+            const fixtureService = require('../services/fixtureService');
+            const selectedFormat = format || event.tournament_format || 'round-robin';
+
+            if (!fixtureService.SUPPORTED_FORMATS.includes(selectedFormat)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Unsupported tournament format: ${selectedFormat}`
+                });
+            }
+
+            const teams = fixtureService.getSchedulableTeams(event.team_registrations);
+            if (teams.length < 2) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'At least 2 approved or confirmed teams are required to generate fixtures'
+                });
+            }
+
+            const qualifiersPerGroup = Math.max(1, parseInt(qualifiers_per_group, 10) || event.qualifiers_per_group || 2);
+            const seedOptions = {};
+
+            if (selectedFormat === 'groups-knockout') {
+                if (seeding === 'manual') {
+                    if (!Array.isArray(groups) || groups.length === 0) {
+                        return res.status(400).json({
+                            success: false,
+                            message: 'Manual seeding requires the teams of every group'
+                        });
+                    }
+                    seedOptions.groups = groups;
+                } else {
+                    const Team = require('../models/team');
+                    seedOptions.ratings = await Team.getTeamRatings(teams.map(t => t.id));
+                    seedOptions.groupCount = group_count;
+                }
+            } else if (selectedFormat === 'knockout' && seeding === 'rating') {
+                const Team = require('../models/team');
+                seedOptions.ratings = await Team.getTeamRatings(teams.map(t => t.id));
+            }
+
+            // Played matches are kept when fixtures are regenerated and still occupy their slots
+            const MatchSchema = require('../models/schemas/matchSchema');
+            const keptMatches = await MatchSchema.find({
+                event_id: eventId,
+                status: { $nin: ['scheduled', 'cancelled'] }
+            }).select('team_a team_b team_a_name team_b_name match_date venue match_number').lean();
+
+            let plan;
+            try {
+                plan = fixtureService.buildEventFixtures(event, {
+                    format: selectedFormat,
+                    existingMatches: keptMatches,
+                    ...seedOptions
+                });
+            } catch (err) {
+                return res.status(400).json({
+                    success: false,
+                    message: err.message
+                });
+            }
+
+            if (selectedFormat === 'groups-knockout' &&
+                plan.groups.some(group => group.teams.length < qualifiersPerGroup)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Every group needs at least ${qualifiersPerGroup} teams for ${qualifiersPerGroup} to qualify`
+                });
+            }
+
+            // Organizer edits to date/venue are applied by match number; generation is
+            // deterministic so the same numbers always refer to the same pairings.
+            const overrideMap = new Map(
+                (Array.isArray(overrides) ? overrides : []).map(o => [Number(o.match_number), o])
+            );
+            const fixtures = plan.fixtures.map(fixture => {
+                const override = overrideMap.get(fixture.match_number);
+                if (!override) return fixture;
+                return {
+                    ...fixture,
+                    match_date: override.match_date ? new Date(override.match_date) : fixture.match_date,
+                    venue: override.venue !== undefined ? override.venue : fixture.venue
+                };
+            });
+
+            const invalidDates = fixtures.filter(f => isNaN(new Date(f.match_date).getTime()));
+            if (invalidDates.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid date for match(es): ${invalidDates.map(f => f.match_number).join(', ')}`
+                });
+            }
+
+            const rounds = plan.rounds.map(round => ({
+                name: round.name,
+                number: round.number,
+                fixtures: fixtures.filter(f => f.round_number === round.number)
+            }));
+
+            const conflicts = schedulerService.detectConflicts([...keptMatches, ...fixtures], event.schedule_settings);
+
+            if (preview) {
+                return res.json({
+                    success: true,
+                    preview: true,
+                    format: selectedFormat,
+                    teams: plan.teams,
+                    byes: plan.byes,
+                    groups: plan.groups,
+                    qualifiers_per_group: selectedFormat === 'groups-knockout' ? qualifiersPerGroup : undefined,
+                    rounds,
+                    fixtures,
+                    unscheduled: plan.unscheduled,
+                    conflicts
+                });
+            }
+
+            if (plan.unscheduled.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `No free venue slot found for match(es): ${plan.unscheduled.join(', ')}. Add venues or widen the daily time windows.`,
+                    unscheduled: plan.unscheduled
+                });
+            }
+
+            if (conflicts.length > 0 && !allow_conflicts) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'The schedule has conflicts. Fix them or send allow_conflicts to save anyway.',
+                    conflicts
+                });
+            }
+
+            const replacedMatches = await Match.deleteUnplayedMatchesByEvent(eventId);
+            const createdMatches = [];
 
-        res.json({
-            success: true,
-            message: 'Team registration rejected'
-        });
-    } catch (error) {
-        console.error('Reject team error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Error rejecting team registration',
-            error: error.message
-        });
-    }
-});
+            for (const fixture of fixtures) {
+                const match = await Match.createMatch({
+                    event_id: eventId,
+                    team_a: fixture.team_a,
+                    team_b: fixture.team_b,
+                    team_a_name: fixture.team_a_name,
+                    team_b_name: fixture.team_b_name,
+                    match_date: fixture.match_date,
+                    venue: fixture.venue,
+                    round: fixture.round,
+                    match_number: fixture.match_number,
+                    match_type: selectedFormat === 'league' ? 'league' : 'tournament',
+                    bracket_round: fixture.bracket_round ?? null,
+                    bracket_position: fixture.bracket_position ?? null,
+                    group: fixture.group || null,
+                    status: 'scheduled',
+                    scheduled_by: req.session.user._id,
+                    scheduled_at: new Date()
+                });
+                createdMatches.push(match);
+            }
 
-// POST /api/organizer/event/:eventId/schedule-matches - Schedule matches for an event
-router.post('/event/:eventId/schedule-matches', async (req, res) => {
-    try {
-        const { eventId } = req.params;
-        const { matches } = req.body;
-        const Match = require('../models/match');
-        const Event = require('../models/event');
+            // Knockout nodes keep a link to their match so verified winners can advance
+            const matchIdsByNumber = new Map(createdMatches.map(m => [m.match_number, m._id]));
+            const knockoutBracket = plan.bracket.map(node => ({
+                ...node,
+                match_id: matchIdsByNumber.get(node.match_number) || null
+            }));
+
+            // groups-knockout starts with an empty bracket; it is built from the group tables
+            const groupLineup = plan.groups.map(group => ({
+                name: group.name,
+                teams: group.teams.map(team => ({ team_id: team.id, team_name: team.name }))
+            }));
+
+            await Event.findByIdAndUpdate(eventId, {
+                $set: {
+                    tournament_format: selectedFormat,
+                    knockout_bracket: knockoutBracket,
+                    groups: groupLineup,
+                    qualifiers_per_group: qualifiersPerGroup
+                },
+                $unset: { champion: 1 }
+            });
 
-        console.log('📅 Scheduling matches for event:', eventId);
-        console.log('📊 Total matches to create:', matches?.length);
+            console.log(`✅ Generated ${createdMatches.length} ${selectedFormat} matches (replaced ${replacedMatches})`);
 
-        // Verify event exists and organizer owns it
-        const event = await Event.getEventById(eventId);
+            await invalidateCacheByPrefixes(
+                [`/api/organizer/event/${eventId}`],
+                req.session.user._id.toString()
+            );
 
-        if (!event) {
-            return res.status(404).json({
-                success: false,
-                message: 'Event not found'
+            return res.status(201).json({
+                success: true,
+                message: `Successfully scheduled ${createdMatches.length} matches`,
+                format: selectedFormat,
+                matchesCreated: createdMatches.length,
+                replacedMatches,
+                byes: plan.byes,
+                groups: plan.groups,
+                conflicts,
+                matches: createdMatches
             });
         }
 
-        if (event.organizer_id.toString() !== req.session.user._id.toString()) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to schedule matches for this event'
-            });
-        }
+        console.log('📊 Total matches to create:', matches?.length);
 
         // Validate matches array
         if (!matches || !Array.isArray(matches) || matches.length === 0) {
@@ -1187,6 +2493,20 @@ router.post('/event/:eventId/schedule-matches', async (req, res) => {
             });
         }
 
+        const MatchSchema = require('../models/schemas/matchSchema');
+        const bookedMatches = await MatchSchema.find({ event_id: eventId, status: { $ne: 'cancelled' } })
+            .select('team_a team_b team_a_name team_b_name match_date venue match_number')
+            .lean();
+        const manualConflicts = schedulerService.detectConflicts([...bookedMatches, ...matches], event.schedule_settings);
+
+        if (manualConflicts.length > 0 && !allow_conflicts) {
+            return res.status(409).json({
+                success: false,
+                message: 'The schedule has conflicts. Fix them or send allow_conflicts to save anyway.',
+                conflicts: manualConflicts
+            });
+        }
+
         const createdMatches = [];
         const errors = [];
 
@@ -1259,6 +2579,7 @@ router.post('/event/:eventId/schedule-matches', async (req, res) => {
             matchesCreated: createdMatches.length,
             totalRequested: matches.length,
             matches: createdMatches,
+            conflicts: manualConflicts,
             errors: errors.length > 0 ? errors : undefined
         });
 
@@ -1272,6 +2593,154 @@ router.post('/event/:eventId/schedule-matches', async (req, res) => {
     }
 });
 
+// PUT /api/organizer/event/:eventId/schedule-settings - Venues, playing hours, match length and rest time
+router.put('/event/:eventId/schedule-settings', async (req, res) => {
+    try {
+        const { eventId } = req.params;
+        const Event = require('../models/event');
+        const { validateScheduleSettings, normalizeSettings } = require('../services/schedulerService');
+
+        const event = await Event.getEventById(eventId);
+        if (event.organizer_id.toString() !== req.session.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to change schedule settings for this event'
+            });
+        }
+
+        const { venues, daily_windows, match_duration_minutes, min_rest_minutes } = req.body;
+        const settings = { venues, daily_windows, match_duration_minutes, min_rest_minutes };
+        Object.keys(settings).forEach(key => settings[key] === undefined && delete settings[key]);
+
+        const errors = validateScheduleSettings(settings);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: errors.join('. '),
+                errors
+            });
+        }
+
+        const update = {};
+        Object.keys(settings).forEach(key => {
+            update[`schedule_settings.${key}`] = key === 'venues' ? settings.venues.map(v => v.trim()) : settings[key];
+        });
+
+        const updated = await Event.findByIdAndUpdate(eventId, { $set: update });
+
+        await invalidateCacheByPrefixes(
+            [`/api/organizer/event/${eventId}`],
+            req.session.user._id.toString()
+        );
+
+        res.json({
+            success: true,
+            message: 'Schedule settings updated',
+            schedule_settings: normalizeSettings(updated.schedule_settings)
+        });
+    } catch (error) {
+        console.error('❌ Schedule settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update schedule settings',
+            error: error.message
+        });
+    }
+});
+
+// PUT /api/organizer/event/:eventId/match/:matchId/schedule - Move one match to a new date/venue
+router.put('/event/:eventId/match/:matchId/schedule', async (req, res) => {
+    try {
+        const { eventId, matchId } = req.params;
+        const { match_date, venue, allow_conflicts } = req.body;
+        const Event = require('../models/event');
+        const Match = require('../models/schemas/matchSchema');
+        const { detectConflicts } = require('../services/schedulerService');
+
+        const event = await Event.getEventById(eventId);
+        if (event.organizer_id.toString() !== req.session.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to reschedule matches for this event'
+            });
+        }
+
+        if (event.schedule_finalized) {
+            return res.status(400).json({
+                success: false,
+                message: 'Schedule is already finalized and can no longer be changed'
+            });
+        }
+
+        const match = await Match.findOne({ _id: matchId, event_id: eventId });
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found'
+            });
+        }
+
+        if (match.status !== 'scheduled') {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot reschedule a match with status: ${match.status}`
+            });
+        }
+
+        const newDate = match_date ? new Date(match_date) : match.match_date;
+        if (isNaN(newDate.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid match date'
+            });
+        }
+
+        const moved = {
+            ...match.toObject(),
+            match_date: newDate,
+            venue: venue !== undefined ? venue : match.venue
+        };
+        const others = await Match.find({ event_id: eventId, _id: { $ne: matchId }, status: { $ne: 'cancelled' } })
+            .select('team_a team_b team_a_name team_b_name match_date venue match_number')
+            .lean();
+
+        // Only report conflicts involving the moved match
+        const conflicts = detectConflicts([moved, ...others], event.schedule_settings)
+            .filter(conflict => conflict.match_ids.includes(matchId.toString()));
+
+        if (conflicts.length > 0 && !allow_conflicts) {
+            return res.status(409).json({
+                success: false,
+                message: 'This time slot conflicts with other matches',
+                conflicts
+            });
+        }
+
+        match.match_date = moved.match_date;
+        match.venue = moved.venue;
+        await match.save();
+
+        await invalidateCacheByPrefixes(
+            [`/api/organizer/event/${eventId}`],
+            req.session.user._id.toString()
+        );
+
+        res.json({
+            success: true,
+            message: 'Match rescheduled',
+            match,
+            conflicts
+        });
+    } catch (error) {
+        console.error('❌ Reschedule match error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reschedule match',
+            error: error.message
+        });
+    }
+});
+
 // POST /api/organizer/event/:eventId/finalize-schedule - Finalize the schedule (lock it)
 router.post('/event/:eventId/finalize-schedule', async (req, res) => {
     try {
@@ -1317,15 +2786,55 @@ router.post('/event/:eventId/finalize-schedule', async (req, res) => {
             });
         }
 
+        // Double bookings must be resolved (or explicitly accepted) before the schedule is locked
+        const { detectConflicts } = require('../services/schedulerService');
+        const scheduledMatches = await Match.find({ event_id: eventId, status: { $ne: 'cancelled' } })
+            .select('team_a team_b team_a_name team_b_name match_date venue match_number')
+            .lean();
+        const conflicts = detectConflicts(scheduledMatches, event.schedule_settings);
+
+        if (conflicts.length > 0 && !req.body.allow_conflicts) {
+            return res.status(409).json({
+                success: false,
+                message: 'Cannot finalize a schedule with conflicts. Fix them or send allow_conflicts to finalize anyway.',
+                conflicts
+            });
+        }
+
+        // Snapshot this version and compare it with the previously finalized one
+        const scheduleHistory = require('../services/scheduleHistoryService');
+        const allMatches = await Match.find({ event_id: eventId })
+            .select('team_a team_b team_a_name team_b_name match_date venue match_number round group status')
+            .lean();
+        const snapshot = scheduleHistory.buildSnapshot(allMatches);
+        const previousVersion = event.schedule_versions?.[event.schedule_versions.length - 1];
+        const version = (event.schedule_version || 0) + 1;
+
+        let changes = null;
+        let notifiedTeams = 0;
+        if (previousVersion) {
+            changes = scheduleHistory.diffSnapshots(previousVersion.matches, snapshot);
+            notifiedTeams = await scheduleHistory.notifyAffectedManagers(event, changes);
+        }
+
         // Update event
         await Event.findByIdAndUpdate(eventId, {
             schedule_finalized: true,
             schedule_finalized_at: new Date(),
             schedule_finalized_by: req.session.user._id,
-            $inc: { schedule_version: 1 }
+            schedule_version: version,
+            $push: {
+                schedule_versions: {
+                    version,
+                    finalized_at: new Date(),
+                    finalized_by: req.session.user._id,
+                    notified_teams: notifiedTeams,
+                    matches: snapshot
+                }
+            }
         });
 
-        console.log('✅ Schedule finalized successfully');
+        console.log(`✅ Schedule finalized successfully (version ${version})`);
 
         // Invalidate event detail + stats cache
         await invalidateCacheByPrefixes([
@@ -1336,7 +2845,10 @@ router.post('/event/:eventId/finalize-schedule', async (req, res) => {
         res.json({
             success: true,
             message: 'Schedule finalized successfully. Matches are now locked.',
-            matchCount: matchCount
+            matchCount: matchCount,
+            version,
+            changes,
+            notifiedTeams
         });
 
     } catch (error) {
@@ -1349,6 +2861,180 @@ router.post('/event/:eventId/finalize-schedule', async (req, res) => {
     }
 });
 
+// POST /api/organizer/event/:eventId/reopen-schedule - Unlock a finalized schedule for changes
+router.post('/event/:eventId/reopen-schedule', async (req, res) => {
+    try {
+        const { eventId } = req.params;
+        const Event = require('../models/event');
+        const Match = require('../models/schemas/matchSchema');
+
+        const event = await Event.getEventById(eventId);
+
+        if (event.organizer_id.toString() !== req.session.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to reopen this event schedule'
+            });
+        }
+
+        if (!event.schedule_finalized) {
+            return res.status(400).json({
+                success: false,
+                message: 'Schedule is not finalized'
+            });
+        }
+
+        const update = {
+            schedule_finalized: false,
+            schedule_reopened_at: new Date()
+        };
+
+        // Schedules finalized before versioning have no snapshot; keep one as the baseline for the diff
+        const hasSnapshot = (event.schedule_versions || []).some(v => v.version === event.schedule_version);
+        if (!hasSnapshot) {
+            const { buildSnapshot } = require('../services/scheduleHistoryService');
+            const matches = await Match.find({ event_id: eventId })
+                .select('team_a team_b team_a_name team_b_name match_date venue match_number round group status')
+                .lean();
+            const version = Math.max(event.schedule_version || 0, 1);
+
+            update.schedule_version = version;
+            update.$push = {
+                schedule_versions: {
+                    version,
+                    finalized_at: event.schedule_finalized_at || new Date(),
+                    finalized_by: event.schedule_finalized_by || req.session.user._id,
+                    matches: buildSnapshot(matches)
+                }
+            };
+        }
+
+        await Event.findByIdAndUpdate(eventId, update);
+
+        await invalidateCacheByPrefixes([
+            `/api/organizer/event/${eventId}`,
+            '/api/organizer/stats'
+        ], req.session.user._id.toString());
+
+        res.json({
+            success: true,
+            message: 'Schedule reopened. Affected team managers will be notified when it is finalized again.'
+        });
+    } catch (error) {
+        console.error('❌ Reopen schedule error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reopen schedule',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/organizer/event/:eventId/schedule/versions - Finalized schedule versions
+router.get('/event/:eventId/schedule/versions', async (req, res) => {
+    try {
+        const { eventId } = req.params;
+        const Event = require('../models/event');
+
+        const event = await Event.getEventById(eventId);
+
+        if (event.organizer_id.toString() !== req.session.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this event schedule'
+            });
+        }
+
+        const versions = (event.schedule_versions || []).map(v => ({
+            version: v.version,
+            finalized_at: v.finalized_at,
+            finalized_by: v.finalized_by,
+            notified_teams: v.notified_teams,
+            match_count: v.matches.length,
+            matches: req.query.include_matches === 'true' ? v.matches : undefined
+        }));
+
+        res.json({
+            success: true,
+            current_version: event.schedule_version || 0,
+            schedule_finalized: event.schedule_finalized || false,
+            versions
+        });
+    } catch (error) {
+        console.error('❌ Schedule versions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch schedule versions',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/organizer/event/:eventId/schedule/versions/diff - Moved, added and cancelled matches between two versions
+router.get('/event/:eventId/schedule/versions/diff', async (req, res) => {
+    try {
+        const { eventId } = req.params;
+        const Event = require('../models/event');
+        const Match = require('../models/schemas/matchSchema');
+        const { buildSnapshot, diffSnapshots } = require('../services/scheduleHistoryService');
+
+        const event = await Event.getEventById(eventId);
+
+        if (event.organizer_id.toString() !== req.session.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this event schedule'
+            });
+        }
+
+        const versions = event.schedule_versions || [];
+        const findVersion = value => versions.find(v => v.version === Number(value));
+
+        // `to` defaults to the live schedule, so a reopened schedule can be compared before finalizing
+        const from = req.query.from !== undefined ? findVersion(req.query.from) : versions[versions.length - 1];
+        const toCurrent = req.query.to === undefined || req.query.to === 'current';
+        const to = toCurrent ? null : findVersion(req.query.to);
+
+        if (!from || (!toCurrent && !to)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Schedule version not found'
+            });
+        }
+
+        let toMatches;
+        if (toCurrent) {
+            const matches = await Match.find({ event_id: eventId })
+                .select('team_a team_b team_a_name team_b_name match_date venue match_number round group status')
+                .lean();
+            toMatches = buildSnapshot(matches);
+        } else {
+            toMatches = to.matches;
+        }
+
+        const diff = diffSnapshots(from.matches, toMatches);
+
+        res.json({
+            success: true,
+            from: from.version,
+            to: toCurrent ? 'current' : to.version,
+            summary: {
+                moved: diff.moved.length,
+                added: diff.added.length,
+                cancelled: diff.cancelled.length
+            },
+            ...diff
+        });
+    } catch (error) {
+        console.error('❌ Schedule diff error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to compare schedule versions',
+            error: error.message
+        });
+    }
+});
+
 // GET /api/organizer/events/:eventId/export-participants-csv - Export approved participants as CSV (Pro/Enterprise)
 router.get('/events/:eventId/export-participants-csv', async (req, res) => {
     try {
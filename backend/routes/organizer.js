@@ -1076,11 +1076,17 @@ router.post('/event/:id/cancel', async (req, res) => {
         // Cancel the event (marks as cancelled)
         await Event.cancelEvent(eventId);
         console.log(`Successfully canceled event ${eventId}`);
+
+        // Every paid team gets its entry fee back
+        const { refundCancelledEvent } = require('../controllers/eventPaymentController');
+        const refunds = await refundCancelledEvent(event);
         
         // Success message
         req.session.message = {
             type: 'success',
-            text: 'Event has been successfully canceled'
+            text: refunds.refunded > 0
+                ? `Event has been successfully canceled. Refunded ₹${refunds.total} to ${refunds.refunded} team(s).`
+                : 'Event has been successfully canceled'
         };
         
         // Redirect to manage events page
@@ -1123,7 +1129,8 @@ router.get('/event-templates', async (req, res) => {
                             entry_fee: 2000,
                             registration_period_days: 30,
                             event_duration_hours: 8,
-                            location: 'Sports Arena'
+                            location: 'Sports Arena',
+                            tournament_format: 'groups-knockout'
                         }
                     },
                     {
@@ -1137,7 +1144,8 @@ router.get('/event-templates', async (req, res) => {
                             entry_fee: 5000,
                             registration_period_days: 60,
                             event_duration_hours: 4,
-                            location: 'Football Grounds'
+                            location: 'Football Grounds',
+                            tournament_format: 'league'
                         }
                     },
                     {
@@ -1151,7 +1159,8 @@ router.get('/event-templates', async (req, res) => {
                             entry_fee: 3000,
                             registration_period_days: 45,
                             event_duration_hours: 6,
-                            location: 'Cricket Stadium'
+                            location: 'Cricket Stadium',
+                            tournament_format: 'groups-knockout'
                         }
                     }
                 ];
@@ -2235,7 +2244,7 @@ router.post('/event/:eventId/match/:matchId/dispute', async (req, res) => {
         }
         
         const Match = require('../models/match');
-        const match = await Match.disputeMatch(matchId, reason);
+        const match = await Match.disputeMatch(matchId, reason, req.session.user);
         
         res.json({
             success: true,
@@ -2271,14 +2280,24 @@ router.get('/event/:eventId/leaderboard', async (req, res) => {
         }
         
         const Match = require('../models/match');
+        const { resolveScoringRules, SCORING_PRESETS, TIE_BREAKERS } = require('../services/standingsService');
         const leaderboard = await Match.getEventLeaderboard(eventId);
+        const groups = event.tournament_format === 'groups-knockout' && event.groups && event.groups.length > 0
+            ? await Match.getEventGroupLeaderboards(eventId)
+            : [];
         
         res.json({
             success: true,
             leaderboard,
+            groups,
+            qualifiers_per_group: event.qualifiers_per_group,
+            scoring_rules: resolveScoringRules(event),
+            presets: SCORING_PRESETS,
+            tie_breakers: TIE_BREAKERS,
             event: {
                 title: event.title,
-                sport_type: event.sport_type
+                sport_type: event.sport_type,
+                tournament_format: event.tournament_format
             }
         });
     } catch (err) {
@@ -2291,6 +2310,158 @@ router.get('/event/:eventId/leaderboard', async (req, res) => {
     }
 });
 
+/**
+ * Update event scoring rules (points per result and tie-breaker order)
+ * PUT /organizer/event/:eventId/scoring-rules
+ * Body: { preset, points: { win, draw, loss }, allow_draws, tie_breakers: [] }
+ * Send { reset: true } to go back to the sport's preset.
+ */
+router.put('/event/:eventId/scoring-rules', async (req, res) => {
+    try {
+        const { eventId } = req.params;
+        const organizerId = req.session.user._id;
+        const { resolveScoringRules, validateScoringRules } = require('../services/standingsService');
+        
+        const event = await Event.getEventById(eventId);
+        if (event.organizer_id.toString() !== organizerId.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not authorized to change the scoring rules for this event'
+            });
+        }
+        
+        let update;
+        if (req.body.reset) {
+            update = { $unset: { scoring_rules: 1 } };
+        } else {
+            const { preset, points, allow_draws, tie_breakers } = req.body;
+            const errors = validateScoringRules({ preset, points, allow_draws, tie_breakers });
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: errors.join('. '),
+                    errors
+                });
+            }
+            
+            update = {
+                $set: {
+                    scoring_rules: {
+                        preset: preset || null,
+                        points: points || {},
+                        allow_draws,
+                        tie_breakers: Array.isArray(tie_breakers) && tie_breakers.length > 0 ? tie_breakers : undefined
+                    }
+                }
+            };
+        }
+        
+        const updated = await Event.findByIdAndUpdate(eventId, update);
+        
+        const { invalidateCacheByPrefixes } = require('../utils/cacheInvalidation');
+        await invalidateCacheByPrefixes([
+            `/api/organizer/event/${eventId}`,
+            `/organizer/event/${eventId}`
+        ], organizerId);
+        
+        res.json({
+            success: true,
+            message: 'Scoring rules updated',
+            scoring_rules: resolveScoringRules(updated)
+        });
+    } catch (err) {
+        console.error('Error updating scoring rules:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating scoring rules',
+            error: err.message
+        });
+    }
+});
+
+/**
+ * Result confirmation settings
+ * GET /organizer/event/:eventId/result-settings
+ */
+router.get('/event/:eventId/result-settings', async (req, res) => {
+    try {
+        const { eventId } = req.params;
+        const { getConfirmationHours, MAX_CONFIRMATION_HOURS } = require('../services/resultConfirmationService');
+        
+        const event = await Event.getEventById(eventId);
+        if (event.organizer_id.toString() !== req.session.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not authorized to view the result settings for this event'
+            });
+        }
+        
+        res.json({
+            success: true,
+            result_confirmation_hours: getConfirmationHours(event),
+            max_confirmation_hours: MAX_CONFIRMATION_HOURS
+        });
+    } catch (err) {
+        console.error('Error fetching result settings:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching result settings',
+            error: err.message
+        });
+    }
+});
+
+/**
+ * Update how long the opposing manager has to confirm a submitted result
+ * PUT /organizer/event/:eventId/result-settings
+ * Body: { result_confirmation_hours }
+ */
+router.put('/event/:eventId/result-settings', async (req, res) => {
+    try {
+        const { eventId } = req.params;
+        const organizerId = req.session.user._id;
+        const { validateConfirmationHours } = require('../services/resultConfirmationService');
+        
+        const event = await Event.getEventById(eventId);
+        if (event.organizer_id.toString() !== organizerId.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not authorized to change the result settings for this event'
+            });
+        }
+        
+        const error = validateConfirmationHours(req.body.result_confirmation_hours);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+        
+        const hours = Number(req.body.result_confirmation_hours);
+        await Event.findByIdAndUpdate(eventId, { $set: { result_confirmation_hours: hours } });
+        
+        const { invalidateCacheByPrefixes } = require('../utils/cacheInvalidation');
+        await invalidateCacheByPrefixes([
+            `/api/organizer/event/${eventId}`,
+            `/organizer/event/${eventId}`
+        ], organizerId);
+        
+        res.json({
+            success: true,
+            message: 'Result settings updated. New submissions use the new window.',
+            result_confirmation_hours: hours
+        });
+    } catch (err) {
+        console.error('Error updating result settings:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating result settings',
+            error: err.message
+        });
+    }
+});
+
 /**
  * Get event analytics
  * GET /organizer/event/:eventId/analytics
@@ -2329,6 +2500,13 @@ router.get('/event/:eventId/analytics', async (req, res) => {
                 : 0,
             registered_teams: event.team_registrations.length
         };
+
+        // Entry fee discounts and per-code promo redemptions
+        const { redemptionStats } = require('../services/pricingService');
+        const payments = event.team_registrations.map(reg => reg.payment).filter(Boolean);
+        analytics.returning_discounts = payments.reduce((sum, p) => sum + (p.returning_discount || 0), 0);
+        analytics.promo_discounts = payments.reduce((sum, p) => sum + (p.promo_discount || 0), 0);
+        analytics.promo_codes = redemptionStats(event);
         
         res.json({
             success: true,
@@ -2497,16 +2675,12 @@ router.post('/match/:matchId/verify', async (req, res) => {
             });
         }
         
-        // Update match status
-        match.status = 'verified';
-        match.verified_by = organizerId;
-        match.verified_at = new Date();
-        await match.save();
+        const verified = await Match.verifyMatch(matchId, organizerId);
         
         res.json({
             success: true,
             message: 'Match result verified successfully',
-            match
+            match: verified
         });
     } catch (err) {
         console.error('Error verifying match:', err);
@@ -2547,15 +2721,12 @@ router.post('/match/:matchId/dispute', async (req, res) => {
             });
         }
         
-        // Update match status
-        match.status = 'disputed';
-        match.dispute_reason = reason || '';
-        await match.save();
+        const disputed = await Match.disputeMatch(matchId, reason, req.session.user);
         
         res.json({
             success: true,
             message: 'Match result disputed. The manager will be notified.',
-            match
+            match: disputed
         });
     } catch (err) {
         console.error('Error disputing match:', err);
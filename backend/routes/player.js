@@ -10,8 +10,13 @@ const eventController = require('../controllers/eventController');
 const teamController = require('../controllers/teamController');
 const playerProfileController = require('../controllers/playerProfileController');
 const cacheMiddleware = require('../middleware/cacheMiddleware');
+const { invalidateCacheByPrefixes } = require('../utils/cacheInvalidation');
 const { uploadProfileImage, uploadPhoto } = require('../middleware/uploadCloudinary');
 const { searchEvents, searchTeams } = require('../services/searchService');
+const { canManageTeam } = require('../services/teamRosterService');
+const ratingService = require('../services/ratingService');
+const recruitment = require('../services/recruitmentService');
+const profileSports = require('../services/playerProfileService');
 
 // Middleware to check if user is logged in as a player
 const isPlayer = (req, res, next) => {
@@ -94,9 +99,26 @@ router.use(isPlayer);
  *     tags: [Player]
  *     security:
  *       - sessionAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: min_rating
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: max_rating
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, rating]
+ *         description: rating sorts strongest first
  *     responses:
  *       200:
  *         description: Team browse list returned
+ *       400:
+ *         description: Invalid rating filter
  *
  * /api/player/teams/{id}/join:
  *   post:
@@ -117,6 +139,197 @@ router.use(isPlayer);
  *       400:
  *         description: Invalid or duplicate request
  *
+ * /api/player/free-agent:
+ *   get:
+ *     summary: Get the player's free-agent listing
+ *     tags: [Player]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Listing returned; profile is null before the player sets one up
+ *   put:
+ *     summary: List or unlist the player as a free agent
+ *     description: Position and skill level are saved on the profile's entry for the sport, which is added if missing.
+ *     tags: [Player]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [sport]
+ *             properties:
+ *               listed:
+ *                 type: boolean
+ *               sport:
+ *                 type: string
+ *               position:
+ *                 type: string
+ *               skill_level:
+ *                 type: string
+ *                 enum: [beginner, intermediate, advanced, competitive]
+ *               area:
+ *                 type: string
+ *               schedule:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Listing saved
+ *       400:
+ *         description: Invalid listing
+ *
+ * /api/player/profile/sports:
+ *   get:
+ *     summary: Get the sports on the player's profile
+ *     tags: [Player]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Sport entries with position, skill level, experience and stats
+ *   put:
+ *     summary: Add a sport to the player's profile or update it
+ *     description: Stats are not editable; they come from verified match results.
+ *     tags: [Player]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [sport]
+ *             properties:
+ *               sport:
+ *                 type: string
+ *               position:
+ *                 type: string
+ *               skill_level:
+ *                 type: string
+ *                 enum: [beginner, intermediate, advanced, competitive]
+ *               years_experience:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Sport saved
+ *       400:
+ *         description: Invalid sport details or too many sports
+ *
+ * /api/player/profile/sports/{sport}:
+ *   delete:
+ *     summary: Remove a sport from the player's profile
+ *     tags: [Player]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: sport
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sport removed
+ *       400:
+ *         description: Sport not on the profile or has recorded games
+ *
+ * /api/player/public-profile:
+ *   get:
+ *     summary: Get the player's public profile settings
+ *     tags: [Player]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Slug, old slugs, visibility, achievements and video highlights returned
+ *   put:
+ *     summary: Save the player's public profile settings
+ *     description: Setting or changing the slug needs an active premium profile. Old slugs redirect to the new one.
+ *     tags: [Player]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               slug:
+ *                 type: string
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, premium, private]
+ *               achievements:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               videos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Settings saved
+ *       400:
+ *         description: Invalid settings, slug taken, or no active premium profile
+ *
+ * /api/player/career:
+ *   get:
+ *     summary: Get the player's career timeline
+ *     description: Team memberships (including left and archived teams), events and verified match results in date order, with season summaries.
+ *     tags: [Player]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Career returned
+ *
+ * /api/player/career/publish:
+ *   put:
+ *     summary: Show or hide the career on the player's public profile
+ *     description: Publishing needs an active premium profile with the portfolio feature.
+ *     tags: [Player]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [published]
+ *             properties:
+ *               published:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Published state saved
+ *       400:
+ *         description: No active premium portfolio
+ *
+ * /api/player/recruitment:
+ *   get:
+ *     summary: Open recruitment postings ranked against the player's profile
+ *     description: Ask to join a posting's team with POST /api/player/teams/{id}/join.
+ *     tags: [Player]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Postings returned, best match first
+ *
  * /api/player/teams/leave/{id}:
  *   post:
  *     summary: Leave a joined team
@@ -134,6 +347,78 @@ router.use(isPlayer);
  *       200:
  *         description: Team leave completed
  *
+ * /api/player/invitations:
+ *   get:
+ *     summary: List pending team invitations for the player
+ *     tags: [Player]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending invitations returned
+ *
+ * /api/player/invitations/{invitationId}/{action}:
+ *   post:
+ *     summary: Accept or decline a team invitation
+ *     tags: [Player]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [accept, decline]
+ *     responses:
+ *       200:
+ *         description: Invitation answered
+ *       400:
+ *         description: Invitation expired, revoked, or the player is already in a team of this sport
+ *
+ * /api/player/invite/{code}:
+ *   get:
+ *     summary: Preview the team behind an invite code
+ *     tags: [Player]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Team and link state returned
+ *       404:
+ *         description: Unknown invite code
+ *
+ * /api/player/invite/{code}/accept:
+ *   post:
+ *     summary: Join a team through an invite code
+ *     tags: [Player]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Joined the team
+ *       400:
+ *         description: Link expired, revoked or used up, or the player is already in a team of this sport
+ *
  * /api/player/performance:
  *   get:
  *     summary: Get player performance metrics
@@ -262,6 +547,49 @@ router.use(isPlayer);
  *       200:
  *         description: Match history returned
  *
+ * /api/player/upcoming-matches:
+ *   get:
+ *     summary: Get upcoming scheduled matches with the player's availability answer
+ *     tags: [Player]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Upcoming matches returned, soonest first
+ *
+ * /api/player/matches/{matchId}/availability:
+ *   put:
+ *     summary: Answer the availability poll for an upcoming match
+ *     tags: [Player]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [available, maybe, unavailable]
+ *               note:
+ *                 type: string
+ *                 maxLength: 200
+ *     responses:
+ *       200:
+ *         description: Availability saved
+ *       400:
+ *         description: Invalid answer, poll closed, or player not in the match squad
+ *
  * /api/player/stats:
  *   get:
  *     summary: Get aggregated player statistics
@@ -643,6 +971,7 @@ router.get('/team/:teamId', async (req, res) => {
             team: {
                 ...team,
                 is_member: isMember,
+                can_manage: canManageTeam(team, playerId),
                 request_status: pendingRequest ? 'pending' : null
             }
         });
@@ -660,8 +989,17 @@ router.get('/team/:teamId', async (req, res) => {
 // Browse all teams
 router.get('/browse-teams', async (req, res) => {
     try {
-        // Get all active teams
-        const teams = await Team.getAllTeams();
+        const ratingFilter = ratingService.parseRatingFilter(req.query);
+        if (ratingFilter.error) {
+            return res.status(400).json({ success: false, message: ratingFilter.error });
+        }
+
+        // Get all active teams in the requested rating band
+        let teams = (await Team.getAllTeams()).filter(team => ratingService.inRatingRange(team, ratingFilter));
+        if (ratingFilter.sortByRating) {
+            const ratingOf = team => team.rating ?? ratingService.DEFAULT_RATING;
+            teams = teams.sort((a, b) => ratingOf(b) - ratingOf(a));
+        }
 
         const playerId = req.session.user._id;
 
@@ -702,6 +1040,7 @@ router.get('/browse-teams', async (req, res) => {
                 })),
 
                 description: team.description || '',
+                rating: team.rating ?? ratingService.DEFAULT_RATING,
                 already_joined: membershipMap[team._id.toString()] === true
             };
         });
@@ -751,6 +1090,208 @@ router.post('/teams/:id/join', async (req, res) => {
     }
 });
 
+// Free-agent listing of the signed-in player
+router.get('/free-agent', async (req, res) => {
+    try {
+        const profile = await PlayerProfile.getFreeAgentProfile(req.session.user._id);
+        res.json({
+            success: true,
+            profile
+        });
+    } catch (err) {
+        console.error('Error getting free-agent profile:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Error loading free-agent profile'
+        });
+    }
+});
+
+router.put('/free-agent', async (req, res) => {
+    try {
+        const { error, profile, freeAgent } = recruitment.validateFreeAgent(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const saved = await PlayerProfile.saveFreeAgentProfile(req.session.user._id, { profile, freeAgent });
+
+        res.json({
+            success: true,
+            message: freeAgent.listed
+                ? 'You are listed as a free agent. Teams looking for players can now find you.'
+                : 'Your free-agent listing is hidden',
+            profile: saved
+        });
+    } catch (err) {
+        console.error('Error saving free-agent profile:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Error saving free-agent profile'
+        });
+    }
+});
+
+// Sports on the signed-in player's profile
+router.get('/profile/sports', async (req, res) => {
+    try {
+        const sports = await PlayerProfile.getSportProfiles(req.session.user._id);
+        res.json({
+            success: true,
+            sports
+        });
+    } catch (err) {
+        console.error('Error getting sport profiles:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Error loading your sports'
+        });
+    }
+});
+
+router.put('/profile/sports', async (req, res) => {
+    try {
+        const { error, entry } = profileSports.validateSportEntry(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const sports = await PlayerProfile.saveSportProfile(req.session.user._id, entry);
+        res.json({
+            success: true,
+            message: `${entry.sport} saved to your profile`,
+            sports
+        });
+    } catch (err) {
+        console.error('Error saving sport profile:', err);
+        res.status(400).json({ success: false, message: err.message });
+    }
+});
+
+router.delete('/profile/sports/:sport', async (req, res) => {
+    try {
+        const sports = await PlayerProfile.removeSportProfile(req.session.user._id, req.params.sport);
+        res.json({
+            success: true,
+            message: `${req.params.sport} removed from your profile`,
+            sports
+        });
+    } catch (err) {
+        console.error('Error removing sport profile:', err);
+        res.status(400).json({ success: false, message: err.message });
+    }
+});
+
+// Open recruitment postings that fit the signed-in player
+router.get('/recruitment', async (req, res) => {
+    try {
+        const result = await Team.getRecruitmentMatches(req.session.user._id);
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (err) {
+        console.error('Error getting recruitment postings:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Error loading recruitment postings'
+        });
+    }
+});
+
+// Pending team invitations for the signed-in player
+router.get('/invitations', async (req, res) => {
+    try {
+        const invitations = await Team.getPlayerInvitations(req.session.user._id, req.session.user.email);
+        res.json({
+            success: true,
+            invitations
+        });
+    } catch (err) {
+        console.error('Error getting invitations:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Error loading invitations'
+        });
+    }
+});
+
+// Accept or decline a team invitation
+router.post('/invitations/:invitationId/:action(accept|decline)', async (req, res) => {
+    try {
+        const accept = req.params.action === 'accept';
+        const team = await Team.respondToInvitation(req.params.invitationId, req.session.user, accept);
+
+        if (accept) {
+            await invalidateCacheByPrefixes([
+                `/api/manager/team/${team._id}`,
+                '/api/manager/my-teams',
+                '/api/manager/dashboard'
+            ], team.manager_id.toString());
+        }
+
+        res.json({
+            success: true,
+            message: accept ? `You have joined ${team.name}!` : 'Invitation declined',
+            team_id: team._id
+        });
+    } catch (err) {
+        console.error('Error responding to invitation:', err);
+        res.status(400).json({
+            success: false,
+            message: err.message || 'Error responding to invitation'
+        });
+    }
+});
+
+// Preview the team behind an invite code
+router.get('/invite/:code', async (req, res) => {
+    try {
+        const invite = await Team.getInviteLinkTeam(req.params.code);
+        const isMember = await TeamSchema.exists({
+            _id: invite.team._id,
+            members: { $elemMatch: { player_id: req.session.user._id, status: 'active' } }
+        });
+
+        res.json({
+            success: true,
+            ...invite,
+            is_member: Boolean(isMember)
+        });
+    } catch (err) {
+        console.error('Error getting invite:', err);
+        res.status(404).json({
+            success: false,
+            message: err.message || 'Invite not found'
+        });
+    }
+});
+
+// Join a team through an invite code
+router.post('/invite/:code/accept', async (req, res) => {
+    try {
+        const team = await Team.redeemInviteCode(req.params.code, req.session.user._id);
+
+        await invalidateCacheByPrefixes([
+            `/api/manager/team/${team._id}`,
+            '/api/manager/my-teams',
+            '/api/manager/dashboard'
+        ], team.manager_id.toString());
+
+        res.json({
+            success: true,
+            message: `You have joined ${team.name}!`,
+            team_id: team._id
+        });
+    } catch (err) {
+        console.error('Error redeeming invite code:', err);
+        res.status(400).json({
+            success: false,
+            message: err.message || 'Error joining team'
+        });
+    }
+});
+
 // Leave a team
 router.post('/teams/leave/:id', async (req, res) => {
     try {
@@ -853,6 +1394,86 @@ router.get('/teams/leave/:id', async (req, res) => {
 // Performance Stats
 router.get('/performance', playerProfileController.getPlayerPerformance);
 
+// Public profile settings of the signed-in player
+router.get('/public-profile', async (req, res) => {
+    try {
+        const settings = await PlayerProfile.getPublicProfileSettings(req.session.user._id);
+        res.json({
+            success: true,
+            settings
+        });
+    } catch (err) {
+        console.error('Error getting public profile settings:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Error loading public profile settings'
+        });
+    }
+});
+
+router.put('/public-profile', async (req, res) => {
+    try {
+        const publicProfile = require('../services/publicProfileService');
+        const { error, settings } = publicProfile.validateSettings(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        let slug;
+        if (req.body.slug) {
+            const checked = publicProfile.validateSlug(req.body.slug);
+            if (checked.error) {
+                return res.status(400).json({ success: false, message: checked.error });
+            }
+            slug = checked.slug;
+        }
+
+        const saved = await PlayerProfile.savePublicProfileSettings(req.session.user._id, { slug, settings });
+        res.json({
+            success: true,
+            message: 'Public profile saved',
+            settings: saved
+        });
+    } catch (err) {
+        console.error('Error saving public profile settings:', err);
+        res.status(400).json({ success: false, message: err.message });
+    }
+});
+
+// Career timeline of the signed-in player
+router.get('/career', async (req, res) => {
+    try {
+        const career = await PlayerProfile.getPlayerCareer(req.session.user._id);
+        res.json({
+            success: true,
+            career
+        });
+    } catch (err) {
+        console.error('Error getting player career:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Error loading your career'
+        });
+    }
+});
+
+router.put('/career/publish', async (req, res) => {
+    try {
+        const published = req.body.published === true || req.body.published === 'true';
+        await PlayerProfile.setCareerPublished(req.session.user._id, published);
+        res.json({
+            success: true,
+            message: published
+                ? 'Your career is now shown on your public profile'
+                : 'Your career is hidden from your public profile',
+            published
+        });
+    } catch (err) {
+        console.error('Error publishing player career:', err);
+        res.status(400).json({ success: false, message: err.message });
+    }
+});
+
 // Profile
 router.get('/profile', playerProfileController.renderPlayerProfile);
 router.get('/profile/edit', playerProfileController.renderPlayerProfileEdit);
@@ -1609,12 +2230,19 @@ router.post('/api/events/:eventId/join', async (req, res) => {
 router.get('/api/teams/search', async (req, res) => {
     try {
         const { search, sport, page, limit } = req.query;
+        const ratingFilter = ratingService.parseRatingFilter(req.query);
+        if (ratingFilter.error) {
+            return res.status(400).json({ success: false, message: ratingFilter.error });
+        }
 
         const result = await searchTeams({
             search,
             sportType: sport,
             page,
-            limit
+            limit,
+            minRating: ratingFilter.min,
+            maxRating: ratingFilter.max,
+            sortByRating: ratingFilter.sortByRating
         });
 
         const teams = result.data || [];
@@ -1696,7 +2324,8 @@ router.get('/my-matches', async (req, res) => {
                 { team_a: { $in: teamIds } },
                 { team_b: { $in: teamIds } }
             ],
-            status: 'verified'
+            // Live matches are listed too so the player can follow the score
+            status: { $in: ['live', 'verified'] }
         })
             .populate('team_a', 'name')
             .populate('team_b', 'name')
@@ -1729,13 +2358,15 @@ router.get('/my-matches', async (req, res) => {
                 ...match.toObject(),
                 player_result: result,
                 player_team: playerTeam,
-                opponent_team: opponentTeam
+                opponent_team: opponentTeam,
+                yourTeamId: playerTeam._id
             };
         });
 
         res.json({
             success: true,
-            matches: transformedMatches
+            matches: transformedMatches,
+            team_ids: teamIds
         });
     } catch (err) {
         console.error('Error fetching player matches:', err);
@@ -1747,6 +2378,147 @@ router.get('/my-matches', async (req, res) => {
     }
 });
 
+/**
+ * Upcoming matches with the player's availability answer
+ * GET /player/upcoming-matches
+ */
+router.get('/upcoming-matches', async (req, res) => {
+    try {
+        const playerId = req.session.user._id.toString();
+        const MatchModel = require('../models/schemas/matchSchema');
+        const { getMatchRosters } = require('../services/squadService');
+        const { isPollOpen } = require('../services/availabilityService');
+
+        const teams = await TeamSchema.find({
+            members: { $elemMatch: { player_id: playerId, status: 'active' } }
+        }).select('_id').lean();
+        const teamIds = teams.map(team => team._id);
+
+        const matches = await MatchModel.find({
+            $or: [{ team_a: { $in: teamIds } }, { team_b: { $in: teamIds } }],
+            status: 'scheduled',
+            match_date: { $gt: new Date() }
+        })
+            .populate('team_a', 'name members')
+            .populate('team_b', 'name members')
+            .populate('event_id', 'title')
+            .sort({ match_date: 1 })
+            .limit(20)
+            .lean();
+
+        const upcoming = [];
+        for (const match of matches) {
+            // Only matches the player can be picked for: their team's event squad
+            const rosters = await getMatchRosters(match);
+            const side = ['team_a', 'team_b'].find(key =>
+                (rosters[match[key]._id.toString()] || []).includes(playerId));
+            if (!side) continue;
+
+            const yourTeam = match[side];
+            const opponent = match[side === 'team_a' ? 'team_b' : 'team_a'];
+            const answer = (match.availability || []).find(entry =>
+                entry.player_id.toString() === playerId && entry.team_id.toString() === yourTeam._id.toString());
+            upcoming.push({
+                _id: match._id,
+                match_date: match.match_date,
+                venue: match.venue,
+                round: match.round,
+                event: match.event_id ? { _id: match.event_id._id, title: match.event_id.title } : null,
+                your_team: { _id: yourTeam._id, name: yourTeam.name },
+                opponent: { _id: opponent._id, name: opponent.name },
+                my_availability: answer ? { status: answer.status, note: answer.note, updated_at: answer.updated_at } : null,
+                poll_open: isPollOpen(match)
+            });
+        }
+
+        res.json({ success: true, matches: upcoming });
+    } catch (err) {
+        console.error('Error fetching upcoming matches:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching upcoming matches',
+            error: err.message
+        });
+    }
+});
+
+/**
+ * Answer the availability poll for an upcoming match
+ * PUT /player/matches/:matchId/availability
+ */
+router.put('/matches/:matchId/availability', async (req, res) => {
+    try {
+        const playerId = req.session.user._id.toString();
+        const MatchModel = require('../models/schemas/matchSchema');
+        const { getMatchRosters } = require('../services/squadService');
+        const availability = require('../services/availabilityService');
+
+        const { error, status, note } = availability.parseAvailability(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const match = await MatchModel.findById(req.params.matchId)
+            .populate('team_a', 'name manager_id sport_type members')
+            .populate('team_b', 'name manager_id sport_type members');
+        if (!match) {
+            return res.status(404).json({ success: false, message: 'Match not found' });
+        }
+        if (!availability.isPollOpen(match)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Availability can only be given for scheduled matches that have not started'
+            });
+        }
+
+        const rosters = await getMatchRosters(match);
+        const team = [match.team_a, match.team_b].find(t =>
+            (rosters[t._id.toString()] || []).includes(playerId));
+        if (!team) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not in the squad for this match'
+            });
+        }
+
+        const roster = rosters[team._id.toString()];
+        const minimum = availability.getMinimumLineup(team.sport_type);
+        const before = availability.summarizeAvailability(match.availability, team._id, roster, minimum);
+        availability.setAvailability(match, playerId, team._id, { status, note });
+        await match.save();
+
+        // Warn the manager the moment confirmed players drop below the minimum lineup
+        const after = availability.summarizeAvailability(match.availability, team._id, roster, minimum);
+        if (after.below_minimum && !before.below_minimum) {
+            const { sendLowAvailabilityEmail } = require('../utils/emailService');
+            const manager = await User.getUserById(team.manager_id);
+            if (manager && manager.email) {
+                const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+                const opponentName = team._id.equals(match.team_a._id) ? match.team_b_name : match.team_a_name;
+                await sendLowAvailabilityEmail(
+                    manager.email,
+                    manager.first_name,
+                    team.name,
+                    opponentName,
+                    match.match_date,
+                    after.available,
+                    minimum,
+                    `${frontendUrl}/manager/team/${team._id}/matches`
+                );
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'Availability saved',
+            availability: { status, note }
+        });
+    } catch (err) {
+        console.error('Error saving availability:', err);
+        res.status(400).json({ success: false, message: err.message });
+    }
+});
+
 /**
  * Get aggregated player statistics
  * GET /player/stats
@@ -1764,6 +2536,8 @@ router.get('/stats', async (req, res) => {
         let total_losses = 0;
         let total_draws = 0;
 
+        const team_stats = [];
+
         teams.forEach(team => {
             const member = team.members.find(m => m.player_id.toString() === playerId.toString());
             if (member && member.stats) {
@@ -1771,6 +2545,15 @@ router.get('/stats', async (req, res) => {
                 total_wins += member.stats.matches_won || 0;
                 total_losses += member.stats.matches_lost || 0;
                 total_draws += member.stats.matches_drawn || 0;
+                team_stats.push({
+                    team_id: team._id,
+                    team_name: team.name,
+                    sport_type: team.sport_type,
+                    matches_played: member.stats.matches_played || 0,
+                    matches_won: member.stats.matches_won || 0,
+                    matches_lost: member.stats.matches_lost || 0,
+                    matches_drawn: member.stats.matches_drawn || 0
+                });
             }
         });
 
@@ -1806,6 +2589,10 @@ router.get('/stats', async (req, res) => {
             }
         });
 
+        // Individual stat lines from verified results, totalled per sport
+        const Match = require('../models/match');
+        const sport_stats = await Match.getPlayerStatTotals(playerId);
+
         const stats = {
             total_matches_played,
             total_wins,
@@ -1813,7 +2600,9 @@ router.get('/stats', async (req, res) => {
             total_draws,
             win_rate,
             teams_count: teams.length,
-            recent_form
+            recent_form,
+            team_stats,
+            sport_stats
         };
 
         res.json({
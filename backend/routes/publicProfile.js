@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const PlayerProfile = require('../models/playerProfile');
+const publicProfile = require('../services/publicProfileService');
+
+/**
+ * @swagger
+ * /p/{slug}:
+ *   get:
+ *     summary: Get a player's public profile
+ *     description: >
+ *       No sign-in needed. Clients that ask for HTML (link preview crawlers,
+ *       browsers) get a page with Open Graph tags that forwards to the React
+ *       profile page; others get JSON. Old slugs redirect to the current one.
+ *     tags: [Public Profiles]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Profile with portfolio, achievements, video highlights, verified stats and Open Graph tags
+ *       301:
+ *         description: Old slug; redirects to the player's current profile URL
+ *       403:
+ *         description: Profile is only visible to premium members
+ *       404:
+ *         description: No public profile at this URL
+ */
+router.get('/:slug', async (req, res) => {
+    try {
+        const viewerId = req.session && req.session.user ? req.session.user._id : null;
+        const result = await PlayerProfile.getPublicProfile(req.params.slug, viewerId);
+
+        if (result && result.redirect) {
+            return res.redirect(301, `${req.baseUrl}/${encodeURIComponent(result.redirect)}`);
+        }
+
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+        const wantsHtml = req.accepts(['json', 'html']) === 'html';
+
+        if (!result || result.forbidden) {
+            const status = result ? 403 : 404;
+            const message = result
+                ? 'This profile is only visible to premium members'
+                : 'Profile not found';
+            if (wantsHtml) {
+                return res.status(status).send(message);
+            }
+            return res.status(status).json({ success: false, message });
+        }
+
+        const profile = result.profile;
+        const appUrl = `${frontendUrl}/p/${encodeURIComponent(profile.slug)}`;
+        const image = profile.profile_image
+            ? (/^https?:\/\//.test(profile.profile_image)
+                ? profile.profile_image
+                : `${req.protocol}://${req.get('host')}${profile.profile_image}`)
+            : null;
+        const og = publicProfile.openGraph(profile, appUrl, image);
+
+        if (wantsHtml) {
+            return res.type('html').send(publicProfile.renderShareHtml(og, appUrl));
+        }
+
+        res.json({
+            success: true,
+            profile,
+            og
+        });
+    } catch (err) {
+        console.error('Error serving public profile:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Error loading profile'
+        });
+    }
+});
+
+module.exports = router;
@@ -2,6 +2,10 @@ const express = require('express');
 const router = express.Router();
 const WalletTransaction = require('../models/walletTransaction');
 const User = require('../models/schemas/userSchema');
+const EventSchema = require('../models/schemas/eventSchema');
+const TeamSchema = require('../models/schemas/teamSchema');
+const splits = require('../services/splitPaymentService');
+const { paySplitShare } = require('../controllers/eventPaymentController');
 
 /**
  * @swagger
@@ -127,6 +131,39 @@ const User = require('../models/schemas/userSchema');
  *     responses:
  *       200:
  *         description: Transaction details returned
+ *
+ * /api/wallet/entry-fee-shares:
+ *   get:
+ *     summary: List the player's shares of team entry fees still being collected
+ *     tags: [Wallet]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Shares returned, paid and unpaid
+ *
+ * /api/wallet/entry-fee-shares/pay:
+ *   post:
+ *     summary: Pay the player's share of a team entry fee from the wallet
+ *     tags: [Wallet]
+ *     security:
+ *       - sessionAuth: []
+ *       - csrfToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [eventId, teamId]
+ *             properties:
+ *               eventId:
+ *                 type: string
+ *               teamId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment result returned; completed is true when the last share came in
  */
 
 // Middleware to check if user is authenticated and is a player
@@ -432,4 +469,98 @@ router.get('/transaction/:referenceId', isPlayerAuthenticated, async (req, res)
     }
 });
 
+/**
+ * GET /wallet/entry-fee-shares - Shares of split team entry fees still being collected
+ */
+router.get('/entry-fee-shares', isPlayerAuthenticated, async (req, res) => {
+    try {
+        const playerId = (req.session.user.id || req.session.user._id).toString();
+
+        const events = await EventSchema.find({
+            team_registrations: {
+                $elemMatch: { 'split_payment.status': 'collecting', 'split_payment.shares.player_id': playerId }
+            }
+        }).select('title event_date location team_registrations').lean();
+
+        const shares = [];
+        for (const event of events) {
+            for (const registration of event.team_registrations) {
+                const split = registration.split_payment;
+                if (!split || split.status !== 'collecting') continue;
+                const share = splits.findShare(split, playerId);
+                if (!share) continue;
+
+                const summary = splits.splitSummary(split);
+                shares.push({
+                    eventId: event._id,
+                    eventTitle: event.title,
+                    eventDate: event.event_date,
+                    location: event.location,
+                    teamId: registration.team_id,
+                    amount: share.amount,
+                    paidAt: share.paid_at,
+                    overdue: splits.isOverdue(split),
+                    total: summary.total,
+                    collected: summary.collected,
+                    dueAt: summary.due_at,
+                    paidCount: summary.paid_count,
+                    shareCount: summary.share_count
+                });
+            }
+        }
+
+        const teams = await TeamSchema.find({ _id: { $in: shares.map(share => share.teamId) } }).select('name').lean();
+        for (const share of shares) {
+            const team = teams.find(t => t._id.toString() === share.teamId.toString());
+            share.teamName = team ? team.name : 'Team';
+        }
+
+        res.json({ success: true, shares });
+    } catch (error) {
+        console.error('Error fetching entry fee shares:', error);
+        res.json({ success: false, error: 'Failed to fetch entry fee shares' });
+    }
+});
+
+/**
+ * POST /wallet/entry-fee-shares/pay - Pay a share of a team entry fee from the wallet
+ */
+router.post('/entry-fee-shares/pay', isPlayerAuthenticated, async (req, res) => {
+    try {
+        const playerId = req.session.user.id || req.session.user._id;
+        const { eventId, teamId } = req.body;
+        if (!eventId || !teamId) {
+            return res.json({ success: false, error: 'Event and team are required' });
+        }
+
+        const user = await User.findById(playerId);
+        if (!user) {
+            return res.json({ success: false, error: 'User not found' });
+        }
+        if (user.walletStatus !== 'Active') {
+            return res.json({ success: false, error: 'Wallet is not active. Please contact support.' });
+        }
+
+        let paid;
+        try {
+            paid = await paySplitShare({ eventId, teamId, playerId });
+        } catch (err) {
+            return res.json({ success: false, error: err.message });
+        }
+
+        res.json({
+            success: true,
+            amount: paid.amount,
+            reference: paid.reference,
+            completed: paid.completed,
+            message: paid.completed
+                ? `₹${paid.amount.toFixed(2)} paid. That was the last share - your team is confirmed!`
+                : `₹${paid.amount.toFixed(2)} paid. Your team is confirmed once everyone has paid.`
+        });
+    } catch (error) {
+        console.error('Error paying entry fee share:', error);
+        res.json({ success: false, error: 'Failed to pay your share. Please try again.' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,93 @@
+/**
+ * Migration Script: Multi-sport player profiles
+ *
+ * Player profiles used to hold a single sport, position, skill level and
+ * stats at the top level. This script moves them onto the profile's sports
+ * list, adding an entry for every other sport in the user's preferred sports,
+ * and creates profiles for players who have preferred sports but no profile.
+ * Profiles that already have sports are left alone, so it is safe to re-run.
+ *
+ * Run with: node scripts/migrate-player-sports.js
+ */
+
+require('dotenv').config();
+
+const mongoose = require('../config/mongodb');
+const PlayerProfileSchema = require('../models/schemas/playerProfileSchema');
+const UserSchema = require('../models/schemas/userSchema');
+const PlayerProfile = require('../models/playerProfile');
+
+async function waitForMongoConnection() {
+  if (mongoose.connection.readyState === 1) {
+    return;
+  }
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(new Error('Timed out waiting for MongoDB connection'));
+    }, 10000);
+
+    mongoose.connection.once('connected', () => {
+      clearTimeout(timeout);
+      resolve();
+    });
+
+    mongoose.connection.once('error', (err) => {
+      clearTimeout(timeout);
+      reject(err);
+    });
+  });
+}
+
+async function migrateProfiles() {
+  const profiles = await PlayerProfileSchema.find({ 'sports.0': { $exists: false } }).lean();
+  let migrated = 0;
+
+  for (const profile of profiles) {
+    if (await PlayerProfile.migrateProfile(profile)) {
+      migrated += 1;
+    }
+  }
+
+  console.log(`[profiles] ${migrated} of ${profiles.length} single-sport profiles migrated`);
+}
+
+async function createMissingProfiles() {
+  const withProfile = await PlayerProfileSchema.distinct('user_id');
+  const players = await UserSchema.find({
+    role: 'player',
+    _id: { $nin: withProfile },
+    'profile.preferred_sports': { $nin: [null, ''] }
+  }).select('profile.preferred_sports').lean();
+
+  for (const player of players) {
+    await PlayerProfile.createProfile({
+      user_id: player._id,
+      sports: player.profile.preferred_sports
+    });
+  }
+
+  console.log(`[profiles] ${players.length} profiles created from preferred sports`);
+}
+
+async function run() {
+  await waitForMongoConnection();
+  await migrateProfiles();
+  await createMissingProfiles();
+  console.log('Player profiles are multi-sport.');
+}
+
+run()
+  .then(async () => {
+    await mongoose.connection.close();
+    process.exit(0);
+  })
+  .catch(async (err) => {
+    console.error('Failed to migrate player profiles:', err.message);
+    try {
+      await mongoose.connection.close();
+    } catch (_) {
+      // ignore close errors
+    }
+    process.exit(1);
+  });
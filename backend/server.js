@@ -223,6 +223,7 @@ const shopLoginRoutes = require('./routes/shopLogin');
 const checkoutRoutes = require('./routes/checkout');
 const cartRoutes = require('./routes/cart');
 const matchRoutes = require('./routes/matches');
+const publicProfileRoutes = require('./routes/publicProfile');
 
 // New routes for tier system, commissions, subscriptions, and moderation
 const moderatorRoutes = require('./routes/moderator');
@@ -282,6 +283,7 @@ app.use('/api/shop-login', shopLoginRoutes);
 app.use('/api/checkout', checkoutRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/matches', matchRoutes);
+app.use('/p', publicProfileRoutes);
 
 // New routes (coordinator = moderator, support both paths)
 app.use('/api/moderator', moderatorRoutes);
@@ -375,12 +377,20 @@ app.use((err, req, res, next) => {
 
 if (process.env.NODE_ENV !== 'test') {
     const { startKeepAlive } = require('./utils/keepAlive');
+    const { startResultConfirmationJob } = require('./utils/resultConfirmationJob');
+    const { startWaitlistJob } = require('./utils/waitlistJob');
+    const { startSplitPaymentJob } = require('./utils/splitPaymentJob');
+    const { startSeasonJob } = require('./utils/seasonJob');
 
     app.listen(port, () => {
         console.log(`Backend server running on http://localhost:${port}`);
         console.log(`Frontend should be running on http://localhost:3000`);
         console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
         startKeepAlive();
+        startResultConfirmationJob();
+        startWaitlistJob();
+        startSplitPaymentJob();
+        startSeasonJob();
     });
 }
 
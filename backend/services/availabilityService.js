@@ -0,0 +1,126 @@
+/**
+ * Match availability polls
+ *
+ * Players say whether they can make each of their team's upcoming matches
+ * (available, maybe or unavailable, with an optional note). Managers see a
+ * summary per match and are warned when fewer players have confirmed than
+ * the sport needs to field a lineup.
+ */
+
+const { idString } = require('../utils/ids');
+
+const AVAILABILITY_STATUSES = ['available', 'maybe', 'unavailable'];
+const MAX_NOTE_LENGTH = 200;
+
+// Fewest players a team needs to start a match, by sport
+const MINIMUM_LINEUP = {
+  football: 7,
+  cricket: 11,
+  basketball: 5,
+  volleyball: 6,
+  hockey: 7,
+  kabaddi: 7,
+  badminton: 1,
+  tennis: 1,
+  'table tennis': 1
+};
+
+/**
+ * @param {string} sportType
+ * @returns {number|null} minimum lineup size, or null when the sport is unknown
+ */
+function getMinimumLineup(sportType) {
+  const key = String(sportType || '').trim().toLowerCase();
+  return MINIMUM_LINEUP[key] || null;
+}
+
+/**
+ * Check a player's poll answer.
+ * @param {{status?: string, note?: string}} answer
+ * @returns {{error: string|null, status?: string, note?: string}}
+ */
+function parseAvailability(answer = {}) {
+  if (!AVAILABILITY_STATUSES.includes(answer.status)) {
+    return { error: `status must be one of: ${AVAILABILITY_STATUSES.join(', ')}` };
+  }
+  const note = String(answer.note || '').trim();
+  if (note.length > MAX_NOTE_LENGTH) {
+    return { error: `Note must be at most ${MAX_NOTE_LENGTH} characters` };
+  }
+  return { error: null, status: answer.status, note };
+}
+
+/**
+ * Polls are open for scheduled matches that have not started yet.
+ * @param {Object} match
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isPollOpen(match, now = new Date()) {
+  return match.status === 'scheduled' && new Date(match.match_date).getTime() > now.getTime();
+}
+
+/**
+ * Record a player's answer on a match, replacing any earlier one.
+ * @param {Object} match - Changed in place
+ * @param {string} playerId
+ * @param {string} teamId
+ * @param {{status: string, note: string}} answer - Already parsed
+ * @param {Date} [now]
+ */
+function setAvailability(match, playerId, teamId, answer, now = new Date()) {
+  const existing = (match.availability || []).find(entry =>
+    idString(entry.player_id) === String(playerId) && idString(entry.team_id) === String(teamId));
+  if (existing) {
+    existing.status = answer.status;
+    existing.note = answer.note;
+    existing.updated_at = now;
+    return;
+  }
+  match.availability.push({
+    player_id: playerId,
+    team_id: teamId,
+    status: answer.status,
+    note: answer.note,
+    updated_at: now
+  });
+}
+
+/**
+ * Count a team's answers for a match. Only players on the roster count, so
+ * answers from players who left the squad are ignored.
+ * @param {Array<Object>} responses - match.availability
+ * @param {string} teamId
+ * @param {string[]} roster - Ids of the players who may play
+ * @param {number|null} minimum - Minimum lineup size
+ * @returns {{available: number, maybe: number, unavailable: number, no_response: number,
+ *   roster_size: number, minimum: number|null, below_minimum: boolean}}
+ */
+function summarizeAvailability(responses, teamId, roster, minimum) {
+  const counts = { available: 0, maybe: 0, unavailable: 0 };
+  const answered = new Set();
+  (responses || []).forEach(entry => {
+    const playerId = idString(entry.player_id);
+    if (idString(entry.team_id) !== String(teamId) || !roster.includes(playerId) || answered.has(playerId)) return;
+    answered.add(playerId);
+    counts[entry.status] += 1;
+  });
+
+  return {
+    ...counts,
+    no_response: roster.length - answered.size,
+    roster_size: roster.length,
+    minimum,
+    below_minimum: Boolean(minimum && counts.available < minimum)
+  };
+}
+
+module.exports = {
+  AVAILABILITY_STATUSES,
+  MAX_NOTE_LENGTH,
+  getMinimumLineup,
+  parseAvailability,
+  isPollOpen,
+  setAvailability,
+  summarizeAvailability
+};
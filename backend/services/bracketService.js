@@ -0,0 +1,333 @@
+/**
+ * Knockout Bracket Service
+ * Moves verified knockout winners through event.knockout_bracket.
+ *
+ * - The winner is written into the parent node's slot in the next round.
+ * - Once both slots of a node are known, its match is created automatically.
+ * - Verifying the final sets the event champion and marks the event completed.
+ * - For groups-knockout events the bracket is created from the group tables once
+ *   every group match has been verified.
+ */
+
+const Event = require('../models/schemas/eventSchema');
+const Match = require('../models/schemas/matchSchema');
+const { invalidateCacheByPrefixes } = require('../utils/cacheInvalidation');
+const fixtureService = require('./fixtureService');
+const schedulerService = require('./schedulerService');
+
+const DAYS_BETWEEN_ROUNDS = 1;
+const NEXT_MATCH_PLAYED = 'The next-round match has already been played; this result can no longer change the bracket';
+
+/**
+ * @param {object} match
+ * @returns {boolean} true if the match belongs to a knockout bracket
+ */
+function isBracketMatch(match) {
+  return Boolean(match && match.event_id && match.bracket_round !== null && match.bracket_round !== undefined);
+}
+
+function getWinningSide(match) {
+  if (match.score_a > match.score_b) return 'team_a';
+  if (match.score_b > match.score_a) return 'team_b';
+  return null;
+}
+
+function findNode(event, roundNumber, position) {
+  return event.knockout_bracket.find(
+    node => node.round_number === roundNumber && node.position === position
+  );
+}
+
+/**
+ * Other matches of the event that occupy a venue/time slot.
+ */
+async function getEventBookings(event) {
+  return await Match.find({ event_id: event._id, status: { $ne: 'cancelled' } })
+    .select('team_a team_b match_date venue match_number')
+    .lean();
+}
+
+/**
+ * Create the match for a bracket node whose two teams are now known.
+ * With slot scheduling it takes the first free slot after the feeder matches;
+ * otherwise it is dated one round after the latest feeder match, at the same time of day.
+ */
+async function createNodeMatch(event, node, feederMatch) {
+  const feederIds = event.knockout_bracket
+    .filter(n => n.round_number === node.round_number - 1 && n.next_position === node.position && n.match_id)
+    .map(n => n.match_id);
+
+  const feeders = await Match.find({ _id: { $in: feederIds } }).select('match_date').lean();
+  const latest = feeders.reduce(
+    (max, m) => (m.match_date > max ? m.match_date : max),
+    feederMatch.match_date
+  );
+
+  let matchDate = new Date(latest);
+  matchDate.setDate(matchDate.getDate() + DAYS_BETWEEN_ROUNDS);
+  let venue = feederMatch.venue || event.location || '';
+
+  if (schedulerService.hasSlotSettings(event.schedule_settings)) {
+    const settings = schedulerService.normalizeSettings(event.schedule_settings);
+    const slot = schedulerService.findSlot(
+      [String(node.team_a), String(node.team_b)],
+      new Date(Math.max(Date.now(), new Date(latest).getTime())),
+      schedulerService.toBookings(await getEventBookings(event), settings),
+      settings
+    );
+    if (slot) {
+      matchDate = slot.match_date;
+      venue = slot.venue;
+    }
+  }
+
+  const lastMatch = await Match.findOne({ event_id: event._id })
+    .sort({ match_number: -1 })
+    .select('match_number')
+    .lean();
+
+  return await Match.create({
+    event_id: event._id,
+    team_a: node.team_a,
+    team_a_name: node.team_a_name,
+    team_b: node.team_b,
+    team_b_name: node.team_b_name,
+    match_date: matchDate,
+    venue,
+    round: node.round_name,
+    match_number: ((lastMatch && lastMatch.match_number) || 0) + 1,
+    match_type: 'tournament',
+    status: 'scheduled',
+    bracket_round: node.round_number,
+    bracket_position: node.position,
+    scheduled_by: feederMatch.verified_by || null,
+    scheduled_at: new Date()
+  });
+}
+
+/**
+ * Check that a knockout result can move its winner on before it is saved,
+ * so a result the bracket cannot take is turned down with nothing changed.
+ * Throws the error advanceWinner would.
+ *
+ * @param {object} match - Match about to be verified
+ */
+async function checkAdvance(match) {
+  if (!isBracketMatch(match)) {
+    return;
+  }
+
+  const event = await Event.findById(match.event_id).exec();
+  const node = event && event.knockout_bracket
+    ? findNode(event, match.bracket_round, match.bracket_position)
+    : null;
+  if (!node) {
+    return;
+  }
+
+  const side = getWinningSide(match);
+  if (!side) {
+    throw new Error('Knockout matches cannot end in a draw');
+  }
+  if (node.winner && node.winner.toString() === match[side].toString()) {
+    return;
+  }
+  if (node.next_position === null || node.next_position === undefined) {
+    return;
+  }
+
+  const next = findNode(event, node.round_number + 1, node.next_position);
+  if (next && next.match_id) {
+    const existing = await Match.findById(next.match_id).select('status').lean();
+    if (existing && existing.status !== 'scheduled') {
+      throw new Error(NEXT_MATCH_PLAYED);
+    }
+  }
+}
+
+/**
+ * Advance the winner of a verified knockout match.
+ * Safe to call more than once for the same result.
+ *
+ * @param {object} match - Verified match document
+ * @returns {Promise<object|null>} { nextMatch, champion } or null if the match is not in a bracket
+ */
+async function advanceWinner(match) {
+  if (!isBracketMatch(match)) {
+    return null;
+  }
+
+  const event = await Event.findById(match.event_id).exec();
+  if (!event || !event.knockout_bracket || event.knockout_bracket.length === 0) {
+    return null;
+  }
+
+  const node = findNode(event, match.bracket_round, match.bracket_position);
+  if (!node) {
+    return null;
+  }
+
+  const side = getWinningSide(match);
+  if (!side) {
+    throw new Error('Knockout matches cannot end in a draw');
+  }
+
+  const winnerId = match[side];
+  const winnerName = match[`${side}_name`];
+
+  if (node.winner && node.winner.toString() === winnerId.toString()) {
+    return { nextMatch: null, champion: event.champion && event.champion.team_id ? event.champion : null };
+  }
+
+  node.winner = winnerId;
+  node.winner_name = winnerName;
+  node.match_id = match._id;
+
+  let nextMatch = null;
+  let champion = null;
+
+  if (node.next_position === null || node.next_position === undefined) {
+    champion = { team_id: winnerId, team_name: winnerName, decided_at: new Date() };
+    event.champion = champion;
+    event.status = 'completed';
+  } else {
+    const next = findNode(event, node.round_number + 1, node.next_position);
+
+    if (next.match_id) {
+      // A re-verified result changed the winner after the next match was created
+      const existing = await Match.findById(next.match_id).exec();
+      if (existing && existing.status !== 'scheduled') {
+        throw new Error(NEXT_MATCH_PLAYED);
+      }
+      if (existing) {
+        existing[node.next_slot] = winnerId;
+        existing[`${node.next_slot}_name`] = winnerName;
+        nextMatch = await existing.save();
+      }
+    }
+
+    next[node.next_slot] = winnerId;
+    next[`${node.next_slot}_name`] = winnerName;
+
+    if (!next.match_id && next.team_a && next.team_b) {
+      nextMatch = await createNodeMatch(event, next, match);
+      next.match_id = nextMatch._id;
+    }
+  }
+
+  await event.save();
+
+  await invalidateCacheByPrefixes([
+    `/api/organizer/event/${event._id}`,
+    '/api/organizer/stats'
+  ]);
+
+  return { nextMatch, champion };
+}
+
+/**
+ * Build the knockout bracket of a groups-knockout event from its final group tables.
+ * Does nothing until every group match is verified, or once the bracket exists.
+ * Knockout rounds are scheduled one per day after the last group match, or in the
+ * next free venue slots when the event uses slot scheduling.
+ *
+ * @param {object} match - Verified match document
+ * @returns {Promise<object|null>} { qualifiers, matches } or null if the knockout was not started
+ */
+async function startKnockoutFromGroups(match) {
+  if (!match || !match.event_id || !match.group) {
+    return null;
+  }
+
+  const event = await Event.findById(match.event_id).exec();
+  if (!event || event.tournament_format !== 'groups-knockout' || event.knockout_bracket.length > 0) {
+    return null;
+  }
+
+  const openGroupMatches = await Match.countDocuments({
+    event_id: event._id,
+    group: { $ne: null },
+    status: { $nin: ['verified', 'cancelled'] }
+  });
+  if (openGroupMatches > 0) {
+    return null;
+  }
+
+  const MatchModel = require('../models/match');
+  const groupStandings = await MatchModel.getEventGroupLeaderboards(event._id);
+  const qualifiers = fixtureService.seedGroupQualifiers(groupStandings, event.qualifiers_per_group || 2);
+  if (qualifiers.length < 2) {
+    return null;
+  }
+
+  const knockout = fixtureService.generateKnockout(qualifiers);
+
+  const lastGroupMatch = await Match.findOne({ event_id: event._id, group: { $ne: null } })
+    .sort({ match_date: -1 })
+    .select('match_date venue')
+    .lean();
+  const lastNumbered = await Match.findOne({ event_id: event._id })
+    .sort({ match_number: -1 })
+    .select('match_number')
+    .lean();
+  const numberOffset = (lastNumbered && lastNumbered.match_number) || 0;
+
+  let fixtures = knockout.rounds.flatMap(round => round.fixtures).map(fixture => {
+    const matchDate = new Date(lastGroupMatch ? lastGroupMatch.match_date : event.event_date);
+    matchDate.setDate(matchDate.getDate() + fixture.round_number * DAYS_BETWEEN_ROUNDS);
+    return { ...fixture, match_date: matchDate, venue: (lastGroupMatch && lastGroupMatch.venue) || event.location || '' };
+  });
+
+  if (schedulerService.hasSlotSettings(event.schedule_settings) && lastGroupMatch) {
+    const slotted = schedulerService.assignSlots(fixtures, event.schedule_settings, {
+      startDate: new Date(Math.max(Date.now(), new Date(lastGroupMatch.match_date).getTime())),
+      existingMatches: await getEventBookings(event)
+    });
+    // Anything that did not fit keeps its default date
+    fixtures = slotted.fixtures.map((fixture, i) => (
+      slotted.unscheduled.includes(fixture.match_number) ? fixtures[i] : fixture
+    ));
+  }
+
+  const matches = [];
+  for (const fixture of fixtures) {
+    matches.push(await Match.create({
+      event_id: event._id,
+      team_a: fixture.team_a,
+      team_a_name: fixture.team_a_name,
+      team_b: fixture.team_b,
+      team_b_name: fixture.team_b_name,
+      match_date: fixture.match_date,
+      venue: fixture.venue,
+      round: fixture.round,
+      match_number: numberOffset + fixture.match_number,
+      match_type: 'tournament',
+      status: 'scheduled',
+      bracket_round: fixture.bracket_round,
+      bracket_position: fixture.bracket_position,
+      scheduled_by: match.verified_by || null,
+      scheduled_at: new Date()
+    }));
+  }
+
+  const matchIds = new Map(matches.map(m => [`${m.bracket_round}:${m.bracket_position}`, m._id]));
+  event.knockout_bracket = knockout.bracket.map(node => ({
+    ...node,
+    match_id: matchIds.get(`${node.round_number}:${node.position}`) || null
+  }));
+  await event.save();
+
+  await invalidateCacheByPrefixes([
+    `/api/organizer/event/${event._id}`,
+    '/api/organizer/stats'
+  ]);
+
+  return { qualifiers, matches };
+}
+
+module.exports = {
+  isBracketMatch,
+  checkAdvance,
+  advanceWinner,
+  startKnockoutFromGroups
+};
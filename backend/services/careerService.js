@@ -0,0 +1,255 @@
+/**
+ * Player career
+ *
+ * Puts a player's team memberships (current, left and on archived teams),
+ * the events those teams played while the player was on them, and the
+ * verified match results into one chronological timeline, with a summary
+ * per season. Seasons are calendar years.
+ *
+ * Premium players with the portfolio feature can publish their career on
+ * their public profile.
+ */
+
+const { sumStatLines, getStatSheet } = require('./playerStatsService');
+const { idOf, idString } = require('../utils/ids');
+
+const COUNTED_REGISTRATIONS = ['approved', 'confirmed'];
+
+// Order of entries that share a date: join before playing, leave last
+const TYPE_ORDER = { joined_team: 0, event: 1, match: 2, left_team: 3, team_archived: 4 };
+
+const toTime = date => (date ? new Date(date).getTime() : null);
+const sameId = (a, b) => Boolean(a && b) && idString(a) === idString(b);
+
+/**
+ * @param {Date|string} date
+ * @returns {string} season the date falls in
+ */
+function seasonOf(date) {
+  return String(new Date(date).getUTCFullYear());
+}
+
+/**
+ * @param {{joined_at: Date, left_at: Date|null}} membership
+ * @param {Date|string} date
+ * @returns {boolean} whether the player was on the team on that date
+ */
+function coversDate(membership, date) {
+  const time = toTime(date);
+  const joined = toTime(membership.joined_at);
+  const left = toTime(membership.left_at);
+  return (joined === null || joined <= time) && (left === null || time <= left);
+}
+
+/**
+ * A player's memberships of the given teams: the current one from members
+ * and past ones from former_members.
+ * @param {Array<Object>} teams - Lean teams with members and former_members
+ * @param {string} playerId
+ * @returns {Array<Object>} { team_id, team_name, sport, role, joined_at, left_at, archived_at, current }
+ */
+function getMemberships(teams, playerId) {
+  const memberships = [];
+  teams.forEach(team => {
+    const base = {
+      team_id: team._id,
+      team_name: team.name,
+      sport: team.sport_type,
+      archived_at: team.archived_at || null
+    };
+    (team.former_members || [])
+      .filter(member => sameId(member.player_id, playerId))
+      .forEach(member => memberships.push({
+        ...base,
+        role: member.role || 'player',
+        joined_at: member.joined_date || null,
+        left_at: member.left_date || null,
+        current: false
+      }));
+    (team.members || [])
+      .filter(member => sameId(member.player_id, playerId))
+      .forEach(member => memberships.push({
+        ...base,
+        role: member.role || 'player',
+        joined_at: member.joined_date || null,
+        left_at: null,
+        current: member.status === 'active' && !team.archived_at
+      }));
+  });
+  return memberships.sort((a, b) => (toTime(a.joined_at) || 0) - (toTime(b.joined_at) || 0));
+}
+
+/**
+ * Events the player took part in: the team's registration was accepted, the
+ * event went ahead and the player was on the team on the event date.
+ * @param {Array<Object>} events - As returned by Event.getPlayerEventsViaTeams
+ * @param {Array<Object>} memberships
+ * @returns {Array<Object>}
+ */
+function careerEvents(events, memberships) {
+  return events
+    .filter(event => event.status !== 'cancelled' && COUNTED_REGISTRATIONS.includes(event.registration_status))
+    .filter(event => memberships.some(m => sameId(m.team_id, event.team_id) && coversDate(m, event.event_date)))
+    .map(event => ({
+      event_id: event.id,
+      name: event.name,
+      date: event.event_date,
+      sport: event.sport,
+      team_id: event.team_id,
+      team_name: event.team_name,
+      location: event.location || '',
+      champion: sameId(event.champion_team_id, event.team_id)
+    }));
+}
+
+/**
+ * The player's side of a verified match. The side comes from the player's
+ * stat line, or else from the team they were on at the time.
+ * @param {Object} match - Lean match
+ * @param {string} playerId
+ * @param {Array<Object>} memberships
+ * @returns {Object|null} null when the player was on neither team
+ */
+function matchForPlayer(match, playerId, memberships) {
+  const line = (match.player_stats || []).find(l => sameId(l.player_id, playerId)) || null;
+  let side = null;
+  if (line && line.team_id) {
+    side = sameId(line.team_id, match.team_a) ? 'team_a' : sameId(line.team_id, match.team_b) ? 'team_b' : null;
+  }
+  if (!side) {
+    side = ['team_a', 'team_b'].find(key =>
+      memberships.some(m => sameId(m.team_id, match[key]) && coversDate(m, match.match_date))) || null;
+  }
+  if (!side) return null;
+
+  const other = side === 'team_a' ? 'team_b' : 'team_a';
+  const scoreFor = side === 'team_a' ? match.score_a : match.score_b;
+  const scoreAgainst = side === 'team_a' ? match.score_b : match.score_a;
+  let outcome;
+  if (match.winner) {
+    outcome = match.winner === 'draw' ? 'draw' : match.winner === side ? 'win' : 'loss';
+  } else {
+    outcome = scoreFor === scoreAgainst ? 'draw' : scoreFor > scoreAgainst ? 'win' : 'loss';
+  }
+  const membership = memberships.find(m => sameId(m.team_id, match[side]));
+
+  return {
+    match_id: match._id,
+    date: match.match_date,
+    event_id: match.event_id || null,
+    team_id: idOf(match[side]),
+    team_name: match[`${side}_name`],
+    opponent: match[`${other}_name`],
+    sport: membership ? membership.sport : '',
+    score_for: scoreFor,
+    score_against: scoreAgainst,
+    outcome,
+    stats: line ? (line.stats instanceof Map ? Object.fromEntries(line.stats) : (line.stats || {})) : null
+  };
+}
+
+/**
+ * @param {{memberships: Array, events: Array, matches: Array}} career - Already
+ *   filtered by careerEvents and matchForPlayer
+ * @returns {Array<Object>} entries oldest first, each with type, date and season
+ */
+function buildTimeline({ memberships, events, matches }) {
+  const entries = [];
+  memberships.forEach(m => {
+    const team = { team_id: m.team_id, team_name: m.team_name, sport: m.sport };
+    if (m.joined_at) entries.push({ type: 'joined_team', date: m.joined_at, ...team, role: m.role });
+    if (m.left_at) entries.push({ type: 'left_team', date: m.left_at, ...team });
+  });
+  // An archived team shows once, however many times the player was on it
+  const archived = new Map();
+  memberships.filter(m => m.archived_at).forEach(m => archived.set(idString(m.team_id), m));
+  archived.forEach(m => entries.push({
+    type: 'team_archived', date: m.archived_at, team_id: m.team_id, team_name: m.team_name, sport: m.sport
+  }));
+  events.forEach(event => entries.push({ type: 'event', ...event }));
+  matches.forEach(match => entries.push({ type: 'match', ...match }));
+
+  return entries
+    .map(entry => ({ ...entry, season: seasonOf(entry.date) }))
+    .sort((a, b) => (toTime(a.date) - toTime(b.date)) || (TYPE_ORDER[a.type] - TYPE_ORDER[b.type]));
+}
+
+/**
+ * One summary per season the player was active in, newest first.
+ * @param {{memberships: Array, events: Array, matches: Array}} career
+ * @param {Date} [now] - End of memberships that are still open
+ * @returns {Array<Object>} { season, teams, events, championships, played, won, drawn, lost, stats }
+ *   where stats holds each sport's totals with its stat sheet
+ */
+function summarizeSeasons({ memberships, events, matches }, now = new Date()) {
+  const seasons = new Map();
+  const seasonFor = key => {
+    if (!seasons.has(key)) {
+      seasons.set(key, {
+        season: key, teams: [], events: 0, championships: 0, played: 0, won: 0, drawn: 0, lost: 0, lines: new Map()
+      });
+    }
+    return seasons.get(key);
+  };
+
+  memberships.forEach(m => {
+    const from = Number(seasonOf(m.joined_at || now));
+    const to = Number(seasonOf(m.left_at || m.archived_at || now));
+    for (let year = from; year <= to; year++) {
+      const summary = seasonFor(String(year));
+      if (!summary.teams.includes(m.team_name)) summary.teams.push(m.team_name);
+    }
+  });
+  events.forEach(event => {
+    const summary = seasonFor(seasonOf(event.date));
+    summary.events += 1;
+    if (event.champion) summary.championships += 1;
+  });
+  matches.forEach(match => {
+    const summary = seasonFor(seasonOf(match.date));
+    summary.played += 1;
+    if (match.outcome === 'win') summary.won += 1;
+    else if (match.outcome === 'draw') summary.drawn += 1;
+    else summary.lost += 1;
+    if (match.stats) {
+      if (!summary.lines.has(match.sport)) summary.lines.set(match.sport, []);
+      summary.lines.get(match.sport).push({ stats: match.stats });
+    }
+  });
+
+  return [...seasons.values()]
+    .sort((a, b) => Number(b.season) - Number(a.season))
+    .map(({ lines, ...summary }) => ({
+      ...summary,
+      stats: [...lines.entries()].map(([sport, sportLines]) => ({
+        sport,
+        matches: sportLines.length,
+        fields: getStatSheet(sport),
+        totals: sumStatLines(sportLines, sport)
+      }))
+    }));
+}
+
+/**
+ * @param {Object} user - User with premiumProfile
+ * @param {Date} [now]
+ * @returns {boolean} whether the user has an active premium profile with the portfolio feature
+ */
+function canPublishCareer(user, now = new Date()) {
+  const premium = user && user.premiumProfile;
+  if (!premium || !premium.isActive || !premium.features || !premium.features.portfolio) {
+    return false;
+  }
+  return !premium.expiresAt || new Date(premium.expiresAt) > now;
+}
+
+module.exports = {
+  seasonOf,
+  coversDate,
+  getMemberships,
+  careerEvents,
+  matchForPlayer,
+  buildTimeline,
+  summarizeSeasons,
+  canPublishCareer
+};
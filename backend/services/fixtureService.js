@@ -0,0 +1,635 @@
+/**
+ * Fixture Generation Service
+ * Builds match fixtures for an event from its registered teams.
+ *
+ * Supported formats:
+ * - round-robin : single round-robin (circle method)
+ * - league      : double round-robin, second leg with home/away reversed
+ * - knockout    : single elimination, byes given to the top seeds so no team is dropped;
+ *                 seeded by Elo rating when ratings are given, otherwise by draw order
+ * - groups-knockout : round-robin groups (snake seeded by rating, or manual), then a
+ *                     knockout bracket of the top K of each group
+ *
+ * Every function here is pure and deterministic: the same teams in the same
+ * order always produce the same fixtures, so schedules can be reproduced.
+ */
+
+const schedulerService = require('./schedulerService');
+
+const SUPPORTED_FORMATS = ['round-robin', 'knockout', 'league', 'groups-knockout'];
+
+// Registration statuses that make a team eligible for fixtures
+const SCHEDULABLE_STATUSES = ['approved', 'confirmed'];
+
+/**
+ * Pick the teams that can be scheduled from an event's registrations,
+ * ordered by registration date (ties broken by team ID) to give a stable draw order.
+ *
+ * @param {Array} registrations - event.team_registrations (as returned by Event.getEventById)
+ * @returns {Array<{id: string, name: string}>}
+ */
+function getSchedulableTeams(registrations = []) {
+  return registrations
+    .filter(reg => reg.team_id && SCHEDULABLE_STATUSES.includes(reg.status))
+    .map(reg => ({
+      id: String(reg.team_id._id || reg.team_id),
+      name: reg.team_name || (reg.team_id && reg.team_id.name) || 'Unknown Team',
+      registeredAt: reg.registration_date ? new Date(reg.registration_date).getTime() : 0
+    }))
+    .sort((a, b) => {
+      if (a.registeredAt !== b.registeredAt) return a.registeredAt - b.registeredAt;
+      return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    })
+    .map(({ id, name }) => ({ id, name }));
+}
+
+function buildFixture(home, away, roundNumber, roundName) {
+  return {
+    team_a: home.id,
+    team_a_name: home.name,
+    team_b: away.id,
+    team_b_name: away.name,
+    round: roundName,
+    round_number: roundNumber
+  };
+}
+
+function numberFixtures(rounds) {
+  let matchNumber = 1;
+  rounds.forEach(round => {
+    round.fixtures.forEach(fixture => {
+      fixture.match_number = matchNumber++;
+    });
+  });
+  return rounds;
+}
+
+/**
+ * Round-robin fixtures using the circle method.
+ * The first team stays fixed while the rest rotate one place each round.
+ * An odd team count gets a placeholder so one team sits out each round.
+ *
+ * @param {Array<{id: string, name: string}>} teams
+ * @param {object} [options]
+ * @param {number} [options.legs=1] - 2 for a double round-robin (home and away)
+ * @returns {Array<{name: string, number: number, fixtures: Array}>} rounds
+ */
+function generateRoundRobin(teams, options = {}) {
+  const legs = options.legs === 2 ? 2 : 1;
+  const slots = [...teams];
+  if (slots.length % 2 === 1) {
+    slots.push(null);
+  }
+
+  const size = slots.length;
+  const roundsPerLeg = size - 1;
+  const firstLeg = [];
+
+  for (let r = 0; r < roundsPerLeg; r++) {
+    const pairings = [];
+
+    for (let i = 0; i < size / 2; i++) {
+      let home = slots[i];
+      let away = slots[size - 1 - i];
+
+      // Alternate the fixed team between home and away
+      if (i === 0 && r % 2 === 1) {
+        [home, away] = [away, home];
+      }
+
+      if (home && away) {
+        pairings.push([home, away]);
+      }
+    }
+
+    firstLeg.push(pairings);
+    slots.splice(1, 0, slots.pop());
+  }
+
+  const rounds = firstLeg.map((pairings, index) => ({
+    name: `Round ${index + 1}`,
+    number: index + 1,
+    fixtures: pairings.map(([home, away]) => buildFixture(home, away, index + 1, `Round ${index + 1}`))
+  }));
+
+  if (legs === 2) {
+    firstLeg.forEach((pairings, index) => {
+      const number = roundsPerLeg + index + 1;
+      rounds.push({
+        name: `Round ${number}`,
+        number,
+        fixtures: pairings.map(([home, away]) => buildFixture(away, home, number, `Round ${number}`))
+      });
+    });
+  }
+
+  return numberFixtures(rounds);
+}
+
+/**
+ * Standard bracket seeding order, e.g. size 8 → [1, 8, 4, 5, 2, 7, 3, 6].
+ * Adjacent pairs meet in the first round; seeds 1 and 2 can only meet in the final.
+ *
+ * @param {number} size - Bracket size (power of two)
+ * @returns {number[]}
+ */
+function getSeedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+}
+
+/**
+ * Name a knockout round by the number of teams still in it.
+ * @param {number} teamsInRound
+ * @returns {string}
+ */
+function getKnockoutRoundName(teamsInRound) {
+  if (teamsInRound === 2) return 'Final';
+  if (teamsInRound === 4) return 'Semi Final';
+  if (teamsInRound === 8) return 'Quarter Final';
+  return `Round of ${teamsInRound}`;
+}
+
+/**
+ * Empty knockout bracket: one node per match slot, each pointing at the node
+ * (and team slot) its winner moves into. The final has no next node.
+ *
+ * @param {number} bracketSize - Power of two
+ * @returns {Array<object>} nodes ordered by round, then position
+ */
+function buildBracketNodes(bracketSize) {
+  const totalRounds = Math.log2(bracketSize);
+  const nodes = [];
+
+  for (let round = 1; round <= totalRounds; round++) {
+    const matchesInRound = bracketSize / Math.pow(2, round);
+    const roundName = getKnockoutRoundName(matchesInRound * 2);
+
+    for (let position = 0; position < matchesInRound; position++) {
+      const isFinal = round === totalRounds;
+      nodes.push({
+        round_number: round,
+        position,
+        round_name: roundName,
+        team_a: null,
+        team_a_name: '',
+        team_b: null,
+        team_b_name: '',
+        is_bye: false,
+        winner: null,
+        winner_name: '',
+        next_position: isFinal ? null : Math.floor(position / 2),
+        next_slot: isFinal ? null : (position % 2 === 0 ? 'team_a' : 'team_b')
+      });
+    }
+  }
+
+  return nodes;
+}
+
+/**
+ * Find a bracket node by round and position.
+ * @param {Array<object>} nodes
+ * @param {number} roundNumber
+ * @param {number} position
+ * @returns {object|undefined}
+ */
+function findBracketNode(nodes, roundNumber, position) {
+  return nodes.find(node => node.round_number === roundNumber && node.position === position);
+}
+
+/**
+ * Single-elimination bracket.
+ * The bracket is padded to the next power of two and the empty slots become byes
+ * for the top seeds (team order = seed order), which are advanced straight into
+ * the next round. Fixtures are returned only for matches whose two teams are
+ * already known: the first round, plus any second-round match between two teams
+ * that both received a bye. The remaining nodes are filled in as results come in.
+ *
+ * @param {Array<{id: string, name: string}>} teams - In seed order
+ * @returns {{ rounds: Array, byes: Array<{id: string, name: string}>, bracketSize: number, bracket: Array<object> }}
+ */
+function generateKnockout(teams) {
+  let bracketSize = 2;
+  while (bracketSize < teams.length) {
+    bracketSize *= 2;
+  }
+
+  const seedOrder = getSeedOrder(bracketSize);
+  const bracket = buildBracketNodes(bracketSize);
+  const byes = [];
+
+  bracket.filter(node => node.round_number === 1).forEach(node => {
+    const home = teams[seedOrder[node.position * 2] - 1];
+    const away = teams[seedOrder[node.position * 2 + 1] - 1];
+
+    if (home) {
+      node.team_a = home.id;
+      node.team_a_name = home.name;
+    }
+    if (away) {
+      node.team_b = away.id;
+      node.team_b_name = away.name;
+    }
+
+    if (!home || !away) {
+      const seeded = home || away;
+      node.is_bye = true;
+      node.winner = seeded.id;
+      node.winner_name = seeded.name;
+      byes.push(seeded);
+
+      const next = findBracketNode(bracket, 2, node.next_position);
+      if (next) {
+        next[node.next_slot] = seeded.id;
+        next[`${node.next_slot}_name`] = seeded.name;
+      }
+    }
+  });
+
+  const rounds = [];
+  bracket
+    .filter(node => !node.is_bye && node.team_a && node.team_b)
+    .forEach(node => {
+      let round = rounds.find(r => r.number === node.round_number);
+      if (!round) {
+        round = { name: node.round_name, number: node.round_number, fixtures: [] };
+        rounds.push(round);
+      }
+
+      round.fixtures.push({
+        ...buildFixture(
+          { id: node.team_a, name: node.team_a_name },
+          { id: node.team_b, name: node.team_b_name },
+          node.round_number,
+          node.round_name
+        ),
+        bracket_round: node.round_number,
+        bracket_position: node.position
+      });
+    });
+
+  numberFixtures(rounds);
+  rounds.forEach(round => {
+    round.fixtures.forEach(fixture => {
+      findBracketNode(bracket, fixture.bracket_round, fixture.bracket_position).match_number = fixture.match_number;
+    });
+  });
+
+  return { rounds, byes, bracketSize, bracket };
+}
+
+/**
+ * @param {number} index - 0-based
+ * @returns {string} 'Group A', 'Group B', ...
+ */
+function getGroupName(index) {
+  return `Group ${String.fromCharCode(65 + index)}`;
+}
+
+/**
+ * Order teams by `rating`, best first. Equal (or missing) ratings keep their draw order.
+ * @param {Array<{id: string, name: string, rating?: number}>} teams
+ * @returns {Array}
+ */
+function sortByRating(teams) {
+  return teams
+    .map((team, index) => ({ team, index }))
+    .sort((a, b) => ((b.team.rating || 0) - (a.team.rating || 0)) || a.index - b.index)
+    .map(({ team }) => team);
+}
+
+/**
+ * Snake seeding: seeds 1..N go into groups A..N, the next N come back N..A, and so on,
+ * so every group gets a similar spread of strong and weak teams.
+ *
+ * @param {Array<{id: string, name: string}>} teams - In seed order
+ * @param {number} groupCount
+ * @returns {Array<{name: string, teams: Array}>}
+ */
+function snakeSeedGroups(teams, groupCount) {
+  const groups = Array.from({ length: groupCount }, (_, i) => ({ name: getGroupName(i), teams: [] }));
+
+  teams.forEach((team, index) => {
+    const row = Math.floor(index / groupCount);
+    const column = index % groupCount;
+    const groupIndex = row % 2 === 0 ? column : groupCount - 1 - column;
+    groups[groupIndex].teams.push(team);
+  });
+
+  return groups;
+}
+
+/**
+ * Groups chosen by the organizer. Every team must be placed in exactly one group.
+ *
+ * @param {Array<{id: string, name: string}>} teams
+ * @param {Array<string[]>} manualGroups - Team IDs per group
+ * @returns {Array<{name: string, teams: Array}>}
+ */
+function buildManualGroups(teams, manualGroups) {
+  const byId = new Map(teams.map(team => [team.id, team]));
+  const placed = new Set();
+
+  const groups = manualGroups.map((teamIds, index) => ({
+    name: getGroupName(index),
+    teams: (Array.isArray(teamIds) ? teamIds : []).map(rawId => {
+      const id = String(rawId);
+      if (!byId.has(id)) {
+        throw new Error(`Team ${id} is not an approved or confirmed team of this event`);
+      }
+      if (placed.has(id)) {
+        throw new Error(`${byId.get(id).name} is placed in more than one group`);
+      }
+      placed.add(id);
+      return byId.get(id);
+    })
+  }));
+
+  const missing = teams.filter(team => !placed.has(team.id));
+  if (missing.length > 0) {
+    throw new Error(`Teams not placed in a group: ${missing.map(team => team.name).join(', ')}`);
+  }
+
+  return groups;
+}
+
+/**
+ * Round-robin inside every group. Round N of all groups is played together.
+ *
+ * @param {Array<{name: string, teams: Array}>} groups
+ * @returns {Array<{name: string, number: number, fixtures: Array}>} rounds
+ */
+function generateGroupStage(groups) {
+  const rounds = [];
+
+  groups.forEach(group => {
+    generateRoundRobin(group.teams).forEach(groupRound => {
+      let round = rounds.find(r => r.number === groupRound.number);
+      if (!round) {
+        round = { name: `Group Stage - Round ${groupRound.number}`, number: groupRound.number, fixtures: [] };
+        rounds.push(round);
+      }
+
+      groupRound.fixtures.forEach(fixture => {
+        round.fixtures.push({
+          ...fixture,
+          round: `${group.name} - Round ${groupRound.number}`,
+          group: group.name
+        });
+      });
+    });
+  });
+
+  rounds.sort((a, b) => a.number - b.number);
+  return numberFixtures(rounds);
+}
+
+/**
+ * Split teams into groups for the groups-knockout format.
+ *
+ * @param {Array<{id: string, name: string, rating?: number}>} teams - In draw order
+ * @param {object} [options]
+ * @param {number} [options.groupCount] - Defaults to one group per 4 teams (at least 2)
+ * @param {Array<string[]>} [options.groups] - Manual seeding: team IDs per group
+ * @returns {Array<{name: string, teams: Array}>}
+ */
+function buildGroups(teams, options = {}) {
+  const groups = Array.isArray(options.groups) && options.groups.length > 0
+    ? buildManualGroups(teams, options.groups)
+    : snakeSeedGroups(
+      sortByRating(teams),
+      parseInt(options.groupCount, 10) || Math.max(2, Math.floor(teams.length / 4))
+    );
+
+  if (groups.length < 2) {
+    throw new Error('At least 2 groups are required');
+  }
+  if (groups.some(group => group.teams.length < 2)) {
+    throw new Error('Every group needs at least 2 teams');
+  }
+
+  return groups;
+}
+
+function countGroupClashes(seeds) {
+  let bracketSize = 2;
+  while (bracketSize < seeds.length) {
+    bracketSize *= 2;
+  }
+
+  const order = getSeedOrder(bracketSize);
+  let clashes = 0;
+  for (let i = 0; i < order.length; i += 2) {
+    const home = seeds[order[i] - 1];
+    const away = seeds[order[i + 1] - 1];
+    if (home && away && home.group === away.group) {
+      clashes++;
+    }
+  }
+  return clashes;
+}
+
+/**
+ * Seed the knockout qualifiers from final group tables.
+ * Group winners come first (in group order), then the runners-up, and so on.
+ * Each lower tier is rotated so that, where possible, no first-round match
+ * is a repeat of a group fixture.
+ *
+ * @param {Array<{name: string, standings: Array<{team_id: string, team_name: string}>}>} groupStandings
+ * @param {number} qualifiersPerGroup
+ * @returns {Array<{id: string, name: string, group: string, group_position: number}>} In seed order
+ */
+function seedGroupQualifiers(groupStandings, qualifiersPerGroup) {
+  let seeds = [];
+
+  for (let position = 0; position < qualifiersPerGroup; position++) {
+    const tier = groupStandings
+      .filter(group => group.standings[position])
+      .map(group => ({
+        id: String(group.standings[position].team_id),
+        name: group.standings[position].team_name,
+        group: group.name,
+        group_position: position + 1
+      }));
+
+    if (position === 0 || tier.length < 2) {
+      seeds = seeds.concat(tier);
+      continue;
+    }
+
+    let best = null;
+    for (let shift = 0; shift < tier.length; shift++) {
+      const rotated = tier.slice(shift).concat(tier.slice(0, shift));
+      [rotated, [...rotated].reverse()].forEach(candidate => {
+        const clashes = countGroupClashes(seeds.concat(candidate));
+        if (!best || clashes < best.clashes) {
+          best = { candidate, clashes };
+        }
+      });
+    }
+    seeds = seeds.concat(best.candidate);
+  }
+
+  return seeds;
+}
+
+/**
+ * Generate fixtures for a tournament format.
+ * For groups-knockout only the group stage is generated here; the bracket is built
+ * from the final group tables (see seedGroupQualifiers).
+ *
+ * @param {string} format - 'round-robin' | 'knockout' | 'league' | 'groups-knockout'
+ * @param {Array<{id: string, name: string}>} teams - In draw/seed order
+ * @param {object} [options] - Group options for groups-knockout (see buildGroups)
+ * @returns {{ format: string, rounds: Array, fixtures: Array, byes: Array, bracket: Array, groups: Array }}
+ */
+function generateFixtures(format, teams, options = {}) {
+  if (!SUPPORTED_FORMATS.includes(format)) {
+    throw new Error(`Unsupported tournament format: ${format}`);
+  }
+
+  if (!Array.isArray(teams) || teams.length < 2) {
+    throw new Error('At least 2 teams are required to generate fixtures');
+  }
+
+  let rounds;
+  let byes = [];
+  let bracket = [];
+  let groups = [];
+
+  if (format === 'knockout') {
+    const seeded = teams.some(team => team.rating !== undefined) ? sortByRating(teams) : teams;
+    const knockout = generateKnockout(seeded);
+    rounds = knockout.rounds;
+    byes = knockout.byes;
+    bracket = knockout.bracket;
+  } else if (format === 'groups-knockout') {
+    groups = buildGroups(teams, options);
+    rounds = generateGroupStage(groups);
+  } else {
+    rounds = generateRoundRobin(teams, { legs: format === 'league' ? 2 : 1 });
+  }
+
+  return {
+    format,
+    rounds,
+    fixtures: rounds.flatMap(round => round.fixtures),
+    byes,
+    bracket,
+    groups: groups.map(group => ({
+      name: group.name,
+      teams: group.teams.map(({ id, name }) => ({ id, name }))
+    }))
+  };
+}
+
+/**
+ * Give every fixture a default date: one round per day (or per `daysBetweenRounds`)
+ * starting at the event date and time.
+ *
+ * @param {Array} fixtures
+ * @param {object} options
+ * @param {Date|string} options.startDate
+ * @param {string} [options.startTime='10:00'] - HH:MM
+ * @param {number} [options.daysBetweenRounds=1]
+ * @param {string} [options.venue='']
+ * @returns {Array} The same fixtures with match_date and venue set
+ */
+function assignDefaultSchedule(fixtures, options) {
+  const { startDate, startTime = '10:00', daysBetweenRounds = 1, venue = '' } = options;
+  const [hours, minutes] = String(startTime).split(':').map(part => parseInt(part, 10) || 0);
+
+  return fixtures.map(fixture => {
+    const matchDate = new Date(startDate);
+    matchDate.setDate(matchDate.getDate() + (fixture.round_number - 1) * daysBetweenRounds);
+    matchDate.setHours(hours, minutes, 0, 0);
+
+    return {
+      ...fixture,
+      match_date: matchDate,
+      venue: fixture.venue || venue
+    };
+  });
+}
+
+/**
+ * Build the full fixture plan for an event.
+ *
+ * @param {object} event - Event as returned by Event.getEventById
+ * @param {object} [options]
+ * @param {string} [options.format] - Overrides event.tournament_format
+ * @param {number} [options.daysBetweenRounds]
+ * @param {object} [options.ratings] - Team ID → rating, used to seed groups and knockout brackets
+ * @param {number} [options.groupCount]
+ * @param {Array<string[]>} [options.groups] - Manual groups (team IDs)
+ * @param {Array<object>} [options.existingMatches] - Matches that keep their slot (slot scheduling only)
+ * @returns {{ format: string, teams: Array, rounds: Array, fixtures: Array, byes: Array, bracket: Array, groups: Array, unscheduled: number[] }}
+ */
+function buildEventFixtures(event, options = {}) {
+  const format = options.format || event.tournament_format || 'round-robin';
+  const ratings = options.ratings || {};
+  const teams = getSchedulableTeams(event.team_registrations)
+    .map(team => (ratings[team.id] !== undefined ? { ...team, rating: ratings[team.id] } : team));
+  const plan = generateFixtures(format, teams, {
+    groupCount: options.groupCount,
+    groups: options.groups
+  });
+
+  // With venues configured, fixtures go into free venue/time slots; otherwise one round per day
+  let fixtures;
+  let unscheduled = [];
+  if (schedulerService.hasSlotSettings(event.schedule_settings)) {
+    const slotted = schedulerService.assignSlots(plan.fixtures, event.schedule_settings, {
+      startDate: event.event_date,
+      existingMatches: options.existingMatches || []
+    });
+    fixtures = slotted.fixtures;
+    unscheduled = slotted.unscheduled;
+  } else {
+    fixtures = assignDefaultSchedule(plan.fixtures, {
+      startDate: event.event_date,
+      startTime: event.event_time,
+      daysBetweenRounds: options.daysBetweenRounds || 1,
+      venue: event.location || ''
+    });
+  }
+
+  const byNumber = new Map(fixtures.map(fixture => [fixture.match_number, fixture]));
+  const rounds = plan.rounds.map(round => ({
+    ...round,
+    fixtures: round.fixtures.map(fixture => byNumber.get(fixture.match_number))
+  }));
+
+  return {
+    format,
+    teams: teams.map(({ id, name }) => ({ id, name })),
+    rounds,
+    fixtures,
+    byes: plan.byes,
+    bracket: plan.bracket,
+    groups: plan.groups,
+    unscheduled
+  };
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  getSchedulableTeams,
+  generateRoundRobin,
+  generateKnockout,
+  generateFixtures,
+  snakeSeedGroups,
+  buildGroups,
+  generateGroupStage,
+  seedGroupQualifiers,
+  findBracketNode,
+  getSeedOrder,
+  getKnockoutRoundName,
+  assignDefaultSchedule,
+  buildEventFixtures
+};
@@ -0,0 +1,140 @@
+/**
+ * Live scoring
+ *
+ * Rules for the live match event log (start, score, period change, end)
+ * and an in-process hub that pushes score changes to Server-Sent Events
+ * subscribers. Subscribers listen on channels for a match, a team or an
+ * event, so a team page or an event page receives every match it shows.
+ */
+
+const { EventEmitter } = require('events');
+const { idOf } = require('../utils/ids');
+
+const LIVE_EVENT_TYPES = ['start', 'score', 'period', 'end'];
+
+const hub = new EventEmitter();
+// One listener per open SSE connection
+hub.setMaxListeners(0);
+
+/**
+ * Validate a live event against the current match state and work out the new score.
+ *
+ * @param {{status: string, score_a: number, score_b: number}} match
+ * @param {{type: string, team?: string, points?: number, period?: string}} event
+ * @returns {{error: string|null, score_a?: number, score_b?: number, period?: string}}
+ */
+function applyLiveEvent(match, event) {
+  const type = event && event.type;
+  if (!LIVE_EVENT_TYPES.includes(type)) {
+    return { error: `Unknown live event type: ${type}` };
+  }
+
+  if (type === 'start') {
+    if (match.status !== 'scheduled') {
+      return { error: `Cannot start a match with status: ${match.status}` };
+    }
+    return { error: null, score_a: 0, score_b: 0, period: event.period || null };
+  }
+
+  if (match.status !== 'live') {
+    return { error: 'Match is not live' };
+  }
+
+  if (type === 'score') {
+    if (event.team !== 'team_a' && event.team !== 'team_b') {
+      return { error: 'team must be team_a or team_b' };
+    }
+    const points = Number(event.points === undefined ? 1 : event.points);
+    // Negative points correct a mistake; the score itself never drops below zero
+    if (!Number.isInteger(points) || points === 0) {
+      return { error: 'points must be a non-zero whole number' };
+    }
+    const key = event.team === 'team_a' ? 'score_a' : 'score_b';
+    const next = { score_a: match.score_a || 0, score_b: match.score_b || 0 };
+    next[key] += points;
+    if (next[key] < 0) {
+      return { error: 'Score cannot go below zero' };
+    }
+    return { error: null, ...next };
+  }
+
+  if (type === 'period') {
+    const period = typeof event.period === 'string' ? event.period.trim() : '';
+    if (!period) {
+      return { error: 'period is required' };
+    }
+    return { error: null, score_a: match.score_a, score_b: match.score_b, period };
+  }
+
+  return { error: null, score_a: match.score_a, score_b: match.score_b };
+}
+
+/**
+ * Channels a match update is published on.
+ * @param {Object} match
+ * @returns {string[]}
+ */
+function getChannels(match) {
+  return [
+    `match:${idOf(match._id)}`,
+    `team:${idOf(match.team_a)}`,
+    `team:${idOf(match.team_b)}`,
+    match.event_id ? `event:${idOf(match.event_id)}` : null
+  ].filter(Boolean);
+}
+
+/**
+ * Payload sent to subscribers for a match.
+ * @param {Object} match
+ * @param {Object} [lastEvent]
+ */
+function toLivePayload(match, lastEvent) {
+  return {
+    match_id: idOf(match._id),
+    event_id: idOf(match.event_id) || null,
+    team_a: idOf(match.team_a),
+    team_b: idOf(match.team_b),
+    status: match.status,
+    score_a: match.score_a,
+    score_b: match.score_b,
+    live_period: match.live_period || null,
+    last_event: lastEvent || null
+  };
+}
+
+/**
+ * Push a match update to every channel it belongs to.
+ * @param {Object} match
+ * @param {Object} [lastEvent]
+ */
+function publish(match, lastEvent) {
+  const payload = toLivePayload(match, lastEvent);
+  getChannels(match).forEach(channel => hub.emit(channel, payload));
+}
+
+/**
+ * Listen on a set of channels; returns the function that stops listening.
+ * Each payload is delivered once even if it matches several channels.
+ * @param {string[]} channels
+ * @param {Function} listener
+ * @returns {Function}
+ */
+function subscribe(channels, listener) {
+  let lastPayload = null;
+  const handler = payload => {
+    if (payload === lastPayload) return;
+    lastPayload = payload;
+    listener(payload);
+  };
+  channels.forEach(channel => hub.on(channel, handler));
+  return () => channels.forEach(channel => hub.off(channel, handler));
+}
+
+module.exports = {
+  LIVE_EVENT_TYPES,
+  applyLiveEvent,
+  getChannels,
+  toLivePayload,
+  publish,
+  subscribe
+};
@@ -0,0 +1,191 @@
+/**
+ * Multi-sport player profiles
+ *
+ * A player profile holds one entry per sport the player plays, each with its
+ * own position, skill level, experience and stats. Profiles saved before
+ * that had a single sport, position and skill level at the top level; until
+ * scripts/migrate-player-sports.js has run they are read as a profile with
+ * one sport entry.
+ */
+
+const { SKILL_LEVELS } = require('./recruitmentService');
+
+const MAX_SPORTS = 10;
+const MAX_LENGTH = { sport: 50, position: 100 };
+const MAX_YEARS_EXPERIENCE = 80;
+
+const sportKey = sport => String(sport || '').trim().toLowerCase();
+
+/**
+ * @param {string|Array<string>} value - List or comma separated sport names,
+ *   like user.profile.preferred_sports
+ * @returns {string[]} trimmed sport names without duplicates
+ */
+function parseSportList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const sports = [];
+  list.forEach(item => {
+    const sport = String(item || '').trim().slice(0, MAX_LENGTH.sport);
+    if (sport && !sports.some(existing => sportKey(existing) === sportKey(sport))) {
+      sports.push(sport);
+    }
+  });
+  return sports;
+}
+
+/**
+ * Skill levels from before they were a fixed list ("Beginner", "Pro") are
+ * kept only when they match one of the levels.
+ * @param {string} value
+ * @returns {string} a level from SKILL_LEVELS, or ''
+ */
+function normalizeSkillLevel(value) {
+  const skill = sportKey(value);
+  return SKILL_LEVELS.includes(skill) ? skill : '';
+}
+
+/**
+ * The sport entries of a profile, reading a not yet migrated profile as one
+ * entry.
+ * @param {Object|null} profile - Player profile
+ * @returns {Array<Object>}
+ */
+function getSportEntries(profile) {
+  if (!profile) return [];
+  if (profile.sports && profile.sports.length > 0) return profile.sports;
+  if (!profile.sport) return [];
+  return [{
+    sport: profile.sport,
+    position: profile.position || '',
+    skill_level: normalizeSkillLevel(profile.skill_level),
+    years_experience: profile.years_experience || 0,
+    stats: profile.stats || {}
+  }];
+}
+
+/**
+ * @param {Object|null} profile
+ * @param {string} sport
+ * @returns {Object|null} the profile's entry for the sport
+ */
+function findSportEntry(profile, sport) {
+  return getSportEntries(profile).find(entry => sportKey(entry.sport) === sportKey(sport)) || null;
+}
+
+/**
+ * Check the details a player submits for one sport.
+ * @param {Object} input - { sport, position, skill_level, years_experience }
+ * @returns {{error: string|null, entry?: Object}}
+ */
+function validateSportEntry(input = {}) {
+  const sport = String(input.sport || '').trim();
+  if (!sport) {
+    return { error: 'Choose a sport' };
+  }
+  if (sport.length > MAX_LENGTH.sport) {
+    return { error: `Sport names can be at most ${MAX_LENGTH.sport} characters` };
+  }
+
+  const skill = sportKey(input.skill_level);
+  if (skill && !SKILL_LEVELS.includes(skill)) {
+    return { error: `skill_level must be one of: ${SKILL_LEVELS.join(', ')}` };
+  }
+
+  let years = 0;
+  if (input.years_experience !== undefined && input.years_experience !== null && input.years_experience !== '') {
+    years = Number(input.years_experience);
+    if (!Number.isInteger(years) || years < 0 || years > MAX_YEARS_EXPERIENCE) {
+      return { error: `Years of experience must be a whole number between 0 and ${MAX_YEARS_EXPERIENCE}` };
+    }
+  }
+
+  return {
+    error: null,
+    entry: {
+      sport,
+      position: String(input.position || '').trim().slice(0, MAX_LENGTH.position),
+      skill_level: skill,
+      years_experience: years
+    }
+  };
+}
+
+/**
+ * Add a sport to a profile or update the one it has. Stats stay as they are.
+ * @param {Object} profile - Changed in place
+ * @param {Object} entry - Validated entry
+ * @param {Date} [now]
+ * @returns {string|null} error, or null when the entry was saved
+ */
+function upsertSportEntry(profile, entry, now = new Date()) {
+  profile.sports = profile.sports || [];
+  const existing = profile.sports.find(item => sportKey(item.sport) === sportKey(entry.sport));
+  if (existing) {
+    existing.position = entry.position;
+    existing.skill_level = entry.skill_level;
+    existing.years_experience = entry.years_experience;
+    existing.updated_at = now;
+    return null;
+  }
+  if (profile.sports.length >= MAX_SPORTS) {
+    return `A profile can list at most ${MAX_SPORTS} sports`;
+  }
+  profile.sports.push({ ...entry, updated_at: now });
+  return null;
+}
+
+/**
+ * Remove a sport from a profile. Sports with recorded games are kept so
+ * their stats are not lost.
+ * @param {Object} profile - Changed in place
+ * @param {string} sport
+ * @returns {string|null} error, or null when the sport was removed
+ */
+function removeSportEntry(profile, sport) {
+  const index = (profile.sports || []).findIndex(item => sportKey(item.sport) === sportKey(sport));
+  if (index === -1) {
+    return 'Sport not found on your profile';
+  }
+  const stats = profile.sports[index].stats || {};
+  if (stats.games_played > 0) {
+    return `${profile.sports[index].sport} has recorded games and cannot be removed`;
+  }
+  profile.sports.splice(index, 1);
+  return null;
+}
+
+/**
+ * Sport entries for a profile saved before profiles were multi-sport: its
+ * single sport with position, skill level, experience and stats, plus an
+ * empty entry for every other sport in the user's preferred sports.
+ * @param {Object} profile - Lean legacy profile
+ * @param {string|Array<string>} [preferredSports] - user.profile.preferred_sports
+ * @returns {{changed: boolean, sports: Array<Object>}} changed is false for
+ *   profiles that already have sport entries
+ */
+function migrateProfile(profile, preferredSports) {
+  if (profile.sports && profile.sports.length > 0) {
+    return { changed: false, sports: profile.sports };
+  }
+
+  const sports = getSportEntries(profile).map(entry => ({ ...entry }));
+  parseSportList(preferredSports).forEach(sport => {
+    if (!sports.some(entry => sportKey(entry.sport) === sportKey(sport)) && sports.length < MAX_SPORTS) {
+      sports.push({ sport, position: '', skill_level: '', years_experience: 0 });
+    }
+  });
+  return { changed: true, sports };
+}
+
+module.exports = {
+  MAX_SPORTS,
+  sportKey,
+  parseSportList,
+  normalizeSkillLevel,
+  getSportEntries,
+  findSportEntry,
+  validateSportEntry,
+  upsertSportEntry,
+  removeSportEntry,
+  migrateProfile
+};
@@ -0,0 +1,255 @@
+/**
+ * Player statistics
+ *
+ * Per-sport stat sheets for the player stat lines managers submit with a
+ * match result, plus the helpers that validate and total them. Lines are
+ * stored on the match and rolled up into the player profile once the
+ * organizer verifies the result.
+ */
+
+const { oversToBalls } = require('./standingsService');
+
+// Fields recorded per player, by sport. `overs` uses cricket notation (4.3 = 4 overs 3 balls).
+const STAT_SHEETS = {
+  default: [
+    { key: 'points', label: 'Points' }
+  ],
+  football: [
+    { key: 'goals', label: 'Goals' },
+    { key: 'assists', label: 'Assists' },
+    { key: 'yellow_cards', label: 'Yellow Cards', max: 2 },
+    { key: 'red_cards', label: 'Red Cards', max: 1 }
+  ],
+  cricket: [
+    { key: 'runs', label: 'Runs' },
+    { key: 'balls', label: 'Balls Faced' },
+    { key: 'wickets', label: 'Wickets', max: 10 },
+    { key: 'overs', label: 'Overs Bowled', overs: true },
+    { key: 'runs_conceded', label: 'Runs Conceded' }
+  ],
+  basketball: [
+    { key: 'points', label: 'Points' },
+    { key: 'rebounds', label: 'Rebounds' },
+    { key: 'assists', label: 'Assists' }
+  ]
+};
+
+// Stat that counts towards the top scorer award, by sport
+const SCORING_STAT = {
+  default: 'points',
+  football: 'goals',
+  cricket: 'runs',
+  basketball: 'points'
+};
+
+/**
+ * @param {string} sportType
+ * @returns {Array<{key: string, label: string}>} stat sheet for the sport
+ */
+function getStatSheet(sportType) {
+  const key = String(sportType || '').trim().toLowerCase();
+  return STAT_SHEETS[key] || STAT_SHEETS.default;
+}
+
+function ballsToOvers(balls) {
+  return Math.floor(balls / 6) + (balls % 6) / 10;
+}
+
+function isValidOvers(value) {
+  return Number.isFinite(value) && value >= 0 && Math.round((value % 1) * 10) < 6;
+}
+
+function lineStats(line) {
+  return line.stats instanceof Map ? Object.fromEntries(line.stats) : (line.stats || {});
+}
+
+/**
+ * Validate the `player_stats` array of a result submission.
+ *
+ * @param {Array} lines - [{ player_id, team_id, stats: { <key>: number } }]
+ * @param {string} sportType
+ * @param {Object<string, string[]>} rosters - team id -> ids of players who may appear for it
+ * @returns {{ lines: Array, error: string|null }}
+ */
+function parsePlayerStats(lines, sportType, rosters) {
+  if (lines === undefined || lines === null) return { lines: [], error: null };
+  if (!Array.isArray(lines)) return { lines: [], error: 'player_stats must be an array' };
+
+  const sheet = getStatSheet(sportType);
+  const seen = new Set();
+  const parsed = [];
+
+  for (const line of lines) {
+    const playerId = line && line.player_id ? String(line.player_id) : '';
+    const teamId = line && line.team_id ? String(line.team_id) : '';
+
+    if (!rosters[teamId]) {
+      return { lines: [], error: 'Each stat line must belong to one of the teams in this match' };
+    }
+    if (!rosters[teamId].includes(playerId)) {
+      return { lines: [], error: `Player ${playerId || '(missing)'} is not on the team's roster` };
+    }
+    if (seen.has(playerId)) {
+      return { lines: [], error: 'Each player can only have one stat line per match' };
+    }
+    seen.add(playerId);
+
+    const stats = {};
+    for (const field of sheet) {
+      const raw = line.stats ? line.stats[field.key] : undefined;
+      if (raw === undefined || raw === null || raw === '') continue;
+
+      const value = Number(raw);
+      const valid = field.overs
+        ? isValidOvers(value)
+        : Number.isInteger(value) && value >= 0 && (field.max === undefined || value <= field.max);
+      if (!valid) {
+        return { lines: [], error: `Invalid ${field.label.toLowerCase()} for player ${playerId}` };
+      }
+      stats[field.key] = value;
+    }
+
+    parsed.push({ player_id: playerId, team_id: teamId, stats });
+  }
+
+  return { lines: parsed, error: null };
+}
+
+/**
+ * Total a set of stat lines for one sport. Overs are added ball by ball.
+ *
+ * @param {Array} lines - stat lines ({ stats } with a plain object or Map)
+ * @param {string} sportType
+ * @returns {Object<string, number>}
+ */
+function sumStatLines(lines, sportType) {
+  const sheet = getStatSheet(sportType);
+  const totals = {};
+  sheet.forEach(field => { totals[field.key] = 0; });
+
+  lines.forEach(line => {
+    const stats = lineStats(line);
+    sheet.forEach(field => {
+      const value = Number(stats[field.key]) || 0;
+      totals[field.key] += field.overs ? oversToBalls(value) : value;
+    });
+  });
+
+  sheet.filter(field => field.overs).forEach(field => {
+    totals[field.key] = ballsToOvers(totals[field.key]);
+  });
+
+  return totals;
+}
+
+/**
+ * `$inc` update for a player profile from one stat line. Overs bowled are
+ * kept as balls so they can be added safely.
+ *
+ * @param {Object} stats - one line's stats
+ * @param {string} [prefix] - path of the stats object in the profile
+ * @returns {Object} dotted-path increments under `<prefix>.`
+ */
+function toProfileIncrements(stats, prefix = 'stats') {
+  const inc = { [`${prefix}.games_played`]: 1 };
+  Object.entries(stats || {}).forEach(([key, value]) => {
+    const field = `${prefix}.${key === 'overs' ? 'balls_bowled' : key}`;
+    inc[field] = (inc[field] || 0) + (key === 'overs' ? oversToBalls(value) : value);
+  });
+  return inc;
+}
+
+function rankTotals(totals, limit) {
+  return [...totals.values()]
+    .filter(entry => entry.value > 0)
+    .sort((a, b) => b.value - a.value || a.matches - b.matches)
+    .slice(0, limit);
+}
+
+/**
+ * Individual award tables for an event, from its verified matches.
+ * Only the awards that apply to the sport are returned.
+ *
+ * @param {Array} matches - verified matches with player_stats and mvp_votes
+ * @param {string} sportType
+ * @param {{limit?: number}} [options]
+ * @returns {Array<{key: string, title: string, stat: string, entries: Array}>}
+ *   entries: { player_id, team_id, value, matches } (best bowling adds wickets/runs_conceded/figures/match_id)
+ */
+function computeAwards(matches, sportType, options = {}) {
+  const limit = options.limit || 10;
+  const sheetKeys = getStatSheet(sportType).map(field => field.key);
+  const scoringStat = SCORING_STAT[String(sportType || '').trim().toLowerCase()] || SCORING_STAT.default;
+
+  const totalsFor = key => {
+    const totals = new Map();
+    matches.forEach(match => {
+      (match.player_stats || []).forEach(line => {
+        const value = Number(lineStats(line)[key]) || 0;
+        const id = String(line.player_id);
+        const entry = totals.get(id) || { player_id: id, team_id: String(line.team_id), value: 0, matches: 0 };
+        entry.value += value;
+        entry.matches += 1;
+        totals.set(id, entry);
+      });
+    });
+    return rankTotals(totals, limit);
+  };
+
+  const awards = [
+    { key: 'top_scorer', title: 'Top Scorer', stat: scoringStat, entries: totalsFor(scoringStat) }
+  ];
+
+  if (sheetKeys.includes('assists')) {
+    awards.push({ key: 'most_assists', title: 'Most Assists', stat: 'assists', entries: totalsFor('assists') });
+  }
+
+  if (sheetKeys.includes('wickets')) {
+    awards.push({ key: 'most_wickets', title: 'Most Wickets', stat: 'wickets', entries: totalsFor('wickets') });
+
+    // Best figures in a single match: most wickets, then fewest runs conceded
+    const spells = [];
+    matches.forEach(match => {
+      (match.player_stats || []).forEach(line => {
+        const stats = lineStats(line);
+        const wickets = Number(stats.wickets) || 0;
+        if (wickets === 0) return;
+        const runsConceded = Number(stats.runs_conceded) || 0;
+        spells.push({
+          player_id: String(line.player_id),
+          team_id: String(line.team_id),
+          match_id: match._id ? String(match._id) : null,
+          wickets,
+          runs_conceded: runsConceded,
+          value: wickets,
+          figures: `${wickets}/${runsConceded}`
+        });
+      });
+    });
+    spells.sort((a, b) => b.wickets - a.wickets || a.runs_conceded - b.runs_conceded);
+    awards.push({ key: 'best_bowling', title: 'Best Bowling', stat: 'figures', entries: spells.slice(0, limit) });
+  }
+
+  const votes = new Map();
+  matches.forEach(match => {
+    (match.mvp_votes || []).forEach(vote => {
+      const id = String(vote.player_id);
+      const entry = votes.get(id) || { player_id: id, team_id: String(vote.player_team_id), value: 0, matches: 0 };
+      entry.value += 1;
+      votes.set(id, entry);
+    });
+  });
+  awards.push({ key: 'mvp', title: 'MVP Votes', stat: 'votes', entries: rankTotals(votes, limit) });
+
+  return awards;
+}
+
+module.exports = {
+  STAT_SHEETS,
+  getStatSheet,
+  ballsToOvers,
+  parsePlayerStats,
+  sumStatLines,
+  toProfileIncrements,
+  computeAwards
+};
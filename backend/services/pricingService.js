@@ -0,0 +1,278 @@
+/**
+ * Entry fee pricing
+ *
+ * An event's entry fee can change over time through price tiers (for
+ * example early-bird until one date, regular until another, then late).
+ * Each tier applies until its ends_at; the tier without an end date, or the
+ * last one once every tier has ended, applies until registration closes.
+ * Events without tiers charge entry_fee.
+ *
+ * On top of the tier price a team can get:
+ *   - the event's returning-team discount, a percentage for teams that
+ *     played one of the organizer's earlier events
+ *   - one promo code issued by the organizer, either a percentage or a
+ *     fixed amount off, with an optional usage limit and expiry
+ *
+ * The platform's commission is taken from the discounted amount.
+ */
+
+const MAX_TIERS = 5;
+const MAX_PROMO_CODES = 50;
+const CODE_PATTERN = /^[A-Z0-9_-]{3,20}$/;
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+
+const normalizeCode = code => String(code || '').trim().toUpperCase();
+
+function toDateOrNull(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Tiers in the order they apply: by end date, open-ended tier last.
+ * @param {Array} tiers
+ * @returns {Array}
+ */
+function sortTiers(tiers = []) {
+  return [...tiers].sort((a, b) => {
+    if (!a.ends_at) return 1;
+    if (!b.ends_at) return -1;
+    return new Date(a.ends_at) - new Date(b.ends_at);
+  });
+}
+
+/**
+ * Check the price tiers an organizer sets on an event.
+ * @param {Array} input - [{ name, price, ends_at }]; an empty list removes tiers
+ * @returns {{error: string|null, tiers?: Array}}
+ */
+function validatePriceTiers(input) {
+  if (!Array.isArray(input)) {
+    return { error: 'price_tiers must be a list' };
+  }
+  if (input.length > MAX_TIERS) {
+    return { error: `An event can have at most ${MAX_TIERS} price tiers` };
+  }
+
+  const tiers = [];
+  for (const tier of input) {
+    const name = String((tier && tier.name) || '').trim();
+    const price = Number(tier && tier.price);
+    const endsAt = toDateOrNull(tier && tier.ends_at);
+    if (!name || name.length > 40) {
+      return { error: 'Each price tier needs a name of up to 40 characters' };
+    }
+    if (!Number.isFinite(price) || price < 0) {
+      return { error: `The price for "${name}" must be zero or more` };
+    }
+    if (endsAt === undefined) {
+      return { error: `The end date for "${name}" is not a valid date` };
+    }
+    tiers.push({ name, price, ends_at: endsAt });
+  }
+
+  if (tiers.filter(tier => !tier.ends_at).length > 1) {
+    return { error: 'Only one price tier can be left without an end date' };
+  }
+  const endTimes = tiers.filter(tier => tier.ends_at).map(tier => tier.ends_at.getTime());
+  if (new Set(endTimes).size !== endTimes.length) {
+    return { error: 'Two price tiers cannot end at the same time' };
+  }
+  return { error: null, tiers: sortTiers(tiers) };
+}
+
+/**
+ * @param {*} value
+ * @returns {{error: string|null, percent?: number}} a returning-team discount
+ */
+function validateReturningDiscount(value) {
+  const percent = value === undefined || value === null || value === '' ? 0 : Number(value);
+  if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+    return { error: 'Returning team discount must be between 0 and 100 percent' };
+  }
+  return { error: null, percent };
+}
+
+/**
+ * The tier whose price applies now.
+ * @param {Object} event
+ * @param {Date} [now]
+ * @returns {{name: string, price: number, ends_at: Date|null}}
+ */
+function currentTier(event, now = new Date()) {
+  const tiers = sortTiers(event.price_tiers || []);
+  if (tiers.length === 0) {
+    return { name: 'Standard', price: event.entry_fee || 0, ends_at: null };
+  }
+  const tier = tiers.find(t => !t.ends_at || now < new Date(t.ends_at)) || tiers[tiers.length - 1];
+  return { name: tier.name, price: tier.price, ends_at: tier.ends_at || null };
+}
+
+/**
+ * @param {Object} event
+ * @param {string} code
+ * @returns {Object|undefined} the event's promo code, matched case-insensitively
+ */
+function findPromoCode(event, code) {
+  const wanted = normalizeCode(code);
+  return (event.promo_codes || []).find(promo => promo.code === wanted);
+}
+
+/**
+ * @param {Object} promo
+ * @param {Date} [now]
+ * @returns {string} 'active', 'disabled', 'expired' or 'used_up'
+ */
+function promoCodeStatus(promo, now = new Date()) {
+  if (promo.active === false) return 'disabled';
+  if (promo.expires_at && new Date(promo.expires_at) <= now) return 'expired';
+  if (promo.max_uses && (promo.uses || 0) >= promo.max_uses) return 'used_up';
+  return 'active';
+}
+
+/**
+ * Check a promo code an organizer creates.
+ * @param {Object} input - { code, discount_type, discount_value, max_uses, expires_at }
+ * @param {Array} existing - The event's current promo codes
+ * @param {Date} [now]
+ * @returns {{error: string|null, promo?: Object}}
+ */
+function validatePromoCode(input = {}, existing = [], now = new Date()) {
+  const code = normalizeCode(input.code);
+  if (!CODE_PATTERN.test(code)) {
+    return { error: 'Promo codes are 3 to 20 letters, numbers, dashes or underscores' };
+  }
+  if (existing.some(promo => promo.code === code)) {
+    return { error: 'This event already has that promo code' };
+  }
+  if (existing.length >= MAX_PROMO_CODES) {
+    return { error: `An event can have at most ${MAX_PROMO_CODES} promo codes` };
+  }
+
+  const discountType = input.discount_type || 'percent';
+  if (!DISCOUNT_TYPES.includes(discountType)) {
+    return { error: 'Discount type must be percent or fixed' };
+  }
+  const discountValue = Number(input.discount_value);
+  if (!Number.isFinite(discountValue) || discountValue <= 0 || (discountType === 'percent' && discountValue > 100)) {
+    return { error: discountType === 'percent' ? 'Percent discounts must be between 1 and 100' : 'Fixed discounts must be more than zero' };
+  }
+
+  let maxUses = null;
+  if (input.max_uses !== undefined && input.max_uses !== null && input.max_uses !== '') {
+    maxUses = Number(input.max_uses);
+    if (!Number.isInteger(maxUses) || maxUses < 1) {
+      return { error: 'Usage limit must be a whole number of at least 1' };
+    }
+  }
+
+  const expiresAt = toDateOrNull(input.expires_at);
+  if (expiresAt === undefined) {
+    return { error: 'Expiry is not a valid date' };
+  }
+  if (expiresAt && expiresAt <= now) {
+    return { error: 'Expiry must be in the future' };
+  }
+
+  return {
+    error: null,
+    promo: { code, discount_type: discountType, discount_value: discountValue, max_uses: maxUses, expires_at: expiresAt }
+  };
+}
+
+/**
+ * What a team pays to enter the event right now.
+ * @param {Object} event
+ * @param {Object} [options] - { promoCode, returning, now }
+ * @returns {{error: string|null, amount?: number, list_price?: number, price_tier?: string,
+ *   returning_discount?: number, promo_discount?: number, discount?: number, promo_code?: string|null}}
+ */
+function quotePrice(event, { promoCode, returning = false, now = new Date() } = {}) {
+  const tier = currentTier(event, now);
+  const listPrice = tier.price;
+
+  const returningPercent = returning ? (event.returning_team_discount || 0) : 0;
+  const returningDiscount = Math.round((listPrice * returningPercent) / 100);
+  let amount = listPrice - returningDiscount;
+
+  let promoDiscount = 0;
+  let code = null;
+  if (promoCode) {
+    const promo = findPromoCode(event, promoCode);
+    if (!promo) {
+      return { error: 'This promo code does not exist for this event' };
+    }
+    const status = promoCodeStatus(promo, now);
+    if (status !== 'active') {
+      return {
+        error: {
+          disabled: 'This promo code is no longer available',
+          expired: 'This promo code has expired',
+          used_up: 'This promo code has reached its usage limit'
+        }[status]
+      };
+    }
+    promoDiscount = promo.discount_type === 'fixed'
+      ? Math.min(promo.discount_value, amount)
+      : Math.round((amount * promo.discount_value) / 100);
+    amount -= promoDiscount;
+    code = promo.code;
+  }
+
+  return {
+    error: null,
+    amount,
+    list_price: listPrice,
+    price_tier: tier.name,
+    returning_discount: returningDiscount,
+    promo_discount: promoDiscount,
+    discount: returningDiscount + promoDiscount,
+    promo_code: code
+  };
+}
+
+/**
+ * Redemptions of each of the event's promo codes, from the registrations
+ * that used them.
+ * @param {Object} event
+ * @param {Date} [now]
+ * @returns {Array<Object>}
+ */
+function redemptionStats(event, now = new Date()) {
+  return (event.promo_codes || []).map(promo => {
+    const redemptions = (event.team_registrations || [])
+      .filter(reg => reg.payment && reg.payment.promo_code === promo.code);
+    const discountGiven = redemptions.reduce((sum, reg) => sum + (reg.payment.promo_discount || 0), 0);
+    const revenue = redemptions.reduce((sum, reg) =>
+      sum + (reg.payment.amount || 0) - (reg.payment.refunded_amount || 0), 0);
+
+    return {
+      code: promo.code,
+      discount_type: promo.discount_type,
+      discount_value: promo.discount_value,
+      max_uses: promo.max_uses || null,
+      uses: promo.uses || 0,
+      remaining: promo.max_uses ? Math.max(0, promo.max_uses - (promo.uses || 0)) : null,
+      expires_at: promo.expires_at || null,
+      status: promoCodeStatus(promo, now),
+      registrations: redemptions.length,
+      discount_given: discountGiven,
+      revenue
+    };
+  });
+}
+
+module.exports = {
+  MAX_TIERS,
+  normalizeCode,
+  sortTiers,
+  validatePriceTiers,
+  validateReturningDiscount,
+  currentTier,
+  findPromoCode,
+  promoCodeStatus,
+  validatePromoCode,
+  quotePrice,
+  redemptionStats
+};
@@ -0,0 +1,205 @@
+/**
+ * Public player profiles
+ *
+ * Premium players pick a custom URL slug and are served at /p/:slug. Old
+ * slugs keep redirecting to the current one, so a slug stays taken by its
+ * player after a change. Visibility decides who can see the page:
+ *
+ *   public  - anyone, signed in or not
+ *   premium - signed-in members with an active premium profile
+ *   private - only the player
+ *
+ * Link previews read the Open Graph tags of a small HTML page served to
+ * clients that ask for HTML; the React page reads the same data as JSON.
+ */
+
+const VISIBILITY = ['public', 'premium', 'private'];
+const SLUG_LENGTH = { min: 3, max: 30 };
+const MAX_PREVIOUS_SLUGS = 5;
+const MAX_ACHIEVEMENTS = 20;
+const MAX_VIDEOS = 10;
+const MAX_LENGTH = { achievement: 200, video: 500, description: 200 };
+
+// Slugs that would read as part of the site rather than a player
+const RESERVED_SLUGS = [
+  'admin', 'api', 'auth', 'login', 'logout', 'signup', 'player', 'players', 'manager', 'organizer',
+  'coordinator', 'moderator', 'shop', 'settings', 'profile', 'help', 'about', 'contact', 'sportsamigo'
+];
+
+/**
+ * @param {string} value
+ * @returns {string} lower-case slug with runs of other characters turned into single hyphens
+ */
+function normalizeSlug(value) {
+  return String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * @param {string} value - Slug as the player typed it
+ * @returns {{error: string|null, slug?: string}}
+ */
+function validateSlug(value) {
+  const slug = normalizeSlug(value);
+  if (slug.length < SLUG_LENGTH.min || slug.length > SLUG_LENGTH.max) {
+    return { error: `Profile URLs must be ${SLUG_LENGTH.min} to ${SLUG_LENGTH.max} letters, numbers or hyphens` };
+  }
+  if (RESERVED_SLUGS.includes(slug)) {
+    return { error: 'That profile URL is reserved' };
+  }
+  return { error: null, slug };
+}
+
+/**
+ * Slugs that should redirect to the player's current one after a change.
+ * @param {string[]} previous - Earlier slugs, newest first
+ * @param {string|null} current - Slug being replaced
+ * @param {string} next - New slug
+ * @returns {string[]}
+ */
+function rotateSlugs(previous, current, next) {
+  const slugs = [current, ...(previous || [])].filter(slug => slug && slug !== next);
+  return [...new Set(slugs)].slice(0, MAX_PREVIOUS_SLUGS);
+}
+
+/**
+ * @param {Object} user - User with premiumProfile
+ * @param {Date} [now]
+ * @returns {boolean} whether the premium profile is active and not expired
+ */
+function hasActivePremium(user, now = new Date()) {
+  const premium = user && user.premiumProfile;
+  if (!premium || !premium.isActive) return false;
+  return !premium.expiresAt || new Date(premium.expiresAt) > now;
+}
+
+/**
+ * @param {Object} owner - Profile owner
+ * @param {Object|null} viewer - Signed-in user, or null
+ * @returns {boolean} whether the viewer may see the owner's public profile
+ */
+function canViewProfile(owner, viewer) {
+  if (viewer && owner._id.toString() === viewer._id.toString()) return true;
+  const visibility = (owner.premiumProfile && owner.premiumProfile.visibility) || 'public';
+  if (visibility === 'private') return false;
+  if (visibility === 'premium') return hasActivePremium(viewer);
+  return true;
+}
+
+function parseList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split('\n');
+  return list.map(item => String(item || '').trim()).filter(Boolean);
+}
+
+/**
+ * Check the visibility and portfolio a player submits for their public profile.
+ * @param {Object} input - { visibility, achievements, videos }
+ * @returns {{error: string|null, settings?: Object}}
+ */
+function validateSettings(input = {}) {
+  const visibility = input.visibility || 'public';
+  if (!VISIBILITY.includes(visibility)) {
+    return { error: `visibility must be one of: ${VISIBILITY.join(', ')}` };
+  }
+
+  const achievements = parseList(input.achievements);
+  if (achievements.length > MAX_ACHIEVEMENTS) {
+    return { error: `You can list at most ${MAX_ACHIEVEMENTS} achievements` };
+  }
+  if (achievements.some(item => item.length > MAX_LENGTH.achievement)) {
+    return { error: `Achievements can be at most ${MAX_LENGTH.achievement} characters` };
+  }
+
+  const videos = parseList(input.videos);
+  if (videos.length > MAX_VIDEOS) {
+    return { error: `You can add at most ${MAX_VIDEOS} video highlights` };
+  }
+  for (const video of videos) {
+    let url;
+    try {
+      url = new URL(video);
+    } catch (err) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol) || video.length > MAX_LENGTH.video) {
+      return { error: `Video highlights must be http or https links: ${video.slice(0, 50)}` };
+    }
+  }
+
+  return { error: null, settings: { visibility, achievements, videos } };
+}
+
+/**
+ * Open Graph tags for a public profile.
+ * @param {Object} profile - Public profile
+ * @param {string} url - Address of the page
+ * @param {string|null} image - Absolute image URL
+ * @returns {Object<string, string>} tag name to content
+ */
+function openGraph(profile, url, image) {
+  const name = `${profile.first_name} ${profile.last_name}`.trim();
+  const sports = profile.sports.map(entry => entry.sport).join(', ');
+  const description = (profile.bio || (sports ? `${name} plays ${sports} on SportsAmigo` : `${name} on SportsAmigo`))
+    .slice(0, MAX_LENGTH.description);
+
+  const tags = {
+    'og:type': 'profile',
+    'og:title': `${name} | SportsAmigo`,
+    'og:description': description,
+    'og:url': url,
+    'profile:first_name': profile.first_name,
+    'profile:last_name': profile.last_name,
+    'twitter:card': image ? 'summary_large_image' : 'summary'
+  };
+  if (image) tags['og:image'] = image;
+  return tags;
+}
+
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * A page with the Open Graph tags for link previews that sends browsers on
+ * to the React page.
+ * @param {Object<string, string>} tags - From openGraph
+ * @param {string} appUrl - Address of the React page
+ * @returns {string} HTML
+ */
+function renderShareHtml(tags, appUrl) {
+  const meta = Object.entries(tags)
+    .map(([key, content]) => `<meta ${key.startsWith('og:') || key.startsWith('profile:') ? 'property' : 'name'}="${escapeHtml(key)}" content="${escapeHtml(content)}">`)
+    .join('\n    ');
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(tags['og:title'])}</title>
+    <meta name="description" content="${escapeHtml(tags['og:description'])}">
+    ${meta}
+    <link rel="canonical" href="${escapeHtml(appUrl)}">
+    <meta http-equiv="refresh" content="0; url=${escapeHtml(appUrl)}">
+  </head>
+  <body>
+    <p><a href="${escapeHtml(appUrl)}">${escapeHtml(tags['og:title'])}</a></p>
+  </body>
+</html>`;
+}
+
+module.exports = {
+  VISIBILITY,
+  normalizeSlug,
+  validateSlug,
+  rotateSlugs,
+  hasActivePremium,
+  canViewProfile,
+  validateSettings,
+  openGraph,
+  renderShareHtml
+};
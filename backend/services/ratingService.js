@@ -0,0 +1,215 @@
+/**
+ * Team ratings
+ *
+ * Every team carries an Elo rating per sport, starting at 1500. A verified
+ * competitive result moves both teams by the gap between the expected and
+ * the actual result, so beating a stronger team gains more than beating a
+ * weaker one. New teams move faster for their first matches so they settle
+ * quickly. Friendlies are not rated because only one side reports them.
+ *
+ * Ratings seed knockout brackets and groups, and team browse and search can
+ * filter and sort by them.
+ */
+
+const DEFAULT_RATING = 1500;
+const K_FACTOR = 32;
+const PROVISIONAL_K_FACTOR = 48;
+const PROVISIONAL_MATCHES = 10;
+const MAX_RATING_FILTER = 4000;
+
+/**
+ * @param {string} sport
+ * @returns {string} key ratings are stored under
+ */
+function normalizeSport(sport) {
+  return String(sport || '').trim().toLowerCase();
+}
+
+/**
+ * @param {number} rating
+ * @param {number} opponentRating
+ * @returns {number} expected score between 0 and 1
+ */
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+/**
+ * @param {number} matchesRated - Rated matches the team has played in the sport
+ * @returns {number}
+ */
+function kFactor(matchesRated) {
+  return matchesRated < PROVISIONAL_MATCHES ? PROVISIONAL_K_FACTOR : K_FACTOR;
+}
+
+function ratingEntry(team, sport) {
+  const key = normalizeSport(sport);
+  return ((team && team.ratings) || []).find(entry => entry.sport === key) || null;
+}
+
+/**
+ * @param {Object} team - Team with ratings
+ * @param {string} [sport] - Defaults to the team's sport
+ * @returns {number}
+ */
+function getRating(team, sport = team && team.sport_type) {
+  const entry = ratingEntry(team, sport);
+  return entry ? entry.rating : DEFAULT_RATING;
+}
+
+/**
+ * Verified event matches between two teams are rated once; friendlies are not.
+ * @param {Object} match
+ * @returns {boolean}
+ */
+function isRatedMatch(match) {
+  return Boolean(match && match.status === 'verified' && match.match_type !== 'friendly' &&
+    match.team_a && match.team_b && !match.rating_applied);
+}
+
+function recordRating(team, sport, change, details, now) {
+  let entry = ratingEntry(team, sport);
+  if (!entry) {
+    team.ratings = team.ratings || [];
+    team.ratings.push({ sport, rating: DEFAULT_RATING, matches: 0, updated_at: now });
+    entry = team.ratings[team.ratings.length - 1];
+  }
+
+  const before = entry.rating;
+  entry.rating = before + change;
+  entry.matches += 1;
+  entry.updated_at = now;
+  if (normalizeSport(team.sport_type) === sport) {
+    team.rating = entry.rating;
+  }
+
+  team.rating_history = team.rating_history || [];
+  team.rating_history.push({
+    sport,
+    match_id: details.matchId,
+    opponent_id: details.opponentId,
+    result: details.result,
+    rating_before: before,
+    rating_after: entry.rating,
+    change,
+    recorded_at: now
+  });
+  return { before, after: entry.rating, change };
+}
+
+/**
+ * Rate a verified match: updates both teams' rating for the sport and adds
+ * a history entry to each.
+ * @param {Object} teamA - Changed in place
+ * @param {Object} teamB - Changed in place
+ * @param {Object} match - With score_a and score_b
+ * @param {Date} [now]
+ * @returns {{team_a: {before: number, after: number, change: number}, team_b: Object}}
+ */
+function applyMatchRatings(teamA, teamB, match, now = new Date()) {
+  const sport = normalizeSport(teamA.sport_type);
+  const ratingA = getRating(teamA, sport);
+  const ratingB = getRating(teamB, sport);
+  const entryA = ratingEntry(teamA, sport);
+  const entryB = ratingEntry(teamB, sport);
+
+  let scoreA = 0.5;
+  if (match.score_a > match.score_b) scoreA = 1;
+  else if (match.score_a < match.score_b) scoreA = 0;
+  const results = { 1: ['win', 'loss'], 0: ['loss', 'win'], 0.5: ['draw', 'draw'] }[scoreA];
+
+  const changeA = Math.round(kFactor(entryA ? entryA.matches : 0) * (scoreA - expectedScore(ratingA, ratingB)));
+  const changeB = Math.round(kFactor(entryB ? entryB.matches : 0) * ((1 - scoreA) - expectedScore(ratingB, ratingA)));
+
+  return {
+    team_a: recordRating(teamA, sport, changeA, { matchId: match._id, opponentId: teamB._id, result: results[0] }, now),
+    team_b: recordRating(teamB, sport, changeB, { matchId: match._id, opponentId: teamA._id, result: results[1] }, now)
+  };
+}
+
+/**
+ * Read rating filters and sort from a browse or search query.
+ * @param {{min_rating?: *, max_rating?: *, sort?: string}} query
+ * @returns {{error: string|null, min?: number|null, max?: number|null, sortByRating?: boolean}}
+ */
+function parseRatingFilter(query = {}) {
+  const bounds = {};
+  for (const [key, label] of [['min_rating', 'Minimum'], ['max_rating', 'Maximum']]) {
+    const raw = query[key];
+    if (raw === undefined || raw === null || raw === '') {
+      bounds[key] = null;
+      continue;
+    }
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < 0 || value > MAX_RATING_FILTER) {
+      return { error: `${label} rating must be a number between 0 and ${MAX_RATING_FILTER}` };
+    }
+    bounds[key] = value;
+  }
+  if (bounds.min_rating !== null && bounds.max_rating !== null && bounds.min_rating > bounds.max_rating) {
+    return { error: 'Minimum rating cannot be higher than the maximum' };
+  }
+  return {
+    error: null,
+    min: bounds.min_rating,
+    max: bounds.max_rating,
+    sortByRating: query.sort === 'rating'
+  };
+}
+
+/**
+ * @param {Object} team
+ * @param {{min: number|null, max: number|null}} filter
+ * @returns {boolean}
+ */
+function inRatingRange(team, filter) {
+  const rating = team.rating !== undefined && team.rating !== null ? team.rating : DEFAULT_RATING;
+  return (filter.min === null || rating >= filter.min) && (filter.max === null || rating <= filter.max);
+}
+
+/**
+ * Mongo condition for a rating filter. Teams saved before ratings existed
+ * have no stored rating and count as the default.
+ * @param {{min: number|null, max: number|null}} filter
+ * @returns {Object|null} null when the filter is open on both ends
+ */
+function ratingQuery(filter) {
+  if (filter.min === null && filter.max === null) return null;
+  const range = {};
+  if (filter.min !== null) range.$gte = filter.min;
+  if (filter.max !== null) range.$lte = filter.max;
+  return inRatingRange({ rating: DEFAULT_RATING }, filter)
+    ? { $or: [{ rating: range }, { rating: null }] }
+    : { rating: range };
+}
+
+/**
+ * A team's recent rating changes in its sport, newest first.
+ * @param {Object} team - Lean team
+ * @param {number} [limit]
+ * @returns {Array<Object>}
+ */
+function recentHistory(team, limit = 20) {
+  const sport = normalizeSport(team.sport_type);
+  return (team.rating_history || [])
+    .filter(entry => entry.sport === sport)
+    .slice(-limit)
+    .reverse();
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  K_FACTOR,
+  PROVISIONAL_K_FACTOR,
+  PROVISIONAL_MATCHES,
+  normalizeSport,
+  expectedScore,
+  kFactor,
+  getRating,
+  isRatedMatch,
+  applyMatchRatings,
+  parseRatingFilter,
+  inRatingRange,
+  ratingQuery,
+  recentHistory
+};
@@ -0,0 +1,237 @@
+/**
+ * Recruitment
+ *
+ * Managers post what their team is looking for: positions, skill level, area
+ * and when the team plays. Players list themselves as free agents from their
+ * player profile with the same details. Each side gets a ranked list of the
+ * other. The sport has to match, and position, skill level, area and
+ * schedule add to the score. Acting on a match goes through the usual flows:
+ * an invitation from the manager or a join request from the player.
+ */
+
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'competitive'];
+const MAX_POSITIONS = 10;
+const MAX_OPEN_POSTINGS = 5;
+const MAX_LENGTH = { position: 40, sport: 50, area: 100, schedule: 200, note: 500, description: 1000 };
+
+// Points out of 100 for each part of a match
+const WEIGHTS = { position: 40, skill: 30, area: 20, schedule: 10 };
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const TIMES = ['morning', 'afternoon', 'evening', 'night'];
+
+const clean = (value, max) => String(value || '').trim().slice(0, max);
+const normalize = value => String(value || '').trim().toLowerCase();
+
+/**
+ * @param {string|Array<string>} value - List or comma separated positions
+ * @returns {string[]} trimmed positions without duplicates
+ */
+function parsePositions(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[,/]/);
+  const positions = [];
+  list.forEach(item => {
+    const position = clean(item, MAX_LENGTH.position);
+    if (position && !positions.some(existing => normalize(existing) === normalize(position))) {
+      positions.push(position);
+    }
+  });
+  return positions;
+}
+
+function parseSkillLevel(value) {
+  const skill = normalize(value);
+  if (skill && !SKILL_LEVELS.includes(skill)) {
+    return { error: `skill_level must be one of: ${SKILL_LEVELS.join(', ')}` };
+  }
+  return { error: null, skill };
+}
+
+/**
+ * Check a recruitment posting a manager submits.
+ * @param {Object} input
+ * @returns {{error: string|null, posting?: Object}}
+ */
+function validatePosting(input = {}) {
+  const positions = parsePositions(input.positions);
+  if (positions.length > MAX_POSITIONS) {
+    return { error: `A posting can list at most ${MAX_POSITIONS} positions` };
+  }
+  const skill = parseSkillLevel(input.skill_level);
+  if (skill.error) return { error: skill.error };
+
+  const posting = {
+    positions,
+    skill_level: skill.skill,
+    area: clean(input.area, MAX_LENGTH.area),
+    schedule: clean(input.schedule, MAX_LENGTH.schedule),
+    description: clean(input.description, MAX_LENGTH.description)
+  };
+  if (!posting.positions.length && !posting.description) {
+    return { error: 'Add the positions you need or describe who you are looking for' };
+  }
+  return { error: null, posting };
+}
+
+/**
+ * Check the free-agent details a player submits. Sport, position and skill
+ * level are kept on the player profile; the rest on its free_agent listing.
+ * @param {Object} input
+ * @returns {{error: string|null, profile?: Object, freeAgent?: Object}}
+ */
+function validateFreeAgent(input = {}) {
+  const sport = clean(input.sport, MAX_LENGTH.sport);
+  if (!sport) {
+    return { error: 'Choose the sport you want to play' };
+  }
+  const skill = parseSkillLevel(input.skill_level);
+  if (skill.error) return { error: skill.error };
+
+  return {
+    error: null,
+    profile: {
+      sport,
+      position: parsePositions(input.position).join(', '),
+      skill_level: skill.skill
+    },
+    freeAgent: {
+      listed: input.listed === true || input.listed === 'true',
+      area: clean(input.area, MAX_LENGTH.area),
+      schedule: clean(input.schedule, MAX_LENGTH.schedule),
+      note: clean(input.note, MAX_LENGTH.note)
+    }
+  };
+}
+
+/**
+ * @param {string} sport
+ * @returns {RegExp} case-insensitive exact match for sport fields
+ */
+function sportQuery(sport) {
+  return new RegExp(`^${String(sport || '').trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+}
+
+function scheduleTerms(text) {
+  const days = new Set();
+  const times = new Set();
+  (normalize(text).match(/[a-z]+/g) || []).forEach(raw => {
+    const word = raw.replace(/s$/, '');
+    if (word === 'weekday') DAYS.slice(0, 5).forEach(day => days.add(day));
+    else if (word === 'weekend') DAYS.slice(5).forEach(day => days.add(day));
+    else if (word === 'tonight') times.add('night');
+    else if (word.length >= 3 && DAYS.some(day => day.startsWith(word))) days.add(DAYS.find(day => day.startsWith(word)));
+    else if (TIMES.includes(word)) times.add(word);
+  });
+  return { days, times };
+}
+
+const overlaps = (a, b) => [...a].some(value => b.has(value));
+
+function scheduleFits(a, b) {
+  const first = scheduleTerms(a);
+  const second = scheduleTerms(b);
+  const comparable = (first.days.size && second.days.size) || (first.times.size && second.times.size);
+  if (!comparable) return false;
+  const daysFit = !first.days.size || !second.days.size || overlaps(first.days, second.days);
+  const timesFit = !first.times.size || !second.times.size || overlaps(first.times, second.times);
+  return daysFit && timesFit;
+}
+
+function areaFits(a, b) {
+  const first = normalize(a);
+  const second = normalize(b);
+  if (!first || !second) return 0;
+  if (first.includes(second) || second.includes(first)) return 1;
+  const words = new Set(first.split(/[^a-z0-9]+/).filter(word => word.length > 2));
+  return second.split(/[^a-z0-9]+/).some(word => words.has(word)) ? 0.5 : 0;
+}
+
+/**
+ * Score how well a free agent fits a posting.
+ * @param {{sport: string, positions: string[], skill_level: string, area: string, schedule: string}} posting
+ * @param {{sport: string, position: string, skill_level: string, area: string, schedule: string}} agent
+ * @returns {{score: number, reasons: string[]}|null} null when the sports differ
+ */
+function matchScore(posting, agent) {
+  if (!normalize(posting.sport) || normalize(posting.sport) !== normalize(agent.sport)) {
+    return null;
+  }
+
+  let score = 0;
+  const reasons = [];
+
+  const wanted = (posting.positions || []).map(normalize);
+  const plays = parsePositions(agent.position).map(normalize);
+  if (!wanted.length) {
+    score += WEIGHTS.position / 2;
+  } else if (plays.some(position => wanted.includes(position))) {
+    score += WEIGHTS.position;
+    reasons.push('Plays a position the team needs');
+  }
+
+  const skillWanted = SKILL_LEVELS.indexOf(normalize(posting.skill_level));
+  const skillHas = SKILL_LEVELS.indexOf(normalize(agent.skill_level));
+  if (skillWanted === -1) {
+    score += skillHas === -1 ? 0 : WEIGHTS.skill / 2;
+  } else if (skillHas === skillWanted) {
+    score += WEIGHTS.skill;
+    reasons.push('Skill level matches');
+  } else if (Math.abs(skillHas - skillWanted) === 1 && skillHas !== -1) {
+    score += WEIGHTS.skill / 2;
+    reasons.push('Skill level is close');
+  }
+
+  const area = areaFits(posting.area, agent.area);
+  if (area) {
+    score += WEIGHTS.area * area;
+    reasons.push(area === 1 ? 'Same area' : 'Nearby area');
+  }
+
+  if (scheduleFits(posting.schedule, agent.schedule)) {
+    score += WEIGHTS.schedule;
+    reasons.push('Schedules overlap');
+  }
+
+  return { score: Math.round(score), reasons };
+}
+
+function rank(items, score) {
+  return items
+    .map(item => ({ item, match: score(item) }))
+    .filter(entry => entry.match)
+    .sort((a, b) => b.match.score - a.match.score)
+    .map(({ item, match }) => ({ ...item, match_score: match.score, match_reasons: match.reasons }));
+}
+
+/**
+ * Free agents for a posting, best fit first.
+ * @param {Object} posting - With the team's sport
+ * @param {Array<Object>} agents
+ * @returns {Array<Object>} agents in the posting's sport with match_score and match_reasons
+ */
+function rankFreeAgents(posting, agents) {
+  return rank(agents, agent => matchScore(posting, agent));
+}
+
+/**
+ * Open postings for a player, best fit first.
+ * @param {Object} agent
+ * @param {Array<Object>} postings - Each with the team's sport
+ * @returns {Array<Object>} postings in the player's sport with match_score and match_reasons
+ */
+function rankPostings(agent, postings) {
+  return rank(postings, posting => matchScore(posting, agent));
+}
+
+module.exports = {
+  SKILL_LEVELS,
+  MAX_POSITIONS,
+  MAX_OPEN_POSTINGS,
+  parsePositions,
+  validatePosting,
+  validateFreeAgent,
+  sportQuery,
+  matchScore,
+  rankFreeAgents,
+  rankPostings
+};
@@ -0,0 +1,150 @@
+/**
+ * Entry fee refunds
+ *
+ * Each event carries a refund policy that decides how much of a paid entry
+ * fee goes back to the payer when a team withdraws:
+ *
+ *   - at least full_refund_days before the event: the whole fee
+ *   - at least partial_refund_days before the event: partial_refund_percent of it
+ *   - after that (the refund deadline) or once the event has started: nothing
+ *
+ * When the organizer cancels the event every paid team gets the whole fee
+ * back, whatever the policy says. Refunds are credited to the payer's wallet
+ * and the event's commission is reversed by the same amount.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_POLICY_DAYS = 365;
+
+const DEFAULT_REFUND_POLICY = {
+  full_refund_days: 7,
+  partial_refund_days: 2,
+  partial_refund_percent: 50
+};
+
+// Why a refund is being made
+const REFUND_REASONS = ['event_cancelled', 'team_withdrawn'];
+
+function wholeNumberOrDefault(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) ? number : NaN;
+}
+
+/**
+ * Check a refund policy an organizer sets on an event.
+ * @param {Object} input - Blank values fall back to the default policy
+ * @returns {{error: string|null, policy?: Object}}
+ */
+function validateRefundPolicy(input = {}) {
+  const policy = {};
+  for (const key of Object.keys(DEFAULT_REFUND_POLICY)) {
+    policy[key] = wholeNumberOrDefault(input[key], DEFAULT_REFUND_POLICY[key]);
+  }
+
+  for (const key of ['full_refund_days', 'partial_refund_days']) {
+    if (Number.isNaN(policy[key]) || policy[key] < 0 || policy[key] > MAX_POLICY_DAYS) {
+      return { error: `Refund days must be whole numbers between 0 and ${MAX_POLICY_DAYS}` };
+    }
+  }
+  if (Number.isNaN(policy.partial_refund_percent) || policy.partial_refund_percent < 0 || policy.partial_refund_percent > 100) {
+    return { error: 'Partial refund percent must be a whole number between 0 and 100' };
+  }
+  if (policy.partial_refund_days > policy.full_refund_days) {
+    return { error: 'The full refund window must start at least as early as the partial refund window' };
+  }
+  return { error: null, policy };
+}
+
+/**
+ * @param {Object} event
+ * @returns {Object} the event's refund policy with defaults filled in
+ */
+function getRefundPolicy(event) {
+  const policy = (event && event.refund_policy) || {};
+  const merged = {};
+  for (const key of Object.keys(DEFAULT_REFUND_POLICY)) {
+    merged[key] = Number.isFinite(policy[key]) ? policy[key] : DEFAULT_REFUND_POLICY[key];
+  }
+  return merged;
+}
+
+/**
+ * @param {Object} event
+ * @param {number} days
+ * @returns {Date|null} the moment `days` days before the event starts
+ */
+function daysBeforeEvent(event, days) {
+  if (!event || !event.event_date) return null;
+  return new Date(new Date(event.event_date).getTime() - days * DAY_MS);
+}
+
+/**
+ * Share of the fee a withdrawing team gets back right now.
+ * @param {Object} event
+ * @param {Date} [now]
+ * @returns {{percent: number, rule: string}} rule is 'full', 'partial' or 'none'
+ */
+function refundPercent(event, now = new Date()) {
+  const policy = getRefundPolicy(event);
+  const fullUntil = daysBeforeEvent(event, policy.full_refund_days);
+  const partialUntil = daysBeforeEvent(event, policy.partial_refund_days);
+
+  if (!fullUntil) return { percent: 100, rule: 'full' };
+  if (now <= fullUntil) return { percent: 100, rule: 'full' };
+  if (now <= partialUntil && policy.partial_refund_percent > 0) {
+    return { percent: policy.partial_refund_percent, rule: 'partial' };
+  }
+  return { percent: 0, rule: 'none' };
+}
+
+/**
+ * How much of a registration's entry fee is refunded.
+ * @param {Object} event
+ * @param {Object} payment - The registration's payment
+ * @param {string} reason - One of REFUND_REASONS
+ * @param {Date} [now]
+ * @returns {{amount: number, percent: number, rule: string}}
+ *   rule is 'cancelled', 'full', 'partial', 'none', 'unpaid' or 'refunded'
+ */
+function refundQuote(event, payment, reason, now = new Date()) {
+  if (!payment || !(payment.amount > 0)) {
+    return { amount: 0, percent: 0, rule: 'unpaid' };
+  }
+  if (payment.refunded_at) {
+    return { amount: 0, percent: 0, rule: 'refunded' };
+  }
+  if (reason === 'event_cancelled') {
+    return { amount: payment.amount, percent: 100, rule: 'cancelled' };
+  }
+
+  const { percent, rule } = refundPercent(event, now);
+  return { amount: Math.round((payment.amount * percent) / 100), percent, rule };
+}
+
+/**
+ * One-line summary of a refund policy for managers and players.
+ * @param {Object} event
+ * @returns {string}
+ */
+function describeRefundPolicy(event) {
+  const policy = getRefundPolicy(event);
+  const days = count => `${count} day${count === 1 ? '' : 's'}`;
+  const parts = [`Full refund until ${days(policy.full_refund_days)} before the event`];
+  if (policy.partial_refund_percent > 0 && policy.partial_refund_days < policy.full_refund_days) {
+    parts.push(`${policy.partial_refund_percent}% until ${days(policy.partial_refund_days)} before`);
+  }
+  parts.push('no refund after that');
+  return `${parts.join(', ')}.`;
+}
+
+module.exports = {
+  DEFAULT_REFUND_POLICY,
+  REFUND_REASONS,
+  validateRefundPolicy,
+  getRefundPolicy,
+  daysBeforeEvent,
+  refundPercent,
+  refundQuote,
+  describeRefundPolicy
+};
@@ -0,0 +1,179 @@
+/**
+ * Result confirmation and disputes
+ *
+ * A result submitted by one team's manager waits for the opposing manager to
+ * confirm it or counter-claim a different score. A counter-claim opens a
+ * dispute thread that the organizer settles with a ruling. Results the
+ * opponent does not answer within the event's confirmation window are
+ * confirmed automatically. Every step is written to the match audit trail.
+ */
+
+const { idOf, idString } = require('../utils/ids');
+
+const DEFAULT_CONFIRMATION_HOURS = 48;
+const MAX_CONFIRMATION_HOURS = 14 * 24;
+
+const RULING_DECISIONS = ['original', 'counter', 'custom', 'replay'];
+
+/**
+ * @param {Object} [event] - Needs result_confirmation_hours
+ * @returns {number} hours the opposing manager has to respond
+ */
+function getConfirmationHours(event) {
+  const hours = Number(event && event.result_confirmation_hours);
+  return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_CONFIRMATION_HOURS;
+}
+
+/**
+ * @param {*} value
+ * @returns {string|null} error message, or null when the window is valid
+ */
+function validateConfirmationHours(value) {
+  const hours = Number(value);
+  if (!Number.isInteger(hours) || hours < 1 || hours > MAX_CONFIRMATION_HOURS) {
+    return `Confirmation window must be a whole number of hours between 1 and ${MAX_CONFIRMATION_HOURS}`;
+  }
+  return null;
+}
+
+/**
+ * Confirmation state for a result submitted by one team.
+ * @param {string} submittingTeamId
+ * @param {{team_a: *, team_b: *}} match
+ * @param {number} hours
+ * @param {Date} [now]
+ */
+function buildConfirmationRequest(submittingTeamId, match, hours, now = new Date()) {
+  const awaitingTeam = idString(match.team_a) === String(submittingTeamId) ? match.team_b : match.team_a;
+  return {
+    status: 'awaiting',
+    submitted_by_team: submittingTeamId,
+    awaiting_team: idOf(awaitingTeam),
+    requested_at: now,
+    due_at: new Date(now.getTime() + hours * 60 * 60 * 1000),
+    responded_by: null,
+    responded_at: null
+  };
+}
+
+/**
+ * Whether the organizer can verify the match result. Results recorded
+ * before two-sided confirmation existed have no confirmation state.
+ * @param {Object} match
+ */
+function isReadyForVerification(match) {
+  const status = match.confirmation && match.confirmation.status;
+  return !status || status === 'confirmed' || status === 'auto_confirmed';
+}
+
+/**
+ * @param {Object} match
+ * @param {Date} [now]
+ */
+function isConfirmationOverdue(match, now = new Date()) {
+  const confirmation = match.confirmation || {};
+  return match.status === 'pending' &&
+    confirmation.status === 'awaiting' &&
+    Boolean(confirmation.due_at) &&
+    new Date(confirmation.due_at).getTime() <= now.getTime();
+}
+
+/**
+ * @param {number} scoreA
+ * @param {number} scoreB
+ * @returns {'team_a'|'team_b'|'draw'}
+ */
+function winnerFor(scoreA, scoreB) {
+  if (scoreA > scoreB) return 'team_a';
+  if (scoreB > scoreA) return 'team_b';
+  return 'draw';
+}
+
+/**
+ * Work out the score an organizer ruling settles on.
+ *
+ * @param {Object} match - Disputed match with dispute.claims
+ * @param {{decision: string, score_a?: number, score_b?: number}} ruling
+ * @returns {{error: string|null, replay?: boolean, score_a?: number, score_b?: number, winner?: string}}
+ */
+function resolveRuling(match, ruling) {
+  const decision = ruling && ruling.decision;
+  if (!RULING_DECISIONS.includes(decision)) {
+    return { error: `decision must be one of: ${RULING_DECISIONS.join(', ')}` };
+  }
+
+  if (decision === 'replay') {
+    return { error: null, replay: true };
+  }
+
+  const claims = (match.dispute && match.dispute.claims) || [];
+  let scoreA;
+  let scoreB;
+
+  if (decision === 'custom') {
+    scoreA = Number(ruling.score_a);
+    scoreB = Number(ruling.score_b);
+    if (!Number.isInteger(scoreA) || !Number.isInteger(scoreB) || scoreA < 0 || scoreB < 0) {
+      return { error: 'A custom ruling needs whole, non-negative scores' };
+    }
+  } else {
+    const claim = claims.find(c => c.kind === decision);
+    if (!claim) {
+      return { error: `There is no ${decision} claim to uphold` };
+    }
+    scoreA = claim.score_a;
+    scoreB = claim.score_b;
+  }
+
+  return { error: null, replay: false, score_a: scoreA, score_b: scoreB, winner: winnerFor(scoreA, scoreB) };
+}
+
+/**
+ * Confirmation request for a result, using the window of the match's event.
+ * @param {Object} match - Match with team_a, team_b and event_id
+ * @param {string} submittingTeamId
+ * @returns {Promise<Object>} value for match.confirmation
+ */
+async function createConfirmationRequest(match, submittingTeamId) {
+  const Event = require('../models/schemas/eventSchema');
+  const eventId = idOf(match.event_id);
+  const event = eventId
+    ? await Event.findById(eventId).select('result_confirmation_hours').lean()
+    : null;
+  return buildConfirmationRequest(submittingTeamId, match, getConfirmationHours(event));
+}
+
+/**
+ * Entry for the match audit trail.
+ * @param {string} action
+ * @param {Object} match - State after the action
+ * @param {{_id: *, role: string}} actor - Session user, or null for the system
+ * @param {string} [note]
+ */
+function buildAuditEntry(action, match, actor, note) {
+  return {
+    action,
+    actor_id: actor ? actor._id : null,
+    actor_role: actor ? actor.role : 'system',
+    status: match.status,
+    score_a: match.score_a,
+    score_b: match.score_b,
+    note: note || '',
+    at: new Date()
+  };
+}
+
+module.exports = {
+  DEFAULT_CONFIRMATION_HOURS,
+  MAX_CONFIRMATION_HOURS,
+  RULING_DECISIONS,
+  getConfirmationHours,
+  validateConfirmationHours,
+  buildConfirmationRequest,
+  createConfirmationRequest,
+  isReadyForVerification,
+  isConfirmationOverdue,
+  winnerFor,
+  resolveRuling,
+  buildAuditEntry
+};
@@ -0,0 +1,184 @@
+/**
+ * Schedule history
+ *
+ * Snapshots of a finalized event schedule and the diff between two of them.
+ * Matches are regenerated with new ids when an organizer rebuilds fixtures,
+ * so snapshots identify a match by its pairing (both teams and the round)
+ * rather than by its database id.
+ */
+
+/**
+ * Reduce event matches to the fields that describe the schedule.
+ * Cancelled matches are left out; they show up as cancelled in a diff.
+ * @param {Array} matches
+ * @returns {Array} snapshot entries ordered by match number
+ */
+function buildSnapshot(matches) {
+  return matches
+    .filter(match => match.status !== 'cancelled')
+    .map(match => ({
+      match_id: match._id || null,
+      match_number: match.match_number ?? null,
+      round: match.round || null,
+      group: match.group || null,
+      team_a: match.team_a,
+      team_b: match.team_b,
+      team_a_name: match.team_a_name,
+      team_b_name: match.team_b_name,
+      match_date: new Date(match.match_date),
+      venue: match.venue || ''
+    }))
+    .sort((a, b) => (a.match_number ?? Infinity) - (b.match_number ?? Infinity));
+}
+
+/**
+ * Key entries by pairing; a repeated pairing in the same round (double
+ * round robin legs) is told apart by its occurrence.
+ */
+function keyEntries(entries) {
+  const seen = new Map();
+  const keyed = new Map();
+
+  entries.forEach(entry => {
+    const teams = [String(entry.team_a), String(entry.team_b)].sort().join('-');
+    const base = `${teams}|${entry.round || ''}`;
+    const occurrence = seen.get(base) || 0;
+    seen.set(base, occurrence + 1);
+    keyed.set(`${base}|${occurrence}`, entry);
+  });
+
+  return keyed;
+}
+
+function summarize(entry) {
+  return {
+    match_id: entry.match_id,
+    match_number: entry.match_number,
+    round: entry.round,
+    group: entry.group,
+    team_a: entry.team_a,
+    team_b: entry.team_b,
+    team_a_name: entry.team_a_name,
+    team_b_name: entry.team_b_name,
+    match_date: entry.match_date,
+    venue: entry.venue
+  };
+}
+
+/**
+ * Compare two schedule snapshots.
+ * @param {Array} fromEntries - older snapshot
+ * @param {Array} toEntries - newer snapshot
+ * @returns {{moved: Array, added: Array, cancelled: Array}}
+ */
+function diffSnapshots(fromEntries, toEntries) {
+  const before = keyEntries(fromEntries);
+  const after = keyEntries(toEntries);
+  const moved = [];
+  const added = [];
+  const cancelled = [];
+
+  after.forEach((entry, key) => {
+    const previous = before.get(key);
+    if (!previous) {
+      added.push(summarize(entry));
+      return;
+    }
+
+    const dateChanged = new Date(previous.match_date).getTime() !== new Date(entry.match_date).getTime();
+    const venueChanged = (previous.venue || '') !== (entry.venue || '');
+    if (dateChanged || venueChanged) {
+      moved.push({
+        ...summarize(entry),
+        from: { match_date: previous.match_date, venue: previous.venue },
+        to: { match_date: entry.match_date, venue: entry.venue }
+      });
+    }
+  });
+
+  before.forEach((entry, key) => {
+    if (!after.has(key)) cancelled.push(summarize(entry));
+  });
+
+  return { moved, added, cancelled };
+}
+
+/**
+ * Team ids touched by a diff.
+ * @param {{moved: Array, added: Array, cancelled: Array}} diff
+ * @returns {string[]}
+ */
+function getAffectedTeamIds(diff) {
+  const ids = new Set();
+  [...diff.moved, ...diff.added, ...diff.cancelled].forEach(change => {
+    ids.add(String(change.team_a));
+    ids.add(String(change.team_b));
+  });
+  return [...ids];
+}
+
+/**
+ * Human readable lines describing the changes for one team.
+ * @param {{moved: Array, added: Array, cancelled: Array}} diff
+ * @param {string} teamId
+ * @returns {string[]}
+ */
+function describeChangesForTeam(diff, teamId) {
+  const involves = change => String(change.team_a) === String(teamId) || String(change.team_b) === String(teamId);
+  const formatSlot = (date, venue) => {
+    const when = new Date(date).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+    return venue ? `${when} at ${venue}` : when;
+  };
+  const label = change => `${change.team_a_name} vs ${change.team_b_name}`;
+
+  return [
+    ...diff.moved.filter(involves).map(change =>
+      `Moved: ${label(change)} from ${formatSlot(change.from.match_date, change.from.venue)} to ${formatSlot(change.to.match_date, change.to.venue)}`),
+    ...diff.added.filter(involves).map(change =>
+      `Added: ${label(change)} on ${formatSlot(change.match_date, change.venue)}`),
+    ...diff.cancelled.filter(involves).map(change =>
+      `Cancelled: ${label(change)} (was ${formatSlot(change.match_date, change.venue)})`)
+  ];
+}
+
+/**
+ * Email the manager of every team touched by a schedule change.
+ * @param {Object} event
+ * @param {{moved: Array, added: Array, cancelled: Array}} diff
+ * @returns {Promise<number>} number of teams whose manager was emailed
+ */
+async function notifyAffectedManagers(event, diff) {
+  const Team = require('../models/schemas/teamSchema');
+  const { sendScheduleChangeEmail } = require('../utils/emailService');
+
+  const teamIds = getAffectedTeamIds(diff);
+  if (teamIds.length === 0) return 0;
+
+  const teams = await Team.find({ _id: { $in: teamIds } })
+    .select('name manager_id')
+    .populate('manager_id', 'email first_name last_name')
+    .lean();
+
+  let notified = 0;
+  for (const team of teams) {
+    const manager = team.manager_id;
+    if (!manager || !manager.email) continue;
+
+    const changes = describeChangesForTeam(diff, team._id);
+    if (changes.length === 0) continue;
+
+    const managerName = `${manager.first_name || ''} ${manager.last_name || ''}`.trim() || 'Manager';
+    const result = await sendScheduleChangeEmail(manager.email, managerName, event.title, team.name, changes);
+    if (result.success) notified++;
+  }
+
+  return notified;
+}
+
+module.exports = {
+  buildSnapshot,
+  diffSnapshots,
+  getAffectedTeamIds,
+  describeChangesForTeam,
+  notifyAffectedManagers
+};
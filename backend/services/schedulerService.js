@@ -0,0 +1,372 @@
+/**
+ * Match Scheduler Service
+ * Places fixtures into venue/time slots and detects booking conflicts.
+ *
+ * Schedule settings (event.schedule_settings):
+ * - venues                 : pitches/courts, each hosts one match at a time
+ * - daily_windows          : [{ start: 'HH:MM', end: 'HH:MM' }] when matches may be played
+ * - match_duration_minutes : length of one slot
+ * - min_rest_minutes       : minimum gap between two matches of the same team
+ *
+ * Times are interpreted in the server's local time zone, like the default schedule
+ * in fixtureService. Everything here is pure: existing bookings are passed in.
+ */
+
+const DEFAULT_SETTINGS = {
+  venues: [],
+  daily_windows: [{ start: '09:00', end: '18:00' }],
+  match_duration_minutes: 90,
+  min_rest_minutes: 60
+};
+
+// Give up looking for a free slot after this many days
+const MAX_SEARCH_DAYS = 366;
+
+const MINUTE = 60 * 1000;
+
+/**
+ * @param {string} value - 'HH:MM'
+ * @returns {number|null} Minutes after midnight, or null if invalid
+ */
+function toMinutes(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+}
+
+function venueKey(venue) {
+  return String(venue || '').trim().toLowerCase();
+}
+
+/**
+ * Fill in defaults for missing schedule settings.
+ * @param {object} [settings] - event.schedule_settings
+ * @returns {object}
+ */
+function normalizeSettings(settings = {}) {
+  const source = settings || {};
+  const windows = Array.isArray(source.daily_windows) && source.daily_windows.length > 0
+    ? source.daily_windows
+    : DEFAULT_SETTINGS.daily_windows;
+
+  return {
+    venues: (source.venues || []).map(venue => String(venue).trim()).filter(Boolean),
+    daily_windows: windows
+      .map(window => ({ start: window.start, end: window.end }))
+      .sort((a, b) => toMinutes(a.start) - toMinutes(b.start)),
+    match_duration_minutes: source.match_duration_minutes || DEFAULT_SETTINGS.match_duration_minutes,
+    min_rest_minutes: typeof source.min_rest_minutes === 'number'
+      ? source.min_rest_minutes
+      : DEFAULT_SETTINGS.min_rest_minutes
+  };
+}
+
+/**
+ * Slot-based scheduling is used once the organizer has listed at least one venue.
+ * @param {object} [settings] - event.schedule_settings
+ * @returns {boolean}
+ */
+function hasSlotSettings(settings) {
+  return Boolean(settings && Array.isArray(settings.venues) && settings.venues.some(venue => String(venue).trim()));
+}
+
+/**
+ * Check schedule settings before they are stored on an event.
+ * @param {object} settings
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateScheduleSettings(settings) {
+  const errors = [];
+
+  if (!settings || typeof settings !== 'object') {
+    return ['Schedule settings must be an object'];
+  }
+
+  const { venues, daily_windows: windows, match_duration_minutes: duration, min_rest_minutes: rest } = settings;
+
+  if (venues !== undefined) {
+    if (!Array.isArray(venues) || venues.some(venue => typeof venue !== 'string' || !venue.trim())) {
+      errors.push('Venues must be a list of names');
+    } else if (new Set(venues.map(venueKey)).size !== venues.length) {
+      errors.push('Venue names must be unique');
+    }
+  }
+
+  if (duration !== undefined && (!Number.isInteger(duration) || duration < 5 || duration > 1440)) {
+    errors.push('Match duration must be a whole number of minutes between 5 and 1440');
+  }
+
+  if (rest !== undefined && (!Number.isInteger(rest) || rest < 0)) {
+    errors.push('Minimum rest time must be a whole number of minutes (0 or more)');
+  }
+
+  if (windows !== undefined) {
+    if (!Array.isArray(windows) || windows.length === 0) {
+      errors.push('At least one daily time window is required');
+    } else {
+      const length = duration || DEFAULT_SETTINGS.match_duration_minutes;
+      const parsed = windows.map(window => ({
+        start: toMinutes(window && window.start),
+        end: toMinutes(window && window.end)
+      }));
+
+      if (parsed.some(window => window.start === null || window.end === null)) {
+        errors.push('Time windows must use HH:MM times');
+      } else if (parsed.some(window => window.end - window.start < length)) {
+        errors.push('Every time window must be long enough for at least one match');
+      } else {
+        const sorted = [...parsed].sort((a, b) => a.start - b.start);
+        if (sorted.some((window, i) => i > 0 && window.start < sorted[i - 1].end)) {
+          errors.push('Time windows must not overlap');
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Slot start times on one day, in order.
+ * @param {Date} day
+ * @param {object} settings - Normalized settings
+ * @returns {Date[]}
+ */
+function getDaySlots(day, settings) {
+  const slots = [];
+
+  settings.daily_windows.forEach(window => {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+
+    for (let minute = start; minute + settings.match_duration_minutes <= end; minute += settings.match_duration_minutes) {
+      const slot = new Date(day);
+      slot.setHours(0, minute, 0, 0);
+      slots.push(slot);
+    }
+  });
+
+  return slots;
+}
+
+/**
+ * Turn matches into bookings: time interval, venue and teams.
+ * @param {Array<object>} matches - Need match_date, venue, team_a, team_b
+ * @param {object} settings - Normalized settings
+ * @returns {Array<{start: number, end: number, venue: string, teams: string[], match: object}>}
+ */
+function toBookings(matches, settings) {
+  return matches
+    .filter(match => match.match_date && !isNaN(new Date(match.match_date).getTime()))
+    .map(match => {
+      const start = new Date(match.match_date).getTime();
+      return {
+        start,
+        end: start + settings.match_duration_minutes * MINUTE,
+        venue: venueKey(match.venue),
+        teams: [match.team_a, match.team_b].filter(Boolean).map(String),
+        match
+      };
+    });
+}
+
+/**
+ * Earliest free slot for a match between `teams`, at or after `earliest`.
+ *
+ * @param {string[]} teams - Team IDs
+ * @param {Date} earliest
+ * @param {Array} bookings - From toBookings (already placed matches)
+ * @param {object} settings - Normalized settings with at least one venue
+ * @returns {{ match_date: Date, venue: string }|null}
+ */
+function findSlot(teams, earliest, bookings, settings) {
+  const duration = settings.match_duration_minutes * MINUTE;
+  const rest = settings.min_rest_minutes * MINUTE;
+  const earliestTime = new Date(earliest).getTime();
+  const teamBookings = bookings.filter(booking => booking.teams.some(team => teams.includes(team)));
+
+  const day = new Date(earliest);
+  day.setHours(0, 0, 0, 0);
+
+  for (let offset = 0; offset < MAX_SEARCH_DAYS; offset++) {
+    const current = new Date(day);
+    current.setDate(day.getDate() + offset);
+
+    for (const slot of getDaySlots(current, settings)) {
+      const start = slot.getTime();
+      const end = start + duration;
+      if (start < earliestTime) continue;
+
+      const teamsRested = teamBookings.every(booking => start >= booking.end + rest || end + rest <= booking.start);
+      if (!teamsRested) continue;
+
+      const venue = settings.venues.find(name => !bookings.some(booking =>
+        booking.venue === venueKey(name) && start < booking.end && booking.start < end
+      ));
+
+      if (venue) {
+        return { match_date: slot, venue };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Assign every fixture to a venue and time slot, in fixture order.
+ * A team's fixtures are never placed before its previous fixture (plus rest time).
+ *
+ * @param {Array<object>} fixtures - With team_a, team_b and match_number
+ * @param {object} settings - event.schedule_settings
+ * @param {object} options
+ * @param {Date|string} options.startDate - Earliest start time that may be used
+ * @param {Array<object>} [options.existingMatches=[]] - Matches that keep their slot
+ * @returns {{ fixtures: Array<object>, unscheduled: number[] }} Fixtures with match_date/venue; match numbers that did not fit
+ */
+function assignSlots(fixtures, settings, options) {
+  const normalized = normalizeSettings(settings);
+  const bookings = toBookings(options.existingMatches || [], normalized);
+  const teamReady = new Map();
+  const unscheduled = [];
+
+  const startDate = new Date(options.startDate);
+
+  const scheduled = fixtures.map(fixture => {
+    const teams = [fixture.team_a, fixture.team_b].map(String);
+    const earliest = new Date(Math.max(
+      startDate.getTime(),
+      ...teams.map(team => teamReady.get(team) || 0)
+    ));
+
+    const slot = findSlot(teams, earliest, bookings, normalized);
+    if (!slot) {
+      unscheduled.push(fixture.match_number);
+      return { ...fixture };
+    }
+
+    const placed = { ...fixture, match_date: slot.match_date, venue: slot.venue };
+    const [booking] = toBookings([placed], normalized);
+    bookings.push(booking);
+    teams.forEach(team => teamReady.set(team, booking.end + normalized.min_rest_minutes * MINUTE));
+
+    return placed;
+  });
+
+  return { fixtures: scheduled, unscheduled };
+}
+
+function matchIds(...matches) {
+  return matches.filter(match => match._id).map(match => String(match._id));
+}
+
+function describe(match) {
+  const number = match.match_number ? `Match #${match.match_number}` : 'A match';
+  return `${number} (${match.team_a_name || match.team_a} vs ${match.team_b_name || match.team_b})`;
+}
+
+/**
+ * Find double bookings and rule violations in a set of matches.
+ *
+ * Always checked: a venue hosting two overlapping matches, a team playing two
+ * overlapping matches, and a team without its minimum rest between matches.
+ * With slot settings also checked: unknown venues and start times outside the
+ * daily windows.
+ *
+ * @param {Array<object>} matches - Need match_date, venue, team_a, team_b (match_number for messages)
+ * @param {object} [settings] - event.schedule_settings
+ * @returns {Array<{type: string, match_numbers: number[], match_ids: string[], message: string}>}
+ */
+function detectConflicts(matches, settings) {
+  const normalized = normalizeSettings(settings);
+  const bookings = toBookings(matches, normalized);
+  const rest = normalized.min_rest_minutes * MINUTE;
+  const conflicts = [];
+
+  for (let i = 0; i < bookings.length; i++) {
+    for (let j = i + 1; j < bookings.length; j++) {
+      const a = bookings[i];
+      const b = bookings[j];
+      const overlap = a.start < b.end && b.start < a.end;
+      const numbers = [a.match.match_number, b.match.match_number];
+      const ids = matchIds(a.match, b.match);
+
+      if (overlap && a.venue && a.venue === b.venue) {
+        conflicts.push({
+          type: 'venue',
+          match_numbers: numbers,
+          match_ids: ids,
+          message: `${describe(a.match)} and ${describe(b.match)} overlap at ${a.match.venue}`
+        });
+      }
+
+      const shared = a.teams.filter(team => b.teams.includes(team));
+      if (shared.length === 0) continue;
+
+      if (overlap) {
+        conflicts.push({
+          type: 'team',
+          match_numbers: numbers,
+          match_ids: ids,
+          message: `${describe(a.match)} and ${describe(b.match)} overlap for the same team`
+        });
+      } else if (Math.max(b.start - a.end, a.start - b.end) < rest) {
+        conflicts.push({
+          type: 'rest',
+          match_numbers: numbers,
+          match_ids: ids,
+          message: `${describe(a.match)} and ${describe(b.match)} leave less than ${normalized.min_rest_minutes} minutes of rest`
+        });
+      }
+    }
+  }
+
+  if (hasSlotSettings(settings)) {
+    const venues = normalized.venues.map(venueKey);
+
+    bookings.forEach(booking => {
+      if (booking.venue && !venues.includes(booking.venue)) {
+        conflicts.push({
+          type: 'venue_unavailable',
+          match_numbers: [booking.match.match_number],
+          match_ids: matchIds(booking.match),
+          message: `${describe(booking.match)} is at ${booking.match.venue}, which is not one of the event's venues`
+        });
+      }
+
+      const date = new Date(booking.start);
+      const startMinute = date.getHours() * 60 + date.getMinutes();
+      const inWindow = normalized.daily_windows.some(window =>
+        startMinute >= toMinutes(window.start) &&
+        startMinute + normalized.match_duration_minutes <= toMinutes(window.end)
+      );
+
+      if (!inWindow) {
+        conflicts.push({
+          type: 'outside_window',
+          match_numbers: [booking.match.match_number],
+          match_ids: matchIds(booking.match),
+          message: `${describe(booking.match)} is outside the daily playing hours`
+        });
+      }
+    });
+  }
+
+  return conflicts;
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  normalizeSettings,
+  hasSlotSettings,
+  validateScheduleSettings,
+  getDaySlots,
+  findSlot,
+  assignSlots,
+  detectConflicts,
+  toBookings
+};
@@ -2,6 +2,7 @@ const EventSchema = require('../models/schemas/eventSchema');
 const TeamSchema = require('../models/schemas/teamSchema');
 const UserSchema = require('../models/schemas/userSchema');
 const { solrConfig, isConfigured, solrQuery } = require('../config/solr');
+const { ratingQuery } = require('./ratingService');
 
 const DEFAULT_LIMIT = 20;
 const MAX_LIMIT = 50;
@@ -134,7 +135,7 @@ function mapEventResult(doc = {}) {
   };
 }
 
-async function runSolrSearch({ collection, search, page, limit, qf, pf, fq = [] }) {
+async function runSolrSearch({ collection, search, page, limit, qf, pf, fq = [], sort }) {
   const q = buildEdismaxQuery(search);
   return solrQuery(collection, {
     q,
@@ -150,7 +151,8 @@ async function runSolrSearch({ collection, search, page, limit, qf, pf, fq = []
     lowercaseOperators: true,
     start: (page - 1) * limit,
     rows: limit,
-    ...(fq.length ? { fq } : {})
+    ...(fq.length ? { fq } : {}),
+    ...(sort ? { sort } : {})
   });
 }
 
@@ -294,16 +296,29 @@ async function searchEvents({ search = '', page = 1, limit = DEFAULT_LIMIT, stat
   return payload;
 }
 
-async function searchTeams({ search = '', page = 1, limit = DEFAULT_LIMIT, sportType } = {}) {
+async function searchTeams({
+  search = '',
+  page = 1,
+  limit = DEFAULT_LIMIT,
+  sportType,
+  minRating = null,
+  maxRating = null,
+  sortByRating = false
+} = {}) {
   const started = Date.now();
   const paging = normalizePaging(page, limit);
   const normalizedSportType = String(sportType || '').trim();
+  const ratingFilter = { min: minRating, max: maxRating };
 
   let fallbackReason = null;
 
   if (solrConfig.enabled && isConfigured()) {
     try {
-      const fq = normalizedSportType ? [`sport_type:${escLucene(normalizedSportType)}`] : [];
+      const fq = ['-status:archived'];
+      if (normalizedSportType) fq.push(`sport_type:${escLucene(normalizedSportType)}`);
+      if (minRating !== null || maxRating !== null) {
+        fq.push(`rating:[${minRating ?? '*'} TO ${maxRating ?? '*'}]`);
+      }
       const result = await runSolrSearch({
         collection: solrConfig.teamCollection,
         search,
@@ -311,7 +326,8 @@ async function searchTeams({ search = '', page = 1, limit = DEFAULT_LIMIT, sport
         limit: paging.limit,
         qf: 'name^8 description^3 sport_type^6 status^2',
         pf: 'name^14 sport_type^8 description^4',
-        fq
+        fq,
+        sort: sortByRating ? 'rating desc, score desc' : undefined
       });
 
       const docs = (result?.response?.docs || []).map(mapTeamResult);
@@ -332,7 +348,7 @@ async function searchTeams({ search = '', page = 1, limit = DEFAULT_LIMIT, sport
   }
 
   const normalizedSearch = String(search || '').trim();
-  const mongoQuery = {};
+  const mongoQuery = { archived_at: null };
   let mongoStrategy = 'none';
   let docs = [];
   let total = 0;
@@ -341,12 +357,18 @@ async function searchTeams({ search = '', page = 1, limit = DEFAULT_LIMIT, sport
     mongoQuery.sport_type = new RegExp(`^${normalizedSportType.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
   }
 
+  const ratingCondition = ratingQuery(ratingFilter);
+  if (ratingCondition) {
+    mongoQuery.$and = [ratingCondition];
+  }
+  const ratingSort = sortByRating ? { rating: -1 } : {};
+
   if (normalizedSearch) {
     const textQuery = { ...mongoQuery, $text: { $search: normalizedSearch } };
     try {
       [docs, total] = await Promise.all([
         TeamSchema.find(textQuery, { score: { $meta: 'textScore' } })
-          .sort({ score: { $meta: 'textScore' }, name: 1, created_at: -1 })
+          .sort({ ...ratingSort, score: { $meta: 'textScore' }, name: 1, created_at: -1 })
           .skip(paging.start)
           .limit(paging.limit)
           .lean(),
@@ -370,7 +392,7 @@ async function searchTeams({ search = '', page = 1, limit = DEFAULT_LIMIT, sport
 
       [docs, total] = await Promise.all([
         TeamSchema.find(mongoQuery)
-          .sort({ name: 1, created_at: -1 })
+          .sort({ ...ratingSort, name: 1, created_at: -1 })
           .skip(paging.start)
           .limit(paging.limit)
           .lean(),
@@ -386,7 +408,7 @@ async function searchTeams({ search = '', page = 1, limit = DEFAULT_LIMIT, sport
   } else {
     [docs, total] = await Promise.all([
       TeamSchema.find(mongoQuery)
-        .sort({ name: 1, created_at: -1 })
+        .sort({ ...ratingSort, name: 1, created_at: -1 })
         .skip(paging.start)
         .limit(paging.limit)
         .lean(),
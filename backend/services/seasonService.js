@@ -0,0 +1,276 @@
+/**
+ * League seasons
+ *
+ * A season is a series of events ("editions") generated from a recurrence
+ * rule: a first date, how often the event repeats and how many editions
+ * there are. Each edition is an ordinary event linked back to its season
+ * (event.season), so registration, payments and fixtures work as usual.
+ *
+ * Teams carry over: once an edition has been played its approved and
+ * confirmed teams are registered for the next edition that isn't cancelled,
+ * as far as it has room once the teams on its own waitlist are served.
+ * Carried teams are approved straight away when that edition is free and
+ * wait for the organizer (and the entry fee) otherwise.
+ *
+ * Season standings and player awards roll up the verified matches of every
+ * edition.
+ */
+
+const waitlists = require('./waitlistService');
+const { resolveScoringRules, computeStandings } = require('./standingsService');
+const { computeAwards } = require('./playerStatsService');
+const { idString } = require('../utils/ids');
+
+const FREQUENCIES = ['weekly', 'fortnightly', 'monthly'];
+const MIN_EDITIONS = 2;
+const MAX_EDITIONS = 26;
+const DEFAULT_REGISTRATION_DAYS = 1;
+const MAX_REGISTRATION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Registrations that carry over to the next edition
+const CARRIED_STATUSES = ['approved', 'confirmed'];
+
+function wholeNumber(value) {
+  const number = Number(value);
+  return Number.isInteger(number) ? number : NaN;
+}
+
+/**
+ * Check and normalise a recurrence rule.
+ * @param {Object} input - { frequency, editions, start_date, registration_days }
+ * @param {Date} [now]
+ * @returns {{error: string|null, recurrence?: Object}}
+ */
+function validateRecurrence(input, now = new Date()) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'A season needs a recurrence rule' };
+  }
+
+  const frequency = String(input.frequency || '').trim().toLowerCase();
+  if (!FREQUENCIES.includes(frequency)) {
+    return { error: `Frequency must be one of: ${FREQUENCIES.join(', ')}` };
+  }
+
+  const editions = wholeNumber(input.editions);
+  if (!(editions >= MIN_EDITIONS && editions <= MAX_EDITIONS)) {
+    return { error: `A season has between ${MIN_EDITIONS} and ${MAX_EDITIONS} editions` };
+  }
+
+  const startDate = new Date(input.start_date);
+  if (!input.start_date || Number.isNaN(startDate.getTime())) {
+    return { error: 'The first edition needs a valid date' };
+  }
+
+  const registrationDays = input.registration_days === undefined || input.registration_days === ''
+    ? DEFAULT_REGISTRATION_DAYS
+    : wholeNumber(input.registration_days);
+  if (!(registrationDays >= 1 && registrationDays <= MAX_REGISTRATION_DAYS)) {
+    return { error: `Registration must close between 1 and ${MAX_REGISTRATION_DAYS} days before each edition` };
+  }
+
+  if (startDate.getTime() - registrationDays * DAY_MS <= now.getTime()) {
+    return { error: 'Registration for the first edition must close in the future' };
+  }
+
+  return {
+    error: null,
+    recurrence: { frequency, editions, start_date: startDate, registration_days: registrationDays }
+  };
+}
+
+// Same day of the month, or the month's last day when it is shorter
+function addMonths(date, months) {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+}
+
+/**
+ * Dates of every edition of a season.
+ * @param {Object} recurrence - From validateRecurrence
+ * @returns {Array<{edition: number, event_date: Date, registration_deadline: Date}>}
+ */
+function editionDates(recurrence) {
+  const start = new Date(recurrence.start_date);
+  return Array.from({ length: recurrence.editions }, (_, index) => {
+    let eventDate;
+    if (recurrence.frequency === 'monthly') {
+      eventDate = addMonths(start, index);
+    } else {
+      const days = recurrence.frequency === 'fortnightly' ? 14 : 7;
+      eventDate = new Date(start.getTime() + index * days * DAY_MS);
+    }
+    return {
+      edition: index + 1,
+      event_date: eventDate,
+      registration_deadline: new Date(eventDate.getTime() - recurrence.registration_days * DAY_MS)
+    };
+  });
+}
+
+/**
+ * @param {string} title - Season title
+ * @param {number} edition
+ * @returns {string} title of one edition's event
+ */
+function editionTitle(title, edition) {
+  return `${title} - Edition ${edition}`;
+}
+
+/**
+ * The edition after `event` that will still take place.
+ * @param {Array} editions - The season's events
+ * @param {Object} event - One of them
+ * @returns {Object|null}
+ */
+function nextEdition(editions, event) {
+  return editions
+    .filter(candidate => candidate.season.edition > event.season.edition &&
+      !['cancelled', 'rejected'].includes(candidate.status))
+    .sort((a, b) => a.season.edition - b.season.edition)[0] || null;
+}
+
+/**
+ * Spots of `target` its waitlist has a claim on before any team carries
+ * over: open offers and teams still waiting, other than the teams of
+ * `source` themselves.
+ * @param {Object} source - The edition teams carry over from
+ * @param {Object} target - The next edition
+ * @param {Date} [now]
+ * @returns {number}
+ */
+function waitlistClaims(source, target, now = new Date()) {
+  const carried = new Set((source.team_registrations || [])
+    .filter(reg => CARRIED_STATUSES.includes(reg.status))
+    .map(reg => idString(reg.team_id)));
+
+  return (target.waitlist || [])
+    .filter(entry => !carried.has(idString(entry.team_id)) &&
+      (entry.status === 'waiting' || waitlists.hasOpenOffer(entry, now)))
+    .length;
+}
+
+/**
+ * Registrations to add to `target` for the teams of `source`. Teams already
+ * registered for the target (in any state) are left alone, and no more teams
+ * are carried than the target has room for once its waitlist is served,
+ * earliest registration first.
+ * @param {Object} source - The edition teams carry over from
+ * @param {Object} target - The next edition
+ * @param {Date} [now]
+ * @returns {Array<Object>} team_registrations entries
+ */
+function carryOverRegistrations(source, target, now = new Date()) {
+  const registered = new Set((target.team_registrations || []).map(reg => idString(reg.team_id)));
+  const free = target.max_teams > 0
+    ? Math.max(0, target.max_teams - waitlists.activeRegistrationCount(target) - waitlistClaims(source, target, now))
+    : Infinity;
+  const status = target.entry_fee > 0 ? 'pending' : 'approved';
+
+  return (source.team_registrations || [])
+    .filter(reg => reg.team_id && CARRIED_STATUSES.includes(reg.status) && !registered.has(idString(reg.team_id)))
+    .sort((a, b) => new Date(a.registration_date) - new Date(b.registration_date))
+    .slice(0, free)
+    .map(reg => ({
+      team_id: reg.team_id,
+      registration_date: now,
+      status,
+      approval_date: status === 'approved' ? now : undefined,
+      squad: (reg.squad || []).map(entry => ({ player_id: entry.player_id, added_at: now })),
+      squad_updated_at: reg.squad && reg.squad.length > 0 ? now : undefined,
+      carried_over_from: source._id
+    }));
+}
+
+/**
+ * Editions that have been played but whose teams haven't been carried over
+ * yet, each with the edition they carry over to.
+ * @param {Array} editions - The season's events
+ * @param {Date} [now]
+ * @returns {Array<{source: Object, target: Object}>}
+ */
+function editionsDueForCarryOver(editions, now = new Date()) {
+  return editions
+    .filter(event => !['cancelled', 'rejected'].includes(event.status) &&
+      !event.season.carried_over_at &&
+      new Date(event.event_date) <= now)
+    .map(source => ({ source, target: nextEdition(editions, source) }))
+    .filter(pair => pair.target);
+}
+
+/**
+ * @param {Array} editions - The season's events
+ * @param {Date} [now]
+ * @returns {string} upcoming, in_progress, completed or cancelled
+ */
+function seasonStatus(editions, now = new Date()) {
+  const held = editions.filter(event => !['cancelled', 'rejected'].includes(event.status));
+  if (held.length === 0) return 'cancelled';
+
+  const played = held.filter(event => new Date(event.event_date) <= now).length;
+  if (played === held.length) return 'completed';
+  return played > 0 ? 'in_progress' : 'upcoming';
+}
+
+/**
+ * Every team that took part in the season, with how many editions it played.
+ * @param {Array} editions - The season's events, registrations with team_name
+ * @returns {Array<{id: string, name: string, editions: number}>}
+ */
+function seasonTeams(editions) {
+  const teams = new Map();
+  editions.forEach(event => {
+    (event.team_registrations || [])
+      .filter(reg => reg.team_id && CARRIED_STATUSES.includes(reg.status))
+      .forEach(reg => {
+        const team = teams.get(idString(reg.team_id)) || { id: idString(reg.team_id), name: reg.team_name || 'Unknown Team', editions: 0 };
+        team.editions += 1;
+        teams.set(team.id, team);
+      });
+  });
+  return [...teams.values()];
+}
+
+/**
+ * Season table and player awards across every edition.
+ * @param {Object} season
+ * @param {Array} editions - The season's events in edition order
+ * @param {Array} matches - Verified matches of those events, with player_stats and mvp_votes
+ * @param {{limit?: number}} [options]
+ * @returns {{standings: Array, awards: Array}}
+ */
+function rollUp(season, editions, matches, options = {}) {
+  const teams = seasonTeams(editions);
+  const editionCounts = new Map(teams.map(team => [team.id, team.editions]));
+  // Later editions may change the rules; the first one sets them for the season
+  const rules = resolveScoringRules(editions[0] || season);
+
+  const standings = computeStandings(teams, matches, rules, { salt: idString(season._id) })
+    .map(row => ({ ...row, editions: editionCounts.get(row.team_id) || 0 }));
+
+  return {
+    standings,
+    awards: computeAwards(matches, season.sport_type, { limit: options.limit })
+  };
+}
+
+module.exports = {
+  FREQUENCIES,
+  MIN_EDITIONS,
+  MAX_EDITIONS,
+  validateRecurrence,
+  editionDates,
+  editionTitle,
+  nextEdition,
+  waitlistClaims,
+  carryOverRegistrations,
+  editionsDueForCarryOver,
+  seasonStatus,
+  seasonTeams,
+  rollUp
+};
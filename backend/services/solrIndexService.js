@@ -1,6 +1,7 @@
 const EventSchema = require('../models/schemas/eventSchema');
 const TeamSchema = require('../models/schemas/teamSchema');
 const UserSchema = require('../models/schemas/userSchema');
+const { DEFAULT_RATING } = require('./ratingService');
 const {
   solrConfig,
   isConfigured,
@@ -44,7 +45,8 @@ function mapTeamDoc(team) {
     manager_id: team.manager_id ? String(team.manager_id) : '',
     current_members: Array.isArray(team.members) ? team.members.length : 0,
     max_members: Number(team.max_members || 0),
-    status: 'active',
+    rating: Number(team.rating ?? DEFAULT_RATING),
+    status: team.archived_at ? 'archived' : 'active',
     updated_at: toIso(team.updatedAt || team.created_at || Date.now())
   };
 }
@@ -74,7 +76,8 @@ async function reindexTeams({ commit = true } = {}) {
     throw new Error('Solr is not configured.');
   }
 
-  const teams = await TeamSchema.find({}).lean();
+  // Archived teams are left out of search
+  const teams = await TeamSchema.find({ archived_at: null }).lean();
   const docs = teams.map(mapTeamDoc);
 
   await solrDeleteByQuery(solrConfig.teamCollection, '*:*', false);
@@ -97,6 +100,10 @@ async function indexSingleEvent(eventDoc, { commit = true } = {}) {
 
 async function indexSingleTeam(teamDoc, { commit = true } = {}) {
   if (!isConfigured()) return;
+  if (teamDoc.archived_at) {
+    await deleteSingleTeam(teamDoc._id, { commit });
+    return;
+  }
   await solrUpdate(solrConfig.teamCollection, [mapTeamDoc(teamDoc)], false);
   if (commit) await solrCommit(solrConfig.teamCollection);
 }
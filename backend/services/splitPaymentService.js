@@ -0,0 +1,237 @@
+/**
+ * Split entry fees
+ *
+ * Instead of paying the whole entry fee, a manager can split it across the
+ * team's active roster. Each player then pays their share from their own
+ * wallet. While shares are outstanding the registration is pending and holds
+ * the team's spot:
+ *
+ *   - once every share is paid the registration is confirmed and the fee is
+ *     recorded against the event like any other payment
+ *   - if shares are still outstanding at the due date (at the latest the
+ *     registration deadline) the registration is released and the shares
+ *     already paid go back to the players' wallets
+ *
+ * Players who haven't paid are reminded at most once per reminder interval.
+ */
+
+const { idString } = require('../utils/ids');
+
+const HOUR_MS = 60 * 60 * 1000;
+const REMINDER_INTERVAL_HOURS = 24;
+// Minimum gap between reminders a manager sends by hand
+const MANUAL_REMINDER_HOURS = 1;
+
+const roundMoney = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Divide an amount into equal shares. Whatever doesn't divide evenly is
+ * spread a rupee at a time over the first shares.
+ * @param {number} total
+ * @param {Array} playerIds
+ * @returns {Array<{player_id, amount: number}>}
+ */
+function splitShares(total, playerIds) {
+  const base = Math.floor(total / playerIds.length);
+  let remainder = roundMoney(total - base * playerIds.length);
+  return playerIds.map(playerId => {
+    const extra = Math.min(1, remainder);
+    remainder = roundMoney(remainder - extra);
+    return { player_id: playerId, amount: roundMoney(base + extra) };
+  });
+}
+
+/**
+ * When the shares must be paid by. Defaults to the registration deadline, or
+ * the event itself when there is none; a manager may pick an earlier date.
+ * @param {Object} event
+ * @param {*} [requested] - Date the manager asked for
+ * @param {Date} [now]
+ * @returns {{error: string|null, due_at?: Date}}
+ */
+function splitDueDate(event, requested, now = new Date()) {
+  const latest = new Date(event.registration_deadline || event.event_date);
+  if (latest <= now) {
+    return { error: 'Registration for this event has closed' };
+  }
+  if (requested === undefined || requested === null || requested === '') {
+    return { error: null, due_at: latest };
+  }
+
+  const dueAt = new Date(requested);
+  if (Number.isNaN(dueAt.getTime()) || dueAt <= now) {
+    return { error: 'The payment due date must be in the future' };
+  }
+  if (dueAt > latest) {
+    return { error: 'Shares must be paid by the registration deadline' };
+  }
+  return { error: null, due_at: dueAt };
+}
+
+/**
+ * @param {Object} split - A registration's split_payment
+ * @returns {number} the amount players have paid so far
+ */
+function collectedAmount(split) {
+  return roundMoney((split.shares || [])
+    .filter(share => share.paid_at)
+    .reduce((sum, share) => sum + share.amount, 0));
+}
+
+/**
+ * @param {Object} split
+ * @returns {boolean} whether every share is paid
+ */
+function isFullyPaid(split) {
+  return (split.shares || []).length > 0 && split.shares.every(share => share.paid_at);
+}
+
+/**
+ * @param {Object} split
+ * @param {Date} [now]
+ * @returns {boolean} whether the split is still collecting past its due date
+ */
+function isOverdue(split, now = new Date()) {
+  return split.status === 'collecting' && Boolean(split.due_at) && new Date(split.due_at) <= now;
+}
+
+/**
+ * @param {Object} split
+ * @param {string} playerId
+ * @returns {Object|undefined} the player's share
+ */
+function findShare(split, playerId) {
+  return (split.shares || []).find(share => idString(share.player_id) === idString(playerId));
+}
+
+/**
+ * Check a player can pay their share now.
+ * @param {Object} split
+ * @param {string} playerId
+ * @param {Date} [now]
+ * @returns {{error: string|null, share?: Object}}
+ */
+function validateSharePayment(split, playerId, now = new Date()) {
+  if (!split || split.status !== 'collecting') {
+    return { error: 'This entry fee is no longer being collected' };
+  }
+  const share = findShare(split, playerId);
+  if (!share) {
+    return { error: 'You do not have a share of this entry fee' };
+  }
+  if (share.paid_at) {
+    return { error: 'You have already paid your share' };
+  }
+  if (isOverdue(split, now)) {
+    return { error: 'The deadline for this entry fee has passed' };
+  }
+  return { error: null, share };
+}
+
+/**
+ * Unpaid shares whose player hasn't been reminded within the last
+ * `intervalHours` hours.
+ * @param {Object} split
+ * @param {Date} [now]
+ * @param {number} [intervalHours]
+ * @returns {Array<Object>}
+ */
+function sharesToRemind(split, now = new Date(), intervalHours = REMINDER_INTERVAL_HOURS) {
+  if (split.status !== 'collecting' || isOverdue(split, now)) return [];
+  const cutoff = now.getTime() - intervalHours * HOUR_MS;
+  return (split.shares || []).filter(share =>
+    !share.paid_at && (!share.last_reminded_at || new Date(share.last_reminded_at).getTime() <= cutoff));
+}
+
+/**
+ * Divide a refund of a fully paid split fee among the players in proportion
+ * to what they paid. The last payer takes any rounding difference.
+ * @param {Object} split
+ * @param {number} amount - Total to refund
+ * @returns {Array<{player_id, amount: number}>} one entry per player due something
+ */
+function allocateRefund(split, amount) {
+  const paid = (split.shares || []).filter(share => share.paid_at && share.amount > 0);
+  const total = paid.reduce((sum, share) => sum + share.amount, 0);
+  if (total <= 0 || amount <= 0) return [];
+
+  let left = roundMoney(Math.min(amount, total));
+  return paid.map((share, index) => {
+    const portion = index === paid.length - 1 ? left : Math.min(left, roundMoney((amount * share.amount) / total));
+    left = roundMoney(left - portion);
+    return { player_id: share.player_id, amount: portion };
+  }).filter(refund => refund.amount > 0);
+}
+
+/**
+ * Progress of a split fee for managers and players.
+ * @param {Object} split
+ * @returns {Object}
+ */
+function splitSummary(split) {
+  const shares = split.shares || [];
+  const collected = collectedAmount(split);
+  return {
+    status: split.status,
+    total: split.total,
+    collected,
+    outstanding: roundMoney(split.total - collected),
+    due_at: split.due_at,
+    paid_count: shares.filter(share => share.paid_at).length,
+    share_count: shares.length
+  };
+}
+
+/**
+ * Email players who haven't paid their share. Returns how many were sent.
+ * @param {Object} event
+ * @param {Object} team - Team with name
+ * @param {Object} split
+ * @param {Array} shares - Shares to remind, from sharesToRemind
+ * @returns {Promise<number>}
+ */
+async function notifyUnpaidPlayers(event, team, split, shares) {
+  if (shares.length === 0) return 0;
+
+  const User = require('../models/schemas/userSchema');
+  const { sendEntryFeeShareReminderEmail } = require('../utils/emailService');
+
+  const players = await User.find({ _id: { $in: shares.map(share => share.player_id) } })
+    .select('email first_name')
+    .lean();
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  let notified = 0;
+  for (const share of shares) {
+    const player = players.find(p => idString(p._id) === idString(share.player_id));
+    if (!player || !player.email) continue;
+
+    const result = await sendEntryFeeShareReminderEmail(
+      player.email,
+      player.first_name || 'Player',
+      event.title,
+      team.name,
+      share.amount,
+      split.due_at,
+      `${frontendUrl}/wallet`
+    );
+    if (result.success) notified++;
+  }
+  return notified;
+}
+
+module.exports = {
+  REMINDER_INTERVAL_HOURS,
+  MANUAL_REMINDER_HOURS,
+  splitShares,
+  splitDueDate,
+  collectedAmount,
+  isFullyPaid,
+  isOverdue,
+  findShare,
+  validateSharePayment,
+  sharesToRemind,
+  allocateRefund,
+  splitSummary,
+  notifyUnpaidPlayers
+};
@@ -0,0 +1,218 @@
+/**
+ * Event squads
+ *
+ * A team registers for an event with a squad: the members who will play in
+ * it. The event can set a minimum and maximum squad size. Squads can be
+ * changed freely until the registration deadline; after that they are locked
+ * and a change needs a substitution request the organizer approves. Results,
+ * player stats and MVP votes only accept players from the locked squad.
+ */
+
+const { idOf, idString } = require('../utils/ids');
+
+const MAX_SQUAD_SIZE = 100;
+
+function wholeNumberOrNull(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isInteger(number) ? number : NaN;
+}
+
+/**
+ * Check the squad size limits an organizer sets on an event.
+ * @param {{min?: *, max?: *}} limits - Blank values mean no limit
+ * @returns {{error: string|null, min?: number|null, max?: number|null}}
+ */
+function validateSquadSize(limits = {}) {
+  const min = wholeNumberOrNull(limits.min);
+  const max = wholeNumberOrNull(limits.max);
+  for (const [label, value] of [['Minimum', min], ['Maximum', max]]) {
+    if (value !== null && (Number.isNaN(value) || value < 1 || value > MAX_SQUAD_SIZE)) {
+      return { error: `${label} squad size must be a whole number between 1 and ${MAX_SQUAD_SIZE}` };
+    }
+  }
+  if (min !== null && max !== null && min > max) {
+    return { error: 'Minimum squad size cannot be larger than the maximum' };
+  }
+  return { error: null, min, max };
+}
+
+/**
+ * @param {Object} event
+ * @returns {{min: number|null, max: number|null}}
+ */
+function getSquadSize(event) {
+  const size = (event && event.squad_size) || {};
+  return { min: size.min || null, max: size.max || null };
+}
+
+/**
+ * Squads lock when the event's registration deadline passes.
+ * @param {Object} event
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isSquadLocked(event, now = new Date()) {
+  return Boolean(event && event.registration_deadline &&
+    new Date(event.registration_deadline).getTime() <= now.getTime());
+}
+
+/**
+ * @param {Object} team - Team document with members
+ * @returns {string[]} ids of the team's active members
+ */
+function activeMemberIds(team) {
+  return ((team && team.members) || [])
+    .filter(member => (member.status || 'active') === 'active')
+    .map(member => idString(member.player_id || member.id));
+}
+
+/**
+ * Check a squad a manager submits for an event.
+ * @param {Array<string>} playerIds
+ * @param {Object} team - Team document with members
+ * @param {Object} event
+ * @returns {{error: string|null, squad?: string[]}}
+ */
+function validateSquad(playerIds, team, event) {
+  if (!Array.isArray(playerIds)) {
+    return { error: 'squad must be a list of player ids' };
+  }
+  const squad = playerIds.map(idString);
+  if (new Set(squad).size !== squad.length) {
+    return { error: 'A player can only be listed once in the squad' };
+  }
+  const members = activeMemberIds(team);
+  if (squad.some(playerId => !members.includes(playerId))) {
+    return { error: 'Every squad player must be an active member of the team' };
+  }
+
+  const { min, max } = getSquadSize(event);
+  if (min && squad.length < min) {
+    return { error: `This event needs a squad of at least ${min} players` };
+  }
+  if (max && squad.length > max) {
+    return { error: `This event allows at most ${max} players per squad` };
+  }
+  return { error: null, squad };
+}
+
+/**
+ * Check a substitution request against a locked squad.
+ * @param {Object} registration - Team registration with squad and substitutions
+ * @param {Object} team - Team document with members
+ * @param {{out_player_id: string, in_player_id: string}} request
+ * @returns {string|null} error, or null when the request is valid
+ */
+function validateSubstitution(registration, team, request) {
+  const squad = squadIds(registration);
+  const outId = request.out_player_id ? idString(request.out_player_id) : '';
+  const inId = request.in_player_id ? idString(request.in_player_id) : '';
+  if (!outId || !inId) {
+    return 'Both the player leaving and the player joining the squad are required';
+  }
+  if (!squad.includes(outId)) {
+    return 'The player leaving must be in the squad';
+  }
+  if (squad.includes(inId)) {
+    return 'The player joining is already in the squad';
+  }
+  if (!activeMemberIds(team).includes(inId)) {
+    return 'The player joining must be an active member of the team';
+  }
+  const pending = (registration.substitutions || []).some(sub => sub.status === 'pending' &&
+    (idString(sub.out_player_id) === outId || idString(sub.in_player_id) === inId));
+  if (pending) {
+    return 'There is already a pending substitution for one of these players';
+  }
+  return null;
+}
+
+/**
+ * Swap a player in the squad for an approved substitution.
+ * @param {Object} registration - Changed in place
+ * @param {Object} substitution
+ * @param {Date} [now]
+ * @returns {string|null} error, or null when the swap was made
+ */
+function applySubstitution(registration, substitution, now = new Date()) {
+  const index = (registration.squad || []).findIndex(entry =>
+    idString(entry.player_id) === idString(substitution.out_player_id));
+  if (index === -1) {
+    return 'The player leaving is no longer in the squad';
+  }
+  if (squadIds(registration).includes(idString(substitution.in_player_id))) {
+    return 'The player joining is already in the squad';
+  }
+  registration.squad.splice(index, 1, { player_id: substitution.in_player_id, added_at: now });
+  return null;
+}
+
+/**
+ * @param {Object} registration
+ * @returns {string[]} ids of the players in a registration's squad
+ */
+function squadIds(registration) {
+  return ((registration && registration.squad) || []).map(entry => idString(entry.player_id));
+}
+
+/**
+ * Players who may appear in a team's results for an event: its squad, or
+ * every active member for registrations made before squads existed.
+ * @param {Object} event - Event with team_registrations
+ * @param {Object} team - Team document with members
+ * @returns {string[]}
+ */
+function eligiblePlayerIds(event, team) {
+  const registration = ((event && event.team_registrations) || [])
+    .find(reg => reg.team_id && idString(reg.team_id) === idString(team._id));
+  const squad = squadIds(registration);
+  return squad.length > 0 ? squad : activeMemberIds(team);
+}
+
+async function loadSquads(eventId) {
+  if (!eventId) return null;
+  const Event = require('../models/schemas/eventSchema');
+  return Event.findById(eventId).select('team_registrations.team_id team_registrations.squad').lean();
+}
+
+/**
+ * Eligible players of one team for an event's matches.
+ * @param {string|null} eventId - Friendlies have no event
+ * @param {Object} team - Team document with members
+ * @returns {Promise<string[]>}
+ */
+async function getTeamRoster(eventId, team) {
+  return eligiblePlayerIds(await loadSquads(eventId), team);
+}
+
+/**
+ * Eligible players for both teams of a match, keyed by team id.
+ * @param {Object} match - Match with team_a and team_b populated with members
+ * @returns {Promise<Object<string, string[]>>}
+ */
+async function getMatchRosters(match) {
+  const eventId = idOf(match.event_id);
+  const event = await loadSquads(eventId);
+
+  const rosters = {};
+  [match.team_a, match.team_b].filter(Boolean).forEach(team => {
+    rosters[idString(team._id)] = eligiblePlayerIds(event, team);
+  });
+  return rosters;
+}
+
+module.exports = {
+  MAX_SQUAD_SIZE,
+  validateSquadSize,
+  getSquadSize,
+  isSquadLocked,
+  activeMemberIds,
+  validateSquad,
+  validateSubstitution,
+  applySubstitution,
+  squadIds,
+  eligiblePlayerIds,
+  getTeamRoster,
+  getMatchRosters
+};
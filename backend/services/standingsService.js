@@ -0,0 +1,389 @@
+/**
+ * Standings Service
+ * Ranks an event's teams from its verified matches using the event's scoring rules.
+ *
+ * Scoring rules = points per result + an ordered list of ranking criteria.
+ * Every event falls back to the preset for its sport; organizers can override
+ * any part of it through event.scoring_rules.
+ *
+ * Ranking: teams are ordered by the first criterion, and each group still level
+ * is split by the next one. Head-to-head is evaluated only among the teams that
+ * are level at that point (a mini-league of their matches against each other).
+ */
+
+const crypto = require('crypto');
+const Event = require('../models/schemas/eventSchema');
+
+const TIE_BREAKERS = [
+  'points',
+  'head_to_head',
+  'goal_difference',
+  'goals_for',
+  'fair_play',
+  'net_run_rate',
+  'win_percentage',
+  'set_ratio',
+  'seed'
+];
+
+// Criteria where the lower value ranks higher
+const ASCENDING_TIE_BREAKERS = ['fair_play', 'seed'];
+
+// Optional per-match details some criteria need (cricket overs, disciplinary points)
+const RESULT_DETAIL_FIELDS = ['overs_a', 'overs_b', 'fair_play_a', 'fair_play_b'];
+
+const GOAL_BASED = {
+  points: { win: 3, draw: 1, loss: 0 },
+  allow_draws: true,
+  tie_breakers: ['points', 'head_to_head', 'goal_difference', 'goals_for', 'fair_play', 'seed']
+};
+
+const SET_BASED = {
+  points: { win: 2, draw: 0, loss: 0 },
+  allow_draws: false,
+  tie_breakers: ['points', 'head_to_head', 'set_ratio', 'seed']
+};
+
+// Keyed by lower-cased sport_type
+const SCORING_PRESETS = {
+  default: GOAL_BASED,
+  football: GOAL_BASED,
+  hockey: GOAL_BASED,
+  cricket: {
+    points: { win: 2, draw: 1, loss: 0 },
+    allow_draws: true,
+    tie_breakers: ['points', 'net_run_rate', 'head_to_head', 'seed']
+  },
+  basketball: {
+    points: { win: 2, draw: 0, loss: 1 },
+    allow_draws: false,
+    tie_breakers: ['win_percentage', 'head_to_head', 'goal_difference', 'goals_for', 'seed']
+  },
+  badminton: SET_BASED,
+  tennis: SET_BASED,
+  'table tennis': SET_BASED,
+  volleyball: SET_BASED
+};
+
+/**
+ * @param {string} sportType
+ * @returns {string} Preset name for the sport ('default' if there is none)
+ */
+function getPresetForSport(sportType) {
+  const key = String(sportType || '').trim().toLowerCase();
+  return SCORING_PRESETS[key] ? key : 'default';
+}
+
+function numberOr(value, fallback) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Effective scoring rules for an event: its stored overrides on top of the preset.
+ *
+ * @param {object} event - Needs sport_type and (optionally) scoring_rules
+ * @returns {{ preset: string, points: {win: number, draw: number, loss: number}, allow_draws: boolean, tie_breakers: string[] }}
+ */
+function resolveScoringRules(event) {
+  const stored = (event && event.scoring_rules) || {};
+  const presetName = stored.preset && SCORING_PRESETS[stored.preset]
+    ? stored.preset
+    : getPresetForSport(event && event.sport_type);
+  const preset = SCORING_PRESETS[presetName];
+  const points = stored.points || {};
+
+  return {
+    preset: presetName,
+    points: {
+      win: numberOr(points.win, preset.points.win),
+      draw: numberOr(points.draw, preset.points.draw),
+      loss: numberOr(points.loss, preset.points.loss)
+    },
+    allow_draws: typeof stored.allow_draws === 'boolean' ? stored.allow_draws : preset.allow_draws,
+    tie_breakers: Array.isArray(stored.tie_breakers) && stored.tie_breakers.length > 0
+      ? [...stored.tie_breakers]
+      : [...preset.tie_breakers]
+  };
+}
+
+/**
+ * Check a scoring rules payload before it is stored on an event.
+ *
+ * @param {object} rules - { preset, points: {win, draw, loss}, allow_draws, tie_breakers }
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateScoringRules(rules) {
+  const errors = [];
+
+  if (!rules || typeof rules !== 'object') {
+    return ['Scoring rules must be an object'];
+  }
+
+  if (rules.preset !== undefined && rules.preset !== null && !SCORING_PRESETS[rules.preset]) {
+    errors.push(`Unknown scoring preset: ${rules.preset}`);
+  }
+
+  if (rules.points !== undefined && rules.points !== null) {
+    ['win', 'draw', 'loss'].forEach(result => {
+      const value = rules.points[result];
+      if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+        errors.push(`Points for a ${result} must be a non-negative number`);
+      }
+    });
+  }
+
+  if (rules.allow_draws !== undefined && typeof rules.allow_draws !== 'boolean') {
+    errors.push('allow_draws must be true or false');
+  }
+
+  if (rules.tie_breakers !== undefined) {
+    if (!Array.isArray(rules.tie_breakers)) {
+      errors.push('tie_breakers must be an array');
+    } else {
+      rules.tie_breakers
+        .filter(key => !TIE_BREAKERS.includes(key))
+        .forEach(key => errors.push(`Unknown tie-breaker: ${key}`));
+
+      if (new Set(rules.tie_breakers).size !== rules.tie_breakers.length) {
+        errors.push('Each tie-breaker can only be used once');
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Read the optional result details from a request body.
+ *
+ * @param {object} body
+ * @returns {{ details: object, error: string|null }}
+ */
+function parseResultDetails(body = {}) {
+  const details = {};
+
+  for (const field of RESULT_DETAIL_FIELDS) {
+    if (body[field] === undefined || body[field] === null || body[field] === '') continue;
+
+    const value = Number(body[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { details: {}, error: `Invalid value for ${field}` };
+    }
+    details[field] = value;
+  }
+
+  return { details, error: null };
+}
+
+/**
+ * Cricket overs are written as overs.balls (19.3 = 19 overs and 3 balls).
+ * @param {number} overs
+ * @returns {number} Balls bowled
+ */
+function oversToBalls(overs) {
+  if (!overs) return 0;
+  const whole = Math.floor(overs);
+  const balls = Math.round((overs - whole) * 10);
+  return whole * 6 + Math.min(balls, 5);
+}
+
+function round(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+function getOutcome(scoreFor, scoreAgainst) {
+  if (scoreFor > scoreAgainst) return 'win';
+  if (scoreFor < scoreAgainst) return 'loss';
+  return 'draw';
+}
+
+function emptyRow(team) {
+  return {
+    team_id: team.id,
+    team_name: team.name,
+    played: 0,
+    won: 0,
+    drawn: 0,
+    lost: 0,
+    goals_for: 0,
+    goals_against: 0,
+    goal_difference: 0,
+    points: 0,
+    fair_play_points: 0,
+    balls_faced: 0,
+    balls_bowled: 0
+  };
+}
+
+function addResult(row, scoreFor, scoreAgainst, oversFaced, oversBowled, fairPlay, rules) {
+  const outcome = getOutcome(scoreFor, scoreAgainst);
+
+  row.played++;
+  row.goals_for += scoreFor;
+  row.goals_against += scoreAgainst;
+  row.points += rules.points[outcome];
+  row.fair_play_points += fairPlay || 0;
+  row.balls_faced += oversToBalls(oversFaced);
+  row.balls_bowled += oversToBalls(oversBowled);
+
+  if (outcome === 'win') row.won++;
+  else if (outcome === 'loss') row.lost++;
+  else row.drawn++;
+}
+
+function coinTossValue(teamId, salt) {
+  return crypto.createHash('sha1').update(`${salt}:${teamId}`).digest('hex');
+}
+
+/**
+ * Value of a criterion for a row. Head-to-head and seed depend on the group / event,
+ * so they are computed in rankGroup.
+ */
+function criterionValue(row, key) {
+  switch (key) {
+    case 'points': return row.points;
+    case 'goal_difference': return row.goal_difference;
+    case 'goals_for': return row.goals_for;
+    case 'fair_play': return row.fair_play_points;
+    case 'net_run_rate': return row.net_run_rate;
+    case 'win_percentage': return row.win_percentage;
+    case 'set_ratio':
+      if (row.goals_against === 0) return row.goals_for > 0 ? Infinity : 0;
+      return row.goals_for / row.goals_against;
+    default: return 0;
+  }
+}
+
+function headToHeadPoints(group, matches, rules) {
+  const ids = new Set(group.map(row => row.team_id));
+  const points = new Map(group.map(row => [row.team_id, 0]));
+
+  matches.forEach(match => {
+    const teamA = String(match.team_a);
+    const teamB = String(match.team_b);
+    if (!ids.has(teamA) || !ids.has(teamB)) return;
+
+    points.set(teamA, points.get(teamA) + rules.points[getOutcome(match.score_a, match.score_b)]);
+    points.set(teamB, points.get(teamB) + rules.points[getOutcome(match.score_b, match.score_a)]);
+  });
+
+  return points;
+}
+
+function rankGroup(group, depth, context) {
+  const { rules, matches, salt } = context;
+
+  if (group.length <= 1) {
+    return group;
+  }
+
+  if (depth >= rules.tie_breakers.length) {
+    // Nothing left to separate them: keep a stable alphabetical order
+    return [...group].sort((a, b) => String(a.team_name).localeCompare(String(b.team_name)));
+  }
+
+  const key = rules.tie_breakers[depth];
+  let values;
+
+  if (key === 'head_to_head') {
+    values = headToHeadPoints(group, matches, rules);
+  } else if (key === 'seed') {
+    values = new Map(group.map(row => [row.team_id, coinTossValue(row.team_id, salt)]));
+  } else {
+    values = new Map(group.map(row => [row.team_id, criterionValue(row, key)]));
+  }
+
+  const ascending = ASCENDING_TIE_BREAKERS.includes(key);
+  const sorted = [...group].sort((a, b) => {
+    const va = values.get(a.team_id);
+    const vb = values.get(b.team_id);
+    if (va === vb) return 0;
+    const aFirst = ascending ? va < vb : va > vb;
+    return aFirst ? -1 : 1;
+  });
+
+  const ranked = [];
+  let level = [];
+  sorted.forEach((row, index) => {
+    if (index > 0 && values.get(row.team_id) !== values.get(sorted[index - 1].team_id)) {
+      ranked.push(...rankGroup(level, depth + 1, context));
+      level = [];
+    }
+    level.push(row);
+  });
+  ranked.push(...rankGroup(level, depth + 1, context));
+
+  return ranked;
+}
+
+/**
+ * Build a ranked standings table.
+ *
+ * @param {Array<{id: string, name: string}>} teams - Teams in the table
+ * @param {Array<object>} matches - Verified matches (team_a, team_b, score_a, score_b and optional result details)
+ * @param {object} rules - From resolveScoringRules
+ * @param {object} [options]
+ * @param {string} [options.salt=''] - Makes the coin-toss seed differ between events (usually the event ID)
+ * @returns {Array<object>} Rows in rank order with a 1-based `position`
+ */
+function computeStandings(teams, matches, rules, options = {}) {
+  const rows = new Map(teams.map(team => [String(team.id), emptyRow({ id: String(team.id), name: team.name })]));
+
+  matches.forEach(match => {
+    const teamA = rows.get(String(match.team_a));
+    const teamB = rows.get(String(match.team_b));
+
+    if (teamA) {
+      addResult(teamA, match.score_a, match.score_b, match.overs_a, match.overs_b, match.fair_play_a, rules);
+    }
+    if (teamB) {
+      addResult(teamB, match.score_b, match.score_a, match.overs_b, match.overs_a, match.fair_play_b, rules);
+    }
+  });
+
+  const table = [...rows.values()].map(row => {
+    const { balls_faced: ballsFaced, balls_bowled: ballsBowled, ...stats } = row;
+    const runRateFor = ballsFaced > 0 ? stats.goals_for / (ballsFaced / 6) : 0;
+    const runRateAgainst = ballsBowled > 0 ? stats.goals_against / (ballsBowled / 6) : 0;
+
+    return {
+      ...stats,
+      goal_difference: stats.goals_for - stats.goals_against,
+      net_run_rate: round(runRateFor - runRateAgainst, 3),
+      win_percentage: stats.played > 0 ? round(((stats.won + stats.drawn / 2) / stats.played) * 100, 1) : 0,
+      set_ratio: stats.goals_against > 0 ? round(stats.goals_for / stats.goals_against, 3) : null
+    };
+  });
+
+  const validMatches = matches.filter(match => match.team_a && match.team_b);
+  return rankGroup(table, 0, { rules, matches: validMatches, salt: options.salt || '' })
+    .map((row, index) => ({ position: index + 1, ...row }));
+}
+
+/**
+ * Whether an event's scoring rules accept drawn results.
+ *
+ * @param {string|null} eventId
+ * @returns {Promise<boolean>}
+ */
+async function drawsAllowedForEvent(eventId) {
+  if (!eventId) {
+    return true;
+  }
+  const event = await Event.findById(eventId).select('sport_type scoring_rules').lean();
+  return !event || resolveScoringRules(event).allow_draws;
+}
+
+module.exports = {
+  TIE_BREAKERS,
+  SCORING_PRESETS,
+  RESULT_DETAIL_FIELDS,
+  getPresetForSport,
+  resolveScoringRules,
+  validateScoringRules,
+  parseResultDetails,
+  oversToBalls,
+  computeStandings,
+  drawsAllowedForEvent
+};
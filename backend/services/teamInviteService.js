@@ -0,0 +1,143 @@
+/**
+ * Team invitations
+ *
+ * A manager can invite a player directly, by account or by email, or hand out
+ * a shareable invite link whose code expires and can be redeemed a limited
+ * number of times. Invitations wait for the player to accept them from their
+ * dashboard; accepting adds the player to the team like an approved join
+ * request, so the one-team-per-sport rule still applies.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_INVITATION_DAYS = 7;
+const MAX_INVITATION_DAYS = 30;
+const DEFAULT_LINK_HOURS = 72;
+const MAX_LINK_HOURS = 30 * 24;
+const MAX_LINK_USES = 100;
+
+// No 0/O or 1/I so codes survive being read out or typed by hand
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+/**
+ * @returns {string} random invite code
+ */
+function generateInviteCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+  }
+  return code;
+}
+
+/**
+ * @param {string} code - As typed or taken from a link
+ * @returns {string} code in stored form
+ */
+function normalizeInviteCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * @param {string} email
+ * @returns {string} lowercased email, or '' when it is not an email address
+ */
+function normalizeEmail(email) {
+  const value = String(email || '').trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? value : '';
+}
+
+function wholeNumberInRange(value, fallback, max) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 1 && number <= max ? number : null;
+}
+
+/**
+ * Check the manager's options for a direct invitation.
+ * @param {{expires_in_days?: *}} options
+ * @returns {{error: string|null, days?: number}}
+ */
+function validateInvitationOptions(options = {}) {
+  const days = wholeNumberInRange(options.expires_in_days, DEFAULT_INVITATION_DAYS, MAX_INVITATION_DAYS);
+  if (days === null) {
+    return { error: `Invitations can last between 1 and ${MAX_INVITATION_DAYS} days` };
+  }
+  return { error: null, days };
+}
+
+/**
+ * Check the manager's options for an invite link.
+ * @param {{expires_in_hours?: *, max_uses?: *}} options
+ * @returns {{error: string|null, hours?: number, maxUses?: number}}
+ */
+function validateLinkOptions(options = {}) {
+  const hours = wholeNumberInRange(options.expires_in_hours, DEFAULT_LINK_HOURS, MAX_LINK_HOURS);
+  if (hours === null) {
+    return { error: `Invite links can last between 1 and ${MAX_LINK_HOURS} hours` };
+  }
+  const maxUses = wholeNumberInRange(options.max_uses, 1, MAX_LINK_USES);
+  if (maxUses === null) {
+    return { error: `Invite links can be used between 1 and ${MAX_LINK_USES} times` };
+  }
+  return { error: null, hours, maxUses };
+}
+
+/**
+ * Status of an invitation as the player sees it: pending invitations past
+ * their expiry read as expired.
+ * @param {{status: string, expires_at: Date}} invitation
+ * @param {Date} [now]
+ * @returns {string}
+ */
+function invitationStatus(invitation, now = new Date()) {
+  if (invitation.status === 'pending' && invitation.expires_at &&
+      new Date(invitation.expires_at).getTime() <= now.getTime()) {
+    return 'expired';
+  }
+  return invitation.status;
+}
+
+/**
+ * Why an invite link can no longer be redeemed.
+ * @param {{revoked: boolean, expires_at: Date, max_uses: number, uses: number}} link
+ * @param {Date} [now]
+ * @returns {string|null} reason, or null when the link still works
+ */
+function linkUnavailableReason(link, now = new Date()) {
+  if (!link) return 'This invite code is not valid';
+  if (link.revoked) return 'This invite link has been revoked';
+  if (link.expires_at && new Date(link.expires_at).getTime() <= now.getTime()) {
+    return 'This invite link has expired';
+  }
+  if ((link.uses || 0) >= (link.max_uses || 1)) {
+    return 'This invite link has reached its usage limit';
+  }
+  return null;
+}
+
+/**
+ * @param {Date} now
+ * @param {number} hours
+ */
+function addHours(now, hours) {
+  return new Date(now.getTime() + hours * 60 * 60 * 1000);
+}
+
+module.exports = {
+  DEFAULT_INVITATION_DAYS,
+  MAX_INVITATION_DAYS,
+  DEFAULT_LINK_HOURS,
+  MAX_LINK_HOURS,
+  MAX_LINK_USES,
+  generateInviteCode,
+  normalizeInviteCode,
+  normalizeEmail,
+  validateInvitationOptions,
+  validateLinkOptions,
+  invitationStatus,
+  linkUnavailableReason,
+  addHours
+};
@@ -0,0 +1,184 @@
+/**
+ * Team archiving and ownership transfer
+ *
+ * Teams are never deleted: matches, standings, registrations and commissions
+ * keep pointing at them. A manager archives a team instead, which hides it
+ * from browsing and search and closes it to new players, and can restore it
+ * later. Ownership moves to another manager only once that manager accepts
+ * the transfer, and an unanswered transfer lapses after a week.
+ */
+
+const { idString } = require('../utils/ids');
+
+const TRANSFER_EXPIRY_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Mongo filter for teams that have not been archived
+const ACTIVE_TEAM_FILTER = { archived_at: null };
+
+/**
+ * @param {Object} team
+ * @returns {boolean}
+ */
+function isArchived(team) {
+  return Boolean(team && team.archived_at);
+}
+
+/**
+ * Only the team's manager can archive, restore or hand over a team;
+ * co-managers cannot. Works with team documents and Team.getTeamById.
+ * @param {Object} team
+ * @param {string} userId
+ * @returns {boolean}
+ */
+function isOwner(team, userId) {
+  const managerId = team && (team.manager_id || (team.manager && team.manager.id));
+  return Boolean(managerId && userId) && idString(managerId) === String(userId);
+}
+
+/**
+ * @param {Object|null} transfer - team.ownership_transfer
+ * @param {Date} [now]
+ * @returns {'pending'|'expired'|null} null when there is no transfer
+ */
+function transferStatus(transfer, now = new Date()) {
+  if (!transfer || !transfer.to_user_id) return null;
+  return transfer.expires_at && new Date(transfer.expires_at).getTime() <= now.getTime()
+    ? 'expired'
+    : 'pending';
+}
+
+/**
+ * Archive a team: closes its pending join requests, invitations, invite
+ * links and ownership transfer.
+ * @param {Object} team - Changed in place
+ * @param {string} userId - Who archived it
+ * @param {Date} [now]
+ * @returns {string|null} error, or null when the team was archived
+ */
+function archive(team, userId, now = new Date()) {
+  if (isArchived(team)) {
+    return 'This team is already archived';
+  }
+
+  team.archived_at = now;
+  team.archived_by = userId;
+  team.ownership_transfer = null;
+  (team.join_requests || []).forEach(request => {
+    if (request.status === 'pending') request.status = 'rejected';
+  });
+  (team.invitations || []).forEach(invitation => {
+    if (invitation.status === 'pending') {
+      invitation.status = 'revoked';
+      invitation.responded_at = now;
+    }
+  });
+  (team.invite_links || []).forEach(link => {
+    link.revoked = true;
+  });
+  return null;
+}
+
+/**
+ * @param {Object} team - Changed in place
+ * @returns {string|null} error, or null when the team was restored
+ */
+function restore(team) {
+  if (!isArchived(team)) {
+    return 'This team is not archived';
+  }
+  team.archived_at = null;
+  team.archived_by = null;
+  return null;
+}
+
+/**
+ * Check a manager's request to hand a team over.
+ * @param {Object} team
+ * @param {string} fromUserId - Manager asking for the transfer
+ * @param {Object|null} recipient - User the team would go to
+ * @param {Date} [now]
+ * @returns {string|null} error, or null when the transfer can be requested
+ */
+function validateTransfer(team, fromUserId, recipient, now = new Date()) {
+  if (!isOwner(team, fromUserId)) {
+    return 'Only the team manager can transfer ownership';
+  }
+  if (isArchived(team)) {
+    return 'Restore the team before transferring it';
+  }
+  if (!recipient) {
+    return 'No account found with that email';
+  }
+  if (recipient.role !== 'manager') {
+    return 'Ownership can only be transferred to a manager account';
+  }
+  if (idString(recipient._id) === String(fromUserId)) {
+    return 'You already manage this team';
+  }
+  if (transferStatus(team.ownership_transfer, now) === 'pending') {
+    return 'A transfer is already waiting to be accepted. Cancel it first.';
+  }
+  return null;
+}
+
+/**
+ * Start a transfer; it waits for the recipient to accept it.
+ * @param {Object} team - Changed in place
+ * @param {string} fromUserId
+ * @param {string} toUserId
+ * @param {string} [message]
+ * @param {Date} [now]
+ */
+function requestTransfer(team, fromUserId, toUserId, message = '', now = new Date()) {
+  team.ownership_transfer = {
+    to_user_id: toUserId,
+    requested_by: fromUserId,
+    requested_at: now,
+    expires_at: new Date(now.getTime() + TRANSFER_EXPIRY_DAYS * DAY_MS),
+    message: String(message || '').trim().slice(0, 500)
+  };
+}
+
+/**
+ * Move the team to the recipient of its pending transfer.
+ * @param {Object} team - Changed in place
+ * @param {string} userId - User accepting the transfer
+ * @param {Date} [now]
+ * @returns {string|null} error, or null when the team changed hands
+ */
+function acceptTransfer(team, userId, now = new Date()) {
+  const transfer = team.ownership_transfer;
+  if (!transfer || idString(transfer.to_user_id) !== String(userId)) {
+    return 'Transfer not found';
+  }
+  if (transferStatus(transfer, now) !== 'pending') {
+    return 'This transfer has expired';
+  }
+  if (isArchived(team)) {
+    return 'This team has been archived';
+  }
+
+  team.ownership_history = team.ownership_history || [];
+  team.ownership_history.push({
+    from_user_id: team.manager_id,
+    to_user_id: transfer.to_user_id,
+    transferred_at: now
+  });
+  team.manager_id = transfer.to_user_id;
+  team.ownership_transfer = null;
+  return null;
+}
+
+module.exports = {
+  TRANSFER_EXPIRY_DAYS,
+  ACTIVE_TEAM_FILTER,
+  isArchived,
+  isOwner,
+  transferStatus,
+  archive,
+  restore,
+  validateTransfer,
+  requestTransfer,
+  acceptTransfer
+};
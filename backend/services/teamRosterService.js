@@ -0,0 +1,157 @@
+/**
+ * Team roster roles
+ *
+ * Every member carries a roster role, an optional jersey number that is
+ * unique among the team's active members, and a primary position. A team
+ * has at most one captain and one vice-captain. Co-managers are members the
+ * manager trusts to run the team: they can do the team's manager actions,
+ * but only the manager can appoint or remove them.
+ */
+
+const { idString } = require('../utils/ids');
+
+const ROSTER_ROLES = ['captain', 'vice_captain', 'player', 'co_manager'];
+
+// Roles only one active member can hold at a time
+const SINGLE_HOLDER_ROLES = ['captain', 'vice_captain'];
+
+const MAX_JERSEY_NUMBER = 99;
+const MAX_POSITION_LENGTH = 30;
+
+/**
+ * Whether a user can run a team: its manager, or an active co-manager.
+ * Works with team documents (manager_id, members[].player_id) and with the
+ * shape returned by Team.getTeamById (manager.id, members[].id).
+ * @param {Object} team
+ * @param {string} userId
+ * @returns {boolean}
+ */
+function canManageTeam(team, userId) {
+  if (!team || !userId) return false;
+  const managerId = team.manager_id || (team.manager && team.manager.id);
+  if (managerId && idString(managerId) === String(userId)) return true;
+  return isCoManager(team, userId);
+}
+
+/**
+ * @param {Object} team
+ * @param {string} userId
+ * @returns {boolean}
+ */
+function isCoManager(team, userId) {
+  return (team.members || []).some(member =>
+    idString(member.player_id || member.id) === String(userId) &&
+    (member.status || 'active') === 'active' &&
+    member.role === 'co_manager');
+}
+
+/**
+ * @param {*} value - Jersey number from a request; '' or null clears it
+ * @returns {{error: string|null, value?: number|null}}
+ */
+function parseJerseyNumber(value) {
+  if (value === undefined || value === null || value === '') {
+    return { error: null, value: null };
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0 || number > MAX_JERSEY_NUMBER) {
+    return { error: `Jersey number must be a whole number between 0 and ${MAX_JERSEY_NUMBER}` };
+  }
+  return { error: null, value: number };
+}
+
+/**
+ * @param {*} value
+ * @returns {{error: string|null, value?: string}}
+ */
+function parsePosition(value) {
+  const position = String(value || '').trim();
+  if (position.length > MAX_POSITION_LENGTH) {
+    return { error: `Position must be at most ${MAX_POSITION_LENGTH} characters` };
+  }
+  return { error: null, value: position };
+}
+
+/**
+ * First jersey number worn by more than one active member.
+ * @param {Array<{jersey_number: number, status: string}>} members
+ * @returns {number|null}
+ */
+function findDuplicateJersey(members) {
+  const seen = new Set();
+  for (const member of members || []) {
+    if ((member.status || 'active') !== 'active') continue;
+    if (member.jersey_number === null || member.jersey_number === undefined) continue;
+    if (seen.has(member.jersey_number)) return member.jersey_number;
+    seen.add(member.jersey_number);
+  }
+  return null;
+}
+
+/**
+ * Apply a roster update to one member. Giving someone the captaincy or
+ * vice-captaincy moves it: the previous holder goes back to player.
+ *
+ * @param {Array<Object>} members - Team members, changed in place
+ * @param {string} playerId
+ * @param {{role?: string, jersey_number?: *, position?: *}} update
+ * @param {{isManager: boolean}} actor - Whether the team's manager (not a co-manager) is acting
+ * @returns {{error: string|null, member?: Object}}
+ */
+function applyRosterUpdate(members, playerId, update, actor) {
+  const member = members.find(m => idString(m.player_id) === String(playerId) && (m.status || 'active') === 'active');
+  if (!member) {
+    return { error: 'Player is not an active member of this team' };
+  }
+
+  const { role } = update;
+  if (role !== undefined && !ROSTER_ROLES.includes(role)) {
+    return { error: `role must be one of: ${ROSTER_ROLES.join(', ')}` };
+  }
+  const touchesCoManager = role !== undefined && role !== member.role &&
+    (role === 'co_manager' || member.role === 'co_manager');
+  if (touchesCoManager && !actor.isManager) {
+    return { error: 'Only the team manager can appoint or remove co-managers' };
+  }
+
+  let jersey = { value: member.jersey_number };
+  if (update.jersey_number !== undefined) {
+    jersey = parseJerseyNumber(update.jersey_number);
+    if (jersey.error) return { error: jersey.error };
+    const taken = jersey.value !== null && members.some(m => m !== member &&
+      (m.status || 'active') === 'active' && m.jersey_number === jersey.value);
+    if (taken) {
+      return { error: `Jersey number ${jersey.value} is already taken on this team` };
+    }
+  }
+
+  let position = { value: member.position };
+  if (update.position !== undefined) {
+    position = parsePosition(update.position);
+    if (position.error) return { error: position.error };
+  }
+
+  if (role !== undefined) {
+    if (SINGLE_HOLDER_ROLES.includes(role)) {
+      members.forEach(m => {
+        if (m !== member && m.role === role) m.role = 'player';
+      });
+    }
+    member.role = role;
+  }
+  member.jersey_number = jersey.value;
+  member.position = position.value;
+
+  return { error: null, member };
+}
+
+module.exports = {
+  ROSTER_ROLES,
+  MAX_JERSEY_NUMBER,
+  canManageTeam,
+  isCoManager,
+  parseJerseyNumber,
+  parsePosition,
+  findDuplicateJersey,
+  applyRosterUpdate
+};
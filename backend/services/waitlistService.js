@@ -0,0 +1,242 @@
+/**
+ * Event waitlists
+ *
+ * Once an event holds max_teams active registrations, further teams can join
+ * its waitlist and keep their place in the queue. Whenever a spot opens (a
+ * registration is rejected, withdrawn or removed) the team at the front is
+ * offered it and has the event's acceptance window to take it and pay the
+ * entry fee. An offer that is declined or runs out passes to the next team.
+ *
+ * Waitlist entry statuses:
+ *   waiting  - in the queue
+ *   offered  - holding an open spot until offer_expires_at
+ *   accepted - took the spot; the team is registered
+ *   declined, expired, left - out of the queue
+ */
+
+const pricing = require('./pricingService');
+const { idString } = require('../utils/ids');
+
+// Registrations that take up one of the event's spots
+const ACTIVE_REGISTRATION_STATUSES = ['pending', 'approved', 'confirmed'];
+const DEFAULT_OFFER_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * @param {Object} event
+ * @returns {number} registrations holding a spot
+ */
+function activeRegistrationCount(event) {
+  return (event.team_registrations || [])
+    .filter(reg => ACTIVE_REGISTRATION_STATUSES.includes(reg.status))
+    .length;
+}
+
+/**
+ * @param {Object} entry - Waitlist entry
+ * @param {Date} [now]
+ * @returns {boolean} whether the entry holds an offer that has run out
+ */
+function isOfferExpired(entry, now = new Date()) {
+  return entry.status === 'offered' &&
+    Boolean(entry.offer_expires_at) &&
+    new Date(entry.offer_expires_at).getTime() <= now.getTime();
+}
+
+/**
+ * @param {Object} entry
+ * @param {Date} [now]
+ * @returns {boolean} whether the entry holds an offer that can still be accepted
+ */
+function hasOpenOffer(entry, now = new Date()) {
+  return entry.status === 'offered' && !isOfferExpired(entry, now);
+}
+
+/**
+ * Spots held by open waitlist offers count as taken.
+ * @param {Object} event
+ * @param {Date} [now]
+ * @returns {boolean} whether every spot is taken; events without max_teams never fill up
+ */
+function isFull(event, now = new Date()) {
+  if (!(event.max_teams > 0)) return false;
+  const held = (event.waitlist || []).filter(entry => hasOpenOffer(entry, now)).length;
+  return activeRegistrationCount(event) + held >= event.max_teams;
+}
+
+/**
+ * Teams still waiting for a spot, first in line first.
+ * @param {Object} event
+ * @returns {Array} waitlist entries
+ */
+function waitingEntries(event) {
+  return (event.waitlist || [])
+    .filter(entry => entry.status === 'waiting')
+    .sort((a, b) => new Date(a.joined_at) - new Date(b.joined_at));
+}
+
+/**
+ * @param {Object} event
+ * @param {string} teamId
+ * @returns {Object|undefined} the team's waitlist entry that is still in the queue
+ */
+function findEntry(event, teamId) {
+  return (event.waitlist || []).find(entry =>
+    idString(entry.team_id) === String(teamId) && ['waiting', 'offered'].includes(entry.status));
+}
+
+/**
+ * Where a team stands on the waitlist.
+ * @param {Object} event
+ * @param {string} teamId
+ * @param {Date} [now]
+ * @returns {{status: string, position: number|null, offer_expires_at: Date|null}|null}
+ *   position counts from 1 among waiting teams; null while the team holds an offer
+ */
+function waitlistPosition(event, teamId, now = new Date()) {
+  const entry = findEntry(event, teamId);
+  if (!entry) return null;
+
+  if (entry.status === 'offered') {
+    return isOfferExpired(entry, now)
+      ? { status: 'expired', position: null, offer_expires_at: entry.offer_expires_at }
+      : { status: 'offered', position: null, offer_expires_at: entry.offer_expires_at };
+  }
+
+  const position = waitingEntries(event).findIndex(waiting => idString(waiting.team_id) === String(teamId)) + 1;
+  return { status: 'waiting', position, offer_expires_at: null };
+}
+
+/**
+ * @param {Object} event
+ * @param {Date} [now]
+ * @returns {Date} when an offer made now runs out; never later than the event itself
+ */
+function offerExpiry(event, now = new Date()) {
+  const hours = event.waitlist_offer_hours || DEFAULT_OFFER_HOURS;
+  const expiry = new Date(now.getTime() + hours * HOUR_MS);
+  if (event.event_date && new Date(event.event_date) < expiry) {
+    return new Date(event.event_date);
+  }
+  return expiry;
+}
+
+/**
+ * The waiting teams that should be offered a spot now: one per open spot not
+ * already held by an open offer. Lapsed offers no longer hold a spot.
+ * @param {Object} event
+ * @param {Date} [now]
+ * @returns {Array} waitlist entries to offer, in queue order
+ */
+function entriesToOffer(event, now = new Date()) {
+  if (event.event_date && new Date(event.event_date) <= now) return [];
+  if (['cancelled', 'completed'].includes(event.status)) return [];
+
+  const waiting = waitingEntries(event);
+  if (!(event.max_teams > 0)) return waiting;
+
+  const held = (event.waitlist || []).filter(entry => hasOpenOffer(entry, now)).length;
+  const open = event.max_teams - activeRegistrationCount(event) - held;
+  return open > 0 ? waiting.slice(0, open) : [];
+}
+
+/**
+ * @param {Object} event
+ * @param {string} teamId
+ * @param {Date} [now]
+ * @returns {string|null} why the team cannot join the waitlist, or null
+ */
+function validateJoin(event, teamId, now = new Date()) {
+  if (['cancelled', 'completed'].includes(event.status)) {
+    return 'This event is no longer taking registrations';
+  }
+  if (event.registration_deadline && new Date(event.registration_deadline) < now) {
+    return 'Registration deadline has passed';
+  }
+  const registered = (event.team_registrations || []).some(reg =>
+    idString(reg.team_id) === String(teamId) && ACTIVE_REGISTRATION_STATUSES.includes(reg.status));
+  if (registered) {
+    return 'This team is already registered for this event';
+  }
+  if (findEntry(event, teamId)) {
+    return 'This team is already on the waitlist';
+  }
+  if (!isFull(event, now)) {
+    return 'This event still has open spots. Register the team directly.';
+  }
+  return null;
+}
+
+/**
+ * @param {Object} event
+ * @param {string} teamId
+ * @param {Date} [now]
+ * @returns {{error: string|null, entry?: Object}} the team's open offer
+ */
+function validateAcceptance(event, teamId, now = new Date()) {
+  const entry = findEntry(event, teamId);
+  if (!entry || entry.status !== 'offered') {
+    return { error: 'This team has no spot on offer for this event' };
+  }
+  if (isOfferExpired(entry, now)) {
+    return { error: 'This offer has expired' };
+  }
+  return { error: null, entry };
+}
+
+/**
+ * Email the manager of every team that was just offered a spot.
+ * @param {Object} event
+ * @param {Array} offers - Waitlist entries that were offered a spot
+ * @returns {Promise<number>} number of managers emailed
+ */
+async function notifyOfferedManagers(event, offers) {
+  if (offers.length === 0) return 0;
+
+  const Team = require('../models/schemas/teamSchema');
+  const { sendWaitlistOfferEmail } = require('../utils/emailService');
+
+  const teams = await Team.find({ _id: { $in: offers.map(entry => entry.team_id) } })
+    .select('name manager_id')
+    .populate('manager_id', 'email first_name last_name')
+    .lean();
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  // The current price tier, before any returning-team or promo discount
+  const { amount: entryFee } = pricing.quotePrice(event);
+  let notified = 0;
+  for (const entry of offers) {
+    const team = teams.find(t => idString(t._id) === idString(entry.team_id));
+    const manager = team && team.manager_id;
+    if (!manager || !manager.email) continue;
+
+    const result = await sendWaitlistOfferEmail(
+      manager.email,
+      manager.first_name || 'Manager',
+      event.title,
+      team.name,
+      entryFee,
+      entry.offer_expires_at,
+      `${frontendUrl}/manager/my-events`
+    );
+    if (result.success) notified++;
+  }
+  return notified;
+}
+
+module.exports = {
+  ACTIVE_REGISTRATION_STATUSES,
+  DEFAULT_OFFER_HOURS,
+  activeRegistrationCount,
+  isFull,
+  isOfferExpired,
+  hasOpenOffer,
+  waitingEntries,
+  findEntry,
+  waitlistPosition,
+  offerExpiry,
+  entriesToOffer,
+  validateJoin,
+  validateAcceptance,
+  notifyOfferedManagers
+};
@@ -276,8 +276,324 @@ const sendWelcomeEmail = async (toEmail, userName, userRole) => {
   }
 };
 
+/**
+ * Tell a team manager that a finalized event schedule has changed
+ * @param {string} toEmail - Recipient email address
+ * @param {string} userName - Manager's name
+ * @param {string} eventTitle - Event title
+ * @param {string} teamName - The manager's team
+ * @param {string[]} changes - One line per moved, added or cancelled match
+ * @returns {Promise}
+ */
+const sendScheduleChangeEmail = async (toEmail, userName, eventTitle, teamName, changes) => {
+  try {
+    const mainContent = `
+      <p style="margin: 0 0 15px 0;">The schedule for <strong>${eventTitle}</strong> has been updated by the organizer. These changes affect <strong>${teamName}</strong>:</p>
+
+      <ul style="background: #f7fafc; border-left: 4px solid #667eea; padding: 15px 15px 15px 35px; margin: 20px 0; border-radius: 4px;">
+        ${changes.map(change => `<li style="margin-bottom: 8px;">${change}</li>`).join('')}
+      </ul>
+
+      <p style="margin-bottom: 20px;">Please check your team's matches on SportsAmigo and let your players know.</p>
+    `;
+
+    const htmlBody = buildEmailHtml(
+      userName,
+      mainContent,
+      '#667eea', // Header Color 1 (Blue)
+      '#764ba2', // Header Color 2 (Purple)
+      '📅',
+      'Schedule Updated',
+      '#667eea' // Accent Color
+    );
+
+    const data = await sendEmail({
+      toEmail,
+      subject: `Schedule updated: ${eventTitle} - SportsAmigo`,
+      html: htmlBody,
+      text: `Hello ${userName},\n\nThe schedule for ${eventTitle} has changed for ${teamName}:\n\n${changes.join('\n')}\n\nBest regards,\nTeam SportsAmigo`
+    });
+
+    console.log('Schedule change email sent successfully. ID:', data.id);
+    return { success: true, messageId: data.id };
+  } catch (error) {
+    console.error('Error sending schedule change email:', error);
+    // A failed notification must not undo the schedule change
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Invite a player, or someone who has yet to sign up, to join a team
+ * @param {string} toEmail - Recipient email address
+ * @param {string} userName - Recipient's name, or 'there' when unknown
+ * @param {string} teamName - Team name
+ * @param {string} sportType - Team sport
+ * @param {string} managerName - Inviting manager's name
+ * @param {string} message - Optional note from the manager
+ * @param {string} actionUrl - Where the invitation can be accepted
+ * @returns {Promise}
+ */
+const sendTeamInvitationEmail = async (toEmail, userName, teamName, sportType, managerName, message, actionUrl) => {
+  try {
+    // The manager's note is free text, so keep it from injecting markup
+    const note = String(message || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    const mainContent = `
+      <p style="margin: 0 0 15px 0;"><strong>${managerName}</strong> has invited you to join <strong>${teamName}</strong> (${sportType}) on SportsAmigo.</p>
+
+      ${note ? `<p style="background: #f7fafc; border-left: 4px solid #38a169; padding: 15px; margin: 20px 0; border-radius: 4px; font-style: italic;">${note}</p>` : ''}
+
+      <p style="margin-bottom: 20px;">Sign in to accept or decline the invitation from your dashboard:</p>
+      <p style="text-align: center; margin: 25px 0;">
+        <a href="${actionUrl}" style="background: #38a169; color: #ffffff; padding: 12px 28px; border-radius: 6px; text-decoration: none; font-weight: 600;">View Invitation</a>
+      </p>
+    `;
+
+    const htmlBody = buildEmailHtml(
+      userName,
+      mainContent,
+      '#38a169', // Header Color 1 (Green)
+      '#2f855a', // Header Color 2 (Dark Green)
+      '🤝',
+      'Team Invitation',
+      '#38a169' // Accent Color
+    );
+
+    const data = await sendEmail({
+      toEmail,
+      subject: `You're invited to join ${teamName} - SportsAmigo`,
+      html: htmlBody,
+      text: `Hello ${userName},\n\n${managerName} has invited you to join ${teamName} (${sportType}) on SportsAmigo.\n${message ? `\n"${message}"\n` : ''}\nView the invitation: ${actionUrl}\n\nBest regards,\nTeam SportsAmigo`
+    });
+
+    console.log('Team invitation email sent successfully. ID:', data.id);
+    return { success: true, messageId: data.id };
+  } catch (error) {
+    console.error('Error sending team invitation email:', error);
+    // The invitation stays on the player's dashboard even if the email fails
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Warn a manager that confirmed availability for a match fell below the
+ * sport's minimum lineup
+ */
+const sendLowAvailabilityEmail = async (toEmail, userName, teamName, opponentName, matchDate, available, minimum, actionUrl) => {
+  try {
+    const when = new Date(matchDate).toLocaleString('en-US', {
+      weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+    });
+
+    const mainContent = `
+      <p style="margin: 0 0 15px 0;">Only <strong>${available}</strong> player${available === 1 ? ' has' : 's have'} confirmed they can play for <strong>${teamName}</strong> against <strong>${opponentName}</strong> on ${when}.</p>
+
+      <p style="background: #fffaf0; border-left: 4px solid #dd6b20; padding: 15px; margin: 20px 0; border-radius: 4px;">You need at least <strong>${minimum}</strong> players to field a lineup.</p>
+
+      <p style="margin-bottom: 20px;">Check who has answered the availability poll and follow up with the rest of the squad:</p>
+      <p style="text-align: center; margin: 25px 0;">
+        <a href="${actionUrl}" style="background: #dd6b20; color: #ffffff; padding: 12px 28px; border-radius: 6px; text-decoration: none; font-weight: 600;">View Availability</a>
+      </p>
+    `;
+
+    const htmlBody = buildEmailHtml(
+      userName,
+      mainContent,
+      '#dd6b20', // Header Color 1 (Orange)
+      '#c05621', // Header Color 2 (Dark Orange)
+      '⚠️',
+      'Lineup Warning',
+      '#dd6b20' // Accent Color
+    );
+
+    const data = await sendEmail({
+      toEmail,
+      subject: `${teamName} may be short of players vs ${opponentName} - SportsAmigo`,
+      html: htmlBody,
+      text: `Hello ${userName},\n\nOnly ${available} player(s) have confirmed they can play for ${teamName} against ${opponentName} on ${when}. You need at least ${minimum} to field a lineup.\n\nView availability: ${actionUrl}\n\nBest regards,\nTeam SportsAmigo`
+    });
+
+    console.log('Low availability email sent successfully. ID:', data.id);
+    return { success: true, messageId: data.id };
+  } catch (error) {
+    console.error('Error sending low availability email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Ask a manager to accept ownership of another manager's team
+ * @param {string} toEmail - Recipient email
+ * @param {string} userName - Recipient name
+ * @param {string} teamName - Team name
+ * @param {string} fromManager - Current manager's name
+ * @param {string} message - Optional note from the current manager
+ * @param {Date} expiresAt - When the offer lapses
+ * @param {string} actionUrl - Where the transfer can be accepted
+ * @returns {Promise}
+ */
+const sendTeamTransferEmail = async (toEmail, userName, teamName, fromManager, message, expiresAt, actionUrl) => {
+  try {
+    const note = String(message || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+    const until = new Date(expiresAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+    const mainContent = `
+      <p style="margin: 0 0 15px 0;"><strong>${fromManager}</strong> would like you to take over as manager of <strong>${teamName}</strong> on SportsAmigo.</p>
+
+      ${note ? `<p style="background: #f7fafc; border-left: 4px solid #3182ce; padding: 15px; margin: 20px 0; border-radius: 4px; font-style: italic;">${note}</p>` : ''}
+
+      <p style="margin-bottom: 20px;">Accepting gives you full control of the team, its roster and its event registrations. The offer is open until ${until}.</p>
+      <p style="text-align: center; margin: 25px 0;">
+        <a href="${actionUrl}" style="background: #3182ce; color: #ffffff; padding: 12px 28px; border-radius: 6px; text-decoration: none; font-weight: 600;">Review Transfer</a>
+      </p>
+    `;
+
+    const htmlBody = buildEmailHtml(
+      userName,
+      mainContent,
+      '#3182ce', // Header Color 1 (Blue)
+      '#2c5282', // Header Color 2 (Dark Blue)
+      '🔑',
+      'Team Ownership Transfer',
+      '#3182ce' // Accent Color
+    );
+
+    const data = await sendEmail({
+      toEmail,
+      subject: `Take over ${teamName}? - SportsAmigo`,
+      html: htmlBody,
+      text: `Hello ${userName},\n\n${fromManager} would like you to take over as manager of ${teamName} on SportsAmigo.\n${message ? `\n"${message}"\n` : ''}\nThe offer is open until ${until}. Review it: ${actionUrl}\n\nBest regards,\nTeam SportsAmigo`
+    });
+
+    console.log('Team transfer email sent successfully. ID:', data.id);
+    return { success: true, messageId: data.id };
+  } catch (error) {
+    console.error('Error sending team transfer email:', error);
+    // The transfer is still listed on the recipient's teams page
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Tell a waitlisted team's manager that a spot has opened for them
+ * @param {string} toEmail - Recipient email
+ * @param {string} userName - Recipient name
+ * @param {string} eventTitle - Event title
+ * @param {string} teamName - Team name
+ * @param {number} entryFee - Fee due on acceptance
+ * @param {Date} expiresAt - When the offer lapses
+ * @param {string} actionUrl - Where the offer can be accepted
+ * @returns {Promise}
+ */
+const sendWaitlistOfferEmail = async (toEmail, userName, eventTitle, teamName, entryFee, expiresAt, actionUrl) => {
+  try {
+    const until = new Date(expiresAt).toLocaleString('en-US', {
+      month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+    });
+    const fee = entryFee > 0 ? `pay the ₹${entryFee} entry fee` : 'confirm';
+
+    const mainContent = `
+      <p style="margin: 0 0 15px 0;">A spot has opened in <strong>${eventTitle}</strong> and <strong>${teamName}</strong> is next on the waitlist.</p>
+      <p style="margin-bottom: 20px;">Accept the spot and ${fee} by <strong>${until}</strong>. After that it goes to the next team in line.</p>
+      <p style="text-align: center; margin: 25px 0;">
+        <a href="${actionUrl}" style="background: #38a169; color: #ffffff; padding: 12px 28px; border-radius: 6px; text-decoration: none; font-weight: 600;">Claim the Spot</a>
+      </p>
+    `;
+
+    const htmlBody = buildEmailHtml(
+      userName,
+      mainContent,
+      '#38a169', // Header Color 1 (Green)
+      '#276749', // Header Color 2 (Dark Green)
+      '🎟️',
+      'A Spot Has Opened',
+      '#38a169' // Accent Color
+    );
+
+    const data = await sendEmail({
+      toEmail,
+      subject: `A spot opened in ${eventTitle} - SportsAmigo`,
+      html: htmlBody,
+      text: `Hello ${userName},\n\nA spot has opened in ${eventTitle} and ${teamName} is next on the waitlist.\nAccept it and ${fee} by ${until}: ${actionUrl}\nAfter that it goes to the next team in line.\n\nBest regards,\nTeam SportsAmigo`
+    });
+
+    console.log('Waitlist offer email sent successfully. ID:', data.id);
+    return { success: true, messageId: data.id };
+  } catch (error) {
+    console.error('Error sending waitlist offer email:', error);
+    // The offer is still shown on the manager's events page
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Remind a player to pay their share of a team's split entry fee
+ * @param {string} toEmail - Recipient email
+ * @param {string} userName - Recipient name
+ * @param {string} eventTitle - Event title
+ * @param {string} teamName - Team name
+ * @param {number} amount - The player's share
+ * @param {Date} dueAt - When the registration is released if the fee isn't in
+ * @param {string} actionUrl - Where the share can be paid
+ * @returns {Promise}
+ */
+const sendEntryFeeShareReminderEmail = async (toEmail, userName, eventTitle, teamName, amount, dueAt, actionUrl) => {
+  try {
+    const until = new Date(dueAt).toLocaleString('en-US', {
+      month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+    });
+
+    const mainContent = `
+      <p style="margin: 0 0 15px 0;"><strong>${teamName}</strong> is registering for <strong>${eventTitle}</strong> and the entry fee is split across the squad.</p>
+      <p style="margin-bottom: 20px;">Your share is <strong>₹${amount}</strong>. Please pay it from your wallet by <strong>${until}</strong>. The team's spot is only confirmed once everyone has paid, and it is released if the fee isn't in by then.</p>
+      <p style="text-align: center; margin: 25px 0;">
+        <a href="${actionUrl}" style="background: #dd6b20; color: #ffffff; padding: 12px 28px; border-radius: 6px; text-decoration: none; font-weight: 600;">Pay My Share</a>
+      </p>
+    `;
+
+    const htmlBody = buildEmailHtml(
+      userName,
+      mainContent,
+      '#dd6b20', // Header Color 1 (Orange)
+      '#9c4221', // Header Color 2 (Dark Orange)
+      '💳',
+      'Your Entry Fee Share',
+      '#dd6b20' // Accent Color
+    );
+
+    const data = await sendEmail({
+      toEmail,
+      subject: `Pay your share for ${eventTitle} - SportsAmigo`,
+      html: htmlBody,
+      text: `Hello ${userName},\n\n${teamName} is registering for ${eventTitle} and the entry fee is split across the squad.\nYour share is ₹${amount}. Pay it from your wallet by ${until}: ${actionUrl}\nThe spot is released if the fee isn't in by then.\n\nBest regards,\nTeam SportsAmigo`
+    });
+
+    console.log('Entry fee share reminder sent successfully. ID:', data.id);
+    return { success: true, messageId: data.id };
+  } catch (error) {
+    console.error('Error sending entry fee share reminder:', error);
+    // The share is still listed on the player's wallet page
+    return { success: false, error: error.message };
+  }
+};
+
 module.exports = {
   sendOTPEmail,
   sendPasswordResetOTPEmail,
-  sendWelcomeEmail
+  sendWelcomeEmail,
+  sendScheduleChangeEmail,
+  sendTeamInvitationEmail,
+  sendLowAvailabilityEmail,
+  sendTeamTransferEmail,
+  sendWaitlistOfferEmail,
+  sendEntryFeeShareReminderEmail
 };
\ No newline at end of file
@@ -0,0 +1,25 @@
+/**
+ * Ids as the services receive them: an ObjectId, an id string or a
+ * populated document.
+ */
+
+/**
+ * @param {*} value - ObjectId, id string or populated document
+ * @returns {*} the id itself, unchanged when it isn't a document
+ */
+function idOf(value) {
+    return value && value._id ? value._id : value;
+}
+
+/**
+ * @param {*} value - ObjectId, id string or populated document
+ * @returns {string} the id as a string, for comparing ids
+ */
+function idString(value) {
+    return String(idOf(value));
+}
+
+module.exports = {
+    idOf,
+    idString
+};
@@ -0,0 +1,39 @@
+/**
+ * Background jobs that sweep on a fixed interval while the server runs.
+ * Each job can be switched off with its environment variable set to 'off',
+ * e.g. when an external scheduler runs the sweep instead.
+ */
+
+function describeInterval(minutes) {
+    if (minutes === 60) return 'every hour';
+    if (minutes % 60 === 0) return `every ${minutes / 60} hours`;
+    return `every ${minutes} minutes`;
+}
+
+/**
+ * Run a sweep now and then on every interval. A failed sweep is logged and
+ * the next one runs as usual.
+ * @param {string} name - Log prefix, e.g. 'Waitlist'
+ * @param {Function} fn - Async sweep
+ * @param {Object} intervalEnv - { minutes, env } interval and the variable that disables the job
+ */
+function startIntervalJob(name, fn, { minutes, env }) {
+    if (process.env[env] === 'off') {
+        console.log(`[${name}] Disabled by ${env}=off`);
+        return;
+    }
+
+    const sweep = async () => {
+        try {
+            await fn();
+        } catch (err) {
+            console.error(`[${name}] Sweep failed:`, err.message);
+        }
+    };
+
+    console.log(`[${name}] Starting — will sweep ${describeInterval(minutes)}`);
+    sweep();
+    setInterval(sweep, minutes * 60 * 1000);
+}
+
+module.exports = { startIntervalJob };
@@ -0,0 +1,21 @@
+/**
+ * Auto-confirm job for submitted match results.
+ * Every 15 minutes, confirms pending results whose opposing manager did not
+ * confirm or dispute them within the event's confirmation window.
+ * Set RESULT_CONFIRMATION_JOB=off to disable.
+ */
+const { startIntervalJob } = require('./intervalJob');
+
+async function runResultConfirmationSweep() {
+    const Match = require('../models/match');
+    const confirmed = await Match.autoConfirmOverdueResults();
+    if (confirmed > 0) {
+        console.log(`[ResultConfirmation] Auto-confirmed ${confirmed} result(s)`);
+    }
+}
+
+function startResultConfirmationJob() {
+    startIntervalJob('ResultConfirmation', runResultConfirmationSweep, { minutes: 15, env: 'RESULT_CONFIRMATION_JOB' });
+}
+
+module.exports = { startResultConfirmationJob, runResultConfirmationSweep };
@@ -0,0 +1,21 @@
+/**
+ * Season carry-over job.
+ * Every hour, registers the teams of season editions that have been played
+ * for the next edition (seasons with carry-over turned on only).
+ * Set SEASON_JOB=off to disable.
+ */
+const { startIntervalJob } = require('./intervalJob');
+
+async function runSeasonSweep() {
+    const Season = require('../models/season');
+    const carried = await Season.carryOverDueEditions();
+    if (carried > 0) {
+        console.log(`[Season] Carried ${carried} team(s) over to their next edition`);
+    }
+}
+
+function startSeasonJob() {
+    startIntervalJob('Season', runSeasonSweep, { minutes: 60, env: 'SEASON_JOB' });
+}
+
+module.exports = { startSeasonJob, runSeasonSweep };
@@ -0,0 +1,22 @@
+/**
+ * Split entry fee job.
+ * Every hour, releases registrations whose split entry fee wasn't fully paid
+ * by its due date (returning the shares already paid) and reminds players
+ * who still owe their share, at most once a day each.
+ * Set SPLIT_PAYMENT_JOB=off to disable.
+ */
+const { startIntervalJob } = require('./intervalJob');
+
+async function runSplitPaymentSweep() {
+    const { sweepSplitPayments } = require('../controllers/eventPaymentController');
+    const { released, reminded } = await sweepSplitPayments();
+    if (released > 0 || reminded > 0) {
+        console.log(`[SplitPayment] Released ${released} unpaid registration(s), reminded ${reminded} player(s)`);
+    }
+}
+
+function startSplitPaymentJob() {
+    startIntervalJob('SplitPayment', runSplitPaymentSweep, { minutes: 60, env: 'SPLIT_PAYMENT_JOB' });
+}
+
+module.exports = { startSplitPaymentJob, runSplitPaymentSweep };
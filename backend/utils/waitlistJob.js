@@ -0,0 +1,21 @@
+/**
+ * Waitlist offer job.
+ * Every 15 minutes, closes waitlist offers whose acceptance window ran out
+ * and offers those spots to the next teams in line.
+ * Set WAITLIST_JOB=off to disable.
+ */
+const { startIntervalJob } = require('./intervalJob');
+
+async function runWaitlistSweep() {
+    const Event = require('../models/event');
+    const offered = await Event.expireWaitlistOffers();
+    if (offered > 0) {
+        console.log(`[Waitlist] Passed ${offered} lapsed offer(s) to the next team`);
+    }
+}
+
+function startWaitlistJob() {
+    startIntervalJob('Waitlist', runWaitlistSweep, { minutes: 15, env: 'WAITLIST_JOB' });
+}
+
+module.exports = { startWaitlistJob, runWaitlistSweep };
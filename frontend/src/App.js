@@ -15,6 +15,7 @@ import Signup from './pages/Signup';
 import Shop from './pages/Shop';
 import About from './pages/About';
 import Contact from './pages/Contact';
+import PublicProfile from './pages/PublicProfile';
 
 // Player Pages
 import PlayerDashboard from './pages/player/Dashboard';
@@ -22,6 +23,9 @@ import Profile from './pages/player/Profile';
 import PlayerEvents from './pages/player/BrowseEvents';
 import BrowseTeams from './pages/player/BrowseTeams';
 import TeamDetail from './pages/player/TeamDetail';
+import JoinTeam from './pages/player/JoinTeam';
+import FreeAgent from './pages/player/FreeAgent';
+import Career from './pages/player/Career';
 import Wallet from './pages/player/Wallet';
 import MyEvents from './pages/player/MyEvents';
 import MyTeams from './pages/player/MyTeams';
@@ -53,6 +57,7 @@ import OrganizerMyEvents from './pages/organizer/MyEvents';
 import OrganizerProfile from './pages/organizer/OrganizerProfile';
 import EventMatches from './pages/organizer/EventMatches';
 import EventLeaderboard from './pages/organizer/EventLeaderboard';
+import SeasonDetails from './pages/organizer/SeasonDetails';
 import ScheduleMatches from './pages/organizer/ScheduleMatches';
 import OrganizerServices from './pages/organizer/OrganizerServices';
 import SubscriptionManagement from './pages/organizer/SubscriptionManagement';
@@ -135,6 +140,7 @@ const AppContent = () => {
         <Route path="/about" element={<About />} />
         <Route path="/contact" element={<Contact />} />
         <Route path="/shop" element={<Shop />} />
+        <Route path="/p/:slug" element={<PublicProfile />} />
 
         {/* Admin & Coordinator Login Routes */}
         <Route path="/admin/login" element={<AdminLogin />} />
@@ -206,6 +212,30 @@ const AppContent = () => {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/player/free-agent"
+          element={
+            <ProtectedRoute allowedRoles={['player']}>
+              <FreeAgent />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/player/career"
+          element={
+            <ProtectedRoute allowedRoles={['player']}>
+              <Career />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/player/join/:code"
+          element={
+            <ProtectedRoute allowedRoles={['player']}>
+              <JoinTeam />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="/player/event/:eventId"
           element={
@@ -275,7 +305,7 @@ const AppContent = () => {
         <Route
           path="/manager/team/:id/manage"
           element={
-            <ProtectedRoute allowedRoles={['manager']}>
+            <ProtectedRoute allowedRoles={['manager', 'player']}>
               <TeamManage />
             </ProtectedRoute>
           }
@@ -339,7 +369,7 @@ const AppContent = () => {
         <Route
           path="/manager/team/:teamId/matches"
           element={
-            <ProtectedRoute allowedRoles={['manager']}>
+            <ProtectedRoute allowedRoles={['manager', 'player']}>
               <TeamMatches />
             </ProtectedRoute>
           }
@@ -426,6 +456,14 @@ const AppContent = () => {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/organizer/season/:id"
+          element={
+            <ProtectedRoute allowedRoles={['organizer']}>
+              <SeasonDetails />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="/organizer/services"
           element={
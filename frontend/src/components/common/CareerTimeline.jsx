@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import '../../styles/CareerTimeline.css';
+
+const OUTCOME_LABELS = { win: 'W', draw: 'D', loss: 'L' };
+
+const formatDate = (date) => new Date(date).toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+});
+
+const describeEntry = (entry) => {
+    switch (entry.type) {
+        case 'joined_team':
+            return { icon: 'fa-user-plus', title: `Joined ${entry.team_name}`, detail: entry.sport };
+        case 'left_team':
+            return { icon: 'fa-sign-out-alt', title: `Left ${entry.team_name}`, detail: entry.sport };
+        case 'team_archived':
+            return { icon: 'fa-archive', title: `${entry.team_name} was archived`, detail: entry.sport };
+        case 'event':
+            return {
+                icon: entry.champion ? 'fa-trophy' : 'fa-calendar-check',
+                title: entry.champion ? `Won ${entry.name}` : `Played ${entry.name}`,
+                detail: [entry.team_name, entry.location].filter(Boolean).join(' • ')
+            };
+        default:
+            return {
+                icon: 'fa-futbol',
+                title: `${entry.team_name} ${entry.score_for} - ${entry.score_against} ${entry.opponent}`,
+                detail: entry.stats
+                    ? Object.entries(entry.stats)
+                        .filter(([, value]) => value)
+                        .map(([key, value]) => `${value} ${key.replace(/_/g, ' ')}`)
+                        .join(', ')
+                    : ''
+            };
+    }
+};
+
+/**
+ * A player's career: totals, season summaries and the timeline of teams,
+ * events and matches. Used on the player's own career page and on the
+ * public profile when the career is published.
+ */
+const CareerTimeline = ({ career }) => {
+    const [season, setSeason] = useState('all');
+    const [showMatches, setShowMatches] = useState(true);
+
+    const entries = career.timeline
+        .filter(entry => season === 'all' || entry.season === season)
+        .filter(entry => showMatches || entry.type !== 'match')
+        .slice()
+        .reverse();
+
+    return (
+        <div className="career-timeline">
+            <div className="career-totals">
+                <div><strong>{career.totals.teams}</strong><span>Teams</span></div>
+                <div><strong>{career.totals.events}</strong><span>Events</span></div>
+                <div><strong>{career.totals.championships}</strong><span>Titles</span></div>
+                <div><strong>{career.totals.played}</strong><span>Matches</span></div>
+                <div>
+                    <strong>{career.totals.won}-{career.totals.drawn}-{career.totals.lost}</strong>
+                    <span>W-D-L</span>
+                </div>
+            </div>
+
+            <h3 className="career-section-title">Seasons</h3>
+            {career.seasons.length === 0 ? (
+                <p className="career-muted">No seasons yet. Join a team to start your career.</p>
+            ) : (
+                <div className="career-seasons">
+                    {career.seasons.map(summary => (
+                        <div
+                            key={summary.season}
+                            className={`career-season ${season === summary.season ? 'selected' : ''}`}
+                            onClick={() => setSeason(season === summary.season ? 'all' : summary.season)}
+                        >
+                            <div className="career-season-header">
+                                <h4>{summary.season}</h4>
+                                {summary.championships > 0 && (
+                                    <span className="career-badge">
+                                        <i className="fa fa-trophy"></i> {summary.championships}
+                                    </span>
+                                )}
+                            </div>
+                            <p className="career-muted">{summary.teams.join(', ')}</p>
+                            <p>
+                                {summary.events} event{summary.events !== 1 ? 's' : ''} • {summary.played} match
+                                {summary.played !== 1 ? 'es' : ''} ({summary.won}W {summary.drawn}D {summary.lost}L)
+                            </p>
+                            {summary.stats.map(sport => (
+                                <p key={sport.sport} className="career-season-stats">
+                                    {sport.fields
+                                        .map(field => `${sport.totals[field.key]} ${field.label.toLowerCase()}`)
+                                        .join(' • ')}
+                                </p>
+                            ))}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div className="career-timeline-header">
+                <h3 className="career-section-title">
+                    Timeline{season !== 'all' ? ` — ${season}` : ''}
+                </h3>
+                <label className="career-toggle">
+                    <input type="checkbox" checked={showMatches} onChange={(e) => setShowMatches(e.target.checked)} />
+                    Show matches
+                </label>
+            </div>
+            {entries.length === 0 ? (
+                <p className="career-muted">Nothing to show yet.</p>
+            ) : (
+                <ul className="career-entries">
+                    {entries.map((entry, index) => {
+                        const { icon, title, detail } = describeEntry(entry);
+                        return (
+                            <li key={`${entry.type}-${index}`} className={`career-entry ${entry.type}`}>
+                                <span className="career-entry-icon"><i className={`fa ${icon}`}></i></span>
+                                <div className="career-entry-body">
+                                    <span className="career-entry-date">{formatDate(entry.date)}</span>
+                                    <span className="career-entry-title">{title}</span>
+                                    {detail && <span className="career-muted">{detail}</span>}
+                                </div>
+                                {entry.type === 'match' && (
+                                    <span className={`career-outcome ${entry.outcome}`}>
+                                        {OUTCOME_LABELS[entry.outcome]}
+                                    </span>
+                                )}
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default CareerTimeline;
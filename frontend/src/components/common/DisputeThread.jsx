@@ -0,0 +1,239 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import '../../styles/DisputeThread.css';
+import { API_BASE_URL } from '../../utils/constants';
+
+const AUDIT_LABELS = {
+    submitted: 'Result submitted',
+    resubmitted: 'Result edited',
+    confirmed: 'Confirmed by opponent',
+    auto_confirmed: 'Auto-confirmed (no response in time)',
+    countered: 'Counter-claimed',
+    disputed: 'Disputed',
+    evidence_added: 'Evidence added',
+    ruled_original: 'Ruling: original score upheld',
+    ruled_counter: 'Ruling: counter-claim upheld',
+    ruled_custom: 'Ruling: score set by organizer',
+    ruled_replay: 'Ruling: replay ordered',
+    rejected: 'Rejected by organizer',
+    verified: 'Verified'
+};
+
+const personName = (person) => (
+    person ? `${person.first_name || ''} ${person.last_name || ''}`.trim() || 'User' : 'System'
+);
+
+const evidenceUrl = (url) => (/^https?:\/\//i.test(url) ? url : `${API_BASE_URL}${url}`);
+
+/**
+ * Dispute thread of a match: claims, messages with evidence, audit trail and,
+ * for the event organizer, the ruling form
+ */
+const DisputeThread = ({ matchId, onResolved }) => {
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [message, setMessage] = useState('');
+    const [evidence, setEvidence] = useState(null);
+    const [posting, setPosting] = useState(false);
+    const [ruling, setRuling] = useState({ decision: 'original', score_a: '', score_b: '', reason: '' });
+
+    useEffect(() => {
+        fetchDispute();
+    }, [matchId]);
+
+    const fetchDispute = async () => {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/api/matches/${matchId}/dispute`, {
+                withCredentials: true
+            });
+            if (response.data.success) {
+                setData(response.data);
+            }
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load dispute');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const postMessage = async (e) => {
+        e.preventDefault();
+        if (!message.trim() && !evidence) return;
+
+        const formData = new FormData();
+        formData.append('body', message.trim());
+        if (evidence) {
+            formData.append('evidence', evidence);
+        }
+
+        try {
+            setPosting(true);
+            setError('');
+            await axios.post(`${API_BASE_URL}/api/matches/${matchId}/dispute/messages`, formData, {
+                withCredentials: true
+            });
+            setMessage('');
+            setEvidence(null);
+            e.target.reset();
+            fetchDispute();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to post message');
+        } finally {
+            setPosting(false);
+        }
+    };
+
+    const submitRuling = async () => {
+        if (!window.confirm('Submit this ruling? A score ruling verifies the result.')) return;
+
+        try {
+            setError('');
+            const response = await axios.post(
+                `${API_BASE_URL}/api/matches/${matchId}/dispute/ruling`,
+                {
+                    decision: ruling.decision,
+                    score_a: ruling.decision === 'custom' ? parseInt(ruling.score_a) : undefined,
+                    score_b: ruling.decision === 'custom' ? parseInt(ruling.score_b) : undefined,
+                    reason: ruling.reason
+                },
+                { withCredentials: true }
+            );
+            if (response.data.success) {
+                alert(response.data.message);
+                if (onResolved) onResolved();
+            }
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to submit ruling');
+        }
+    };
+
+    if (loading) {
+        return <div className="dispute-thread">Loading dispute...</div>;
+    }
+
+    if (!data) {
+        return <div className="dispute-thread dispute-error">{error || 'Dispute not found'}</div>;
+    }
+
+    const { match, dispute, audit, can_rule: canRule } = data;
+    const teamName = (teamId) => (
+        String(teamId) === String(match.team_a._id) ? match.team_a.name : match.team_b.name
+    );
+    const isOpen = dispute?.status === 'open';
+
+    return (
+        <div className="dispute-thread">
+            {error && <div className="dispute-error">{error}</div>}
+
+            {dispute?.claims?.length > 0 && (
+                <div className="dispute-claims">
+                    {dispute.claims.map(claim => (
+                        <div key={claim._id} className={`dispute-claim ${claim.kind}`}>
+                            <span className="claim-kind">{claim.kind === 'original' ? 'Submitted' : 'Counter-claim'}</span>
+                            <span className="claim-team">{claim.team_id ? teamName(claim.team_id) : 'Result'}</span>
+                            <span className="claim-score">
+                                {match.team_a.name} {claim.score_a} - {claim.score_b} {match.team_b.name}
+                            </span>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {dispute?.ruling?.decision && (
+                <div className="dispute-ruling-result">
+                    <strong>Ruling:</strong> {AUDIT_LABELS[`ruled_${dispute.ruling.decision}`]}
+                    {dispute.ruling.decision !== 'replay' && ` (${dispute.ruling.score_a} - ${dispute.ruling.score_b})`}
+                    {dispute.ruling.reason && <div>{dispute.ruling.reason}</div>}
+                </div>
+            )}
+
+            <div className="dispute-messages">
+                {(dispute?.messages || []).map(msg => (
+                    <div key={msg._id} className={`dispute-message ${msg.author_role}`}>
+                        <div className="dispute-message-meta">
+                            <strong>{personName(msg.author_id)}</strong> ({msg.author_role}) · {new Date(msg.at).toLocaleString()}
+                        </div>
+                        {msg.body && <p>{msg.body}</p>}
+                        {msg.evidence?.map(item => (
+                            <a key={item._id || item.url} href={evidenceUrl(item.url)} target="_blank" rel="noopener noreferrer">
+                                <img src={evidenceUrl(item.url)} alt="Evidence" className="dispute-evidence" />
+                            </a>
+                        ))}
+                    </div>
+                ))}
+            </div>
+
+            {isOpen && (
+                <form className="dispute-reply" onSubmit={postMessage}>
+                    <textarea
+                        value={message}
+                        onChange={(e) => setMessage(e.target.value)}
+                        placeholder="Add details for the organizer..."
+                        rows="3"
+                    />
+                    <div className="dispute-reply-actions">
+                        <input type="file" accept="image/*" onChange={(e) => setEvidence(e.target.files[0] || null)} />
+                        <button type="submit" disabled={posting || (!message.trim() && !evidence)}>
+                            {posting ? 'Posting...' : 'Post'}
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            {canRule && (
+                <div className="dispute-ruling-form">
+                    <h4>Ruling</h4>
+                    <select value={ruling.decision} onChange={(e) => setRuling({ ...ruling, decision: e.target.value })}>
+                        <option value="original">Uphold the submitted score</option>
+                        {dispute.claims.some(claim => claim.kind === 'counter') && (
+                            <option value="counter">Uphold the counter-claim</option>
+                        )}
+                        <option value="custom">Set the score</option>
+                        <option value="replay">Order a replay</option>
+                    </select>
+                    {ruling.decision === 'custom' && (
+                        <div className="dispute-ruling-scores">
+                            <label>
+                                {match.team_a.name}
+                                <input type="number" min="0" value={ruling.score_a}
+                                    onChange={(e) => setRuling({ ...ruling, score_a: e.target.value })} />
+                            </label>
+                            <label>
+                                {match.team_b.name}
+                                <input type="number" min="0" value={ruling.score_b}
+                                    onChange={(e) => setRuling({ ...ruling, score_b: e.target.value })} />
+                            </label>
+                        </div>
+                    )}
+                    <textarea
+                        value={ruling.reason}
+                        onChange={(e) => setRuling({ ...ruling, reason: e.target.value })}
+                        placeholder="Reason for the ruling"
+                        rows="2"
+                    />
+                    <button type="button" onClick={submitRuling}>Submit Ruling</button>
+                </div>
+            )}
+
+            {audit?.length > 0 && (
+                <details className="dispute-audit">
+                    <summary>Audit trail ({audit.length})</summary>
+                    <ul>
+                        {audit.map(entry => (
+                            <li key={entry._id}>
+                                <span>{new Date(entry.at).toLocaleString()}</span>
+                                <span>{AUDIT_LABELS[entry.action] || entry.action}</span>
+                                <span>{entry.actor_role === 'system' ? 'System' : personName(entry.actor_id)}</span>
+                                <span>{entry.score_a ?? '-'} - {entry.score_b ?? '-'}</span>
+                                {entry.note && <span className="audit-note">{entry.note}</span>}
+                            </li>
+                        ))}
+                    </ul>
+                </details>
+            )}
+        </div>
+    );
+};
+
+export default DisputeThread;
@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import '../../styles/EventSquad.css';
+import { API_BASE_URL } from '../../utils/constants';
+
+const SUBSTITUTION_LABELS = {
+    pending: 'Awaiting organizer',
+    approved: 'Approved',
+    rejected: 'Rejected'
+};
+
+const sizeHint = ({ min, max }) => {
+    if (min && max) return `${min}-${max} players`;
+    if (min) return `at least ${min} players`;
+    if (max) return `up to ${max} players`;
+    return 'any number of players';
+};
+
+/**
+ * A team's squad for an event. Editable until the registration deadline;
+ * after that changes go through substitution requests to the organizer.
+ */
+const EventSquad = ({ eventId, teamId }) => {
+    const [data, setData] = useState(null);
+    const [selected, setSelected] = useState([]);
+    const [substitution, setSubstitution] = useState({ out_player_id: '', in_player_id: '', reason: '' });
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
+
+    useEffect(() => {
+        fetchSquad();
+    }, [eventId, teamId]);
+
+    const fetchSquad = async () => {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/api/manager/event/${eventId}/squad`, {
+                params: { team_id: teamId },
+                withCredentials: true
+            });
+            if (response.data.success) {
+                setData(response.data);
+                setSelected(response.data.squad.map(player => String(player.player_id)));
+            }
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load squad');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const togglePlayer = (playerId) => {
+        setSelected(prev => prev.includes(playerId)
+            ? prev.filter(id => id !== playerId)
+            : [...prev, playerId]);
+    };
+
+    const saveSquad = async () => {
+        setSaving(true);
+        setError('');
+        setNotice('');
+        try {
+            const response = await axios.put(
+                `${API_BASE_URL}/api/manager/event/${eventId}/squad`,
+                { team_id: teamId, squad: selected },
+                { withCredentials: true }
+            );
+            setNotice(response.data.message);
+            fetchSquad();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to update squad');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const requestSubstitution = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError('');
+        setNotice('');
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/api/manager/event/${eventId}/squad/substitutions`,
+                { team_id: teamId, ...substitution },
+                { withCredentials: true }
+            );
+            setNotice(response.data.message);
+            setSubstitution({ out_player_id: '', in_player_id: '', reason: '' });
+            fetchSquad();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to request substitution');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (loading) {
+        return <div className="event-squad">Loading squad...</div>;
+    }
+    if (!data) {
+        return <div className="event-squad"><div className="squad-error">{error}</div></div>;
+    }
+
+    const bench = data.members.filter(member => !member.in_squad);
+
+    return (
+        <div className="event-squad">
+            <div className="squad-header">
+                <h4>Squad ({data.squad.length})</h4>
+                <span className={`squad-lock ${data.locked ? 'locked' : 'open'}`}>
+                    <i className={`fa ${data.locked ? 'fa-lock' : 'fa-lock-open'}`}></i>
+                    {data.locked
+                        ? 'Locked'
+                        : `Editable until ${data.event.registration_deadline
+                            ? new Date(data.event.registration_deadline).toLocaleString()
+                            : 'the event starts'}`}
+                </span>
+            </div>
+            <p className="squad-hint">This event allows {sizeHint(data.event.squad_size)}.</p>
+
+            {error && <div className="squad-error">{error}</div>}
+            {notice && <div className="squad-notice">{notice}</div>}
+
+            {!data.locked ? (
+                <>
+                    <div className="squad-players">
+                        {data.members.map(member => {
+                            const playerId = String(member.player_id);
+                            return (
+                                <label key={playerId} className="squad-player">
+                                    <input
+                                        type="checkbox"
+                                        checked={selected.includes(playerId)}
+                                        onChange={() => togglePlayer(playerId)}
+                                    />
+                                    {member.jersey_number !== null && member.jersey_number !== undefined && (
+                                        <span className="squad-jersey">#{member.jersey_number}</span>
+                                    )}
+                                    {member.name}
+                                </label>
+                            );
+                        })}
+                    </div>
+                    <button type="button" className="squad-save" onClick={saveSquad} disabled={saving}>
+                        {saving ? 'Saving...' : `Save Squad (${selected.length})`}
+                    </button>
+                </>
+            ) : data.squad.length === 0 ? (
+                <p className="squad-hint">No squad was submitted, so every active team member can play.</p>
+            ) : (
+                <>
+                    <ul className="squad-list">
+                        {data.squad.map(player => (
+                            <li key={player.player_id}>{player.name}</li>
+                        ))}
+                    </ul>
+
+                    <form className="substitution-form" onSubmit={requestSubstitution}>
+                        <h5>Request a substitution</h5>
+                        <select
+                            value={substitution.out_player_id}
+                            onChange={(e) => setSubstitution({ ...substitution, out_player_id: e.target.value })}
+                            required
+                        >
+                            <option value="">Player leaving</option>
+                            {data.squad.map(player => (
+                                <option key={player.player_id} value={player.player_id}>{player.name}</option>
+                            ))}
+                        </select>
+                        <select
+                            value={substitution.in_player_id}
+                            onChange={(e) => setSubstitution({ ...substitution, in_player_id: e.target.value })}
+                            required
+                        >
+                            <option value="">Player joining</option>
+                            {bench.map(member => (
+                                <option key={member.player_id} value={member.player_id}>{member.name}</option>
+                            ))}
+                        </select>
+                        <input
+                            type="text"
+                            value={substitution.reason}
+                            onChange={(e) => setSubstitution({ ...substitution, reason: e.target.value })}
+                            placeholder="Reason (e.g. injury)"
+                            maxLength="500"
+                        />
+                        <button type="submit" disabled={saving}>Send Request</button>
+                    </form>
+                </>
+            )}
+
+            {data.substitutions.length > 0 && (
+                <ul className="substitution-list">
+                    {data.substitutions.map(sub => (
+                        <li key={sub._id}>
+                            <span>{sub.out_player_name} <i className="fa fa-arrow-right"></i> {sub.in_player_name}</span>
+                            <span className={`substitution-status ${sub.status}`}>
+                                {SUBSTITUTION_LABELS[sub.status] || sub.status}
+                            </span>
+                            {sub.review_note && <span className="substitution-note">{sub.review_note}</span>}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default EventSquad;
@@ -65,6 +65,13 @@ const PlayerLayout = ({ children }) => {
                             <i className="fa fa-search"></i>
                             Browse Teams
                         </Link>
+                        <Link 
+                            to="/player/free-agent" 
+                            className={`sidebar-nav-item ${isActive('/player/free-agent') ? 'active' : ''}`}
+                        >
+                            <i className="fa fa-bullhorn"></i>
+                            Free Agent
+                        </Link>
                         <Link 
                             to="/player/my-teams" 
                             className={`sidebar-nav-item ${isActive('/player/my-teams') ? 'active' : ''}`}
@@ -86,6 +93,13 @@ const PlayerLayout = ({ children }) => {
                             <i className="fa fa-futbol"></i>
                             My Matches
                         </Link>
+                        <Link 
+                            to="/player/career" 
+                            className={`sidebar-nav-item ${isActive('/player/career') ? 'active' : ''}`}
+                        >
+                            <i className="fa fa-route"></i>
+                            Career
+                        </Link>
                         <Link 
                             to="/player/services" 
                             className={`sidebar-nav-item ${isActive('/player/services') ? 'active' : ''}`}
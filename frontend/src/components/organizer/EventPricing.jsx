@@ -0,0 +1,304 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { API_BASE_URL } from '../../utils/constants';
+
+const emptyTier = { name: '', price: '', ends_at: '' };
+const emptyCode = { code: '', discount_type: 'percent', discount_value: '', max_uses: '', expires_at: '' };
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().split('T')[0] : '');
+
+const STATUS_STYLES = {
+    active: 'bg-green-100 text-green-700',
+    disabled: 'bg-gray-100 text-gray-600',
+    expired: 'bg-yellow-100 text-yellow-700',
+    used_up: 'bg-red-100 text-red-700'
+};
+
+/**
+ * Organizer controls for an event's entry pricing: price tiers (early-bird,
+ * regular, late), the returning-team discount and promo codes with their
+ * redemption stats.
+ */
+const EventPricing = ({ eventId }) => {
+    const [pricing, setPricing] = useState(null);
+    const [tiers, setTiers] = useState([]);
+    const [returningDiscount, setReturningDiscount] = useState(0);
+    const [newCode, setNewCode] = useState(emptyCode);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [message, setMessage] = useState({ type: '', text: '' });
+
+    useEffect(() => {
+        fetchPricing();
+    }, [eventId]);
+
+    const applyPricing = (data) => {
+        setPricing(data);
+        setTiers(data.price_tiers.map(tier => ({ ...tier, ends_at: toDateInput(tier.ends_at) })));
+        setReturningDiscount(data.returning_team_discount);
+    };
+
+    const fetchPricing = async () => {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/api/organizer/event/${eventId}/pricing`, {
+                withCredentials: true
+            });
+            if (response.data.success) {
+                applyPricing(response.data.pricing);
+            }
+        } catch (error) {
+            console.error('Error fetching pricing:', error);
+            setMessage({ type: 'error', text: 'Failed to load pricing' });
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const send = async (request) => {
+        try {
+            setSaving(true);
+            setMessage({ type: '', text: '' });
+            const response = await request();
+            if (response.data.success) {
+                applyPricing(response.data.pricing);
+                setMessage({ type: 'success', text: response.data.message });
+                return true;
+            }
+        } catch (error) {
+            setMessage({ type: 'error', text: error.response?.data?.message || 'Something went wrong' });
+        } finally {
+            setSaving(false);
+        }
+        return false;
+    };
+
+    const savePricing = () => send(() => axios.put(`${API_BASE_URL}/api/organizer/event/${eventId}/pricing`, {
+        price_tiers: tiers.map(tier => ({ name: tier.name, price: tier.price, ends_at: tier.ends_at || null })),
+        returning_team_discount: returningDiscount
+    }, { withCredentials: true }));
+
+    const createCode = async (e) => {
+        e.preventDefault();
+        const created = await send(() => axios.post(`${API_BASE_URL}/api/organizer/event/${eventId}/promo-codes`, newCode, {
+            withCredentials: true
+        }));
+        if (created) setNewCode(emptyCode);
+    };
+
+    const toggleCode = (promo) => send(() => axios.put(
+        `${API_BASE_URL}/api/organizer/event/${eventId}/promo-codes/${promo.code}`,
+        { active: promo.status === 'disabled' },
+        { withCredentials: true }
+    ));
+
+    const updateTier = (index, field, value) => {
+        setTiers(tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier)));
+    };
+
+    if (loading) {
+        return <div className="bg-white rounded-xl shadow-lg p-8 text-gray-500">Loading pricing...</div>;
+    }
+
+    if (!pricing) {
+        return <div className="bg-white rounded-xl shadow-lg p-8 text-red-600">{message.text || 'Pricing unavailable'}</div>;
+    }
+
+    const inputClass = 'w-full px-3 py-2 border-2 border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-orange-500';
+
+    return (
+        <div className="space-y-8">
+            {message.text && (
+                <div className={`p-4 rounded-lg ${message.type === 'error' ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'}`}>
+                    {message.text}
+                </div>
+            )}
+
+            <div className="bg-white rounded-xl shadow-lg p-8">
+                <h2 className="text-2xl font-bold text-gray-800 mb-2 flex items-center">
+                    <i className="fa fa-tags text-orange-600 mr-3"></i>
+                    Price Tiers
+                </h2>
+                <p className="text-sm text-gray-500 mb-6">
+                    Teams registering today pay <strong>₹{pricing.current_price.price}</strong> ({pricing.current_price.name}).
+                    Each tier applies until its end date; leave the last one open. Without tiers the entry fee of ₹{pricing.entry_fee} applies.
+                </p>
+
+                <div className="space-y-3">
+                    {tiers.map((tier, index) => (
+                        <div key={index} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-center">
+                            <input
+                                className={inputClass}
+                                value={tier.name}
+                                onChange={e => updateTier(index, 'name', e.target.value)}
+                                placeholder="Early bird"
+                                maxLength="40"
+                            />
+                            <input
+                                className={inputClass}
+                                type="number"
+                                min="0"
+                                value={tier.price}
+                                onChange={e => updateTier(index, 'price', e.target.value)}
+                                placeholder="Price (₹)"
+                            />
+                            <input
+                                className={inputClass}
+                                type="date"
+                                value={tier.ends_at}
+                                onChange={e => updateTier(index, 'ends_at', e.target.value)}
+                                title="Last day of this price; leave blank for the final tier"
+                            />
+                            <button
+                                type="button"
+                                onClick={() => setTiers(tiers.filter((_, i) => i !== index))}
+                                className="text-red-600 hover:text-red-700 font-semibold"
+                            >
+                                <i className="fa fa-trash mr-1"></i>Remove
+                            </button>
+                        </div>
+                    ))}
+                </div>
+
+                {tiers.length < 5 && (
+                    <button
+                        type="button"
+                        onClick={() => setTiers([...tiers, emptyTier])}
+                        className="mt-4 text-orange-600 hover:text-orange-700 font-semibold"
+                    >
+                        <i className="fa fa-plus mr-1"></i>Add tier
+                    </button>
+                )}
+
+                <div className="mt-6 pt-6 border-t border-gray-200 flex flex-wrap items-end gap-4">
+                    <div>
+                        <label className="block text-sm font-semibold text-gray-700 mb-2">Returning team discount (%)</label>
+                        <input
+                            className={inputClass}
+                            type="number"
+                            min="0"
+                            max="100"
+                            value={returningDiscount}
+                            onChange={e => setReturningDiscount(e.target.value)}
+                        />
+                        <p className="text-xs text-gray-500 mt-1">For teams that played one of your earlier events</p>
+                    </div>
+                    <button
+                        onClick={savePricing}
+                        disabled={saving}
+                        className="bg-orange-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-orange-700 transition-all disabled:opacity-50"
+                    >
+                        <i className="fa fa-save mr-2"></i>Save Pricing
+                    </button>
+                </div>
+            </div>
+
+            <div className="bg-white rounded-xl shadow-lg p-8">
+                <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
+                    <i className="fa fa-ticket-alt text-orange-600 mr-3"></i>
+                    Promo Codes
+                </h2>
+
+                <form onSubmit={createCode} className="grid grid-cols-1 md:grid-cols-6 gap-3 items-end mb-8">
+                    <input
+                        className={`${inputClass} uppercase`}
+                        value={newCode.code}
+                        onChange={e => setNewCode({ ...newCode, code: e.target.value })}
+                        placeholder="CODE"
+                        maxLength="20"
+                        required
+                    />
+                    <select
+                        className={inputClass}
+                        value={newCode.discount_type}
+                        onChange={e => setNewCode({ ...newCode, discount_type: e.target.value })}
+                    >
+                        <option value="percent">% off</option>
+                        <option value="fixed">₹ off</option>
+                    </select>
+                    <input
+                        className={inputClass}
+                        type="number"
+                        min="1"
+                        value={newCode.discount_value}
+                        onChange={e => setNewCode({ ...newCode, discount_value: e.target.value })}
+                        placeholder="Discount"
+                        required
+                    />
+                    <input
+                        className={inputClass}
+                        type="number"
+                        min="1"
+                        value={newCode.max_uses}
+                        onChange={e => setNewCode({ ...newCode, max_uses: e.target.value })}
+                        placeholder="Usage limit"
+                    />
+                    <input
+                        className={inputClass}
+                        type="date"
+                        value={newCode.expires_at}
+                        onChange={e => setNewCode({ ...newCode, expires_at: e.target.value })}
+                        title="Expiry (optional)"
+                    />
+                    <button
+                        type="submit"
+                        disabled={saving}
+                        className="bg-orange-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-orange-700 transition-all disabled:opacity-50"
+                    >
+                        <i className="fa fa-plus mr-1"></i>Create
+                    </button>
+                </form>
+
+                {pricing.promo_codes.length === 0 ? (
+                    <p className="text-gray-500">No promo codes yet.</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead className="bg-gray-50 border-b">
+                                <tr>
+                                    <th className="px-4 py-3 text-left font-semibold text-gray-600">Code</th>
+                                    <th className="px-4 py-3 text-left font-semibold text-gray-600">Discount</th>
+                                    <th className="px-4 py-3 text-left font-semibold text-gray-600">Uses</th>
+                                    <th className="px-4 py-3 text-left font-semibold text-gray-600">Discount Given</th>
+                                    <th className="px-4 py-3 text-left font-semibold text-gray-600">Revenue</th>
+                                    <th className="px-4 py-3 text-left font-semibold text-gray-600">Expires</th>
+                                    <th className="px-4 py-3 text-left font-semibold text-gray-600">Status</th>
+                                    <th className="px-4 py-3"></th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-200">
+                                {pricing.promo_codes.map(promo => (
+                                    <tr key={promo.code}>
+                                        <td className="px-4 py-3 font-mono font-semibold">{promo.code}</td>
+                                        <td className="px-4 py-3">
+                                            {promo.discount_type === 'percent' ? `${promo.discount_value}%` : `₹${promo.discount_value}`}
+                                        </td>
+                                        <td className="px-4 py-3">{promo.uses}{promo.max_uses ? ` / ${promo.max_uses}` : ''}</td>
+                                        <td className="px-4 py-3">₹{promo.discount_given}</td>
+                                        <td className="px-4 py-3">₹{promo.revenue}</td>
+                                        <td className="px-4 py-3">{promo.expires_at ? new Date(promo.expires_at).toLocaleDateString() : 'Never'}</td>
+                                        <td className="px-4 py-3">
+                                            <span className={`px-2 py-1 rounded-full text-xs font-semibold ${STATUS_STYLES[promo.status]}`}>
+                                                {promo.status.replace('_', ' ')}
+                                            </span>
+                                        </td>
+                                        <td className="px-4 py-3 text-right">
+                                            <button
+                                                onClick={() => toggleCode(promo)}
+                                                disabled={saving}
+                                                className="text-orange-600 hover:text-orange-700 font-semibold"
+                                            >
+                                                {promo.status === 'disabled' ? 'Enable' : 'Disable'}
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default EventPricing;
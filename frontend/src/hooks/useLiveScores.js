@@ -0,0 +1,58 @@
+import { useEffect, useRef } from 'react';
+import { API_BASE_URL } from '../utils/constants';
+
+/**
+ * Merge a live score update into a list of matches
+ * @param {Array} matches - Matches list
+ * @param {Object} update - Payload of a live score update
+ * @returns {Array} New matches list
+ */
+export const applyLiveUpdate = (matches, update) => matches.map(match => (
+    match._id === update.match_id
+        ? {
+            ...match,
+            status: update.status,
+            score_a: update.score_a,
+            score_b: update.score_b,
+            live_period: update.live_period
+        }
+        : match
+));
+
+/**
+ * Custom hook for live score updates pushed by the server (Server-Sent Events)
+ * @param {Object} ids - Ids to watch: { match, team, event } (string or array each)
+ * @param {Function} onUpdate - Called with each update payload
+ */
+export const useLiveScores = (ids, onUpdate) => {
+    const onUpdateRef = useRef(onUpdate);
+    onUpdateRef.current = onUpdate;
+
+    const params = new URLSearchParams();
+    ['match', 'team', 'event'].forEach(key => {
+        const value = [].concat(ids?.[key] || []).filter(Boolean);
+        if (value.length > 0) {
+            params.set(key, value.join(','));
+        }
+    });
+    const query = params.toString();
+
+    useEffect(() => {
+        if (!query || typeof EventSource === 'undefined') return;
+
+        const source = new EventSource(`${API_BASE_URL}/api/matches/live/stream?${query}`, {
+            withCredentials: true
+        });
+
+        source.addEventListener('score', (e) => {
+            onUpdateRef.current(JSON.parse(e.data));
+        });
+
+        // EventSource reconnects on its own after network errors
+        return () => {
+            source.close();
+        };
+    }, [query]);
+};
+
+export default useLiveScores;
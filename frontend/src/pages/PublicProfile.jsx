@@ -0,0 +1,182 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import CareerTimeline from '../components/common/CareerTimeline';
+import '../styles/PublicProfile.css';
+import { API_BASE_URL } from '../utils/constants';
+
+const imageUrl = (path) => (/^https?:\/\//.test(path) ? path : `${API_BASE_URL}${path}`);
+
+/**
+ * A player's public profile at /p/:slug: portfolio, achievements, video
+ * highlights and stats from verified matches. Old profile URLs land on the
+ * current one.
+ */
+const PublicProfile = () => {
+    const { slug } = useParams();
+    const navigate = useNavigate();
+    const [profile, setProfile] = useState(null);
+    const [og, setOg] = useState({});
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        fetchProfile();
+    }, [slug]);
+
+    const fetchProfile = async () => {
+        try {
+            setLoading(true);
+            setError('');
+            const response = await axios.get(`${API_BASE_URL}/p/${encodeURIComponent(slug)}`, {
+                headers: { Accept: 'application/json' },
+                withCredentials: true
+            });
+            if (response.data.success) {
+                // The API follows redirects from old profile URLs
+                if (response.data.profile.slug !== slug) {
+                    navigate(`/p/${response.data.profile.slug}`, { replace: true });
+                }
+                setProfile(response.data.profile);
+                setOg(response.data.og || {});
+            }
+        } catch (err) {
+            setError(err.response?.data?.message || 'Profile not found');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    if (loading) {
+        return <div className="public-profile-page"><p className="public-profile-muted">Loading...</p></div>;
+    }
+
+    if (error || !profile) {
+        return (
+            <div className="public-profile-page">
+                <div className="public-profile-card public-profile-empty">
+                    <i className="fa fa-user-slash"></i>
+                    <h2>{error || 'Profile not found'}</h2>
+                    <Link to="/">Back to SportsAmigo</Link>
+                </div>
+            </div>
+        );
+    }
+
+    const name = `${profile.first_name} ${profile.last_name}`;
+
+    return (
+        <div className="public-profile-page">
+            <title>{og['og:title'] || name}</title>
+            <meta name="description" content={og['og:description'] || ''} />
+            {Object.entries(og).map(([key, content]) => (
+                key.startsWith('og:') || key.startsWith('profile:')
+                    ? <meta key={key} property={key} content={content} />
+                    : <meta key={key} name={key} content={content} />
+            ))}
+
+            <div className="public-profile-hero">
+                <div className="public-profile-avatar">
+                    {profile.profile_image ? (
+                        <img src={imageUrl(profile.profile_image)} alt={name} />
+                    ) : (
+                        <i className="fa fa-user"></i>
+                    )}
+                </div>
+                <div>
+                    <h1>
+                        {name}
+                        {profile.verified && (
+                            <span className="public-profile-verified" title="Verified player">
+                                <i className="fa fa-check-circle"></i>
+                            </span>
+                        )}
+                    </h1>
+                    {profile.bio && <p>{profile.bio}</p>}
+                    <div className="public-profile-sports">
+                        {profile.sports.map(entry => (
+                            <span key={entry.sport} className="public-profile-tag">
+                                {entry.sport}{entry.position ? ` • ${entry.position}` : ''}
+                            </span>
+                        ))}
+                    </div>
+                </div>
+            </div>
+
+            <div className="public-profile-grid">
+                <div className="public-profile-card">
+                    <h2><i className="fa fa-chart-bar"></i> Verified Stats</h2>
+                    {profile.sports.length === 0 ? (
+                        <p className="public-profile-muted">No sports listed yet.</p>
+                    ) : (
+                        profile.sports.map(entry => (
+                            <div key={entry.sport} className="public-profile-sport">
+                                <div className="public-profile-sport-header">
+                                    <h3>{entry.sport}</h3>
+                                    {entry.skill_level && <span className="public-profile-muted">{entry.skill_level}</span>}
+                                </div>
+                                <div className="public-profile-stats">
+                                    {Object.entries(entry.stats)
+                                        .filter(([key, value]) => key === 'games_played' || value > 0)
+                                        .map(([key, value]) => (
+                                            <div key={key}>
+                                                <strong>{value}</strong>
+                                                <span>{key === 'games_played' ? 'games' : key.replace(/_/g, ' ')}</span>
+                                            </div>
+                                        ))}
+                                </div>
+                            </div>
+                        ))
+                    )}
+                    {profile.portfolio_stats.length > 0 && (
+                        <ul className="public-profile-list">
+                            {profile.portfolio_stats.map((item, index) => (
+                                <li key={index}>
+                                    <strong>{item.sport}</strong>: {item.matches} matches, {item.wins} wins
+                                    {item.achievements ? ` — ${item.achievements}` : ''}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+
+                {profile.achievements.length > 0 && (
+                    <div className="public-profile-card">
+                        <h2><i className="fa fa-medal"></i> Achievements</h2>
+                        <ul className="public-profile-list">
+                            {profile.achievements.map((achievement, index) => <li key={index}>{achievement}</li>)}
+                        </ul>
+                    </div>
+                )}
+
+                {profile.videos.length > 0 && (
+                    <div className="public-profile-card">
+                        <h2><i className="fa fa-video"></i> Highlights</h2>
+                        <ul className="public-profile-list">
+                            {profile.videos.map((video, index) => (
+                                <li key={index}>
+                                    <a href={video} target="_blank" rel="noopener noreferrer">
+                                        <i className="fa fa-play-circle"></i> Highlight {index + 1}
+                                    </a>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+            </div>
+
+            {profile.career && (
+                <div className="public-profile-card">
+                    <h2><i className="fa fa-route"></i> Career</h2>
+                    <CareerTimeline career={profile.career} />
+                </div>
+            )}
+
+            <p className="public-profile-footer">
+                <Link to="/">SportsAmigo</Link> — the sports community platform
+            </p>
+        </div>
+    );
+};
+
+export default PublicProfile;
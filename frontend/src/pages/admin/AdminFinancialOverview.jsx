@@ -55,6 +55,8 @@ const AdminFinancialOverview = () => {
             ['VAS Total Revenue', data.vas?.totalRevenue || 0],
             ['Commission Total', data.commission?.totalCommission || 0],
             ['Pending Payouts', data.commission?.pendingCount || 0],
+            ['Entry Fees Refunded', data.refunds?.totalRefunded || 0],
+            ['Refunded Registrations', data.refunds?.count || 0],
         ];
         if (data.ordersByStatus) {
             rows.push(['', ''], ['Order Status', 'Count', 'Total Amount']);
@@ -184,6 +186,44 @@ const AdminFinancialOverview = () => {
                             </div>
                         </div>
 
+                        <div className="bg-white rounded-2xl shadow-md overflow-hidden border border-slate-100 mb-6">
+                            <div className="px-6 py-4 border-b bg-slate-50 flex flex-wrap items-center justify-between gap-2">
+                                <h2 className="text-xl font-bold text-gray-800">Entry Fee Refunds</h2>
+                                <p className="text-sm text-gray-600">
+                                    <span className="font-semibold text-red-600">{asCurrency(data.refunds?.totalRefunded || 0)}</span>
+                                    {' '}refunded on {data.refunds?.count || 0} registrations ({data.refunds?.fullyRefunded || 0} in full)
+                                </p>
+                            </div>
+                            {(data.refunds?.recent || []).length === 0 ? (
+                                <p className="px-6 py-6 text-sm text-gray-500">No entry fees have been refunded.</p>
+                            ) : (
+                                <div className="overflow-x-auto">
+                                    <table className="w-full">
+                                        <thead className="bg-gray-50 border-b">
+                                            <tr>
+                                                <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Event</th>
+                                                <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Organizer</th>
+                                                <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Refunded</th>
+                                                <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Retained</th>
+                                                <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase">Date</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="divide-y divide-gray-200">
+                                            {data.refunds.recent.map((row) => (
+                                                <tr key={row._id}>
+                                                    <td className="px-6 py-4 font-medium text-gray-900">{row.event}</td>
+                                                    <td className="px-6 py-4 text-gray-700">{row.organizer}</td>
+                                                    <td className="px-6 py-4 text-red-600">{asCurrency(row.refundedAmount)}</td>
+                                                    <td className="px-6 py-4 text-gray-700">{asCurrency(row.retainedRevenue)}</td>
+                                                    <td className="px-6 py-4 text-gray-700">{row.refundedAt ? new Date(row.refundedAt).toLocaleDateString() : '-'}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+                        </div>
+
                         <div className="bg-white rounded-2xl shadow-md overflow-hidden border border-slate-100">
                             <div className="px-6 py-4 border-b bg-slate-50">
                                 <h2 className="text-xl font-bold text-gray-800">Shop Orders by Status</h2>
@@ -3,6 +3,7 @@ import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useSelector } from 'react-redux';
 import { selectUser } from '../../store/slices/authSlice';
 import ManagerLayout from '../../components/layout/ManagerLayout';
+import EventSquad from '../../components/common/EventSquad';
 import axios from 'axios';
 import './EventDetails.css';
 import { API_BASE_URL } from '../../utils/constants';
@@ -15,6 +16,7 @@ const EventDetails = () => {
     const [teams, setTeams] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
+    const [squadTeamId, setSquadTeamId] = useState(null);
 
     useEffect(() => {
         fetchEventDetails();
@@ -47,6 +49,12 @@ const EventDetails = () => {
         );
     };
 
+    // Squads can be managed while the registration is still in play
+    const hasActiveRegistration = (teamId) => (event?.teamRegistrations || []).some(reg =>
+        reg.team_id?.toString() === teamId?.toString() &&
+        ['pending', 'approved', 'confirmed'].includes(reg.status)
+    );
+
     if (loading) {
         return (
             <ManagerLayout>
@@ -167,6 +175,19 @@ const EventDetails = () => {
                                     </div>
                                 </div>
                             )}
+
+                            {(event.squad_size?.min || event.squad_size?.max) && (
+                                <div className="info-card">
+                                    <i className="fa fa-user-friends"></i>
+                                    <div>
+                                        <span className="info-label">Squad Size</span>
+                                        <span className="info-value">
+                                            {event.squad_size.min || 1} - {event.squad_size.max || 'any'} players
+                                            {event.squad_locked && ' (locked)'}
+                                        </span>
+                                    </div>
+                                </div>
+                            )}
                         </div>
 
                         {event.description && (
@@ -183,30 +204,46 @@ const EventDetails = () => {
                                 <div className="teams-list">
                                     {teams.map((team) => {
                                         const registered = isTeamRegistered(team._id);
+                                        const showSquad = squadTeamId === team._id;
                                         return (
-                                            <div key={team._id} className="team-registration-card">
-                                                <div className="team-info">
-                                                    <i className="fa fa-users"></i>
-                                                    <div>
-                                                        <h4>{team.name}</h4>
-                                                        <p>{team.sport_type}</p>
+                                            <React.Fragment key={team._id}>
+                                                <div className="team-registration-card">
+                                                    <div className="team-info">
+                                                        <i className="fa fa-users"></i>
+                                                        <div>
+                                                            <h4>{team.name}</h4>
+                                                            <p>{team.sport_type}</p>
+                                                        </div>
                                                     </div>
+                                                    {registered ? (
+                                                        <div className="registered-actions">
+                                                            {hasActiveRegistration(team._id) && (
+                                                                <button
+                                                                    type="button"
+                                                                    className="btn-squad"
+                                                                    onClick={() => setSquadTeamId(showSquad ? null : team._id)}
+                                                                >
+                                                                    <i className="fa fa-user-friends"></i>
+                                                                    {showSquad ? 'Hide Squad' : 'Squad'}
+                                                                </button>
+                                                            )}
+                                                            <div className="registered-badge">
+                                                                <i className="fa fa-check-circle"></i>
+                                                                Registered
+                                                            </div>
+                                                        </div>
+                                                    ) : (
+                                                        <Link 
+                                                            to={`/manager/event/${id}/register?teamId=${team._id}`}
+                                                            className="btn-register-team"
+                                                        >
+                                                            <i className="fa fa-user-plus"></i>
+                                                            Register
+                                                        </Link>
+                                                    )}
                                                 </div>
-                                                {registered ? (
-                                                    <div className="registered-badge">
-                                                        <i className="fa fa-check-circle"></i>
-                                                        Registered
-                                                    </div>
-                                                ) : (
-                                                    <Link 
-                                                        to={`/manager/event/${id}/register?teamId=${team._id}`}
-                                                        className="btn-register-team"
-                                                    >
-                                                        <i className="fa fa-user-plus"></i>
-                                                        Register
-                                                    </Link>
-                                                )}
-                                            </div>
+                                                {showSquad && <EventSquad eventId={id} teamId={team._id} />}
+                                            </React.Fragment>
                                         );
                                     })}
                                 </div>
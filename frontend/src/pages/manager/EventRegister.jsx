@@ -12,14 +12,65 @@ const EventRegister = () => {
   const [teams, setTeams] = useState([]);
   const [selectedTeam, setSelectedTeam] = useState('');
   const [notes, setNotes] = useState('');
+  const [members, setMembers] = useState([]);
+  const [squad, setSquad] = useState([]);
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState(null);
+  const [splitFee, setSplitFee] = useState(false);
+  const [splitQuote, setSplitQuote] = useState(null);
 
   useEffect(() => {
     fetchData();
   }, [id]);
 
+  useEffect(() => {
+    if (selectedTeam) {
+      fetchMembers(selectedTeam);
+    }
+  }, [selectedTeam]);
+
+  // The team's price, with any returning-team discount, for splitting it
+  useEffect(() => {
+    if (!splitFee || !selectedTeam) {
+      setSplitQuote(null);
+      return;
+    }
+    axios.get(`${API_BASE_URL}/api/events/${id}/commission-breakdown`, {
+      params: { teamId: selectedTeam },
+      withCredentials: true
+    })
+      .then(response => setSplitQuote(response.data.success ? response.data.breakdown : null))
+      .catch(err => {
+        console.error('Error fetching entry fee:', err);
+        setSplitQuote(null);
+      });
+  }, [splitFee, selectedTeam, id]);
+
+  // Active members of the selected team; all of them start in the squad
+  // unless the event caps the squad size
+  const fetchMembers = async (teamId) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/manager/team/${teamId}`, { withCredentials: true });
+      if (response.data.success) {
+        const active = (response.data.team.members || []).filter(member => member.status === 'active');
+        setMembers(active);
+        const max = event?.squad_size?.max;
+        setSquad(active.slice(0, max || active.length).map(member => String(member.id)));
+      }
+    } catch (err) {
+      console.error('Error fetching team members:', err);
+      setMembers([]);
+      setSquad([]);
+    }
+  };
+
+  const toggleSquadPlayer = (playerId) => {
+    setSquad(prev => prev.includes(playerId)
+      ? prev.filter(id => id !== playerId)
+      : [...prev, playerId]);
+  };
+
   const fetchData = async () => {
     try {
       setLoading(true);
@@ -63,14 +114,26 @@ const EventRegister = () => {
       return;
     }
 
+    const { min, max } = event.squad_size || {};
+    if ((min && squad.length < min) || (max && squad.length > max)) {
+      alert(`Your squad must have ${min ? `at least ${min}` : ''}${min && max ? ' and ' : ''}${max ? `at most ${max}` : ''} players`);
+      return;
+    }
+
+    if (splitFee) {
+      return submitSplitRegistration();
+    }
+
     try {
       setSubmitting(true);
       console.log('Registering team:', selectedTeam, 'for event:', id);
+      // Full events queue the team on the waitlist instead
       const response = await axios.post(
-        `${API_BASE_URL}/api/manager/event/${id}/register`,
+        `${API_BASE_URL}/api/manager/event/${id}/${event.is_full ? 'waitlist' : 'register'}`,
         {
           team_id: selectedTeam,
-          notes: notes.trim()
+          notes: notes.trim(),
+          squad
         },
         { withCredentials: true }
       );
@@ -78,8 +141,10 @@ const EventRegister = () => {
       console.log('Registration response:', response.data);
 
       if (response.data.success) {
-        alert('Registration submitted successfully! Waiting for organizer approval.');
-        navigate('/manager/browse-events');
+        alert(event.is_full
+          ? response.data.message
+          : 'Registration submitted successfully! Waiting for organizer approval.');
+        navigate(event.is_full ? '/manager/my-events' : '/manager/browse-events');
       } else {
         alert(response.data.message || 'Registration failed');
       }
@@ -91,6 +156,35 @@ const EventRegister = () => {
     }
   };
 
+  // Hold the spot while every active player pays their share of the fee
+  const submitSplitRegistration = async () => {
+    if (!splitQuote) {
+      alert('Could not work out the entry fee. Please try again.');
+      return;
+    }
+    try {
+      setSubmitting(true);
+      const response = await axios.post(
+        `${API_BASE_URL}/api/events/${id}/register-and-pay`,
+        {
+          teamId: selectedTeam,
+          paymentMethod: 'split',
+          amount: splitQuote.entryFee,
+          notes: notes.trim(),
+          squad
+        },
+        { withCredentials: true }
+      );
+      alert(response.data.message);
+      navigate('/manager/my-events');
+    } catch (err) {
+      console.error('Error splitting the entry fee:', err);
+      alert(err.response?.data?.error || 'Failed to split the entry fee');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
   if (loading) {
     return (
       <ManagerLayout>
@@ -216,6 +310,15 @@ const EventRegister = () => {
                   <i className="fas fa-users"></i>
                   <span>{event.registered_teams?.length || 0}/{event.max_participants || event.max_teams} Teams</span>
                 </div>
+                {event.current_price?.price > 0 && (
+                  <div className="quick-info-item">
+                    <i className="fas fa-tag"></i>
+                    <span>
+                      ₹{event.current_price.price} ({event.current_price.name}
+                      {event.current_price.ends_at ? ` until ${new Date(event.current_price.ends_at).toLocaleDateString()}` : ''})
+                    </span>
+                  </div>
+                )}
               </div>
             </div>
 
@@ -260,6 +363,58 @@ const EventRegister = () => {
                 </div>
               </div>
 
+              {selectedTeam && members.length > 0 && (
+                <div className="form-section">
+                  <h3>Choose Your Squad</h3>
+                  <p className="section-description">
+                    Pick the players who will play in this event
+                    {event.squad_size?.min || event.squad_size?.max
+                      ? ` (${event.squad_size.min || 1}-${event.squad_size.max || 'any'} players)`
+                      : ''}.
+                    You can change the squad until the registration deadline; after that, changes need the organizer's approval.
+                  </p>
+                  <div className="squad-selection">
+                    {members.map(member => (
+                      <label key={member.id} className={`squad-option ${squad.includes(String(member.id)) ? 'selected' : ''}`}>
+                        <input
+                          type="checkbox"
+                          checked={squad.includes(String(member.id))}
+                          onChange={() => toggleSquadPlayer(String(member.id))}
+                        />
+                        {member.jersey_number !== null && member.jersey_number !== undefined && (
+                          <span className="squad-jersey">#{member.jersey_number}</span>
+                        )}
+                        {member.name}
+                      </label>
+                    ))}
+                  </div>
+                  <div className="char-count">{squad.length} selected</div>
+                </div>
+              )}
+
+              {selectedTeam && !event.is_full && event.current_price?.price > 0 && (
+                <div className="form-section">
+                  <h3>Entry Fee</h3>
+                  <label className={`split-option ${splitFee ? 'selected' : ''}`}>
+                    <input
+                      type="checkbox"
+                      checked={splitFee}
+                      onChange={(e) => setSplitFee(e.target.checked)}
+                      disabled={members.length === 0}
+                    />
+                    Split the entry fee across the team's {members.length} active players
+                  </label>
+                  {splitFee && splitQuote && members.length > 0 && (
+                    <p className="section-description split-summary">
+                      Each player pays about ₹{Math.ceil(splitQuote.entryFee / members.length)} of the ₹{splitQuote.entryFee} fee
+                      {splitQuote.returningDiscount > 0 ? ` (₹${splitQuote.returningDiscount} returning-team discount included)` : ''} from their wallet.
+                      Your spot is held until {new Date(event.registration_deadline || event.date).toLocaleDateString()}:
+                      it is confirmed once everyone has paid and released if the fee isn't in by then.
+                    </p>
+                  )}
+                </div>
+              )}
+
               <div className="form-section">
                 <h3>Additional Notes <span className="optional-label">(Optional)</span></h3>
                 <p className="section-description">Add any additional information for the organizer</p>
@@ -291,6 +446,16 @@ const EventRegister = () => {
                       <div className="btn-spinner"></div>
                       Submitting...
                     </>
+                  ) : event.is_full ? (
+                    <>
+                      <i className="fas fa-hourglass-half"></i>
+                      Join Waitlist
+                    </>
+                  ) : splitFee ? (
+                    <>
+                      <i className="fas fa-users"></i>
+                      Register &amp; Split Fee
+                    </>
                   ) : (
                     <>
                       <i className="fas fa-paper-plane"></i>
@@ -304,10 +469,19 @@ const EventRegister = () => {
             {/* Important Notice */}
             <div className="notice-section">
               <i className="fas fa-info-circle"></i>
-              <div>
-                <strong>Important:</strong> Your registration will be sent to the event organizer for approval. 
-                You will be notified once they review your request.
-              </div>
+              {event.is_full ? (
+                <div>
+                  <strong>This event is full.</strong> Your team will join the waitlist
+                  {event.waitlist_count > 0 ? ` behind ${event.waitlist_count} other team${event.waitlist_count !== 1 ? 's' : ''}` : ''}.
+                  When a spot opens we will email you, and you will have a limited time to accept it
+                  {event.current_price?.price > 0 ? ` and pay the ₹${event.current_price.price} entry fee` : ''}.
+                </div>
+              ) : (
+                <div>
+                  <strong>Important:</strong> Your registration will be sent to the event organizer for approval. 
+                  You will be notified once they review your request.
+                </div>
+              )}
             </div>
           </div>
         </div>
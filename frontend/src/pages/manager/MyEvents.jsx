@@ -12,6 +12,9 @@ const MyEvents = () => {
     const [events, setEvents] = useState([]);
     const [loading, setLoading] = useState(true);
     const [filter, setFilter] = useState('all');
+    const [paymentMethods, setPaymentMethods] = useState({});
+    const [busy, setBusy] = useState(null);
+    const [splitDetails, setSplitDetails] = useState({});
 
     useEffect(() => {
         fetchMyEvents();
@@ -30,6 +33,90 @@ const MyEvents = () => {
         }
     };
 
+    const waitlistAction = async (event, action) => {
+        const key = `${event.event_id}-${event.team_id}`;
+        try {
+            setBusy(key);
+            const url = `${API_BASE_URL}/api/manager/event/${event.event_id}/waitlist`;
+            let response;
+            if (action === 'leave') {
+                if (!window.confirm(`Take ${event.team_name} off the waitlist?`)) return;
+                response = await axios.delete(url, { params: { team_id: event.team_id }, withCredentials: true });
+            } else {
+                response = await axios.post(`${url}/${action}`, {
+                    team_id: event.team_id,
+                    paymentMethod: paymentMethods[key] || 'wallet'
+                }, { withCredentials: true });
+            }
+            alert(response.data.message);
+            await fetchMyEvents();
+        } catch (error) {
+            alert(error.response?.data?.message || 'Something went wrong. Please try again.');
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    // Who has paid their share of a split entry fee; toggles the list
+    const toggleSplitDetails = async (event) => {
+        const key = `${event.event_id}-${event.team_id}`;
+        if (splitDetails[key]) {
+            setSplitDetails({ ...splitDetails, [key]: null });
+            return;
+        }
+        try {
+            const response = await axios.get(`${API_BASE_URL}/api/manager/event/${event.event_id}/split-payment`, {
+                params: { team_id: event.team_id },
+                withCredentials: true
+            });
+            setSplitDetails({ ...splitDetails, [key]: response.data.split });
+        } catch (error) {
+            alert(error.response?.data?.message || 'Could not load the entry fee split');
+        }
+    };
+
+    const remindPlayers = async (event) => {
+        const key = `${event.event_id}-${event.team_id}`;
+        try {
+            setBusy(key);
+            const response = await axios.post(`${API_BASE_URL}/api/manager/event/${event.event_id}/split-payment/remind`, {
+                team_id: event.team_id
+            }, { withCredentials: true });
+            alert(response.data.message);
+        } catch (error) {
+            alert(error.response?.data?.message || 'Something went wrong. Please try again.');
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const withdraw = async (event) => {
+        const key = `${event.event_id}-${event.team_id}`;
+        let refundNote = '';
+        if (event.split_payment?.status === 'collecting') {
+            refundNote = event.refund_quote > 0
+                ? `\n\nThe ₹${event.refund_quote} players have paid so far goes back to their wallets.`
+                : '';
+        } else if (event.payment) {
+            refundNote = `\n\n${event.refund_quote > 0
+                ? `₹${event.refund_quote} will be refunded to ${event.split_payment ? 'the players\' wallets' : 'your wallet'}.`
+                : 'No refund is due under the event\'s refund policy.'}`;
+        }
+        if (!window.confirm(`Withdraw ${event.team_name} from ${event.event_name}?${refundNote}`)) return;
+        try {
+            setBusy(key);
+            const response = await axios.post(`${API_BASE_URL}/api/manager/event/${event.event_id}/withdraw`, {
+                teamId: event.team_id
+            }, { withCredentials: true });
+            alert(response.data.message);
+            await fetchMyEvents();
+        } catch (error) {
+            alert(error.response?.data?.message || 'Something went wrong. Please try again.');
+        } finally {
+            setBusy(null);
+        }
+    };
+
     const filteredEvents = events.filter(event => {
         if (filter === 'all') return true;
         if (filter === 'upcoming') return new Date(event.event_date) > new Date();
@@ -88,7 +175,7 @@ const MyEvents = () => {
                     ) : filteredEvents.length > 0 ? (
                         <div className="events-list">
                             {filteredEvents.map(event => (
-                                <div key={event._id} className="event-card">
+                                <div key={`${event.event_id || event._id}-${event.team_id}`} className="event-card">
                                     <div className="event-main">
                                         <div className="event-date">
                                             <div className="date-box">
@@ -113,15 +200,107 @@ const MyEvents = () => {
                                                     <span>{event.location || 'TBA'}</span>
                                                 </div>
                                             </div>
+                                            {event.waitlist && event.waitlist.status === 'waiting' && (
+                                                <div className="waitlist-note">
+                                                    <i className="fa fa-hourglass-half"></i>
+                                                    #{event.waitlist.position} on the waitlist. We will email you when a spot opens.
+                                                </div>
+                                            )}
+                                            {event.waitlist && event.waitlist.status === 'offered' && (
+                                                <div className="waitlist-note offered">
+                                                    <i className="fa fa-ticket-alt"></i>
+                                                    A spot is yours until {new Date(event.waitlist.offer_expires_at).toLocaleString()}.
+                                                    {event.entry_fee > 0 && ` Entry fee: ₹${event.entry_fee}.`}
+                                                </div>
+                                            )}
+                                            {event.split_payment?.status === 'collecting' && (
+                                                <div className="split-note">
+                                                    <i className="fa fa-users"></i>
+                                                    Entry fee split: ₹{event.split_payment.collected} of ₹{event.split_payment.total} paid
+                                                    ({event.split_payment.paid_count}/{event.split_payment.share_count} players).
+                                                    Confirmed once everyone pays; released if not paid by {new Date(event.split_payment.due_at).toLocaleString()}.
+                                                    <div className="split-note-actions">
+                                                        <button type="button" onClick={() => toggleSplitDetails(event)}>
+                                                            {splitDetails[`${event.event_id}-${event.team_id}`] ? 'Hide players' : 'Show players'}
+                                                        </button>
+                                                        <button
+                                                            type="button"
+                                                            disabled={busy === `${event.event_id}-${event.team_id}`}
+                                                            onClick={() => remindPlayers(event)}
+                                                        >
+                                                            Remind unpaid players
+                                                        </button>
+                                                    </div>
+                                                    {splitDetails[`${event.event_id}-${event.team_id}`] && (
+                                                        <ul className="split-shares">
+                                                            {splitDetails[`${event.event_id}-${event.team_id}`].shares.map(share => (
+                                                                <li key={share.player_id} className={share.paid_at ? 'paid' : ''}>
+                                                                    <span>{share.name}</span>
+                                                                    <span>₹{share.amount} · {share.paid_at ? 'Paid' : 'Not paid'}</span>
+                                                                </li>
+                                                            ))}
+                                                        </ul>
+                                                    )}
+                                                </div>
+                                            )}
+                                            {event.payment && (
+                                                <div className="refund-note">
+                                                    <i className="fa fa-receipt"></i>
+                                                    {event.payment.refunded_at
+                                                        ? `Entry fee ₹${event.payment.amount} paid, ₹${event.payment.refunded_amount} refunded.`
+                                                        : `Entry fee ₹${event.payment.amount} paid. ${event.refund_policy}`}
+                                                </div>
+                                            )}
                                         </div>
 
                                         <div className="event-status">
-                                            <span className={`status-badge ${new Date(event.event_date || event.start_date) > new Date() ? 'upcoming' : 'past'}`}>
-                                                {new Date(event.event_date || event.start_date) > new Date() ? 'Upcoming' : 'Past'}
-                                            </span>
+                                            {event.registration_status === 'waitlisted' ? (
+                                                <span className="status-badge waitlisted">
+                                                    {event.waitlist?.status === 'offered' ? 'Spot Offered' : 'Waitlisted'}
+                                                </span>
+                                            ) : (
+                                                <span className={`status-badge ${new Date(event.event_date || event.start_date) > new Date() ? 'upcoming' : 'past'}`}>
+                                                    {new Date(event.event_date || event.start_date) > new Date() ? 'Upcoming' : 'Past'}
+                                                </span>
+                                            )}
                                         </div>
                                     </div>
 
+                                    {event.waitlist?.status === 'offered' && (
+                                        <div className="event-actions waitlist-actions">
+                                            {event.entry_fee > 0 && (
+                                                <select
+                                                    className="waitlist-payment"
+                                                    value={paymentMethods[`${event.event_id}-${event.team_id}`] || 'wallet'}
+                                                    onChange={(e) => setPaymentMethods({
+                                                        ...paymentMethods,
+                                                        [`${event.event_id}-${event.team_id}`]: e.target.value
+                                                    })}
+                                                >
+                                                    <option value="wallet">Pay from wallet</option>
+                                                    <option value="upi">Pay by UPI</option>
+                                                    <option value="card">Pay by card</option>
+                                                </select>
+                                            )}
+                                            <button
+                                                className="btn-view-details"
+                                                disabled={busy === `${event.event_id}-${event.team_id}`}
+                                                onClick={() => waitlistAction(event, 'accept')}
+                                            >
+                                                <i className="fa fa-check"></i>
+                                                {event.entry_fee > 0 ? `Accept & Pay ₹${event.entry_fee}` : 'Accept Spot'}
+                                            </button>
+                                            <button
+                                                className="btn-team-roster btn-decline"
+                                                disabled={busy === `${event.event_id}-${event.team_id}`}
+                                                onClick={() => waitlistAction(event, 'decline')}
+                                            >
+                                                <i className="fa fa-times"></i>
+                                                Decline
+                                            </button>
+                                        </div>
+                                    )}
+
                                     <div className="event-actions">
                                         <Link to={`/manager/event/${event.event_id || event._id}`} className="btn-view-details">
                                             <i className="fa fa-info-circle"></i>
@@ -131,6 +310,26 @@ const MyEvents = () => {
                                             <i className="fa fa-users"></i>
                                             Team Roster
                                         </Link>
+                                        {event.registration_status !== 'waitlisted' && event.event_status === 'upcoming' && (
+                                            <button
+                                                className="btn-team-roster btn-decline"
+                                                disabled={busy === `${event.event_id}-${event.team_id}`}
+                                                onClick={() => withdraw(event)}
+                                            >
+                                                <i className="fa fa-sign-out-alt"></i>
+                                                Withdraw
+                                            </button>
+                                        )}
+                                        {event.waitlist?.status === 'waiting' && (
+                                            <button
+                                                className="btn-team-roster btn-decline"
+                                                disabled={busy === `${event.event_id}-${event.team_id}`}
+                                                onClick={() => waitlistAction(event, 'leave')}
+                                            >
+                                                <i className="fa fa-sign-out-alt"></i>
+                                                Leave Waitlist
+                                            </button>
+                                        )}
                                     </div>
                                 </div>
                             ))}
@@ -10,10 +10,12 @@ import { API_BASE_URL } from '../../utils/constants';
 const MyTeams = () => {
     const user = useSelector(selectUser);
     const [teams, setTeams] = useState([]);
+    const [transfers, setTransfers] = useState([]);
     const [loading, setLoading] = useState(true);
 
     useEffect(() => {
         fetchTeams();
+        fetchTransfers();
     }, []);
 
     const fetchTeams = async () => {
@@ -29,22 +31,65 @@ const MyTeams = () => {
         }
     };
 
-    const handleDeleteTeam = async (teamId) => {
-        if (!window.confirm('Are you sure you want to delete this team?')) {
+    const fetchTransfers = async () => {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/api/manager/team-transfers`, { withCredentials: true });
+            if (response.data.success) {
+                setTransfers(response.data.transfers || []);
+            }
+        } catch (error) {
+            console.error('Error fetching transfers:', error);
+        }
+    };
+
+    // Teams are archived rather than deleted so their match history survives
+    const handleArchiveTeam = async (teamId) => {
+        if (!window.confirm('Archive this team? It will be hidden from players and events, but its match history is kept and you can restore it later.')) {
             return;
         }
 
         try {
-            const response = await axios.delete(`${API_BASE_URL}/api/manager/team/${teamId}`, { withCredentials: true });
+            const response = await axios.post(`${API_BASE_URL}/api/manager/team/${teamId}/archive`, {}, { withCredentials: true });
             if (response.data.success) {
-                setTeams(teams.filter(team => team._id !== teamId));
-                alert('Team deleted successfully!');
+                alert(response.data.message);
+                fetchTeams();
             }
         } catch (error) {
-            alert(error.response?.data?.message || 'Error deleting team');
+            alert(error.response?.data?.message || 'Error archiving team');
         }
     };
 
+    const handleRestoreTeam = async (teamId) => {
+        try {
+            const response = await axios.post(`${API_BASE_URL}/api/manager/team/${teamId}/restore`, {}, { withCredentials: true });
+            if (response.data.success) {
+                fetchTeams();
+            }
+        } catch (error) {
+            alert(error.response?.data?.message || 'Error restoring team');
+        }
+    };
+
+    const handleTransferResponse = async (teamId, action) => {
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/api/manager/team-transfers/${teamId}/${action}`,
+                {},
+                { withCredentials: true }
+            );
+            if (response.data.success) {
+                alert(response.data.message);
+                fetchTransfers();
+                fetchTeams();
+            }
+        } catch (error) {
+            alert(error.response?.data?.message || 'Error responding to transfer');
+        }
+    };
+
+    const activeTeams = teams.filter(team => !team.archived_at);
+    const archivedTeams = teams.filter(team => team.archived_at);
+
     return (
         <ManagerLayout>
             <div className="teams-wrapper">
@@ -56,7 +101,7 @@ const MyTeams = () => {
                                 My Teams
                             </h1>
                             <p className="page-subtitle">
-                                You have {teams.length} team{teams.length !== 1 ? 's' : ''} • Manage and track performance
+                                You have {activeTeams.length} team{activeTeams.length !== 1 ? 's' : ''} • Manage and track performance
                             </p>
                         </div>
                         <Link to="/manager/create-team" className="create-btn">
@@ -65,15 +110,42 @@ const MyTeams = () => {
                         </Link>
                     </div>
 
+                    {/* Ownership transfers offered to this manager */}
+                    {transfers.length > 0 && (
+                        <div className="transfer-offers">
+                            {transfers.map(transfer => (
+                                <div key={transfer.team_id} className="transfer-offer">
+                                    <div>
+                                        <strong>{transfer.from_manager}</strong> wants you to take over{' '}
+                                        <strong>{transfer.team_name}</strong> ({transfer.sport_type}, {transfer.member_count} members)
+                                        {transfer.message && <p className="transfer-message">"{transfer.message}"</p>}
+                                        <span className="transfer-expiry">
+                                            Open until {new Date(transfer.expires_at).toLocaleDateString()}
+                                        </span>
+                                    </div>
+                                    <div className="transfer-actions">
+                                        <button className="btn-view" onClick={() => handleTransferResponse(transfer.team_id, 'accept')}>
+                                            <i className="fa fa-check"></i>
+                                            Accept
+                                        </button>
+                                        <button className="btn-delete" onClick={() => handleTransferResponse(transfer.team_id, 'decline')}>
+                                            <i className="fa fa-times"></i>
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
                     {/* Teams List */}
                     {loading ? (
                         <div className="loading-container">
                             <div className="spinner"></div>
                             <p>Loading teams...</p>
                         </div>
-                    ) : teams.length > 0 ? (
+                    ) : activeTeams.length > 0 ? (
                         <div className="teams-grid">
-                            {teams.map(team => (
+                            {activeTeams.map(team => (
                                 <div key={team._id} className="team-card">
                                     <div className="team-header">
                                         <div className="team-icon">
@@ -139,9 +211,10 @@ const MyTeams = () => {
                                         </Link>
                                         <button 
                                             className="btn-delete"
-                                            onClick={() => handleDeleteTeam(team._id)}
+                                            title="Archive team"
+                                            onClick={() => handleArchiveTeam(team._id)}
                                         >
-                                            <i className="fa fa-trash"></i>
+                                            <i className="fa fa-archive"></i>
                                         </button>
                                     </div>
                                 </div>
@@ -158,6 +231,41 @@ const MyTeams = () => {
                             </Link>
                         </div>
                     )}
+
+                    {/* Archived Teams */}
+                    {archivedTeams.length > 0 && (
+                        <div className="archived-teams">
+                            <h2>
+                                <i className="fa fa-archive"></i>
+                                Archived Teams
+                            </h2>
+                            {archivedTeams.map(team => (
+                                <div key={team._id} className="archived-team">
+                                    <div>
+                                        <strong>{team.name}</strong>
+                                        <span className="team-sport-badge">{team.sport_type}</span>
+                                        <span className="archived-date">
+                                            Archived {new Date(team.archived_at).toLocaleDateString()}
+                                        </span>
+                                    </div>
+                                    <div className="transfer-actions">
+                                        <Link
+                                            to={`/manager/team/${team._id}/matches`}
+                                            className="btn-matches"
+                                            style={{ textDecoration: 'none' }}
+                                        >
+                                            <i className="fa fa-history"></i>
+                                            History
+                                        </Link>
+                                        <button className="btn-view" onClick={() => handleRestoreTeam(team._id)}>
+                                            <i className="fa fa-undo"></i>
+                                            Restore
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
                 </div>
         </ManagerLayout>
     );
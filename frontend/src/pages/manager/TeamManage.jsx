@@ -3,10 +3,21 @@ import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useSelector } from 'react-redux';
 import { selectUser } from '../../store/slices/authSlice';
 import ManagerLayout from '../../components/layout/ManagerLayout';
+import PlayerLayout from '../../components/layout/PlayerLayout';
 import axios from 'axios';
 import './TeamManage.css';
 import { API_BASE_URL } from '../../utils/constants';
 
+const ROLE_LABELS = {
+    captain: 'Captain',
+    vice_captain: 'Vice-Captain',
+    player: 'Player',
+    co_manager: 'Co-Manager'
+};
+
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'competitive'];
+const EMPTY_POSTING = { positions: '', skill_level: '', area: '', schedule: '', description: '' };
+
 const TeamManage = () => {
     const { id } = useParams();
     const navigate = useNavigate();
@@ -14,11 +25,252 @@ const TeamManage = () => {
     const [team, setTeam] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
+    const [invitations, setInvitations] = useState([]);
+    const [inviteLinks, setInviteLinks] = useState([]);
+    const [inviteForm, setInviteForm] = useState({ recipient: '', message: '', expires_in_days: 7 });
+    const [linkForm, setLinkForm] = useState({ expires_in_hours: 72, max_uses: 1 });
+    const [rosterEdits, setRosterEdits] = useState({});
+    const [transferForm, setTransferForm] = useState({ email: '', message: '' });
+    const [postings, setPostings] = useState([]);
+    const [postingForm, setPostingForm] = useState(EMPTY_POSTING);
+    const [candidates, setCandidates] = useState({});
+    const [openPosting, setOpenPosting] = useState(null);
+
+    // Co-managers are players running the team alongside its manager
+    const isCoManager = user?.role === 'player';
+    const Layout = isCoManager ? PlayerLayout : ManagerLayout;
+    const backPath = isCoManager ? `/player/team/${id}` : '/manager/my-teams';
 
     useEffect(() => {
         fetchTeamDetails();
+        fetchInvitations();
+        fetchPostings();
     }, [id]);
 
+    const fetchInvitations = async () => {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/api/manager/team/${id}/invitations`, {
+                withCredentials: true
+            });
+            if (response.data.success) {
+                setInvitations(response.data.invitations || []);
+                setInviteLinks(response.data.invite_links || []);
+            }
+        } catch (error) {
+            console.error('Error fetching invitations:', error);
+        }
+    };
+
+    const fetchPostings = async () => {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/api/manager/team/${id}/recruitment`, {
+                withCredentials: true
+            });
+            if (response.data.success) {
+                setPostings(response.data.postings || []);
+            }
+        } catch (error) {
+            console.error('Error fetching recruitment postings:', error);
+        }
+    };
+
+    const fetchCandidates = async (postingId) => {
+        try {
+            const response = await axios.get(
+                `${API_BASE_URL}/api/manager/team/${id}/recruitment/${postingId}/candidates`,
+                { withCredentials: true }
+            );
+            if (response.data.success) {
+                setCandidates(prev => ({ ...prev, [postingId]: response.data.candidates || [] }));
+            }
+        } catch (error) {
+            alert(error.response?.data?.message || 'Error loading candidates');
+        }
+    };
+
+    const handleToggleCandidates = (postingId) => {
+        if (openPosting === postingId) {
+            setOpenPosting(null);
+            return;
+        }
+        setOpenPosting(postingId);
+        fetchCandidates(postingId);
+    };
+
+    const handleCreatePosting = async (e) => {
+        e.preventDefault();
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/api/manager/team/${id}/recruitment`,
+                postingForm,
+                { withCredentials: true }
+            );
+            if (response.data.success) {
+                setPostingForm(EMPTY_POSTING);
+                fetchPostings();
+            }
+        } catch (error) {
+            alert(error.response?.data?.message || 'Error publishing posting');
+        }
+    };
+
+    const handlePostingStatus = async (posting) => {
+        const status = posting.status === 'open' ? 'closed' : 'open';
+        try {
+            await axios.put(
+                `${API_BASE_URL}/api/manager/team/${id}/recruitment/${posting._id}`,
+                { status },
+                { withCredentials: true }
+            );
+            if (status === 'closed' && openPosting === posting._id) {
+                setOpenPosting(null);
+            }
+            fetchPostings();
+        } catch (error) {
+            alert(error.response?.data?.message || 'Error updating posting');
+        }
+    };
+
+    // Candidates are invited through the usual team invitation
+    const handleInviteCandidate = async (postingId, candidate) => {
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/api/manager/team/${id}/invitations`,
+                {
+                    player_id: candidate.player_id,
+                    message: `We saw your free-agent listing and would like you to join ${team.name}.`
+                },
+                { withCredentials: true }
+            );
+            if (response.data.success) {
+                alert(response.data.message);
+                fetchCandidates(postingId);
+                fetchInvitations();
+            }
+        } catch (error) {
+            alert(error.response?.data?.message || 'Error sending invitation');
+        }
+    };
+
+    const handleTransferOwnership = async (e) => {
+        e.preventDefault();
+        if (!transferForm.email.trim()) return;
+        if (!window.confirm(`Offer ${team.name} to ${transferForm.email.trim()}? You stop managing the team once they accept.`)) {
+            return;
+        }
+
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/api/manager/team/${id}/transfer`,
+                { email: transferForm.email.trim(), message: transferForm.message },
+                { withCredentials: true }
+            );
+            if (response.data.success) {
+                alert(response.data.message);
+                setTransferForm({ email: '', message: '' });
+                fetchTeamDetails();
+            }
+        } catch (error) {
+            alert(error.response?.data?.message || 'Error requesting transfer');
+        }
+    };
+
+    const handleCancelTransfer = async () => {
+        try {
+            await axios.delete(`${API_BASE_URL}/api/manager/team/${id}/transfer`, { withCredentials: true });
+            fetchTeamDetails();
+        } catch (error) {
+            alert(error.response?.data?.message || 'Error cancelling transfer');
+        }
+    };
+
+    const handleSendInvitation = async (e) => {
+        e.preventDefault();
+        const recipient = inviteForm.recipient.trim();
+        if (!recipient) return;
+
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/api/manager/team/${id}/invitations`,
+                {
+                    // Anything that is not an email address is taken as a player ID
+                    ...(recipient.includes('@') ? { email: recipient } : { player_id: recipient }),
+                    message: inviteForm.message,
+                    expires_in_days: parseInt(inviteForm.expires_in_days)
+                },
+                { withCredentials: true }
+            );
+            if (response.data.success) {
+                alert(response.data.message);
+                setInviteForm({ ...inviteForm, recipient: '', message: '' });
+                fetchInvitations();
+            }
+        } catch (error) {
+            alert(error.response?.data?.message || 'Error sending invitation');
+        }
+    };
+
+    const handleRevokeInvitation = async (invitationId) => {
+        if (!window.confirm('Revoke this invitation?')) {
+            return;
+        }
+
+        try {
+            await axios.delete(`${API_BASE_URL}/api/manager/team/${id}/invitations/${invitationId}`, {
+                withCredentials: true
+            });
+            fetchInvitations();
+        } catch (error) {
+            alert(error.response?.data?.message || 'Error revoking invitation');
+        }
+    };
+
+    const handleCreateLink = async (e) => {
+        e.preventDefault();
+
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/api/manager/team/${id}/invite-links`,
+                {
+                    expires_in_hours: parseInt(linkForm.expires_in_hours),
+                    max_uses: parseInt(linkForm.max_uses)
+                },
+                { withCredentials: true }
+            );
+            if (response.data.success) {
+                fetchInvitations();
+            }
+        } catch (error) {
+            alert(error.response?.data?.message || 'Error creating invite link');
+        }
+    };
+
+    const handleRevokeLink = async (linkId) => {
+        if (!window.confirm('Revoke this invite link? Players will no longer be able to use it.')) {
+            return;
+        }
+
+        try {
+            await axios.delete(`${API_BASE_URL}/api/manager/team/${id}/invite-links/${linkId}`, {
+                withCredentials: true
+            });
+            fetchInvitations();
+        } catch (error) {
+            alert(error.response?.data?.message || 'Error revoking invite link');
+        }
+    };
+
+    const inviteUrl = (code) => `${window.location.origin}/player/join/${code}`;
+
+    const handleCopyLink = async (code) => {
+        try {
+            await navigator.clipboard.writeText(inviteUrl(code));
+            alert('Invite link copied to clipboard');
+        } catch (error) {
+            window.prompt('Copy this invite link:', inviteUrl(code));
+        }
+    };
+
     const fetchTeamDetails = async () => {
         try {
             const response = await axios.get(`${API_BASE_URL}/api/manager/team/${id}`, { 
@@ -89,6 +341,45 @@ const TeamManage = () => {
         }
     };
 
+    const rosterValue = (member, field) => {
+        const edit = rosterEdits[member.player_id];
+        if (edit && edit[field] !== undefined) return edit[field];
+        return member[field] ?? '';
+    };
+
+    const handleRosterChange = (playerId, field, value) => {
+        setRosterEdits({
+            ...rosterEdits,
+            [playerId]: { ...rosterEdits[playerId], [field]: value }
+        });
+    };
+
+    const handleSaveRoster = async (playerId) => {
+        const edit = rosterEdits[playerId];
+        if (!edit) return;
+
+        try {
+            const response = await axios.put(
+                `${API_BASE_URL}/api/manager/team/${id}/roster/${playerId}`,
+                {
+                    ...edit,
+                    ...(edit.jersey_number !== undefined && {
+                        jersey_number: edit.jersey_number === '' ? null : parseInt(edit.jersey_number)
+                    })
+                },
+                { withCredentials: true }
+            );
+            if (response.data.success) {
+                const remaining = { ...rosterEdits };
+                delete remaining[playerId];
+                setRosterEdits(remaining);
+                fetchTeamDetails();
+            }
+        } catch (error) {
+            alert(error.response?.data?.message || 'Error updating roster');
+        }
+    };
+
     const handleRemoveMember = async (playerId) => {
         if (!window.confirm('Are you sure you want to remove this member?')) {
             return;
@@ -112,54 +403,54 @@ const TeamManage = () => {
 
     if (loading) {
         return (
-            <ManagerLayout>
+            <Layout>
                 <div className="loading-container">
                     <div className="spinner"></div>
                     <p>Loading team details...</p>
                 </div>
-            </ManagerLayout>
+            </Layout>
         );
     }
 
     if (error) {
         return (
-            <ManagerLayout>
+            <Layout>
                 <div className="error-container">
                     <i className="fa fa-exclamation-triangle"></i>
                     <h3>Error</h3>
                     <p>{error}</p>
-                    <Link to="/manager/my-teams" className="btn-back">
+                    <Link to={backPath} className="btn-back">
                         <i className="fa fa-arrow-left"></i>
                         Back to My Teams
                     </Link>
                 </div>
-            </ManagerLayout>
+            </Layout>
         );
     }
 
     if (!team) {
         return (
-            <ManagerLayout>
+            <Layout>
                 <div className="error-container">
                     <i className="fa fa-users"></i>
                     <h3>Team Not Found</h3>
                     <p>The team you're looking for doesn't exist.</p>
-                    <Link to="/manager/my-teams" className="btn-back">
+                    <Link to={backPath} className="btn-back">
                         <i className="fa fa-arrow-left"></i>
                         Back to My Teams
                     </Link>
                 </div>
-            </ManagerLayout>
+            </Layout>
         );
     }
 
     return (
-        <ManagerLayout>
+        <Layout>
             <div className="team-manage-container">
                 <div className="manage-wrapper">
                     {/* Header */}
                     <div className="page-header">
-                        <Link to="/manager/my-teams" className="back-link">
+                        <Link to={backPath} className="back-link">
                             <i className="fa fa-arrow-left"></i>
                             Back to Teams
                         </Link>
@@ -172,12 +463,27 @@ const TeamManage = () => {
                                 Manage team members and details
                             </p>
                         </div>
-                        <Link to={`/manager/team/${id}/edit`} className="edit-btn">
-                            <i className="fa fa-edit"></i>
-                            Edit Team
-                        </Link>
+                        {isCoManager ? (
+                            <Link to={`/manager/team/${id}/matches`} className="edit-btn">
+                                <i className="fa fa-futbol"></i>
+                                Team Matches
+                            </Link>
+                        ) : (
+                            <Link to={`/manager/team/${id}/edit`} className="edit-btn">
+                                <i className="fa fa-edit"></i>
+                                Edit Team
+                            </Link>
+                        )}
                     </div>
 
+                    {team.archived_at && (
+                        <div className="archived-banner">
+                            <i className="fa fa-archive"></i>
+                            This team was archived on {new Date(team.archived_at).toLocaleDateString()}. It is hidden from players
+                            and cannot register for events until you restore it from My Teams.
+                        </div>
+                    )}
+
                     {/* Team Info Card */}
                     <div className="info-card">
                         <div className="info-grid">
@@ -248,19 +554,63 @@ const TeamManage = () => {
                                             )}
                                         </div>
                                         <div className="member-info">
-                                            <h4>{member.first_name} {member.last_name}</h4>
+                                            <h4>
+                                                {member.jersey_number !== null && member.jersey_number !== undefined && (
+                                                    <span className="member-jersey">#{member.jersey_number}</span>
+                                                )}
+                                                {member.first_name} {member.last_name}
+                                            </h4>
+                                            <span className={`member-role role-${member.role || 'player'}`}>
+                                                {ROLE_LABELS[member.role] || 'Player'}
+                                            </span>
+                                            {member.position && <span className="member-position">{member.position}</span>}
                                             <p className="member-email">{member.email}</p>
                                             <p className="member-joined">
                                                 Joined: {new Date(member.joined_date).toLocaleDateString()}
                                             </p>
+                                            <div className="roster-edit">
+                                                <select
+                                                    value={rosterValue(member, 'role') || 'player'}
+                                                    onChange={(e) => handleRosterChange(member.player_id, 'role', e.target.value)}
+                                                >
+                                                    {Object.entries(ROLE_LABELS)
+                                                        .filter(([role]) => !isCoManager || role !== 'co_manager' || member.role === 'co_manager')
+                                                        .map(([role, label]) => (
+                                                            <option key={role} value={role}>{label}</option>
+                                                        ))}
+                                                </select>
+                                                <input
+                                                    type="number"
+                                                    min="0"
+                                                    max="99"
+                                                    placeholder="#"
+                                                    value={rosterValue(member, 'jersey_number')}
+                                                    onChange={(e) => handleRosterChange(member.player_id, 'jersey_number', e.target.value)}
+                                                />
+                                                <input
+                                                    type="text"
+                                                    maxLength="30"
+                                                    placeholder="Position"
+                                                    value={rosterValue(member, 'position')}
+                                                    onChange={(e) => handleRosterChange(member.player_id, 'position', e.target.value)}
+                                                />
+                                                {rosterEdits[member.player_id] && (
+                                                    <button className="btn-approve" onClick={() => handleSaveRoster(member.player_id)}>
+                                                        <i className="fa fa-save"></i>
+                                                        Save
+                                                    </button>
+                                                )}
+                                            </div>
                                         </div>
-                                        <button 
-                                            className="btn-remove"
-                                            onClick={() => handleRemoveMember(member.player_id)}
-                                        >
-                                            <i className="fa fa-times"></i>
-                                            Remove
-                                        </button>
+                                        {String(member.player_id) !== String(user?._id) && (
+                                            <button 
+                                                className="btn-remove"
+                                                onClick={() => handleRemoveMember(member.player_id)}
+                                            >
+                                                <i className="fa fa-times"></i>
+                                                Remove
+                                            </button>
+                                        )}
                                     </div>
                                 ))}
                             </div>
@@ -272,6 +622,265 @@ const TeamManage = () => {
                         )}
                     </div>
 
+                    {/* Invitations Section */}
+                    <div className="invites-section">
+                        <div className="section-header">
+                            <h2>
+                                <i className="fa fa-envelope-open-text"></i>
+                                Invite Players
+                            </h2>
+                        </div>
+
+                        <div className="invite-forms">
+                            <form className="invite-form" onSubmit={handleSendInvitation}>
+                                <h3>Invite by email or player ID</h3>
+                                <input
+                                    type="text"
+                                    placeholder="player@example.com or player ID"
+                                    value={inviteForm.recipient}
+                                    onChange={(e) => setInviteForm({ ...inviteForm, recipient: e.target.value })}
+                                    required
+                                />
+                                <textarea
+                                    placeholder="Add a personal message (optional)"
+                                    rows="2"
+                                    maxLength="500"
+                                    value={inviteForm.message}
+                                    onChange={(e) => setInviteForm({ ...inviteForm, message: e.target.value })}
+                                />
+                                <label>
+                                    Expires after (days)
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        max="30"
+                                        value={inviteForm.expires_in_days}
+                                        onChange={(e) => setInviteForm({ ...inviteForm, expires_in_days: e.target.value })}
+                                    />
+                                </label>
+                                <button type="submit" className="btn-approve">
+                                    <i className="fa fa-paper-plane"></i>
+                                    Send Invitation
+                                </button>
+                            </form>
+
+                            <form className="invite-form" onSubmit={handleCreateLink}>
+                                <h3>Shareable invite link</h3>
+                                <label>
+                                    Expires after (hours)
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        max="720"
+                                        value={linkForm.expires_in_hours}
+                                        onChange={(e) => setLinkForm({ ...linkForm, expires_in_hours: e.target.value })}
+                                    />
+                                </label>
+                                <label>
+                                    Maximum uses
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        max="100"
+                                        value={linkForm.max_uses}
+                                        onChange={(e) => setLinkForm({ ...linkForm, max_uses: e.target.value })}
+                                    />
+                                </label>
+                                <button type="submit" className="btn-approve">
+                                    <i className="fa fa-link"></i>
+                                    Create Link
+                                </button>
+                            </form>
+                        </div>
+
+                        {inviteLinks.length > 0 && (
+                            <div className="requests-list invite-list">
+                                {inviteLinks.map(link => (
+                                    <div key={link._id} className={`request-card ${link.unavailable_reason ? 'invite-closed' : ''}`}>
+                                        <div className="request-info">
+                                            <h4>Code <span className="invite-code">{link.code}</span></h4>
+                                            <p>
+                                                Used {link.uses} / {link.max_uses} · Expires {new Date(link.expires_at).toLocaleString()}
+                                            </p>
+                                            {link.unavailable_reason && <p className="invite-status">{link.unavailable_reason}</p>}
+                                        </div>
+                                        {!link.unavailable_reason && (
+                                            <div className="request-actions">
+                                                <button className="btn-approve" onClick={() => handleCopyLink(link.code)}>
+                                                    <i className="fa fa-copy"></i>
+                                                    Copy Link
+                                                </button>
+                                                <button className="btn-reject" onClick={() => handleRevokeLink(link._id)}>
+                                                    <i className="fa fa-ban"></i>
+                                                    Revoke
+                                                </button>
+                                            </div>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+
+                        {invitations.length > 0 && (
+                            <div className="requests-list invite-list">
+                                {invitations.map(invitation => (
+                                    <div key={invitation._id} className={`request-card ${invitation.status !== 'pending' ? 'invite-closed' : ''}`}>
+                                        <div className="request-info">
+                                            <h4>{invitation.player_name || invitation.email}</h4>
+                                            <p>
+                                                Invited {new Date(invitation.created_at).toLocaleDateString()}
+                                                {invitation.status === 'pending' && ` · Expires ${new Date(invitation.expires_at).toLocaleDateString()}`}
+                                            </p>
+                                            <p className={`invite-status status-${invitation.status}`}>{invitation.status}</p>
+                                        </div>
+                                        {invitation.status === 'pending' && (
+                                            <div className="request-actions">
+                                                <button className="btn-reject" onClick={() => handleRevokeInvitation(invitation._id)}>
+                                                    <i className="fa fa-ban"></i>
+                                                    Revoke
+                                                </button>
+                                            </div>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Recruitment Section */}
+                    <div className="invites-section recruitment-section">
+                        <div className="section-header">
+                            <h2>
+                                <i className="fa fa-bullhorn"></i>
+                                Recruitment
+                            </h2>
+                        </div>
+
+                        {!team.archived_at && (
+                            <form className="invite-form recruitment-form" onSubmit={handleCreatePosting}>
+                                <h3>Post what the team is looking for</h3>
+                                <input
+                                    type="text"
+                                    placeholder="Positions needed, e.g. Goalkeeper, Defender"
+                                    value={postingForm.positions}
+                                    onChange={(e) => setPostingForm({ ...postingForm, positions: e.target.value })}
+                                />
+                                <div className="recruitment-form-row">
+                                    <select
+                                        value={postingForm.skill_level}
+                                        onChange={(e) => setPostingForm({ ...postingForm, skill_level: e.target.value })}
+                                    >
+                                        <option value="">Any skill level</option>
+                                        {SKILL_LEVELS.map(level => (
+                                            <option key={level} value={level}>
+                                                {level.charAt(0).toUpperCase() + level.slice(1)}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <input
+                                        type="text"
+                                        placeholder="Area"
+                                        value={postingForm.area}
+                                        onChange={(e) => setPostingForm({ ...postingForm, area: e.target.value })}
+                                    />
+                                    <input
+                                        type="text"
+                                        placeholder="When you play, e.g. Weekday evenings"
+                                        value={postingForm.schedule}
+                                        onChange={(e) => setPostingForm({ ...postingForm, schedule: e.target.value })}
+                                    />
+                                </div>
+                                <textarea
+                                    placeholder="Anything else players should know (optional)"
+                                    rows="2"
+                                    maxLength="1000"
+                                    value={postingForm.description}
+                                    onChange={(e) => setPostingForm({ ...postingForm, description: e.target.value })}
+                                />
+                                <button type="submit" className="btn-approve">
+                                    <i className="fa fa-bullhorn"></i>
+                                    Publish Posting
+                                </button>
+                            </form>
+                        )}
+
+                        {postings.length > 0 && (
+                            <div className="requests-list invite-list">
+                                {postings.map(posting => (
+                                    <div key={posting._id} className="recruitment-posting">
+                                        <div className={`request-card ${posting.status !== 'open' ? 'invite-closed' : ''}`}>
+                                            <div className="request-info">
+                                                <h4>{posting.positions.length > 0 ? posting.positions.join(', ') : 'Any position'}</h4>
+                                                <p>
+                                                    {[posting.skill_level, posting.area, posting.schedule].filter(Boolean).join(' · ') ||
+                                                        'No level, area or schedule given'}
+                                                </p>
+                                                {posting.description && <p>{posting.description}</p>}
+                                                <p className={`invite-status status-${posting.status}`}>{posting.status}</p>
+                                            </div>
+                                            <div className="request-actions">
+                                                {posting.status === 'open' && (
+                                                    <button className="btn-approve" onClick={() => handleToggleCandidates(posting._id)}>
+                                                        <i className="fa fa-users"></i>
+                                                        {openPosting === posting._id ? 'Hide Players' : 'Find Players'}
+                                                    </button>
+                                                )}
+                                                {(posting.status === 'open' || !team.archived_at) && (
+                                                    <button className="btn-reject" onClick={() => handlePostingStatus(posting)}>
+                                                        <i className={`fa ${posting.status === 'open' ? 'fa-lock' : 'fa-lock-open'}`}></i>
+                                                        {posting.status === 'open' ? 'Close' : 'Reopen'}
+                                                    </button>
+                                                )}
+                                            </div>
+                                        </div>
+
+                                        {openPosting === posting._id && (
+                                            <div className="recruitment-candidates">
+                                                {!candidates[posting._id] ? (
+                                                    <p>Loading free agents...</p>
+                                                ) : candidates[posting._id].length === 0 ? (
+                                                    <p>No free agents in {team.sport_type} yet. Check back later.</p>
+                                                ) : (
+                                                    candidates[posting._id].map(candidate => (
+                                                        <div key={candidate.player_id} className="recruitment-candidate">
+                                                            <div>
+                                                                <h4>
+                                                                    {candidate.first_name} {candidate.last_name}
+                                                                    <span className="recruitment-score">{candidate.match_score}% match</span>
+                                                                </h4>
+                                                                <p>
+                                                                    {[candidate.position, candidate.skill_level, candidate.area, candidate.schedule]
+                                                                        .filter(Boolean).join(' · ')}
+                                                                </p>
+                                                                {candidate.note && <p className="recruitment-note">{candidate.note}</p>}
+                                                                {candidate.match_reasons.length > 0 && (
+                                                                    <p className="recruitment-reasons">{candidate.match_reasons.join(' · ')}</p>
+                                                                )}
+                                                            </div>
+                                                            {candidate.invited ? (
+                                                                <span className="invite-status status-pending">Invited</span>
+                                                            ) : candidate.requested ? (
+                                                                <span className="invite-status status-pending">Asked to join</span>
+                                                            ) : (
+                                                                <button
+                                                                    className="btn-approve"
+                                                                    onClick={() => handleInviteCandidate(posting._id, candidate)}
+                                                                >
+                                                                    <i className="fa fa-paper-plane"></i>
+                                                                    Invite
+                                                                </button>
+                                                            )}
+                                                        </div>
+                                                    ))
+                                                )}
+                                            </div>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+
                     {/* Join Requests Section */}
                     {team.join_requests && team.join_requests.filter(req => req.status === 'pending').length > 0 && (
                         <div className="requests-section">
@@ -314,9 +923,55 @@ const TeamManage = () => {
                             </div>
                         </div>
                     )}
+
+                    {/* Ownership Section - the manager only, not co-managers */}
+                    {!isCoManager && !team.archived_at && (
+                        <div className="invites-section ownership-section">
+                            <div className="section-header">
+                                <h2>
+                                    <i className="fa fa-key"></i>
+                                    Team Ownership
+                                </h2>
+                            </div>
+
+                            {team.ownership_transfer ? (
+                                <div className="transfer-pending">
+                                    <p>
+                                        Waiting for <strong>{team.ownership_transfer.to_name}</strong> ({team.ownership_transfer.to_email}) to
+                                        accept. The offer lapses on {new Date(team.ownership_transfer.expires_at).toLocaleDateString()}.
+                                    </p>
+                                    <button type="button" className="btn-reject" onClick={handleCancelTransfer}>
+                                        Cancel Transfer
+                                    </button>
+                                </div>
+                            ) : (
+                                <form className="invite-form" onSubmit={handleTransferOwnership}>
+                                    <h3>Transfer to another manager</h3>
+                                    <input
+                                        type="email"
+                                        placeholder="manager@example.com"
+                                        value={transferForm.email}
+                                        onChange={(e) => setTransferForm({ ...transferForm, email: e.target.value })}
+                                        required
+                                    />
+                                    <textarea
+                                        placeholder="Optional message"
+                                        value={transferForm.message}
+                                        onChange={(e) => setTransferForm({ ...transferForm, message: e.target.value })}
+                                        maxLength="500"
+                                        rows="2"
+                                    />
+                                    <button type="submit" className="btn-approve">
+                                        <i className="fa fa-exchange-alt"></i>
+                                        Send Transfer Request
+                                    </button>
+                                </form>
+                            )}
+                        </div>
+                    )}
                 </div>
             </div>
-        </ManagerLayout>
+        </Layout>
     );
 };
 
@@ -1,23 +1,47 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
+import { useSelector } from 'react-redux';
 import axios from 'axios';
+import { selectUser } from '../../store/slices/authSlice';
 import ManagerLayout from '../../components/layout/ManagerLayout';
+import PlayerLayout from '../../components/layout/PlayerLayout';
+import DisputeThread from '../../components/common/DisputeThread';
 import './TeamMatches.css';
 import { API_BASE_URL } from '../../utils/constants';
+import { useLiveScores, applyLiveUpdate } from '../../hooks/useLiveScores';
+
+const AVAILABILITY_LABELS = {
+    available: 'Available',
+    maybe: 'Maybe',
+    unavailable: 'Unavailable'
+};
 
 const TeamMatches = () => {
     const { teamId } = useParams();
     const navigate = useNavigate();
+    const user = useSelector(selectUser);
+    // Co-managers are players, so they keep the player navigation
+    const Layout = user?.role === 'player' ? PlayerLayout : ManagerLayout;
     const [team, setTeam] = useState(null);
     const [matches, setMatches] = useState([]);
     const [loading, setLoading] = useState(true);
     const [editingMatch, setEditingMatch] = useState(null);
     const [scores, setScores] = useState({ score_a: 0, score_b: 0 });
+    const [statSheet, setStatSheet] = useState(null);
+    const [playerStats, setPlayerStats] = useState({});
+    const [mvpVote, setMvpVote] = useState('');
+    const [counterMatch, setCounterMatch] = useState(null);
+    const [counterClaim, setCounterClaim] = useState({ score_a: '', score_b: '', reason: '' });
+    const [openDispute, setOpenDispute] = useState(null);
+    const [availability, setAvailability] = useState({});
+    const [openAvailability, setOpenAvailability] = useState(null);
 
     useEffect(() => {
         fetchTeamAndMatches();
     }, [teamId]);
 
+    useLiveScores({ team: teamId }, update => setMatches(prev => applyLiveUpdate(prev, update)));
+
     const fetchTeamAndMatches = async () => {
         try {
             // Fetch team details
@@ -41,6 +65,7 @@ const TeamMatches = () => {
                 [];
             
             setMatches(uniqueMatches);
+            fetchAvailability();
             setLoading(false);
         } catch (error) {
             console.error('Error fetching data:', error);
@@ -48,6 +73,21 @@ const TeamMatches = () => {
         }
     };
 
+    // Availability poll summaries for upcoming matches, keyed by match id
+    const fetchAvailability = async () => {
+        try {
+            const response = await axios.get(
+                `${API_BASE_URL}/api/manager/team/${teamId}/availability`,
+                { withCredentials: true }
+            );
+            if (response.data.success) {
+                setAvailability(Object.fromEntries(response.data.matches.map(entry => [entry.match_id, entry])));
+            }
+        } catch (error) {
+            console.error('Error fetching availability:', error);
+        }
+    };
+
     const canUpdateMatch = (matchDate, status) => {
         // Cannot update if verified, completed or cancelled
         if (status === 'verified' || status === 'completed' || status === 'cancelled') {
@@ -64,36 +104,81 @@ const TeamMatches = () => {
         return match <= today;
     };
 
-    const startEditing = (match) => {
+    const startEditing = async (match) => {
         setEditingMatch(match._id);
         setScores({
             score_a: match.score_a || 0,
             score_b: match.score_b || 0
         });
+        setStatSheet(null);
+        setPlayerStats({});
+        setMvpVote('');
+
+        try {
+            const response = await axios.get(
+                `${API_BASE_URL}/api/manager/match/${match._id}/stat-sheet`,
+                { withCredentials: true }
+            );
+            if (response.data.success) {
+                setStatSheet(response.data);
+                setPlayerStats(Object.fromEntries(
+                    response.data.player_stats.map(line => [line.player_id, line.stats])
+                ));
+                setMvpVote(response.data.mvp_player_id || '');
+            }
+        } catch (error) {
+            // The score can still be recorded without player stats
+            console.error('Error fetching stat sheet:', error);
+        }
     };
 
     const cancelEditing = () => {
         setEditingMatch(null);
         setScores({ score_a: 0, score_b: 0 });
+        setStatSheet(null);
+        setPlayerStats({});
+        setMvpVote('');
+    };
+
+    const updatePlayerStat = (playerId, key, value) => {
+        setPlayerStats(prev => ({
+            ...prev,
+            [playerId]: { ...prev[playerId], [key]: value }
+        }));
+    };
+
+    // Only players with at least one value entered get a stat line
+    const buildStatLines = () => {
+        if (!statSheet) return undefined;
+        return Object.entries(playerStats)
+            .map(([playerId, values]) => ({
+                player_id: playerId,
+                team_id: statSheet.team_id,
+                stats: Object.fromEntries(
+                    Object.entries(values || {})
+                        .filter(([, value]) => value !== '' && value !== undefined && value !== null)
+                        .map(([key, value]) => [key, Number(value)])
+                )
+            }))
+            .filter(line => Object.keys(line.stats).length > 0);
     };
 
     const submitScore = async (matchId) => {
         try {
-            const response = await axios.put(
-                `${API_BASE_URL}/api/matches/${matchId}/result`,
+            const response = await axios.post(
+                `${API_BASE_URL}/api/manager/match/${matchId}/record-result`,
                 {
                     score_a: parseInt(scores.score_a),
-                    score_b: parseInt(scores.score_b)
+                    score_b: parseInt(scores.score_b),
+                    player_stats: buildStatLines(),
+                    mvp_player_id: mvpVote || undefined
                 },
                 { withCredentials: true }
             );
 
             if (response.data.success) {
-                const msg = response.data.requiresApproval 
-                    ? '✅ Result submitted for verification.\n\nWaiting for Organizer approval.'
-                    : '✅ Match score recorded successfully!';
-                alert(msg);
-                setEditingMatch(null);
+                alert('✅ ' + response.data.message);
+                cancelEditing();
                 fetchTeamAndMatches(); // Refresh list
             }
         } catch (error) {
@@ -102,14 +187,110 @@ const TeamMatches = () => {
         }
     };
 
+    const isAwaitingUs = (match) => (
+        match.status === 'pending' &&
+        match.confirmation?.status === 'awaiting' &&
+        String(match.confirmation.awaiting_team) === String(teamId)
+    );
+
+    const confirmResult = async (matchId) => {
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/api/matches/${matchId}/confirm`,
+                {},
+                { withCredentials: true }
+            );
+            if (response.data.success) {
+                alert('✅ ' + response.data.message);
+                fetchTeamAndMatches();
+            }
+        } catch (error) {
+            console.error('Error confirming result:', error);
+            alert(error.response?.data?.message || 'Failed to confirm result');
+        }
+    };
+
+    const startCounterClaim = (match) => {
+        setCounterMatch(match._id);
+        setCounterClaim({ score_a: match.score_a ?? '', score_b: match.score_b ?? '', reason: '' });
+    };
+
+    const submitCounterClaim = async (matchId) => {
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/api/matches/${matchId}/counter`,
+                {
+                    score_a: parseInt(counterClaim.score_a),
+                    score_b: parseInt(counterClaim.score_b),
+                    reason: counterClaim.reason
+                },
+                { withCredentials: true }
+            );
+            if (response.data.success) {
+                alert('⚖️ ' + response.data.message);
+                setCounterMatch(null);
+                setOpenDispute(matchId);
+                fetchTeamAndMatches();
+            }
+        } catch (error) {
+            console.error('Error submitting counter-claim:', error);
+            alert(error.response?.data?.message || 'Failed to submit counter-claim');
+        }
+    };
+
+    const sendLiveEvent = async (matchId, action, body = {}) => {
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/api/matches/${matchId}/live/${action}`,
+                body,
+                { withCredentials: true }
+            );
+
+            if (response.data.success) {
+                setMatches(prev => applyLiveUpdate(prev, response.data.live));
+                if (action === 'end') {
+                    alert('✅ ' + response.data.message);
+                }
+            }
+        } catch (error) {
+            console.error('Error updating live score:', error);
+            alert(error.response?.data?.message || 'Failed to update live score');
+        }
+    };
+
+    const changePeriod = (matchId, currentPeriod) => {
+        const period = window.prompt('Period (e.g. 2nd Half, Q3, Innings 2):', currentPeriod || '');
+        if (period && period.trim()) {
+            sendLiveEvent(matchId, 'period', { period: period.trim() });
+        }
+    };
+
+    const endLiveMatch = (matchId) => {
+        if (window.confirm('End the match? The final score will be sent to the organizer for verification.')) {
+            sendLiveEvent(matchId, 'end');
+        }
+    };
+
     const getMatchStatus = (match) => {
+        if (match.status === 'live') {
+            return { label: match.live_period ? `Live · ${match.live_period}` : 'Live', color: '#dc2626', icon: '🔴' };
+        }
         // Priority: completed/cancelled first
         if (match.status === 'verified' || match.status === 'completed') {
             return { label: 'Completed', color: '#10b981', icon: '✅' };
         }
+        if (match.status === 'pending' && isAwaitingUs(match)) {
+            return { label: 'Confirm Result', color: '#ea580c', icon: '✋' };
+        }
+        if (match.status === 'pending' && match.confirmation?.status === 'awaiting') {
+            return { label: 'Awaiting Opponent', color: '#f59e0b', icon: '⏳' };
+        }
         if (match.status === 'pending') {
             return { label: 'Pending Approval', color: '#f59e0b', icon: '⏳' };
         }
+        if (match.status === 'disputed') {
+            return { label: 'Disputed', color: '#dc2626', icon: '⚖️' };
+        }
         if (match.status === 'cancelled') {
             return { label: 'Cancelled', color: '#ef4444', icon: '❌' };
         }
@@ -129,17 +310,17 @@ const TeamMatches = () => {
 
     if (loading) {
         return (
-            <ManagerLayout>
+            <Layout>
                 <div className="loading-container">
                     <div className="loading-spinner"></div>
                     <p>Loading matches...</p>
                 </div>
-            </ManagerLayout>
+            </Layout>
         );
     }
 
     return (
-        <ManagerLayout>
+        <Layout>
             <div className="team-matches-container">
                 <div className="page-header">
                     <button onClick={() => navigate(-1)} className="btn-back">
@@ -168,6 +349,8 @@ const TeamMatches = () => {
                             const opponentScore = isTeamA ? match.score_b : match.score_a;
                             const canUpdate = canUpdateMatch(match.match_date, match.status);
                             const isEditing = editingMatch === match._id;
+                            const yourSide = isTeamA ? 'team_a' : 'team_b';
+                            const opponentSide = isTeamA ? 'team_b' : 'team_a';
 
                             return (
                                 <div key={match._id} className="match-card">
@@ -244,6 +427,87 @@ const TeamMatches = () => {
                                         </div>
                                     </div>
 
+                                    {availability[match._id] && (() => {
+                                        const poll = availability[match._id];
+                                        const { summary } = poll;
+                                        return (
+                                            <div className={`availability-summary ${summary.below_minimum ? 'short' : ''}`}>
+                                                <div className="availability-counts">
+                                                    <span className="available">✓ {summary.available}</span>
+                                                    <span className="maybe">? {summary.maybe}</span>
+                                                    <span className="unavailable">✗ {summary.unavailable}</span>
+                                                    <span className="no-response">… {summary.no_response} no reply</span>
+                                                    <button
+                                                        type="button"
+                                                        className="availability-toggle"
+                                                        onClick={() => setOpenAvailability(openAvailability === match._id ? null : match._id)}
+                                                    >
+                                                        {openAvailability === match._id ? 'Hide' : 'Who\'s in?'}
+                                                    </button>
+                                                </div>
+                                                {summary.below_minimum && (
+                                                    <div className="availability-warning">
+                                                        ⚠️ Only {summary.available} confirmed - you need at least {summary.minimum} players to field a lineup.
+                                                    </div>
+                                                )}
+                                                {openAvailability === match._id && (
+                                                    <ul className="availability-players">
+                                                        {poll.players.map(player => (
+                                                            <li key={player.player_id} className={player.status || 'no-response'}>
+                                                                <span>{player.name}</span>
+                                                                <span>{AVAILABILITY_LABELS[player.status] || 'No reply'}</span>
+                                                                {player.note && <span className="availability-note">{player.note}</span>}
+                                                            </li>
+                                                        ))}
+                                                    </ul>
+                                                )}
+                                            </div>
+                                        );
+                                    })()}
+
+                                    {isEditing && statSheet && statSheet.players.length > 0 && (
+                                        <div className="player-stat-sheet">
+                                            <h4>📋 Player Stats ({statSheet.sport_type})</h4>
+                                            <div className="stat-sheet-table">
+                                                <div className="stat-sheet-row stat-sheet-head">
+                                                    <span>Player</span>
+                                                    {statSheet.fields.map(field => (
+                                                        <span key={field.key}>{field.label}</span>
+                                                    ))}
+                                                </div>
+                                                {statSheet.players.map(player => (
+                                                    <div key={player.id} className="stat-sheet-row">
+                                                        <span className="stat-sheet-player">{player.name}</span>
+                                                        {statSheet.fields.map(field => (
+                                                            <input
+                                                                key={field.key}
+                                                                type="number"
+                                                                min="0"
+                                                                step={field.overs ? '0.1' : '1'}
+                                                                value={playerStats[player.id]?.[field.key] ?? ''}
+                                                                onChange={(e) => updatePlayerStat(player.id, field.key, e.target.value)}
+                                                                className="stat-input"
+                                                            />
+                                                        ))}
+                                                    </div>
+                                                ))}
+                                            </div>
+                                            <label className="mvp-vote">
+                                                ⭐ MVP vote
+                                                <select value={mvpVote} onChange={(e) => setMvpVote(e.target.value)}>
+                                                    <option value="">No vote</option>
+                                                    {statSheet.mvp_candidates.map(candidateTeam => (
+                                                        <optgroup key={candidateTeam.team_id} label={candidateTeam.team_name}>
+                                                            {candidateTeam.players.map(player => (
+                                                                <option key={player.id} value={player.id}>{player.name}</option>
+                                                            ))}
+                                                        </optgroup>
+                                                    ))}
+                                                </select>
+                                            </label>
+                                        </div>
+                                    )}
+
                                     {match.status === 'completed' && match.winner && (
                                         <div className="result">
                                             {match.winner === 'draw' ? (
@@ -261,6 +525,118 @@ const TeamMatches = () => {
                                         </div>
                                     )}
 
+                                    {match.status === 'pending' && match.confirmation?.status === 'awaiting' && (
+                                        <div className={`confirmation-box ${isAwaitingUs(match) ? 'action-needed' : ''}`}>
+                                            {isAwaitingUs(match) ? (
+                                                <>
+                                                    <p>
+                                                        {opponentTeam} submitted this result. Confirm it or counter-claim
+                                                        before {new Date(match.confirmation.due_at).toLocaleString()}, after
+                                                        which it is confirmed automatically.
+                                                    </p>
+                                                    {counterMatch === match._id ? (
+                                                        <div className="counter-claim-form">
+                                                            <label>
+                                                                {match.team_a_name}
+                                                                <input
+                                                                    type="number"
+                                                                    min="0"
+                                                                    value={counterClaim.score_a}
+                                                                    onChange={(e) => setCounterClaim({ ...counterClaim, score_a: e.target.value })}
+                                                                />
+                                                            </label>
+                                                            <label>
+                                                                {match.team_b_name}
+                                                                <input
+                                                                    type="number"
+                                                                    min="0"
+                                                                    value={counterClaim.score_b}
+                                                                    onChange={(e) => setCounterClaim({ ...counterClaim, score_b: e.target.value })}
+                                                                />
+                                                            </label>
+                                                            <textarea
+                                                                value={counterClaim.reason}
+                                                                onChange={(e) => setCounterClaim({ ...counterClaim, reason: e.target.value })}
+                                                                placeholder="What is wrong with the submitted score?"
+                                                                rows="2"
+                                                            />
+                                                            <div className="confirmation-actions">
+                                                                <button onClick={() => setCounterMatch(null)} className="btn-cancel">Cancel</button>
+                                                                <button
+                                                                    onClick={() => submitCounterClaim(match._id)}
+                                                                    className="btn-counter"
+                                                                    disabled={!counterClaim.reason.trim()}
+                                                                >
+                                                                    Submit Counter-claim
+                                                                </button>
+                                                            </div>
+                                                        </div>
+                                                    ) : (
+                                                        <div className="confirmation-actions">
+                                                            <button onClick={() => confirmResult(match._id)} className="btn-save">
+                                                                ✅ Confirm Score
+                                                            </button>
+                                                            <button onClick={() => startCounterClaim(match)} className="btn-counter">
+                                                                ⚖️ Counter-claim
+                                                            </button>
+                                                        </div>
+                                                    )}
+                                                </>
+                                            ) : (
+                                                <p>
+                                                    Waiting for {opponentTeam} to confirm until{' '}
+                                                    {new Date(match.confirmation.due_at).toLocaleString()}.
+                                                </p>
+                                            )}
+                                        </div>
+                                    )}
+
+                                    {match.status === 'disputed' && (
+                                        <div className="confirmation-box action-needed">
+                                            <p>⚖️ This result is disputed. The organizer will rule on it.</p>
+                                            <button
+                                                onClick={() => setOpenDispute(openDispute === match._id ? null : match._id)}
+                                                className="btn-counter"
+                                            >
+                                                {openDispute === match._id ? 'Hide Dispute' : 'View Dispute'}
+                                            </button>
+                                            {openDispute === match._id && (
+                                                <DisputeThread matchId={match._id} onResolved={fetchTeamAndMatches} />
+                                            )}
+                                        </div>
+                                    )}
+
+                                    {match.status === 'live' && (
+                                        <div className="live-controls">
+                                            <button onClick={() => sendLiveEvent(match._id, 'score', { team: yourSide })} className="btn-live-score">
+                                                +1 {yourTeam}
+                                            </button>
+                                            <button onClick={() => sendLiveEvent(match._id, 'score', { team: opponentSide })} className="btn-live-score">
+                                                +1 {opponentTeam}
+                                            </button>
+                                            <button
+                                                onClick={() => sendLiveEvent(match._id, 'score', { team: yourSide, points: -1 })}
+                                                className="btn-live-undo"
+                                                disabled={!yourScore}
+                                            >
+                                                −1 {yourTeam}
+                                            </button>
+                                            <button
+                                                onClick={() => sendLiveEvent(match._id, 'score', { team: opponentSide, points: -1 })}
+                                                className="btn-live-undo"
+                                                disabled={!opponentScore}
+                                            >
+                                                −1 {opponentTeam}
+                                            </button>
+                                            <button onClick={() => changePeriod(match._id, match.live_period)} className="btn-live-period">
+                                                ⏱️ Period
+                                            </button>
+                                            <button onClick={() => endLiveMatch(match._id)} className="btn-live-end">
+                                                🏁 End Match
+                                            </button>
+                                        </div>
+                                    )}
+
                                     <div className="actions">
                                         {isEditing ? (
                                             <>
@@ -278,14 +654,24 @@ const TeamMatches = () => {
                                                 </button>
                                             </>
                                         ) : (
-                                            canUpdate && (
-                                                <button
-                                                    onClick={() => startEditing(match)}
-                                                    className="btn-update"
-                                                >
-                                                    ✏️ Record Result
-                                                </button>
-                                            )
+                                            <>
+                                                {match.status === 'scheduled' && canUpdate && (
+                                                    <button
+                                                        onClick={() => sendLiveEvent(match._id, 'start')}
+                                                        className="btn-live-start"
+                                                    >
+                                                        🔴 Start Live Scoring
+                                                    </button>
+                                                )}
+                                                {canUpdate && match.status !== 'live' && (
+                                                    <button
+                                                        onClick={() => startEditing(match)}
+                                                        className="btn-update"
+                                                    >
+                                                        ✏️ Record Result
+                                                    </button>
+                                                )}
+                                            </>
                                         )}
                                     </div>
                                 </div>
@@ -294,7 +680,7 @@ const TeamMatches = () => {
                     </div>
                 )}
             </div>
-        </ManagerLayout>
+        </Layout>
     );
 };
 
@@ -21,7 +21,18 @@ const CreateEvent = () => {
         end_date: '',
         registration_deadline: '',
         max_teams: 16,
-        entry_fee: 0
+        entry_fee: 0,
+        min_squad_size: '',
+        max_squad_size: '',
+        tournament_format: 'round-robin',
+        full_refund_days: 7,
+        partial_refund_days: 2,
+        partial_refund_percent: 50,
+        is_season: false,
+        frequency: 'weekly',
+        editions: 8,
+        registration_days: 1,
+        carry_over_registrations: true
     });
 
     const [errors, setErrors] = useState({});
@@ -90,6 +101,10 @@ const CreateEvent = () => {
     };
 
     const validateStep2 = () => {
+        if (formData.is_season) {
+            return validateSeasonDates();
+        }
+
         const newErrors = {};
 
         if (!formData.start_date) {
@@ -134,6 +149,51 @@ const CreateEvent = () => {
         return Object.keys(newErrors).length === 0;
     };
 
+    const validateSeasonDates = () => {
+        const newErrors = {};
+        const editions = parseInt(formData.editions);
+        const registrationDays = parseInt(formData.registration_days);
+
+        if (!formData.start_date) {
+            newErrors.start_date = 'First edition date is required';
+        } else if (registrationDays >= 1) {
+            const firstDeadline = new Date(formData.start_date);
+            firstDeadline.setUTCDate(firstDeadline.getUTCDate() - registrationDays);
+            if (firstDeadline <= new Date()) {
+                newErrors.start_date = 'Registration for the first edition would already be closed';
+            }
+        }
+
+        if (isNaN(editions) || editions < 2 || editions > 26) {
+            newErrors.editions = 'A season has between 2 and 26 editions';
+        }
+
+        if (isNaN(registrationDays) || registrationDays < 1 || registrationDays > 30) {
+            newErrors.registration_days = 'Registration must close between 1 and 30 days before each edition';
+        }
+
+        setErrors(newErrors);
+        return Object.keys(newErrors).length === 0;
+    };
+
+    // Dates of the first and last edition, as the server will generate them
+    const seasonRange = () => {
+        const editions = parseInt(formData.editions);
+        if (!formData.start_date || !(editions >= 2)) return null;
+
+        const first = new Date(formData.start_date);
+        const last = new Date(first);
+        if (formData.frequency === 'monthly') {
+            last.setUTCDate(1);
+            last.setUTCMonth(last.getUTCMonth() + editions - 1);
+            const lastDay = new Date(Date.UTC(last.getUTCFullYear(), last.getUTCMonth() + 1, 0)).getUTCDate();
+            last.setUTCDate(Math.min(first.getUTCDate(), lastDay));
+        } else {
+            last.setUTCDate(last.getUTCDate() + (editions - 1) * (formData.frequency === 'fortnightly' ? 14 : 7));
+        }
+        return { first, last };
+    };
+
     const validateStep3 = () => {
         const newErrors = {};
 
@@ -148,11 +208,27 @@ const CreateEvent = () => {
             }
         }
 
+        const minSquad = formData.min_squad_size ? parseInt(formData.min_squad_size) : null;
+        const maxSquad = formData.max_squad_size ? parseInt(formData.max_squad_size) : null;
+        if ((minSquad !== null && minSquad < 1) || (maxSquad !== null && maxSquad < 1)) {
+            newErrors.squad_size = 'Squad sizes must be at least 1';
+        } else if (minSquad !== null && maxSquad !== null && minSquad > maxSquad) {
+            newErrors.squad_size = 'Minimum squad size cannot be larger than the maximum';
+        }
+
         if (formData.entry_fee && parseFloat(formData.entry_fee) < 0) {
             newErrors.entry_fee = 'Entry fee cannot be negative';
         }
         // Entry fee is optional - default to 0 if not provided
 
+        const fullDays = parseInt(formData.full_refund_days) || 0;
+        const partialDays = parseInt(formData.partial_refund_days) || 0;
+        if (parseInt(formData.partial_refund_percent) > 100) {
+            newErrors.refund_policy = 'Partial refund cannot be more than 100%';
+        } else if (partialDays > fullDays) {
+            newErrors.refund_policy = 'The full refund window must start at least as early as the partial refund window';
+        }
+
         setErrors(newErrors);
         return Object.keys(newErrors).length === 0;
     };
@@ -160,7 +236,7 @@ const CreateEvent = () => {
     const handleChange = (e) => {
         const { name, value } = e.target;
 
-        if (name === 'max_teams') {
+        if (['max_teams', 'min_squad_size', 'max_squad_size', 'full_refund_days', 'partial_refund_days', 'partial_refund_percent', 'editions', 'registration_days'].includes(name)) {
             if (!/^\d*$/.test(value)) {
                 return;
             }
@@ -217,8 +293,37 @@ const CreateEvent = () => {
             });
             const csrfToken = csrfResponse.data.csrfToken;
 
+            const {
+                full_refund_days, partial_refund_days, partial_refund_percent,
+                is_season, frequency, editions, registration_days, carry_over_registrations,
+                ...eventFields
+            } = formData;
+            const refund_policy = { full_refund_days, partial_refund_days, partial_refund_percent };
+
+            if (is_season) {
+                const { end_date, registration_deadline, ...seasonFields } = eventFields;
+                const response = await axios.post(`${API_BASE_URL}/api/organizer/seasons`, {
+                    ...seasonFields,
+                    refund_policy,
+                    recurrence: { frequency, editions, registration_days },
+                    carry_over_registrations
+                }, {
+                    withCredentials: true,
+                    headers: {
+                        'CSRF-Token': csrfToken
+                    }
+                });
+
+                if (response.data.success) {
+                    alert(response.data.message);
+                    navigate(`/organizer/season/${response.data.season._id}`);
+                }
+                return;
+            }
+
             const response = await axios.post(`${API_BASE_URL}/api/organizer/create-event`, {
-                ...formData,
+                ...eventFields,
+                refund_policy,
                 organizer_id: user._id
             }, {
                 withCredentials: true,
@@ -454,9 +559,25 @@ const CreateEvent = () => {
                                     Step 2: Dates & Time
                                 </h3>
 
+                                <label className="flex items-start gap-3 p-4 rounded-xl border border-orange-200 bg-orange-50 text-sm text-gray-700">
+                                    <input
+                                        type="checkbox"
+                                        checked={formData.is_season}
+                                        onChange={(e) => {
+                                            setFormData(prev => ({ ...prev, is_season: e.target.checked }));
+                                            setErrors({});
+                                        }}
+                                        className="mt-1"
+                                    />
+                                    <span>
+                                        <span className="font-semibold">Recurring season or league</span><br />
+                                        Repeat this event on a schedule, for example a weekly league. Standings and player stats add up across the season.
+                                    </span>
+                                </label>
+
                                 <div>
                                     <label className="block text-sm font-semibold text-gray-700 mb-2">
-                                        Start Date <span className="text-red-500">*</span>
+                                        {formData.is_season ? 'First Edition Date' : 'Start Date'} <span className="text-red-500">*</span>
                                     </label>
                                     <input
                                         type="date"
@@ -476,53 +597,140 @@ const CreateEvent = () => {
                                     )}
                                 </div>
 
-                                <div>
-                                    <label className="block text-sm font-semibold text-gray-700 mb-2">
-                                        End Date <span className="text-red-500">*</span>
-                                    </label>
-                                    <input
-                                        type="date"
-                                        name="end_date"
-                                        value={formData.end_date}
-                                        onChange={handleChange}
-                                        min={formData.start_date || new Date().toISOString().split('T')[0]}
-                                        className={`w-full px-4 py-3 border-2 rounded-xl focus:outline-none focus:ring-2 focus:ring-orange-500 transition-all ${
-                                            errors.end_date ? 'border-red-500' : 'border-gray-200'
-                                        }`}
-                                    />
-                                    {errors.end_date && (
-                                        <p className="text-red-500 text-xs mt-1 flex items-center">
-                                            <span className="mr-1"></span>
-                                            {errors.end_date}
-                                        </p>
-                                    )}
-                                </div>
-
-                                <div>
-                                    <label className="block text-sm font-semibold text-gray-700 mb-2">
-                                        Registration Deadline <span className="text-red-500">*</span>
-                                    </label>
-                                    <input
-                                        type="date"
-                                        name="registration_deadline"
-                                        value={formData.registration_deadline}
-                                        onChange={handleChange}
-                                        min={new Date().toISOString().split('T')[0]}
-                                        max={formData.start_date}
-                                        className={`w-full px-4 py-3 border-2 rounded-xl focus:outline-none focus:ring-2 focus:ring-orange-500 transition-all ${
-                                            errors.registration_deadline ? 'border-red-500' : 'border-gray-200'
-                                        }`}
-                                    />
-                                    {errors.registration_deadline && (
-                                        <p className="text-red-500 text-xs mt-1 flex items-center">
-                                            <span className="mr-1"></span>
-                                            {errors.registration_deadline}
-                                        </p>
-                                    )}
-                                    <p className="text-xs text-gray-500 mt-1">
-                                        Teams must register before this date
-                                    </p>
-                                </div>
+                                {formData.is_season ? (
+                                    <>
+                                        <div className="grid grid-cols-2 gap-4">
+                                            <div>
+                                                <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                                    Repeats
+                                                </label>
+                                                <select
+                                                    name="frequency"
+                                                    value={formData.frequency}
+                                                    onChange={handleChange}
+                                                    className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-orange-500 transition-all"
+                                                >
+                                                    <option value="weekly">Every week</option>
+                                                    <option value="fortnightly">Every two weeks</option>
+                                                    <option value="monthly">Every month</option>
+                                                </select>
+                                            </div>
+                                            <div>
+                                                <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                                    Editions <span className="text-red-500">*</span>
+                                                </label>
+                                                <input
+                                                    type="text"
+                                                    name="editions"
+                                                    value={formData.editions}
+                                                    onChange={handleChange}
+                                                    maxLength="2"
+                                                    className={`w-full px-4 py-3 border-2 rounded-xl focus:outline-none focus:ring-2 focus:ring-orange-500 transition-all ${
+                                                        errors.editions ? 'border-red-500' : 'border-gray-200'
+                                                    }`}
+                                                    placeholder="e.g., 8"
+                                                />
+                                                {errors.editions && (
+                                                    <p className="text-red-500 text-xs mt-1 flex items-center">
+                                                        <span className="mr-1"></span>
+                                                        {errors.editions}
+                                                    </p>
+                                                )}
+                                            </div>
+                                        </div>
+
+                                        <div>
+                                            <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                                Registration Closes (days before each edition) <span className="text-red-500">*</span>
+                                            </label>
+                                            <input
+                                                type="text"
+                                                name="registration_days"
+                                                value={formData.registration_days}
+                                                onChange={handleChange}
+                                                maxLength="2"
+                                                className={`w-full px-4 py-3 border-2 rounded-xl focus:outline-none focus:ring-2 focus:ring-orange-500 transition-all ${
+                                                    errors.registration_days ? 'border-red-500' : 'border-gray-200'
+                                                }`}
+                                            />
+                                            {errors.registration_days && (
+                                                <p className="text-red-500 text-xs mt-1 flex items-center">
+                                                    <span className="mr-1"></span>
+                                                    {errors.registration_days}
+                                                </p>
+                                            )}
+                                            {seasonRange() && (
+                                                <p className="text-xs text-gray-500 mt-1">
+                                                    {formData.editions} editions from {seasonRange().first.toLocaleDateString()} to {seasonRange().last.toLocaleDateString()}.
+                                                    Each edition is its own event with its own fixtures and registrations.
+                                                </p>
+                                            )}
+                                        </div>
+
+                                        <label className="flex items-start gap-3 text-sm text-gray-700">
+                                            <input
+                                                type="checkbox"
+                                                checked={formData.carry_over_registrations}
+                                                onChange={(e) => setFormData(prev => ({ ...prev, carry_over_registrations: e.target.checked }))}
+                                                className="mt-1"
+                                            />
+                                            <span>
+                                                Carry teams over between editions. Once an edition has been played, its teams are registered
+                                                for the next one (they still pay the entry fee for each edition).
+                                            </span>
+                                        </label>
+                                    </>
+                                ) : (
+                                    <>
+                                        <div>
+                                            <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                                End Date <span className="text-red-500">*</span>
+                                            </label>
+                                            <input
+                                                type="date"
+                                                name="end_date"
+                                                value={formData.end_date}
+                                                onChange={handleChange}
+                                                min={formData.start_date || new Date().toISOString().split('T')[0]}
+                                                className={`w-full px-4 py-3 border-2 rounded-xl focus:outline-none focus:ring-2 focus:ring-orange-500 transition-all ${
+                                                    errors.end_date ? 'border-red-500' : 'border-gray-200'
+                                                }`}
+                                            />
+                                            {errors.end_date && (
+                                                <p className="text-red-500 text-xs mt-1 flex items-center">
+                                                    <span className="mr-1"></span>
+                                                    {errors.end_date}
+                                                </p>
+                                            )}
+                                        </div>
+
+                                        <div>
+                                            <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                                Registration Deadline <span className="text-red-500">*</span>
+                                            </label>
+                                            <input
+                                                type="date"
+                                                name="registration_deadline"
+                                                value={formData.registration_deadline}
+                                                onChange={handleChange}
+                                                min={new Date().toISOString().split('T')[0]}
+                                                max={formData.start_date}
+                                                className={`w-full px-4 py-3 border-2 rounded-xl focus:outline-none focus:ring-2 focus:ring-orange-500 transition-all ${
+                                                    errors.registration_deadline ? 'border-red-500' : 'border-gray-200'
+                                                }`}
+                                            />
+                                            {errors.registration_deadline && (
+                                                <p className="text-red-500 text-xs mt-1 flex items-center">
+                                                    <span className="mr-1"></span>
+                                                    {errors.registration_deadline}
+                                                </p>
+                                            )}
+                                            <p className="text-xs text-gray-500 mt-1">
+                                                Teams must register before this date
+                                            </p>
+                                        </div>
+                                    </>
+                                )}
 
                                 <div className="flex justify-between pt-6">
                                     <button
@@ -598,7 +806,66 @@ const CreateEvent = () => {
 
                                 <div>
                                     <label className="block text-sm font-semibold text-gray-700 mb-2">
-                                        Entry Fee <span className="text-gray-500 text-xs">(Optional)</span>
+                                        Squad Size <span className="text-gray-400 font-normal">(Optional)</span>
+                                    </label>
+                                    <div className="grid grid-cols-2 gap-4">
+                                        <input
+                                            type="text"
+                                            name="min_squad_size"
+                                            value={formData.min_squad_size}
+                                            onChange={handleChange}
+                                            maxLength="3"
+                                            className={`w-full px-4 py-3 border-2 rounded-xl focus:outline-none focus:ring-2 focus:ring-orange-500 transition-all ${
+                                                errors.squad_size ? 'border-red-500' : 'border-gray-200'
+                                            }`}
+                                            placeholder="Minimum players"
+                                        />
+                                        <input
+                                            type="text"
+                                            name="max_squad_size"
+                                            value={formData.max_squad_size}
+                                            onChange={handleChange}
+                                            maxLength="3"
+                                            className={`w-full px-4 py-3 border-2 rounded-xl focus:outline-none focus:ring-2 focus:ring-orange-500 transition-all ${
+                                                errors.squad_size ? 'border-red-500' : 'border-gray-200'
+                                            }`}
+                                            placeholder="Maximum players"
+                                        />
+                                    </div>
+                                    {errors.squad_size && (
+                                        <p className="text-red-500 text-xs mt-1 flex items-center">
+                                            <span className="mr-1"></span>
+                                            {errors.squad_size}
+                                        </p>
+                                    )}
+                                    <p className="text-xs text-gray-500 mt-1">
+                                        Teams register a squad within these limits. Squads lock at the registration deadline; later changes need your approval.
+                                    </p>
+                                </div>
+
+                                <div>
+                                    <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                        Tournament Format
+                                    </label>
+                                    <select
+                                        name="tournament_format"
+                                        value={formData.tournament_format}
+                                        onChange={handleChange}
+                                        className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-orange-500 transition-all"
+                                    >
+                                        <option value="round-robin">Round Robin - everyone plays everyone</option>
+                                        <option value="knockout">Knockout - single elimination</option>
+                                        <option value="league">League - home and away</option>
+                                        <option value="groups-knockout">Groups + Knockout - group stage, then playoffs</option>
+                                    </select>
+                                    <p className="text-xs text-gray-500 mt-1">
+                                        Fixtures are generated from this format when you schedule matches
+                                    </p>
+                                </div>
+
+                                <div>
+                                    <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                        Entry Fee{formData.is_season && ' per Edition'} <span className="text-gray-500 text-xs">(Optional)</span>
                                     </label>
                                     <div className="relative">
                                         <span className="absolute left-4 top-3 text-gray-500 font-semibold">?</span>
@@ -624,6 +891,63 @@ const CreateEvent = () => {
                                     </p>
                                 </div>
 
+                                {parseFloat(formData.entry_fee) > 0 && (
+                                    <div>
+                                        <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                            Refund Policy
+                                        </label>
+                                        <div className="grid grid-cols-3 gap-4">
+                                            <input
+                                                type="text"
+                                                name="full_refund_days"
+                                                value={formData.full_refund_days}
+                                                onChange={handleChange}
+                                                maxLength="3"
+                                                className={`w-full px-4 py-3 border-2 rounded-xl focus:outline-none focus:ring-2 focus:ring-orange-500 transition-all ${
+                                                    errors.refund_policy ? 'border-red-500' : 'border-gray-200'
+                                                }`}
+                                                placeholder="Full refund days"
+                                                title="Full refund until this many days before the event"
+                                            />
+                                            <input
+                                                type="text"
+                                                name="partial_refund_percent"
+                                                value={formData.partial_refund_percent}
+                                                onChange={handleChange}
+                                                maxLength="3"
+                                                className={`w-full px-4 py-3 border-2 rounded-xl focus:outline-none focus:ring-2 focus:ring-orange-500 transition-all ${
+                                                    errors.refund_policy ? 'border-red-500' : 'border-gray-200'
+                                                }`}
+                                                placeholder="Partial refund %"
+                                                title="Percent of the fee refunded after the full refund window"
+                                            />
+                                            <input
+                                                type="text"
+                                                name="partial_refund_days"
+                                                value={formData.partial_refund_days}
+                                                onChange={handleChange}
+                                                maxLength="3"
+                                                className={`w-full px-4 py-3 border-2 rounded-xl focus:outline-none focus:ring-2 focus:ring-orange-500 transition-all ${
+                                                    errors.refund_policy ? 'border-red-500' : 'border-gray-200'
+                                                }`}
+                                                placeholder="Refund deadline days"
+                                                title="No refund later than this many days before the event"
+                                            />
+                                        </div>
+                                        {errors.refund_policy && (
+                                            <p className="text-red-500 text-xs mt-1 flex items-center">
+                                                <span className="mr-1"></span>
+                                                {errors.refund_policy}
+                                            </p>
+                                        )}
+                                        <p className="text-xs text-gray-500 mt-1">
+                                            Withdrawing teams get a full refund until {formData.full_refund_days || 0} days before the event,
+                                            {' '}{formData.partial_refund_percent || 0}% until {formData.partial_refund_days || 0} days before, and nothing after that.
+                                            If you cancel the event every team is refunded in full.
+                                        </p>
+                                    </div>
+                                )}
+
                                 <div className="bg-gradient-to-r from-orange-50 to-red-50 p-6 rounded-xl border border-orange-200">
                                     <h4 className="font-bold text-gray-800 mb-4">Event Summary</h4>
                                     <div className="space-y-2 text-sm">
@@ -631,9 +955,20 @@ const CreateEvent = () => {
                                         <p><span className="font-semibold">Sport:</span> {formData.sport || 'N/A'}</p>
                                         <p><span className="font-semibold">Location:</span> {formData.location || 'N/A'}</p>
                                         <p><span className="font-semibold">Start:</span> {formData.start_date ? new Date(formData.start_date).toLocaleDateString() : 'N/A'}</p>
-                                        <p><span className="font-semibold">End:</span> {formData.end_date ? new Date(formData.end_date).toLocaleDateString() : 'N/A'}</p>
-                                        <p><span className="font-semibold">Registration Deadline:</span> {formData.registration_deadline ? new Date(formData.registration_deadline).toLocaleDateString() : 'N/A'}</p>
+                                        {formData.is_season ? (
+                                            <>
+                                                <p><span className="font-semibold">Season:</span> {formData.editions} editions, {formData.frequency}{seasonRange() ? `, last on ${seasonRange().last.toLocaleDateString()}` : ''}</p>
+                                                <p><span className="font-semibold">Registration Closes:</span> {formData.registration_days} day(s) before each edition</p>
+                                                <p><span className="font-semibold">Carry Teams Over:</span> {formData.carry_over_registrations ? 'Yes' : 'No'}</p>
+                                            </>
+                                        ) : (
+                                            <>
+                                                <p><span className="font-semibold">End:</span> {formData.end_date ? new Date(formData.end_date).toLocaleDateString() : 'N/A'}</p>
+                                                <p><span className="font-semibold">Registration Deadline:</span> {formData.registration_deadline ? new Date(formData.registration_deadline).toLocaleDateString() : 'N/A'}</p>
+                                            </>
+                                        )}
                                         <p><span className="font-semibold">Max Teams:</span> {formData.max_teams || 'N/A'}</p>
+                                        <p><span className="font-semibold">Format:</span> {formData.tournament_format}</p>
                                         <p><span className="font-semibold">Entry Fee:</span> ?{formData.entry_fee || '0'}</p>
                                     </div>
                                 </div>
@@ -665,7 +1000,7 @@ const CreateEvent = () => {
                                                 <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
                                                 </svg>
-                                                Create Event
+                                                {formData.is_season ? 'Create Season' : 'Create Event'}
                                             </span>
                                         )}
                                     </button>
@@ -21,7 +21,12 @@ const EditEvent = () => {
         end_date: '',
         registration_deadline: '',
         max_teams: 16,
-        entry_fee: ''
+        entry_fee: '',
+        min_squad_size: '',
+        max_squad_size: '',
+        full_refund_days: 7,
+        partial_refund_days: 2,
+        partial_refund_percent: 50
     });
 
     const [errors, setErrors] = useState({});
@@ -55,7 +60,12 @@ const EditEvent = () => {
                     end_date: event.end_date ? new Date(event.end_date).toISOString().split('T')[0] : '',
                     registration_deadline: event.registration_deadline ? new Date(event.registration_deadline).toISOString().split('T')[0] : '',
                     max_teams: event.max_teams || 16,
-                    entry_fee: event.entry_fee || ''
+                    entry_fee: event.entry_fee || '',
+                    min_squad_size: event.squad_size?.min || '',
+                    max_squad_size: event.squad_size?.max || '',
+                    full_refund_days: event.refund_policy?.full_refund_days ?? 7,
+                    partial_refund_days: event.refund_policy?.partial_refund_days ?? 2,
+                    partial_refund_percent: event.refund_policy?.partial_refund_percent ?? 50
                 });
             }
         } catch (error) {
@@ -162,11 +172,27 @@ const EditEvent = () => {
             }
         }
 
+        const minSquad = formData.min_squad_size ? parseInt(formData.min_squad_size) : null;
+        const maxSquad = formData.max_squad_size ? parseInt(formData.max_squad_size) : null;
+        if ((minSquad !== null && minSquad < 1) || (maxSquad !== null && maxSquad < 1)) {
+            newErrors.squad_size = 'Squad sizes must be at least 1';
+        } else if (minSquad !== null && maxSquad !== null && minSquad > maxSquad) {
+            newErrors.squad_size = 'Minimum squad size cannot be larger than the maximum';
+        }
+
         if (formData.entry_fee && parseFloat(formData.entry_fee) < 0) {
             newErrors.entry_fee = 'Entry fee cannot be negative';
         }
         // Entry fee is optional - default to 0 if not provided
 
+        const fullDays = parseInt(formData.full_refund_days) || 0;
+        const partialDays = parseInt(formData.partial_refund_days) || 0;
+        if (parseInt(formData.partial_refund_percent) > 100) {
+            newErrors.refund_policy = 'Partial refund cannot be more than 100%';
+        } else if (partialDays > fullDays) {
+            newErrors.refund_policy = 'The full refund window must start at least as early as the partial refund window';
+        }
+
         setErrors(newErrors);
         return Object.keys(newErrors).length === 0;
     };
@@ -174,7 +200,7 @@ const EditEvent = () => {
     const handleChange = (e) => {
         const { name, value } = e.target;
 
-        if (name === 'max_teams') {
+        if (['max_teams', 'min_squad_size', 'max_squad_size', 'full_refund_days', 'partial_refund_days', 'partial_refund_percent'].includes(name)) {
             if (!/^\d*$/.test(value)) {
                 return;
             }
@@ -234,9 +260,13 @@ const EditEvent = () => {
         setMessage({ type: '', text: '' });
 
         try {
+            const { full_refund_days, partial_refund_days, partial_refund_percent, ...eventFields } = formData;
             const response = await axios.put(
                 `${API_BASE_URL}/api/organizer/event/${id}`,
-                formData,
+                {
+                    ...eventFields,
+                    refund_policy: { full_refund_days, partial_refund_days, partial_refund_percent }
+                },
                 { withCredentials: true }
             );
 
@@ -512,6 +542,89 @@ const EditEvent = () => {
                                 <p className="text-sm text-gray-500 mt-1">Leave blank or 0 for free events</p>
                             </div>
 
+                            <div>
+                                <label className="block text-gray-700 font-semibold mb-2">
+                                    Refund Policy
+                                </label>
+                                <div className="grid grid-cols-3 gap-4">
+                                    <input
+                                        type="number"
+                                        name="full_refund_days"
+                                        value={formData.full_refund_days}
+                                        onChange={handleChange}
+                                        min="0"
+                                        className={`w-full px-4 py-3 border-2 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500 outline-none transition-all ${
+                                            errors.refund_policy ? 'border-red-500' : 'border-gray-300'
+                                        }`}
+                                        placeholder="Full refund days"
+                                        title="Full refund until this many days before the event"
+                                    />
+                                    <input
+                                        type="number"
+                                        name="partial_refund_percent"
+                                        value={formData.partial_refund_percent}
+                                        onChange={handleChange}
+                                        min="0"
+                                        max="100"
+                                        className={`w-full px-4 py-3 border-2 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500 outline-none transition-all ${
+                                            errors.refund_policy ? 'border-red-500' : 'border-gray-300'
+                                        }`}
+                                        placeholder="Partial refund %"
+                                        title="Percent of the fee refunded after the full refund window"
+                                    />
+                                    <input
+                                        type="number"
+                                        name="partial_refund_days"
+                                        value={formData.partial_refund_days}
+                                        onChange={handleChange}
+                                        min="0"
+                                        className={`w-full px-4 py-3 border-2 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500 outline-none transition-all ${
+                                            errors.refund_policy ? 'border-red-500' : 'border-gray-300'
+                                        }`}
+                                        placeholder="Refund deadline days"
+                                        title="No refund later than this many days before the event"
+                                    />
+                                </div>
+                                {errors.refund_policy && <p className="text-red-500 text-sm mt-1">{errors.refund_policy}</p>}
+                                <p className="text-sm text-gray-500 mt-1">
+                                    Withdrawing teams get a full refund until {formData.full_refund_days || 0} days before the event,
+                                    {' '}{formData.partial_refund_percent || 0}% until {formData.partial_refund_days || 0} days before, and nothing after that.
+                                    Cancelling the event refunds every team in full.
+                                </p>
+                            </div>
+
+                            <div>
+                                <label className="block text-gray-700 font-semibold mb-2">
+                                    Squad Size
+                                </label>
+                                <div className="grid grid-cols-2 gap-4">
+                                    <input
+                                        type="number"
+                                        name="min_squad_size"
+                                        value={formData.min_squad_size}
+                                        onChange={handleChange}
+                                        min="1"
+                                        className={`w-full px-4 py-3 border-2 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500 outline-none transition-all ${
+                                            errors.squad_size ? 'border-red-500' : 'border-gray-300'
+                                        }`}
+                                        placeholder="Minimum players"
+                                    />
+                                    <input
+                                        type="number"
+                                        name="max_squad_size"
+                                        value={formData.max_squad_size}
+                                        onChange={handleChange}
+                                        min="1"
+                                        className={`w-full px-4 py-3 border-2 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500 outline-none transition-all ${
+                                            errors.squad_size ? 'border-red-500' : 'border-gray-300'
+                                        }`}
+                                        placeholder="Maximum players"
+                                    />
+                                </div>
+                                {errors.squad_size && <p className="text-red-500 text-sm mt-1">{errors.squad_size}</p>}
+                                <p className="text-sm text-gray-500 mt-1">Leave blank for no limit. New limits apply to squads submitted from now on.</p>
+                            </div>
+
                             {/* Summary */}
                             <div className="mt-8 p-6 bg-gradient-to-r from-orange-50 to-red-50 rounded-lg border-2 border-orange-200">
                                 <h3 className="text-lg font-bold text-gray-800 mb-4 flex items-center">
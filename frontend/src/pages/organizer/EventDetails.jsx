@@ -3,6 +3,7 @@ import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useSelector } from 'react-redux';
 import { selectUser } from '../../store/slices/authSlice';
 import OrganizerLayout from '../../components/layout/OrganizerLayout';
+import EventPricing from '../../components/organizer/EventPricing';
 import axios from 'axios';
 import { API_BASE_URL } from '../../utils/constants';
 
@@ -15,9 +16,11 @@ const EventDetails = () => {
     const [loading, setLoading] = useState(true);
     const [message, setMessage] = useState({ type: '', text: '' });
     const [activeTab, setActiveTab] = useState('details');
+    const [substitutions, setSubstitutions] = useState([]);
 
     useEffect(() => {
         fetchEventDetails();
+        fetchSubstitutions();
     }, [id]);
 
     // Refresh data when returning to page
@@ -47,6 +50,41 @@ const EventDetails = () => {
         }
     };
 
+    const fetchSubstitutions = async () => {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/api/organizer/event/${id}/substitutions`, {
+                withCredentials: true
+            });
+            if (response.data.success) {
+                setSubstitutions(response.data.substitutions || []);
+            }
+        } catch (error) {
+            console.error('Error fetching substitutions:', error);
+        }
+    };
+
+    const handleReviewSubstitution = async (substitutionId, action) => {
+        const reviewNote = window.prompt(action === 'approve'
+            ? 'Optional note for the team manager:'
+            : 'Reason for rejecting this substitution (optional):');
+        if (reviewNote === null) return;
+
+        try {
+            const response = await axios.put(
+                `${API_BASE_URL}/api/organizer/event/${id}/substitutions/${substitutionId}/${action}`,
+                { review_note: reviewNote },
+                { withCredentials: true }
+            );
+            if (response.data.success) {
+                setMessage({ type: 'success', text: response.data.message });
+                fetchSubstitutions();
+                fetchEventDetails();
+            }
+        } catch (error) {
+            setMessage({ type: 'error', text: error.response?.data?.message || 'Failed to review substitution' });
+        }
+    };
+
     const handleApproveRequest = async (teamId) => {
         try {
             // Ensure teamId is a string, not an object
@@ -201,6 +239,19 @@ const EventDetails = () => {
                                     <span className="text-white bg-white bg-opacity-20 px-4 py-2 rounded-full text-sm font-medium">
                                         <i className="fa fa-tag mr-2"></i>{event.sport}
                                     </span>
+                                    {event.champion && (
+                                        <span className="text-white bg-yellow-500 px-4 py-2 rounded-full text-sm font-semibold">
+                                            <i className="fa fa-trophy mr-2"></i>Champion: {event.champion.team_name}
+                                        </span>
+                                    )}
+                                    {event.season && (
+                                        <Link
+                                            to={`/organizer/season/${event.season.season_id}`}
+                                            className="text-white bg-white bg-opacity-20 hover:bg-opacity-30 px-4 py-2 rounded-full text-sm font-medium"
+                                        >
+                                            <i className="fa fa-redo mr-2"></i>Season edition {event.season.edition}
+                                        </Link>
+                                    )}
                                 </div>
                             </div>
                             <div className="flex gap-3">
@@ -258,6 +309,12 @@ const EventDetails = () => {
                                     </span>
                                 )}
                             </button>
+                            <button
+                                onClick={() => setActiveTab('pricing')}
+                                className={`px-8 py-4 font-semibold transition-all ${activeTab === 'pricing' ? 'text-orange-600 border-b-4 border-orange-600 bg-white' : 'text-gray-600 hover:text-orange-600 hover:bg-white'}`}
+                            >
+                                <i className="fa fa-tags mr-2"></i>Pricing & Promo Codes
+                            </button>
                         </div>
                     </div>
                 </div>
@@ -400,6 +457,8 @@ const EventDetails = () => {
                     </div>
                 )}
 
+                {activeTab === 'pricing' && <EventPricing eventId={id} />}
+
                 {activeTab === 'teams' && (
                     <div className="space-y-8">
                         {/* Pending Requests */}
@@ -426,6 +485,17 @@ const EventDetails = () => {
                                             <p className="text-sm text-gray-600 mb-4">
                                                 <i className="fa fa-calendar mr-1"></i> Requested: {new Date(request.registration_date).toLocaleDateString()}
                                             </p>
+                                            {request.carried_over && (
+                                                <p className="text-sm text-blue-700 mb-4">
+                                                    <i className="fa fa-redo mr-1"></i> Carried over from the previous edition. Approve once the entry fee is settled.
+                                                </p>
+                                            )}
+                                            {request.split_payment?.status === 'collecting' && (
+                                                <p className="text-sm text-orange-700 mb-4">
+                                                    <i className="fa fa-users mr-1"></i> Entry fee split across the roster: ₹{request.split_payment.collected} of ₹{request.split_payment.total} paid
+                                                    ({request.split_payment.paid_count}/{request.split_payment.share_count} players). Confirmed automatically once fully paid.
+                                                </p>
+                                            )}
                                             {request.players && request.players.length > 0 && (
                                                 <div className="mb-4 p-3 bg-white rounded-lg">
                                                     <p className="text-sm font-semibold text-gray-700 mb-2">
@@ -501,6 +571,11 @@ const EventDetails = () => {
                                             <p className="text-sm text-gray-600 mb-2">
                                                 <i className="fa fa-user mr-1"></i> Manager: {team.manager_name || 'Unknown Manager'}
                                             </p>
+                                            {team.carried_over && (
+                                                <p className="text-xs text-blue-700 mb-2">
+                                                    <i className="fa fa-redo mr-1"></i> Carried over from the previous edition
+                                                </p>
+                                            )}
                                             {team.players && team.players.length > 0 && (
                                                 <div className="mt-3 p-3 bg-white rounded-lg">
                                                     <p className="text-xs font-semibold text-gray-700 mb-2">
@@ -527,6 +602,53 @@ const EventDetails = () => {
                                 </div>
                             )}
                         </div>
+
+                        {/* Squad Substitutions */}
+                        {substitutions.length > 0 && (
+                            <div className="bg-white rounded-xl shadow-lg p-8">
+                                <h2 className="text-2xl font-bold text-gray-800 mb-2 flex items-center">
+                                    <i className="fa fa-exchange-alt text-orange-600 mr-3"></i>
+                                    Squad Substitutions ({substitutions.filter(sub => sub.status === 'pending').length} pending)
+                                </h2>
+                                <p className="text-sm text-gray-500 mb-6">
+                                    Squads are locked{event.registration_deadline ? ` since ${new Date(event.registration_deadline).toLocaleDateString()}` : ''}. Approving a request swaps the players in the team's squad.
+                                </p>
+                                <div className="space-y-3">
+                                    {substitutions.map((sub) => (
+                                        <div key={sub._id} className="flex items-center justify-between flex-wrap gap-3 border border-gray-200 rounded-lg p-4">
+                                            <div>
+                                                <p className="font-semibold text-gray-800">{sub.team_name}</p>
+                                                <p className="text-sm text-gray-600">
+                                                    {sub.out_player_name} <i className="fa fa-arrow-right mx-1"></i> {sub.in_player_name}
+                                                </p>
+                                                {sub.reason && <p className="text-xs text-gray-500 mt-1">Reason: {sub.reason}</p>}
+                                                {sub.review_note && <p className="text-xs text-gray-500 mt-1">Note: {sub.review_note}</p>}
+                                            </div>
+                                            {sub.status === 'pending' ? (
+                                                <div className="flex gap-2">
+                                                    <button
+                                                        onClick={() => handleReviewSubstitution(sub._id, 'approve')}
+                                                        className="px-4 py-2 bg-gradient-to-r from-green-500 to-green-600 text-white rounded-lg font-semibold text-sm"
+                                                    >
+                                                        <i className="fa fa-check mr-1"></i>Approve
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handleReviewSubstitution(sub._id, 'reject')}
+                                                        className="px-4 py-2 border-2 border-red-500 text-red-600 rounded-lg font-semibold text-sm hover:bg-red-50"
+                                                    >
+                                                        <i className="fa fa-times mr-1"></i>Reject
+                                                    </button>
+                                                </div>
+                                            ) : (
+                                                <span className={`px-3 py-1 rounded-full text-xs font-semibold ${sub.status === 'approved' ? 'bg-green-200 text-green-800' : 'bg-red-200 text-red-800'}`}>
+                                                    {sub.status.toUpperCase()}
+                                                </span>
+                                            )}
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
                     </div>
                 )}
             </div>
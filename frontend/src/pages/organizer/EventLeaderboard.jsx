@@ -4,12 +4,48 @@ import OrganizerLayout from '../../components/layout/OrganizerLayout';
 import './EventLeaderboard.css';
 import { API_BASE_URL } from '../../utils/constants';
 
+const TIE_BREAKER_LABELS = {
+    points: 'Points',
+    head_to_head: 'Head-to-head',
+    goal_difference: 'Score difference',
+    goals_for: 'Scored',
+    fair_play: 'Fair play (fewest disciplinary points)',
+    net_run_rate: 'Net run rate',
+    win_percentage: 'Win percentage',
+    set_ratio: 'Sets/games ratio',
+    seed: 'Coin toss (random seed)'
+};
+
+// Column headings for "scored" values, by scoring preset
+const getScoreLabels = (preset) => {
+    if (preset === 'cricket') return { for: 'RF', against: 'RA', diff: 'RD', noun: 'Runs' };
+    if (preset === 'basketball') return { for: 'PF', against: 'PA', diff: 'PD', noun: 'Points Scored' };
+    if (['badminton', 'tennis', 'table tennis', 'volleyball'].includes(preset)) {
+        return { for: 'SW', against: 'SL', diff: 'SD', noun: 'Sets' };
+    }
+    return { for: 'GF', against: 'GA', diff: 'GD', noun: 'Goals' };
+};
+
+const formatSigned = (value) => (value > 0 ? `+${value}` : value);
+
 const EventLeaderboard = () => {
     const { eventId } = useParams();
     const navigate = useNavigate();
     const [leaderboard, setLeaderboard] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+    const [groups, setGroups] = useState([]);
+    const [qualifiersPerGroup, setQualifiersPerGroup] = useState(0);
+    const [scoringRules, setScoringRules] = useState(null);
+    const [presets, setPresets] = useState({});
+    const [tieBreakerOptions, setTieBreakerOptions] = useState([]);
+    const [showRulesEditor, setShowRulesEditor] = useState(false);
+    const [rulesDraft, setRulesDraft] = useState(null);
+    const [savingRules, setSavingRules] = useState(false);
+    const [activeTab, setActiveTab] = useState('standings');
+    const [awards, setAwards] = useState(null);
+    const [awardsLoading, setAwardsLoading] = useState(false);
 
     useEffect(() => {
         fetchLeaderboard();
@@ -24,6 +60,11 @@ const EventLeaderboard = () => {
             const data = await response.json();
             if (data.success) {
                 setLeaderboard(data.leaderboard);
+                setGroups(data.groups || []);
+                setQualifiersPerGroup(data.qualifiers_per_group || 0);
+                setScoringRules(data.scoring_rules || null);
+                setPresets(data.presets || {});
+                setTieBreakerOptions(data.tie_breakers || []);
             } else {
                 setError(data.message || 'Failed to fetch leaderboard');
             }
@@ -35,6 +76,112 @@ const EventLeaderboard = () => {
         }
     };
 
+    const openRulesEditor = () => {
+        setRulesDraft({
+            ...scoringRules,
+            points: { ...scoringRules.points },
+            tie_breakers: [...scoringRules.tie_breakers]
+        });
+        setShowRulesEditor(true);
+    };
+
+    const applyPreset = (presetName) => {
+        const preset = presets[presetName];
+        if (!preset) return;
+        setRulesDraft({
+            preset: presetName,
+            points: { ...preset.points },
+            allow_draws: preset.allow_draws,
+            tie_breakers: [...preset.tie_breakers]
+        });
+    };
+
+    const updateDraftPoints = (result, value) => {
+        setRulesDraft(prev => ({
+            ...prev,
+            points: { ...prev.points, [result]: value === '' ? '' : Number(value) }
+        }));
+    };
+
+    const moveTieBreaker = (index, direction) => {
+        setRulesDraft(prev => {
+            const tieBreakers = [...prev.tie_breakers];
+            const target = index + direction;
+            if (target < 0 || target >= tieBreakers.length) return prev;
+            [tieBreakers[index], tieBreakers[target]] = [tieBreakers[target], tieBreakers[index]];
+            return { ...prev, tie_breakers: tieBreakers };
+        });
+    };
+
+    const removeTieBreaker = (index) => {
+        setRulesDraft(prev => ({
+            ...prev,
+            tie_breakers: prev.tie_breakers.filter((_, i) => i !== index)
+        }));
+    };
+
+    const addTieBreaker = (key) => {
+        if (!key) return;
+        setRulesDraft(prev => ({ ...prev, tie_breakers: [...prev.tie_breakers, key] }));
+    };
+
+    const saveScoringRules = async (reset = false) => {
+        setSavingRules(true);
+        setError('');
+        try {
+            const response = await fetch(
+                `${API_BASE_URL}/organizer/event/${eventId}/scoring-rules`,
+                {
+                    method: 'PUT',
+                    credentials: 'include',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(reset ? { reset: true } : rulesDraft)
+                }
+            );
+            const data = await response.json();
+            if (data.success) {
+                setShowRulesEditor(false);
+                setSuccess(reset ? 'Scoring rules reset to the sport preset' : 'Scoring rules updated');
+                fetchLeaderboard();
+            } else {
+                setError(data.message || 'Failed to update scoring rules');
+            }
+        } catch (error) {
+            console.error('Error:', error);
+            setError('Failed to update scoring rules');
+        } finally {
+            setSavingRules(false);
+        }
+    };
+
+    const fetchAwards = async () => {
+        setAwardsLoading(true);
+        try {
+            const response = await fetch(
+                `${API_BASE_URL}/api/matches/event/${eventId}/awards`,
+                { credentials: 'include' }
+            );
+            const data = await response.json();
+            if (data.success) {
+                setAwards(data.awards);
+            } else {
+                setError(data.message || 'Failed to fetch awards');
+            }
+        } catch (error) {
+            console.error('Error:', error);
+            setError('Failed to fetch awards');
+        } finally {
+            setAwardsLoading(false);
+        }
+    };
+
+    const showTab = (tab) => {
+        setActiveTab(tab);
+        if (tab === 'awards' && !awards) {
+            fetchAwards();
+        }
+    };
+
     const getRankBadge = (position) => {
         if (position === 1) return '🥇';
         if (position === 2) return '🥈';
@@ -42,10 +189,20 @@ const EventLeaderboard = () => {
         return position;
     };
 
+    const labels = getScoreLabels(scoringRules?.preset);
+    const tieBreakers = scoringRules?.tie_breakers || [];
+    const extraColumns = [
+        { key: 'net_run_rate', label: 'NRR', value: team => team.net_run_rate.toFixed(3) },
+        { key: 'win_percentage', label: 'Win %', value: team => `${team.win_percentage}%` },
+        { key: 'set_ratio', label: 'Ratio', value: team => (team.set_ratio === null ? '—' : team.set_ratio) },
+        { key: 'fair_play', label: 'FP', value: team => team.fair_play_points }
+    ].filter(column => tieBreakers.includes(column.key));
+
     const exportToCSV = () => {
-        const headers = ['Rank', 'Team', 'Played', 'Won', 'Drawn', 'Lost', 'GF', 'GA', 'GD', 'Points'];
+        const headers = ['Rank', 'Team', 'Played', 'Won', 'Drawn', 'Lost', labels.for, labels.against, labels.diff,
+            ...extraColumns.map(column => column.label), 'Points'];
         const rows = leaderboard.map((team, index) => [
-            index + 1,
+            team.position || index + 1,
             team.team_name || team.name,
             team.played,
             team.won,
@@ -53,7 +210,8 @@ const EventLeaderboard = () => {
             team.lost,
             team.goals_for,
             team.goals_against,
-            team.goal_difference > 0 ? `+${team.goal_difference}` : team.goal_difference,
+            formatSigned(team.goal_difference),
+            ...extraColumns.map(column => column.value(team)),
             team.points
         ]);
 
@@ -94,9 +252,16 @@ const EventLeaderboard = () => {
                         <i className="fas fa-arrow-left"></i> Back
                     </button>
                     <h1><i className="fas fa-trophy"></i> Tournament Leaderboard</h1>
-                    <button className="btn-primary" onClick={exportToCSV}>
-                        <i className="fas fa-download"></i> Export CSV
-                    </button>
+                    <div className="header-actions">
+                        {scoringRules && (
+                            <button className="btn-secondary" onClick={openRulesEditor}>
+                                <i className="fas fa-sliders-h"></i> Scoring Rules
+                            </button>
+                        )}
+                        <button className="btn-primary" onClick={exportToCSV}>
+                            <i className="fas fa-download"></i> Export CSV
+                        </button>
+                    </div>
                 </div>
 
                 {error && (
@@ -106,6 +271,154 @@ const EventLeaderboard = () => {
                     </div>
                 )}
 
+                {success && (
+                    <div className="alert alert-success">
+                        {success}
+                        <button onClick={() => setSuccess('')} className="alert-close">×</button>
+                    </div>
+                )}
+
+                {showRulesEditor && rulesDraft && (
+                    <div className="content-card rules-editor">
+                        <h2><i className="fas fa-sliders-h"></i> Scoring Rules</h2>
+
+                        <div className="rules-row">
+                            <label>
+                                Preset
+                                <select value={rulesDraft.preset} onChange={(e) => applyPreset(e.target.value)}>
+                                    {Object.keys(presets).map(name => (
+                                        <option key={name} value={name}>
+                                            {name.charAt(0).toUpperCase() + name.slice(1)}
+                                        </option>
+                                    ))}
+                                </select>
+                            </label>
+                            {['win', 'draw', 'loss'].map(result => (
+                                <label key={result}>
+                                    Points per {result}
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        value={rulesDraft.points[result]}
+                                        onChange={(e) => updateDraftPoints(result, e.target.value)}
+                                    />
+                                </label>
+                            ))}
+                            <label className="rules-checkbox">
+                                <input
+                                    type="checkbox"
+                                    checked={rulesDraft.allow_draws}
+                                    onChange={(e) => setRulesDraft(prev => ({ ...prev, allow_draws: e.target.checked }))}
+                                />
+                                Allow draws
+                            </label>
+                        </div>
+
+                        <h3>Ranking order</h3>
+                        <ol className="tie-breaker-list">
+                            {rulesDraft.tie_breakers.map((key, index) => (
+                                <li key={key}>
+                                    <span>{TIE_BREAKER_LABELS[key] || key}</span>
+                                    <div className="tie-breaker-actions">
+                                        <button onClick={() => moveTieBreaker(index, -1)} disabled={index === 0} title="Move up">
+                                            <i className="fas fa-arrow-up"></i>
+                                        </button>
+                                        <button onClick={() => moveTieBreaker(index, 1)} disabled={index === rulesDraft.tie_breakers.length - 1} title="Move down">
+                                            <i className="fas fa-arrow-down"></i>
+                                        </button>
+                                        <button onClick={() => removeTieBreaker(index)} title="Remove">
+                                            <i className="fas fa-times"></i>
+                                        </button>
+                                    </div>
+                                </li>
+                            ))}
+                        </ol>
+                        <select value="" onChange={(e) => addTieBreaker(e.target.value)}>
+                            <option value="">+ Add tie-breaker</option>
+                            {tieBreakerOptions
+                                .filter(key => !rulesDraft.tie_breakers.includes(key))
+                                .map(key => (
+                                    <option key={key} value={key}>{TIE_BREAKER_LABELS[key] || key}</option>
+                                ))}
+                        </select>
+
+                        <div className="rules-footer">
+                            <button className="btn-back" onClick={() => setShowRulesEditor(false)}>Cancel</button>
+                            <button className="btn-back" onClick={() => saveScoringRules(true)} disabled={savingRules}>
+                                Reset to sport preset
+                            </button>
+                            <button className="btn-primary" onClick={() => saveScoringRules(false)} disabled={savingRules}>
+                                {savingRules ? 'Saving...' : 'Save Rules'}
+                            </button>
+                        </div>
+                    </div>
+                )}
+
+                <div className="leaderboard-tabs">
+                    <button
+                        className={`tab-btn ${activeTab === 'standings' ? 'active' : ''}`}
+                        onClick={() => showTab('standings')}
+                    >
+                        <i className="fas fa-list-ol"></i> Standings
+                    </button>
+                    <button
+                        className={`tab-btn ${activeTab === 'awards' ? 'active' : ''}`}
+                        onClick={() => showTab('awards')}
+                    >
+                        <i className="fas fa-medal"></i> Awards
+                    </button>
+                </div>
+
+                {activeTab === 'awards' ? (
+                    <div className="content-card">
+                        {awardsLoading || !awards ? (
+                            <div className="loading">Loading awards...</div>
+                        ) : awards.every(award => award.entries.length === 0) ? (
+                            <div className="no-data">
+                                <i className="fas fa-medal"></i>
+                                <p>No player stats have been recorded in verified matches yet</p>
+                            </div>
+                        ) : (
+                            <div className="awards-grid">
+                                {awards.map(award => (
+                                    <div key={award.key} className="award-table">
+                                        <h3>{award.title}</h3>
+                                        {award.entries.length === 0 ? (
+                                            <p className="award-empty">No entries yet</p>
+                                        ) : (
+                                            <table className="leaderboard-table">
+                                                <thead>
+                                                    <tr>
+                                                        <th className="col-rank">#</th>
+                                                        <th className="col-team">Player</th>
+                                                        <th>Team</th>
+                                                        <th className="col-points">
+                                                            {award.stat === 'figures' ? 'Figures' : award.stat === 'votes' ? 'Votes' : 'Total'}
+                                                        </th>
+                                                    </tr>
+                                                </thead>
+                                                <tbody>
+                                                    {award.entries.map(entry => (
+                                                        <tr key={`${entry.player_id}-${entry.match_id || ''}`} className={entry.rank <= 3 ? `top-${entry.rank}` : ''}>
+                                                            <td className="col-rank">{getRankBadge(entry.rank)}</td>
+                                                            <td className="col-team">{entry.player_name}</td>
+                                                            <td>{entry.team_name}</td>
+                                                            <td className="col-points">
+                                                                <span className="points-badge">
+                                                                    {award.stat === 'figures' ? entry.figures : entry.value}
+                                                                </span>
+                                                            </td>
+                                                        </tr>
+                                                    ))}
+                                                </tbody>
+                                            </table>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                ) : (
                 <div className="content-card">
                     {leaderboard.length === 0 ? (
                         <div className="no-data">
@@ -126,13 +439,61 @@ const EventLeaderboard = () => {
                                     </div>
                                 </div>
                                 <div className="stat-card">
-                                    <div className="stat-label">Total Goals</div>
+                                    <div className="stat-label">Total {labels.noun}</div>
                                     <div className="stat-value">
                                         {leaderboard.reduce((sum, team) => sum + team.goals_for, 0)}
                                     </div>
                                 </div>
                             </div>
 
+                            {groups.length > 0 && (
+                                <div className="group-tables">
+                                    {groups.map(group => (
+                                        <div key={group.name} className="group-table">
+                                            <h3>{group.name}</h3>
+                                            <table className="leaderboard-table">
+                                                <thead>
+                                                    <tr>
+                                                        <th className="col-rank">#</th>
+                                                        <th className="col-team">Team</th>
+                                                        <th className="col-stat">P</th>
+                                                        <th className="col-stat">W</th>
+                                                        <th className="col-stat">D</th>
+                                                        <th className="col-stat">L</th>
+                                                        <th className="col-stat">{labels.diff}</th>
+                                                        <th className="col-points">Pts</th>
+                                                    </tr>
+                                                </thead>
+                                                <tbody>
+                                                    {group.standings.map(team => (
+                                                        <tr
+                                                            key={team.team_id}
+                                                            className={team.position <= qualifiersPerGroup ? 'qualifier' : ''}
+                                                        >
+                                                            <td className="col-rank">{team.position}</td>
+                                                            <td className="col-team">
+                                                                <div className="team-name">{team.team_name}</div>
+                                                            </td>
+                                                            <td className="col-stat">{team.played}</td>
+                                                            <td className="col-stat">{team.won}</td>
+                                                            <td className="col-stat">{team.drawn}</td>
+                                                            <td className="col-stat">{team.lost}</td>
+                                                            <td className="col-stat">{formatSigned(team.goal_difference)}</td>
+                                                            <td className="col-points">
+                                                                <span className="points-badge">{team.points}</span>
+                                                            </td>
+                                                        </tr>
+                                                    ))}
+                                                </tbody>
+                                            </table>
+                                        </div>
+                                    ))}
+                                    <p className="group-tables-note">
+                                        Highlighted teams (top {qualifiersPerGroup} of each group) go through to the knockout rounds.
+                                    </p>
+                                </div>
+                            )}
+
                             <div className="table-container">
                                 <table className="leaderboard-table">
                                     <thead>
@@ -143,9 +504,12 @@ const EventLeaderboard = () => {
                                             <th className="col-stat">W</th>
                                             <th className="col-stat">D</th>
                                             <th className="col-stat">L</th>
-                                            <th className="col-stat">GF</th>
-                                            <th className="col-stat">GA</th>
-                                            <th className="col-stat">GD</th>
+                                            <th className="col-stat">{labels.for}</th>
+                                            <th className="col-stat">{labels.against}</th>
+                                            <th className="col-stat">{labels.diff}</th>
+                                            {extraColumns.map(column => (
+                                                <th key={column.key} className="col-stat">{column.label}</th>
+                                            ))}
                                             <th className="col-points">Pts</th>
                                         </tr>
                                     </thead>
@@ -153,7 +517,7 @@ const EventLeaderboard = () => {
                                         {leaderboard.map((team, index) => (
                                             <tr key={team.team_id || team._id} className={index < 3 ? `top-${index + 1}` : ''}>
                                                 <td className="col-rank">
-                                                    <span className="rank-badge">{getRankBadge(index + 1)}</span>
+                                                    <span className="rank-badge">{getRankBadge(team.position || index + 1)}</span>
                                                 </td>
                                                 <td className="col-team">
                                                     <div className="team-name">{team.team_name || team.name}</div>
@@ -165,8 +529,11 @@ const EventLeaderboard = () => {
                                                 <td className="col-stat">{team.goals_for}</td>
                                                 <td className="col-stat">{team.goals_against}</td>
                                                 <td className={`col-stat ${team.goal_difference > 0 ? 'text-success' : team.goal_difference < 0 ? 'text-danger' : ''}`}>
-                                                    {team.goal_difference > 0 ? `+${team.goal_difference}` : team.goal_difference}
+                                                    {formatSigned(team.goal_difference)}
                                                 </td>
+                                                {extraColumns.map(column => (
+                                                    <td key={column.key} className="col-stat">{column.value(team)}</td>
+                                                ))}
                                                 <td className="col-points">
                                                     <span className="points-badge">{team.points}</span>
                                                 </td>
@@ -190,21 +557,34 @@ const EventLeaderboard = () => {
                                     <strong>L:</strong> Lost
                                 </div>
                                 <div className="legend-item">
-                                    <strong>GF:</strong> Goals For
+                                    <strong>{labels.for}:</strong> {labels.noun} For
                                 </div>
                                 <div className="legend-item">
-                                    <strong>GA:</strong> Goals Against
+                                    <strong>{labels.against}:</strong> {labels.noun} Against
                                 </div>
                                 <div className="legend-item">
-                                    <strong>GD:</strong> Goal Difference
-                                </div>
-                                <div className="legend-item">
-                                    <strong>Pts:</strong> Points (Win=3, Draw=1)
+                                    <strong>{labels.diff}:</strong> Difference
                                 </div>
+                                {extraColumns.map(column => (
+                                    <div key={column.key} className="legend-item">
+                                        <strong>{column.label}:</strong> {TIE_BREAKER_LABELS[column.key]}
+                                    </div>
+                                ))}
+                                {scoringRules && (
+                                    <>
+                                        <div className="legend-item">
+                                            <strong>Pts:</strong> Points (Win={scoringRules.points.win}, Draw={scoringRules.points.draw}, Loss={scoringRules.points.loss})
+                                        </div>
+                                        <div className="legend-item">
+                                            <strong>Ranking:</strong> {tieBreakers.map(key => TIE_BREAKER_LABELS[key] || key).join(' → ')}
+                                        </div>
+                                    </>
+                                )}
                             </div>
                         </>
                     )}
                 </div>
+                )}
             </div>
         </div>
         </OrganizerLayout>
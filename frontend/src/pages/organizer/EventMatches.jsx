@@ -3,25 +3,43 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { useSelector } from 'react-redux';
 import { selectUser } from '../../store/slices/authSlice';
 import OrganizerLayout from '../../components/layout/OrganizerLayout';
+import DisputeThread from '../../components/common/DisputeThread';
 import './EventMatches.css';
 import { API_BASE_URL } from '../../utils/constants';
+import { useLiveScores, applyLiveUpdate } from '../../hooks/useLiveScores';
 
 const EventMatches = () => {
     const { eventId } = useParams();
     const navigate = useNavigate();
     const user = useSelector(selectUser);
     const organizerPlan = user?.subscription?.plan || 'free';
-    const [matches, setMatches] = useState({ pending: [], verified: [], disputed: [] });
+    const [matches, setMatches] = useState({ live: [], pending: [], verified: [], disputed: [] });
     const [activeTab, setActiveTab] = useState('pending');
     const [loading, setLoading] = useState(true);
     const [disputeModal, setDisputeModal] = useState({ show: false, matchId: null, reason: '' });
     const [error, setError] = useState('');
     const [success, setSuccess] = useState('');
+    const [openDispute, setOpenDispute] = useState(null);
+    const [confirmationHours, setConfirmationHours] = useState('');
 
     useEffect(() => {
         fetchMatches();
     }, [eventId]);
 
+    useEffect(() => {
+        fetchResultSettings();
+    }, [eventId]);
+
+    // Scores of live matches update in place; any status change regroups the tabs
+    useLiveScores({ event: eventId }, (update) => {
+        const isListedLive = (matches.live || []).some(m => m._id === update.match_id);
+        if (update.status === 'live' && isListedLive) {
+            setMatches(prev => ({ ...prev, live: applyLiveUpdate(prev.live, update) }));
+        } else {
+            fetchMatches();
+        }
+    });
+
     const fetchMatches = async () => {
         try {
             const response = await fetch(
@@ -42,6 +60,49 @@ const EventMatches = () => {
         }
     };
 
+    const fetchResultSettings = async () => {
+        try {
+            const response = await fetch(
+                `${API_BASE_URL}/organizer/event/${eventId}/result-settings`,
+                { credentials: 'include' }
+            );
+            const data = await response.json();
+            if (data.success) {
+                setConfirmationHours(data.result_confirmation_hours);
+            }
+        } catch (error) {
+            console.error('Error fetching result settings:', error);
+        }
+    };
+
+    const saveResultSettings = async () => {
+        try {
+            const response = await fetch(
+                `${API_BASE_URL}/organizer/event/${eventId}/result-settings`,
+                {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    credentials: 'include',
+                    body: JSON.stringify({ result_confirmation_hours: Number(confirmationHours) })
+                }
+            );
+            const data = await response.json();
+            if (data.success) {
+                setSuccess(data.message);
+                setTimeout(() => setSuccess(''), 3000);
+            } else {
+                setError(data.message || 'Failed to update result settings');
+            }
+        } catch (error) {
+            console.error('Error:', error);
+            setError('Failed to update result settings');
+        }
+    };
+
+    const isAwaitingConfirmation = (match) => (
+        match.confirmation?.status === 'awaiting' && new Date(match.confirmation.due_at) > new Date()
+    );
+
     const handleVerify = async (matchId) => {
         try {
             const response = await fetch(
@@ -111,6 +172,7 @@ const EventMatches = () => {
 
     const getStatusBadge = (status) => {
         const badges = {
+            live: { class: 'status-live', text: 'Live' },
             pending: { class: 'status-pending', text: 'Pending' },
             verified: { class: 'status-verified', text: 'Verified' },
             disputed: { class: 'status-disputed', text: 'Disputed' },
@@ -134,7 +196,12 @@ const EventMatches = () => {
                         <h4>{match.team_a?.name || match.team_a_name || 'Team A'}</h4>
                         <div className="team-score">{match.score_a !== undefined ? match.score_a : (match.team_a_score || 0)}</div>
                     </div>
-                    <div className="match-vs">VS</div>
+                    <div className="match-vs">
+                        VS
+                        {match.status === 'live' && match.live_period && (
+                            <div className="live-period">{match.live_period}</div>
+                        )}
+                    </div>
                     <div className="team-info">
                         <h4>{match.team_b?.name || match.team_b_name || 'Team B'}</h4>
                         <div className="team-score">{match.score_b !== undefined ? match.score_b : (match.team_b_score || 0)}</div>
@@ -147,7 +214,11 @@ const EventMatches = () => {
                             <i className="fas fa-info-circle"></i> Submitted Score
                         </div>
                         <div className="score-details">
-                            This score was submitted by the team manager and is awaiting your approval.
+                            {isAwaitingConfirmation(match)
+                                ? `Waiting for the opposing manager to confirm this score (auto-confirms ${new Date(match.confirmation.due_at).toLocaleString()}).`
+                                : match.confirmation?.status === 'confirmed'
+                                    ? 'Both managers agree on this score. It is awaiting your approval.'
+                                    : 'This score was submitted by the team manager and is awaiting your approval.'}
                             {match.recorded_by && (
                                 <div className="submission-info">
                                     <strong>Submitted by:</strong> {match.recorded_by.name || match.recorded_by.email}
@@ -186,6 +257,8 @@ const EventMatches = () => {
                     <button 
                         className="btn-verify" 
                         onClick={() => handleVerify(match._id)}
+                        disabled={isAwaitingConfirmation(match)}
+                        title={isAwaitingConfirmation(match) ? 'Waiting for the opposing manager' : undefined}
                     >
                         <i className="fas fa-check"></i> Verify
                     </button>
@@ -198,6 +271,27 @@ const EventMatches = () => {
                 </div>
             )}
 
+            {match.status === 'disputed' && (
+                <div className="match-actions">
+                    <button
+                        className="btn-dispute"
+                        onClick={() => setOpenDispute(openDispute === match._id ? null : match._id)}
+                    >
+                        <i className="fas fa-gavel"></i> {openDispute === match._id ? 'Hide Dispute' : 'Review Dispute'}
+                    </button>
+                </div>
+            )}
+
+            {openDispute === match._id && (
+                <DisputeThread
+                    matchId={match._id}
+                    onResolved={() => {
+                        setOpenDispute(null);
+                        fetchMatches();
+                    }}
+                />
+            )}
+
             {match.status === 'verified' && (
                 <div className="verification-info">
                     {match.verified_by ? (
@@ -287,8 +381,28 @@ const EventMatches = () => {
                     </div>
                 )}
 
+                <div className="result-settings">
+                    <label>
+                        <i className="fas fa-user-check"></i> Opponent confirmation window
+                        <input
+                            type="number"
+                            min="1"
+                            value={confirmationHours}
+                            onChange={(e) => setConfirmationHours(e.target.value)}
+                        />
+                        hours
+                    </label>
+                    <button className="btn-secondary" onClick={saveResultSettings}>Save</button>
+                </div>
+
                 <div className="content-card">
                     <div className="tabs">
+                        <button 
+                            className={`tab ${activeTab === 'live' ? 'active' : ''}`}
+                            onClick={() => setActiveTab('live')}
+                        >
+                            Live ({matches.live?.length || 0})
+                        </button>
                         <button 
                             className={`tab ${activeTab === 'pending' ? 'active' : ''}`}
                             onClick={() => setActiveTab('pending')}
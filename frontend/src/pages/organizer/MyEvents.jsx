@@ -10,10 +10,12 @@ import { API_BASE_URL } from '../../utils/constants';
 const MyEvents = () => {
     const user = useSelector(selectUser);
     const [events, setEvents] = useState([]);
+    const [seasons, setSeasons] = useState([]);
     const [loading, setLoading] = useState(true);
 
     useEffect(() => {
         fetchMyEvents();
+        fetchSeasons();
     }, []);
 
     const fetchMyEvents = async () => {
@@ -33,6 +35,19 @@ const MyEvents = () => {
         }
     };
 
+    const fetchSeasons = async () => {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/api/organizer/seasons`, {
+                withCredentials: true
+            });
+            if (response.data.success) {
+                setSeasons(response.data.seasons);
+            }
+        } catch (error) {
+            console.error('Error fetching seasons:', error);
+        }
+    };
+
     const handleDeleteEvent = async (eventId, eventName) => {
         if (!window.confirm(`Are you sure you want to delete "${eventName}"? This action cannot be undone.`)) {
             return;
@@ -71,6 +86,40 @@ const MyEvents = () => {
                         </div>
                     </div>
 
+                    {seasons.length > 0 && (
+                        <div className="my-events-grid">
+                            {seasons.map(season => (
+                                <div key={season._id} className="my-event-card">
+                                    <div className="my-event-header">
+                                        <h3 className="my-event-title">{season.title}</h3>
+                                        <span className="my-event-sport-badge">Season</span>
+                                    </div>
+
+                                    <div className="my-event-info">
+                                        <div className="my-event-info-item">
+                                            <i className="fa fa-redo"></i>
+                                            <span>{season.edition_count} editions, {season.recurrence.frequency} ({season.status.replace('_', ' ')})</span>
+                                        </div>
+                                        <div className="my-event-info-item">
+                                            <i className="fa fa-calendar"></i>
+                                            <span>
+                                                {season.next_edition_date
+                                                    ? `Next edition ${new Date(season.next_edition_date).toLocaleDateString()}`
+                                                    : 'No editions left'}
+                                            </span>
+                                        </div>
+                                    </div>
+
+                                    <div className="my-event-footer">
+                                        <Link to={`/organizer/season/${season._id}`} className="my-event-view-btn">
+                                            <i className="fa fa-eye"></i> View Season
+                                        </Link>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
                     {loading ? (
                         <div className="loading-container">
                             <div className="loading-spinner"></div>
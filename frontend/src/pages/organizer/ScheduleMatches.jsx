@@ -6,6 +6,13 @@ import './ScheduleMatches.css';
 import '../manager/ManagerDashboard.css';
 import { API_BASE_URL } from '../../utils/constants';
 
+// Convert an ISO date into the local YYYY-MM-DDTHH:MM form used by the date/time inputs
+const toDateTimeInputValue = (value) => {
+    const date = new Date(value);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
 const ScheduleMatches = () => {
     const { eventId } = useParams();
     const navigate = useNavigate();
@@ -18,12 +25,95 @@ const ScheduleMatches = () => {
     const [selectedRound, setSelectedRound] = useState('');
     const [scheduleFinalized, setScheduleFinalized] = useState(false);
     const [existingMatchCount, setExistingMatchCount] = useState(0);
+    const [byes, setByes] = useState([]);
+    const [groupCount, setGroupCount] = useState(2);
+    const [qualifiersPerGroup, setQualifiersPerGroup] = useState(2);
+    const [groupSeeding, setGroupSeeding] = useState('rating');
+    const [bracketSeeding, setBracketSeeding] = useState('draw');
+    const [manualGroups, setManualGroups] = useState({});
+    const [groups, setGroups] = useState([]);
+    const [scheduleSettings, setScheduleSettings] = useState({
+        venues: '',
+        daily_windows: [{ start: '09:00', end: '18:00' }],
+        match_duration_minutes: 90,
+        min_rest_minutes: 60
+    });
+    const [savingSettings, setSavingSettings] = useState(false);
+    const [conflicts, setConflicts] = useState([]);
+    const [scheduleVersions, setScheduleVersions] = useState([]);
+    const [scheduleDiff, setScheduleDiff] = useState(null);
 
     useEffect(() => {
         fetchEventDetails();
         checkExistingMatches();
+        fetchScheduleHistory();
     }, [eventId]);
 
+    const fetchScheduleHistory = async () => {
+        try {
+            const response = await axios.get(
+                `${API_BASE_URL}/api/organizer/event/${eventId}/schedule/versions`,
+                { withCredentials: true }
+            );
+
+            if (!response.data.success) return;
+            setScheduleVersions(response.data.versions);
+
+            // While a finalized schedule is reopened, show what has changed since it was locked
+            if (!response.data.schedule_finalized && response.data.versions.length > 0) {
+                const diffResponse = await axios.get(
+                    `${API_BASE_URL}/api/organizer/event/${eventId}/schedule/versions/diff`,
+                    { withCredentials: true }
+                );
+                if (diffResponse.data.success) {
+                    setScheduleDiff(diffResponse.data);
+                }
+            }
+        } catch (error) {
+            console.error('Error fetching schedule versions:', error);
+        }
+    };
+
+    const compareVersions = async (from, to) => {
+        try {
+            const response = await axios.get(
+                `${API_BASE_URL}/api/organizer/event/${eventId}/schedule/versions/diff`,
+                { params: { from, to }, withCredentials: true }
+            );
+            if (response.data.success) {
+                setScheduleDiff(response.data);
+            }
+        } catch (error) {
+            console.error('Error comparing schedule versions:', error);
+            alert(error.response?.data?.message || 'Failed to compare schedule versions');
+        }
+    };
+
+    const reopenSchedule = async () => {
+        if (!window.confirm(
+            '🔓 Reopen the schedule for changes?\n\n' +
+            'When you finalize it again, managers of teams whose matches moved, were added or were cancelled will be notified.'
+        )) {
+            return;
+        }
+
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/api/organizer/event/${eventId}/reopen-schedule`,
+                {},
+                { withCredentials: true }
+            );
+
+            if (response.data.success) {
+                setScheduleFinalized(false);
+                fetchScheduleHistory();
+            }
+        } catch (error) {
+            console.error('Error reopening schedule:', error);
+            alert(error.response?.data?.message || 'Failed to reopen schedule');
+        }
+    };
+
     const fetchEventDetails = async () => {
         try {
             console.log('🔍 Fetching event:', eventId);
@@ -39,6 +129,19 @@ const ScheduleMatches = () => {
                 const eventData = response.data.event;
                 setEvent(eventData);
                 setScheduleFinalized(eventData.schedule_finalized || false);
+                setSchedulingType(eventData.tournament_format || 'round-robin');
+                if (eventData.qualifiers_per_group) {
+                    setQualifiersPerGroup(eventData.qualifiers_per_group);
+                }
+                if (eventData.groups && eventData.groups.length > 0) {
+                    setGroupCount(eventData.groups.length);
+                }
+                if (eventData.schedule_settings) {
+                    setScheduleSettings({
+                        ...eventData.schedule_settings,
+                        venues: (eventData.schedule_settings.venues || []).join(', ')
+                    });
+                }
 
                 console.log('🎯 Event data:', eventData);
                 console.log('🔒 Schedule finalized:', eventData.schedule_finalized);
@@ -112,6 +215,58 @@ const ScheduleMatches = () => {
         }
     };
 
+    const saveScheduleSettings = async () => {
+        setSavingSettings(true);
+        try {
+            const response = await axios.put(
+                `${API_BASE_URL}/api/organizer/event/${eventId}/schedule-settings`,
+                {
+                    venues: scheduleSettings.venues.split(',').map(v => v.trim()).filter(Boolean),
+                    daily_windows: scheduleSettings.daily_windows,
+                    match_duration_minutes: Number(scheduleSettings.match_duration_minutes),
+                    min_rest_minutes: Number(scheduleSettings.min_rest_minutes)
+                },
+                { withCredentials: true }
+            );
+
+            if (response.data.success) {
+                // Slots depend on the settings, so previously generated fixtures are stale
+                setMatches([]);
+                setRounds([]);
+                setConflicts([]);
+                alert('✅ Schedule settings saved');
+            }
+        } catch (error) {
+            console.error('Error saving schedule settings:', error);
+            alert(error.response?.data?.message || 'Failed to save schedule settings');
+        } finally {
+            setSavingSettings(false);
+        }
+    };
+
+    const updateWindow = (index, field, value) => {
+        setScheduleSettings(prev => ({
+            ...prev,
+            daily_windows: prev.daily_windows.map((window, i) => (i === index ? { ...window, [field]: value } : window))
+        }));
+    };
+
+    const addWindow = () => {
+        setScheduleSettings(prev => ({
+            ...prev,
+            daily_windows: [...prev.daily_windows, { start: '14:00', end: '18:00' }]
+        }));
+    };
+
+    const removeWindow = (index) => {
+        setScheduleSettings(prev => ({
+            ...prev,
+            daily_windows: prev.daily_windows.filter((_, i) => i !== index)
+        }));
+    };
+
+    const formatConflicts = (list) => list.map(conflict => `• ${conflict.message}`).join('\n');
+
     const finalizeSchedule = async () => {
         if (!window.confirm(
             '🔒 FINALIZE SCHEDULE\n\n' +
@@ -125,167 +280,129 @@ const ScheduleMatches = () => {
             return;
         }
 
+        const submit = (allowConflicts) => axios.post(
+            `${API_BASE_URL}/api/organizer/event/${eventId}/finalize-schedule`,
+            allowConflicts ? { allow_conflicts: true } : {},
+            { withCredentials: true }
+        );
+
         try {
-            const response = await axios.post(
-                `${API_BASE_URL}/api/organizer/event/${eventId}/finalize-schedule`,
-                {},
-                { withCredentials: true }
-            );
+            let response;
+            try {
+                response = await submit(false);
+            } catch (error) {
+                const scheduleConflicts = error.response?.status === 409 ? error.response.data.conflicts : null;
+                if (!scheduleConflicts || !window.confirm(
+                    `⚠️ The schedule has ${scheduleConflicts.length} conflict(s):\n\n` +
+                    `${formatConflicts(scheduleConflicts)}\n\nFinalize anyway?`
+                )) {
+                    throw error;
+                }
+                response = await submit(true);
+            }
 
             if (response.data.success) {
-                alert('✅ Schedule finalized successfully!\n\nMatches are now locked.');
+                const { changes, notifiedTeams } = response.data;
+                const changeSummary = changes
+                    ? `\n\nVersion ${response.data.version}: ${changes.moved.length} moved, ${changes.added.length} added, ` +
+                      `${changes.cancelled.length} cancelled. ${notifiedTeams} team manager(s) notified.`
+                    : '';
+                alert(`✅ Schedule finalized successfully!\n\nMatches are now locked.${changeSummary}`);
                 setScheduleFinalized(true);
                 navigate(`/organizer/event/${eventId}/matches`);
             }
         } catch (error) {
             console.error('Error finalizing schedule:', error);
-            alert(error.response?.data?.message || 'Failed to finalize schedule');
+            if (error.response?.status !== 409) {
+                alert(error.response?.data?.message || 'Failed to finalize schedule');
+            }
         }
     };
 
-    const generateRoundRobin = () => {
-        if (teams.length < 2) {
-            alert('Need at least 2 teams to generate fixtures');
-            return;
-        }
-
-        const fixtures = [];
-        const roundsArray = []; // ✅ Create new array
-        const n = teams.length;
-        let matchNumber = 1;
+    const selectFormat = (format) => {
+        if (format === schedulingType) return;
+        // Fixtures of another format no longer apply
+        setSchedulingType(format);
+        setMatches([]);
+        setRounds([]);
+        setByes([]);
+        setGroups([]);
+        setConflicts([]);
+        setSelectedRound('');
+    };
 
-        console.log('Generating Round Robin for', n, 'teams'); // Debug
+    // Group settings sent with groups-knockout requests, bracket seeding with knockout ones
+    const getGroupOptions = () => {
+        if (schedulingType === 'knockout') return { seeding: bracketSeeding };
+        if (schedulingType !== 'groups-knockout') return {};
 
-        // If odd number of teams, add a "bye" team
-        const teamsArray = [...teams];
-        if (n % 2 === 1) {
-            teamsArray.push({ id: 'bye', name: 'BYE' });
-        }
+        const options = {
+            qualifiers_per_group: Number(qualifiersPerGroup),
+            seeding: groupSeeding
+        };
 
-        const totalTeams = teamsArray.length;
-        const totalRounds = totalTeams - 1;
-
-        // Generate fixtures for each round
-        for (let round = 0; round < totalRounds; round++) {
-            const roundMatches = [];
-
-            for (let i = 0; i < totalTeams / 2; i++) {
-                const home = teamsArray[i];
-                const away = teamsArray[totalTeams - 1 - i];
-
-                // Skip if one team is BYE
-                if (home.id !== 'bye' && away.id !== 'bye') {
-                    // Initialize with today + round offset
-                    const defaultDate = new Date();
-                    defaultDate.setDate(defaultDate.getDate() + round);
-                    const dateStr = defaultDate.toISOString().split('T')[0];
-                    
-                    roundMatches.push({
-                        match_number: matchNumber++,
-                        team_a: home.id,
-                        team_a_name: home.name,
-                        team_b: away.id,
-                        team_b_name: away.name,
-                        round: `Round ${round + 1}`,
-                        match_date: `${dateStr}T10:00`, // Default time 10:00 AM
-                        venue: event?.location || ''
-                    });
-                }
-            }
-
-            // Rotate teams (keep first team fixed)
-            const lastTeam = teamsArray.pop();
-            teamsArray.splice(1, 0, lastTeam);
-
-            if (roundMatches.length > 0) {
-                roundsArray.push({ // ✅ Push to local array
-                    name: `Round ${round + 1}`,
-                    matches: roundMatches
-                });
-                fixtures.push(...roundMatches);
-            }
+        if (groupSeeding === 'manual') {
+            options.groups = Array.from({ length: Number(groupCount) }, (_, index) =>
+                teams.filter(team => Number(manualGroups[team.id] ?? 0) === index).map(team => team.id)
+            );
+        } else {
+            options.group_count = Number(groupCount);
         }
 
-        console.log('Generated fixtures:', fixtures); // Debug
-        console.log('Generated rounds:', roundsArray); // Debug
+        return options;
+    };
 
-        setRounds(roundsArray); // ✅ Update state once
-        setMatches(fixtures);
-        setSelectedRound(roundsArray[0]?.name || '');
+    const updateGroupSettings = (setter, value) => {
+        setter(value);
+        // Generated fixtures no longer match the new group settings
+        setMatches([]);
+        setRounds([]);
+        setGroups([]);
     };
 
-    const generateKnockout = () => {
+    const generateFixtures = async () => {
         if (teams.length < 2) {
             alert('Need at least 2 teams to generate fixtures');
             return;
         }
 
-        const fixtures = [];
-        const roundsArray = [];
-        const roundNames = ['Final', 'Semi Final', 'Quarter Final', 'Round of 16', 'Round of 32'];
-        let matchNumber = 1;
-
-        // Calculate nearest power of 2 (downward)
-        const teamCount = teams.length;
-        const nearestPowerOf2 = Math.pow(2, Math.floor(Math.log2(teamCount)));
-        
-        console.log(`🏆 Knockout Generation: ${teamCount} teams → Using ${nearestPowerOf2} teams in bracket`);
-
-        // Select top N teams for bracket (where N is power of 2)
-        let knockoutTeams = [...teams].slice(0, nearestPowerOf2);
-        
-        // Shuffle teams for fair draw
-        knockoutTeams.sort(() => Math.random() - 0.5);
-
-        // Calculate round name index based on bracket size
-        const totalRounds = Math.log2(nearestPowerOf2);
-        let roundIndex = totalRounds - 1; // Start from largest round (e.g., Semi Final for 4 teams)
-
-        let currentRound = [];
-
-        // Generate first round matches
-        for (let i = 0; i < knockoutTeams.length; i += 2) {
-            if (i + 1 < knockoutTeams.length) {
-                const defaultDate = new Date();
-                defaultDate.setDate(defaultDate.getDate() + Math.floor(i / 2));
-                const dateStr = defaultDate.toISOString().split('T')[0];
-                
-                currentRound.push({
-                    match_number: matchNumber++,
-                    team_a: knockoutTeams[i].id,
-                    team_a_name: knockoutTeams[i].name,
-                    team_b: knockoutTeams[i + 1].id,
-                    team_b_name: knockoutTeams[i + 1].name,
-                    round: roundNames[roundIndex] || `Round ${roundIndex + 1}`,
-                    match_date: `${dateStr}T14:00`,
-                    venue: event?.location || ''
-                });
-            }
-        }
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/api/organizer/event/${eventId}/schedule-matches`,
+                { generate: true, preview: true, format: schedulingType, ...getGroupOptions() },
+                { withCredentials: true }
+            );
 
-        fixtures.push(...currentRound);
-        roundsArray.push({
-            name: roundNames[roundIndex] || `Round ${roundIndex + 1}`,
-            matches: currentRound
-        });
+            if (response.data.success) {
+                const fixtures = response.data.fixtures.map(fixture => ({
+                    ...fixture,
+                    match_date: toDateTimeInputValue(fixture.match_date)
+                }));
+                const roundsArray = response.data.rounds.map(round => ({
+                    name: round.name,
+                    matches: fixtures.filter(f => f.round_number === round.number)
+                }));
 
-        // Show warning if teams were excluded
-        if (teamCount > nearestPowerOf2) {
-            const excludedCount = teamCount - nearestPowerOf2;
-            alert(
-                `⚠️ Knockout Format Adjustment\n\n` +
-                `${teamCount} teams registered, but knockout requires power-of-2.\n` +
-                `Using ${nearestPowerOf2} teams in bracket.\n` +
-                `${excludedCount} team(s) excluded from fixtures.`
-            );
-        }
+                console.log('Generated fixtures:', fixtures);
 
-        console.log('Generated knockout fixtures:', fixtures);
-        console.log('Generated rounds:', roundsArray);
+                setRounds(roundsArray);
+                setMatches(fixtures);
+                setByes(response.data.byes || []);
+                setGroups(response.data.groups || []);
+                setConflicts(response.data.conflicts || []);
+                setSelectedRound(roundsArray[0]?.name || '');
 
-        setRounds(roundsArray);
-        setMatches(fixtures);
-        setSelectedRound(roundsArray[0]?.name || '');
+                if (response.data.unscheduled?.length > 0) {
+                    alert(
+                        `⚠️ No free venue slot for match(es) ${response.data.unscheduled.join(', ')}.\n\n` +
+                        'Add venues or widen the daily time windows.'
+                    );
+                }
+            }
+        } catch (error) {
+            console.error('Error generating fixtures:', error);
+            alert(error.response?.data?.message || 'Failed to generate fixtures');
+        }
     };
 
     const handleDateChange = (matchNumber, date) => {
@@ -309,6 +426,33 @@ const ScheduleMatches = () => {
         ));
     };
 
+    // Organizer date/venue edits, sent by match number
+    const getOverrides = () => matches.map(m => ({
+        match_number: m.match_number,
+        match_date: new Date(m.match_date).toISOString(),
+        venue: m.venue
+    }));
+
+    const checkConflicts = async () => {
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/api/organizer/event/${eventId}/schedule-matches`,
+                { generate: true, preview: true, format: schedulingType, overrides: getOverrides(), ...getGroupOptions() },
+                { withCredentials: true }
+            );
+
+            if (response.data.success) {
+                setConflicts(response.data.conflicts || []);
+                if ((response.data.conflicts || []).length === 0) {
+                    alert('✅ No conflicts found');
+                }
+            }
+        } catch (error) {
+            console.error('Error checking conflicts:', error);
+            alert(error.response?.data?.message || 'Failed to check conflicts');
+        }
+    };
+
     const scheduleMatches = async () => {
         try {
             console.log('\n=== SCHEDULING MATCHES ===');
@@ -348,9 +492,16 @@ const ScheduleMatches = () => {
             console.log('📊 Total matches:', matches.length);
             console.log('🏆 Matches data:', matches);
 
-            const response = await axios.post(
+            // Fixtures are regenerated server-side; only the organizer's date/venue edits are sent
+            const submit = (allowConflicts) => axios.post(
                 `${API_BASE_URL}/api/organizer/event/${eventId}/schedule-matches`,
-                { matches },
+                {
+                    generate: true,
+                    format: schedulingType,
+                    overrides: getOverrides(),
+                    allow_conflicts: allowConflicts,
+                    ...getGroupOptions()
+                },
                 { 
                     withCredentials: true,
                     headers: {
@@ -359,6 +510,23 @@ const ScheduleMatches = () => {
                 }
             );
 
+            let response;
+            try {
+                response = await submit(false);
+            } catch (error) {
+                const scheduleConflicts = error.response?.status === 409 ? error.response.data.conflicts : null;
+                if (!scheduleConflicts) throw error;
+
+                setConflicts(scheduleConflicts);
+                if (!window.confirm(
+                    `⚠️ The schedule has ${scheduleConflicts.length} conflict(s):\n\n` +
+                    `${formatConflicts(scheduleConflicts)}\n\nSave anyway?`
+                )) {
+                    return;
+                }
+                response = await submit(true);
+            }
+
             console.log('✅ Response:', response.data);
 
             if (response.data.success) {
@@ -392,6 +560,44 @@ const ScheduleMatches = () => {
         return round ? round.matches : [];
     };
 
+    const renderScheduleDiff = () => {
+        const formatSlot = (date, venue) => `${new Date(date).toLocaleString()}${venue ? ` @ ${venue}` : ''}`;
+        const { moved, added, cancelled } = scheduleDiff;
+
+        return (
+            <div className="schedule-diff">
+                <h3>
+                    <i className="fas fa-exchange-alt"></i>
+                    {scheduleDiff.to === 'current'
+                        ? ` Changes since finalized v${scheduleDiff.from}`
+                        : ` Changes from v${scheduleDiff.from} to v${scheduleDiff.to}`}
+                </h3>
+                {moved.length + added.length + cancelled.length === 0 ? (
+                    <p>No changes.</p>
+                ) : (
+                    <ul>
+                        {moved.map((change, index) => (
+                            <li key={`moved-${index}`} className="diff-moved">
+                                <strong>Moved:</strong> {change.team_a_name} vs {change.team_b_name} —{' '}
+                                {formatSlot(change.from.match_date, change.from.venue)} → {formatSlot(change.to.match_date, change.to.venue)}
+                            </li>
+                        ))}
+                        {added.map((change, index) => (
+                            <li key={`added-${index}`} className="diff-added">
+                                <strong>Added:</strong> {change.team_a_name} vs {change.team_b_name} — {formatSlot(change.match_date, change.venue)}
+                            </li>
+                        ))}
+                        {cancelled.map((change, index) => (
+                            <li key={`cancelled-${index}`} className="diff-cancelled">
+                                <strong>Cancelled:</strong> {change.team_a_name} vs {change.team_b_name} — {formatSlot(change.match_date, change.venue)}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        );
+    };
+
     if (loading) {
         return (
             <OrganizerLayout>
@@ -435,13 +641,44 @@ const ScheduleMatches = () => {
                             <span><i className="fas fa-calendar-check"></i> {existingMatchCount} matches scheduled</span>
                             <span><i className="fas fa-users"></i> {teams.length} teams confirmed</span>
                         </div>
-                        <button 
-                            onClick={() => navigate(`/organizer/event/${eventId}/matches`)}
-                            className="btn-view-fixtures"
-                        >
-                            <i className="fas fa-eye"></i>
-                            View Fixtures
-                        </button>
+                        <div className="locked-actions">
+                            <button 
+                                onClick={() => navigate(`/organizer/event/${eventId}/matches`)}
+                                className="btn-view-fixtures"
+                            >
+                                <i className="fas fa-eye"></i>
+                                View Fixtures
+                            </button>
+                            <button onClick={reopenSchedule} className="btn-cancel">
+                                <i className="fas fa-lock-open"></i>
+                                Reopen Schedule
+                            </button>
+                        </div>
+
+                        {scheduleVersions.length > 0 && (
+                            <div className="schedule-versions">
+                                <h3><i className="fas fa-history"></i> Schedule Versions</h3>
+                                <ul>
+                                    {scheduleVersions.map((version, index) => (
+                                        <li key={version.version}>
+                                            <span>
+                                                <strong>v{version.version}</strong> · {new Date(version.finalized_at).toLocaleString()} · {version.match_count} matches
+                                                {version.notified_teams > 0 && ` · ${version.notified_teams} team(s) notified`}
+                                            </span>
+                                            {index > 0 && (
+                                                <button
+                                                    onClick={() => compareVersions(scheduleVersions[index - 1].version, version.version)}
+                                                    className="btn-compare"
+                                                >
+                                                    Changes from v{scheduleVersions[index - 1].version}
+                                                </button>
+                                            )}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+                        {scheduleDiff && renderScheduleDiff()}
                     </div>
                 ) : teams.length === 0 ? (
                     <div className="empty-state">
@@ -458,6 +695,8 @@ const ScheduleMatches = () => {
                     </div>
                 ) : (
                     <>
+                        {scheduleDiff && renderScheduleDiff()}
+
                         {existingMatchCount > 0 && (
                             <div className="warning-banner">
                                 <i className="fas fa-info-circle"></i>
@@ -482,7 +721,7 @@ const ScheduleMatches = () => {
                                 <div className="format-buttons">
                                     <button
                                         className={`format-btn ${schedulingType === 'round-robin' ? 'active' : ''}`}
-                                        onClick={() => setSchedulingType('round-robin')}
+                                        onClick={() => selectFormat('round-robin')}
                                     >
                                         <i className="fas fa-sync"></i>
                                         Round Robin
@@ -490,18 +729,194 @@ const ScheduleMatches = () => {
                                     </button>
                                     <button
                                         className={`format-btn ${schedulingType === 'knockout' ? 'active' : ''}`}
-                                        onClick={() => setSchedulingType('knockout')}
+                                        onClick={() => selectFormat('knockout')}
                                     >
                                         <i className="fas fa-trophy"></i>
                                         Knockout
                                         <small>Single elimination</small>
                                     </button>
+                                    <button
+                                        className={`format-btn ${schedulingType === 'league' ? 'active' : ''}`}
+                                        onClick={() => selectFormat('league')}
+                                    >
+                                        <i className="fas fa-list-ol"></i>
+                                        League
+                                        <small>Home and away</small>
+                                    </button>
+                                    <button
+                                        className={`format-btn ${schedulingType === 'groups-knockout' ? 'active' : ''}`}
+                                        onClick={() => selectFormat('groups-knockout')}
+                                    >
+                                        <i className="fas fa-layer-group"></i>
+                                        Groups + Knockout
+                                        <small>Group stage, then playoffs</small>
+                                    </button>
+                                </div>
+                            </div>
+
+                            {schedulingType === 'knockout' && (
+                                <div className="format-selector group-settings">
+                                    <h3><i className="fas fa-sitemap"></i> Bracket Seeding</h3>
+                                    <div className="group-settings-row">
+                                        <div className="detail-group">
+                                            <label>Seeding</label>
+                                            <select
+                                                value={bracketSeeding}
+                                                onChange={(e) => updateGroupSettings(setBracketSeeding, e.target.value)}
+                                                className="detail-input"
+                                            >
+                                                <option value="draw">Registration order</option>
+                                                <option value="rating">By team rating (top seeds get byes)</option>
+                                            </select>
+                                        </div>
+                                    </div>
+                                </div>
+                            )}
+
+                            {schedulingType === 'groups-knockout' && (
+                                <div className="format-selector group-settings">
+                                    <h3><i className="fas fa-layer-group"></i> Group Stage</h3>
+                                    <div className="group-settings-row">
+                                        <div className="detail-group">
+                                            <label>Number of groups</label>
+                                            <input
+                                                type="number"
+                                                min="2"
+                                                max={Math.max(2, Math.floor(teams.length / 2))}
+                                                value={groupCount}
+                                                onChange={(e) => updateGroupSettings(setGroupCount, e.target.value)}
+                                                className="detail-input"
+                                            />
+                                        </div>
+                                        <div className="detail-group">
+                                            <label>Qualifiers per group</label>
+                                            <input
+                                                type="number"
+                                                min="1"
+                                                value={qualifiersPerGroup}
+                                                onChange={(e) => updateGroupSettings(setQualifiersPerGroup, e.target.value)}
+                                                className="detail-input"
+                                            />
+                                        </div>
+                                        <div className="detail-group">
+                                            <label>Seeding</label>
+                                            <select
+                                                value={groupSeeding}
+                                                onChange={(e) => updateGroupSettings(setGroupSeeding, e.target.value)}
+                                                className="detail-input"
+                                            >
+                                                <option value="rating">Snake seeding by team rating</option>
+                                                <option value="manual">Manual</option>
+                                            </select>
+                                        </div>
+                                    </div>
+
+                                    {groupSeeding === 'manual' && (
+                                        <div className="manual-groups">
+                                            {teams.map(team => (
+                                                <div key={team.id} className="manual-group-row">
+                                                    <span>{team.name}</span>
+                                                    <select
+                                                        value={manualGroups[team.id] ?? 0}
+                                                        onChange={(e) => updateGroupSettings(
+                                                            setManualGroups,
+                                                            { ...manualGroups, [team.id]: Number(e.target.value) }
+                                                        )}
+                                                        className="round-select"
+                                                    >
+                                                        {Array.from({ length: Number(groupCount) || 2 }, (_, index) => (
+                                                            <option key={index} value={index}>
+                                                                Group {String.fromCharCode(65 + index)}
+                                                            </option>
+                                                        ))}
+                                                    </select>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+                                    <small className="group-settings-hint">
+                                        The knockout bracket is drawn from the top {qualifiersPerGroup} of each group
+                                        once every group match has been verified.
+                                    </small>
+                                </div>
+                            )}
+
+                            <div className="format-selector schedule-settings">
+                                <h3><i className="fas fa-map-marked-alt"></i> Venues &amp; Time Slots</h3>
+                                <div className="group-settings-row">
+                                    <div className="detail-group">
+                                        <label>Venues / courts (comma separated)</label>
+                                        <input
+                                            type="text"
+                                            value={scheduleSettings.venues}
+                                            onChange={(e) => setScheduleSettings(prev => ({ ...prev, venues: e.target.value }))}
+                                            placeholder="Court 1, Court 2"
+                                            className="detail-input"
+                                        />
+                                    </div>
+                                    <div className="detail-group">
+                                        <label>Match duration (minutes)</label>
+                                        <input
+                                            type="number"
+                                            min="5"
+                                            value={scheduleSettings.match_duration_minutes}
+                                            onChange={(e) => setScheduleSettings(prev => ({ ...prev, match_duration_minutes: e.target.value }))}
+                                            className="detail-input"
+                                        />
+                                    </div>
+                                    <div className="detail-group">
+                                        <label>Minimum team rest (minutes)</label>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            value={scheduleSettings.min_rest_minutes}
+                                            onChange={(e) => setScheduleSettings(prev => ({ ...prev, min_rest_minutes: e.target.value }))}
+                                            className="detail-input"
+                                        />
+                                    </div>
+                                </div>
+                                <div className="time-windows">
+                                    <label>Daily playing hours</label>
+                                    {scheduleSettings.daily_windows.map((window, index) => (
+                                        <div key={index} className="time-window-row">
+                                            <input
+                                                type="time"
+                                                value={window.start}
+                                                onChange={(e) => updateWindow(index, 'start', e.target.value)}
+                                                className="detail-input"
+                                            />
+                                            <span>to</span>
+                                            <input
+                                                type="time"
+                                                value={window.end}
+                                                onChange={(e) => updateWindow(index, 'end', e.target.value)}
+                                                className="detail-input"
+                                            />
+                                            {scheduleSettings.daily_windows.length > 1 && (
+                                                <button onClick={() => removeWindow(index)} className="btn-remove-window" title="Remove">
+                                                    <i className="fas fa-times"></i>
+                                                </button>
+                                            )}
+                                        </div>
+                                    ))}
+                                    <button onClick={addWindow} className="btn-add-window">
+                                        <i className="fas fa-plus"></i> Add time window
+                                    </button>
+                                </div>
+                                <div className="schedule-settings-footer">
+                                    <small className="group-settings-hint">
+                                        With venues set, fixtures are placed in free venue slots within these hours.
+                                        Leave venues empty to schedule one round per day.
+                                    </small>
+                                    <button onClick={saveScheduleSettings} className="btn-primary" disabled={savingSettings}>
+                                        {savingSettings ? 'Saving...' : 'Save Settings'}
+                                    </button>
                                 </div>
                             </div>
 
                             <button
                                 className="btn-generate"
-                                onClick={schedulingType === 'round-robin' ? generateRoundRobin : generateKnockout}
+                                onClick={generateFixtures}
                             >
                                 <i className="fas fa-magic"></i>
                                 Generate Fixtures
@@ -535,9 +950,48 @@ const ScheduleMatches = () => {
                                     )}
                                 </div>
 
+                                {byes.length > 0 && (
+                                    <div className="warning-banner">
+                                        <i className="fas fa-info-circle"></i>
+                                        <span>Byes to the next round: {byes.map(team => team.name).join(', ')}</span>
+                                    </div>
+                                )}
+
+                                {conflicts.length > 0 && (
+                                    <div className="warning-banner conflict-banner">
+                                        <i className="fas fa-exclamation-triangle"></i>
+                                        <div>
+                                            <strong>{conflicts.length} scheduling conflict(s)</strong>
+                                            <ul>
+                                                {conflicts.map((conflict, index) => (
+                                                    <li key={index}>{conflict.message}</li>
+                                                ))}
+                                            </ul>
+                                        </div>
+                                    </div>
+                                )}
+
+                                {groups.length > 0 && (
+                                    <div className="groups-preview">
+                                        {groups.map(group => (
+                                            <div key={group.name} className="group-card">
+                                                <h4>{group.name}</h4>
+                                                <ol>
+                                                    {group.teams.map(team => (
+                                                        <li key={team.id}>{team.name}</li>
+                                                    ))}
+                                                </ol>
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+
                                 <div className="fixtures-list">
                                     {getCurrentRoundMatches().map((match) => (
-                                        <div key={match.match_number} className="fixture-card">
+                                        <div
+                                            key={match.match_number}
+                                            className={`fixture-card ${conflicts.some(c => c.match_numbers.includes(match.match_number)) ? 'has-conflict' : ''}`}
+                                        >
                                             <div className="fixture-header">
                                                 <span className="match-number">Match #{match.match_number}</span>
                                                 <span className="match-round">{match.round}</span>
@@ -606,6 +1060,9 @@ const ScheduleMatches = () => {
                                         onClick={() => {
                                             setMatches([]);
                                             setRounds([]);
+                                            setByes([]);
+                                            setGroups([]);
+                                            setConflicts([]);
                                             setSelectedRound('');
                                         }}
                                         className="btn-cancel"
@@ -613,6 +1070,13 @@ const ScheduleMatches = () => {
                                         <i className="fas fa-times"></i>
                                         Clear All
                                     </button>
+                                    <button
+                                        onClick={checkConflicts}
+                                        className="btn-cancel"
+                                    >
+                                        <i className="fas fa-search"></i>
+                                        Check Conflicts
+                                    </button>
                                     <button
                                         onClick={scheduleMatches}
                                         className="btn-schedule"
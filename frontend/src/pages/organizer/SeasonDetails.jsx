@@ -0,0 +1,306 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import OrganizerLayout from '../../components/layout/OrganizerLayout';
+import axios from 'axios';
+import { API_BASE_URL } from '../../utils/constants';
+
+const FREQUENCY_LABELS = {
+    weekly: 'Every week',
+    fortnightly: 'Every two weeks',
+    monthly: 'Every month'
+};
+
+const STATUS_STYLES = {
+    upcoming: 'bg-blue-100 text-blue-800',
+    in_progress: 'bg-green-100 text-green-800',
+    completed: 'bg-gray-100 text-gray-800',
+    cancelled: 'bg-red-100 text-red-800',
+    pending_approval: 'bg-yellow-100 text-yellow-800',
+    approved: 'bg-green-100 text-green-800',
+    rejected: 'bg-red-100 text-red-800'
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '-');
+
+/**
+ * Season view: the editions generated from a season's recurrence rule, the
+ * standings across every edition and the season's player awards.
+ */
+const SeasonDetails = () => {
+    const { id } = useParams();
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [message, setMessage] = useState({ type: '', text: '' });
+
+    useEffect(() => {
+        fetchSeason();
+    }, [id]);
+
+    const fetchSeason = async () => {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/api/organizer/season/${id}`, {
+                withCredentials: true
+            });
+            if (response.data.success) {
+                setData(response.data);
+            }
+        } catch (error) {
+            console.error('Error fetching season:', error);
+            setMessage({ type: 'error', text: error.response?.data?.message || 'Failed to load season' });
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const send = async (request) => {
+        try {
+            setSaving(true);
+            const response = await request();
+            if (response.data.success) {
+                setMessage({ type: 'success', text: response.data.message });
+                fetchSeason();
+            }
+        } catch (error) {
+            setMessage({ type: 'error', text: error.response?.data?.message || 'Something went wrong' });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const toggleCarryOver = () => send(() => axios.put(`${API_BASE_URL}/api/organizer/season/${id}`, {
+        carry_over_registrations: !data.season.carry_over_registrations
+    }, { withCredentials: true }));
+
+    const carryOver = (edition) => {
+        if (!window.confirm(`Register the teams of edition ${edition.edition} for the next edition now?`)) return;
+        send(() => axios.post(`${API_BASE_URL}/api/organizer/season/${id}/carry-over`, {
+            event_id: edition._id
+        }, { withCredentials: true }));
+    };
+
+    if (loading) {
+        return (
+            <OrganizerLayout>
+                <div className="min-h-screen flex items-center justify-center">
+                    <div className="animate-spin rounded-full h-16 w-16 border-b-4 border-orange-600"></div>
+                </div>
+            </OrganizerLayout>
+        );
+    }
+
+    if (!data) {
+        return (
+            <OrganizerLayout>
+                <div className="container mx-auto px-4 py-16 text-center">
+                    <p className="text-red-600 mb-4">{message.text || 'Season not found'}</p>
+                    <Link to="/organizer/my-events" className="text-orange-600 font-semibold">Back to My Events</Link>
+                </div>
+            </OrganizerLayout>
+        );
+    }
+
+    const { season, editions, standings, awards } = data;
+
+    return (
+        <OrganizerLayout>
+        <div className="min-h-screen bg-gradient-to-br from-orange-50 via-red-50 to-orange-100 py-8">
+            <div className="container mx-auto px-4 max-w-7xl space-y-8">
+                {message.text && (
+                    <div className={`p-4 rounded-lg ${message.type === 'success' ? 'bg-green-100 text-green-800 border border-green-300' : 'bg-red-100 text-red-800 border border-red-300'}`}>
+                        <div className="flex items-center justify-between">
+                            <span className="font-medium">{message.text}</span>
+                            <button onClick={() => setMessage({ type: '', text: '' })} className="text-gray-500 hover:text-gray-700">
+                                <i className="fa fa-times"></i>
+                            </button>
+                        </div>
+                    </div>
+                )}
+
+                {/* Header */}
+                <div className="bg-white rounded-xl shadow-xl overflow-hidden">
+                    <div className="bg-gradient-to-r from-orange-600 to-red-600 p-8 text-white">
+                        <Link to="/organizer/my-events" className="text-white hover:text-orange-100 inline-flex items-center text-sm font-medium">
+                            <i className="fa fa-arrow-left mr-2"></i> Back to My Events
+                        </Link>
+                        <h1 className="text-4xl font-bold mb-2 mt-4">{season.title}</h1>
+                        <div className="flex flex-wrap items-center gap-4 mt-4">
+                            <span className={`px-4 py-2 rounded-full text-sm font-semibold ${STATUS_STYLES[season.status]}`}>
+                                {season.status.replace('_', ' ')}
+                            </span>
+                            <span className="bg-white bg-opacity-20 px-4 py-2 rounded-full text-sm font-medium">
+                                <i className="fa fa-tag mr-2"></i>{season.sport_type}
+                            </span>
+                            <span className="bg-white bg-opacity-20 px-4 py-2 rounded-full text-sm font-medium">
+                                <i className="fa fa-map-marker-alt mr-2"></i>{season.location}
+                            </span>
+                            <span className="bg-white bg-opacity-20 px-4 py-2 rounded-full text-sm font-medium">
+                                <i className="fa fa-redo mr-2"></i>
+                                {FREQUENCY_LABELS[season.recurrence.frequency]}, {season.recurrence.editions} editions
+                            </span>
+                        </div>
+                    </div>
+                    <div className="p-6 flex flex-wrap items-center justify-between gap-4">
+                        <p className="text-gray-600 text-sm">
+                            {season.carry_over_registrations
+                                ? 'Teams carry over: once an edition has been played, its teams are registered for the next one.'
+                                : 'Teams register for each edition themselves.'}
+                            {' '}Registration closes {season.recurrence.registration_days} day(s) before each edition.
+                        </p>
+                        <button
+                            onClick={toggleCarryOver}
+                            disabled={saving}
+                            className="bg-orange-600 text-white px-5 py-2 rounded-lg font-semibold hover:bg-orange-700 transition-all disabled:opacity-50"
+                        >
+                            {season.carry_over_registrations ? 'Stop carrying teams over' : 'Carry teams over'}
+                        </button>
+                    </div>
+                </div>
+
+                {/* Editions */}
+                <div className="bg-white rounded-xl shadow-lg p-8">
+                    <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
+                        <i className="fa fa-calendar-alt text-orange-600 mr-3"></i>
+                        Editions
+                    </h2>
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead className="bg-gray-50 border-b">
+                                <tr>
+                                    <th className="px-4 py-3 text-left font-semibold text-gray-600">#</th>
+                                    <th className="px-4 py-3 text-left font-semibold text-gray-600">Date</th>
+                                    <th className="px-4 py-3 text-left font-semibold text-gray-600">Registration Closes</th>
+                                    <th className="px-4 py-3 text-left font-semibold text-gray-600">Status</th>
+                                    <th className="px-4 py-3 text-left font-semibold text-gray-600">Teams</th>
+                                    <th className="px-4 py-3 text-left font-semibold text-gray-600">Champion</th>
+                                    <th className="px-4 py-3"></th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-200">
+                                {editions.map(edition => (
+                                    <tr key={edition._id}>
+                                        <td className="px-4 py-3 font-semibold">{edition.edition}</td>
+                                        <td className="px-4 py-3">{formatDate(edition.event_date)}</td>
+                                        <td className="px-4 py-3">{formatDate(edition.registration_deadline)}</td>
+                                        <td className="px-4 py-3">
+                                            <span className={`px-2 py-1 rounded-full text-xs font-semibold ${STATUS_STYLES[edition.status] || 'bg-gray-100 text-gray-800'}`}>
+                                                {edition.status.replace('_', ' ')}
+                                            </span>
+                                        </td>
+                                        <td className="px-4 py-3">
+                                            {edition.registered_teams}{edition.max_teams ? ` / ${edition.max_teams}` : ''}
+                                            {edition.carried_in > 0 && (
+                                                <span className="text-xs text-blue-700 ml-2">({edition.carried_in} carried over)</span>
+                                            )}
+                                        </td>
+                                        <td className="px-4 py-3">{edition.champion ? edition.champion.team_name : '-'}</td>
+                                        <td className="px-4 py-3 text-right whitespace-nowrap">
+                                            <Link to={`/organizer/event/${edition._id}`} className="text-orange-600 hover:text-orange-700 font-semibold mr-4">
+                                                View
+                                            </Link>
+                                            {edition.has_next && (
+                                                <button
+                                                    onClick={() => carryOver(edition)}
+                                                    disabled={saving}
+                                                    className="text-blue-600 hover:text-blue-700 font-semibold disabled:opacity-50"
+                                                    title={edition.carried_over_at ? `Carried over on ${formatDate(edition.carried_over_at)}` : ''}
+                                                >
+                                                    {edition.carried_over_at ? 'Carry over again' : 'Carry teams over'}
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+
+                {/* Season standings */}
+                <div className="bg-white rounded-xl shadow-lg p-8">
+                    <h2 className="text-2xl font-bold text-gray-800 mb-2 flex items-center">
+                        <i className="fa fa-trophy text-orange-600 mr-3"></i>
+                        Season Standings
+                    </h2>
+                    <p className="text-sm text-gray-500 mb-6">
+                        Verified results of every edition ({data.matches_counted} matches), ranked with the first edition's scoring rules.
+                    </p>
+                    {standings.length === 0 ? (
+                        <p className="text-gray-500">No teams have played yet.</p>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm">
+                                <thead className="bg-gray-50 border-b">
+                                    <tr>
+                                        <th className="px-4 py-3 text-left font-semibold text-gray-600">Pos</th>
+                                        <th className="px-4 py-3 text-left font-semibold text-gray-600">Team</th>
+                                        <th className="px-4 py-3 text-center font-semibold text-gray-600">Editions</th>
+                                        <th className="px-4 py-3 text-center font-semibold text-gray-600">P</th>
+                                        <th className="px-4 py-3 text-center font-semibold text-gray-600">W</th>
+                                        <th className="px-4 py-3 text-center font-semibold text-gray-600">D</th>
+                                        <th className="px-4 py-3 text-center font-semibold text-gray-600">L</th>
+                                        <th className="px-4 py-3 text-center font-semibold text-gray-600">GF</th>
+                                        <th className="px-4 py-3 text-center font-semibold text-gray-600">GA</th>
+                                        <th className="px-4 py-3 text-center font-semibold text-gray-600">GD</th>
+                                        <th className="px-4 py-3 text-center font-semibold text-gray-600">Pts</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-200">
+                                    {standings.map(row => (
+                                        <tr key={row.team_id}>
+                                            <td className="px-4 py-3 font-semibold">{row.position}</td>
+                                            <td className="px-4 py-3 font-semibold text-gray-800">{row.team_name}</td>
+                                            <td className="px-4 py-3 text-center">{row.editions}</td>
+                                            <td className="px-4 py-3 text-center">{row.played}</td>
+                                            <td className="px-4 py-3 text-center">{row.won}</td>
+                                            <td className="px-4 py-3 text-center">{row.drawn}</td>
+                                            <td className="px-4 py-3 text-center">{row.lost}</td>
+                                            <td className="px-4 py-3 text-center">{row.goals_for}</td>
+                                            <td className="px-4 py-3 text-center">{row.goals_against}</td>
+                                            <td className="px-4 py-3 text-center">{row.goal_difference}</td>
+                                            <td className="px-4 py-3 text-center font-bold text-orange-600">{row.points}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+
+                {/* Player awards */}
+                <div className="bg-white rounded-xl shadow-lg p-8">
+                    <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
+                        <i className="fa fa-medal text-orange-600 mr-3"></i>
+                        Season Player Stats
+                    </h2>
+                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                        {awards.map(award => (
+                            <div key={award.key} className="border border-gray-200 rounded-lg p-5">
+                                <h3 className="font-bold text-gray-800 mb-3">{award.title}</h3>
+                                {award.entries.length === 0 ? (
+                                    <p className="text-sm text-gray-500">No stats recorded yet.</p>
+                                ) : (
+                                    <ol className="space-y-2">
+                                        {award.entries.slice(0, 5).map(entry => (
+                                            <li key={`${entry.player_id}-${entry.match_id || ''}`} className="flex justify-between text-sm">
+                                                <span>
+                                                    <span className="font-semibold text-gray-500 mr-2">{entry.rank}.</span>
+                                                    {entry.player_name}
+                                                    <span className="text-gray-500"> ({entry.team_name})</span>
+                                                </span>
+                                                <span className="font-bold text-orange-600">{award.stat === 'figures' ? entry.figures : entry.value}</span>
+                                            </li>
+                                        ))}
+                                    </ol>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            </div>
+        </div>
+        </OrganizerLayout>
+    );
+};
+
+export default SeasonDetails;
@@ -13,6 +13,9 @@ const BrowseTeams = () => {
     const [loading, setLoading] = useState(true);
     const [searchTerm, setSearchTerm] = useState('');
     const [sportFilter, setSportFilter] = useState('');
+    const [minRating, setMinRating] = useState('');
+    const [maxRating, setMaxRating] = useState('');
+    const [sortBy, setSortBy] = useState('name');
     const [requestStatus, setRequestStatus] = useState({});
 
     useEffect(() => {
@@ -21,7 +24,12 @@ const BrowseTeams = () => {
 
     const fetchTeams = async () => {
         try {
+            const params = { sort: sortBy };
+            if (minRating !== '') params.min_rating = minRating;
+            if (maxRating !== '') params.max_rating = maxRating;
+
             const response = await axios.get(`${API_BASE_URL}/api/player/browse-teams`, { 
+                params,
                 withCredentials: true 
             });
             
@@ -31,6 +39,9 @@ const BrowseTeams = () => {
             }
         } catch (error) {
             console.error('Error fetching teams:', error);
+            if (error.response?.status === 400) {
+                alert(error.response.data?.message || 'Invalid rating filter');
+            }
         } finally {
             setLoading(false);
         }
@@ -123,7 +134,7 @@ const BrowseTeams = () => {
 
                 {/* Search and Filters */}
                 <div className="search-filters-section">
-                    <div className="filters-grid">
+                    <div className="filters-grid team-filters-grid">
                         <input
                             type="text"
                             className="filter-input"
@@ -145,6 +156,30 @@ const BrowseTeams = () => {
                             <option value="Badminton">Badminton</option>
                             <option value="Volleyball">Volleyball</option>
                         </select>
+                        <input
+                            type="number"
+                            className="filter-input rating-input"
+                            placeholder="Min rating"
+                            min="0"
+                            value={minRating}
+                            onChange={(e) => setMinRating(e.target.value)}
+                        />
+                        <input
+                            type="number"
+                            className="filter-input rating-input"
+                            placeholder="Max rating"
+                            min="0"
+                            value={maxRating}
+                            onChange={(e) => setMaxRating(e.target.value)}
+                        />
+                        <select
+                            className="filter-select"
+                            value={sortBy}
+                            onChange={(e) => setSortBy(e.target.value)}
+                        >
+                            <option value="name">Sort by name</option>
+                            <option value="rating">Sort by rating</option>
+                        </select>
                         <button 
                             className="search-button"
                             onClick={handleSearch}
@@ -186,6 +221,12 @@ const BrowseTeams = () => {
                                         <i className="fa fa-users"></i>
                                         <span><strong>Members:</strong> {team.current_members} / {team.max_members}</span>
                                     </div>
+                                    {team.rating !== undefined && (
+                                        <div className="team-info-item">
+                                            <i className="fa fa-signal"></i>
+                                            <span><strong>Rating:</strong> {team.rating}</span>
+                                        </div>
+                                    )}
                                 </div>
 
                                 {/* Progress Bar */}
@@ -230,6 +271,8 @@ const BrowseTeams = () => {
                                 onClick={() => {
                                     setSearchTerm('');
                                     setSportFilter('');
+                                    setMinRating('');
+                                    setMaxRating('');
                                 }}
                             >
                                 Clear Filters
@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import PlayerLayout from '../../components/layout/PlayerLayout';
+import CareerTimeline from '../../components/common/CareerTimeline';
+import axios from 'axios';
+import './Career.css';
+import { API_BASE_URL } from '../../utils/constants';
+
+/**
+ * The player's career across every team they have played for, with the
+ * option to publish it on their public profile for premium players
+ */
+const Career = () => {
+    const [career, setCareer] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [publishing, setPublishing] = useState(false);
+    const [message, setMessage] = useState({ type: '', text: '' });
+
+    useEffect(() => {
+        fetchCareer();
+    }, []);
+
+    const fetchCareer = async () => {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/api/player/career`, { withCredentials: true });
+            if (response.data.success) {
+                setCareer(response.data.career);
+            }
+        } catch (error) {
+            console.error('Error fetching career:', error);
+            setMessage({ type: 'error', text: 'Error loading your career' });
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handlePublish = async () => {
+        try {
+            setPublishing(true);
+            setMessage({ type: '', text: '' });
+            const response = await axios.put(
+                `${API_BASE_URL}/api/player/career/publish`,
+                { published: !career.published },
+                { withCredentials: true }
+            );
+            if (response.data.success) {
+                setCareer({ ...career, published: response.data.published });
+                setMessage({ type: 'success', text: response.data.message });
+            }
+        } catch (error) {
+            setMessage({ type: 'error', text: error.response?.data?.message || 'Error updating your public profile' });
+        } finally {
+            setPublishing(false);
+        }
+    };
+
+    return (
+        <PlayerLayout>
+            <div className="career-page">
+                <div className="career-header">
+                    <div>
+                        <h1><i className="fa fa-route"></i> My Career</h1>
+                        <p>Every team, event and match you have played, season by season</p>
+                    </div>
+                </div>
+
+                {message.text && <p className={`career-message ${message.type}`}>{message.text}</p>}
+
+                {loading ? (
+                    <div className="career-card"><p>Loading...</p></div>
+                ) : career && (
+                    <>
+                        <div className="career-card career-publish">
+                            <div>
+                                <h2>Public Profile</h2>
+                                {career.can_publish ? (
+                                    <p>
+                                        {career.published
+                                            ? 'Your career is shown on your public profile.'
+                                            : 'Your career is only visible to you.'}
+                                    </p>
+                                ) : (
+                                    <p>
+                                        Show your career on your public profile with a{' '}
+                                        <Link to="/player/services">Premium Profile</Link>.
+                                    </p>
+                                )}
+                            </div>
+                            {(career.can_publish || career.published) && (
+                                <button
+                                    className={`career-publish-btn ${career.published ? 'published' : ''}`}
+                                    onClick={handlePublish}
+                                    disabled={publishing || (!career.can_publish && !career.published)}
+                                >
+                                    <i className={`fa ${career.published ? 'fa-eye-slash' : 'fa-globe'}`}></i>
+                                    {career.published ? 'Hide from Public Profile' : 'Publish Career'}
+                                </button>
+                            )}
+                        </div>
+
+                        <div className="career-card">
+                            <CareerTimeline career={career} />
+                        </div>
+                    </>
+                )}
+            </div>
+        </PlayerLayout>
+    );
+};
+
+export default Career;
@@ -19,11 +19,52 @@ const PlayerDashboard = () => {
         teams: []
     });
     const [loading, setLoading] = useState(false);
+    const [invitations, setInvitations] = useState([]);
+    const [inviteCode, setInviteCode] = useState('');
 
     useEffect(() => {
         fetchDashboardData();
+        fetchInvitations();
     }, []);
 
+    const fetchInvitations = async () => {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/api/player/invitations`, { withCredentials: true });
+            if (response.data.success) {
+                setInvitations(response.data.invitations || []);
+            }
+        } catch (error) {
+            console.error('Error fetching invitations:', error);
+        }
+    };
+
+    const respondToInvitation = async (invitationId, action) => {
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/api/player/invitations/${invitationId}/${action}`,
+                {},
+                { withCredentials: true }
+            );
+            if (response.data.success) {
+                alert(response.data.message);
+                fetchInvitations();
+                if (action === 'accept') {
+                    fetchDashboardData();
+                }
+            }
+        } catch (error) {
+            alert(error.response?.data?.message || 'Error responding to invitation');
+        }
+    };
+
+    const handleInviteCode = (e) => {
+        e.preventDefault();
+        const code = inviteCode.trim();
+        if (code) {
+            navigate(`/player/join/${encodeURIComponent(code)}`);
+        }
+    };
+
     const fetchDashboardData = async () => {
         try {
             setLoading(true);
@@ -114,6 +155,57 @@ const PlayerDashboard = () => {
                         </div>
                     </div>
 
+                    {/* Invitations Section */}
+                    <div className="teams-section invitations-section">
+                        <div className="section-header">
+                            <h2><i className="fa fa-envelope-open-text"></i> Team Invitations</h2>
+                            <form className="invite-code-form" onSubmit={handleInviteCode}>
+                                <input
+                                    type="text"
+                                    placeholder="Have an invite code?"
+                                    value={inviteCode}
+                                    onChange={(e) => setInviteCode(e.target.value)}
+                                />
+                                <button type="submit" className="team-action-btn">Use Code</button>
+                            </form>
+                        </div>
+                        {invitations.length > 0 ? (
+                            <div className="teams-list">
+                                {invitations.map((invitation) => (
+                                    <div key={invitation._id} className="team-item">
+                                        <div className="team-icon">
+                                            <i className="fa fa-envelope"></i>
+                                        </div>
+                                        <div className="team-details">
+                                            <h3>{invitation.team.name}</h3>
+                                            <p>
+                                                {invitation.team.sport_type} • {invitation.team.member_count} players • Invited by {invitation.team.manager_name}
+                                            </p>
+                                            {invitation.message && <p className="invitation-message">"{invitation.message}"</p>}
+                                            <p>Expires {new Date(invitation.expires_at).toLocaleDateString()}</p>
+                                        </div>
+                                        <div className="team-actions">
+                                            <button
+                                                className="team-action-btn"
+                                                onClick={() => respondToInvitation(invitation._id, 'accept')}
+                                            >
+                                                Accept
+                                            </button>
+                                            <button
+                                                className="team-action-btn decline"
+                                                onClick={() => respondToInvitation(invitation._id, 'decline')}
+                                            >
+                                                Decline
+                                            </button>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        ) : (
+                            <p className="no-invitations">No pending invitations.</p>
+                        )}
+                    </div>
+
                     {/* Teams Section */}
                     {dashboardData.teams && dashboardData.teams.length > 0 ? (
                         <div className="teams-section">
@@ -0,0 +1,308 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import PlayerLayout from '../../components/layout/PlayerLayout';
+import axios from 'axios';
+import './FreeAgent.css';
+import { API_BASE_URL } from '../../utils/constants';
+
+const SPORTS = ['Football', 'Basketball', 'Cricket', 'Tennis', 'Badminton', 'Volleyball'];
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'competitive'];
+
+const EMPTY_FORM = {
+    listed: true,
+    sport: '',
+    position: '',
+    skill_level: '',
+    area: '',
+    schedule: '',
+    note: ''
+};
+
+/**
+ * Free-agent listing for the player and the team recruitment postings that
+ * fit it, with a join request straight from a posting
+ */
+const FreeAgent = () => {
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [listed, setListed] = useState(false);
+    const [sports, setSports] = useState([]);
+    const [postings, setPostings] = useState([]);
+    const [currentTeam, setCurrentTeam] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [message, setMessage] = useState({ type: '', text: '' });
+
+    useEffect(() => {
+        fetchListing();
+        fetchPostings();
+    }, []);
+
+    const fetchListing = async () => {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/api/player/free-agent`, { withCredentials: true });
+            const profile = response.data.profile;
+            if (response.data.success && profile) {
+                setForm({
+                    listed: profile.free_agent.listed,
+                    sport: profile.sport || '',
+                    position: profile.position || '',
+                    skill_level: profile.skill_level || '',
+                    area: profile.free_agent.area,
+                    schedule: profile.free_agent.schedule,
+                    note: profile.free_agent.note
+                });
+                setListed(profile.free_agent.listed);
+                setSports(profile.sports || []);
+            }
+        } catch (error) {
+            console.error('Error fetching free-agent listing:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const fetchPostings = async () => {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/api/player/recruitment`, { withCredentials: true });
+            if (response.data.success) {
+                setPostings(response.data.postings || []);
+                setCurrentTeam(response.data.current_team);
+            }
+        } catch (error) {
+            console.error('Error fetching recruitment postings:', error);
+        }
+    };
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        if (name === 'sport') {
+            // Start from what the profile already says about the sport
+            const entry = sports.find(item => item.sport.toLowerCase() === value.toLowerCase());
+            setForm({
+                ...form,
+                sport: value,
+                position: entry ? entry.position : '',
+                skill_level: entry ? entry.skill_level : ''
+            });
+            return;
+        }
+        setForm({ ...form, [name]: type === 'checkbox' ? checked : value });
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        try {
+            setSaving(true);
+            setMessage({ type: '', text: '' });
+            const response = await axios.put(`${API_BASE_URL}/api/player/free-agent`, form, { withCredentials: true });
+            if (response.data.success) {
+                setListed(response.data.profile.free_agent.listed);
+                setSports(response.data.profile.sports || []);
+                setMessage({ type: 'success', text: response.data.message });
+                fetchPostings();
+            }
+        } catch (error) {
+            setMessage({ type: 'error', text: error.response?.data?.message || 'Error saving your listing' });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleJoinRequest = async (posting) => {
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/api/player/teams/${posting.team_id}/join`,
+                {},
+                { withCredentials: true }
+            );
+            if (response.data.success) {
+                alert(response.data.message || `Request to join ${posting.team_name} sent`);
+                fetchPostings();
+            }
+        } catch (error) {
+            alert(error.response?.data?.message || 'Error sending join request');
+        }
+    };
+
+    const getJoinAction = (posting) => {
+        if (posting.request_status === 'pending') {
+            return (
+                <span className="free-agent-badge pending">
+                    <i className="fa fa-clock"></i> Request Pending
+                </span>
+            );
+        }
+        if (currentTeam) {
+            return null;
+        }
+        const isFull = posting.max_members && posting.current_members >= posting.max_members;
+        return (
+            <button className="free-agent-join-btn" onClick={() => handleJoinRequest(posting)} disabled={isFull}>
+                <i className="fa fa-user-plus"></i>
+                {isFull ? 'Team Full' : 'Request to Join'}
+            </button>
+        );
+    };
+
+    return (
+        <PlayerLayout>
+            <div className="free-agent-page">
+                <div className="free-agent-header">
+                    <div>
+                        <h1><i className="fa fa-bullhorn"></i> Free Agent</h1>
+                        <p>Let teams know you are looking, and find teams that are recruiting</p>
+                    </div>
+                    <Link to="/player/browse-teams" className="free-agent-header-link">
+                        <i className="fa fa-search"></i> Browse Teams
+                    </Link>
+                </div>
+
+                <div className="free-agent-layout">
+                    <form className="free-agent-card" onSubmit={handleSave}>
+                        <div className="free-agent-card-title">
+                            <h2>My Listing</h2>
+                            <span className={`free-agent-badge ${listed ? 'listed' : ''}`}>
+                                {listed ? 'Visible to teams' : 'Not listed'}
+                            </span>
+                        </div>
+
+                        {loading ? (
+                            <p className="free-agent-muted">Loading...</p>
+                        ) : (
+                            <>
+                                <label>
+                                    Sport
+                                    <select name="sport" value={form.sport} onChange={handleChange} required>
+                                        <option value="">Choose a sport</option>
+                                        {SPORTS.map(sport => <option key={sport} value={sport}>{sport}</option>)}
+                                        {sports
+                                            .filter(entry => !SPORTS.includes(entry.sport))
+                                            .map(entry => <option key={entry.sport} value={entry.sport}>{entry.sport}</option>)}
+                                    </select>
+                                </label>
+                                <label>
+                                    Positions
+                                    <input
+                                        name="position"
+                                        value={form.position}
+                                        onChange={handleChange}
+                                        placeholder="e.g. Goalkeeper, Defender"
+                                    />
+                                </label>
+                                <label>
+                                    Skill level
+                                    <select name="skill_level" value={form.skill_level} onChange={handleChange}>
+                                        <option value="">Not specified</option>
+                                        {SKILL_LEVELS.map(level => (
+                                            <option key={level} value={level}>
+                                                {level.charAt(0).toUpperCase() + level.slice(1)}
+                                            </option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <label>
+                                    Area
+                                    <input name="area" value={form.area} onChange={handleChange} placeholder="e.g. North London" />
+                                </label>
+                                <label>
+                                    When you can play
+                                    <input
+                                        name="schedule"
+                                        value={form.schedule}
+                                        onChange={handleChange}
+                                        placeholder="e.g. Weekday evenings, Sunday mornings"
+                                    />
+                                </label>
+                                <label>
+                                    About you
+                                    <textarea
+                                        name="note"
+                                        value={form.note}
+                                        onChange={handleChange}
+                                        rows="3"
+                                        maxLength="500"
+                                        placeholder="Experience, what kind of team you are after..."
+                                    />
+                                </label>
+                                <label className="free-agent-checkbox">
+                                    <input type="checkbox" name="listed" checked={form.listed} onChange={handleChange} />
+                                    Show me to teams that are recruiting
+                                </label>
+
+                                {message.text && (
+                                    <p className={`free-agent-message ${message.type}`}>{message.text}</p>
+                                )}
+
+                                <button type="submit" className="free-agent-save-btn" disabled={saving}>
+                                    {saving ? 'Saving...' : 'Save Listing'}
+                                </button>
+                            </>
+                        )}
+                    </form>
+
+                    <div className="free-agent-postings">
+                        <h2>Teams Recruiting</h2>
+                        {currentTeam && (
+                            <p className="free-agent-notice">
+                                <i className="fa fa-info-circle"></i> You already play for{' '}
+                                <Link to={`/player/team/${currentTeam._id}`}>{currentTeam.name}</Link> in this sport.
+                                Leave that team before asking to join another.
+                            </p>
+                        )}
+
+                        {postings.length === 0 ? (
+                            <p className="free-agent-muted">
+                                {form.sport
+                                    ? `No ${form.sport} teams are recruiting right now. Check back later!`
+                                    : 'Choose your sport and save your listing to see teams that are recruiting.'}
+                            </p>
+                        ) : (
+                            postings.map(posting => (
+                                <div key={posting._id} className="free-agent-posting">
+                                    <div className="free-agent-posting-header">
+                                        <div>
+                                            <h3>{posting.team_name}</h3>
+                                            <p className="free-agent-muted">
+                                                {posting.sport} • Rating {posting.rating} • {posting.current_members}
+                                                {posting.max_members ? ` / ${posting.max_members}` : ''} players
+                                            </p>
+                                        </div>
+                                        <span className="free-agent-score">{posting.match_score}% match</span>
+                                    </div>
+
+                                    {posting.positions.length > 0 && (
+                                        <div className="free-agent-tags">
+                                            {posting.positions.map(position => (
+                                                <span key={position} className="free-agent-tag">{position}</span>
+                                            ))}
+                                        </div>
+                                    )}
+                                    <ul className="free-agent-details">
+                                        {posting.skill_level && <li><strong>Level:</strong> {posting.skill_level}</li>}
+                                        {posting.area && <li><strong>Area:</strong> {posting.area}</li>}
+                                        {posting.schedule && <li><strong>Plays:</strong> {posting.schedule}</li>}
+                                    </ul>
+                                    {posting.description && <p className="free-agent-description">{posting.description}</p>}
+                                    {posting.match_reasons.length > 0 && (
+                                        <p className="free-agent-reasons">
+                                            <i className="fa fa-check"></i> {posting.match_reasons.join(' • ')}
+                                        </p>
+                                    )}
+
+                                    <div className="free-agent-posting-footer">
+                                        <Link to={`/player/team/${posting.team_id}`} className="free-agent-details-link">
+                                            View Team
+                                        </Link>
+                                        {getJoinAction(posting)}
+                                    </div>
+                                </div>
+                            ))
+                        )}
+                    </div>
+                </div>
+            </div>
+        </PlayerLayout>
+    );
+};
+
+export default FreeAgent;
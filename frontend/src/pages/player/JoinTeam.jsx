@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import PlayerLayout from '../../components/layout/PlayerLayout';
+import axios from 'axios';
+import './JoinTeam.css';
+import { API_BASE_URL } from '../../utils/constants';
+
+/**
+ * Landing page for a shareable team invite link: shows the team and lets the
+ * player join while the link is still valid
+ */
+const JoinTeam = () => {
+    const { code } = useParams();
+    const navigate = useNavigate();
+    const [invite, setInvite] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [joining, setJoining] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        fetchInvite();
+    }, [code]);
+
+    const fetchInvite = async () => {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/api/player/invite/${encodeURIComponent(code)}`, {
+                withCredentials: true
+            });
+            if (response.data.success) {
+                setInvite(response.data);
+            }
+        } catch (err) {
+            setError(err.response?.data?.message || 'This invite code is not valid');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleJoin = async () => {
+        try {
+            setJoining(true);
+            setError('');
+            const response = await axios.post(
+                `${API_BASE_URL}/api/player/invite/${encodeURIComponent(code)}/accept`,
+                {},
+                { withCredentials: true }
+            );
+            if (response.data.success) {
+                alert(response.data.message);
+                navigate(`/player/team/${response.data.team_id}`);
+            }
+        } catch (err) {
+            setError(err.response?.data?.message || 'Error joining team');
+        } finally {
+            setJoining(false);
+        }
+    };
+
+    return (
+        <PlayerLayout>
+            <div className="join-team-page">
+                <div className="join-team-card">
+                    {loading ? (
+                        <p>Loading invite...</p>
+                    ) : !invite ? (
+                        <>
+                            <i className="fa fa-link join-team-icon"></i>
+                            <h2>Invite not found</h2>
+                            <p className="join-team-error">{error}</p>
+                            <Link to="/player/dashboard" className="join-team-secondary">Back to Dashboard</Link>
+                        </>
+                    ) : (
+                        <>
+                            <i className="fa fa-users join-team-icon"></i>
+                            <p className="join-team-kicker">You're invited to join</p>
+                            <h2>{invite.team.name}</h2>
+                            <p className="join-team-meta">
+                                {invite.team.sport_type} • {invite.team.member_count}
+                                {invite.team.max_members ? ` / ${invite.team.max_members}` : ''} players • Managed by {invite.team.manager_name}
+                            </p>
+                            {invite.team.description && <p className="join-team-description">{invite.team.description}</p>}
+
+                            {error && <p className="join-team-error">{error}</p>}
+
+                            {invite.is_member ? (
+                                <Link to={`/player/team/${invite.team._id}`} className="join-team-primary">
+                                    You're already on this team
+                                </Link>
+                            ) : invite.unavailable_reason ? (
+                                <p className="join-team-error">{invite.unavailable_reason}</p>
+                            ) : (
+                                <>
+                                    <button className="join-team-primary" onClick={handleJoin} disabled={joining}>
+                                        {joining ? 'Joining...' : 'Join Team'}
+                                    </button>
+                                    <p className="join-team-expiry">
+                                        Link expires {new Date(invite.expires_at).toLocaleString()}
+                                    </p>
+                                </>
+                            )}
+                        </>
+                    )}
+                </div>
+            </div>
+        </PlayerLayout>
+    );
+};
+
+export default JoinTeam;
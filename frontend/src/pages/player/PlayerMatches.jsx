@@ -2,6 +2,13 @@ import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import './PlayerMatches.css';
 import { API_BASE_URL } from '../../utils/constants';
+import { useLiveScores, applyLiveUpdate } from '../../hooks/useLiveScores';
+
+const AVAILABILITY_OPTIONS = [
+    { value: 'available', label: '✓ Available' },
+    { value: 'maybe', label: '? Maybe' },
+    { value: 'unavailable', label: '✗ Unavailable' }
+];
 
 const PlayerMatches = () => {
     const [matches, setMatches] = useState([]);
@@ -9,25 +16,41 @@ const PlayerMatches = () => {
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [viewMode, setViewMode] = useState('matches'); // 'matches' or 'stats'
+    const [teamIds, setTeamIds] = useState([]);
+    const [upcoming, setUpcoming] = useState([]);
+    const [notes, setNotes] = useState({});
+    const [savingPoll, setSavingPoll] = useState(null);
 
     useEffect(() => {
         fetchMatchData();
     }, []);
 
+    useLiveScores({ team: teamIds }, update => setMatches(prev => applyLiveUpdate(prev, update)));
+
     const fetchMatchData = async () => {
         try {
             setLoading(true);
-            const [matchesRes, statsRes] = await Promise.all([
-                axios.get(`${API_BASE_URL}/player/my-matches`, {
+            const [matchesRes, statsRes, upcomingRes] = await Promise.all([
+                axios.get(`${API_BASE_URL}/api/player/my-matches`, {
+                    withCredentials: true
+                }),
+                axios.get(`${API_BASE_URL}/api/player/stats`, {
                     withCredentials: true
                 }),
-                axios.get(`${API_BASE_URL}/player/stats`, {
+                axios.get(`${API_BASE_URL}/api/player/upcoming-matches`, {
                     withCredentials: true
                 })
             ]);
 
+            if (upcomingRes.data.success) {
+                setUpcoming(upcomingRes.data.matches || []);
+                setNotes(Object.fromEntries((upcomingRes.data.matches || [])
+                    .map(match => [match._id, match.my_availability?.note || ''])));
+            }
+
             if (matchesRes.data.success) {
                 setMatches(matchesRes.data.matches || []);
+                setTeamIds(matchesRes.data.team_ids || []);
                 setStats(matchesRes.data.statistics);
             }
 
@@ -47,6 +70,85 @@ const PlayerMatches = () => {
         }
     };
 
+    const answerPoll = async (matchId, status) => {
+        setSavingPoll(matchId);
+        try {
+            const response = await axios.put(
+                `${API_BASE_URL}/api/player/matches/${matchId}/availability`,
+                { status, note: notes[matchId] || '' },
+                { withCredentials: true }
+            );
+            if (response.data.success) {
+                setUpcoming(prev => prev.map(match => match._id === matchId
+                    ? { ...match, my_availability: response.data.availability }
+                    : match));
+            }
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to save availability');
+        } finally {
+            setSavingPoll(null);
+        }
+    };
+
+    const renderUpcoming = () => {
+        if (upcoming.length === 0) return null;
+
+        return (
+            <div className="upcoming-section">
+                <h2>Upcoming Matches</h2>
+                <p className="upcoming-hint">Let your manager know if you can play.</p>
+                <div className="upcoming-list">
+                    {upcoming.map((match) => {
+                        const answer = match.my_availability?.status;
+                        return (
+                            <div key={match._id} className="upcoming-card">
+                                <div className="upcoming-info">
+                                    <span className="match-date">
+                                        {new Date(match.match_date).toLocaleString('en-US', {
+                                            weekday: 'short',
+                                            month: 'short',
+                                            day: 'numeric',
+                                            hour: 'numeric',
+                                            minute: '2-digit'
+                                        })}
+                                    </span>
+                                    <strong>{match.your_team.name} vs {match.opponent.name}</strong>
+                                    {match.event && <span className="upcoming-event">🏆 {match.event.title}</span>}
+                                    {match.venue && <span className="upcoming-event">📍 {match.venue}</span>}
+                                </div>
+                                <div className="availability-poll">
+                                    <div className="poll-options">
+                                        {AVAILABILITY_OPTIONS.map(option => (
+                                            <button
+                                                key={option.value}
+                                                type="button"
+                                                className={`poll-option ${option.value} ${answer === option.value ? 'selected' : ''}`}
+                                                onClick={() => answerPoll(match._id, option.value)}
+                                                disabled={!match.poll_open || savingPoll === match._id}
+                                            >
+                                                {option.label}
+                                            </button>
+                                        ))}
+                                    </div>
+                                    <input
+                                        type="text"
+                                        className="poll-note"
+                                        value={notes[match._id] || ''}
+                                        onChange={(e) => setNotes(prev => ({ ...prev, [match._id]: e.target.value }))}
+                                        placeholder="Add a note (optional)"
+                                        maxLength="200"
+                                        disabled={!match.poll_open}
+                                    />
+                                    {!answer && <span className="poll-pending">Not answered yet</span>}
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+        );
+    };
+
     const formatDate = (dateString) => {
         const date = new Date(dateString);
         return date.toLocaleDateString('en-US', {
@@ -57,6 +159,9 @@ const PlayerMatches = () => {
     };
 
     const getMatchResult = (match, teamId) => {
+        if (match.status === 'live') {
+            return { result: match.live_period ? `LIVE · ${match.live_period}` : 'LIVE', class: 'live' };
+        }
         const isTeamA = match.team_a._id === teamId;
         const yourScore = isTeamA ? match.score_a : match.score_b;
         const oppScore = isTeamA ? match.score_b : match.score_a;
@@ -182,6 +287,8 @@ const PlayerMatches = () => {
                         </div>
                     )}
 
+                    {renderUpcoming()}
+
                     {matches.length === 0 ? (
                         <div className="empty-state">
                             <div className="empty-icon">📋</div>
@@ -15,7 +15,7 @@ const PlayerStats = () => {
 
     const fetchStats = async () => {
         try {
-            const response = await fetch(`${API_BASE_URL}/player/stats`, {
+            const response = await fetch(`${API_BASE_URL}/api/player/stats`, {
                 credentials: 'include'
             });
             const data = await response.json();
@@ -33,8 +33,8 @@ const PlayerStats = () => {
     };
 
     const calculateWinRate = () => {
-        if (!stats || stats.total_matches === 0) return 0;
-        return ((stats.total_won / stats.total_matches) * 100).toFixed(1);
+        if (!stats || stats.total_matches_played === 0) return 0;
+        return ((stats.total_wins / stats.total_matches_played) * 100).toFixed(1);
     };
 
     const getFormDisplay = () => {
@@ -107,7 +107,7 @@ const PlayerStats = () => {
                         </div>
                         <div className="stat-content">
                             <div className="stat-label">Total Matches</div>
-                            <div className="stat-value">{stats.total_matches}</div>
+                            <div className="stat-value">{stats.total_matches_played}</div>
                         </div>
                     </div>
 
@@ -117,7 +117,7 @@ const PlayerStats = () => {
                         </div>
                         <div className="stat-content">
                             <div className="stat-label">Matches Won</div>
-                            <div className="stat-value">{stats.total_won}</div>
+                            <div className="stat-value">{stats.total_wins}</div>
                         </div>
                     </div>
 
@@ -127,7 +127,7 @@ const PlayerStats = () => {
                         </div>
                         <div className="stat-content">
                             <div className="stat-label">Matches Drawn</div>
-                            <div className="stat-value">{stats.total_drawn}</div>
+                            <div className="stat-value">{stats.total_draws}</div>
                         </div>
                     </div>
 
@@ -137,7 +137,7 @@ const PlayerStats = () => {
                         </div>
                         <div className="stat-content">
                             <div className="stat-label">Matches Lost</div>
-                            <div className="stat-value">{stats.total_lost}</div>
+                            <div className="stat-value">{stats.total_losses}</div>
                         </div>
                     </div>
                 </div>
@@ -176,11 +176,11 @@ const PlayerStats = () => {
                             <div className="win-rate-details">
                                 <div className="detail-row">
                                     <span>Total Matches:</span>
-                                    <strong>{stats.total_matches}</strong>
+                                    <strong>{stats.total_matches_played}</strong>
                                 </div>
                                 <div className="detail-row">
                                     <span>Wins:</span>
-                                    <strong className="text-success">{stats.total_won}</strong>
+                                    <strong className="text-success">{stats.total_wins}</strong>
                                 </div>
                                 <div className="detail-row">
                                     <span>Win Rate:</span>
@@ -210,6 +210,31 @@ const PlayerStats = () => {
                     </div>
                 </div>
 
+                {/* Individual statistics from verified results */}
+                {stats.sport_stats && stats.sport_stats.length > 0 && (
+                    <div className="content-card">
+                        <h3><i className="fas fa-running"></i> My Performance</h3>
+                        <div className="team-stats-list">
+                            {stats.sport_stats.map(sport => (
+                                <div key={sport.sport} className="team-stat-card">
+                                    <div className="team-stat-header">
+                                        <h4>{sport.sport}</h4>
+                                        <span className="team-win-rate">{sport.matches} match{sport.matches === 1 ? '' : 'es'} recorded</span>
+                                    </div>
+                                    <div className="team-stat-grid">
+                                        {sport.fields.map(field => (
+                                            <div key={field.key} className="team-stat-item">
+                                                <div className="team-stat-label">{field.label}</div>
+                                                <div className="team-stat-value">{sport.totals[field.key]}</div>
+                                            </div>
+                                        ))}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
                 {/* Team Statistics */}
                 {stats.team_stats && stats.team_stats.length > 0 && (
                     <div className="content-card">
@@ -252,7 +277,7 @@ const PlayerStats = () => {
                 )}
 
                 {/* No Data State */}
-                {stats.total_matches === 0 && (
+                {stats.total_matches_played === 0 && (
                     <div className="content-card">
                         <div className="no-data">
                             <i className="fas fa-chart-bar"></i>
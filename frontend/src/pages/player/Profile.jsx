@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { useSelector, useDispatch } from 'react-redux';
 import { selectUser, updateUserData } from '../../store/slices/authSlice';
 import PlayerLayout from '../../components/layout/PlayerLayout';
@@ -6,6 +7,239 @@ import axios from 'axios';
 import './Profile.css';
 import { API_BASE_URL } from '../../utils/constants';
 
+const SPORTS = ['Football', 'Basketball', 'Cricket', 'Tennis', 'Badminton', 'Volleyball'];
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'competitive'];
+const EMPTY_SPORT = { sport: '', position: '', skill_level: '', years_experience: '' };
+
+const formatStat = (key) => key.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase());
+
+const SkillSelect = ({ value, onChange }) => (
+    <select name="skill_level" className="form-input" value={value} onChange={onChange}>
+        <option value="">Not specified</option>
+        {SKILL_LEVELS.map(level => (
+            <option key={level} value={level}>
+                {level.charAt(0).toUpperCase() + level.slice(1)}
+            </option>
+        ))}
+    </select>
+);
+
+/**
+ * One sport on the player's profile. Position, skill level and experience
+ * can be edited; stats come from verified match results.
+ */
+const SportCard = ({ entry, onSave, onRemove }) => {
+    const [form, setForm] = useState({
+        position: entry.position,
+        skill_level: entry.skill_level,
+        years_experience: entry.years_experience
+    });
+    const stats = Object.entries(entry.stats || {}).filter(([key, value]) => key !== 'games_played' && value > 0);
+
+    const handleChange = (e) => {
+        setForm({ ...form, [e.target.name]: e.target.value });
+    };
+
+    return (
+        <div className="sport-card">
+            <div className="sport-card-header">
+                <h3>{entry.sport}</h3>
+                <span className="sport-games">
+                    {entry.stats.games_played} game{entry.stats.games_played !== 1 ? 's' : ''}
+                </span>
+            </div>
+            {stats.length > 0 && (
+                <div className="sport-stats">
+                    {stats.map(([key, value]) => (
+                        <span key={key} className="sport-stat">{formatStat(key)}: <strong>{value}</strong></span>
+                    ))}
+                </div>
+            )}
+            <div className="form-row">
+                <div className="form-group">
+                    <label>Position</label>
+                    <input
+                        name="position"
+                        className="form-input"
+                        value={form.position}
+                        onChange={handleChange}
+                        placeholder="e.g. Goalkeeper"
+                    />
+                </div>
+                <div className="form-group">
+                    <label>Skill Level</label>
+                    <SkillSelect value={form.skill_level} onChange={handleChange} />
+                </div>
+            </div>
+            <div className="form-group">
+                <label>Years of Experience</label>
+                <input
+                    type="number"
+                    min="0"
+                    max="80"
+                    name="years_experience"
+                    className="form-input"
+                    value={form.years_experience}
+                    onChange={handleChange}
+                />
+            </div>
+            <div className="sport-card-actions">
+                {entry.stats.games_played === 0 && (
+                    <button type="button" className="btn-remove-sport" onClick={() => onRemove(entry.sport)}>
+                        <i className="fa fa-trash"></i> Remove
+                    </button>
+                )}
+                <button type="button" className="btn-submit" onClick={() => onSave({ sport: entry.sport, ...form })}>
+                    <i className="fa fa-save"></i> Save
+                </button>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Settings for the player's public profile page: custom URL (premium only),
+ * who can see it, and the achievements and video highlights it lists.
+ */
+const PublicProfileCard = () => {
+    const [settings, setSettings] = useState(null);
+    const [form, setForm] = useState({ slug: '', visibility: 'public', achievements: '', videos: '' });
+    const [message, setMessage] = useState({ type: '', text: '' });
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        fetchSettings();
+    }, []);
+
+    const applySettings = (data) => {
+        setSettings(data);
+        setForm({
+            slug: data.slug || '',
+            visibility: data.visibility,
+            achievements: data.achievements.join('\n'),
+            videos: data.videos.join('\n')
+        });
+    };
+
+    const fetchSettings = async () => {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/api/player/public-profile`, { withCredentials: true });
+            if (response.data.success) {
+                applySettings(response.data.settings);
+            }
+        } catch (error) {
+            console.error('Error fetching public profile settings:', error);
+        }
+    };
+
+    const handleChange = (e) => {
+        setForm({ ...form, [e.target.name]: e.target.value });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            setSaving(true);
+            setMessage({ type: '', text: '' });
+            const payload = { ...form };
+            if (!settings.premium_active) delete payload.slug;
+            const response = await axios.put(`${API_BASE_URL}/api/player/public-profile`, payload, { withCredentials: true });
+            if (response.data.success) {
+                applySettings(response.data.settings);
+                setMessage({ type: 'success', text: response.data.message });
+            }
+        } catch (error) {
+            setMessage({ type: 'error', text: error.response?.data?.message || 'Error saving public profile' });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!settings) return null;
+
+    return (
+        <div className="profile-form-card profile-sports-card">
+            <h2 className="form-card-title">Public Profile</h2>
+            <p className="sports-intro">
+                Share a page with your sports, verified stats, achievements and video highlights.
+                {settings.slug && (
+                    <> Your profile is at <Link to={`/p/${settings.slug}`}>/p/{settings.slug}</Link>.</>
+                )}
+            </p>
+
+            {message.text && (
+                <div className={`message-alert ${message.type}`}>
+                    <i className={`fa ${message.type === 'success' ? 'fa-check-circle' : 'fa-exclamation-circle'}`}></i>
+                    {message.text}
+                </div>
+            )}
+
+            <form onSubmit={handleSubmit}>
+                <div className="form-row">
+                    <div className="form-group">
+                        <label htmlFor="public_slug">Profile URL</label>
+                        <input
+                            id="public_slug"
+                            name="slug"
+                            className="form-input"
+                            value={form.slug}
+                            onChange={handleChange}
+                            placeholder="e.g. alex-striker"
+                            disabled={!settings.premium_active}
+                        />
+                        {!settings.premium_active && (
+                            <small className="form-hint">Custom profile URLs are a premium feature.</small>
+                        )}
+                    </div>
+                    <div className="form-group">
+                        <label htmlFor="public_visibility">Who can see it</label>
+                        <select
+                            id="public_visibility"
+                            name="visibility"
+                            className="form-input"
+                            value={form.visibility}
+                            onChange={handleChange}
+                        >
+                            <option value="public">Everyone</option>
+                            <option value="premium">Premium members</option>
+                            <option value="private">Only me</option>
+                        </select>
+                    </div>
+                </div>
+                <div className="form-group">
+                    <label htmlFor="public_achievements">Achievements (one per line)</label>
+                    <textarea
+                        id="public_achievements"
+                        name="achievements"
+                        className="form-textarea"
+                        rows="4"
+                        value={form.achievements}
+                        onChange={handleChange}
+                    ></textarea>
+                </div>
+                <div className="form-group">
+                    <label htmlFor="public_videos">Video highlight links (one per line)</label>
+                    <textarea
+                        id="public_videos"
+                        name="videos"
+                        className="form-textarea"
+                        rows="3"
+                        value={form.videos}
+                        onChange={handleChange}
+                        placeholder="https://"
+                    ></textarea>
+                </div>
+                <div className="form-actions">
+                    <button type="submit" className="btn-submit" disabled={saving}>
+                        <i className="fa fa-save"></i>
+                        {saving ? 'Saving...' : 'Save Public Profile'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
 const Profile = () => {
     const user = useSelector(selectUser);
     const dispatch = useDispatch();
@@ -20,6 +254,13 @@ const Profile = () => {
     const [imagePreview, setImagePreview] = useState(null);
     const [message, setMessage] = useState({ type: '', text: '' });
     const [loading, setLoading] = useState(false);
+    const [sports, setSports] = useState([]);
+    const [newSport, setNewSport] = useState(EMPTY_SPORT);
+    const [sportMessage, setSportMessage] = useState({ type: '', text: '' });
+
+    useEffect(() => {
+        fetchSports();
+    }, []);
 
     useEffect(() => {
         if (user) {
@@ -37,6 +278,60 @@ const Profile = () => {
         }
     }, [user]);
 
+    const fetchSports = async () => {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/api/player/profile/sports`, { withCredentials: true });
+            if (response.data.success) {
+                setSports(response.data.sports);
+            }
+        } catch (error) {
+            console.error('Error fetching sports:', error);
+        }
+    };
+
+    const handleSaveSport = async (entry) => {
+        try {
+            setSportMessage({ type: '', text: '' });
+            const response = await axios.put(`${API_BASE_URL}/api/player/profile/sports`, entry, { withCredentials: true });
+            if (response.data.success) {
+                setSports(response.data.sports);
+                setSportMessage({ type: 'success', text: response.data.message });
+                return true;
+            }
+        } catch (error) {
+            setSportMessage({ type: 'error', text: error.response?.data?.message || 'Error saving sport' });
+        }
+        return false;
+    };
+
+    const handleAddSport = async (e) => {
+        e.preventDefault();
+        if (await handleSaveSport(newSport)) {
+            setNewSport(EMPTY_SPORT);
+        }
+    };
+
+    const handleRemoveSport = async (sport) => {
+        if (!window.confirm(`Remove ${sport} from your profile?`)) return;
+        try {
+            setSportMessage({ type: '', text: '' });
+            const response = await axios.delete(
+                `${API_BASE_URL}/api/player/profile/sports/${encodeURIComponent(sport)}`,
+                { withCredentials: true }
+            );
+            if (response.data.success) {
+                setSports(response.data.sports);
+                setSportMessage({ type: 'success', text: response.data.message });
+            }
+        } catch (error) {
+            setSportMessage({ type: 'error', text: error.response?.data?.message || 'Error removing sport' });
+        }
+    };
+
+    const handleNewSportChange = (e) => {
+        setNewSport({ ...newSport, [e.target.name]: e.target.value });
+    };
+
     const handleChange = (e) => {
         setFormData({
             ...formData,
@@ -280,6 +575,90 @@ const Profile = () => {
                         </form>
                     </div>
                 </div>
+
+                <div className="profile-form-card profile-sports-card">
+                    <h2 className="form-card-title">My Sports</h2>
+                    <p className="sports-intro">
+                        Keep a position, skill level and experience for each sport you play.
+                        Stats are added from verified match results.
+                    </p>
+
+                    {sportMessage.text && (
+                        <div className={`message-alert ${sportMessage.type}`}>
+                            <i className={`fa ${sportMessage.type === 'success' ? 'fa-check-circle' : 'fa-exclamation-circle'}`}></i>
+                            {sportMessage.text}
+                        </div>
+                    )}
+
+                    <div className="sports-grid">
+                        {sports.map(entry => (
+                            <SportCard
+                                key={`${entry.sport}-${entry.updated_at}`}
+                                entry={entry}
+                                onSave={handleSaveSport}
+                                onRemove={handleRemoveSport}
+                            />
+                        ))}
+                    </div>
+
+                    <form className="add-sport-form" onSubmit={handleAddSport}>
+                        <h3>Add a Sport</h3>
+                        <div className="form-row">
+                            <div className="form-group">
+                                <label htmlFor="new_sport">Sport <span className="required">*</span></label>
+                                <select
+                                    id="new_sport"
+                                    name="sport"
+                                    className="form-input"
+                                    value={newSport.sport}
+                                    onChange={handleNewSportChange}
+                                    required
+                                >
+                                    <option value="">Choose a sport</option>
+                                    {SPORTS.filter(sport => !sports.some(entry => entry.sport.toLowerCase() === sport.toLowerCase()))
+                                        .map(sport => <option key={sport} value={sport}>{sport}</option>)}
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor="new_position">Position</label>
+                                <input
+                                    id="new_position"
+                                    name="position"
+                                    className="form-input"
+                                    value={newSport.position}
+                                    onChange={handleNewSportChange}
+                                    placeholder="e.g. Goalkeeper"
+                                />
+                            </div>
+                        </div>
+                        <div className="form-row">
+                            <div className="form-group">
+                                <label>Skill Level</label>
+                                <SkillSelect value={newSport.skill_level} onChange={handleNewSportChange} />
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor="new_years">Years of Experience</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    max="80"
+                                    id="new_years"
+                                    name="years_experience"
+                                    className="form-input"
+                                    value={newSport.years_experience}
+                                    onChange={handleNewSportChange}
+                                />
+                            </div>
+                        </div>
+                        <div className="form-actions">
+                            <button type="submit" className="btn-submit">
+                                <i className="fa fa-plus"></i> Add Sport
+                            </button>
+                        </div>
+                    </form>
+                </div>
+
+                <PublicProfileCard />
             </div>
         </PlayerLayout>
     );
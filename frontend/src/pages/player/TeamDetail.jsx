@@ -7,6 +7,13 @@ import axios from 'axios';
 import './TeamDetail.css';
 import { API_BASE_URL } from '../../utils/constants';
 
+const ROLE_LABELS = {
+    captain: 'Captain',
+    vice_captain: 'Vice-Captain',
+    player: 'Player',
+    co_manager: 'Co-Manager'
+};
+
 const TeamDetail = () => {
     const { teamId } = useParams();
     const navigate = useNavigate();
@@ -145,10 +152,14 @@ const TeamDetail = () => {
             (m.player_id && m.player_id.name) ||
             'Team Member';
 
-        const role = m.role || m.position || m.designation || 'Player';
+        const role = ROLE_LABELS[m.role] || m.designation || 'Player';
 
         return { ...m, displayName: name, displayRole: role };
-    });
+    })
+        .filter(m => (m.status || 'active') === 'active')
+        // Captain first, then by jersey number
+        .sort((a, b) => (a.role === 'captain' ? -1 : b.role === 'captain' ? 1 : 0) ||
+            (a.jersey_number ?? 100) - (b.jersey_number ?? 100));
 
 
 
@@ -184,6 +195,14 @@ const TeamDetail = () => {
                                         <i className="fa fa-check mr-2"></i>Member
                                     </span>
                                 )}
+                                {team.can_manage && (
+                                    <Link
+                                        to={`/manager/team/${teamId}/manage`}
+                                        className="bg-white text-orange-700 px-4 py-2 rounded-full text-sm font-semibold hover:bg-orange-50"
+                                    >
+                                        <i className="fa fa-cog mr-2"></i>Manage Team
+                                    </Link>
+                                )}
                             </div>
                         </div>
                     </div>
@@ -213,12 +232,23 @@ const TeamDetail = () => {
                                         {membersProcessed.map((member, index) => (
                                             <div key={index} className="flex items-center p-4 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors">
                                                 <div className="w-10 h-10 rounded-full bg-gradient-to-r from-orange-500 to-red-500 flex items-center justify-center text-white font-bold mr-4">
-                                                    {member.displayName ? member.displayName.charAt(0).toUpperCase() : 'P'}
+                                                    {member.jersey_number !== null && member.jersey_number !== undefined
+                                                        ? member.jersey_number
+                                                        : (member.displayName ? member.displayName.charAt(0).toUpperCase() : 'P')}
                                                 </div>
                                                 <div className="flex-1">
                                                     <p className="font-semibold text-gray-800">{member.displayName}</p>
-                                                    <p className="text-sm text-gray-600">{member.displayRole}</p>
+                                                    <p className="text-sm text-gray-600">
+                                                        {member.displayRole}
+                                                        {member.position && ` • ${member.position}`}
+                                                    </p>
                                                 </div>
+                                                {member.role === 'captain' && (
+                                                    <span className="bg-yellow-100 text-yellow-800 px-3 py-1 rounded-full text-xs font-bold">C</span>
+                                                )}
+                                                {member.role === 'vice_captain' && (
+                                                    <span className="bg-indigo-100 text-indigo-800 px-3 py-1 rounded-full text-xs font-bold">VC</span>
+                                                )}
                                             </div>
                                         ))}
                                     </div>
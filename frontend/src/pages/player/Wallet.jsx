@@ -19,11 +19,49 @@ const Wallet = () => {
     const [showAddFundsModal, setShowAddFundsModal] = useState(false);
     const [fundAmount, setFundAmount] = useState('');
     const [loading, setLoading] = useState(true);
+    const [shares, setShares] = useState([]);
+    const [payingShare, setPayingShare] = useState(null);
 
     useEffect(() => {
         fetchWalletData();
+        fetchShares();
     }, []);
 
+    // The player's shares of team entry fees that are still being collected
+    const fetchShares = async () => {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/api/wallet/entry-fee-shares`, { withCredentials: true });
+            if (response.data.success) {
+                setShares(response.data.shares);
+            }
+        } catch (error) {
+            console.error('Error fetching entry fee shares:', error);
+        }
+    };
+
+    const handlePayShare = async (share) => {
+        if (!window.confirm(`Pay your ₹${share.amount} share of ${share.teamName}'s entry fee for ${share.eventTitle}?`)) {
+            return;
+        }
+        const key = `${share.eventId}-${share.teamId}`;
+        try {
+            setPayingShare(key);
+            const response = await axios.post(`${API_BASE_URL}/api/wallet/entry-fee-shares/pay`,
+                { eventId: share.eventId, teamId: share.teamId },
+                { withCredentials: true }
+            );
+            alert(response.data.success ? response.data.message : response.data.error);
+            if (response.data.success) {
+                fetchWalletData();
+                fetchShares();
+            }
+        } catch (error) {
+            alert(error.response?.data?.error || 'Error paying your share');
+        } finally {
+            setPayingShare(null);
+        }
+    };
+
     const fetchWalletData = async () => {
         try {
             const response = await axios.get(`${API_BASE_URL}/api/wallet`, { withCredentials: true });
@@ -129,6 +167,61 @@ const Wallet = () => {
                             </div>
                         </div>
 
+                        {shares.length > 0 && (
+                            <div className="transactions-section entry-fee-shares">
+                                <div className="transactions-header">
+                                    <h2><i className="fa fa-users"></i> Team Entry Fees</h2>
+                                </div>
+                                <div className="transactions-container">
+                                    {shares.map(share => {
+                                        const key = `${share.eventId}-${share.teamId}`;
+                                        return (
+                                            <div key={key} className="transaction-item share-item">
+                                                <div className="transaction-icon-wrapper">
+                                                    <i className={`fa ${share.paidAt ? 'fa-check-circle' : 'fa-clock'}`}></i>
+                                                </div>
+                                                <div className="transaction-info">
+                                                    <h4 className="transaction-desc">{share.teamName} · {share.eventTitle}</h4>
+                                                    <p className="transaction-date">
+                                                        {share.paidAt
+                                                            ? 'You have paid your share'
+                                                            : `Pay by ${new Date(share.dueAt).toLocaleString('en-IN', {
+                                                                month: 'short',
+                                                                day: 'numeric',
+                                                                hour: '2-digit',
+                                                                minute: '2-digit'
+                                                            })}`}
+                                                    </p>
+                                                    <div className="share-progress">
+                                                        <div
+                                                            className="share-progress-bar"
+                                                            style={{ width: `${Math.min(100, (share.collected / share.total) * 100)}%` }}
+                                                        ></div>
+                                                    </div>
+                                                    <p className="share-progress-text">
+                                                        ₹{share.collected} of ₹{share.total} collected · {share.paidCount}/{share.shareCount} players paid
+                                                    </p>
+                                                </div>
+                                                <div className="share-actions">
+                                                    <span className="transaction-amount-display debit">₹{share.amount.toFixed(2)}</span>
+                                                    {!share.paidAt && !share.overdue && (
+                                                        <button
+                                                            className="pay-share-btn"
+                                                            onClick={() => handlePayShare(share)}
+                                                            disabled={payingShare === key || walletData.balance < share.amount}
+                                                            title={walletData.balance < share.amount ? 'Add funds to pay your share' : ''}
+                                                        >
+                                                            {payingShare === key ? 'Paying...' : 'Pay Share'}
+                                                        </button>
+                                                    )}
+                                                </div>
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            </div>
+                        )}
+
                         <div className="transactions-section">
                             <div className="transactions-header">
                                 <h2><i className="fa fa-history"></i> Recent Transactions</h2>